@@ -13,6 +13,7 @@ import mongoose from "mongoose";
 // Import middleware
 import { errorHandler } from "../middleware/errorMiddleware.js";
 import { dbHealthCheckMiddleware } from "../middleware/dbMiddleware.js";
+import { requestMetrics } from "../middleware/requestMetrics.js";
 
 // Import routes
 import authRoutes from "../routes/authRoutes.js";
@@ -25,6 +26,12 @@ import applicationLogRoutes from "../routes/applicationLogRoutes.js";
 import reportsRoutes from "../routes/reportsRoutes.js";
 import settingsRoutes from "../routes/settingsRoutes.js";
 import userRoutes from "../routes/userRoutes.js";
+import notificationRoutes from "../routes/notificationRoutes.js";
+import certificateRoutes from "../routes/certificateRoutes.js";
+import workflowRoutes from "../routes/workflowRoutes.js";
+import encumbranceRoutes from "../routes/encumbranceRoutes.js";
+import parcelChangeRoutes from "../routes/parcelChangeRoutes.js";
+import searchRoutes from "../routes/searchRoutes.js";
 import dbHealthRoutes from "../routes/dbHealthRoutes.js";
 
 // Load environment variables
@@ -36,6 +43,9 @@ const app = express();
 // Trust proxy for Vercel
 app.set('trust proxy', 1);
 
+// Request timing and error-rate aggregates for /api/reports/performance
+app.use(requestMetrics);
+
 // Initialize database connection immediately
 let dbConnected = false;
 
@@ -132,7 +142,8 @@ const corsOptions = {
     'Accept',
     'Origin',
     'Cache-Control',
-    'Pragma'
+    'Pragma',
+    'X-Two-Factor-Code'
   ],
   exposedHeaders: ['x-auth-token'],
   optionsSuccessStatus: 200
@@ -144,7 +155,7 @@ app.use(cors(corsOptions));
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-auth-token, X-Requested-With, Accept, Origin, Cache-Control, Pragma');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-auth-token, X-Requested-With, Accept, Origin, Cache-Control, Pragma, X-Two-Factor-Code');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400');
   res.status(200).end();
@@ -253,6 +264,12 @@ app.use('/api/logs', applicationLogRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/encumbrances', encumbranceRoutes);
+app.use('/api/parcel-changes', parcelChangeRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/db-health', dbHealthRoutes);
 
 // Root endpoint
@@ -274,6 +291,12 @@ app.get('/', (req, res) => {
       reports: '/api/reports',
       settings: '/api/settings',
       users: '/api/users',
+      notifications: '/api/notifications',
+      certificates: '/api/certificates',
+      workflows: '/api/workflows',
+      encumbrances: '/api/encumbrances',
+      parcelChanges: '/api/parcel-changes',
+      search: '/api/search',
       dbHealth: '/api/db-health'
     }
   });
@@ -0,0 +1,44 @@
+// System setting definitions
+// Each key has a category (used by the settings routes), a value type, validation bounds and a default.
+// Stored values live in the Setting collection; these defaults apply until an admin changes a key.
+export const SETTING_DEFINITIONS = {
+  // General
+  systemName: { category: "general", type: "string", default: "Property Registration System", minLength: 1, maxLength: 100 },
+  contactEmail: { category: "general", type: "string", default: "admin@propertyregistration.com", pattern: /^\S+@\S+\.\S+$/ },
+  contactPhone: { category: "general", type: "string", default: "+251-11-123-4567", minLength: 1, maxLength: 30 },
+  maintenanceMode: { category: "general", type: "boolean", default: false },
+  transferAcceptanceDays: { category: "general", type: "number", default: 7, min: 1, max: 90, integer: true },
+
+  // Fees (ETB) - changes also create a new fee schedule version (see PaymentCalculationService)
+  registrationFee: { category: "fees", type: "number", default: 550, min: 0 },
+  documentVerificationFee: { category: "fees", type: "number", default: 100, min: 0 },
+  transferFee: { category: "fees", type: "number", default: 300, min: 0 },
+  certificateIssueFee: { category: "fees", type: "number", default: 200, min: 0 },
+
+  // Notifications
+  emailNotifications: { category: "notifications", type: "boolean", default: true },
+  smsNotifications: { category: "notifications", type: "boolean", default: false },
+  pushNotifications: { category: "notifications", type: "boolean", default: true },
+
+  // Security - enforced by SecurityService at login, token issue and password changes
+  passwordMinLength: { category: "security", type: "number", default: 8, min: 8, max: 128, integer: true },
+  passwordRequireNumber: { category: "security", type: "boolean", default: true },
+  passwordRequireSpecialChar: { category: "security", type: "boolean", default: true },
+  sessionTimeout: { category: "security", type: "number", default: 30, min: 1, max: 1440, integer: true },
+  maxLoginAttempts: { category: "security", type: "number", default: 5, min: 1, max: 20, integer: true },
+  lockoutDuration: { category: "security", type: "number", default: 15, min: 1, max: 1440, integer: true },
+  // Two-factor authentication is required for the roles switched on below while twoFactorAuth is on
+  twoFactorAuth: { category: "security", type: "boolean", default: false },
+  twoFactorAdmins: { category: "security", type: "boolean", default: true },
+  twoFactorLandOfficers: { category: "security", type: "boolean", default: true },
+  twoFactorCitizens: { category: "security", type: "boolean", default: false },
+};
+
+export const SETTING_CATEGORIES = ["general", "fees", "notifications", "security"];
+
+// Default value for every setting key
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default])
+);
+
+export default DEFAULT_SETTINGS;
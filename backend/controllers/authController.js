@@ -1,22 +1,55 @@
 import User from "../models/User.js";
-import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 import { validationResult } from "express-validator";
+import SecurityService from "../services/securityService.js";
+import SessionService from "../services/sessionService.js";
+import TwoFactorService from "../services/twoFactorService.js";
+import AccountService from "../services/accountService.js";
+import SetupService from "../services/setupService.js";
+
+// Open a server-side session and issue its access and refresh tokens
+const issueSession = (req, user, options = {}) =>
+  SessionService.start(user, { userAgent: req.get("user-agent"), ip: req.ip, ...options });
+
+// Fields returned with a new session after login
+const loginResponse = async (req, user, options) => ({
+  _id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  phoneNumber: user.phoneNumber,
+  nationalId: user.nationalId,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  ...(await issueSession(req, user, options)),
+});
+
+// Send 429 with Retry-After for a locked account or client IP
+const sendLockout = (res, { retryAfter }) => {
+  const minutes = Math.ceil(retryAfter / 60);
+
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+    retryAfter,
+  });
+};
 
-// Generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user._id,
-      role: user.role,
-      email: user.email,
-      fullName: user.fullName
-    },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: "30d",
-    }
-  );
+// Answer a failed two-factor check; a lockout carries Retry-After like a locked login
+const sendTwoFactorFailure = (res, result) => {
+  if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+
+  return res.status(result.statusCode).json({
+    message: result.message,
+    ...(result.retryAfter && { retryAfter: result.retryAfter }),
+  });
+};
+
+// Count a failed login and answer 401, or 429 when this failure triggers a lockout
+const rejectLogin = async (req, res, email, message) => {
+  const lockout = await SecurityService.recordFailedLogin(email, req.ip);
+  if (lockout) return sendLockout(res, lockout);
+
+  return res.status(401).json({ message });
 };
 
 // @desc    Register a new user
@@ -30,7 +63,13 @@ export const registerUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { fullName, email, password, phoneNumber, nationalId, role } = req.body;
+    const { fullName, email, password, phoneNumber, nationalId } = req.body;
+
+    // Enforce the configured password rules
+    const passwordErrors = await SecurityService.checkPassword(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ errors: passwordErrors });
+    }
 
     // Check if user already exists
     const userExists = await User.findOne({
@@ -50,21 +89,20 @@ export const registerUser = async (req, res) => {
       }
     }
 
-    // Validate role if provided
-    const validRoles = ["user", "landOfficer", "admin"];
-    const userRole = role && validRoles.includes(role) ? role : "user";
-
-    // Create new user
+    // Public registration only creates citizens; staff accounts come from
+    // first-run setup and admin user management
     const user = await User.create({
       fullName,
       email,
       password,
       phoneNumber,
       nationalId,
-      role: userRole,
+      role: "user",
     });
 
     if (user) {
+      await AccountService.sendEmailVerification(user);
+
       res.status(201).json({
         _id: user._id,
         fullName: user.fullName,
@@ -72,7 +110,8 @@ export const registerUser = async (req, res) => {
         phoneNumber: user.phoneNumber,
         nationalId: user.nationalId,
         role: user.role,
-        token: generateToken(user),
+        emailVerified: user.emailVerified,
+        ...(await issueSession(req, user)),
       });
     } else {
       res.status(400).json({ message: "Invalid user data" });
@@ -116,11 +155,17 @@ export const loginUser = async (req, res) => {
       });
     }
 
+    const lockout = await SecurityService.getLockout(email, req.ip);
+    if (lockout) {
+      console.log('🔒 Login locked for:', email);
+      return sendLockout(res, lockout);
+    }
+
     const user = await User.findOne({ email }).maxTimeMS(8000);
 
     if (!user) {
       console.log('❌ User not found:', email);
-      return res.status(401).json({ message: "Invalid email or password" });
+      return rejectLogin(req, res, email, "Invalid email or password");
     }
 
     console.log('✅ User found:', user.email, 'Role:', user.role);
@@ -130,9 +175,17 @@ export const loginUser = async (req, res) => {
 
     if (!isMatch) {
       console.log('❌ Invalid password for:', email);
-      return res.status(401).json({ message: "Invalid email or password" });
+      return rejectLogin(req, res, email, "Invalid email or password");
     }
 
+    // Users with two-factor authentication, or whose role requires it, finish at /api/auth/2fa
+    const challenge = await TwoFactorService.getLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    await SecurityService.clearFailedLogins(email);
+
     console.log('✅ Login successful for:', email);
 
     // Return user data with token
@@ -143,7 +196,8 @@ export const loginUser = async (req, res) => {
       phoneNumber: user.phoneNumber,
       nationalId: user.nationalId,
       role: user.role,
-      token: generateToken(user),
+      emailVerified: user.emailVerified,
+      ...(await issueSession(req, user)),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -180,6 +234,11 @@ export const loginLandOfficer = async (req, res) => {
 
     const { email, password } = req.body;
 
+    const lockout = await SecurityService.getLockout(email, req.ip);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
+
     // Find user by email and role
     const user = await User.findOne({
       email,
@@ -187,16 +246,24 @@ export const loginLandOfficer = async (req, res) => {
     });
 
     if (!user) {
-      return res.status(401).json({ message: "Invalid credentials" });
+      return rejectLogin(req, res, email, "Invalid credentials");
     }
 
     // Check if password matches
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" });
+      return rejectLogin(req, res, email, "Invalid credentials");
+    }
+
+    // Users with two-factor authentication, or whose role requires it, finish at /api/auth/2fa
+    const challenge = await TwoFactorService.getLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
     }
 
+    await SecurityService.clearFailedLogins(email);
+
     // Return user data with token
     res.json({
       _id: user._id,
@@ -204,7 +271,8 @@ export const loginLandOfficer = async (req, res) => {
       email: user.email,
       phoneNumber: user.phoneNumber,
       role: user.role,
-      token: generateToken(user),
+      emailVerified: user.emailVerified,
+      ...(await issueSession(req, user)),
     });
   } catch (error) {
     console.error("Land officer login error:", error);
@@ -225,6 +293,11 @@ export const loginAdmin = async (req, res) => {
 
     const { username, password } = req.body;
 
+    const lockout = await SecurityService.getLockout(username, req.ip);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
+
     // Find user by username (email) and role
     const user = await User.findOne({
       email: username,
@@ -232,16 +305,24 @@ export const loginAdmin = async (req, res) => {
     });
 
     if (!user) {
-      return res.status(401).json({ message: "Invalid credentials" });
+      return rejectLogin(req, res, username, "Invalid credentials");
     }
 
     // Check if password matches
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" });
+      return rejectLogin(req, res, username, "Invalid credentials");
+    }
+
+    // Users with two-factor authentication, or whose role requires it, finish at /api/auth/2fa
+    const challenge = await TwoFactorService.getLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
     }
 
+    await SecurityService.clearFailedLogins(username);
+
     // Return user data with token
     res.json({
       _id: user._id,
@@ -249,7 +330,8 @@ export const loginAdmin = async (req, res) => {
       email: user.email,
       phoneNumber: user.phoneNumber,
       role: user.role,
-      token: generateToken(user),
+      emailVerified: user.emailVerified,
+      ...(await issueSession(req, user)),
     });
   } catch (error) {
     console.error("Admin login error:", error);
@@ -293,13 +375,41 @@ export const updateUserProfile = async (req, res) => {
       user.email = req.body.email || user.email;
       user.phoneNumber = req.body.phoneNumber || user.phoneNumber;
 
-      // Only update password if provided
+      // Update notification channel preferences if provided
+      if (req.body.notificationPreferences) {
+        ["inApp", "email", "sms"].forEach((channel) => {
+          if (typeof req.body.notificationPreferences[channel] === "boolean") {
+            user.notificationPreferences[channel] = req.body.notificationPreferences[channel];
+          }
+        });
+      }
+
+      // Only update password if provided, and only to one that meets the configured rules
       if (req.body.password) {
+        const passwordErrors = await SecurityService.checkPassword(req.body.password);
+        if (passwordErrors.length > 0) {
+          return res.status(400).json({ errors: passwordErrors });
+        }
+
         user.password = req.body.password;
       }
 
+      const passwordChanged = user.isModified("password");
+      const emailChanged = user.isModified("email");
       const updatedUser = await user.save();
 
+      // The new address needs verifying before the citizen can submit applications again
+      if (emailChanged) {
+        await AccountService.sendEmailVerification(updatedUser);
+      }
+
+      // A new password signs out every other device
+      if (passwordChanged) {
+        await SessionService.revokeAll(updatedUser._id, "password_changed", {
+          exceptSessionId: req.authSession._id,
+        });
+      }
+
       res.json({
         _id: updatedUser._id,
         fullName: updatedUser.fullName,
@@ -307,7 +417,9 @@ export const updateUserProfile = async (req, res) => {
         phoneNumber: updatedUser.phoneNumber,
         nationalId: updatedUser.nationalId,
         role: updatedUser.role,
-        token: generateToken(updatedUser._id),
+        emailVerified: updatedUser.emailVerified,
+        notificationPreferences: updatedUser.notificationPreferences,
+        ...(await SessionService.reissue(updatedUser, req.authSession)),
       });
     } else {
       res.status(404).json({ message: "User not found" });
@@ -318,42 +430,456 @@ export const updateUserProfile = async (req, res) => {
   }
 };
 
-// @desc    Bootstrap admin and land officer users (temporary endpoint)
-// @route   POST /api/auth/bootstrap-roles
-// @access  Public (should be removed after initial setup)
-export const bootstrapRoles = async (req, res) => {
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+export const refreshSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const result = await SessionService.refresh(req.body.refreshToken, {
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      _id: result.user._id,
+      role: result.user.role,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+    });
+  } catch (error) {
+    console.error("Session refresh error:", error);
+    res.status(500).json({ message: "Server error while refreshing session" });
+  }
+};
+
+// @desc    End the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logoutUser = async (req, res) => {
   try {
-    const { secret } = req.body;
+    await SessionService.revoke(req.user._id, req.authSession._id, "logout");
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+};
 
-    // Simple secret check for security
-    if (secret !== "bootstrap-land-registry-2025") {
-      return res.status(401).json({ message: "Invalid bootstrap secret" });
+// @desc    Get the active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
     }
 
-    // Update specific users to admin and landOfficer roles
-    const adminUpdate = await User.findOneAndUpdate(
-      { email: "cooladmin@gmail.com" },
-      { role: "admin" },
-      { new: true }
-    );
+    const sessions = await SessionService.listSessions(req.user._id, req.authSession?._id);
+    res.json({ sessions });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Server error while fetching sessions" });
+  }
+};
 
-    const landOfficerUpdate = await User.findOneAndUpdate(
-      { email: "mrland@gmail.com" },
-      { role: "landOfficer" },
-      { new: true }
+// @desc    End one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeSession = async (req, res) => {
+  try {
+    const revoked = await SessionService.revoke(req.user._id, req.params.sessionId, "logout");
+
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.json({ message: "Session ended" });
+  } catch (error) {
+    console.error("Error ending session:", error);
+    res.status(500).json({ message: "Server error while ending session" });
+  }
+};
+
+// @desc    End every session of the current user except this one
+// @route   POST /api/auth/sessions/logout-others
+// @access  Private
+export const logoutOtherSessions = async (req, res) => {
+  try {
+    const count = await SessionService.revokeAll(req.user._id, "logout_others", {
+      exceptSessionId: req.authSession._id,
+    });
+
+    res.json({ message: `Logged out of ${count} other session${count === 1 ? "" : "s"}`, count });
+  } catch (error) {
+    console.error("Error logging out other sessions:", error);
+    res.status(500).json({ message: "Server error while logging out other sessions" });
+  }
+};
+
+// @desc    Finish a login with a two-factor or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public (login challenge)
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = TwoFactorService.readChallenge(challengeToken, "login");
+    if (!challenge) {
+      return res.status(401).json({ message: "Login challenge expired. Please log in again." });
+    }
+
+    const user = await TwoFactorService.loadWithSecrets(challenge.id);
+    if (!user) {
+      return res.status(401).json({ message: "Login challenge expired. Please log in again." });
+    }
+
+    const lockout = await SecurityService.getLockout(user.email, req.ip);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const accepted = await TwoFactorService.consumeCode(user, { code, recoveryCode }, { allowRecovery: true });
+    if (!accepted) {
+      return rejectLogin(req, res, user.email, "Invalid verification code");
+    }
+
+    await SecurityService.clearFailedLogins(user.email);
+
+    res.json(await loginResponse(req, user, { twoFactorVerified: true }));
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error during login" });
+  }
+};
+
+// @desc    Get the two-factor status of the current user
+// @route   GET /api/auth/2fa/status
+// @access  Private
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    res.json(await TwoFactorService.getStatus(req.user));
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    res.status(500).json({ message: "Server error while fetching two-factor status" });
+  }
+};
+
+// @desc    Start two-factor enrolment and get the QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or setup challenge)
+export const startTwoFactorSetup = async (req, res) => {
+  try {
+    const result = await TwoFactorService.beginSetup(req.user._id);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ secret: result.secret, otpauthUrl: result.otpauthUrl, qrCode: result.qrCode });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ message: "Server error while starting two-factor setup" });
+  }
+};
+
+// @desc    Confirm enrolment with a code and get recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or setup challenge)
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await TwoFactorService.enable(req.user._id, req.body.code);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    // Enrolling during login completes it
+    if (req.twoFactorChallenge) {
+      await SecurityService.clearFailedLogins(result.user.email);
+
+      return res.json({
+        recoveryCodes: result.recoveryCodes,
+        ...(await loginResponse(req, result.user, { twoFactorVerified: true })),
+      });
+    }
+
+    await TwoFactorService.markSessionVerified(req.authSession._id);
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({ message: "Server error while enabling two-factor authentication" });
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await TwoFactorService.disable(req.user._id, req.body, req.ip);
+
+    if (!result.success) {
+      return sendTwoFactorFailure(res, result);
+    }
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({ message: "Server error while disabling two-factor authentication" });
+  }
+};
+
+// @desc    Replace the current user's recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code, req.ip);
+
+    if (!result.success) {
+      return sendTwoFactorFailure(res, result);
+    }
+
+    res.json({ recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "Server error while regenerating recovery codes" });
+  }
+};
+
+// @desc    Verify a code for high-risk actions in this session
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+export const verifyStepUp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await TwoFactorService.loadWithSecrets(req.user._id);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const check = await TwoFactorService.verifyUserCode(user, req.body.code, req.ip);
+    if (!check.success) {
+      return sendTwoFactorFailure(res, check);
+    }
+
+    await TwoFactorService.markSessionVerified(req.authSession._id);
+
+    res.json({ message: "Verified" });
+  } catch (error) {
+    console.error("Error verifying two-factor code:", error);
+    res.status(500).json({ message: "Server error while verifying two-factor code" });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    await AccountService.requestPasswordReset(req.body.email);
+
+    // Same answer whether or not the address has an account
+    res.json({ message: "If an account uses this email address, a password reset link has been sent to it." });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "Server error while requesting password reset" });
+  }
+};
+
+// @desc    Set a new password from a reset link
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+export const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const result = await AccountService.resetPassword(req.body.token, req.body.newPassword);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        message: result.message,
+        ...(result.errors && { errors: result.errors }),
+      });
+    }
+
+    res.json({ message: "Your password has been reset. Please log in with your new password." });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "Server error while resetting password" });
+  }
+};
+
+// @desc    Verify an email address from a verification link
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+export const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const result = await AccountService.verifyEmail(req.body.token);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: "Your email address has been verified.", email: result.user.email });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).json({ message: "Server error while verifying email" });
+  }
+};
+
+// @desc    Send a new verification link to the current user's email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const result = await AccountService.sendEmailVerification(req.user);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: `A verification link has been sent to ${req.user.email}.` });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    res.status(500).json({ message: "Server error while sending verification email" });
+  }
+};
+
+// @desc    Create the first admin account
+// @route   POST /api/auth/setup
+// @access  Public (requires the one-time setup token)
+export const setupFirstAdmin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokenCheck = SetupService.checkSetupToken(req.body.setupToken);
+    if (!tokenCheck.success) {
+      return res.status(tokenCheck.statusCode).json({ message: tokenCheck.message });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const { fullName, email, password, phoneNumber, nationalId } = req.body;
+    const result = await SetupService.createFirstAdmin(
+      { fullName, email, password, phoneNumber, nationalId },
+      { source: "http", ipAddress: req.ip }
     );
 
-    const results = {
-      admin: adminUpdate ? "Updated" : "Not found",
-      landOfficer: landOfficerUpdate ? "Updated" : "Not found"
-    };
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, errors: result.errors });
+    }
 
-    res.json({
-      message: "Bootstrap completed",
-      results
+    res.status(201).json({
+      message: "Setup complete. You can now log in as the admin.",
+      user: {
+        _id: result.user._id,
+        fullName: result.user.fullName,
+        email: result.user.email,
+        role: result.user.role,
+      },
     });
   } catch (error) {
-    console.error("Bootstrap error:", error);
-    res.status(500).json({ message: "Server error during bootstrap" });
+    console.error("Setup error:", error);
+    res.status(500).json({ message: "Server error during setup" });
   }
 };
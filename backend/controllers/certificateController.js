@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+import { validationResult } from "express-validator";
+import Certificate from "../models/Certificate.js";
+import Property from "../models/Property.js";
+import CertificateService from "../services/certificateService.js";
+
+// API origin used in certificate verification links
+const getPublicApiUrl = (req) => process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+
+// @desc    Get the current certificate and certificate history of a property
+// @route   GET /api/certificates/property/:id
+// @access  Private (Owner, Admin, Land Officer)
+export const getPropertyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ property: req.params.id })
+      .select("-signature")
+      .populate("issuedBy", "fullName role")
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      current: certificates.find((certificate) => certificate.status === "valid") || null,
+      history: certificates,
+    });
+  } catch (error) {
+    console.error("Error fetching certificates:", error);
+    res.status(500).json({ message: "Server error while fetching certificates" });
+  }
+};
+
+// @desc    Download the current certificate of a property as a PDF
+// @route   GET /api/certificates/property/:id/download
+// @access  Private (Owner, Admin, Land Officer)
+export const downloadPropertyCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ property: req.params.id, status: "valid" });
+
+    if (!certificate) {
+      return res.status(404).json({ message: "No valid certificate has been issued for this property" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="certificate-${certificate.certificateNumber}.pdf"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    await CertificateService.writeCertificatePDF(certificate, res, {
+      verificationUrl: CertificateService.getVerificationUrl(certificate, getPublicApiUrl(req)),
+    });
+  } catch (error) {
+    console.error("Error downloading certificate:", error);
+
+    // Once the PDF has started streaming the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({ message: "Server error while downloading certificate" });
+  }
+};
+
+// @desc    Re-issue the certificate of an approved property (e.g. to replace a lost copy)
+// @route   POST /api/certificates/property/:id/reissue
+// @access  Private (Admin)
+export const reissueCertificate = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({ message: "Property not found" });
+    }
+
+    if (property.status !== "approved") {
+      return res.status(400).json({ message: "Certificates can only be issued for approved properties" });
+    }
+
+    const certificate = await CertificateService.issueCertificate(property._id, {
+      reason: "reissue",
+      issuedBy: req.user,
+    });
+
+    res.status(201).json(certificate);
+  } catch (error) {
+    console.error("Error re-issuing certificate:", error);
+    res.status(500).json({ message: "Server error while re-issuing certificate" });
+  }
+};
+
+// @desc    Revoke a certificate
+// @route   PUT /api/certificates/:id/revoke
+// @access  Private (Admin)
+export const revokeCertificate = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await Certificate.findById(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({ message: "Certificate not found" });
+    }
+
+    if (certificate.status !== "valid") {
+      return res.status(400).json({ message: `Certificate is already ${certificate.status}` });
+    }
+
+    const revoked = await CertificateService.revokeCertificate(certificate, req.user, req.body.reason);
+
+    res.json(revoked);
+  } catch (error) {
+    console.error("Error revoking certificate:", error);
+    res.status(500).json({ message: "Server error while revoking certificate" });
+  }
+};
+
+// @desc    Verify a certificate
+// @route   GET /api/certificates/:certificateNumber/verify
+// @access  Public
+export const verifyCertificate = async (req, res) => {
+  try {
+    const result = await CertificateService.verifyCertificate(req.params.certificateNumber);
+
+    if (!result) {
+      return res.status(404).json({
+        valid: false,
+        status: "not_found",
+        message: "No certificate with this number was issued by the registry",
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error verifying certificate:", error);
+    res.status(500).json({ message: "Server error while verifying certificate" });
+  }
+};
+
+// @desc    Get the public key certificates are signed with
+// @route   GET /api/certificates/public-key
+// @access  Public
+export const getCertificatePublicKey = (req, res) => {
+  try {
+    res.json(CertificateService.getPublicKey());
+  } catch (error) {
+    console.error("Error loading certificate public key:", error);
+    res.status(500).json({ message: "Server error while loading certificate public key" });
+  }
+};
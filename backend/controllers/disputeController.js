@@ -1,9 +1,11 @@
 import { validationResult } from "express-validator";
 import Dispute from "../models/Dispute.js";
 import Property from "../models/Property.js";
-import ApplicationLog from "../models/ApplicationLog.js";
 import User from "../models/User.js";
 import NotificationService from "../services/notificationService.js";
+import WorkflowService from "../services/workflowService.js";
+import DisputeResolutionService, { RESOLUTION_ACTION_LABELS } from "../services/disputeResolutionService.js";
+import { ACTIVE_DISPUTE_STATUSES } from "../services/workflows.js";
 
 // @desc    Submit a new dispute
 // @route   POST /api/disputes
@@ -39,7 +41,7 @@ export const submitDispute = async (req, res) => {
     // Check if there's already an active dispute for this property
     const existingDispute = await Dispute.findOne({
       property,
-      status: { $in: ["submitted", "under_review", "investigation", "mediation"] }
+      status: { $in: ACTIVE_DISPUTE_STATUSES }
     });
 
     if (existingDispute) {
@@ -86,16 +88,11 @@ export const submitDispute = async (req, res) => {
     });
 
     // Create application log entry
-    await ApplicationLog.create({
-      property,
-      user: req.user._id,
-      action: "dispute_submitted",
-      status: "under_review",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
+    await WorkflowService.logCreated("dispute", dispute, {
+      user: req.user,
+      logAction: "dispute_submitted",
       notes: `Dispute submitted: ${title}`,
       metadata: {
-        disputeId: dispute._id,
         disputeType
       }
     });
@@ -197,8 +194,7 @@ export const withdrawDispute = async (req, res) => {
 
     const dispute = await Dispute.findOne({
       _id: req.params.id,
-      disputant: req.user._id,
-      status: { $in: ["submitted", "under_review", "investigation"] }
+      disputant: req.user._id
     });
 
     if (!dispute) {
@@ -207,43 +203,16 @@ export const withdrawDispute = async (req, res) => {
       });
     }
 
-    // Update dispute status
-    dispute.status = "withdrawn";
-    dispute.timeline.push({
-      action: "Dispute withdrawn by disputant",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: reason || "Dispute withdrawn by user"
-    });
-
-    await dispute.save();
-
-    // Update property to remove active dispute flag if no other active disputes
-    const activeDisputes = await Dispute.countDocuments({
-      property: dispute.property,
-      status: { $in: ["submitted", "under_review", "investigation", "mediation"] }
+    // Withdrawing also clears the property's dispute flag when no other dispute is active
+    const result = await WorkflowService.transition("dispute", dispute, "withdraw", {
+      user: req.user,
+      notes: reason
     });
 
-    if (activeDisputes === 0) {
-      await Property.findByIdAndUpdate(dispute.property, {
-        hasActiveDispute: false
-      });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
     }
 
-    // Create application log entry
-    await ApplicationLog.create({
-      property: dispute.property,
-      user: req.user._id,
-      action: "dispute_withdrawn",
-      status: "withdrawn",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: reason || "Dispute withdrawn by user",
-      metadata: {
-        disputeId: dispute._id
-      }
-    });
-
     res.json({ message: "Dispute withdrawn successfully", dispute });
   } catch (error) {
     console.error("Error withdrawing dispute:", error);
@@ -398,10 +367,19 @@ export const getAllDisputes = async (req, res) => {
 export const getDisputeByIdAdmin = async (req, res) => {
   try {
     const dispute = await Dispute.findById(req.params.id)
-      .populate('property', 'plotNumber location propertyType owner documents')
+      .populate({
+        path: 'property',
+        select: 'plotNumber location propertyType area status owner documents ownershipHistory currentTransfer',
+        populate: [
+          { path: 'owner', select: 'fullName email' },
+          { path: 'ownershipHistory.owner', select: 'fullName email' }
+        ]
+      })
       .populate('disputant', 'fullName email phoneNumber')
       .populate('assignedTo', 'fullName email role')
       .populate('resolution.resolvedBy', 'fullName')
+      .populate('resolutionActions.proposedBy', 'fullName role')
+      .populate('resolutionActions.confirmedBy', 'fullName role')
       .populate('timeline.performedBy', 'fullName role');
 
     if (!dispute) {
@@ -432,16 +410,21 @@ export const updateDisputeStatus = async (req, res) => {
       return res.status(404).json({ message: "Dispute not found" });
     }
 
-    // Update dispute status
-    dispute.status = status;
-    dispute.timeline.push({
-      action: `Status updated to ${status}`,
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
+    const action = WorkflowService.findAction("dispute", dispute.status, status);
+    if (!action) {
+      return res.status(400).json({
+        message: `Cannot change a dispute from ${dispute.status} to ${status}`
+      });
+    }
+
+    const result = await WorkflowService.transition("dispute", dispute, action, {
+      user: req.user,
       notes
     });
 
-    await dispute.save();
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
     // Populate the updated dispute
     const populatedDispute = await Dispute.findById(dispute._id)
@@ -486,46 +469,23 @@ export const resolveDispute = async (req, res) => {
       return res.status(404).json({ message: "Dispute not found" });
     }
 
-    // Update dispute with resolution
-    dispute.status = "resolved";
-    dispute.resolution = {
-      decision,
-      resolutionNotes,
-      resolvedBy: req.user._id,
-      resolutionDate: new Date(),
-      actionRequired: actionRequired || ""
-    };
-
-    dispute.timeline.push({
-      action: `Dispute resolved with decision: ${decision}`,
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: resolutionNotes
-    });
-
-    await dispute.save();
-
-    // Update property to remove active dispute flag if resolved
-    await Property.findByIdAndUpdate(dispute.property, {
-      hasActiveDispute: false
-    });
-
-    // Create application log entry
-    await ApplicationLog.create({
-      property: dispute.property,
-      user: dispute.disputant,
-      action: "dispute_resolved",
-      status: "resolved",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: `Dispute resolved: ${decision}`,
-      metadata: {
-        disputeId: dispute._id,
+    // Resolving also clears the property's dispute flag when no other dispute is active
+    const result = await WorkflowService.transition("dispute", dispute, "resolve", {
+      user: req.user,
+      notes: resolutionNotes,
+      params: {
         decision,
-        resolvedBy: req.user._id
+        actionRequired
+      },
+      metadata: {
+        decision
       }
     });
 
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
     // Populate the resolved dispute
     const populatedDispute = await Dispute.findById(dispute._id)
       .populate('property', 'plotNumber location propertyType')
@@ -600,3 +560,108 @@ export const assignDispute = async (req, res) => {
     res.status(500).json({ message: "Server error while assigning dispute" });
   }
 };
+
+// @desc    Propose a resolution action for a resolved dispute (Admin/Land Officer)
+// @route   POST /api/disputes/admin/:id/actions
+// @access  Private (Admin, Land Officer)
+export const proposeResolutionAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, params, notes } = req.body;
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: "Dispute not found" });
+    }
+
+    const result = await DisputeResolutionService.proposeAction(dispute, { type, params, notes }, req.user);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: "Resolution action proposed; it will be applied once an admin confirms it",
+      action: result.action,
+    });
+  } catch (error) {
+    console.error("Error proposing resolution action:", error);
+    res.status(500).json({ message: "Server error while proposing resolution action" });
+  }
+};
+
+// @desc    Confirm and apply a proposed resolution action (Admin only)
+// @route   PUT /api/disputes/admin/:id/actions/:actionId/confirm
+// @access  Private (Admin)
+export const confirmResolutionAction = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: "Dispute not found" });
+    }
+
+    const property = await Property.findById(dispute.property).select("owner");
+    const previousOwner = property?.owner;
+
+    const result = await DisputeResolutionService.confirmAction(dispute._id, req.params.actionId, req.user);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    // The disputant and everyone who owned the property before or after the action are told
+    const recipients = [dispute.disputant, previousOwner, result.property.owner]
+      .filter(Boolean)
+      .map((userId) => userId.toString())
+      .filter((userId, index, all) => all.indexOf(userId) === index);
+
+    await NotificationService.sendDisputeActionAppliedNotification(
+      result.dispute,
+      result.property,
+      RESOLUTION_ACTION_LABELS[result.action.type],
+      recipients
+    );
+
+    res.json({
+      message: "Resolution action applied",
+      action: result.action,
+      property: result.property,
+      certificate: result.certificate,
+    });
+  } catch (error) {
+    console.error("Error confirming resolution action:", error);
+    res.status(500).json({ message: "Server error while confirming resolution action" });
+  }
+};
+
+// @desc    Reject a proposed resolution action (Admin only)
+// @route   PUT /api/disputes/admin/:id/actions/:actionId/reject
+// @access  Private (Admin)
+export const rejectResolutionAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: "Dispute not found" });
+    }
+
+    const result = await DisputeResolutionService.rejectAction(dispute, req.params.actionId, req.body.reason, req.user);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: "Resolution action rejected", action: result.action });
+  } catch (error) {
+    console.error("Error rejecting resolution action:", error);
+    res.status(500).json({ message: "Server error while rejecting resolution action" });
+  }
+};
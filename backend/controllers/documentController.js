@@ -2,6 +2,7 @@ import Document from "../models/Document.js";
 import Property from "../models/Property.js";
 import User from "../models/User.js";
 import ApplicationLog from "../models/ApplicationLog.js";
+import WorkflowService from "../services/workflowService.js";
 import { validationResult } from "express-validator";
 import fs from "fs";
 import { uploadToGridFS, uploadBufferToGridFS, deleteFromGridFS, getFileStream, getFileInfo } from "../config/gridfs.js";
@@ -41,22 +42,21 @@ const checkAllDocumentsValidated = async (propertyId) => {
 
     if (allRequiredDocumentsVerified && !property.documentsValidated) {
       // Update property status to documents_validated
-      property.documentsValidated = true;
-      property.status = 'documents_validated';
-      await property.save();
-
-      // Create application log
-      await ApplicationLog.create({
-        property: propertyId,
-        user: property.owner,
-        action: "all_documents_validated",
-        status: "documents_validated",
-        previousStatus: property.status,
-        performedBy: null, // System action
-        performedByRole: 'system',
+      const result = await WorkflowService.transition("property", property, "validate_documents", {
+        system: true,
         notes: "All required documents (title deed, ID copy, tax clearance, application form) have been validated"
       });
 
+      if (!result.success) {
+        console.log(`Documents of property ${propertyId} not marked validated: ${result.message}`);
+        return allRequiredDocumentsVerified;
+      }
+
+      // Re-verified documents of a paid registration need no further payment
+      if (property.paymentCompleted) {
+        return allRequiredDocumentsVerified;
+      }
+
       // Send payment required notification now that all documents are validated
       try {
         const { default: NotificationService } = await import('../services/notificationService.js');
@@ -66,7 +66,7 @@ const checkAllDocumentsValidated = async (propertyId) => {
         const user = await User.findById(property.owner);
         if (user) {
           // Calculate payment amount
-          const calculation = PaymentCalculationService.calculateRegistrationFee(property, user);
+          const calculation = await PaymentCalculationService.calculateRegistrationFee(property, user);
           const amount = calculation.summary.totalAmount;
 
           // Send payment notification
@@ -1004,6 +1004,15 @@ export const requestDocumentUpdate = async (req, res) => {
       notes: req.body.reason || "Document update requested",
     });
 
+    // Send the application back for document updates while it has not been paid for
+    const property = await Property.findById(document.property);
+    if (property && !WorkflowService.check("property", property, "request_documents", { user: req.user })) {
+      await WorkflowService.transition("property", property, "request_documents", {
+        user: req.user,
+        notes: req.body.reason,
+      });
+    }
+
     res.json(updatedDocument);
   } catch (error) {
     console.error("Error requesting document update:", error);
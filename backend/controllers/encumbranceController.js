@@ -0,0 +1,163 @@
+import mongoose from "mongoose";
+import { validationResult } from "express-validator";
+import Encumbrance from "../models/Encumbrance.js";
+import Property from "../models/Property.js";
+import User from "../models/User.js";
+import EncumbranceService from "../services/encumbranceService.js";
+import NotificationService from "../services/notificationService.js";
+
+// @desc    Register an encumbrance on a property
+// @route   POST /api/encumbrances
+// @access  Private (Admin, Land Officer)
+export const registerEncumbrance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const { property: propertyId, type, holder, amount, currency, description, blocking, registrationDate } = req.body;
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      return res.status(404).json({ message: "Property not found" });
+    }
+
+    const result = await EncumbranceService.register(
+      property,
+      {
+        type,
+        holder,
+        ...(amount !== undefined && { amount: { value: amount, currency: currency || "ETB" } }),
+        description,
+        ...(blocking !== undefined && { blocking }),
+        ...(registrationDate && { registrationDate }),
+      },
+      req.user
+    );
+
+    const owner = await User.findById(property.owner).select("fullName");
+    if (owner) {
+      await NotificationService.sendEncumbranceNotification(result.encumbrance, property, owner, "registered");
+    }
+
+    res.status(201).json({
+      message: "Encumbrance registered",
+      encumbrance: result.encumbrance,
+      certificate: result.certificate,
+    });
+  } catch (error) {
+    console.error("Error registering encumbrance:", error);
+    res.status(500).json({ message: "Server error while registering encumbrance" });
+  }
+};
+
+// @desc    Get encumbrances (Admin/Land Officer)
+// @route   GET /api/encumbrances
+// @access  Private (Admin, Land Officer)
+export const getEncumbrances = async (req, res) => {
+  try {
+    const { status, type, holderType, property, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (holderType) query["holder.holderType"] = holderType;
+    if (property) query.property = property;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const encumbrances = await Encumbrance.find(query)
+      .populate("property", "plotNumber location propertyType status")
+      .populate("registeredBy", "fullName role")
+      .populate("releasedBy", "fullName role")
+      .sort({ registrationDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Encumbrance.countDocuments(query);
+
+    res.json({
+      encumbrances,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching encumbrances:", error);
+    res.status(500).json({ message: "Server error while fetching encumbrances" });
+  }
+};
+
+// @desc    Get the encumbrances of a property, active first
+// @route   GET /api/encumbrances/property/:id
+// @access  Private (Owner, Admin, Land Officer)
+export const getPropertyEncumbrances = async (req, res) => {
+  try {
+    const encumbrances = await Encumbrance.find({ property: req.params.id })
+      .populate("registeredBy", "fullName role")
+      .populate("releasedBy", "fullName role")
+      .sort({ status: 1, registrationDate: -1 });
+
+    const active = encumbrances.filter((encumbrance) => encumbrance.status === "active");
+
+    res.json({
+      active,
+      history: encumbrances.filter((encumbrance) => encumbrance.status !== "active"),
+      transferBlocked: EncumbranceService.checkEncumbrances(active, "transfer").blocked,
+    });
+  } catch (error) {
+    console.error("Error fetching property encumbrances:", error);
+    res.status(500).json({ message: "Server error while fetching property encumbrances" });
+  }
+};
+
+// @desc    Release an encumbrance
+// @route   PUT /api/encumbrances/:id/release
+// @access  Private (Admin, Land Officer)
+export const releaseEncumbrance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const result = await EncumbranceService.release(req.params.id, req.body.reason, req.user);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const property = await Property.findById(result.encumbrance.property).select("plotNumber owner");
+    const owner = property && await User.findById(property.owner).select("fullName");
+    if (owner) {
+      await NotificationService.sendEncumbranceNotification(result.encumbrance, property, owner, "released");
+    }
+
+    res.json({
+      message: "Encumbrance released",
+      encumbrance: result.encumbrance,
+      certificate: result.certificate,
+    });
+  } catch (error) {
+    console.error("Error releasing encumbrance:", error);
+    res.status(500).json({ message: "Server error while releasing encumbrance" });
+  }
+};
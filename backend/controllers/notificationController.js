@@ -0,0 +1,203 @@
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import NotificationService from "../services/notificationService.js";
+
+// @desc    Get notifications for the current user
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = async (req, res) => {
+  try {
+    const { type, read, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = { user: req.user._id, inApp: { $ne: false } };
+
+    // Filter by type if provided
+    if (type) {
+      query.type = type;
+    }
+
+    // Filter by read state if provided
+    if (read === "true" || read === "false") {
+      query.read = read === "true";
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("-deliveries");
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user._id, inApp: { $ne: false }, read: false }),
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching notifications" });
+  }
+};
+
+// @desc    Get notification statistics for the current user
+// @route   GET /api/notifications/stats
+// @access  Private
+export const getNotificationStats = async (req, res) => {
+  try {
+    const stats = await NotificationService.getNotificationStats(req.user._id);
+
+    if (!stats) {
+      return res
+        .status(500)
+        .json({ message: "Server error while fetching notification stats" });
+    }
+
+    res.json(stats);
+  } catch (error) {
+    console.error("Error fetching notification stats:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching notification stats" });
+  }
+};
+
+// @desc    Retry email and SMS deliveries that failed or never finished
+// @route   GET /api/notifications/deliveries/retry
+// @access  Scheduled job (CRON_SECRET)
+export const retryNotificationDeliveries = async (req, res) => {
+  try {
+    const result = await NotificationService.retryFailedDeliveries();
+
+    if (!result.success) {
+      return res
+        .status(503)
+        .json({ message: "Notification deliveries could not be retried", error: result.error });
+    }
+
+    res.json({ retried: result.retried });
+  } catch (error) {
+    console.error("Error retrying notification deliveries:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while retrying notification deliveries" });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+export const markNotificationAsRead = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while updating notification" });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while updating notifications" });
+  }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+export const deleteNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json({ message: "Notification deleted" });
+  } catch (error) {
+    console.error("Error deleting notification:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while deleting notification" });
+  }
+};
+
+// @desc    Delete all notifications for the current user
+// @route   DELETE /api/notifications
+// @access  Private
+export const clearNotifications = async (req, res) => {
+  try {
+    const result = await Notification.deleteMany({
+      user: req.user._id,
+      inApp: { $ne: false },
+    });
+
+    res.json({
+      message: "All notifications deleted",
+      deleted: result.deletedCount,
+    });
+  } catch (error) {
+    console.error("Error clearing notifications:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while deleting notifications" });
+  }
+};
@@ -0,0 +1,261 @@
+import mongoose from "mongoose";
+import { validationResult } from "express-validator";
+import ParcelChange from "../models/ParcelChange.js";
+import ParcelChangeService from "../services/parcelChangeService.js";
+import WorkflowService from "../services/workflowService.js";
+
+const isOfficer = (user) => ["admin", "landOfficer"].includes(user.role);
+
+// Whether the user may see a parcel change
+const canView = (change, user) =>
+  isOfficer(user) || (change.owner._id || change.owner).toString() === user._id.toString();
+
+const submitChange = async (req, res, operation, parentIds, children) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      message: "Database connection issue. Please try again.",
+      error: "Service temporarily unavailable",
+    });
+  }
+
+  const result = await ParcelChangeService.submit(
+    { operation, parentIds, children, reason: req.body.reason.trim() },
+    req.user
+  );
+
+  if (!result.success) {
+    return res.status(result.statusCode).json({ message: result.message });
+  }
+
+  res.status(201).json({
+    message: `${operation === "subdivide" ? "Subdivision" : "Merge"} application submitted`,
+    parcelChange: result.parcelChange,
+    warnings: result.warnings,
+  });
+};
+
+// @desc    Apply to subdivide a plot
+// @route   POST /api/parcel-changes/subdivide
+// @access  Private (Owner)
+export const submitSubdivision = async (req, res) => {
+  try {
+    await submitChange(req, res, "subdivide", [req.body.propertyId], req.body.children);
+  } catch (error) {
+    console.error("Error submitting subdivision:", error);
+    res.status(500).json({ message: "Server error while submitting subdivision" });
+  }
+};
+
+// @desc    Apply to merge neighbouring plots
+// @route   POST /api/parcel-changes/merge
+// @access  Private (Owner)
+export const submitMerge = async (req, res) => {
+  try {
+    await submitChange(req, res, "merge", req.body.propertyIds, [req.body.child]);
+  } catch (error) {
+    console.error("Error submitting merge:", error);
+    res.status(500).json({ message: "Server error while submitting merge" });
+  }
+};
+
+// @desc    Get parcel changes; citizens see their own, officers see all
+// @route   GET /api/parcel-changes
+// @access  Private
+export const getParcelChanges = async (req, res) => {
+  try {
+    const { status, operation, property, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (!isOfficer(req.user)) query.owner = req.user._id;
+    if (status) query.status = status;
+    if (operation) query.operation = operation;
+    if (property) query.parents = property;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const parcelChanges = await ParcelChange.find(query)
+      .populate("owner", "fullName email phoneNumber")
+      .populate("parents", "plotNumber area location propertyType status")
+      .populate("reviewedBy", "fullName role")
+      .sort({ submissionDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ParcelChange.countDocuments(query);
+
+    res.json({
+      parcelChanges,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching parcel changes:", error);
+    res.status(500).json({ message: "Server error while fetching parcel changes" });
+  }
+};
+
+// @desc    Get a parcel change with the actions available to the user
+// @route   GET /api/parcel-changes/:id
+// @access  Private (Owner, Admin, Land Officer)
+export const getParcelChangeById = async (req, res) => {
+  try {
+    const parcelChange = await ParcelChange.findById(req.params.id)
+      .populate("owner", "fullName email phoneNumber")
+      .populate("parents", "plotNumber area location propertyType status boundary")
+      .populate("children.property", "plotNumber status")
+      .populate("reviewedBy", "fullName role")
+      .populate("fee.waivedBy", "fullName role")
+      .populate("timeline.performedBy", "fullName role");
+
+    if (!parcelChange || !canView(parcelChange, req.user)) {
+      return res.status(404).json({ message: "Parcel change not found" });
+    }
+
+    res.json({
+      parcelChange,
+      availableActions: WorkflowService.getAvailableActions("parcelChange", parcelChange, req.user),
+    });
+  } catch (error) {
+    console.error("Error fetching parcel change:", error);
+    res.status(500).json({ message: "Server error while fetching parcel change" });
+  }
+};
+
+// @desc    Get the plots a property came from and the plots that replaced it
+// @route   GET /api/parcel-changes/property/:id/lineage
+// @access  Private (Owner, Admin, Land Officer)
+export const getPropertyLineage = async (req, res) => {
+  try {
+    const result = await ParcelChangeService.getLineage(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      parents: result.parents,
+      children: result.children,
+      parcelChanges: result.changes,
+    });
+  } catch (error) {
+    console.error("Error fetching property lineage:", error);
+    res.status(500).json({ message: "Server error while fetching property lineage" });
+  }
+};
+
+// @desc    Approve a parcel change, registering the new plots and retiring the parents
+// @route   PUT /api/parcel-changes/:id/approve
+// @access  Private (Admin, Land Officer)
+export const approveParcelChange = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const result = await ParcelChangeService.approve(req.params.id, req.user, req.body.notes);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      message: "Parcel change approved",
+      parcelChange: result.parcelChange,
+      properties: result.properties,
+      certificates: result.certificates,
+    });
+  } catch (error) {
+    console.error("Error approving parcel change:", error);
+    res.status(500).json({ message: "Server error while approving parcel change" });
+  }
+};
+
+// @desc    Reject a parcel change
+// @route   PUT /api/parcel-changes/:id/reject
+// @access  Private (Admin, Land Officer)
+export const rejectParcelChange = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parcelChange = await ParcelChange.findById(req.params.id);
+    if (!parcelChange) {
+      return res.status(404).json({ message: "Parcel change not found" });
+    }
+
+    const result = await ParcelChangeService.reject(parcelChange, req.user, req.body.reason.trim());
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: "Parcel change rejected", parcelChange });
+  } catch (error) {
+    console.error("Error rejecting parcel change:", error);
+    res.status(500).json({ message: "Server error while rejecting parcel change" });
+  }
+};
+
+// @desc    Cancel a pending parcel change
+// @route   PUT /api/parcel-changes/:id/cancel
+// @access  Private (Owner)
+export const cancelParcelChange = async (req, res) => {
+  try {
+    const parcelChange = await ParcelChange.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!parcelChange) {
+      return res.status(404).json({ message: "Parcel change not found or cannot be cancelled" });
+    }
+
+    const result = await WorkflowService.transition("parcelChange", parcelChange, "cancel", {
+      user: req.user,
+      notes: req.body.reason,
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: "Parcel change cancelled", parcelChange });
+  } catch (error) {
+    console.error("Error cancelling parcel change:", error);
+    res.status(500).json({ message: "Server error while cancelling parcel change" });
+  }
+};
+
+// @desc    Waive the fee of a pending parcel change
+// @route   PUT /api/parcel-changes/:id/fee/waive
+// @access  Private (Admin, Land Officer)
+export const waiveParcelChangeFee = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parcelChange = await ParcelChange.findById(req.params.id);
+    if (!parcelChange) {
+      return res.status(404).json({ message: "Parcel change not found" });
+    }
+
+    const result = await ParcelChangeService.waiveFee(parcelChange, req.body.reason.trim(), req.user);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: "Parcel change fee waived", parcelChange });
+  } catch (error) {
+    console.error("Error waiving parcel change fee:", error);
+    res.status(500).json({ message: "Server error while waiving parcel change fee" });
+  }
+};
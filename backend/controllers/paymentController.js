@@ -7,6 +7,10 @@ import fs from "fs";
 import PaymentCalculationService from "../services/paymentCalculationService.js";
 import simulatedPaymentGateway from "../services/simulatedPaymentGateway.js";
 import NotificationService from "../services/notificationService.js";
+import ReceiptService from "../services/receiptService.js";
+import WorkflowService from "../services/workflowService.js";
+import TransferFeeService from "../services/transferFeeService.js";
+import ParcelChangeService from "../services/parcelChangeService.js";
 import crypto from "crypto";
 
 // @desc    Create a new payment for a property
@@ -36,6 +40,17 @@ export const createPayment = async (req, res) => {
     const { amount, currency, paymentType, paymentMethod, transactionId } =
       req.body;
 
+    // Payments can only be made once the documents are validated
+    const workflowError = WorkflowService.check("property", property, "initiate_payment", { user: req.user });
+    if (workflowError) {
+      return res.status(workflowError.statusCode).json({ message: workflowError.message });
+    }
+
+    // Record the fee schedule in force for the application
+    const feeSchedule = await PaymentCalculationService.getFeeSchedule(
+      property.registrationDate || new Date()
+    );
+
     // Create payment
     const payment = await Payment.create({
       property: property._id,
@@ -46,23 +61,18 @@ export const createPayment = async (req, res) => {
       paymentMethod,
       transactionId,
       status: "pending",
+      feeSchedule: feeSchedule._id,
+      feeScheduleVersion: feeSchedule.version,
     });
 
     // Add payment to property
     property.payments.push(payment._id);
-    await property.save();
-
-    // Create application log
-    await ApplicationLog.create({
-      property: property._id,
-      user: req.user._id,
-      action: "payment_made",
-      status: property.status,
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
+    await WorkflowService.transition("property", property, "initiate_payment", {
+      user: req.user,
       notes: `Payment of ${amount} ${
         currency || "ETB"
       } made for ${paymentType}`,
+      metadata: { paymentId: payment._id },
     });
 
     res.status(201).json(payment);
@@ -177,6 +187,7 @@ export const updatePaymentStatus = async (req, res) => {
     }
 
     // Update payment
+    const previousStatus = payment.status;
     payment.status = status;
     if (transactionId) {
       payment.transactionId = transactionId;
@@ -190,7 +201,7 @@ export const updatePaymentStatus = async (req, res) => {
       user: payment.user,
       action: `payment_${status}`,
       status: status,
-      previousStatus: payment.status,
+      previousStatus,
       performedBy: req.user._id,
       performedByRole: req.user.role,
       notes: `Payment status updated to ${status}`,
@@ -384,6 +395,16 @@ export const verifyPayment = async (req, res) => {
       return res.status(404).json({ message: "Payment not found" });
     }
 
+    // The property must be ready for payment before a payment can complete it
+    const property = payment.property;
+    const completesProperty = Boolean(property) && !payment.transfer && !payment.parcelChange && !property.paymentCompleted;
+    if (completesProperty) {
+      const workflowError = WorkflowService.check("property", property, "complete_payment", { user: req.user });
+      if (workflowError) {
+        return res.status(workflowError.statusCode).json({ message: workflowError.message });
+      }
+    }
+
     // Update payment
     payment.status = "completed";
     payment.verifiedBy = req.user._id;
@@ -393,25 +414,29 @@ export const verifyPayment = async (req, res) => {
 
     const updatedPayment = await payment.save();
 
+    // Transfer fees complete the transfer's fee components
+    if (payment.transfer) {
+      const recorded = await TransferFeeService.recordPayment(payment, { user: req.user });
+      if (!recorded.success) {
+        console.error(`Payment ${payment._id} verified but transfer ${payment.transfer} was not updated: ${recorded.message}`);
+      }
+    }
+
+    // Subdivision and merge fees complete the parcel change's fee
+    if (payment.parcelChange) {
+      const recorded = await ParcelChangeService.recordPayment(payment, { user: req.user });
+      if (!recorded.success) {
+        console.error(`Payment ${payment._id} verified but parcel change ${payment.parcelChange} was not updated: ${recorded.message}`);
+      }
+    }
+
     // Update property status
-    const property = payment.property;
-    if (property) {
-      const previousStatus = property.status;
-      property.paymentCompleted = true;
-      property.status = 'payment_completed';
-      property.lastUpdated = Date.now();
-      await property.save();
-
-      // Create application log for property status update
-      await ApplicationLog.create({
-        property: property._id,
-        user: payment.user,
-        action: "property_payment_verified",
-        status: "payment_completed",
-        previousStatus: previousStatus,
-        performedBy: req.user._id,
-        performedByRole: req.user.role,
+    if (completesProperty) {
+      await WorkflowService.transition("property", property, "complete_payment", {
+        user: req.user,
+        logAction: "property_payment_verified",
         notes: `Payment verified by ${req.user.role}. Property ready for final approval.`,
+        metadata: { paymentId: payment._id },
       });
     }
 
@@ -431,7 +456,8 @@ export const verifyPayment = async (req, res) => {
     try {
       const { default: NotificationService } = await import('../services/notificationService.js');
       const user = await User.findById(payment.user);
-      if (user && property) {
+      // Transfer and parcel change fee payers are notified when the fees are recorded against them
+      if (user && property && !payment.transfer && !payment.parcelChange) {
         await NotificationService.sendPaymentVerifiedNotification(property, user, payment, req.user);
       }
     } catch (notificationError) {
@@ -468,21 +494,11 @@ export const rejectPayment = async (req, res) => {
 
     // Update property status back to documents_validated so user can retry payment
     const property = payment.property;
-    if (property) {
-      property.paymentCompleted = false;
-      property.status = 'documents_validated';
-      await property.save();
-
-      // Create application log for property status update
-      await ApplicationLog.create({
-        property: property._id,
-        user: payment.user,
-        action: "property_payment_rejected",
-        status: "documents_validated",
-        previousStatus: "payment_pending",
-        performedBy: req.user._id,
-        performedByRole: req.user.role,
+    if (property && !payment.transfer && !payment.parcelChange && !WorkflowService.check("property", property, "reject_payment", { user: req.user })) {
+      await WorkflowService.transition("property", property, "reject_payment", {
+        user: req.user,
         notes: `Payment rejected by ${req.user.role}. Reason: ${req.body.reason || 'No reason provided'}. User can retry payment.`,
+        metadata: { paymentId: payment._id },
       });
     }
 
@@ -601,7 +617,7 @@ export const calculatePaymentAmount = async (req, res) => {
     };
 
     // Calculate registration fee
-    const calculation = PaymentCalculationService.calculateRegistrationFee(
+    const calculation = await PaymentCalculationService.calculateRegistrationFee(
       property,
       req.user,
       options
@@ -628,11 +644,234 @@ export const calculatePaymentAmount = async (req, res) => {
   }
 };
 
+// Gateway initializers and method details for transfer fee payments
+const TRANSFER_PAYMENT_METHODS = {
+  cbe_birr: {
+    label: "CBE Birr",
+    reference: "LR-TF",
+    initialize: (paymentData) => simulatedPaymentGateway.initializeCBEBirrPayment(paymentData),
+    details: (gatewayResponse) => ({ cbeTransactionRef: gatewayResponse.transactionId }),
+  },
+  telebirr: {
+    label: "TeleBirr",
+    reference: "LR-TF-TB",
+    initialize: (paymentData) => simulatedPaymentGateway.initializeTeleBirrPayment(paymentData),
+    details: (gatewayResponse, user) => ({
+      telebirrPhoneNumber: user.phoneNumber,
+      telebirrTransactionId: gatewayResponse.transactionId,
+    }),
+  },
+};
+
+// Answer a transfer fee checkout with the payment already in progress instead of a new charge
+const resumeTransferFeePayment = (res, payment) => res.json({
+  success: true,
+  resumed: true,
+  payment,
+  transactionId: payment.transactionId
+});
+
+// Start a transfer_fee payment for the fees of req.transfer that are still pending
+// A payer retrying checkout gets the pending payment for the same fees back, so they are not charged twice
+const initializeTransferFeePayment = async (req, res, paymentMethod) => {
+  const { transfer, property } = req;
+  const method = TRANSFER_PAYMENT_METHODS[paymentMethod];
+
+  // Price the fees before working out what is still due
+  const calculation = await TransferFeeService.syncFeeAmounts(transfer, property);
+  await transfer.save();
+
+  const payable = TransferFeeService.getPayableFees(transfer, req.user);
+  if (!payable.success) {
+    return res.status(payable.statusCode).json({ message: payable.message });
+  }
+
+  const { components, amount } = payable;
+
+  const pendingPayment = await TransferFeeService.findPendingPayment(transfer);
+  if (pendingPayment) {
+    if (!TransferFeeService.coversPayableFees(pendingPayment, payable)) {
+      return res.status(409).json({
+        message: "Another payment of this transfer's fees is in progress. Complete it or wait for it to expire.",
+        existingPayment: {
+          id: pendingPayment._id,
+          transactionId: pendingPayment.transactionId,
+          amount: pendingPayment.amount,
+          paymentMethod: pendingPayment.paymentMethod
+        }
+      });
+    }
+    return resumeTransferFeePayment(res, pendingPayment);
+  }
+
+  const paymentData = {
+    amount,
+    currency: 'ETB',
+    customerName: req.user.fullName,
+    customerPhone: req.user.phoneNumber,
+    customerEmail: req.user.email,
+    description: `Transfer fees for plot ${property.plotNumber}`,
+    callbackUrl: `${process.env.BACKEND_URL}/api/payments/${paymentMethod.replace('_', '-')}/callback`,
+    returnUrl: req.body.returnUrl || `${process.env.FRONTEND_URL}/transfers/${transfer._id}`,
+    transactionRef: `${method.reference}-${transfer._id}-${Date.now()}`
+  };
+
+  const gatewayResponse = await method.initialize(paymentData);
+
+  if (!gatewayResponse.success) {
+    return res.status(500).json({
+      message: `Failed to initialize ${method.label} payment`,
+      error: gatewayResponse.error
+    });
+  }
+
+  const feeBreakdown = {
+    baseFee: components.includes('governmentFee') ? transfer.transferFees.governmentFee.amount : 0,
+    taxAmount: components.includes('taxAmount') ? transfer.transferFees.taxAmount.amount : 0,
+    processingFee: components.includes('processingFee') ? transfer.transferFees.processingFee.amount : 0,
+    discountAmount: 0,
+    totalAmount: amount
+  };
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      property: property._id,
+      transfer: transfer._id,
+      transferFeeComponents: components,
+      user: req.user._id,
+      amount,
+      currency: 'ETB',
+      paymentType: 'transfer_fee',
+      paymentMethod,
+      transactionId: gatewayResponse.transactionId,
+      status: 'pending',
+      feeBreakdown,
+      feeSchedule: calculation.feeSchedule.id,
+      feeScheduleVersion: calculation.feeSchedule.version,
+      paymentMethodDetails: method.details(gatewayResponse, req.user)
+    });
+  } catch (error) {
+    // A concurrent checkout created the pending payment first (one_pending_transfer_fee index)
+    const concurrentPayment = error.code === 11000 && await TransferFeeService.findPendingPayment(transfer);
+    if (!concurrentPayment) {
+      throw error;
+    }
+    return resumeTransferFeePayment(res, concurrentPayment);
+  }
+
+  await ApplicationLog.create({
+    property: property._id,
+    user: req.user._id,
+    action: "transfer_fee_payment_initiated",
+    status: transfer.status,
+    performedBy: req.user._id,
+    performedByRole: req.user.role,
+    notes: `${method.label} payment of transfer fees initiated - Amount: ${amount} ETB`,
+    metadata: { transferId: transfer._id, paymentId: payment._id, components }
+  });
+
+  res.json({
+    success: true,
+    payment,
+    paymentUrl: gatewayResponse.paymentUrl,
+    transactionId: gatewayResponse.transactionId,
+    expiresAt: gatewayResponse.expiresAt,
+    instructions: gatewayResponse.instructions
+  });
+};
+
+// Start a parcel_change_fee payment for the fee of req.parcelChange
+const initializeParcelChangeFeePayment = async (req, res, paymentMethod) => {
+  const { parcelChange, property } = req;
+  const method = TRANSFER_PAYMENT_METHODS[paymentMethod];
+
+  const payable = ParcelChangeService.getPayableFee(parcelChange, req.user);
+  if (!payable.success) {
+    return res.status(payable.statusCode).json({ message: payable.message });
+  }
+
+  const { amount } = payable;
+  const operation = parcelChange.operation === 'subdivide' ? 'Subdivision' : 'Merge';
+
+  const paymentData = {
+    amount,
+    currency: 'ETB',
+    customerName: req.user.fullName,
+    customerPhone: req.user.phoneNumber,
+    customerEmail: req.user.email,
+    description: `${operation} fee for plot ${property.plotNumber}`,
+    callbackUrl: `${process.env.BACKEND_URL}/api/payments/${paymentMethod.replace('_', '-')}/callback`,
+    returnUrl: req.body.returnUrl || `${process.env.FRONTEND_URL}/parcel-changes`,
+    transactionRef: `LR-PC-${parcelChange._id}-${Date.now()}`
+  };
+
+  const gatewayResponse = await method.initialize(paymentData);
+
+  if (!gatewayResponse.success) {
+    return res.status(500).json({
+      message: `Failed to initialize ${method.label} payment`,
+      error: gatewayResponse.error
+    });
+  }
+
+  const payment = await Payment.create({
+    property: property._id,
+    parcelChange: parcelChange._id,
+    user: req.user._id,
+    amount,
+    currency: 'ETB',
+    paymentType: 'parcel_change_fee',
+    paymentMethod,
+    transactionId: gatewayResponse.transactionId,
+    status: 'pending',
+    feeBreakdown: {
+      baseFee: 0,
+      taxAmount: 0,
+      processingFee: amount,
+      discountAmount: 0,
+      totalAmount: amount
+    },
+    feeScheduleVersion: parcelChange.fee.feeScheduleVersion,
+    paymentMethodDetails: method.details(gatewayResponse, req.user)
+  });
+
+  await ApplicationLog.create({
+    property: property._id,
+    user: req.user._id,
+    action: "parcel_change_fee_payment_initiated",
+    status: parcelChange.status,
+    performedBy: req.user._id,
+    performedByRole: req.user.role,
+    notes: `${method.label} payment of the ${operation.toLowerCase()} fee initiated - Amount: ${amount} ETB`,
+    metadata: { parcelChangeId: parcelChange._id, paymentId: payment._id }
+  });
+
+  res.json({
+    success: true,
+    payment,
+    paymentUrl: gatewayResponse.paymentUrl,
+    transactionId: gatewayResponse.transactionId,
+    expiresAt: gatewayResponse.expiresAt,
+    instructions: gatewayResponse.instructions
+  });
+};
+
 // @desc    Initialize CBE Birr payment
 // @route   POST /api/payments/cbe-birr/initialize/:propertyId
 // @access  Private (User)
 export const initializeCBEBirrPayment = async (req, res) => {
   try {
+    // Transfer fees (transferId in the body) are priced and recorded against the transfer
+    if (req.transfer) {
+      return await initializeTransferFeePayment(req, res, 'cbe_birr');
+    }
+
+    // Subdivision and merge fees (parcelChangeId in the body) are recorded against the parcel change
+    if (req.parcelChange) {
+      return await initializeParcelChangeFeePayment(req, res, 'cbe_birr');
+    }
+
     console.log('CBE Birr payment initialization started for property:', req.params.propertyId);
 
     const property = await Property.findById(req.params.propertyId).populate('owner');
@@ -668,7 +907,7 @@ export const initializeCBEBirrPayment = async (req, res) => {
 
     // Calculate payment amount
     console.log('Calculating payment amount...');
-    const calculation = PaymentCalculationService.calculateRegistrationFee(property, req.user);
+    const calculation = await PaymentCalculationService.calculateRegistrationFee(property, req.user);
     const amount = calculation.summary.totalAmount;
     console.log('Calculated amount:', amount);
 
@@ -713,25 +952,20 @@ export const initializeCBEBirrPayment = async (req, res) => {
       transactionId: gatewayResponse.transactionId,
       status: 'pending',
       feeBreakdown: calculation.summary,
+      feeSchedule: calculation.feeSchedule.id,
+      feeScheduleVersion: calculation.feeSchedule.version,
       paymentMethodDetails: {
         cbeTransactionRef: gatewayResponse.transactionId
       }
     });
 
     // Update property status
-    property.status = 'payment_pending';
     property.payments.push(payment._id);
-    await property.save();
-
-    // Create application log
-    await ApplicationLog.create({
-      property: property._id,
-      user: req.user._id,
-      action: "cbe_payment_initiated",
-      status: "payment_pending",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: `CBE Birr payment initiated - Amount: ${amount} ETB`
+    await WorkflowService.transition("property", property, "initiate_payment", {
+      user: req.user,
+      logAction: "cbe_payment_initiated",
+      notes: `CBE Birr payment initiated - Amount: ${amount} ETB`,
+      metadata: { paymentId: payment._id }
     });
 
     res.json({
@@ -756,6 +990,16 @@ export const initializeCBEBirrPayment = async (req, res) => {
 // @access  Private (User)
 export const initializeTeleBirrPayment = async (req, res) => {
   try {
+    // Transfer fees (transferId in the body) are priced and recorded against the transfer
+    if (req.transfer) {
+      return await initializeTransferFeePayment(req, res, 'telebirr');
+    }
+
+    // Subdivision and merge fees (parcelChangeId in the body) are recorded against the parcel change
+    if (req.parcelChange) {
+      return await initializeParcelChangeFeePayment(req, res, 'telebirr');
+    }
+
     const property = await Property.findById(req.params.propertyId).populate('owner');
 
     if (!property) {
@@ -784,7 +1028,7 @@ export const initializeTeleBirrPayment = async (req, res) => {
     }
 
     // Calculate payment amount
-    const calculation = PaymentCalculationService.calculateRegistrationFee(property, req.user);
+    const calculation = await PaymentCalculationService.calculateRegistrationFee(property, req.user);
     const amount = calculation.summary.totalAmount;
 
     // Generate transaction reference
@@ -823,6 +1067,8 @@ export const initializeTeleBirrPayment = async (req, res) => {
       transactionId: gatewayResponse.transactionId,
       status: 'pending',
       feeBreakdown: calculation.summary,
+      feeSchedule: calculation.feeSchedule.id,
+      feeScheduleVersion: calculation.feeSchedule.version,
       paymentMethodDetails: {
         telebirrPhoneNumber: req.user.phoneNumber,
         telebirrTransactionId: gatewayResponse.transactionId
@@ -830,19 +1076,12 @@ export const initializeTeleBirrPayment = async (req, res) => {
     });
 
     // Update property status
-    property.status = 'payment_pending';
     property.payments.push(payment._id);
-    await property.save();
-
-    // Create application log
-    await ApplicationLog.create({
-      property: property._id,
-      user: req.user._id,
-      action: "telebirr_payment_initiated",
-      status: "payment_pending",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: `TeleBirr payment initiated - Amount: ${amount} ETB`
+    await WorkflowService.transition("property", property, "initiate_payment", {
+      user: req.user,
+      logAction: "telebirr_payment_initiated",
+      notes: `TeleBirr payment initiated - Amount: ${amount} ETB`,
+      metadata: { paymentId: payment._id }
     });
 
     res.json({
@@ -897,24 +1136,64 @@ export const processCBEBirrPayment = async (req, res) => {
       payment.generateReceiptNumber();
       await payment.save();
 
+      // Transfer fees complete the transfer's fee components, not the property registration
+      if (payment.transfer) {
+        const recorded = await TransferFeeService.recordPayment(payment);
+        if (!recorded.success) {
+          console.error(`Payment ${payment._id} completed but transfer ${payment.transfer} was not updated: ${recorded.message}`);
+        }
+
+        return res.json({
+          success: true,
+          message: "Payment completed successfully",
+          payment: {
+            id: payment._id,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            receiptNumber: payment.receiptNumber,
+            confirmationCode: processingResult.confirmationCode,
+            completedAt: payment.completedDate,
+            transferId: payment.transfer
+          }
+        });
+      }
+
+      // Subdivision and merge fees complete the parcel change's fee
+      if (payment.parcelChange) {
+        const recorded = await ParcelChangeService.recordPayment(payment);
+        if (!recorded.success) {
+          console.error(`Payment ${payment._id} completed but parcel change ${payment.parcelChange} was not updated: ${recorded.message}`);
+        }
+
+        return res.json({
+          success: true,
+          message: "Payment completed successfully",
+          payment: {
+            id: payment._id,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            receiptNumber: payment.receiptNumber,
+            confirmationCode: processingResult.confirmationCode,
+            completedAt: payment.completedDate,
+            parcelChangeId: payment.parcelChange
+          }
+        });
+      }
+
       // Update property status
       const property = payment.property;
-      property.paymentCompleted = true;
-      property.status = 'payment_completed';
-      await property.save();
-
-      // Create application log
-      await ApplicationLog.create({
-        property: property._id,
-        user: payment.user,
-        action: "payment_completed",
-        status: "payment_completed",
-        previousStatus: "payment_pending",
-        performedBy: payment.user,
-        performedByRole: 'user',
-        notes: `CBE Birr payment completed - Confirmation: ${processingResult.confirmationCode}`
+      const completion = await WorkflowService.transition("property", property, "complete_payment", {
+        system: true,
+        notes: `CBE Birr payment completed - Confirmation: ${processingResult.confirmationCode}`,
+        metadata: { paymentId: payment._id }
       });
 
+      if (!completion.success) {
+        console.error(`Payment ${payment._id} completed but property ${property._id} was not updated: ${completion.message}`);
+      }
+
       // Send payment completion notification
       try {
         const { default: NotificationService } = await import('../services/notificationService.js');
@@ -954,20 +1233,13 @@ export const processCBEBirrPayment = async (req, res) => {
 
       // Update property status back to documents_validated
       const property = payment.property;
-      property.status = 'documents_validated';
-      await property.save();
-
-      // Create application log
-      await ApplicationLog.create({
-        property: property._id,
-        user: payment.user,
-        action: "payment_failed",
-        status: "documents_validated",
-        previousStatus: "payment_pending",
-        performedBy: payment.user,
-        performedByRole: 'user',
-        notes: `CBE Birr payment failed - ${processingResult.error}`
-      });
+      if (!payment.transfer && !payment.parcelChange && !WorkflowService.check("property", property, "fail_payment", { system: true })) {
+        await WorkflowService.transition("property", property, "fail_payment", {
+          system: true,
+          notes: `CBE Birr payment failed - ${processingResult.error}`,
+          metadata: { paymentId: payment._id }
+        });
+      }
 
       // Send payment failure notification
       const user = await User.findById(payment.user);
@@ -1022,24 +1294,64 @@ export const processTeleBirrPayment = async (req, res) => {
       payment.generateReceiptNumber();
       await payment.save();
 
+      // Transfer fees complete the transfer's fee components, not the property registration
+      if (payment.transfer) {
+        const recorded = await TransferFeeService.recordPayment(payment);
+        if (!recorded.success) {
+          console.error(`Payment ${payment._id} completed but transfer ${payment.transfer} was not updated: ${recorded.message}`);
+        }
+
+        return res.json({
+          success: true,
+          message: "Payment completed successfully",
+          payment: {
+            id: payment._id,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            receiptNumber: payment.receiptNumber,
+            confirmationCode: processingResult.confirmationCode,
+            completedAt: payment.completedDate,
+            transferId: payment.transfer
+          }
+        });
+      }
+
+      // Subdivision and merge fees complete the parcel change's fee
+      if (payment.parcelChange) {
+        const recorded = await ParcelChangeService.recordPayment(payment);
+        if (!recorded.success) {
+          console.error(`Payment ${payment._id} completed but parcel change ${payment.parcelChange} was not updated: ${recorded.message}`);
+        }
+
+        return res.json({
+          success: true,
+          message: "Payment completed successfully",
+          payment: {
+            id: payment._id,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            receiptNumber: payment.receiptNumber,
+            confirmationCode: processingResult.confirmationCode,
+            completedAt: payment.completedDate,
+            parcelChangeId: payment.parcelChange
+          }
+        });
+      }
+
       // Update property status
       const property = payment.property;
-      property.paymentCompleted = true;
-      property.status = 'payment_completed';
-      await property.save();
-
-      // Create application log
-      await ApplicationLog.create({
-        property: property._id,
-        user: payment.user,
-        action: "payment_completed",
-        status: "payment_completed",
-        previousStatus: "payment_pending",
-        performedBy: payment.user,
-        performedByRole: 'user',
-        notes: `TeleBirr payment completed - Confirmation: ${processingResult.confirmationCode}`
+      const completion = await WorkflowService.transition("property", property, "complete_payment", {
+        system: true,
+        notes: `TeleBirr payment completed - Confirmation: ${processingResult.confirmationCode}`,
+        metadata: { paymentId: payment._id }
       });
 
+      if (!completion.success) {
+        console.error(`Payment ${payment._id} completed but property ${property._id} was not updated: ${completion.message}`);
+      }
+
       // Send payment completion notification
       try {
         const { default: NotificationService } = await import('../services/notificationService.js');
@@ -1079,20 +1391,13 @@ export const processTeleBirrPayment = async (req, res) => {
 
       // Update property status back to documents_validated
       const property = payment.property;
-      property.status = 'documents_validated';
-      await property.save();
-
-      // Create application log
-      await ApplicationLog.create({
-        property: property._id,
-        user: payment.user,
-        action: "payment_failed",
-        status: "documents_validated",
-        previousStatus: "payment_pending",
-        performedBy: payment.user,
-        performedByRole: 'user',
-        notes: `TeleBirr payment failed - ${processingResult.error}`
-      });
+      if (!payment.transfer && !payment.parcelChange && !WorkflowService.check("property", property, "fail_payment", { system: true })) {
+        await WorkflowService.transition("property", property, "fail_payment", {
+          system: true,
+          notes: `TeleBirr payment failed - ${processingResult.error}`,
+          metadata: { paymentId: payment._id }
+        });
+      }
 
       // Send payment failure notification
       const user = await User.findById(payment.user);
@@ -1113,7 +1418,10 @@ export const processTeleBirrPayment = async (req, res) => {
   }
 };
 
-// @desc    Generate payment receipt
+// API origin used in receipt verification links
+const getPublicApiUrl = (req) => process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+
+// @desc    Generate payment receipt (JSON, or the official PDF with ?format=pdf)
 // @route   GET /api/payments/:id/receipt
 // @access  Private
 export const generatePaymentReceipt = async (req, res) => {
@@ -1142,6 +1450,27 @@ export const generatePaymentReceipt = async (req, res) => {
       });
     }
 
+    // Older completed payments may predate receipt numbering
+    if (!payment.receiptNumber) {
+      payment.generateReceiptNumber();
+      await payment.save();
+    }
+
+    const verificationUrl = ReceiptService.getVerificationUrl(payment, getPublicApiUrl(req));
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="receipt-${payment.receiptNumber}.pdf"`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      if (!payment.receiptGenerated) {
+        payment.receiptGenerated = true;
+        await payment.save();
+      }
+
+      return await ReceiptService.writeReceiptPDF(payment, res, { verificationUrl });
+    }
+
     // Generate receipt data
     const receiptData = {
       receiptNumber: payment.receiptNumber,
@@ -1153,6 +1482,7 @@ export const generatePaymentReceipt = async (req, res) => {
       paymentMethod: payment.paymentMethod,
       paymentType: payment.paymentType,
       feeBreakdown: payment.feeBreakdown,
+      feeScheduleVersion: payment.feeScheduleVersion,
       property: {
         plotNumber: payment.property.plotNumber,
         location: payment.property.location,
@@ -1165,6 +1495,10 @@ export const generatePaymentReceipt = async (req, res) => {
         phone: payment.user.phoneNumber,
         nationalId: payment.user.nationalId
       },
+      verification: {
+        code: ReceiptService.getVerificationCode(payment),
+        url: verificationUrl
+      },
       generatedAt: new Date(),
       officialStamp: "Ethiopian Land Registry Authority"
     };
@@ -1175,6 +1509,12 @@ export const generatePaymentReceipt = async (req, res) => {
     });
   } catch (error) {
     console.error("Error generating payment receipt:", error);
+
+    // Once the PDF has started streaming the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
     res.status(500).json({
       message: "Server error while generating receipt",
       error: error.message
@@ -1182,6 +1522,57 @@ export const generatePaymentReceipt = async (req, res) => {
   }
 };
 
+// @desc    Verify a payment receipt
+// @route   GET /api/payments/receipts/:receiptNumber/verify
+// @access  Public
+export const verifyPaymentReceipt = async (req, res) => {
+  try {
+    const { receiptNumber } = req.params;
+    const { code } = req.query;
+
+    // Without the printed code anyone could look up payments by guessing receipt numbers
+    if (!code) {
+      return res.status(400).json({
+        valid: false,
+        message: "Enter the verification code printed on the receipt"
+      });
+    }
+
+    const payment = await Payment.findOne({ receiptNumber })
+      .populate('property', 'plotNumber location')
+      .populate('user', 'fullName');
+
+    if (!payment) {
+      return res.status(404).json({
+        valid: false,
+        message: "No receipt with this number was issued by the registry"
+      });
+    }
+
+    // A code that does not match means the receipt was altered or is not genuine
+    if (!ReceiptService.isValidVerificationCode(payment, code)) {
+      return res.json({
+        valid: false,
+        receiptNumber,
+        message: "Verification code does not match this receipt"
+      });
+    }
+
+    const valid = payment.status === 'completed';
+
+    res.json({
+      valid,
+      message: valid
+        ? "Receipt is genuine"
+        : `Receipt was issued but the payment is ${payment.status}`,
+      receipt: ReceiptService.getPublicReceiptDetails(payment)
+    });
+  } catch (error) {
+    console.error("Error verifying payment receipt:", error);
+    res.status(500).json({ message: "Server error while verifying receipt" });
+  }
+};
+
 // @desc    Get payment statistics
 // @route   GET /api/payments/stats
 // @access  Private
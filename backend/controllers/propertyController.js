@@ -3,6 +3,12 @@ import Property from "../models/Property.js";
 import PropertyTransfer from "../models/PropertyTransfer.js";
 import ApplicationLog from "../models/ApplicationLog.js";
 import Payment from "../models/Payment.js";
+import User from "../models/User.js";
+import AssignmentService, { OPEN_APPLICATION_STATUSES } from "../services/assignmentService.js";
+import WorkflowService from "../services/workflowService.js";
+import ParcelGeometryService from "../services/parcelGeometryService.js";
+import { ACTIVE_TRANSFER_STATUSES } from "../services/workflows.js";
+import { runInTransaction } from "../services/transaction.js";
 import { validationResult } from "express-validator";
 
 // @desc    Register a new property
@@ -16,7 +22,7 @@ export const registerProperty = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { location, plotNumber, area, propertyType } = req.body;
+    const { location, plotNumber, area, propertyType, boundary } = req.body;
 
     // Check if property with this plot number already exists
     const propertyExists = await Property.findOne({ plotNumber });
@@ -27,28 +33,44 @@ export const registerProperty = async (req, res) => {
         .json({ message: "Property with this plot number already exists" });
     }
 
+    // A drawn boundary replaces the point coordinates with its centroid
+    let parcel = null;
+    if (boundary) {
+      parcel = await ParcelGeometryService.prepareBoundary(boundary);
+      if (!parcel.success) {
+        return res.status(parcel.statusCode).json({ message: parcel.message });
+      }
+    }
+
     // Create new property
     const property = await Property.create({
       owner: req.user._id,
-      location,
+      location: parcel ? { ...location, coordinates: parcel.coordinates } : location,
       plotNumber,
       area,
       propertyType,
       status: "pending",
+      ...(parcel && { boundary: parcel.boundary, boundaryOverlaps: parcel.overlaps }),
     });
 
     if (property) {
       // Create application log for property registration
-      await ApplicationLog.create({
-        property: property._id,
-        user: req.user._id,
-        action: "application_submitted",
-        status: "pending",
-        performedBy: req.user._id,
-        performedByRole: req.user.role,
+      await WorkflowService.logCreated("property", property, {
+        user: req.user,
+        logAction: "application_submitted",
         notes: "Property registration application submitted",
       });
 
+      // Put the application in a land officer's review queue; registration succeeds even if this fails
+      try {
+        await AssignmentService.autoAssign(property, {
+          performedBy: req.user._id,
+          performedByRole: "system",
+        });
+      } catch (assignmentError) {
+        console.error("Error auto-assigning property:", assignmentError);
+      }
+
       res.status(201).json(property);
     } else {
       res.status(400).json({ message: "Invalid property data" });
@@ -111,6 +133,58 @@ export const getUserProperties = async (req, res) => {
   }
 };
 
+// @desc    Get parcel boundaries as a GeoJSON FeatureCollection
+// @route   GET /api/properties/map
+// @access  Private (users see their own parcels, officers see all)
+export const getParcelMap = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, subCity, limit = 500 } = req.query;
+    const isOfficer = ["admin", "landOfficer"].includes(req.user.role);
+
+    const query = { boundary: { $exists: true } };
+    if (!isOfficer) query.owner = req.user._id;
+    if (status) query.status = status;
+    if (subCity) query["location.subCity"] = subCity;
+
+    let parcelQuery = Property.find(query)
+      .select("plotNumber propertyType status area location boundary boundaryOverlaps owner")
+      .sort({ registrationDate: -1 })
+      .limit(parseInt(limit));
+    if (isOfficer) {
+      parcelQuery = parcelQuery.populate("owner", "fullName");
+    }
+
+    const properties = await parcelQuery;
+
+    res.json({
+      type: "FeatureCollection",
+      features: properties.map((property) => ({
+        type: "Feature",
+        id: property._id,
+        geometry: property.boundary,
+        properties: {
+          plotNumber: property.plotNumber,
+          propertyType: property.propertyType,
+          status: property.status,
+          area: property.area,
+          subCity: property.location.subCity,
+          kebele: property.location.kebele,
+          overlaps: property.boundaryOverlaps.length,
+          ...(isOfficer && { owner: property.owner?.fullName }),
+        },
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching parcel map:", error);
+    res.status(500).json({ message: "Server error while fetching parcel map" });
+  }
+};
+
 // @desc    Get a property by ID
 // @route   GET /api/properties/:id
 // @access  Private
@@ -169,7 +243,7 @@ export const updateProperty = async (req, res) => {
     }
 
     // Check if property is in a state that can be updated
-    if (!["pending", "rejected", "needs_update"].includes(property.status)) {
+    if (!["pending", "rejected"].includes(property.status)) {
       return res.status(400).json({
         message: "Property cannot be updated in its current status",
       });
@@ -181,9 +255,35 @@ export const updateProperty = async (req, res) => {
     property.propertyType = req.body.propertyType || property.propertyType;
     property.lastUpdated = Date.now();
 
-    // If property was rejected or needs update, set status back to pending
-    if (["rejected", "needs_update"].includes(property.status)) {
-      property.status = "pending";
+    // null removes the boundary; a new one is re-checked against the approved parcels
+    if (req.body.boundary === null) {
+      property.boundary = undefined;
+      property.boundaryOverlaps = [];
+    } else if (req.body.boundary) {
+      const parcel = await ParcelGeometryService.prepareBoundary(req.body.boundary, {
+        excludePropertyId: property._id,
+      });
+      if (!parcel.success) {
+        return res.status(parcel.statusCode).json({ message: parcel.message });
+      }
+
+      property.boundary = parcel.boundary;
+      property.boundaryOverlaps = parcel.overlaps;
+      property.location.coordinates = parcel.coordinates;
+    } else if (property.boundary && req.body.location) {
+      // A replaced location keeps the centre of the existing boundary
+      const [longitude, latitude] = ParcelGeometryService.getCentroid(property.boundary);
+      property.location.coordinates = { latitude, longitude };
+    }
+
+    // A rejected application goes back to pending once it is updated
+    if (property.status === "rejected") {
+      const result = await WorkflowService.transition("property", property, "resubmit", { user: req.user });
+      if (!result.success) {
+        return res.status(result.statusCode).json({ message: result.message });
+      }
+
+      return res.json(result.record);
     }
 
     const updatedProperty = await property.save();
@@ -270,6 +370,7 @@ export const getAllProperties = async (req, res) => {
       page = 1,
       limit = 10,
       dashboard = false, // Add dashboard flag for optimized queries
+      assignedTo,
     } = req.query;
 
     // Build query
@@ -280,6 +381,11 @@ export const getAllProperties = async (req, res) => {
       query.status = status;
     }
 
+    // Filter by assigned land officer ("unassigned" for applications in no queue)
+    if (assignedTo) {
+      query.assignedTo = assignedTo === "unassigned" ? null : assignedTo;
+    }
+
     // Filter by property type if provided
     if (propertyType) {
       query.propertyType = propertyType;
@@ -312,6 +418,7 @@ export const getAllProperties = async (req, res) => {
     const properties = await Property.find(query)
       .select(selectFields)
       .populate("owner", "fullName email nationalId")
+      .populate("assignedTo", "fullName email")
       .skip(skip)
       .limit(effectiveLimit)
       .sort({ registrationDate: -1 })
@@ -426,30 +533,35 @@ export const getPendingProperties = async (req, res) => {
   }
 };
 
-// @desc    Get properties assigned to the current land officer
+// @desc    Get the application queue of the current land officer
 // @route   GET /api/properties/assigned
-// @access  Private (Land Officer)
+// @access  Private (Land Officer; admins may pass ?officer= to view an officer's queue)
 export const getAssignedProperties = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const {
       status,
       propertyType,
       subCity,
       kebele,
       search,
+      officer,
       page = 1,
       limit = 10,
     } = req.query;
 
-    // Build base query for properties assigned to this land officer
-    // Include all properties that need review (pending, under_review, payment_completed)
-    // In a real system, you might have an assignedTo field
-    let baseQuery = {};
+    const officerId = req.user.role === "admin" && officer ? officer : req.user._id;
 
-    // Filter by status if provided, otherwise include all review statuses
-    if (status) {
-      baseQuery.status = status;
-    }
+    // Only applications in this officer's queue; open applications unless a status is requested
+    const baseQuery = {
+      assignedTo: officerId,
+      status: status || { $in: OPEN_APPLICATION_STATUSES },
+    };
 
     // Filter by property type if provided
     if (propertyType) {
@@ -457,11 +569,8 @@ export const getAssignedProperties = async (req, res) => {
     }
 
     // Filter by location if provided
-    if (subCity || kebele) {
-      baseQuery.location = {};
-      if (subCity) baseQuery.location.subCity = subCity;
-      if (kebele) baseQuery.location.kebele = kebele;
-    }
+    if (subCity) baseQuery["location.subCity"] = subCity;
+    if (kebele) baseQuery["location.kebele"] = kebele;
 
     // Search by plot number or owner's national ID
     if (search) {
@@ -471,69 +580,21 @@ export const getAssignedProperties = async (req, res) => {
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // If specific status is requested, use single query
-    if (status) {
-      const properties = await Property.find(baseQuery)
+    const [properties, total, workloads] = await Promise.all([
+      Property.find(baseQuery)
         .populate("owner", "fullName email nationalId")
         .populate("documents")
         .populate("reviewedBy", "fullName email")
         .skip(skip)
         .limit(parseInt(limit))
-        .sort({ registrationDate: -1 });
-
-      const total = await Property.countDocuments(baseQuery);
-
-      return res.json({
-        properties,
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / parseInt(limit)),
-        },
-      });
-    }
-
-    // Otherwise, get all review statuses separately for reliability
-    const pendingQuery = { ...baseQuery, status: "pending" };
-    const underReviewQuery = { ...baseQuery, status: "under_review" };
-    const paymentCompletedQuery = { ...baseQuery, status: "payment_completed" };
-
-    const [pendingProps, underReviewProps, paymentCompletedProps] = await Promise.all([
-      Property.find(pendingQuery)
-        .populate("owner", "fullName email nationalId")
-        .populate("documents")
-        .populate("reviewedBy", "fullName email")
-        .sort({ registrationDate: -1 }),
-      Property.find(underReviewQuery)
-        .populate("owner", "fullName email nationalId")
-        .populate("documents")
-        .populate("reviewedBy", "fullName email")
-        .sort({ registrationDate: -1 }),
-      Property.find(paymentCompletedQuery)
-        .populate("owner", "fullName email nationalId")
-        .populate("documents")
-        .populate("reviewedBy", "fullName email")
-        .sort({ registrationDate: -1 })
+        .sort({ assignedDate: 1, registrationDate: 1 }),
+      Property.countDocuments(baseQuery),
+      AssignmentService.getWorkloads([new mongoose.Types.ObjectId(officerId)]),
     ]);
 
-    // Combine and sort all properties
-    const allProperties = [...pendingProps, ...underReviewProps, ...paymentCompletedProps]
-      .sort((a, b) => new Date(b.registrationDate) - new Date(a.registrationDate));
-
-    // Apply pagination to combined results
-    const properties = allProperties.slice(skip, skip + parseInt(limit));
-
-    // Get total count
-    const [totalPending, totalUnderReview, totalPaymentCompleted] = await Promise.all([
-      Property.countDocuments(pendingQuery),
-      Property.countDocuments(underReviewQuery),
-      Property.countDocuments(paymentCompletedQuery)
-    ]);
-    const total = totalPending + totalUnderReview + totalPaymentCompleted;
-
     res.json({
       properties,
+      workload: workloads.get(officerId.toString()) || { open: 0, completed: 0, byStatus: {} },
       pagination: {
         total,
         page: parseInt(page),
@@ -547,52 +608,127 @@ export const getAssignedProperties = async (req, res) => {
   }
 };
 
-// @desc    Approve a property
-// @route   PUT /api/properties/:id/approve
-// @access  Private (Admin, Land Officer)
-export const approveProperty = async (req, res) => {
+// @desc    Assign a property application to a land officer (auto-assigns when no officer is given)
+// @route   PUT /api/properties/:id/assign
+// @access  Private (Admin)
+export const assignProperty = async (req, res) => {
   try {
-    const property = await Property.findById(req.params.id).populate('documents');
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { assignedTo, notes } = req.body;
 
+    const property = await Property.findById(req.params.id);
     if (!property) {
       return res.status(404).json({ message: "Property not found" });
     }
 
-    // Check if all documents are validated
-    if (!property.documentsValidated) {
-      return res.status(400).json({
-        message: "Cannot approve property. All documents must be validated first."
-      });
+    if (!OPEN_APPLICATION_STATUSES.includes(property.status)) {
+      return res.status(400).json({ message: `Cannot assign a property that is already ${property.status}` });
     }
 
-    // Check if payment is completed
-    if (!property.paymentCompleted) {
-      return res.status(400).json({
-        message: "Cannot approve property. Payment must be completed first."
+    let officer;
+
+    if (assignedTo) {
+      // Verify the assigned user exists and is a land officer
+      officer = await User.findById(assignedTo).select("fullName email role");
+      if (!officer || officer.role !== "landOfficer") {
+        return res.status(400).json({ message: "Invalid land officer assignment" });
+      }
+
+      await AssignmentService.assignProperty(property, officer, {
+        performedBy: req.user._id,
+        performedByRole: req.user.role,
+        notes: notes || `Application assigned to ${officer.fullName}`,
       });
+    } else {
+      officer = await AssignmentService.autoAssign(property, {
+        performedBy: req.user._id,
+        performedByRole: req.user.role,
+        notes,
+      });
+
+      if (!officer) {
+        return res.status(400).json({ message: "There are no land officers to assign the application to" });
+      }
     }
 
-    // Update property status
-    property.status = "approved";
-    property.reviewedBy = req.user._id;
-    property.reviewNotes = req.body.notes || "";
-    property.lastUpdated = Date.now();
+    const updatedProperty = await Property.findById(property._id)
+      .populate("owner", "fullName email nationalId")
+      .populate("assignedTo", "fullName email");
 
-    const updatedProperty = await property.save();
+    res.json(updatedProperty);
+  } catch (error) {
+    console.error("Error assigning property:", error);
+    res.status(500).json({ message: "Server error while assigning property" });
+  }
+};
 
-    // Create application log
-    await ApplicationLog.create({
-      property: property._id,
-      user: property.owner,
-      action: "application_approved",
-      status: "approved",
-      previousStatus: property.status,
+// @desc    Auto-assign all open applications that are not in any officer's queue
+// @route   POST /api/properties/assign/auto
+// @access  Private (Admin)
+export const autoAssignProperties = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    const result = await AssignmentService.assignUnassigned({
       performedBy: req.user._id,
       performedByRole: req.user.role,
-      notes: req.body.notes || "Property registration approved",
     });
 
-    res.json(updatedProperty);
+    res.json({
+      message: `${result.assigned} application(s) assigned`,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error auto-assigning properties:", error);
+    res.status(500).json({ message: "Server error while auto-assigning properties" });
+  }
+};
+
+// @desc    Approve a property
+// @route   PUT /api/properties/:id/approve
+// @access  Private (Admin, Land Officer)
+export const approveProperty = async (req, res) => {
+  try {
+    // Documents must be validated and payment completed; approval also issues the title certificate.
+    // Both happen in one transaction, so a failed certificate leaves the application approvable
+    const result = await runInTransaction(async (session) => {
+      const property = await Property.findById(req.params.id).session(session);
+
+      if (!property) {
+        return { success: false, statusCode: 404, message: "Property not found" };
+      }
+
+      return WorkflowService.transition("property", property, "approve", {
+        user: req.user,
+        notes: req.body.notes,
+        session,
+      });
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const { record: updatedProperty, certificate } = result;
+
+    res.json({
+      ...updatedProperty.toObject(),
+      certificate: {
+        _id: certificate._id,
+        certificateNumber: certificate.certificateNumber,
+        issuedAt: certificate.issuedAt,
+      },
+    });
   } catch (error) {
     console.error("Error approving property:", error);
     res.status(500).json({ message: "Server error while approving property" });
@@ -610,25 +746,16 @@ export const rejectProperty = async (req, res) => {
       return res.status(404).json({ message: "Property not found" });
     }
 
-    // Update property status
-    property.status = "rejected";
-    property.reviewedBy = req.user._id;
-    property.reviewNotes = req.body.reason || "";
-    property.lastUpdated = Date.now();
+    const result = await WorkflowService.transition("property", property, "reject", {
+      user: req.user,
+      notes: req.body.reason,
+    });
 
-    const updatedProperty = await property.save();
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
-    // Create application log
-    await ApplicationLog.create({
-      property: property._id,
-      user: property.owner,
-      action: "application_rejected",
-      status: "rejected",
-      previousStatus: property.status,
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: req.body.reason || "Property registration rejected",
-    });
+    const updatedProperty = result.record;
 
     res.json(updatedProperty);
   } catch (error) {
@@ -648,31 +775,13 @@ export const setPropertyUnderReview = async (req, res) => {
       return res.status(404).json({ message: "Property not found" });
     }
 
-    // Check if property is in a state that can be reviewed
-    if (property.status !== "pending") {
-      return res.status(400).json({
-        message: "Property cannot be set to under review in its current status",
-      });
-    }
-
-    // Update property status
-    property.status = "under_review";
-    property.reviewedBy = req.user._id;
-    property.lastUpdated = Date.now();
+    const result = await WorkflowService.transition("property", property, "start_review", { user: req.user });
 
-    const updatedProperty = await property.save();
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
-    // Create application log
-    await ApplicationLog.create({
-      property: property._id,
-      user: property.owner,
-      action: "status_changed",
-      status: "under_review",
-      previousStatus: "pending",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: "Property registration under review",
-    });
+    const updatedProperty = result.record;
 
     res.json(updatedProperty);
   } catch (error) {
@@ -717,7 +826,7 @@ export const getPropertyTransferHistory = async (req, res) => {
 
     // Get current transfer if any
     const currentTransfer = transfers.find(transfer =>
-      ['initiated', 'documents_pending', 'under_review', 'verification_pending', 'approved'].includes(transfer.status)
+      ACTIVE_TRANSFER_STATUSES.includes(transfer.status)
     );
 
     // Get completed transfers
@@ -842,25 +951,26 @@ export const markPropertyPaymentCompleted = async (req, res) => {
       });
     }
 
-    // Update property status
-    property.paymentCompleted = true;
-    property.status = 'payment_completed';
-    property.lastUpdated = Date.now();
-
-    const updatedProperty = await property.save();
+    // Already recorded by the payment flow
+    if (property.paymentCompleted && property.status !== "payment_pending") {
+      return res.json({
+        success: true,
+        property,
+        message: "Property payment status is already up to date"
+      });
+    }
 
-    // Create application log
-    await ApplicationLog.create({
-      property: property._id,
-      user: property.owner,
-      action: "payment_workflow_completed",
-      status: "payment_completed",
-      previousStatus: "payment_pending",
-      performedBy: property.owner,
-      performedByRole: 'user',
-      notes: "Payment completed, property ready for land officer approval"
+    const result = await WorkflowService.transition("property", property, "complete_payment", {
+      user: req.user,
+      metadata: { paymentIds: completedPayments.map((payment) => payment._id) },
     });
 
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const updatedProperty = result.record;
+
     res.json({
       success: true,
       property: updatedProperty,
@@ -1,8 +1,14 @@
 import mongoose from "mongoose";
+import { validationResult } from "express-validator";
 import User from "../models/User.js";
 import Property from "../models/Property.js";
 import Document from "../models/Document.js";
 import Payment from "../models/Payment.js";
+import ApplicationLog from "../models/ApplicationLog.js";
+import SettingsService from "../services/settingsService.js";
+import { getRequestMetrics } from "../middleware/requestMetrics.js";
+import ReportService, { REPORT_TYPES } from "../services/reportService.js";
+import { REPORT_FORMATS, writeReport } from "../services/reportWriters.js";
 
 // @desc    Get dashboard statistics (optimized for speed)
 // @route   GET /api/reports/dashboard-stats
@@ -553,73 +559,289 @@ export const generateSummaryReport = async (req, res) => {
   }
 };
 
-// @desc    Download report as PDF/Excel
+// @desc    Download report as CSV, Excel or PDF
 // @route   GET /api/reports/:reportType/download
 // @access  Admin
 export const downloadReport = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { reportType } = req.params;
     const { format = 'pdf' } = req.query;
 
-    // Mock download functionality - In a real application, this would generate actual files
-    res.json({
-      message: `${reportType} report download in ${format} format would be generated here`,
-      reportType,
-      format,
-      downloadUrl: `/downloads/${reportType}-report.${format}`
-    });
+    if (!REPORT_TYPES[reportType]) {
+      return res.status(404).json({ message: `Unknown report type: ${reportType}` });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable"
+      });
+    }
+
+    const filters = ReportService.parseFilters(req.query);
+    const report = await ReportService.buildReport(reportType, filters);
+    const { contentType, extension } = REPORT_FORMATS[format];
+    const filename = `${reportType}-report-${new Date().toISOString().split('T')[0]}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    await writeReport(report, format, res);
   } catch (error) {
     console.error("Error downloading report:", error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
     res.status(500).json({ message: "Server error while downloading report" });
   }
 };
 
+// Application log actions grouped into the activity feed categories
+const ACTIVITY_CATEGORIES = {
+  transfer: [
+    "transfer_initiated",
+    "transfer_documents_uploaded",
+    "transfer_under_review",
+    "transfer_approved",
+    "transfer_rejected",
+    "transfer_completed",
+    "transfer_cancelled",
+    "ownership_transferred",
+  ],
+  dispute: [
+    "dispute_submitted",
+    "dispute_assigned",
+    "dispute_under_review",
+    "dispute_resolved",
+    "dispute_rejected",
+    "dispute_withdrawn",
+  ],
+};
+
+const activityCategory = (action) => {
+  if (ACTIVITY_CATEGORIES.transfer.includes(action)) return 'transfer';
+  if (ACTIVITY_CATEGORIES.dispute.includes(action)) return 'dispute';
+  return 'property';
+};
+
+// "transfer_under_review" -> "Transfer under review"
+const activityLabel = (action) => {
+  const label = action.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
 // @desc    Get activity logs for reports
 // @route   GET /api/reports/activity
 // @access  Admin, Land Officer
 export const getActivityLogs = async (req, res) => {
   try {
-    // Mock activity logs - In a real application, this would query the ActivityLog model
-    const activityLogs = [
-      {
-        id: 1,
-        action: 'Property Approved',
-        user: 'John Doe',
-        timestamp: new Date(),
-        details: 'Property #12345 approved'
-      },
-      {
-        id: 2,
-        action: 'User Created',
-        user: 'Admin',
-        timestamp: new Date(Date.now() - 3600000),
-        details: 'New user account created'
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      category,
+      action,
+      performedBy,
+      property,
+      subCity,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    if (mongoose.connection.readyState !== 1) {
+      console.log("Database not connected, returning empty activity feed");
+      return res.json({
+        activities: [],
+        pagination: { total: 0, page: 1, limit: parseInt(limit), pages: 0 },
+        message: "Database connection unavailable"
+      });
+    }
+
+    // Build query
+    const query = {};
+
+    // Filter by category; property activity is everything that is not a transfer or dispute action
+    if (category === 'transfer' || category === 'dispute') {
+      query.action = { $in: ACTIVITY_CATEGORIES[category] };
+    } else if (category === 'property') {
+      query.action = { $nin: [...ACTIVITY_CATEGORIES.transfer, ...ACTIVITY_CATEGORIES.dispute] };
+    }
+
+    // A specific action narrows the category filter
+    if (action) {
+      query.action = action;
+    }
+
+    if (performedBy) {
+      query.performedBy = performedBy;
+    }
+
+    if (property) {
+      query.property = property;
+    }
+
+    // Limit to properties in the sub-city, keeping a property filter only if it lies there
+    if (subCity) {
+      const propertyIds = await Property.find({ "location.subCity": subCity }).distinct("_id");
+      query.property = {
+        $in: property ? propertyIds.filter(id => String(id) === String(property)) : propertyIds
+      };
+    }
+
+    // Filter by date range if provided
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) {
+        query.timestamp.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.timestamp.$lte = new Date(endDate);
       }
-    ];
+    }
+
+    // Pagination
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [logs, total] = await Promise.all([
+      ApplicationLog.find(query)
+        .populate("property", "plotNumber location.subCity")
+        .populate("performedBy", "fullName role")
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean(),
+      ApplicationLog.countDocuments(query)
+    ]);
+
+    const activities = logs.map(log => ({
+      id: log._id,
+      category: activityCategory(log.action),
+      action: log.action,
+      title: activityLabel(log.action),
+      status: log.status,
+      previousStatus: log.previousStatus,
+      property: log.property ? {
+        _id: log.property._id,
+        plotNumber: log.property.plotNumber,
+        subCity: log.property.location?.subCity
+      } : null,
+      performedBy: log.performedBy ? {
+        _id: log.performedBy._id,
+        fullName: log.performedBy.fullName,
+        role: log.performedBy.role
+      } : null,
+      performedByRole: log.performedByRole,
+      notes: log.notes,
+      transferId: log.metadata?.transferId,
+      disputeId: log.metadata?.disputeId,
+      timestamp: log.timestamp
+    }));
 
-    res.json(activityLogs);
+    res.json({
+      activities,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
   } catch (error) {
     console.error("Error fetching activity logs:", error);
     res.status(500).json({ message: "Server error while fetching activity logs" });
   }
 };
 
+// Document count and storage size of each collection
+const getCollectionStats = async () => {
+  const collections = await mongoose.connection.db.listCollections({}, { nameOnly: true }).toArray();
+
+  const stats = await Promise.all(collections.map(async ({ name }) => {
+    const collection = mongoose.connection.db.collection(name);
+
+    try {
+      const [collStats] = await collection.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+      return {
+        name,
+        documents: collStats.storageStats.count,
+        size: collStats.storageStats.size,
+        storageSize: collStats.storageStats.storageSize,
+        indexSize: collStats.storageStats.totalIndexSize
+      };
+    } catch (error) {
+      // $collStats is not available on every deployment; fall back to the document count
+      return { name, documents: await collection.estimatedDocumentCount(), size: null, storageSize: null, indexSize: null };
+    }
+  }));
+
+  return stats.sort((a, b) => b.documents - a.documents);
+};
+
 // @desc    Get performance metrics
 // @route   GET /api/reports/performance
 // @access  Admin
 export const getPerformanceMetrics = async (req, res) => {
   try {
-    // Mock performance metrics - In a real application, this would calculate actual metrics
-    const performanceMetrics = {
-      systemLoad: '45%',
-      responseTime: '250ms',
-      errorRate: '0.1%',
-      activeUsers: 125,
-      peakHours: '9:00 AM - 11:00 AM',
-      databaseSize: '2.5 GB'
-    };
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionTimeout } = await SettingsService.getSettings();
+
+    // Users who made an authenticated request within the session timeout count as active sessions
+    const metrics = getRequestMetrics({
+      minutes: req.query.minutes,
+      activeWithinMinutes: sessionTimeout
+    });
 
-    res.json(performanceMetrics);
+    let database = { status: 'disconnected', collections: [] };
+
+    if (mongoose.connection.readyState === 1) {
+      const collections = await getCollectionStats();
+
+      database = {
+        status: 'connected',
+        collections,
+        totalDocuments: collections.reduce((sum, { documents }) => sum + (documents || 0), 0),
+        dataSize: collections.reduce((sum, { size }) => sum + (size || 0), 0),
+        storageSize: collections.reduce((sum, { storageSize }) => sum + (storageSize || 0), 0)
+      };
+    }
+
+    const memory = process.memoryUsage();
+
+    res.json({
+      window: metrics.window,
+      requests: metrics.requests,
+      slowestRoutes: metrics.routes,
+      activeSessions: metrics.activeUsers,
+      database,
+      process: {
+        uptime: Math.round(process.uptime()),
+        memoryRss: memory.rss,
+        heapUsed: memory.heapUsed
+      },
+      generatedAt: new Date()
+    });
   } catch (error) {
     console.error("Error fetching performance metrics:", error);
     res.status(500).json({ message: "Server error while fetching performance metrics" });
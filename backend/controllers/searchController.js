@@ -0,0 +1,112 @@
+import { validationResult } from "express-validator";
+import SpatialSearchService from "../services/spatialSearchService.js";
+import GlobalSearchService from "../services/globalSearchService.js";
+
+const isOfficer = (user) => ["admin", "landOfficer"].includes(user.role);
+
+// @desc    Find parcels near a point, inside a bounding box or polygon, or neighbouring a property
+// @route   GET /api/search/location
+// @access  Private (citizens search approved parcels only)
+export const searchByLocation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { property, subCity, propertyType, status, page = 1, limit = 20 } = req.query;
+
+    if (property && !isOfficer(req.user)) {
+      return res.status(403).json({ message: "Only land officers and admins can search neighbouring parcels" });
+    }
+
+    const parsed = property
+      ? await SpatialSearchService.neighbourShape(property)
+      : SpatialSearchService.parseShape(req.query);
+
+    if (!parsed.success) {
+      return res.status(parsed.statusCode).json({ message: parsed.message });
+    }
+
+    const result = await SpatialSearchService.search(parsed.shape, {
+      filters: { subCity, propertyType, status },
+      page: parseInt(page),
+      limit: parseInt(limit),
+      isOfficer: isOfficer(req.user),
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error searching by location:", error);
+    res.status(500).json({ message: "Server error while searching by location" });
+  }
+};
+
+// @desc    Search properties, applications, users, documents, payments, transfers and disputes at once
+// @route   GET /api/search/global
+// @access  Private (citizens find their own records; users are admin only)
+export const globalSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, type = "all", status, subCity, role, page = 1, limit = 10 } = req.query;
+
+    if (type === "user" && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Only admins can search users" });
+    }
+
+    const result = await GlobalSearchService.search(q, {
+      user: req.user,
+      type,
+      filters: { status, subCity, role },
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    // Remember searches that found something; the search boxes query on every pause in typing
+    if (parseInt(page) === 1 && result.pagination.total > 0) {
+      await GlobalSearchService.recordSearch(req.user._id, q, type);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error running global search:", error);
+    res.status(500).json({ message: "Server error while searching" });
+  }
+};
+
+// @desc    Suggest completions and spelling corrections for a partial query
+// @route   GET /api/search/suggestions
+// @access  Private
+export const getSearchSuggestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, type = "all" } = req.query;
+    const suggestions = await GlobalSearchService.suggest(q, { user: req.user, type });
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error("Error getting search suggestions:", error);
+    res.status(500).json({ message: "Server error while getting search suggestions" });
+  }
+};
+
+// @desc    Get the current user's recent searches
+// @route   GET /api/search/recent
+// @access  Private
+export const getRecentSearches = async (req, res) => {
+  try {
+    const searches = await GlobalSearchService.getRecentSearches(req.user._id);
+    res.json(searches);
+  } catch (error) {
+    console.error("Error fetching recent searches:", error);
+    res.status(500).json({ message: "Server error while fetching recent searches" });
+  }
+};
@@ -1,30 +1,60 @@
+import mongoose from "mongoose";
 import { validationResult } from "express-validator";
+import SettingsService from "../services/settingsService.js";
+import PaymentCalculationService, { FEE_SCHEDULE_RATE_FIELDS } from "../services/paymentCalculationService.js";
+
+// Shared handler for the per-category update routes
+const updateCategory = async (req, res, category) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      message: "Database connection issue. Please try again.",
+      error: "Service temporarily unavailable",
+    });
+  }
+
+  const result = await SettingsService.updateSettings(category, req.body, req.user);
 
-// Mock settings data - In a real application, this would be stored in a database
-let systemSettings = {
-  systemName: "Property Registration System",
-  contactEmail: "admin@propertyregistration.com",
-  contactPhone: "+251-11-123-4567",
-  maintenanceMode: false,
-  registrationFee: 500,
-  documentVerificationFee: 100,
-  transferFee: 300,
-  certificateIssueFee: 200,
-  emailNotifications: true,
-  smsNotifications: false,
-  pushNotifications: true,
-  passwordMinLength: 8,
-  sessionTimeout: 30,
-  maxLoginAttempts: 5,
-  twoFactorAuth: false,
+  if (!result.success) {
+    return res.status(400).json({ errors: result.errors });
+  }
+
+  return res.json(result.settings);
 };
 
+// Fee settings as priced by a fee schedule, with the schedule's other rates
+const feeSettingsFromSchedule = (schedule) => ({
+  registrationFee: schedule.processingFee,
+  documentVerificationFee: schedule.serviceFees?.documentVerificationFee,
+  transferFee: schedule.transfer?.processingFee,
+  certificateIssueFee: schedule.serviceFees?.certificateIssueFee,
+  feeScheduleVersion: schedule.version,
+  effectiveFrom: schedule.effectiveFrom,
+  feeSchedule: {
+    baseFees: schedule.baseFees,
+    areaMultipliers: schedule.areaMultipliers,
+    taxRates: schedule.taxRates,
+    transfer: { taxRate: schedule.transfer?.taxRate },
+    parcelChange: schedule.parcelChange,
+    locationMultipliers: schedule.locationMultipliers,
+    discounts: schedule.discounts,
+  },
+});
+
 // @desc    Get system settings
 // @route   GET /api/settings
 // @access  Admin
 export const getSystemSettings = async (req, res) => {
   try {
-    res.json(systemSettings);
+    const settings = await SettingsService.getSettings();
+    const feeSchedule = await PaymentCalculationService.getFeeSchedule();
+
+    res.json({ ...settings, ...feeSettingsFromSchedule(feeSchedule) });
   } catch (error) {
     console.error("Error fetching system settings:", error);
     res.status(500).json({ message: "Server error while fetching system settings" });
@@ -36,26 +66,7 @@ export const getSystemSettings = async (req, res) => {
 // @access  Admin
 export const updateSystemSettings = async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const {
-      systemName,
-      contactEmail,
-      contactPhone,
-      maintenanceMode,
-    } = req.body;
-
-    // Update system settings
-    if (systemName !== undefined) systemSettings.systemName = systemName;
-    if (contactEmail !== undefined) systemSettings.contactEmail = contactEmail;
-    if (contactPhone !== undefined) systemSettings.contactPhone = contactPhone;
-    if (maintenanceMode !== undefined) systemSettings.maintenanceMode = maintenanceMode;
-
-    res.json(systemSettings);
+    await updateCategory(req, res, "general");
   } catch (error) {
     console.error("Error updating system settings:", error);
     res.status(500).json({ message: "Server error while updating system settings" });
@@ -67,14 +78,8 @@ export const updateSystemSettings = async (req, res) => {
 // @access  Admin
 export const getFeeSettings = async (req, res) => {
   try {
-    const feeSettings = {
-      registrationFee: systemSettings.registrationFee,
-      documentVerificationFee: systemSettings.documentVerificationFee,
-      transferFee: systemSettings.transferFee,
-      certificateIssueFee: systemSettings.certificateIssueFee,
-    };
-
-    res.json(feeSettings);
+    const feeSchedule = await PaymentCalculationService.getFeeSchedule();
+    res.json(feeSettingsFromSchedule(feeSchedule));
   } catch (error) {
     console.error("Error fetching fee settings:", error);
     res.status(500).json({ message: "Server error while fetching fee settings" });
@@ -92,44 +97,79 @@ export const updateFeeSettings = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const {
-      registrationFee,
-      documentVerificationFee,
-      transferFee,
-      certificateIssueFee,
-    } = req.body;
-
-    // Update fee settings
-    if (registrationFee !== undefined) systemSettings.registrationFee = parseFloat(registrationFee);
-    if (documentVerificationFee !== undefined) systemSettings.documentVerificationFee = parseFloat(documentVerificationFee);
-    if (transferFee !== undefined) systemSettings.transferFee = parseFloat(transferFee);
-    if (certificateIssueFee !== undefined) systemSettings.certificateIssueFee = parseFloat(certificateIssueFee);
-
-    const feeSettings = {
-      registrationFee: systemSettings.registrationFee,
-      documentVerificationFee: systemSettings.documentVerificationFee,
-      transferFee: systemSettings.transferFee,
-      certificateIssueFee: systemSettings.certificateIssueFee,
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable",
+      });
+    }
+
+    // Schedule rates come in feeSchedule, e.g. { baseFees: { commercial: { urban: 6000 } } }
+    const rateChanges = Object.fromEntries(
+      FEE_SCHEDULE_RATE_FIELDS
+        .filter((field) => req.body.feeSchedule?.[field] !== undefined)
+        .map((field) => [field, req.body.feeSchedule[field]])
+    );
+    const rateErrors = PaymentCalculationService.validateFeeScheduleChanges(rateChanges);
+    if (rateErrors.length > 0) {
+      return res.status(400).json({ errors: rateErrors });
+    }
+
+    const result = await SettingsService.updateSettings("fees", req.body, req.user);
+
+    if (!result.success) {
+      return res.status(400).json({ errors: result.errors });
+    }
+
+    // Fee changes take effect through a new fee schedule version so existing payments keep their pricing
+    let feeSchedule = await PaymentCalculationService.getFeeSchedule();
+    const scheduleChanges = {
+      ...rateChanges,
+      processingFee: result.settings.registrationFee,
+      transfer: { ...rateChanges.transfer, processingFee: result.settings.transferFee },
+      serviceFees: {
+        documentVerificationFee: result.settings.documentVerificationFee,
+        certificateIssueFee: result.settings.certificateIssueFee,
+      },
     };
 
-    res.json(feeSettings);
+    if (result.changes.length > 0 || PaymentCalculationService.changesFeeSchedule(feeSchedule, scheduleChanges)) {
+      feeSchedule = await PaymentCalculationService.createFeeScheduleVersion(
+        scheduleChanges,
+        {
+          effectiveFrom: req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date(),
+          notes: req.body.notes,
+          user: req.user,
+        }
+      );
+    }
+
+    res.json(feeSettingsFromSchedule(feeSchedule));
   } catch (error) {
     console.error("Error updating fee settings:", error);
     res.status(500).json({ message: "Server error while updating fee settings" });
   }
 };
 
+// @desc    Get fee schedule versions
+// @route   GET /api/settings/fees/schedules
+// @access  Admin
+export const getFeeSchedules = async (req, res) => {
+  try {
+    const schedules = await PaymentCalculationService.listFeeSchedules();
+    res.json(schedules);
+  } catch (error) {
+    console.error("Error fetching fee schedules:", error);
+    res.status(500).json({ message: "Server error while fetching fee schedules" });
+  }
+};
+
 // @desc    Get notification settings
 // @route   GET /api/settings/notifications
 // @access  Admin
 export const getNotificationSettings = async (req, res) => {
   try {
-    const notificationSettings = {
-      emailNotifications: systemSettings.emailNotifications,
-      smsNotifications: systemSettings.smsNotifications,
-      pushNotifications: systemSettings.pushNotifications,
-    };
-
+    const notificationSettings = await SettingsService.getSettingsByCategory("notifications");
     res.json(notificationSettings);
   } catch (error) {
     console.error("Error fetching notification settings:", error);
@@ -142,24 +182,7 @@ export const getNotificationSettings = async (req, res) => {
 // @access  Admin
 export const updateNotificationSettings = async (req, res) => {
   try {
-    const {
-      emailNotifications,
-      smsNotifications,
-      pushNotifications,
-    } = req.body;
-
-    // Update notification settings
-    if (emailNotifications !== undefined) systemSettings.emailNotifications = emailNotifications;
-    if (smsNotifications !== undefined) systemSettings.smsNotifications = smsNotifications;
-    if (pushNotifications !== undefined) systemSettings.pushNotifications = pushNotifications;
-
-    const notificationSettings = {
-      emailNotifications: systemSettings.emailNotifications,
-      smsNotifications: systemSettings.smsNotifications,
-      pushNotifications: systemSettings.pushNotifications,
-    };
-
-    res.json(notificationSettings);
+    await updateCategory(req, res, "notifications");
   } catch (error) {
     console.error("Error updating notification settings:", error);
     res.status(500).json({ message: "Server error while updating notification settings" });
@@ -171,13 +194,7 @@ export const updateNotificationSettings = async (req, res) => {
 // @access  Admin
 export const getSecuritySettings = async (req, res) => {
   try {
-    const securitySettings = {
-      passwordMinLength: systemSettings.passwordMinLength,
-      sessionTimeout: systemSettings.sessionTimeout,
-      maxLoginAttempts: systemSettings.maxLoginAttempts,
-      twoFactorAuth: systemSettings.twoFactorAuth,
-    };
-
+    const securitySettings = await SettingsService.getSettingsByCategory("security");
     res.json(securitySettings);
   } catch (error) {
     console.error("Error fetching security settings:", error);
@@ -190,29 +207,32 @@ export const getSecuritySettings = async (req, res) => {
 // @access  Admin
 export const updateSecuritySettings = async (req, res) => {
   try {
-    const {
-      passwordMinLength,
-      sessionTimeout,
-      maxLoginAttempts,
-      twoFactorAuth,
-    } = req.body;
-
-    // Update security settings
-    if (passwordMinLength !== undefined) systemSettings.passwordMinLength = parseInt(passwordMinLength);
-    if (sessionTimeout !== undefined) systemSettings.sessionTimeout = parseInt(sessionTimeout);
-    if (maxLoginAttempts !== undefined) systemSettings.maxLoginAttempts = parseInt(maxLoginAttempts);
-    if (twoFactorAuth !== undefined) systemSettings.twoFactorAuth = twoFactorAuth;
-
-    const securitySettings = {
-      passwordMinLength: systemSettings.passwordMinLength,
-      sessionTimeout: systemSettings.sessionTimeout,
-      maxLoginAttempts: systemSettings.maxLoginAttempts,
-      twoFactorAuth: systemSettings.twoFactorAuth,
-    };
-
-    res.json(securitySettings);
+    await updateCategory(req, res, "security");
   } catch (error) {
     console.error("Error updating security settings:", error);
     res.status(500).json({ message: "Server error while updating security settings" });
   }
 };
+
+// @desc    Get settings change history
+// @route   GET /api/settings/history
+// @access  Admin
+export const getSettingsHistory = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      console.log("Database not connected, returning empty settings history");
+      return res.json({
+        history: [],
+        pagination: { total: 0, page: 1, limit: 20, pages: 0 },
+      });
+    }
+
+    const { key, category, page = 1, limit = 20 } = req.query;
+    const result = await SettingsService.getHistory({ key, category, page, limit });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching settings history:", error);
+    res.status(500).json({ message: "Server error while fetching settings history" });
+  }
+};
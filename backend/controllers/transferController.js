@@ -1,8 +1,46 @@
+import mongoose from "mongoose";
+import fs from "fs";
 import { validationResult } from "express-validator";
 import PropertyTransfer from "../models/PropertyTransfer.js";
 import Property from "../models/Property.js";
 import User from "../models/User.js";
+import Dispute from "../models/Dispute.js";
 import ApplicationLog from "../models/ApplicationLog.js";
+import TransferService from "../services/transferService.js";
+import WorkflowService from "../services/workflowService.js";
+import NotificationService from "../services/notificationService.js";
+import TransferFeeService, { TRANSFER_FEE_LABELS } from "../services/transferFeeService.js";
+import EncumbranceService from "../services/encumbranceService.js";
+import { uploadToGridFS, uploadBufferToGridFS } from "../config/gridfs.js";
+import { ACTIVE_TRANSFER_STATUSES, isConsentExpired, getOutstandingTransferFees } from "../services/workflows.js";
+
+// Whether the user is the previous or the new owner of a transfer
+const isTransferParty = (transfer, user) =>
+  [transfer.previousOwner, transfer.newOwner].some(party => party.toString() === user._id.toString());
+
+// Store an uploaded file in GridFS, whichever storage multer used
+const storeUploadedFile = async (file, metadata) => {
+  if (file.path && file.path.startsWith('gridfs://')) {
+    // File is already in GridFS (production)
+    return { fileId: file.id || file.gridfsId, filename: file.filename };
+  }
+
+  if (file.buffer) {
+    return uploadBufferToGridFS(file.buffer, file.originalname, metadata);
+  }
+
+  // File is on disk (development); remove the local copy once it is in GridFS
+  const result = await uploadToGridFS(file.path, file.originalname, metadata);
+  try {
+    fs.unlinkSync(file.path);
+  } catch (unlinkError) {
+    console.warn("Warning: Could not delete temporary file:", unlinkError.message);
+  }
+  return result;
+};
+
+// Statuses in which the new owner can still add their own documents
+const RECIPIENT_DOCUMENT_STATUSES = ["awaiting_recipient", "initiated", "documents_pending"];
 
 // @desc    Initiate property transfer
 // @route   POST /api/transfers
@@ -42,10 +80,36 @@ export const initiateTransfer = async (req, res) => {
       });
     }
 
+    const transferBlock = TransferService.getTransferBlock(propertyExists);
+    if (transferBlock) {
+      return res.status(400).json({ message: transferBlock });
+    }
+
+    // Mortgages, liens, injunctions and caveats block the transfer; other encumbrances are flagged on it
+    const encumbranceCheck = await EncumbranceService.checkProperty(property, "transfer");
+    if (encumbranceCheck.blocked) {
+      return res.status(400).json({ message: encumbranceCheck.message });
+    }
+
+    // A resolved dispute can still change the owner or void the registration until its actions are decided
+    const pendingResolution = await Dispute.exists({
+      property,
+      "resolutionActions.status": "proposed"
+    });
+
+    if (pendingResolution) {
+      return res.status(400).json({
+        message: "Cannot transfer property while dispute resolution actions await confirmation"
+      });
+    }
+
+    // An unanswered transfer past its acceptance period no longer blocks the property
+    await TransferService.expireOverdueTransfers({ property });
+
     // Check if there's already an active transfer for this property
     const existingTransfer = await PropertyTransfer.findOne({
       property,
-      status: { $in: ["initiated", "documents_pending", "under_review", "verification_pending"] }
+      status: { $in: ACTIVE_TRANSFER_STATUSES }
     });
 
     if (existingTransfer) {
@@ -69,7 +133,7 @@ export const initiateTransfer = async (req, res) => {
       });
     }
 
-    // Create new transfer
+    // Create new transfer; it waits for the new owner to accept it
     const transfer = await PropertyTransfer.create({
       property,
       previousOwner: req.user._id,
@@ -77,14 +141,28 @@ export const initiateTransfer = async (req, res) => {
       transferType,
       transferReason,
       transferValue: transferValue || { amount: 0, currency: "ETB" },
+      recipientConsent: {
+        status: "pending",
+        expiresAt: await TransferService.getAcceptanceDeadline()
+      },
       timeline: [{
         action: "Transfer initiated",
         performedBy: req.user._id,
         performedByRole: req.user.role,
-        notes: "Property transfer initiated by owner"
-      }]
+        notes: "Property transfer initiated by owner, awaiting acceptance by the new owner"
+      },
+      ...(encumbranceCheck.warnings.length > 0 ? [{
+        action: "Encumbrances flagged",
+        performedBy: req.user._id,
+        performedByRole: req.user.role,
+        notes: `The property remains subject to: ${encumbranceCheck.warnings.join(", ")}`
+      }] : [])]
     });
 
+    // Price the transfer fees with the fee schedule in effect today
+    await TransferFeeService.syncFeeAmounts(transfer);
+    await transfer.save();
+
     // Update property to mark it has an active transfer
     await Property.findByIdAndUpdate(property, {
       currentTransfer: transfer._id,
@@ -92,21 +170,24 @@ export const initiateTransfer = async (req, res) => {
     });
 
     // Create application log entry
-    await ApplicationLog.create({
-      property,
-      user: req.user._id,
-      action: "transfer_initiated",
-      status: "under_review",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
+    await WorkflowService.logCreated("transfer", transfer, {
+      user: req.user,
+      logAction: "transfer_initiated",
       notes: `Property transfer initiated to ${newOwner.fullName}`,
       metadata: {
-        transferId: transfer._id,
         transferType,
         newOwnerId: newOwner._id
       }
     });
 
+    // Ask the new owner to accept or decline
+    await NotificationService.sendTransferConsentRequestNotification(
+      transfer,
+      propertyExists,
+      req.user,
+      newOwner
+    );
+
     // Populate the transfer with property and user details
     const populatedTransfer = await PropertyTransfer.findById(transfer._id)
       .populate('property', 'plotNumber location propertyType')
@@ -128,13 +209,22 @@ export const getUserTransfers = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+    const { direction, status } = req.query;
 
-    const transfers = await PropertyTransfer.find({
-      $or: [
-        { previousOwner: req.user._id },
-        { newOwner: req.user._id }
-      ]
-    })
+    // incoming: transfers to the user; outgoing: transfers from the user; otherwise both
+    const query = direction === "incoming"
+      ? { newOwner: req.user._id }
+      : direction === "outgoing"
+        ? { previousOwner: req.user._id }
+        : { $or: [{ previousOwner: req.user._id }, { newOwner: req.user._id }] };
+
+    await TransferService.expireOverdueTransfers(query);
+
+    if (status) {
+      query.status = status;
+    }
+
+    const transfers = await PropertyTransfer.find(query)
       .populate('property', 'plotNumber location propertyType')
       .populate('previousOwner', 'fullName email')
       .populate('newOwner', 'fullName email')
@@ -142,12 +232,7 @@ export const getUserTransfers = async (req, res) => {
       .skip(skip)
       .limit(limit);
 
-    const total = await PropertyTransfer.countDocuments({
-      $or: [
-        { previousOwner: req.user._id },
-        { newOwner: req.user._id }
-      ]
-    });
+    const total = await PropertyTransfer.countDocuments(query);
 
     res.json({
       transfers,
@@ -170,6 +255,8 @@ export const getUserTransfers = async (req, res) => {
 // @access  Private (User - only their own transfers)
 export const getTransferById = async (req, res) => {
   try {
+    await TransferService.expireOverdueTransfers({ _id: req.params.id });
+
     const transfer = await PropertyTransfer.findOne({
       _id: req.params.id,
       $or: [
@@ -203,8 +290,7 @@ export const cancelTransfer = async (req, res) => {
 
     const transfer = await PropertyTransfer.findOne({
       _id: req.params.id,
-      previousOwner: req.user._id,
-      status: { $in: ["initiated", "documents_pending", "under_review"] }
+      previousOwner: req.user._id
     });
 
     if (!transfer) {
@@ -213,35 +299,15 @@ export const cancelTransfer = async (req, res) => {
       });
     }
 
-    // Update transfer status
-    transfer.status = "cancelled";
-    transfer.timeline.push({
-      action: "Transfer cancelled by previous owner",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: reason || "Transfer cancelled by previous owner"
-    });
-
-    await transfer.save();
-
-    // Update property to remove current transfer
-    await Property.findByIdAndUpdate(transfer.property, {
-      $unset: { currentTransfer: 1 }
+    // Cancelling also clears the property's current transfer
+    const result = await WorkflowService.transition("transfer", transfer, "cancel", {
+      user: req.user,
+      notes: reason
     });
 
-    // Create application log entry
-    await ApplicationLog.create({
-      property: transfer.property,
-      user: req.user._id,
-      action: "transfer_cancelled",
-      status: "cancelled",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: reason || "Transfer cancelled by previous owner",
-      metadata: {
-        transferId: transfer._id
-      }
-    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
     res.json({ message: "Transfer cancelled successfully", transfer });
   } catch (error) {
@@ -268,8 +334,7 @@ export const uploadTransferDocuments = async (req, res) => {
 
     const transfer = await PropertyTransfer.findOne({
       _id: req.params.id,
-      previousOwner: req.user._id,
-      status: { $in: ["initiated", "documents_pending"] }
+      previousOwner: req.user._id
     });
 
     if (!transfer) {
@@ -279,26 +344,157 @@ export const uploadTransferDocuments = async (req, res) => {
     }
 
     // Add documents to transfer
-    transfer.documents.push(...documents);
-    transfer.status = "under_review";
+    transfer.documents.push(...documents.map(document => ({ ...document, uploadedBy: req.user._id })));
+
+    const result = await WorkflowService.transition("transfer", transfer, "submit_documents", {
+      user: req.user,
+      notes: `Uploaded ${documents.length} document(s)`,
+      metadata: {
+        documentCount: documents.length
+      }
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: "Documents uploaded successfully", transfer });
+  } catch (error) {
+    console.error("Error uploading transfer documents:", error);
+    res.status(500).json({ message: "Server error while uploading documents" });
+  }
+};
+
+// @desc    Accept a transfer (new owner)
+// @route   PUT /api/transfers/:id/accept
+// @access  Private (User - only new owner)
+export const acceptTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await PropertyTransfer.findOne({
+      _id: req.params.id,
+      newOwner: req.user._id
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    if (transfer.status === "awaiting_recipient" && isConsentExpired(transfer)) {
+      await TransferService.expireOverdueTransfers({ _id: transfer._id });
+      return res.status(400).json({ message: "The period for accepting this transfer has ended" });
+    }
+
+    const result = await WorkflowService.transition("transfer", transfer, "accept", {
+      user: req.user,
+      notes: req.body.notes
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const property = await Property.findById(transfer.property).select("plotNumber");
+    if (property) {
+      await NotificationService.sendTransferConsentResponseNotification(transfer, property, req.user, "accepted");
+    }
+
+    res.json({ message: "Transfer accepted successfully", transfer });
+  } catch (error) {
+    console.error("Error accepting transfer:", error);
+    res.status(500).json({ message: "Server error while accepting transfer" });
+  }
+};
+
+// @desc    Decline a transfer (new owner)
+// @route   PUT /api/transfers/:id/decline
+// @access  Private (User - only new owner)
+export const declineTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await PropertyTransfer.findOne({
+      _id: req.params.id,
+      newOwner: req.user._id
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    // Declining also clears the property's current transfer
+    const result = await WorkflowService.transition("transfer", transfer, "decline", {
+      user: req.user,
+      notes: req.body.reason
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const property = await Property.findById(transfer.property).select("plotNumber");
+    if (property) {
+      await NotificationService.sendTransferConsentResponseNotification(transfer, property, req.user, "declined");
+    }
+
+    res.json({ message: "Transfer declined", transfer });
+  } catch (error) {
+    console.error("Error declining transfer:", error);
+    res.status(500).json({ message: "Server error while declining transfer" });
+  }
+};
+
+// @desc    Upload the new owner's own documents (e.g. ID) to a transfer
+// @route   POST /api/transfers/:id/recipient-documents
+// @access  Private (User - only new owner)
+export const uploadRecipientDocuments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { documents } = req.body;
+
+    const transfer = await PropertyTransfer.findOne({
+      _id: req.params.id,
+      newOwner: req.user._id
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    if (!RECIPIENT_DOCUMENT_STATUSES.includes(transfer.status)) {
+      return res.status(400).json({
+        message: "Documents can no longer be added to this transfer"
+      });
+    }
+
+    transfer.documents.push(...documents.map(document => ({ ...document, uploadedBy: req.user._id })));
     transfer.timeline.push({
-      action: "Transfer documents uploaded",
+      action: "New owner documents uploaded",
       performedBy: req.user._id,
-      performedByRole: req.user.role,
       notes: `Uploaded ${documents.length} document(s)`
     });
 
     await transfer.save();
 
-    // Create application log entry
     await ApplicationLog.create({
       property: transfer.property,
-      user: req.user._id,
-      action: "transfer_documents_uploaded",
-      status: "under_review",
+      user: transfer.previousOwner,
+      action: "transfer_recipient_documents_uploaded",
+      status: transfer.status,
       performedBy: req.user._id,
       performedByRole: req.user.role,
-      notes: `Transfer documents uploaded: ${documents.length} document(s)`,
+      notes: `New owner uploaded ${documents.length} document(s)`,
       metadata: {
         transferId: transfer._id,
         documentCount: documents.length
@@ -307,11 +503,119 @@ export const uploadTransferDocuments = async (req, res) => {
 
     res.json({ message: "Documents uploaded successfully", transfer });
   } catch (error) {
-    console.error("Error uploading transfer documents:", error);
+    console.error("Error uploading recipient documents:", error);
     res.status(500).json({ message: "Server error while uploading documents" });
   }
 };
 
+// @desc    Upload a file for a transfer document
+// @route   POST /api/transfers/:id/files
+// @access  Private (User - previous or new owner)
+export const uploadTransferFile = async (req, res) => {
+  try {
+    const transfer = await PropertyTransfer.findById(req.params.id);
+
+    if (!transfer || !isTransferParty(transfer, req.user)) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+
+    const stored = await storeUploadedFile(req.file, {
+      transferId: transfer._id,
+      ownerId: req.user._id,
+      uploadDate: new Date()
+    });
+
+    // The returned fields go into the documents sent to the transfer document endpoints
+    res.status(201).json({
+      fileId: stored.fileId,
+      filename: stored.filename,
+      fileType: req.file.mimetype,
+      originalName: req.file.originalname,
+      size: req.file.size
+    });
+  } catch (error) {
+    console.error("Error uploading transfer file:", error);
+    res.status(500).json({ message: "Server error while uploading file" });
+  }
+};
+
+// @desc    Get the fees due for a transfer
+// @route   GET /api/transfers/:id/fees
+// @access  Private (Previous or new owner, Admin, Land Officer)
+export const getTransferFees = async (req, res) => {
+  try {
+    const transfer = await PropertyTransfer.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    if (!isTransferParty(transfer, req.user) && !["admin", "landOfficer"].includes(req.user.role)) {
+      return res.status(403).json({ message: "Not authorized to view fees for this transfer" });
+    }
+
+    const property = await Property.findById(transfer.property);
+    if (!property) {
+      return res.status(404).json({ message: "Property not found" });
+    }
+
+    // Fees are priced by the fee schedule in effect when the transfer was started
+    const calculation = await TransferFeeService.syncFeeAmounts(transfer, property);
+    if (transfer.isModified()) {
+      await transfer.save();
+    }
+
+    res.json({
+      transferId: transfer._id,
+      calculation,
+      transferFees: transfer.transferFees,
+      outstanding: getOutstandingTransferFees(transfer)
+    });
+  } catch (error) {
+    console.error("Error calculating transfer fees:", error);
+    res.status(500).json({ message: "Server error while calculating transfer fees" });
+  }
+};
+
+// @desc    Waive a transfer fee component
+// @route   PUT /api/transfers/:id/fees/:component/waive
+// @access  Private (Admin, Land Officer)
+export const waiveTransferFee = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await PropertyTransfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    // Waive the amount that would otherwise be due
+    await TransferFeeService.syncFeeAmounts(transfer);
+
+    const { component } = req.params;
+    const result = await TransferFeeService.waiveFee(transfer, component, req.body.reason.trim(), req.user);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      message: `${TRANSFER_FEE_LABELS[component]} waived successfully`,
+      transferFees: transfer.transferFees,
+      outstanding: getOutstandingTransferFees(transfer)
+    });
+  } catch (error) {
+    console.error("Error waiving transfer fee:", error);
+    res.status(500).json({ message: "Server error while waiving transfer fee" });
+  }
+};
+
 // @desc    Get all transfers (Admin/Land Officer)
 // @route   GET /api/transfers
 // @access  Private (Admin/Land Officer)
@@ -322,6 +626,8 @@ export const getAllTransfers = async (req, res) => {
     const skip = (page - 1) * limit;
     const status = req.query.status;
 
+    await TransferService.expireOverdueTransfers();
+
     // Build query
     const query = {};
     if (status) {
@@ -392,46 +698,27 @@ export const reviewTransferDocuments = async (req, res) => {
       return res.status(404).json({ message: "Transfer not found" });
     }
 
-    // Update document reviews
-    transfer.documentReviews = documentReviews;
-
     // Check if all documents are approved
     const allApproved = documentReviews.every(review => review.status === 'approved');
 
-    if (allApproved) {
-      transfer.status = 'verification_pending';
-      transfer.timeline.push({
-        action: "All documents approved",
-        performedBy: req.user._id,
-        performedByRole: req.user.role,
-        notes: "All transfer documents have been approved"
-      });
-    } else {
-      transfer.status = 'documents_pending';
-      transfer.timeline.push({
-        action: "Document review completed with issues",
-        performedBy: req.user._id,
-        performedByRole: req.user.role,
-        notes: "Some documents need revision"
-      });
-    }
-
-    await transfer.save();
+    // Update document reviews
+    transfer.documentReviews = documentReviews;
 
-    // Create application log entry
-    await ApplicationLog.create({
-      property: transfer.property,
-      user: transfer.previousOwner,
-      action: "transfer_documents_reviewed",
-      status: transfer.status,
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: allApproved ? "All documents approved" : "Some documents need revision",
-      metadata: {
-        transferId: transfer._id,
-        allApproved
+    const result = await WorkflowService.transition(
+      "transfer",
+      transfer,
+      allApproved ? "approve_documents" : "request_documents",
+      {
+        user: req.user,
+        metadata: {
+          allApproved
+        }
       }
-    });
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
     res.json({ message: "Document review completed", transfer });
   } catch (error) {
@@ -482,41 +769,26 @@ export const performComplianceChecks = async (req, res) => {
     }
 
     // Check if all compliance checks are completed and passed
+    const { ethiopianLawCompliance: lawCheck, taxClearance: taxCheck, fraudPrevention: fraudCheck } =
+      transfer.complianceChecks;
     const allCompliant =
-      transfer.complianceChecks.ethiopianLawCompliance.status === 'compliant' &&
-      transfer.complianceChecks.taxClearance.status === 'compliant' &&
-      transfer.complianceChecks.fraudPrevention.status === 'compliant';
-
-    if (allCompliant) {
-      transfer.status = 'approved';
-    } else {
-      transfer.status = 'verification_pending';
-    }
-
-    transfer.timeline.push({
-      action: "Compliance checks performed",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: allCompliant ? "All compliance checks passed" : "Some compliance issues found"
-    });
-
-    await transfer.save();
-
-    // Create application log entry
-    await ApplicationLog.create({
-      property: transfer.property,
-      user: transfer.previousOwner,
-      action: "transfer_compliance_checked",
-      status: transfer.status,
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: allCompliant ? "All compliance checks passed" : "Some compliance issues found",
+      lawCheck.status === 'compliant' &&
+      taxCheck.status === 'cleared' &&
+      fraudCheck.status === 'cleared';
+
+    // Results are recorded in the compliance_check stage; approval is a separate decision
+    const result = await WorkflowService.transition("transfer", transfer, "record_compliance", {
+      user: req.user,
+      notes: allCompliant ? "All compliance checks passed" : "Some compliance checks are pending or failed",
       metadata: {
-        transferId: transfer._id,
         allCompliant
       }
     });
 
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
     res.json({ message: "Compliance checks completed", transfer });
   } catch (error) {
     console.error("Error performing compliance checks:", error);
@@ -536,6 +808,16 @@ export const approveTransfer = async (req, res) => {
       return res.status(404).json({ message: "Transfer not found" });
     }
 
+    // Approval needs every fee priced and then paid or waived, and no blocking encumbrance registered since the transfer started
+    if (approvalStatus === 'approved') {
+      const encumbranceCheck = await EncumbranceService.checkProperty(transfer.property, "transfer");
+      if (encumbranceCheck.blocked) {
+        return res.status(400).json({ message: encumbranceCheck.message });
+      }
+
+      await TransferFeeService.syncFeeAmounts(transfer);
+    }
+
     // Update approval status
     transfer.approvals.push({
       approver: req.user._id,
@@ -544,48 +826,24 @@ export const approveTransfer = async (req, res) => {
       approvalDate: new Date()
     });
 
-    if (approvalStatus === 'approved') {
-      transfer.status = 'approved';
-      transfer.timeline.push({
-        action: "Transfer approved",
-        performedBy: req.user._id,
-        performedByRole: req.user.role,
-        notes: notes || "Transfer approved by land officer"
-      });
-    } else {
-      transfer.status = 'rejected';
-      transfer.timeline.push({
-        action: "Transfer rejected",
-        performedBy: req.user._id,
-        performedByRole: req.user.role,
-        notes: notes || "Transfer rejected by land officer"
-      });
-    }
-
-    await transfer.save();
+    // Rejecting also clears the property's current transfer
+    const result = await WorkflowService.transition(
+      "transfer",
+      transfer,
+      approvalStatus === 'approved' ? "approve" : "reject",
+      {
+        user: req.user,
+        notes,
+        metadata: {
+          approvalStatus
+        }
+      }
+    );
 
-    // Update property status
-    if (approvalStatus === 'rejected') {
-      await Property.findByIdAndUpdate(transfer.property, {
-        $unset: { currentTransfer: 1 }
-      });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
     }
 
-    // Create application log entry
-    await ApplicationLog.create({
-      property: transfer.property,
-      user: transfer.previousOwner,
-      action: `transfer_${approvalStatus}`,
-      status: transfer.status,
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: notes || `Transfer ${approvalStatus} by land officer`,
-      metadata: {
-        transferId: transfer._id,
-        approvalStatus
-      }
-    });
-
     res.json({ message: `Transfer ${approvalStatus} successfully`, transfer });
   } catch (error) {
     console.error("Error approving/rejecting transfer:", error);
@@ -598,75 +856,35 @@ export const approveTransfer = async (req, res) => {
 // @access  Private (Admin)
 export const completeTransfer = async (req, res) => {
   try {
-    const transfer = await PropertyTransfer.findById(req.params.id);
-    if (!transfer) {
-      return res.status(404).json({ message: "Transfer not found" });
-    }
-
-    if (transfer.status !== 'approved') {
-      return res.status(400).json({
-        message: "Transfer must be approved before completion"
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: "Database connection issue. Please try again.",
+        error: "Service temporarily unavailable"
       });
     }
 
-    // Update property ownership
-    const property = await Property.findById(transfer.property);
-    if (!property) {
-      return res.status(404).json({ message: "Property not found" });
+    const result = await TransferService.completeTransfer(req.params.id, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
     }
 
-    // Add to ownership history
-    property.ownershipHistory.push({
-      owner: property.owner,
-      startDate: property.registrationDate,
-      endDate: new Date(),
-      transferType: transfer.transferType
-    });
-
-    // Update current owner
-    property.owner = transfer.newOwner;
-    property.lastUpdated = new Date();
-
-    // Clear current transfer
-    property.currentTransfer = undefined;
-
-    await property.save();
-
-    // Update transfer status
-    transfer.status = 'completed';
-    transfer.completionDate = new Date();
-    transfer.timeline.push({
-      action: "Transfer completed - ownership changed",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: "Property ownership successfully transferred"
-    });
-
-    await transfer.save();
-
-    // Create application log entry
-    await ApplicationLog.create({
-      property: transfer.property,
-      user: transfer.newOwner,
-      action: "transfer_completed",
-      status: "completed",
-      performedBy: req.user._id,
-      performedByRole: req.user.role,
-      notes: "Property ownership successfully transferred",
-      metadata: {
-        transferId: transfer._id,
-        previousOwner: transfer.previousOwner,
-        newOwner: transfer.newOwner
-      }
-    });
+    const { transfer, property, certificate, alreadyCompleted } = result;
 
     res.json({
-      message: "Transfer completed successfully - ownership changed",
+      message: alreadyCompleted
+        ? "Transfer was already completed"
+        : "Transfer completed successfully - ownership changed",
+      alreadyCompleted,
       transfer,
       property: {
-        _id: property._id,
-        plotNumber: property.plotNumber,
+        _id: transfer.property,
+        plotNumber: property?.plotNumber,
         newOwner: transfer.newOwner
+      },
+      certificate: certificate && {
+        _id: certificate._id,
+        certificateNumber: certificate.certificateNumber,
+        issuedAt: certificate.issuedAt
       }
     });
   } catch (error) {
@@ -1,5 +1,10 @@
 import mongoose from "mongoose";
 import User from "../models/User.js";
+import AssignmentService from "../services/assignmentService.js";
+import SecurityService from "../services/securityService.js";
+import SessionService from "../services/sessionService.js";
+import TwoFactorService from "../services/twoFactorService.js";
+import AccountService from "../services/accountService.js";
 import { validationResult } from "express-validator";
 
 // @desc    Get all users
@@ -107,6 +112,12 @@ export const createUser = async (req, res) => {
     const { fullName, email, password, phoneNumber, nationalId, role } =
       req.body;
 
+    // Enforce the configured password rules
+    const passwordErrors = await SecurityService.checkPassword(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ errors: passwordErrors });
+    }
+
     // Check if user already exists
     const userExists = await User.findOne({
       $or: [{ email }, { nationalId }],
@@ -136,6 +147,8 @@ export const createUser = async (req, res) => {
     });
 
     if (user) {
+      await AccountService.sendEmailVerification(user);
+
       res.status(201).json({
         _id: user._id,
         fullName: user.fullName,
@@ -175,15 +188,65 @@ export const updateUser = async (req, res) => {
     user.email = req.body.email || user.email;
     user.phoneNumber = req.body.phoneNumber || user.phoneNumber;
     user.nationalId = req.body.nationalId || user.nationalId;
+    const previousRole = user.role;
     user.role = req.body.role || user.role;
 
-    // Update password if provided
+    // A role change here needs the same two-factor check as PUT /api/users/:id/role
+    if (user.role !== previousRole) {
+      const stepUp = await TwoFactorService.checkStepUp(req.user, req.authSession, req.get("X-Two-Factor-Code"), req.ip);
+      if (!stepUp.success) {
+        if (stepUp.retryAfter) res.set("Retry-After", String(stepUp.retryAfter));
+
+        return res.status(stepUp.statusCode).json({
+          message: stepUp.message,
+          ...(stepUp.stepUpRequired && { stepUpRequired: true }),
+          ...(stepUp.twoFactorSetupRequired && { twoFactorSetupRequired: true }),
+          ...(stepUp.retryAfter && { retryAfter: stepUp.retryAfter }),
+        });
+      }
+    }
+
+    // Sub-cities a land officer takes new applications from
+    if (Array.isArray(req.body.assignedSubCities)) {
+      user.assignedSubCities = req.body.assignedSubCities.filter(Boolean);
+    }
+
+    // Update password if provided, and only to one that meets the configured rules
     if (req.body.password) {
+      const passwordErrors = await SecurityService.checkPassword(req.body.password);
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({ errors: passwordErrors });
+      }
+
       user.password = req.body.password;
     }
 
+    const passwordChanged = user.isModified("password");
+    const emailChanged = user.isModified("email");
     const updatedUser = await user.save();
 
+    // The new address has to be verified by its owner
+    if (emailChanged) {
+      await AccountService.sendEmailVerification(updatedUser);
+    }
+
+    // Sign the user out everywhere when their role or password changes
+    if (previousRole !== updatedUser.role || passwordChanged) {
+      await SessionService.revokeAll(
+        updatedUser._id,
+        previousRole !== updatedUser.role ? "role_changed" : "password_changed",
+        { revokedBy: req.user._id }
+      );
+    }
+
+    // Hand a former land officer's open applications to the remaining officers
+    if (previousRole === "landOfficer" && updatedUser.role !== "landOfficer") {
+      await AssignmentService.releaseQueue(updatedUser._id, {
+        performedBy: req.user._id,
+        performedByRole: req.user.role,
+      });
+    }
+
     res.json({
       _id: updatedUser._id,
       fullName: updatedUser.fullName,
@@ -191,6 +254,8 @@ export const updateUser = async (req, res) => {
       phoneNumber: updatedUser.phoneNumber,
       nationalId: updatedUser.nationalId,
       role: updatedUser.role,
+      emailVerified: updatedUser.emailVerified,
+      assignedSubCities: updatedUser.assignedSubCities,
     });
   } catch (error) {
     console.error("Error updating user:", error);
@@ -210,6 +275,14 @@ export const deleteUser = async (req, res) => {
     }
 
     await user.deleteOne();
+    await SessionService.revokeAll(user._id, "user_deleted", { revokedBy: req.user._id });
+
+    if (user.role === "landOfficer") {
+      await AssignmentService.releaseQueue(user._id, {
+        performedBy: req.user._id,
+        performedByRole: req.user.role,
+      });
+    }
 
     res.json({ message: "User removed" });
   } catch (error) {
@@ -250,6 +323,19 @@ export const changeUserRole = async (req, res) => {
     user.role = role;
     await user.save();
 
+    // Existing sessions carry the old role; make the user sign in again
+    if (previousRole !== role) {
+      await SessionService.revokeAll(user._id, "role_changed", { revokedBy: req.user._id });
+    }
+
+    // Hand a former land officer's open applications to the remaining officers
+    if (previousRole === "landOfficer" && role !== "landOfficer") {
+      await AssignmentService.releaseQueue(user._id, {
+        performedBy: req.user._id,
+        performedByRole: req.user.role,
+      });
+    }
+
     // Log the role change
     console.log(`Role changed by admin ${req.user.email} (${req.user._id}): User ${user.email} (${user._id}) role changed from '${previousRole}' to '${role}'`);
 
@@ -266,16 +352,72 @@ export const changeUserRole = async (req, res) => {
   }
 };
 
-// @desc    Get all land officers
+// @desc    Get the active sessions of a user
+// @route   GET /api/users/:id/sessions
+// @access  Admin
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("fullName email role");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const sessions = await SessionService.listSessions(user._id);
+    res.json({ user, sessions });
+  } catch (error) {
+    console.error("Error fetching user sessions:", error);
+    res.status(500).json({ message: "Server error while fetching user sessions" });
+  }
+};
+
+// @desc    End every session of a user
+// @route   DELETE /api/users/:id/sessions
+// @access  Admin
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("email");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const count = await SessionService.revokeAll(user._id, "revoked_by_admin", { revokedBy: req.user._id });
+
+    console.log(`Sessions revoked by admin ${req.user.email} (${req.user._id}): ${count} for user ${user.email} (${user._id})`);
+
+    res.json({ message: `Ended ${count} session${count === 1 ? "" : "s"}`, count });
+  } catch (error) {
+    console.error("Error revoking user sessions:", error);
+    res.status(500).json({ message: "Server error while revoking user sessions" });
+  }
+};
+
+// @desc    Get all land officers with their application workload
 // @route   GET /api/users/land-officers
 // @access  Admin
 export const getLandOfficers = async (req, res) => {
   try {
-    const landOfficers = await User.find({ role: "landOfficer" }).select(
-      "-password"
+    const landOfficers = await User.find({ role: "landOfficer" })
+      .select("-password")
+      .lean();
+
+    const workloads = await AssignmentService.getWorkloads(
+      landOfficers.map((officer) => officer._id)
     );
 
-    res.json(landOfficers);
+    res.json(
+      landOfficers.map((officer) => {
+        const workload = workloads.get(officer._id.toString()) || { open: 0, completed: 0, byStatus: {} };
+
+        return {
+          ...officer,
+          assignedApplications: workload.open,
+          completedApplications: workload.completed,
+          applicationsByStatus: workload.byStatus,
+        };
+      })
+    );
   } catch (error) {
     console.error("Error fetching land officers:", error);
     res
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import Property from "../models/Property.js";
+import PropertyTransfer from "../models/PropertyTransfer.js";
+import Dispute from "../models/Dispute.js";
+import ParcelChange from "../models/ParcelChange.js";
+import WorkflowService from "../services/workflowService.js";
+
+// Models holding the records of each workflow
+const WORKFLOW_MODELS = {
+  property: Property,
+  transfer: PropertyTransfer,
+  dispute: Dispute,
+  parcelChange: ParcelChange,
+};
+
+// @desc    Get the actions the current user can take next on a record
+// @route   GET /api/workflows/:type/:id/actions
+// @access  Private (Record owner, Admin, Land Officer)
+export const getAvailableActions = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const Model = WORKFLOW_MODELS[type];
+
+    if (!Model) {
+      return res.status(400).json({ message: `Unknown workflow: ${type}` });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid record ID" });
+    }
+
+    const record = await Model.findById(id);
+    if (!record) {
+      return res.status(404).json({ message: "Record not found" });
+    }
+
+    const workflow = WorkflowService.getWorkflow(type);
+    const parties = [workflow.ownerOf(record), workflow.recipientOf?.(record)];
+    const isParty = parties.some((party) => party?.toString() === req.user._id.toString());
+
+    if (!isParty && !["admin", "landOfficer"].includes(req.user.role)) {
+      return res.status(403).json({ message: "Not authorized to view this record" });
+    }
+
+    res.json({
+      type,
+      id: record._id,
+      status: record.status,
+      actions: WorkflowService.getAvailableActions(type, record, req.user),
+    });
+  } catch (error) {
+    console.error("Error fetching available actions:", error);
+    res.status(500).json({ message: "Server error while fetching available actions" });
+  }
+};
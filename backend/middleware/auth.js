@@ -1,9 +1,17 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Property from "../models/Property.js";
+import SessionService from "../services/sessionService.js";
+import TwoFactorService from "../services/twoFactorService.js";
+import AccountService from "../services/accountService.js";
+
+// Requests allowed from token claims alone while the database is unreachable
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
 
 // Middleware to authenticate user using JWT
+// Access tokens are only honoured while the session they name is active (see SessionService)
 export const authenticate = async (req, res, next) => {
   try {
     // Get token from header
@@ -18,21 +26,44 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Check if database is connected before querying
+    // Tokens issued before server-side sessions carry no session id
+    if (!decoded.sid) {
+      return res
+        .status(401)
+        .json({ message: "Session expired. Please log in again." });
+    }
+
+    // Without the database the session cannot be checked, so only allow reads
     if (mongoose.connection.readyState !== 1) {
-      console.log("Database not connected, skipping user lookup");
-      // Create a minimal user object from token for basic functionality
+      if (!READ_ONLY_METHODS.includes(req.method)) {
+        return res.status(503).json({
+          message: "Database connection issue. Changes are unavailable until it is restored.",
+          error: "Service temporarily unavailable",
+        });
+      }
+
+      console.log("Database not connected, allowing read-only access from token");
       req.user = {
         _id: decoded.id,
         role: decoded.role || 'user',
         email: decoded.email || 'unknown@example.com',
-        fullName: decoded.fullName || 'Unknown User'
+        fullName: decoded.fullName || 'Unknown User',
+        readOnly: true
       };
       return next();
     }
 
-    // Find user by id
-    const user = await User.findById(decoded.id).select("-password");
+    // Find the session and user; either being gone ends access immediately
+    const [session, user] = await Promise.all([
+      SessionService.getActiveSession(decoded.sid, decoded.id),
+      User.findById(decoded.id).select("-password"),
+    ]);
+
+    if (!session) {
+      return res
+        .status(401)
+        .json({ message: "Session has ended. Please log in again." });
+    }
 
     if (!user) {
       return res
@@ -40,8 +71,9 @@ export const authenticate = async (req, res, next) => {
         .json({ message: "Invalid token. User not found." });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error("Authentication error:", error.message);
@@ -51,6 +83,113 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// Middleware for 2FA enrolment: accepts the setup challenge a login returns when the
+// policy requires 2FA, otherwise a normal session
+export const authenticateTwoFactorSetup = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const challenge = TwoFactorService.readChallenge(challengeToken, "setup");
+    if (!challenge) {
+      return res
+        .status(401)
+        .json({ message: "Login challenge expired. Please log in again." });
+    }
+
+    const user = await User.findById(challenge.id).select("-password");
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: "Invalid token. User not found." });
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = true;
+    next();
+  } catch (error) {
+    console.error("Two-factor setup authentication error:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error during authentication." });
+  }
+};
+
+// Middleware for high-risk actions: requires a recent 2FA check in this session,
+// or a current code in the X-Two-Factor-Code header
+export const requireStepUp = async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.checkStepUp(
+      req.user,
+      req.authSession,
+      req.get("X-Two-Factor-Code"),
+      req.ip
+    );
+
+    if (!result.success) {
+      if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+
+      return res.status(result.statusCode).json({
+        message: result.message,
+        ...(result.stepUpRequired && { stepUpRequired: true }),
+        ...(result.twoFactorSetupRequired && { twoFactorSetupRequired: true }),
+        ...(result.retryAfter && { retryAfter: result.retryAfter }),
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Two-factor step-up error:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error during two-factor check." });
+  }
+};
+
+// Middleware for citizen submissions: property registrations and transfers need a verified email
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res
+      .status(401)
+      .json({ message: "Authentication required." });
+  }
+
+  if (AccountService.isVerificationRequired(req.user)) {
+    return res.status(403).json({
+      message: "Please verify your email address before submitting applications. Check your inbox or request a new link from your profile.",
+      emailVerificationRequired: true,
+    });
+  }
+
+  next();
+};
+
+// Middleware for scheduled jobs: the caller sends CRON_SECRET as a bearer token, as Vercel Cron does
+// The jobs cannot be triggered over HTTP while CRON_SECRET is unset
+export const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    return res
+      .status(403)
+      .json({ message: "Scheduled jobs over HTTP are disabled. Set CRON_SECRET to enable them." });
+  }
+
+  // Compare digests so the check takes the same time whatever the input
+  const token = req.header("Authorization")?.replace("Bearer ", "") || "";
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+  if (!crypto.timingSafeEqual(digest(token), digest(secret))) {
+    return res
+      .status(401)
+      .json({ message: "Invalid cron secret." });
+  }
+
+  next();
+};
+
 // Middleware to check if user is admin
 export const isAdmin = (req, res, next) => {
   // No user attached → authentication missing / invalid
@@ -3,9 +3,13 @@
  * Handles authorization and security controls for payment operations
  */
 
+import mongoose from "mongoose";
 import Property from "../models/Property.js";
 import Payment from "../models/Payment.js";
+import PropertyTransfer from "../models/PropertyTransfer.js";
+import ParcelChange from "../models/ParcelChange.js";
 import User from "../models/User.js";
+import { TRANSFER_PAYABLE_STATUSES } from "../services/transferFeeService.js";
 
 /**
  * Middleware to verify payment authorization
@@ -45,11 +49,94 @@ export const verifyPaymentAccess = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to verify transfer fee payment authorization
+ * Ensures only the previous or new owner pays the fees of a transfer of the property
+ */
+export const verifyTransferPaymentAccess = async (req, res, next) => {
+  try {
+    const { propertyId } = req.params;
+    const userId = req.user._id.toString();
+
+    if (![propertyId, req.body.transferId].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid property or transfer ID" });
+    }
+
+    const transfer = await PropertyTransfer.findOne({ _id: req.body.transferId, property: propertyId });
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found for this property" });
+    }
+
+    if (![transfer.previousOwner, transfer.newOwner].some(party => party.toString() === userId)) {
+      return res.status(403).json({
+        message: "Not authorized to pay fees for this transfer"
+      });
+    }
+
+    // Add property and transfer to request for use in controller
+    req.property = await Property.findById(propertyId);
+    req.transfer = transfer;
+    next();
+  } catch (error) {
+    console.error('Transfer payment access verification error:', error);
+    res.status(500).json({
+      message: "Server error during transfer payment authorization",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Middleware to verify parcel change fee payment authorization
+ * Ensures only the owner pays the fee of a subdivision or merge of the property
+ */
+export const verifyParcelChangePaymentAccess = async (req, res, next) => {
+  try {
+    const { propertyId } = req.params;
+
+    if (![propertyId, req.body.parcelChangeId].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid property or parcel change ID" });
+    }
+
+    const parcelChange = await ParcelChange.findOne({ _id: req.body.parcelChangeId, parents: propertyId });
+    if (!parcelChange) {
+      return res.status(404).json({ message: "Parcel change not found for this property" });
+    }
+
+    if (parcelChange.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        message: "Not authorized to pay the fee for this parcel change"
+      });
+    }
+
+    // Add property and parcel change to request for use in controller
+    req.property = await Property.findById(propertyId);
+    req.parcelChange = parcelChange;
+    next();
+  } catch (error) {
+    console.error('Parcel change payment access verification error:', error);
+    res.status(500).json({
+      message: "Server error during parcel change payment authorization",
+      error: error.message
+    });
+  }
+};
+
 /**
  * Middleware to verify property payment authorization
  * Ensures user can only initiate payments for their own properties
+ * Payments with a transferId in the body are transfer fees and are checked against the transfer instead,
+ * and payments with a parcelChangeId are subdivision or merge fees checked against the parcel change
  */
 export const verifyPropertyPaymentAccess = async (req, res, next) => {
+  if (req.body?.transferId) {
+    return verifyTransferPaymentAccess(req, res, next);
+  }
+
+  if (req.body?.parcelChangeId) {
+    return verifyParcelChangePaymentAccess(req, res, next);
+  }
+
   try {
     const { propertyId } = req.params;
     const userId = req.user._id;
@@ -93,6 +180,28 @@ export const verifyPaymentWorkflowState = async (req, res, next) => {
   try {
     const property = req.property; // Set by verifyPropertyPaymentAccess
 
+    // Transfer fees are due once the new owner accepts and until an officer decides
+    if (req.transfer) {
+      if (!TRANSFER_PAYABLE_STATUSES.includes(req.transfer.status)) {
+        return res.status(400).json({
+          message: `Cannot process payment. Transfer status is '${req.transfer.status}'.`,
+          workflowStage: "invalid_transfer_status"
+        });
+      }
+      return next();
+    }
+
+    // Parcel change fees are due while the subdivision or merge awaits review
+    if (req.parcelChange) {
+      if (req.parcelChange.status !== "pending") {
+        return res.status(400).json({
+          message: `Cannot process payment. Parcel change status is '${req.parcelChange.status}'.`,
+          workflowStage: "invalid_parcel_change_status"
+        });
+      }
+      return next();
+    }
+
     // Check if documents are validated
     if (!property.documentsValidated) {
       return res.status(400).json({
@@ -136,15 +245,22 @@ export const preventDuplicatePayments = async (req, res, next) => {
   try {
     const property = req.property; // Set by verifyPropertyPaymentAccess
 
+    // Transfer fee checkouts resume the payment already in progress (see initializeTransferFeePayment)
+    if (req.transfer) {
+      return next();
+    }
+
     // Check for existing pending payments
     const existingPayment = await Payment.findOne({
-      property: property._id,
+      ...(req.parcelChange
+        ? { parcelChange: req.parcelChange._id }
+        : { property: property._id, transfer: { $exists: false }, parcelChange: { $exists: false } }),
       status: { $in: ['pending', 'processing'] }
     });
 
     if (existingPayment) {
       return res.status(400).json({
-        message: "A payment is already in progress for this property.",
+        message: `A payment is already in progress for this ${req.parcelChange ? 'parcel change' : 'property'}.`,
         existingPayment: {
           id: existingPayment._id,
           transactionId: existingPayment.transactionId,
@@ -185,7 +301,7 @@ export const validatePaymentAmount = async (req, res, next) => {
     const PaymentCalculationService = (await import("../services/paymentCalculationService.js")).default;
     
     // Calculate expected amount
-    const calculation = PaymentCalculationService.calculateRegistrationFee(property, req.user);
+    const calculation = await PaymentCalculationService.calculateRegistrationFee(property, req.user);
     const expectedAmount = calculation.summary.totalAmount;
 
     // Allow small variance for rounding differences
@@ -0,0 +1,195 @@
+/**
+ * Request metrics middleware
+ * Keeps rolling per-minute aggregates of request timings and error rates for /api/reports/performance
+ * Aggregates live in memory, so on serverless deployments they describe the current instance only
+ */
+
+// Number of one-minute buckets kept (rolling one hour)
+export const METRICS_WINDOW_MINUTES = 60;
+
+// Users are remembered for the longest allowed session timeout (see the sessionTimeout setting)
+const USER_RETENTION_MINUTES = 24 * 60;
+
+// Upper bounds (ms) of the latency histogram used to estimate percentiles
+const LATENCY_BOUNDS = [25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, Infinity];
+
+const buckets = new Map();
+const lastSeenByUser = new Map();
+
+const currentMinute = (now = Date.now()) => Math.floor(now / 60000);
+
+const createStats = () => ({
+  count: 0,
+  clientErrors: 0,
+  serverErrors: 0,
+  totalDuration: 0,
+  maxDuration: 0,
+  histogram: new Array(LATENCY_BOUNDS.length).fill(0),
+});
+
+const addToStats = (stats, duration, statusCode) => {
+  stats.count += 1;
+  stats.totalDuration += duration;
+  stats.maxDuration = Math.max(stats.maxDuration, duration);
+  stats.histogram[LATENCY_BOUNDS.findIndex((bound) => duration <= bound)] += 1;
+
+  if (statusCode >= 500) {
+    stats.serverErrors += 1;
+  } else if (statusCode >= 400) {
+    stats.clientErrors += 1;
+  }
+};
+
+const mergeStats = (target, stats) => {
+  target.count += stats.count;
+  target.clientErrors += stats.clientErrors;
+  target.serverErrors += stats.serverErrors;
+  target.totalDuration += stats.totalDuration;
+  target.maxDuration = Math.max(target.maxDuration, stats.maxDuration);
+  stats.histogram.forEach((value, index) => {
+    target.histogram[index] += value;
+  });
+};
+
+// Estimate a percentile from the histogram as the upper bound of the bucket that contains it
+const percentile = (stats, fraction) => {
+  if (stats.count === 0) return 0;
+
+  const target = Math.ceil(stats.count * fraction);
+  let seen = 0;
+
+  for (let index = 0; index < LATENCY_BOUNDS.length; index += 1) {
+    seen += stats.histogram[index];
+    if (seen >= target) {
+      return Number.isFinite(LATENCY_BOUNDS[index]) ? LATENCY_BOUNDS[index] : stats.maxDuration;
+    }
+  }
+
+  return stats.maxDuration;
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const summarise = (stats, minutes) => ({
+  total: stats.count,
+  perMinute: round(stats.count / minutes),
+  errorRate: stats.count ? round((stats.serverErrors / stats.count) * 100) : 0,
+  clientErrorRate: stats.count ? round((stats.clientErrors / stats.count) * 100) : 0,
+  averageResponseTime: stats.count ? round(stats.totalDuration / stats.count) : 0,
+  p95ResponseTime: round(percentile(stats, 0.95)),
+  maxResponseTime: round(stats.maxDuration),
+});
+
+// Drop buckets and users that fell out of the window
+const prune = (now = Date.now()) => {
+  const oldestMinute = currentMinute(now) - METRICS_WINDOW_MINUTES + 1;
+
+  buckets.forEach((_, minute) => {
+    if (minute < oldestMinute) buckets.delete(minute);
+  });
+
+  lastSeenByUser.forEach((lastSeen, userId) => {
+    if (now - lastSeen > USER_RETENTION_MINUTES * 60000) lastSeenByUser.delete(userId);
+  });
+};
+
+/**
+ * Record a finished request
+ * @param {Object} entry - { route, statusCode, duration (ms), userId, at (ms timestamp) }
+ */
+export const recordRequest = ({ route, statusCode, duration, userId, at = Date.now() }) => {
+  const minute = currentMinute(at);
+
+  if (!buckets.has(minute)) {
+    buckets.set(minute, { overall: createStats(), routes: new Map() });
+    prune(at);
+  }
+
+  const bucket = buckets.get(minute);
+  addToStats(bucket.overall, duration, statusCode);
+
+  if (!bucket.routes.has(route)) {
+    bucket.routes.set(route, createStats());
+  }
+  addToStats(bucket.routes.get(route), duration, statusCode);
+
+  if (userId) {
+    lastSeenByUser.set(String(userId), at);
+  }
+};
+
+/**
+ * Express middleware timing every request until the response is finished
+ */
+export const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const duration = Number(process.hrtime.bigint() - start) / 1e6;
+
+    // Group by route pattern so /properties/:id is one entry rather than one per id
+    const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} (unmatched)`;
+
+    recordRequest({
+      route,
+      statusCode: res.statusCode,
+      duration,
+      userId: req.user?._id,
+    });
+  });
+
+  next();
+};
+
+/**
+ * Aggregate the recorded requests over the last few minutes
+ * @param {Object} options - { minutes, activeWithinMinutes, topRoutes }
+ * @returns {Object} { window, requests, routes, activeUsers }
+ */
+export const getRequestMetrics = ({ minutes = METRICS_WINDOW_MINUTES, activeWithinMinutes = 30, topRoutes = 10 } = {}) => {
+  const now = Date.now();
+  const windowMinutes = Math.min(Math.max(parseInt(minutes) || METRICS_WINDOW_MINUTES, 1), METRICS_WINDOW_MINUTES);
+  const oldestMinute = currentMinute(now) - windowMinutes + 1;
+
+  prune(now);
+
+  const overall = createStats();
+  const routes = new Map();
+
+  buckets.forEach((bucket, minute) => {
+    if (minute < oldestMinute) return;
+
+    mergeStats(overall, bucket.overall);
+    bucket.routes.forEach((stats, route) => {
+      if (!routes.has(route)) routes.set(route, createStats());
+      mergeStats(routes.get(route), stats);
+    });
+  });
+
+  const activeSince = now - activeWithinMinutes * 60000;
+  let activeUsers = 0;
+  lastSeenByUser.forEach((lastSeen) => {
+    if (lastSeen >= activeSince) activeUsers += 1;
+  });
+
+  return {
+    window: {
+      minutes: windowMinutes,
+      since: new Date(oldestMinute * 60000),
+    },
+    requests: summarise(overall, windowMinutes),
+    routes: [...routes.entries()]
+      .map(([route, stats]) => ({ route, ...summarise(stats, windowMinutes) }))
+      .sort((a, b) => b.averageResponseTime - a.averageResponseTime)
+      .slice(0, topRoutes),
+    activeUsers,
+  };
+};
+
+/**
+ * Clear all recorded metrics
+ */
+export const resetRequestMetrics = () => {
+  buckets.clear();
+  lastSeenByUser.clear();
+};
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Emailed link for a password reset or email verification; the token itself is
+// signed and only its id is stored, so each one can be used once
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["password_reset", "email_verification"],
+      required: true,
+    },
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Address the link was sent to; a verification link stops working once the email changes
+    email: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+export default AccountToken;
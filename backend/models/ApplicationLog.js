@@ -1,5 +1,38 @@
 import mongoose from "mongoose";
 
+// Statuses of the records logged here: properties, documents, payments, transfers and disputes
+const LOG_STATUSES = [
+  "pending",
+  "under_review",
+  "approved",
+  "rejected",
+  "needs_update",
+  "verified",
+  "documents_pending",
+  "documents_validated",
+  "payment_pending",
+  "payment_completed",
+  "completed",
+  "failed",
+  "cancelled",
+  "deleted",
+  "void",
+  "retired",
+  // Transfer statuses
+  "awaiting_recipient",
+  "initiated",
+  "documents_submitted",
+  "compliance_check",
+  "declined",
+  "expired",
+  // Dispute statuses
+  "submitted",
+  "investigation",
+  "mediation",
+  "resolved",
+  "withdrawn",
+];
+
 const applicationLogSchema = new mongoose.Schema(
   {
     property: {
@@ -25,39 +58,80 @@ const applicationLogSchema = new mongoose.Schema(
         "payment_verified",
         "property_payment_verified",
         "payment_workflow_completed",
+        "payment_completed",
+        "payment_pending",
+        "payment_failed",
+        "payment_rejected",
+        "payment_receipt_uploaded",
+        "property_payment_rejected",
+        "cbe_payment_initiated",
+        "telebirr_payment_initiated",
         "application_approved",
         "application_rejected",
         "application_updated",
+        "application_assigned",
+        "application_deleted",
         "status_changed",
         "comment_added",
         // Dispute-related actions
         "dispute_submitted",
         "dispute_assigned",
         "dispute_under_review",
+        "dispute_investigation_started",
+        "dispute_mediation_started",
         "dispute_resolved",
         "dispute_rejected",
         "dispute_withdrawn",
+        "dispute_action_proposed",
+        "dispute_action_rejected",
+        "ownership_reverted",
+        "property_data_corrected",
+        "registration_voided",
+        "documents_reverification_ordered",
         // Transfer-related actions
         "transfer_initiated",
+        "transfer_accepted",
+        "transfer_declined",
+        "transfer_expired",
+        "transfer_recipient_documents_uploaded",
         "transfer_documents_uploaded",
         "transfer_under_review",
+        "transfer_documents_reviewed",
+        "transfer_compliance_checked",
+        "transfer_fee_payment_initiated",
+        "transfer_fee_paid",
+        "transfer_fee_overpaid",
+        "transfer_fee_waived",
         "transfer_approved",
         "transfer_rejected",
         "transfer_completed",
         "transfer_cancelled",
         "ownership_transferred",
+        // Encumbrance-related actions
+        "encumbrance_registered",
+        "encumbrance_released",
+        // Subdivision and merge actions
+        "parcel_change_submitted",
+        "parcel_change_fee_payment_initiated",
+        "parcel_change_fee_paid",
+        "parcel_change_fee_waived",
+        "parcel_change_approved",
+        "parcel_change_rejected",
+        "parcel_change_cancelled",
+        "parcel_created",
+        "parcel_retired",
         "other",
       ],
       required: [true, "Action type is required"],
     },
     status: {
       type: String,
-      enum: ["pending", "under_review", "approved", "rejected", "needs_update", "verified", "documents_validated", "payment_pending", "payment_completed"],
+      enum: LOG_STATUSES,
       required: [true, "Status is required"],
     },
     previousStatus: {
       type: String,
-      enum: ["pending", "under_review", "approved", "rejected", "needs_update", "verified", "documents_validated", "payment_pending", "payment_completed"],
+      enum: LOG_STATUSES,
     },
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
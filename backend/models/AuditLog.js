@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// System-level events that are not tied to a property, such as first-run setup
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["first_admin_created"],
+      required: [true, "Audit action is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Where the action came from: the command line or an HTTP request
+    source: {
+      type: String,
+      enum: ["cli", "http"],
+      required: true,
+    },
+    ipAddress: {
+      type: String,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+// Setup runs once: a second first admin cannot be recorded, even by concurrent requests
+auditLogSchema.index(
+  { action: 1 },
+  { unique: true, partialFilterExpression: { action: "first_admin_created" }, name: "first_admin_once" }
+);
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
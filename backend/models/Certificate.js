@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+const certificateSchema = new mongoose.Schema(
+  {
+    certificateNumber: {
+      type: String,
+      required: [true, "Certificate number is required"],
+      unique: true,
+      trim: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: [true, "Property is required"],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner is required"],
+    },
+    // Title details as they stood when the certificate was issued; this is what the signature covers
+    details: {
+      ownerName: {
+        type: String,
+        required: [true, "Owner name is required"],
+      },
+      ownerNationalId: {
+        type: String,
+      },
+      plotNumber: {
+        type: String,
+        required: [true, "Plot number is required"],
+      },
+      location: {
+        subCity: String,
+        kebele: String,
+      },
+      area: {
+        type: Number,
+        required: [true, "Area is required"],
+      },
+      propertyType: {
+        type: String,
+        required: [true, "Property type is required"],
+      },
+      ownershipHistory: [
+        {
+          ownerName: String,
+          startDate: Date,
+          endDate: Date,
+          transferType: String,
+        },
+      ],
+      // Encumbrances active when the certificate was issued
+      encumbrances: [
+        {
+          type: { type: String },
+          holderName: String,
+          reference: String,
+          amount: Number,
+          currency: String,
+          registrationDate: Date,
+        },
+      ],
+    },
+    reason: {
+      type: String,
+      enum: ["registration", "transfer", "reissue", "dispute_resolution", "subdivision", "merge"],
+      default: "registration",
+    },
+    status: {
+      type: String,
+      enum: ["valid", "superseded", "revoked"],
+      default: "valid",
+    },
+    issuedAt: {
+      type: Date,
+      required: [true, "Issue date is required"],
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Digital signature over the certificate number, property, owner, details and issue date
+    signature: {
+      type: String,
+      required: [true, "Signature is required"],
+    },
+    signatureAlgorithm: {
+      type: String,
+      default: "Ed25519",
+    },
+    // Fingerprint of the public key that signed the certificate
+    keyId: {
+      type: String,
+      required: [true, "Signing key ID is required"],
+    },
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Certificate",
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revocationReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Add index for faster queries
+// Note: certificateNumber already has a unique index from the schema definition
+certificateSchema.index({ property: 1, status: 1 });
+certificateSchema.index({ owner: 1 });
+
+const Certificate = mongoose.model("Certificate", certificateSchema);
+
+export default Certificate;
@@ -108,6 +108,67 @@ const disputeSchema = new mongoose.Schema(
         maxlength: [1000, "Action required cannot exceed 1000 characters"],
       },
     },
+    // Actions on the property that carry out the resolution: proposed by an officer, applied once an admin confirms
+    resolutionActions: [
+      {
+        type: {
+          type: String,
+          enum: ["revert_ownership", "correct_property_data", "void_registration", "reverify_documents"],
+          required: [true, "Action type is required"],
+        },
+        status: {
+          type: String,
+          enum: ["proposed", "applied", "rejected"],
+          default: "proposed",
+        },
+        // revert_ownership: ownershipHistoryEntry; correct_property_data: area and/or location
+        params: {
+          ownershipHistoryEntry: {
+            type: mongoose.Schema.Types.ObjectId,
+          },
+          area: {
+            type: Number,
+            min: [0, "Area must be a positive number"],
+          },
+          location: {
+            kebele: String,
+            subCity: String,
+            coordinates: {
+              latitude: Number,
+              longitude: Number,
+            },
+          },
+        },
+        notes: {
+          type: String,
+          maxlength: [1000, "Notes cannot exceed 1000 characters"],
+        },
+        proposedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        proposedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        confirmedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        confirmedAt: {
+          type: Date,
+        },
+        rejectionReason: {
+          type: String,
+          maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+        },
+        // Property values the action replaced
+        previousValues: {
+          type: mongoose.Schema.Types.Mixed,
+        },
+      },
+    ],
     timeline: [
       {
         action: {
@@ -155,6 +216,10 @@ disputeSchema.index({ status: 1 });
 disputeSchema.index({ assignedTo: 1 });
 disputeSchema.index({ submissionDate: -1 });
 disputeSchema.index({ priority: 1, status: 1 });
+disputeSchema.index(
+  { title: "text", description: "text" },
+  { name: "dispute_search", weights: { title: 3, description: 1 } }
+);
 
 // Update lastUpdated on save
 disputeSchema.pre('save', function(next) {
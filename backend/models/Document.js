@@ -83,6 +83,10 @@ const documentSchema = new mongoose.Schema(
 documentSchema.index({ property: 1 });
 documentSchema.index({ owner: 1 });
 documentSchema.index({ documentType: 1 });
+documentSchema.index(
+  { documentName: "text", filename: "text" },
+  { name: "document_search", weights: { documentName: 3, filename: 1 } }
+);
 
 const Document = mongoose.model("Document", documentSchema);
 
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+// Encumbrance types that block transfers, subdivision and property type changes unless registered otherwise
+const BLOCKING_ENCUMBRANCE_TYPES = ["mortgage", "lien", "court_injunction", "government_caveat"];
+
+const encumbranceSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["mortgage", "lien", "court_injunction", "government_caveat", "lease", "easement", "other"],
+      required: [true, "Encumbrance type is required"],
+    },
+    // Bank, court, government body or person in whose favour the encumbrance is registered
+    holder: {
+      name: {
+        type: String,
+        required: [true, "Holder name is required"],
+        trim: true,
+        maxlength: [200, "Holder name cannot exceed 200 characters"],
+      },
+      holderType: {
+        type: String,
+        enum: ["bank", "court", "government", "individual", "other"],
+        required: [true, "Holder type is required"],
+      },
+      // Loan account, court case or caveat number
+      reference: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Reference cannot exceed 100 characters"],
+      },
+    },
+    amount: {
+      value: {
+        type: Number,
+        min: [0, "Amount must be a positive number"],
+      },
+      currency: {
+        type: String,
+        default: "ETB",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    blocking: {
+      type: Boolean,
+      default: function () {
+        return BLOCKING_ENCUMBRANCE_TYPES.includes(this.type);
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "released"],
+      default: "active",
+    },
+    registrationDate: {
+      type: Date,
+      default: Date.now,
+    },
+    registeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    releaseDate: {
+      type: Date,
+    },
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    releaseReason: {
+      type: String,
+      maxlength: [500, "Release reason cannot exceed 500 characters"],
+    },
+  },
+  { timestamps: true }
+);
+
+encumbranceSchema.index({ property: 1, status: 1 });
+encumbranceSchema.index({ status: 1, type: 1 });
+encumbranceSchema.index({ registrationDate: -1 });
+
+const Encumbrance = mongoose.model("Encumbrance", encumbranceSchema);
+
+export default Encumbrance;
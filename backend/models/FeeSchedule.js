@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+const feeScheduleSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: [true, "Schedule version is required"],
+      unique: true,
+      min: [1, "Schedule version must be at least 1"],
+    },
+    effectiveFrom: {
+      type: Date,
+      required: [true, "Effective-from date is required"],
+    },
+    // Base registration fees by property type and urban/rural location (ETB)
+    baseFees: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Base fees are required"],
+    },
+    // Area-based multipliers by property type and urban/rural location (per square meter)
+    areaMultipliers: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Area multipliers are required"],
+    },
+    // Fixed registration processing fee (ETB)
+    processingFee: {
+      type: Number,
+      required: [true, "Processing fee is required"],
+      min: [0, "Processing fee must be a positive number"],
+    },
+    taxRates: {
+      registration: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 1,
+      },
+      stamp: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 1,
+      },
+    },
+    transfer: {
+      taxRate: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 1,
+      },
+      processingFee: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    // Subdivision and merge fees (ETB): a processing fee plus a fee per plot created or merged
+    parcelChange: {
+      subdivide: {
+        processingFee: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        perParcelFee: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+      merge: {
+        processingFee: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        perParcelFee: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+    },
+    // Flat service fees (ETB)
+    serviceFees: {
+      documentVerificationFee: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      certificateIssueFee: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    locationMultipliers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: { default: 1.0 },
+    },
+    // Discount rates for special cases (fractions of the total)
+    discounts: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    notes: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Add index for faster queries
+feeScheduleSchema.index({ effectiveFrom: -1 });
+
+const FeeSchedule = mongoose.model("FeeSchedule", feeScheduleSchema);
+
+export default FeeSchedule;
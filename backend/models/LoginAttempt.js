@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one account (email) or one client IP
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Lowercased email for account counters, client address for IP counters
+    identifier: {
+      type: String,
+      required: true,
+    },
+    // Failures since windowStartedAt
+    count: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    // Counter is dropped once both the window and any lockout have passed
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
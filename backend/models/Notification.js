@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Notification recipient is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Notification title is required"],
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: [true, "Notification message is required"],
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    actionRequired: {
+      type: Boolean,
+      default: false,
+    },
+    actionUrl: {
+      type: String,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    dispute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Dispute",
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    inApp: {
+      type: Boolean,
+      default: true,
+    },
+    deliveries: [
+      {
+        channel: {
+          type: String,
+          enum: ["inApp", "email", "sms"],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["pending", "sent", "failed", "skipped"],
+          default: "pending",
+        },
+        attempts: {
+          type: Number,
+          default: 0,
+        },
+        lastError: String,
+        messageId: String,
+        lastAttemptAt: Date,
+        deliveredAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Add index for faster queries
+notificationSchema.index({ user: 1, read: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ type: 1 });
+notificationSchema.index({ "deliveries.status": 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+
+// GeoJSON polygon of a planned plot; copied to the new property when the change is approved
+const polygonSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Polygon"],
+      required: true,
+    },
+    coordinates: {
+      type: [[[Number]]],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// A subdivision of one plot into several, or a merge of neighbouring plots into one.
+// Approval retires the parent plots and registers the child plots in their place.
+const parcelChangeSchema = new mongoose.Schema(
+  {
+    operation: {
+      type: String,
+      enum: ["subdivide", "merge"],
+      required: [true, "Operation is required"],
+    },
+    // Owner of the parent plots, who applied for the change
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parents: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Property",
+        required: true,
+      },
+    ],
+    // Planned plots; property is set once the change is approved and the plot is registered
+    children: [
+      {
+        plotNumber: {
+          type: String,
+          required: [true, "Plot number is required"],
+          trim: true,
+        },
+        area: {
+          type: Number,
+          required: [true, "Area is required"],
+          min: [0, "Area must be a positive number"],
+        },
+        propertyType: {
+          type: String,
+          enum: ["residential", "commercial", "industrial", "agricultural"],
+          required: [true, "Property type is required"],
+        },
+        location: {
+          kebele: {
+            type: String,
+            required: [true, "Kebele is required"],
+            trim: true,
+          },
+          subCity: {
+            type: String,
+            required: [true, "Sub-city is required"],
+            trim: true,
+          },
+          coordinates: {
+            latitude: Number,
+            longitude: Number,
+          },
+        },
+        boundary: {
+          type: polygonSchema,
+        },
+        property: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Property",
+        },
+      },
+    ],
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+      maxlength: [1000, "Reason cannot exceed 1000 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    // Subdivision or merge fee: paid through a parcel_change_fee payment or waived by an officer
+    fee: {
+      amount: {
+        type: Number,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ["pending", "paid", "waived"],
+        default: "pending",
+      },
+      feeScheduleVersion: {
+        type: Number,
+      },
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payment",
+      },
+      paymentReference: {
+        type: String,
+      },
+      paidAt: {
+        type: Date,
+      },
+      waivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      waivedAt: {
+        type: Date,
+      },
+      waiverReason: {
+        type: String,
+        maxlength: [500, "Waiver reason cannot exceed 500 characters"],
+      },
+    },
+    submissionDate: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewDate: {
+      type: Date,
+    },
+    reviewNotes: {
+      type: String,
+      maxlength: [1000, "Review notes cannot exceed 1000 characters"],
+    },
+    timeline: [
+      {
+        action: {
+          type: String,
+          required: true,
+        },
+        performedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        performedByRole: {
+          type: String,
+          enum: ["admin", "landOfficer", "user", "system"],
+        },
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        notes: {
+          type: String,
+        },
+      },
+    ],
+    lastUpdated: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+parcelChangeSchema.index({ parents: 1, status: 1 });
+parcelChangeSchema.index({ owner: 1 });
+parcelChangeSchema.index({ status: 1, operation: 1 });
+parcelChangeSchema.index({ submissionDate: -1 });
+
+const ParcelChange = mongoose.model("ParcelChange", parcelChangeSchema);
+
+export default ParcelChange;
@@ -7,6 +7,22 @@ const paymentSchema = new mongoose.Schema(
       ref: "Property",
       required: true,
     },
+    // Transfer whose fees a transfer_fee payment covers
+    transfer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PropertyTransfer",
+    },
+    // Subdivision or merge whose fee a parcel_change_fee payment covers
+    parcelChange: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParcelChange",
+    },
+    transferFeeComponents: [
+      {
+        type: String,
+        enum: ["governmentFee", "taxAmount", "processingFee"],
+      },
+    ],
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -24,7 +40,7 @@ const paymentSchema = new mongoose.Schema(
     },
     paymentType: {
       type: String,
-      enum: ["registration_fee", "tax", "transfer_fee", "penalty", "service_fee", "other"],
+      enum: ["registration_fee", "tax", "transfer_fee", "parcel_change_fee", "penalty", "service_fee", "other"],
       required: [true, "Payment type is required"],
     },
     paymentMethod: {
@@ -115,6 +131,14 @@ const paymentSchema = new mongoose.Schema(
         required: true,
       },
     },
+    // Fee schedule version that priced this payment
+    feeSchedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FeeSchedule",
+    },
+    feeScheduleVersion: {
+      type: Number,
+    },
     notes: {
       type: String,
     },
@@ -153,6 +177,11 @@ const paymentSchema = new mongoose.Schema(
       type: Number,
       min: [0, "Refund amount must be positive"],
     },
+    // Set when a completed payment covered fees that were already settled, so it has to be refunded
+    refundRequired: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
@@ -160,11 +189,26 @@ const paymentSchema = new mongoose.Schema(
 // Add indexes for faster queries
 paymentSchema.index({ property: 1 });
 paymentSchema.index({ user: 1 });
+paymentSchema.index({ transfer: 1 });
+// One pending transfer fee payment per transfer, so concurrent checkouts cannot charge twice
+paymentSchema.index(
+  { transfer: 1, paymentType: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { paymentType: "transfer_fee", status: "pending" },
+    name: "one_pending_transfer_fee",
+  }
+);
+paymentSchema.index({ parcelChange: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ paymentMethod: 1 });
 paymentSchema.index({ paymentType: 1 });
 paymentSchema.index({ paymentDate: -1 });
 paymentSchema.index({ receiptNumber: 1 });
+paymentSchema.index(
+  { receiptNumber: "text", transactionId: "text" },
+  { name: "payment_search" }
+);
 // Note: transactionId already has a unique index from the schema definition
 
 // Virtual for formatted amount
@@ -1,5 +1,21 @@
 import mongoose from "mongoose";
 
+// GeoJSON polygon; coordinates are [longitude, latitude] rings with the first position repeated at the end
+const polygonSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Polygon"],
+      required: true,
+    },
+    coordinates: {
+      type: [[[Number]]],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 const propertySchema = new mongoose.Schema(
   {
     owner: {
@@ -27,6 +43,20 @@ const propertySchema = new mongoose.Schema(
         },
       },
     },
+    // Parcel boundary; location.coordinates holds its centroid when a boundary is given
+    boundary: {
+      type: polygonSchema,
+    },
+    // Approved parcels the boundary overlapped when it was last saved, for officers to review
+    boundaryOverlaps: [
+      {
+        property: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Property",
+        },
+        plotNumber: String,
+      },
+    ],
     plotNumber: {
       type: String,
       required: [true, "Plot number is required"],
@@ -51,7 +81,7 @@ const propertySchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ["pending", "documents_pending", "documents_validated", "payment_pending", "payment_completed", "under_review", "approved", "rejected"],
+      enum: ["pending", "documents_pending", "documents_validated", "payment_pending", "payment_completed", "under_review", "approved", "rejected", "void", "retired"],
       default: "pending",
     },
     documentsValidated: {
@@ -81,6 +111,14 @@ const propertySchema = new mongoose.Schema(
     reviewNotes: {
       type: String,
     },
+    // Land officer whose queue the application is in
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    assignedDate: {
+      type: Date,
+    },
     payments: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -113,6 +151,34 @@ const propertySchema = new mongoose.Schema(
         ref: "Dispute",
       },
     ],
+    // Set while an active encumbrance is registered against the property
+    hasActiveEncumbrance: {
+      type: Boolean,
+      default: false,
+    },
+    // Plots this plot was subdivided from or merged out of, and the plots that replaced it once retired
+    lineage: {
+      parents: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Property",
+        },
+      ],
+      children: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Property",
+        },
+      ],
+      createdByChange: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ParcelChange",
+      },
+      retiredByChange: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ParcelChange",
+      },
+    },
     // Property history tracking
     ownershipHistory: [
       {
@@ -147,8 +213,16 @@ const propertySchema = new mongoose.Schema(
 propertySchema.index({ owner: 1 });
 propertySchema.index({ status: 1 });
 propertySchema.index({ isTransferred: 1 });
+propertySchema.index({ assignedTo: 1, status: 1 });
 propertySchema.index({ hasActiveDispute: 1 });
+propertySchema.index({ hasActiveEncumbrance: 1 });
 propertySchema.index({ "ownershipHistory.owner": 1 });
+propertySchema.index({ "lineage.parents": 1 });
+propertySchema.index({ boundary: "2dsphere" });
+propertySchema.index(
+  { plotNumber: "text", "location.kebele": "text", "location.subCity": "text" },
+  { name: "property_search", weights: { plotNumber: 5, "location.kebele": 2, "location.subCity": 2 } }
+);
 
 const Property = mongoose.model("Property", propertySchema);
 
@@ -1,5 +1,39 @@
 import mongoose from "mongoose";
 
+// One fee component of a transfer: paid through a transfer_fee payment or waived by an officer
+const transferFeeComponent = () => ({
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "paid", "waived"],
+    default: "pending",
+  },
+  paymentReference: {
+    type: String,
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+  },
+  paidAt: {
+    type: Date,
+  },
+  waivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  waivedAt: {
+    type: Date,
+  },
+  waiverReason: {
+    type: String,
+    maxlength: [500, "Waiver reason cannot exceed 500 characters"],
+  },
+});
+
 const propertyTransferSchema = new mongoose.Schema(
   {
     property: {
@@ -97,11 +131,16 @@ const propertyTransferSchema = new mongoose.Schema(
         verificationNotes: {
           type: String,
         },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
       },
     ],
     status: {
       type: String,
       enum: [
+        "awaiting_recipient",
         "initiated",
         "documents_pending",
         "documents_submitted",
@@ -110,9 +149,29 @@ const propertyTransferSchema = new mongoose.Schema(
         "approved",
         "rejected",
         "completed",
-        "cancelled"
+        "cancelled",
+        "declined",
+        "expired"
       ],
-      default: "initiated",
+      default: "awaiting_recipient",
+    },
+    // The new owner must accept the transfer before it goes to review
+    recipientConsent: {
+      status: {
+        type: String,
+        enum: ["pending", "accepted", "declined", "expired"],
+        default: "pending",
+      },
+      expiresAt: {
+        type: Date,
+      },
+      respondedAt: {
+        type: Date,
+      },
+      notes: {
+        type: String,
+        maxlength: [500, "Response notes cannot exceed 500 characters"],
+      },
     },
     initiationDate: {
       type: Date,
@@ -192,48 +251,9 @@ const propertyTransferSchema = new mongoose.Schema(
     },
     // Payment information for transfer fees
     transferFees: {
-      governmentFee: {
-        amount: {
-          type: Number,
-          default: 0,
-        },
-        status: {
-          type: String,
-          enum: ["pending", "paid", "waived"],
-          default: "pending",
-        },
-        paymentReference: {
-          type: String,
-        },
-      },
-      taxAmount: {
-        amount: {
-          type: Number,
-          default: 0,
-        },
-        status: {
-          type: String,
-          enum: ["pending", "paid", "waived"],
-          default: "pending",
-        },
-        paymentReference: {
-          type: String,
-        },
-      },
-      processingFee: {
-        amount: {
-          type: Number,
-          default: 0,
-        },
-        status: {
-          type: String,
-          enum: ["pending", "paid", "waived"],
-          default: "pending",
-        },
-        paymentReference: {
-          type: String,
-        },
-      },
+      governmentFee: transferFeeComponent(),
+      taxAmount: transferFeeComponent(),
+      processingFee: transferFeeComponent(),
     },
     // Timeline tracking
     timeline: [
@@ -274,6 +294,11 @@ propertyTransferSchema.index({ newOwner: 1 });
 propertyTransferSchema.index({ status: 1 });
 propertyTransferSchema.index({ initiationDate: -1 });
 propertyTransferSchema.index({ transferType: 1 });
+propertyTransferSchema.index({ status: 1, "recipientConsent.expiresAt": 1 });
+propertyTransferSchema.index(
+  { transferReason: "text", reviewNotes: "text" },
+  { name: "transfer_search", weights: { transferReason: 2, reviewNotes: 1 } }
+);
 
 // Update lastUpdated on save
 propertyTransferSchema.pre('save', function(next) {
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// Reasons a session can end before it expires
+const REVOKE_REASONS = [
+  "logout",
+  "logout_others",
+  "password_changed",
+  "role_changed",
+  "user_deleted",
+  "revoked_by_admin",
+  "token_reuse",
+];
+
+// Server-side login session; access tokens name it in their sid claim and
+// the refresh token that renews them is stored only as a hash
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hash of the refresh token this one replaced; presenting it again means the token leaked
+    previousTokenHash: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed forward on every refresh; the session ends after this much inactivity
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Hard limit regardless of activity
+    absoluteExpiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Last two-factor check in this session; high-risk actions need a recent one
+    twoFactorVerifiedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { SETTING_DEFINITIONS, SETTING_CATEGORIES } from "../config/systemSettings.js";
+
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Setting key is required"],
+      unique: true,
+      enum: Object.keys(SETTING_DEFINITIONS),
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Setting value is required"],
+    },
+    category: {
+      type: String,
+      enum: SETTING_CATEGORIES,
+      required: [true, "Setting category is required"],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Make sure the stored value matches the type declared for the key
+settingSchema.path("value").validate(function (value) {
+  const definition = SETTING_DEFINITIONS[this.key];
+  return !definition || typeof value === definition.type;
+}, "Setting value has the wrong type");
+
+// Add index for faster queries
+settingSchema.index({ category: 1 });
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+export default Setting;
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { SETTING_CATEGORIES } from "../config/systemSettings.js";
+
+const settingHistorySchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      enum: SETTING_CATEGORIES,
+      required: [true, "Setting category is required"],
+    },
+    changes: [
+      {
+        key: {
+          type: String,
+          required: true,
+        },
+        oldValue: mongoose.Schema.Types.Mixed,
+        newValue: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Changed by is required"],
+    },
+    changedByRole: {
+      type: String,
+      enum: ["admin", "landOfficer", "user", "system"],
+      required: true,
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// Add index for faster queries
+settingHistorySchema.index({ timestamp: -1 });
+settingHistorySchema.index({ "changes.key": 1 });
+settingHistorySchema.index({ changedBy: 1 });
+
+const SettingHistory = mongoose.model("SettingHistory", settingHistorySchema);
+
+export default SettingHistory;
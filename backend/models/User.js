@@ -41,6 +41,80 @@ const userSchema = new mongoose.Schema(
       enum: ["admin", "landOfficer", "user"],
       default: "user",
     },
+    // Set from an emailed verification link (see AccountService); cleared when the email changes
+    // Accounts from before verification existed are marked by npm run grandfather-emails, without emailVerifiedAt
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // Sub-cities a land officer takes new applications from
+    assignedSubCities: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Latest global searches, newest first
+    recentSearches: {
+      type: [
+        {
+          query: String,
+          type: { type: String },
+          searchedAt: { type: Date, default: Date.now },
+          _id: false,
+        },
+      ],
+      select: false,
+    },
+    // TOTP two-factor authentication; secrets are encrypted (see TwoFactorService)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting its first code during enrolment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            hash: String,
+            usedAt: Date,
+            _id: false,
+          },
+        ],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+    notificationPreferences: {
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      sms: {
+        type: Boolean,
+        default: false,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -53,6 +127,20 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.index(
+  { fullName: "text", email: "text", nationalId: "text" },
+  { name: "user_search", weights: { fullName: 3, nationalId: 3, email: 2 } }
+);
+
+// A changed email address has to be verified again
+userSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("email")) {
+    this.emailVerified = false;
+    this.emailVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -7,9 +7,25 @@ import {
   loginAdmin,
   getUserProfile,
   updateUserProfile,
-  bootstrapRoles,
+  refreshSession,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  logoutOtherSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyStepUp,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupFirstAdmin,
 } from "../controllers/authController.js";
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, authenticateTwoFactorSetup } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -21,12 +37,8 @@ router.post(
   [
     check("fullName", "Full name is required").not().isEmpty(),
     check("email", "Please include a valid email").isEmail(),
-    check("password", "Password must be at least 8 characters")
-      .isLength({ min: 8 })
-      .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/)
-      .withMessage(
-        "Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character"
-      ),
+    // Length and complexity follow the security settings (see SecurityService)
+    check("password", "Password is required").isString().not().isEmpty(),
     check("phoneNumber", "Phone number is required").not().isEmpty(),
     check(
       "nationalId",
@@ -86,21 +98,153 @@ router.put(
     authenticate,
     check("fullName", "Full name is required").optional().not().isEmpty(),
     check("email", "Please include a valid email").optional().isEmail(),
-    check("password", "Password must be at least 8 characters")
-      .optional()
-      .isLength({ min: 8 })
-      .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/)
-      .withMessage(
-        "Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character"
-      ),
+    check("password", "Password must be text").optional().isString(),
     check("phoneNumber", "Phone number is required").optional().not().isEmpty(),
+    check("notificationPreferences.*", "Notification preferences must be true or false")
+      .optional()
+      .isBoolean(),
   ],
   updateUserProfile
 );
 
-// @route   POST /api/auth/bootstrap-roles
-// @desc    Bootstrap admin and land officer roles (temporary)
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public (refresh token)
+router.post(
+  "/refresh",
+  [check("refreshToken", "Refresh token is required").isString().not().isEmpty()],
+  refreshSession
+);
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post("/logout", authenticate, logoutUser);
+
+// @route   GET /api/auth/sessions
+// @desc    List the active sessions of the current user
+// @access  Private
+router.get("/sessions", authenticate, getSessions);
+
+// @route   POST /api/auth/sessions/logout-others
+// @desc    End every other session of the current user
+// @access  Private
+router.post("/sessions/logout-others", authenticate, logoutOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    End one session of the current user
+// @access  Private
+router.delete("/sessions/:sessionId", authenticate, revokeSession);
+
+// @route   POST /api/auth/2fa/login
+// @desc    Finish a login with a two-factor or recovery code
+// @access  Public (login challenge)
+router.post(
+  "/2fa/login",
+  [
+    check("challengeToken", "Login challenge is required").isString().not().isEmpty(),
+    check("code", "Code must be text").optional().isString(),
+    check("recoveryCode", "Recovery code must be text").optional().isString(),
+    check("code", "Enter a verification code or a recovery code").custom(
+      (code, { req }) => Boolean(code || req.body.recoveryCode)
+    ),
+  ],
+  verifyTwoFactorLogin
+);
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get the two-factor status of the current user
+// @access  Private
+router.get("/2fa/status", authenticate, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment and get the QR code
+// @access  Private (or setup challenge)
+router.post("/2fa/setup", authenticateTwoFactorSetup, startTwoFactorSetup);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code and get recovery codes
+// @access  Private (or setup challenge)
+router.post(
+  "/2fa/enable",
+  [authenticateTwoFactorSetup, check("code", "Verification code is required").isString().not().isEmpty()],
+  enableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post(
+  "/2fa/disable",
+  [
+    authenticate,
+    check("password", "Password is required").isString().not().isEmpty(),
+    check("code", "Verification code is required").isString().not().isEmpty(),
+  ],
+  disableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the current user's recovery codes
+// @access  Private
+router.post(
+  "/2fa/recovery-codes",
+  [authenticate, check("code", "Verification code is required").isString().not().isEmpty()],
+  regenerateRecoveryCodes
+);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Verify a code for high-risk actions in this session
+// @access  Private
+router.post(
+  "/2fa/verify",
+  [authenticate, check("code", "Verification code is required").isString().not().isEmpty()],
+  verifyStepUp
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
 // @access  Public
-router.post("/bootstrap-roles", bootstrapRoles);
+router.post(
+  "/forgot-password",
+  [check("email", "Please include a valid email").isEmail()],
+  forgotPassword
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password from a reset link
+// @access  Public (reset token)
+router.post(
+  "/reset-password",
+  [
+    check("token", "Reset token is required").isString().not().isEmpty(),
+    // Length and complexity follow the security settings (see SecurityService)
+    check("newPassword", "New password is required").isString().not().isEmpty(),
+  ],
+  resetPassword
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address from a verification link
+// @access  Public (verification token)
+router.post(
+  "/verify-email",
+  [check("token", "Verification token is required").isString().not().isEmpty()],
+  verifyEmail
+);
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification link to the current user's email
+// @access  Private
+router.post("/verify-email/resend", authenticate, resendVerificationEmail);
+
+// @route   POST /api/auth/setup
+// @desc    Create the first admin account
+// @access  Public (requires the one-time setup token)
+router.post(
+  "/setup",
+  [check("setupToken", "Setup token is required").isString().not().isEmpty()],
+  setupFirstAdmin
+);
 
 export default router;
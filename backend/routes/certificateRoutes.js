@@ -0,0 +1,49 @@
+import express from "express";
+import { check } from "express-validator";
+import {
+  getPropertyCertificates,
+  downloadPropertyCertificate,
+  reissueCertificate,
+  revokeCertificate,
+  verifyCertificate,
+  getCertificatePublicKey,
+} from "../controllers/certificateController.js";
+import { authenticate, isAdmin, isOwnerOrLandOfficerOrAdmin } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// @route   GET /api/certificates/public-key
+// @desc    Get the public key certificates are signed with
+// @access  Public
+router.get("/public-key", getCertificatePublicKey);
+
+// @route   GET /api/certificates/property/:id
+// @desc    Get the current certificate and certificate history of a property
+// @access  Private (Owner, Admin, Land Officer)
+router.get("/property/:id", authenticate, isOwnerOrLandOfficerOrAdmin, getPropertyCertificates);
+
+// @route   GET /api/certificates/property/:id/download
+// @desc    Download the current certificate of a property as a PDF
+// @access  Private (Owner, Admin, Land Officer)
+router.get("/property/:id/download", authenticate, isOwnerOrLandOfficerOrAdmin, downloadPropertyCertificate);
+
+// @route   POST /api/certificates/property/:id/reissue
+// @desc    Re-issue the certificate of an approved property
+// @access  Private (Admin)
+router.post("/property/:id/reissue", authenticate, isAdmin, reissueCertificate);
+
+// @route   PUT /api/certificates/:id/revoke
+// @desc    Revoke a certificate
+// @access  Private (Admin)
+router.put(
+  "/:id/revoke",
+  [authenticate, isAdmin, check("reason", "Revocation reason is required").trim().not().isEmpty()],
+  revokeCertificate
+);
+
+// @route   GET /api/certificates/:certificateNumber/verify
+// @desc    Verify a certificate (linked from the certificate QR code)
+// @access  Public
+router.get("/:certificateNumber/verify", verifyCertificate);
+
+export default router;
@@ -11,8 +11,11 @@ import {
   updateDisputeStatus,
   resolveDispute,
   assignDispute,
+  proposeResolutionAction,
+  confirmResolutionAction,
+  rejectResolutionAction,
 } from "../controllers/disputeController.js";
-import { authenticate, isUser, isAdminOrLandOfficer, isAdmin } from "../middleware/auth.js";
+import { authenticate, isUser, isAdminOrLandOfficer, isAdmin, requireStepUp } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -116,7 +119,7 @@ router.put(
       "investigation",
       "mediation",
       "resolved",
-      "dismissed",
+      "rejected",
       "withdrawn"
     ]),
     check("notes", "Notes are required when updating status").not().isEmpty().isLength({ max: 1000 }),
@@ -126,12 +129,13 @@ router.put(
 
 // @route   PUT /api/disputes/admin/:id/resolve
 // @desc    Resolve a dispute (Admin/Land Officer)
-// @access  Private (Admin, Land Officer)
+// @access  Private (Admin, Land Officer, recent two-factor check)
 router.put(
   "/admin/:id/resolve",
   [
     authenticate,
     isAdminOrLandOfficer,
+    requireStepUp,
     check("decision", "Decision is required").isIn([
       "in_favor_of_disputant",
       "in_favor_of_respondent",
@@ -158,4 +162,49 @@ router.put(
   assignDispute
 );
 
+// @route   POST /api/disputes/admin/:id/actions
+// @desc    Propose a resolution action for a resolved dispute (Admin/Land Officer)
+// @access  Private (Admin, Land Officer)
+router.post(
+  "/admin/:id/actions",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    check("type", "Action type is required").isIn([
+      "revert_ownership",
+      "correct_property_data",
+      "void_registration",
+      "reverify_documents"
+    ]),
+    check("params.ownershipHistoryEntry", "Ownership history entry is required to revert ownership")
+      .if(check("type").equals("revert_ownership"))
+      .isMongoId(),
+    check("params.area", "Area must be a positive number").optional().isFloat({ min: 0 }),
+    check("params.location.kebele", "Kebele cannot be empty").optional().trim().notEmpty(),
+    check("params.location.subCity", "Sub-city cannot be empty").optional().trim().notEmpty(),
+    check("params.location.coordinates.latitude", "Latitude must be between -90 and 90").optional().isFloat({ min: -90, max: 90 }),
+    check("params.location.coordinates.longitude", "Longitude must be between -180 and 180").optional().isFloat({ min: -180, max: 180 }),
+    check("notes", "Notes cannot exceed 1000 characters").optional().isLength({ max: 1000 }),
+  ],
+  proposeResolutionAction
+);
+
+// @route   PUT /api/disputes/admin/:id/actions/:actionId/confirm
+// @desc    Confirm and apply a proposed resolution action (Admin only)
+// @access  Private (Admin, recent two-factor check)
+router.put("/admin/:id/actions/:actionId/confirm", authenticate, isAdmin, requireStepUp, confirmResolutionAction);
+
+// @route   PUT /api/disputes/admin/:id/actions/:actionId/reject
+// @desc    Reject a proposed resolution action (Admin only)
+// @access  Private (Admin)
+router.put(
+  "/admin/:id/actions/:actionId/reject",
+  [
+    authenticate,
+    isAdmin,
+    check("reason", "Rejection reason is required").trim().notEmpty().isLength({ max: 500 }),
+  ],
+  rejectResolutionAction
+);
+
 export default router;
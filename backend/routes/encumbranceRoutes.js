@@ -0,0 +1,66 @@
+import express from "express";
+import { check } from "express-validator";
+import {
+  registerEncumbrance,
+  getEncumbrances,
+  getPropertyEncumbrances,
+  releaseEncumbrance,
+} from "../controllers/encumbranceController.js";
+import { authenticate, isAdminOrLandOfficer, isOwnerOrLandOfficerOrAdmin } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// @route   POST /api/encumbrances
+// @desc    Register a mortgage, lien, court injunction, caveat or other encumbrance on a property
+// @access  Private (Admin, Land Officer)
+router.post(
+  "/",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    check("property", "Property ID is required").isMongoId(),
+    check("type", "Encumbrance type is required").isIn([
+      "mortgage",
+      "lien",
+      "court_injunction",
+      "government_caveat",
+      "lease",
+      "easement",
+      "other"
+    ]),
+    check("holder.name", "Holder name is required").trim().notEmpty().isLength({ max: 200 }),
+    check("holder.holderType", "Holder type is required").isIn(["bank", "court", "government", "individual", "other"]),
+    check("holder.reference", "Reference cannot exceed 100 characters").optional().trim().isLength({ max: 100 }),
+    check("amount", "Amount must be a positive number").optional().isFloat({ min: 0 }).toFloat(),
+    check("currency", "Currency must be a 3-letter code").optional().isLength({ min: 3, max: 3 }).isUppercase(),
+    check("description", "Description cannot exceed 1000 characters").optional().isLength({ max: 1000 }),
+    check("blocking", "Blocking must be true or false").optional().isBoolean().toBoolean(),
+    check("registrationDate", "Registration date must be a valid date").optional().isISO8601().toDate(),
+  ],
+  registerEncumbrance
+);
+
+// @route   GET /api/encumbrances
+// @desc    Get encumbrances with filters
+// @access  Private (Admin, Land Officer)
+router.get("/", authenticate, isAdminOrLandOfficer, getEncumbrances);
+
+// @route   GET /api/encumbrances/property/:id
+// @desc    Get the encumbrances of a property
+// @access  Private (Owner, Admin, Land Officer)
+router.get("/property/:id", authenticate, isOwnerOrLandOfficerOrAdmin, getPropertyEncumbrances);
+
+// @route   PUT /api/encumbrances/:id/release
+// @desc    Release an encumbrance
+// @access  Private (Admin, Land Officer)
+router.put(
+  "/:id/release",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    check("reason", "Release reason is required").trim().notEmpty().isLength({ max: 500 }),
+  ],
+  releaseEncumbrance
+);
+
+export default router;
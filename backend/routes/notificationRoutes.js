@@ -0,0 +1,50 @@
+import express from "express";
+import {
+  getNotifications,
+  getNotificationStats,
+  markNotificationAsRead,
+  markAllNotificationsAsRead,
+  deleteNotification,
+  clearNotifications,
+  retryNotificationDeliveries,
+} from "../controllers/notificationController.js";
+import { authenticate, requireCronSecret } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get notifications for the current user
+// @access  Private
+router.get("/", authenticate, getNotifications);
+
+// @route   GET /api/notifications/stats
+// @desc    Get notification statistics for the current user
+// @access  Private
+router.get("/stats", authenticate, getNotificationStats);
+
+// @route   GET /api/notifications/deliveries/retry
+// @desc    Retry failed and unfinished email and SMS deliveries
+// @access  Scheduled job (CRON_SECRET)
+router.get("/deliveries/retry", requireCronSecret, retryNotificationDeliveries);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put("/read-all", authenticate, markAllNotificationsAsRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put("/:id/read", authenticate, markNotificationAsRead);
+
+// @route   DELETE /api/notifications
+// @desc    Delete all notifications for the current user
+// @access  Private
+router.delete("/", authenticate, clearNotifications);
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete("/:id", authenticate, deleteNotification);
+
+export default router;
@@ -0,0 +1,129 @@
+import express from "express";
+import { check } from "express-validator";
+import {
+  submitSubdivision,
+  submitMerge,
+  getParcelChanges,
+  getParcelChangeById,
+  getPropertyLineage,
+  approveParcelChange,
+  rejectParcelChange,
+  cancelParcelChange,
+  waiveParcelChangeFee,
+} from "../controllers/parcelChangeController.js";
+import { authenticate, isAdminOrLandOfficer, isOwnerOrLandOfficerOrAdmin } from "../middleware/auth.js";
+import { MAX_PARCELS_PER_CHANGE } from "../services/parcelChangeService.js";
+
+const router = express.Router();
+
+const PROPERTY_TYPES = ["residential", "commercial", "industrial", "agricultural"];
+
+// Validators for a planned plot at the given body path
+const plannedPlotChecks = (path) => [
+  check(`${path}.plotNumber`, "Plot number is required").trim().notEmpty(),
+  check(`${path}.area`, "Area must be a positive number").isFloat({ gt: 0 }).toFloat(),
+  check(`${path}.propertyType`, "Invalid property type").optional().isIn(PROPERTY_TYPES),
+  check(`${path}.location.kebele`, "Kebele cannot be empty").optional().trim().notEmpty(),
+  check(`${path}.location.subCity`, "Sub-city cannot be empty").optional().trim().notEmpty(),
+  check(`${path}.boundary`, "Boundary must be a GeoJSON Polygon").optional({ values: "null" }).isObject(),
+];
+
+const reasonCheck = check("reason", "Reason is required").trim().notEmpty().isLength({ max: 1000 });
+
+// @route   POST /api/parcel-changes/subdivide
+// @desc    Apply to subdivide a plot into new plots
+// @access  Private (Owner)
+router.post(
+  "/subdivide",
+  [
+    authenticate,
+    check("propertyId", "Property ID is required").isMongoId(),
+    check("children", `Between 2 and ${MAX_PARCELS_PER_CHANGE} new plots are required`).isArray({
+      min: 2,
+      max: MAX_PARCELS_PER_CHANGE,
+    }),
+    ...plannedPlotChecks("children.*"),
+    reasonCheck,
+  ],
+  submitSubdivision
+);
+
+// @route   POST /api/parcel-changes/merge
+// @desc    Apply to merge neighbouring plots into one
+// @access  Private (Owner)
+router.post(
+  "/merge",
+  [
+    authenticate,
+    check("propertyIds", `Between 2 and ${MAX_PARCELS_PER_CHANGE} plots are required`).isArray({
+      min: 2,
+      max: MAX_PARCELS_PER_CHANGE,
+    }),
+    check("propertyIds.*", "Invalid property ID").isMongoId(),
+    check("child", "The merged plot is required").isObject(),
+    ...plannedPlotChecks("child"),
+    reasonCheck,
+  ],
+  submitMerge
+);
+
+// @route   GET /api/parcel-changes
+// @desc    Get parcel changes (own for citizens, all for officers)
+// @access  Private
+router.get("/", authenticate, getParcelChanges);
+
+// @route   GET /api/parcel-changes/property/:id/lineage
+// @desc    Get the parent and child plots of a property
+// @access  Private (Owner, Admin, Land Officer)
+router.get("/property/:id/lineage", authenticate, isOwnerOrLandOfficerOrAdmin, getPropertyLineage);
+
+// @route   GET /api/parcel-changes/:id
+// @desc    Get a parcel change
+// @access  Private (Owner, Admin, Land Officer)
+router.get("/:id", authenticate, getParcelChangeById);
+
+// @route   PUT /api/parcel-changes/:id/approve
+// @desc    Approve a parcel change
+// @access  Private (Admin, Land Officer)
+router.put(
+  "/:id/approve",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    check("notes", "Notes cannot exceed 1000 characters").optional().isLength({ max: 1000 }),
+  ],
+  approveParcelChange
+);
+
+// @route   PUT /api/parcel-changes/:id/reject
+// @desc    Reject a parcel change
+// @access  Private (Admin, Land Officer)
+router.put(
+  "/:id/reject",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    check("reason", "Rejection reason is required").trim().notEmpty().isLength({ max: 1000 }),
+  ],
+  rejectParcelChange
+);
+
+// @route   PUT /api/parcel-changes/:id/cancel
+// @desc    Cancel a pending parcel change
+// @access  Private (Owner)
+router.put("/:id/cancel", authenticate, cancelParcelChange);
+
+// @route   PUT /api/parcel-changes/:id/fee/waive
+// @desc    Waive the fee of a parcel change
+// @access  Private (Admin, Land Officer)
+router.put(
+  "/:id/fee/waive",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    check("reason", "Waiver reason is required").trim().notEmpty().isLength({ max: 500 }),
+  ],
+  waiveParcelChangeFee
+);
+
+export default router;
@@ -20,6 +20,7 @@ import {
   processCBEBirrPayment,
   processTeleBirrPayment,
   generatePaymentReceipt,
+  verifyPaymentReceipt,
   getPaymentStatistics,
   verifyPaymentStatus,
 } from "../controllers/paymentController.js";
@@ -39,6 +40,11 @@ const router = express.Router();
 // @access  Private (Admin, Land Officer)
 router.get("/", authenticate, isAdminOrLandOfficer, getAllPayments);
 
+// @route   GET /api/payments/receipts/:receiptNumber/verify
+// @desc    Verify a payment receipt (linked from the receipt QR code)
+// @access  Public
+router.get("/receipts/:receiptNumber/verify", verifyPaymentReceipt);
+
 // @route   GET /api/payments/pending
 // @desc    Get all pending payments
 // @access  Private (Admin, Land Officer)
@@ -1,14 +1,17 @@
 import express from "express";
-import { check } from "express-validator";
+import { check, query } from "express-validator";
 import {
   registerProperty,
   getUserProperties,
   getPropertyById,
+  getParcelMap,
   updateProperty,
   deleteProperty,
   getAllProperties,
   getPendingProperties,
   getAssignedProperties,
+  assignProperty,
+  autoAssignProperties,
   approveProperty,
   rejectProperty,
   setPropertyUnderReview,
@@ -16,7 +19,7 @@ import {
   getPropertyPaymentRequirements,
   markPropertyPaymentCompleted,
 } from "../controllers/propertyController.js";
-import { authenticate, isUser, isAdminOrLandOfficer } from "../middleware/auth.js";
+import { authenticate, isUser, isAdmin, isAdminOrLandOfficer, requireVerifiedEmail } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -31,17 +34,31 @@ router.get("/", authenticate, isAdminOrLandOfficer, getAllProperties);
 router.get("/pending", authenticate, isAdminOrLandOfficer, getPendingProperties);
 
 // @route   GET /api/properties/assigned
-// @desc    Get properties assigned to the current land officer
-// @access  Private (Land Officer)
-router.get("/assigned", authenticate, isAdminOrLandOfficer, getAssignedProperties);
+// @desc    Get the application queue of the current land officer
+// @access  Private (Land Officer; admins may pass ?officer=)
+router.get(
+  "/assigned",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    query("officer", "Officer must be a valid user ID").optional().isMongoId(),
+  ],
+  getAssignedProperties
+);
+
+// @route   POST /api/properties/assign/auto
+// @desc    Auto-assign all open applications that are not in any officer's queue
+// @access  Private (Admin)
+router.post("/assign/auto", authenticate, isAdmin, autoAssignProperties);
 
 // @route   POST /api/properties
 // @desc    Register a new property
-// @access  Private (User)
+// @access  Private (User with a verified email)
 router.post(
   "/",
   [
     authenticate,
+    requireVerifiedEmail,
     check("location.kebele", "Kebele is required").not().isEmpty(),
     check("location.subCity", "Sub-city is required").not().isEmpty(),
     check("plotNumber", "Plot number is required").not().isEmpty(),
@@ -52,6 +69,7 @@ router.post(
       "industrial",
       "agricultural",
     ]),
+    check("boundary", "Boundary must be a GeoJSON Polygon").optional().isObject(),
   ],
   registerProperty
 );
@@ -61,6 +79,18 @@ router.post(
 // @access  Private (User)
 router.get("/user", authenticate, getUserProperties);
 
+// @route   GET /api/properties/map
+// @desc    Get parcel boundaries as GeoJSON for the map
+// @access  Private (users get their own parcels)
+router.get(
+  "/map",
+  [
+    authenticate,
+    query("limit", "Limit must be between 1 and 1000").optional().isInt({ min: 1, max: 1000 }),
+  ],
+  getParcelMap
+);
+
 // @route   GET /api/properties/:id
 // @desc    Get a property by ID
 // @access  Private
@@ -89,6 +119,7 @@ router.put(
     check("propertyType", "Property type is required")
       .optional()
       .isIn(["residential", "commercial", "industrial", "agricultural"]),
+    check("boundary", "Boundary must be a GeoJSON Polygon").optional({ values: "null" }).isObject(),
   ],
   updateProperty
 );
@@ -103,6 +134,20 @@ router.put("/:id/approve", authenticate, isAdminOrLandOfficer, approveProperty);
 // @access  Private (Admin, Land Officer)
 router.put("/:id/reject", authenticate, isAdminOrLandOfficer, rejectProperty);
 
+// @route   PUT /api/properties/:id/assign
+// @desc    Assign a property application to a land officer (auto-assigns when assignedTo is omitted)
+// @access  Private (Admin)
+router.put(
+  "/:id/assign",
+  [
+    authenticate,
+    isAdmin,
+    check("assignedTo", "Assigned to user ID must be valid").optional().isMongoId(),
+    check("notes", "Assignment notes must be at most 500 characters").optional().isLength({ max: 500 }),
+  ],
+  assignProperty
+);
+
 // @route   PUT /api/properties/:id/review
 // @desc    Set property status to under review
 // @access  Private (Admin, Land Officer)
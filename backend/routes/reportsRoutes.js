@@ -1,4 +1,5 @@
 import express from "express";
+import { query } from "express-validator";
 import {
   getDashboardStats,
   getPropertyStats,
@@ -57,18 +58,46 @@ router.get("/applications", authenticate, isAdminOrLandOfficer, generateApplicat
 router.get("/summary", authenticate, isAdmin, generateSummaryReport);
 
 // @route   GET /api/reports/:reportType/download
-// @desc    Download report as PDF/Excel
+// @desc    Download report as CSV, Excel or PDF
 // @access  Admin
-router.get("/:reportType/download", authenticate, isAdmin, downloadReport);
+router.get(
+  "/:reportType/download",
+  [
+    authenticate,
+    isAdmin,
+    query("format", "Format must be csv, xlsx or pdf").optional().isIn(["csv", "xlsx", "pdf"]),
+    query("startDate", "Start date must be a valid date").optional().isISO8601(),
+    query("endDate", "End date must be a valid date").optional().isISO8601(),
+    query("timeframe", "Timeframe must be week, month or year").optional().isIn(["week", "month", "year"]),
+    query("subCity").optional().trim(),
+  ],
+  downloadReport
+);
 
 // @route   GET /api/reports/activity
 // @desc    Get activity logs for reports
 // @access  Admin, Land Officer
-router.get("/activity", authenticate, isAdminOrLandOfficer, getActivityLogs);
+router.get(
+  "/activity",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    query("category", "Category must be property, transfer or dispute").optional().isIn(["property", "transfer", "dispute"]),
+    query("performedBy", "Invalid user ID").optional().isMongoId(),
+    query("property", "Invalid property ID").optional().isMongoId(),
+    query("startDate", "Start date must be a valid date").optional().isISO8601(),
+    query("endDate", "End date must be a valid date").optional().isISO8601(),
+  ],
+  getActivityLogs
+);
 
 // @route   GET /api/reports/performance
 // @desc    Get performance metrics
 // @access  Admin
-router.get("/performance", authenticate, isAdmin, getPerformanceMetrics);
+router.get(
+  "/performance",
+  [authenticate, isAdmin, query("minutes", "Minutes must be between 1 and 60").optional().isInt({ min: 1, max: 60 })],
+  getPerformanceMetrics
+);
 
 export default router;
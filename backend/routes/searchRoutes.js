@@ -0,0 +1,65 @@
+import express from "express";
+import { query } from "express-validator";
+import {
+  searchByLocation,
+  globalSearch,
+  getSearchSuggestions,
+  getRecentSearches,
+} from "../controllers/searchController.js";
+import { authenticate } from "../middleware/auth.js";
+import { SEARCH_TYPES } from "../services/globalSearchService.js";
+
+const router = express.Router();
+
+// @route   GET /api/search/location
+// @desc    Spatial search over parcel boundaries
+// @access  Private (citizens get approved parcels and public fields only)
+router.get(
+  "/location",
+  [
+    authenticate,
+    query("property", "Property must be a valid ID").optional().isMongoId(),
+    query("relation", "Relation must be within or intersects").optional().isIn(["within", "intersects"]),
+    query("propertyType", "Invalid property type")
+      .optional()
+      .isIn(["residential", "commercial", "industrial", "agricultural"]),
+    query("page", "Page must be a positive integer").optional().isInt({ min: 1 }),
+    query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }),
+  ],
+  searchByLocation
+);
+
+// @route   GET /api/search/global
+// @desc    Ranked, typo-tolerant search across all record types
+// @access  Private (results filtered by role)
+router.get(
+  "/global",
+  [
+    authenticate,
+    query("q", "Search query must be 1 to 100 characters").trim().isLength({ min: 1, max: 100 }),
+    query("type", "Invalid search type").optional().isIn(["all", ...SEARCH_TYPES]),
+    query("page", "Page must be a positive integer").optional().isInt({ min: 1 }),
+    query("limit", "Limit must be between 1 and 50").optional().isInt({ min: 1, max: 50 }),
+  ],
+  globalSearch
+);
+
+// @route   GET /api/search/suggestions
+// @desc    Completions and spelling corrections for a partial query
+// @access  Private
+router.get(
+  "/suggestions",
+  [
+    authenticate,
+    query("q", "Search query must be 1 to 100 characters").trim().isLength({ min: 1, max: 100 }),
+    query("type", "Invalid search type").optional().isIn(["all", ...SEARCH_TYPES]),
+  ],
+  getSearchSuggestions
+);
+
+// @route   GET /api/search/recent
+// @desc    The current user's recent searches
+// @access  Private
+router.get("/recent", authenticate, getRecentSearches);
+
+export default router;
@@ -5,12 +5,14 @@ import {
   updateSystemSettings,
   getFeeSettings,
   updateFeeSettings,
+  getFeeSchedules,
   getNotificationSettings,
   updateNotificationSettings,
   getSecuritySettings,
   updateSecuritySettings,
+  getSettingsHistory,
 } from "../controllers/settingsController.js";
-import { authenticate, isAdmin } from "../middleware/auth.js";
+import { authenticate, isAdmin, requireStepUp } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -30,6 +32,7 @@ router.put(
     check("systemName", "System name is required").optional().not().isEmpty(),
     check("contactEmail", "Please include a valid email").optional().isEmail(),
     check("contactPhone", "Phone number is required").optional().not().isEmpty(),
+    check("transferAcceptanceDays", "Transfer acceptance period must be 1-90 days").optional().isInt({ min: 1, max: 90 }),
   ],
   updateSystemSettings
 );
@@ -51,10 +54,16 @@ router.put(
     check("documentVerificationFee", "Document verification fee must be a number").optional().isNumeric(),
     check("transferFee", "Transfer fee must be a number").optional().isNumeric(),
     check("certificateIssueFee", "Certificate issue fee must be a number").optional().isNumeric(),
+    check("effectiveFrom", "Effective-from must be a valid date").optional().isISO8601(),
   ],
   updateFeeSettings
 );
 
+// @route   GET /api/settings/fees/schedules
+// @desc    Get fee schedule versions
+// @access  Admin
+router.get("/fees/schedules", authenticate, isAdmin, getFeeSchedules);
+
 // @route   GET /api/settings/notifications
 // @desc    Get notification settings
 // @access  Admin
@@ -72,7 +81,12 @@ router.get("/security", authenticate, isAdmin, getSecuritySettings);
 
 // @route   PUT /api/settings/security
 // @desc    Update security settings
+// @access  Admin (recent two-factor check)
+router.put("/security", authenticate, isAdmin, requireStepUp, updateSecuritySettings);
+
+// @route   GET /api/settings/history
+// @desc    Get settings change history
 // @access  Admin
-router.put("/security", authenticate, isAdmin, updateSecuritySettings);
+router.get("/history", authenticate, isAdmin, getSettingsHistory);
 
 export default router;
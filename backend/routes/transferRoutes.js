@@ -6,6 +6,12 @@ import {
   getTransferById,
   cancelTransfer,
   uploadTransferDocuments,
+  acceptTransfer,
+  declineTransfer,
+  uploadRecipientDocuments,
+  uploadTransferFile,
+  getTransferFees,
+  waiveTransferFee,
   getAllTransfers,
   getTransferByIdAdmin,
   reviewTransferDocuments,
@@ -13,7 +19,15 @@ import {
   approveTransfer,
   completeTransfer,
 } from "../controllers/transferController.js";
-import { authenticate, isUser, isAdminOrLandOfficer, isAdmin } from "../middleware/auth.js";
+import {
+  authenticate,
+  isUser,
+  isAdminOrLandOfficer,
+  isAdmin,
+  requireStepUp,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import { upload } from "../config/multer.js";
 
 const router = express.Router();
 
@@ -24,12 +38,13 @@ router.get("/", authenticate, isAdminOrLandOfficer, getAllTransfers);
 
 // @route   POST /api/transfers
 // @desc    Initiate property transfer
-// @access  Private (User)
+// @access  Private (User with a verified email)
 router.post(
   "/",
   [
     authenticate,
     isUser,
+    requireVerifiedEmail,
     check("property", "Property ID is required").isMongoId(),
     check("newOwnerEmail", "New owner email is required").isEmail(),
     check("transferType", "Transfer type is required").isIn([
@@ -57,6 +72,34 @@ router.get("/my-transfers", authenticate, isUser, getUserTransfers);
 // @access  Private (User - only their own transfers)
 router.get("/:id", authenticate, isUser, getTransferById);
 
+// @route   GET /api/transfers/:id/fees
+// @desc    Get the fees due for a transfer
+// @access  Private (Previous or new owner, Admin, Land Officer)
+router.get("/:id/fees", authenticate, getTransferFees);
+
+// @route   PUT /api/transfers/:id/fees/:component/waive
+// @desc    Waive a transfer fee component with a recorded reason
+// @access  Private (Admin, Land Officer)
+router.put(
+  "/:id/fees/:component/waive",
+  [
+    authenticate,
+    isAdminOrLandOfficer,
+    check("component", "Fee component must be governmentFee, taxAmount or processingFee").isIn([
+      "governmentFee",
+      "taxAmount",
+      "processingFee"
+    ]),
+    check("reason", "A reason is required to waive a fee").trim().not().isEmpty().isLength({ max: 500 }),
+  ],
+  waiveTransferFee
+);
+
+// @route   POST /api/transfers/:id/files
+// @desc    Upload a file for a transfer document
+// @access  Private (User - previous or new owner)
+router.post("/:id/files", authenticate, isUser, upload.single("file"), uploadTransferFile);
+
 // @route   GET /api/transfers/:id/admin
 // @desc    Get transfer by ID (Admin/Land Officer version)
 // @access  Private (Admin/Land Officer)
@@ -77,12 +120,13 @@ router.put(
 
 // @route   POST /api/transfers/:id/documents
 // @desc    Upload transfer documents
-// @access  Private (User - only previous owner)
+// @access  Private (User - only previous owner, with a verified email)
 router.post(
   "/:id/documents",
   [
     authenticate,
     isUser,
+    requireVerifiedEmail,
     check("documents", "Documents array is required").isArray({ min: 1 }),
     check("documents.*.documentType", "Document type is required").isIn([
       "sale_agreement",
@@ -101,6 +145,53 @@ router.post(
   uploadTransferDocuments
 );
 
+// @route   PUT /api/transfers/:id/accept
+// @desc    Accept a transfer
+// @access  Private (User - only new owner)
+router.put(
+  "/:id/accept",
+  [
+    authenticate,
+    isUser,
+    check("notes", "Notes cannot exceed 500 characters").optional().isLength({ max: 500 }),
+  ],
+  acceptTransfer
+);
+
+// @route   PUT /api/transfers/:id/decline
+// @desc    Decline a transfer
+// @access  Private (User - only new owner)
+router.put(
+  "/:id/decline",
+  [
+    authenticate,
+    isUser,
+    check("reason", "Reason cannot exceed 500 characters").optional().isLength({ max: 500 }),
+  ],
+  declineTransfer
+);
+
+// @route   POST /api/transfers/:id/recipient-documents
+// @desc    Upload the new owner's documents
+// @access  Private (User - only new owner)
+router.post(
+  "/:id/recipient-documents",
+  [
+    authenticate,
+    isUser,
+    check("documents", "Documents array is required").isArray({ min: 1 }),
+    check("documents.*.documentType", "Document type must be id_documents or other").isIn([
+      "id_documents",
+      "other"
+    ]),
+    check("documents.*.documentName", "Document name is required").not().isEmpty(),
+    check("documents.*.fileId", "File ID is required").isMongoId(),
+    check("documents.*.filename", "Filename is required").not().isEmpty(),
+    check("documents.*.fileType", "File type is required").not().isEmpty(),
+  ],
+  uploadRecipientDocuments
+);
+
 // @route   PUT /api/transfers/:id/review-documents
 // @desc    Review transfer documents
 // @access  Private (Admin/Land Officer)
@@ -148,7 +239,7 @@ router.put(
 
 // @route   PUT /api/transfers/:id/complete
 // @desc    Complete transfer (change ownership)
-// @access  Private (Admin)
-router.put("/:id/complete", authenticate, isAdmin, completeTransfer);
+// @access  Private (Admin, recent two-factor check)
+router.put("/:id/complete", authenticate, isAdmin, requireStepUp, completeTransfer);
 
 export default router;
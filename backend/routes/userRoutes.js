@@ -7,10 +7,12 @@ import {
   updateUser,
   deleteUser,
   changeUserRole,
+  getUserSessions,
+  revokeUserSessions,
   getLandOfficers,
   getUserStats,
 } from "../controllers/userController.js";
-import { authenticate, isAdmin } from "../middleware/auth.js";
+import { authenticate, isAdmin, requireStepUp } from "../middleware/auth.js";
 import { statsCache } from "../middleware/cache.js";
 
 const router = express.Router();
@@ -21,7 +23,7 @@ const router = express.Router();
 router.get("/", authenticate, isAdmin, getAllUsers);
 
 // @route   GET /api/users/land-officers
-// @desc    Get all land officers
+// @desc    Get all land officers with their application workload
 // @access  Admin
 router.get("/land-officers", authenticate, isAdmin, getLandOfficers);
 
@@ -45,9 +47,8 @@ router.post(
     isAdmin,
     check("fullName", "Full name is required").not().isEmpty(),
     check("email", "Please include a valid email").isEmail(),
-    check("password", "Password must be at least 8 characters").isLength({
-      min: 8,
-    }),
+    // Length and complexity follow the security settings (see SecurityService)
+    check("password", "Password is required").isString().not().isEmpty(),
     check("phoneNumber", "Phone number is required").not().isEmpty(),
     check(
       "nationalId",
@@ -68,9 +69,7 @@ router.put(
     isAdmin,
     check("fullName", "Full name is required").optional().not().isEmpty(),
     check("email", "Please include a valid email").optional().isEmail(),
-    check("password", "Password must be at least 8 characters")
-      .optional()
-      .isLength({ min: 8 }),
+    check("password", "Password must be text").optional().isString(),
     check("phoneNumber", "Phone number is required").optional().not().isEmpty(),
     check("nationalId", "National ID must be 12 characters starting with ETH")
       .optional()
@@ -78,6 +77,10 @@ router.put(
     check("role", "Role is required")
       .optional()
       .isIn(["admin", "landOfficer", "user"]),
+    check("assignedSubCities", "Assigned sub-cities must be a list")
+      .optional()
+      .isArray(),
+    check("assignedSubCities.*", "Sub-city must be text").optional().isString().trim(),
   ],
   updateUser
 );
@@ -89,15 +92,26 @@ router.delete("/:id", authenticate, isAdmin, deleteUser);
 
 // @route   PUT /api/users/:id/role
 // @desc    Change user role
-// @access  Admin
+// @access  Admin (recent two-factor check)
 router.put(
   "/:id/role",
   [
     authenticate,
     isAdmin,
+    requireStepUp,
     check("role", "Role is required").isIn(["admin", "landOfficer", "user"]),
   ],
   changeUserRole
 );
 
+// @route   GET /api/users/:id/sessions
+// @desc    List the active sessions of a user
+// @access  Admin
+router.get("/:id/sessions", authenticate, isAdmin, getUserSessions);
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    End every session of a user
+// @access  Admin
+router.delete("/:id/sessions", authenticate, isAdmin, revokeUserSessions);
+
 export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { getAvailableActions } from "../controllers/workflowController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// @route   GET /api/workflows/:type/:id/actions
+// @desc    Get the actions the current user can take next on a property, transfer, dispute or parcel change
+// @access  Private (Record owner, Admin, Land Officer)
+router.get("/:type/:id/actions", authenticate, getAvailableActions);
+
+export default router;
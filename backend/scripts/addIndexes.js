@@ -21,6 +21,7 @@ const addPerformanceIndexes = async () => {
     await propertyCollection.createIndex({ 'location.subCity': 1, 'location.kebele': 1 });
     await propertyCollection.createIndex({ propertyType: 1, status: 1 });
     await propertyCollection.createIndex({ isTransferred: 1, hasActiveDispute: 1 });
+    await propertyCollection.createIndex({ assignedTo: 1, status: 1 });
     
     // Text index for search functionality
     await propertyCollection.createIndex({ 
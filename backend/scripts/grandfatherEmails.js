@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Email Verification Grandfathering Script
+ *
+ * Marks citizen accounts created before email verification was introduced as verified,
+ * so they can keep registering properties and transfers. Run it once when deploying
+ * the release that added verification.
+ *
+ * Usage: npm run grandfather-emails [-- --before 2026-10-01T00:00:00Z]
+ * Without --before, every account created before the script runs is marked.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import AccountService from '../services/accountService.js';
+
+// Load environment variables
+dotenv.config();
+
+const parseCutoff = (args) => {
+  const index = args.indexOf('--before');
+  if (index === -1) return new Date();
+
+  const cutoff = new Date(args[index + 1]);
+  if (Number.isNaN(cutoff.getTime())) {
+    throw new Error('--before needs a date, e.g. --before 2026-10-01T00:00:00Z');
+  }
+  return cutoff;
+};
+
+const grandfatherEmails = async () => {
+  const cutoff = parseCutoff(process.argv.slice(2));
+
+  if (!(await connectDB()) || mongoose.connection.readyState !== 1) {
+    throw new Error('Could not connect to the database. Check MONGODB_URI.');
+  }
+
+  const updated = await AccountService.grandfatherExistingAccounts(cutoff);
+
+  console.log(`✅ Marked ${updated} account(s) created before ${cutoff.toISOString()} as verified.`);
+  return 0;
+};
+
+grandfatherEmails()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    console.error('❌ Grandfathering failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Delivery Retry Script
+ *
+ * Retries email and SMS deliveries that failed or never finished. Schedule it with cron
+ * when the API does not run on Vercel, where GET /api/notifications/deliveries/retry does this.
+ *
+ * Usage: npm run retry-notifications
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import NotificationService from '../services/notificationService.js';
+
+// Load environment variables
+dotenv.config();
+
+const retryNotifications = async () => {
+  if (!(await connectDB()) || mongoose.connection.readyState !== 1) {
+    throw new Error('Could not connect to the database. Check MONGODB_URI.');
+  }
+
+  const result = await NotificationService.retryFailedDeliveries();
+
+  if (!result.success) {
+    console.error(`❌ ${result.error}`);
+    return 1;
+  }
+
+  console.log(`✅ Retried deliveries for ${result.retried} notification(s).`);
+  return 0;
+};
+
+retryNotifications()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    console.error('❌ Retry failed:', error.message);
+    process.exit(1);
+  });
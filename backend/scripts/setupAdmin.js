@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * First-Run Setup Script
+ *
+ * Creates the first admin account. Details come from ADMIN_FULL_NAME, ADMIN_EMAIL,
+ * ADMIN_PASSWORD, ADMIN_PHONE and ADMIN_NATIONAL_ID; any left empty are prompted for.
+ * Refuses to run once an admin exists.
+ *
+ * Usage: npm run setup-admin
+ */
+
+import readline from 'readline';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import SetupService, { ADMIN_FIELDS } from '../services/setupService.js';
+
+// Load environment variables
+dotenv.config();
+
+const ENV_VARIABLES = {
+  fullName: 'ADMIN_FULL_NAME',
+  email: 'ADMIN_EMAIL',
+  password: 'ADMIN_PASSWORD',
+  phoneNumber: 'ADMIN_PHONE',
+  nationalId: 'ADMIN_NATIONAL_ID'
+};
+
+// Ask one question; hidden answers are not echoed to the terminal
+const ask = (question, { hidden = false } = {}) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+  if (hidden) {
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+  }
+
+  rl.question(question, (answer) => {
+    rl.close();
+    if (hidden) process.stdout.write('\n');
+    resolve(answer.trim());
+  });
+});
+
+const readAdminDetails = async () => {
+  const input = {};
+
+  for (const [field, label] of Object.entries(ADMIN_FIELDS)) {
+    input[field] = process.env[ENV_VARIABLES[field]]?.trim() || '';
+    if (input[field]) continue;
+
+    if (!process.stdin.isTTY) {
+      throw new Error(`${ENV_VARIABLES[field]} is not set and there is no terminal to ask for it`);
+    }
+
+    input[field] = await ask(`${label}: `, { hidden: field === 'password' });
+
+    if (field === 'password') {
+      const confirmation = await ask('Confirm password: ', { hidden: true });
+      if (confirmation !== input.password) {
+        throw new Error('Passwords do not match');
+      }
+    }
+  }
+
+  return input;
+};
+
+const setupAdmin = async () => {
+  console.log('🚀 Land Registry first-run setup\n');
+
+  if (!(await connectDB()) || mongoose.connection.readyState !== 1) {
+    throw new Error('Could not connect to the database. Check MONGODB_URI.');
+  }
+
+  if (await SetupService.hasAdmin()) {
+    console.log('⚠️  Setup has already been completed: an admin account exists. Nothing was changed.');
+    return 1;
+  }
+
+  const input = await readAdminDetails();
+  const result = await SetupService.createFirstAdmin(input, { source: 'cli' });
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    (result.errors || []).slice(1).forEach((error) => console.error(`   ${error.msg}`));
+    return 1;
+  }
+
+  console.log(`✅ Created admin ${result.user.email}. Log in through the admin login page.`);
+  if (process.env.SETUP_TOKEN) {
+    console.log('ℹ️  SETUP_TOKEN is no longer needed and can be removed.');
+  }
+  return 0;
+};
+
+setupAdmin()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    console.error('❌ Setup failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,227 @@
+/**
+ * Account Service
+ * Password resets and email verification through emailed links
+ *
+ * Each link carries a signed token that expires and names a stored record,
+ * so it works once; asking again replaces any link still unused
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AccountToken from "../models/AccountToken.js";
+import User from "../models/User.js";
+import NotificationService from "./notificationService.js";
+import SecurityService from "./securityService.js";
+import SessionService from "./sessionService.js";
+
+// Link lifetimes in seconds
+export const TOKEN_LIFETIMES = {
+  password_reset: 60 * 60,
+  email_verification: 24 * 60 * 60,
+};
+
+// A new link is not sent while the previous one is younger than this
+export const RESEND_INTERVAL = 60 * 1000;
+
+// Frontend pages that read the token from the link
+const LINK_PATHS = {
+  password_reset: "/reset-password",
+  email_verification: "/verify-email",
+};
+
+const fail = (statusCode, message, extra = {}) => ({ success: false, statusCode, message, ...extra });
+
+const INVALID_LINK = "This link is invalid or has expired. Please request a new one.";
+
+class AccountService {
+  /**
+   * Sign a token for a purpose
+   * @returns {Object} { token, jti, expiresAt }
+   */
+  static signToken(user, purpose, now = new Date()) {
+    const jti = crypto.randomBytes(16).toString("hex");
+    const lifetime = TOKEN_LIFETIMES[purpose];
+    const token = jwt.sign(
+      { id: user._id, email: user.email, purpose: `account_${purpose}` },
+      process.env.JWT_SECRET,
+      { expiresIn: lifetime, jwtid: jti }
+    );
+
+    return { token, jti, expiresAt: new Date(now.getTime() + lifetime * 1000) };
+  }
+
+  /**
+   * Read a token
+   * @returns {Object|null} Claims, or null when invalid, expired or for another purpose
+   */
+  static readToken(token, purpose) {
+    try {
+      const claims = jwt.verify(token, process.env.JWT_SECRET);
+      return claims.purpose === `account_${purpose}` ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Absolute link to the page that uses a token
+   * Citizens use the user frontend; officers and admins the land officer frontend
+   */
+  static getLink(user, purpose, token) {
+    const base = user.role === "user" ? process.env.FRONTEND_URL : process.env.LANDOFFICER_FRONTEND_URL;
+    return `${base || ""}${LINK_PATHS[purpose]}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Store a new token for a user, replacing unused ones for the same purpose
+   * @returns {string|null} Token, or null when the last one was sent too recently
+   */
+  static async issue(user, purpose) {
+    const now = new Date();
+    const latest = await AccountToken.findOne({ user: user._id, purpose, usedAt: null }).sort({ createdAt: -1 });
+
+    if (latest && now - latest.createdAt < RESEND_INTERVAL) {
+      return null;
+    }
+
+    await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+    const { token, jti, expiresAt } = this.signToken(user, purpose, now);
+    await AccountToken.create({ user: user._id, purpose, jti, email: user.email, expiresAt });
+
+    return token;
+  }
+
+  /**
+   * Use a token once
+   * @returns {Object} { success, user } or failure
+   */
+  static async consume(token, purpose) {
+    const claims = this.readToken(token, purpose);
+    if (!claims) return fail(400, INVALID_LINK);
+
+    // Only one request can mark the token used
+    const record = await AccountToken.findOneAndUpdate(
+      { jti: claims.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    if (!record) return fail(400, INVALID_LINK);
+
+    const user = await User.findById(record.user);
+    if (!user || user.email !== record.email) return fail(400, INVALID_LINK);
+
+    return { success: true, user };
+  }
+
+  /**
+   * Email a password reset link if an account uses this address
+   * The caller answers the same either way so addresses cannot be probed
+   */
+  static async requestPasswordReset(email) {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) return;
+
+    const token = await this.issue(user, "password_reset");
+    if (!token) return;
+
+    await NotificationService.sendAccountEmail(user, {
+      title: "Reset your password",
+      message:
+        `A password reset was requested for your account. Open this link within ${TOKEN_LIFETIMES.password_reset / 60} minutes to choose a new password:\n\n` +
+        `${this.getLink(user, "password_reset", token)}\n\nIf you did not ask for this, you can ignore this email.`,
+    });
+  }
+
+  /**
+   * Set a new password from a reset link and sign the user out everywhere
+   */
+  static async resetPassword(token, password) {
+    const passwordErrors = await SecurityService.checkPassword(password, "newPassword");
+    if (passwordErrors.length > 0) {
+      return fail(400, passwordErrors[0].msg, { errors: passwordErrors });
+    }
+
+    const result = await this.consume(token, "password_reset");
+    if (!result.success) return result;
+
+    const { user } = result;
+    user.password = password;
+    // The reset link reached the inbox, which proves the address too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await SessionService.revokeAll(user._id, "password_changed");
+    await SecurityService.clearFailedLogins(user.email);
+
+    return { success: true };
+  }
+
+  /**
+   * Email a verification link for the user's current address
+   * @returns {Object} { success } or failure
+   */
+  static async sendEmailVerification(user) {
+    if (user.emailVerified) {
+      return fail(400, "Your email address is already verified");
+    }
+
+    const token = await this.issue(user, "email_verification");
+    if (!token) {
+      return fail(429, "A verification email was just sent. Please wait a minute before asking again.");
+    }
+
+    await NotificationService.sendAccountEmail(user, {
+      title: "Verify your email address",
+      message:
+        `Please confirm that ${user.email} is your email address by opening this link within ${TOKEN_LIFETIMES.email_verification / 3600} hours:\n\n` +
+        `${this.getLink(user, "email_verification", token)}`,
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Mark the address a verification link was sent to as verified
+   */
+  static async verifyEmail(token) {
+    const result = await this.consume(token, "email_verification");
+    if (!result.success) return result;
+
+    const { user } = result;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    return { success: true, user };
+  }
+
+  /**
+   * Whether a user must verify their email before submitting property registrations and transfers
+   * Only citizens need a verified address
+   */
+  static isVerificationRequired(user) {
+    return user.role === "user" && !user.emailVerified;
+  }
+
+  /**
+   * Mark citizen accounts created before verification was introduced as verified
+   * They registered without a verification link, so they are not made to verify now;
+   * emailVerifiedAt stays empty to tell them apart from addresses verified through a link
+   * @param {Date} before - Accounts created before this time are grandfathered
+   * @returns {number} Accounts updated
+   */
+  static async grandfatherExistingAccounts(before) {
+    const result = await User.updateMany(
+      { role: "user", emailVerified: { $ne: true }, createdAt: { $lt: before } },
+      { $set: { emailVerified: true } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+export default AccountService;
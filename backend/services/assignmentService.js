@@ -0,0 +1,206 @@
+/**
+ * Assignment Service
+ * Routes property applications to land officers' review queues
+ *
+ * Auto-assignment picks, among the officers covering the property's sub-city (or all officers
+ * when nobody covers it), the one with the fewest open applications. Admins can reassign manually.
+ */
+
+import Property from "../models/Property.js";
+import User from "../models/User.js";
+import ApplicationLog from "../models/ApplicationLog.js";
+
+// Application statuses that still need work from the assigned officer
+export const OPEN_APPLICATION_STATUSES = [
+  "pending",
+  "documents_pending",
+  "documents_validated",
+  "payment_pending",
+  "payment_completed",
+  "under_review",
+];
+
+// Application statuses that count as finished work
+export const CLOSED_APPLICATION_STATUSES = ["approved", "rejected", "void"];
+
+const normalize = (value) => (value || "").trim().toLowerCase();
+
+class AssignmentService {
+  /**
+   * Open and completed application counts per officer
+   * @param {Array} officerIds - Officer IDs (all officers with assignments when omitted)
+   * @returns {Map} officer ID -> { open, completed, byStatus }
+   */
+  static async getWorkloads(officerIds) {
+    const match = { assignedTo: officerIds ? { $in: officerIds } : { $exists: true, $ne: null } };
+
+    const counts = await Property.aggregate([
+      { $match: match },
+      { $group: { _id: { officer: "$assignedTo", status: "$status" }, count: { $sum: 1 } } },
+    ]);
+
+    const workloads = new Map();
+
+    for (const { _id, count } of counts) {
+      const key = _id.officer.toString();
+      const workload = workloads.get(key) || { open: 0, completed: 0, byStatus: {} };
+
+      workload.byStatus[_id.status] = count;
+      if (OPEN_APPLICATION_STATUSES.includes(_id.status)) {
+        workload.open += count;
+      } else if (CLOSED_APPLICATION_STATUSES.includes(_id.status)) {
+        workload.completed += count;
+      }
+
+      workloads.set(key, workload);
+    }
+
+    return workloads;
+  }
+
+  /**
+   * Pick the officer a new application should go to
+   * @param {Array} officers - Land officers ({ _id, assignedSubCities })
+   * @param {Map} workloads - Result of getWorkloads
+   * @param {string} subCity - Sub-city of the property
+   * @returns {Object|null} Chosen officer, or null when there are no officers
+   */
+  static selectOfficer(officers, workloads, subCity) {
+    if (!officers.length) {
+      return null;
+    }
+
+    const covering = officers.filter((officer) =>
+      (officer.assignedSubCities || []).some((covered) => normalize(covered) === normalize(subCity))
+    );
+    const candidates = covering.length ? covering : officers;
+
+    const loadOf = (officer) => workloads.get(officer._id.toString()) || { open: 0, completed: 0 };
+
+    return [...candidates].sort((a, b) => {
+      const loadA = loadOf(a);
+      const loadB = loadOf(b);
+
+      return (
+        loadA.open - loadB.open ||
+        loadA.open + loadA.completed - (loadB.open + loadB.completed) ||
+        a._id.toString().localeCompare(b._id.toString())
+      );
+    })[0];
+  }
+
+  /**
+   * Assign an application to an officer and log it
+   * @param {Object} property - Property document
+   * @param {Object} officer - Land officer
+   * @param {Object} options - { performedBy, performedByRole, notes }
+   * @returns {Object} Updated property
+   */
+  static async assignProperty(property, officer, { performedBy, performedByRole, notes } = {}) {
+    const previousOfficer = property.assignedTo;
+
+    property.assignedTo = officer._id;
+    property.assignedDate = new Date();
+    await property.save();
+
+    await ApplicationLog.create({
+      property: property._id,
+      user: property.owner?._id || property.owner,
+      action: "application_assigned",
+      status: property.status,
+      performedBy: performedBy || property.owner?._id || property.owner,
+      performedByRole: performedByRole || "system",
+      notes: notes || `Application assigned to ${officer.fullName}`,
+      metadata: {
+        assignedTo: officer._id,
+        previousAssignee: previousOfficer || null,
+      },
+    });
+
+    return property;
+  }
+
+  /**
+   * Assign an application to the least loaded suitable officer
+   * @param {Object} property - Property document
+   * @param {Object} options - Logging options passed to assignProperty; excludeOfficer skips one officer
+   * @returns {Object|null} The chosen officer, or null when no land officer exists
+   */
+  static async autoAssign(property, { excludeOfficer, ...options } = {}) {
+    const officerQuery = { role: "landOfficer" };
+    if (excludeOfficer) {
+      officerQuery._id = { $ne: excludeOfficer };
+    }
+
+    const officers = await User.find(officerQuery).select("fullName assignedSubCities");
+    const workloads = await this.getWorkloads(officers.map((officer) => officer._id));
+    const officer = this.selectOfficer(officers, workloads, property.location?.subCity);
+
+    if (!officer) {
+      return null;
+    }
+
+    await this.assignProperty(property, officer, {
+      ...options,
+      notes: options.notes || `Application auto-assigned to ${officer.fullName}`,
+    });
+
+    return officer;
+  }
+
+  /**
+   * Auto-assign every open application that is not in any queue
+   * @param {Object} options - Logging options passed to assignProperty
+   * @returns {Object} { assigned, unassigned }
+   */
+  static async assignUnassigned(options = {}) {
+    const properties = await Property.find({
+      status: { $in: OPEN_APPLICATION_STATUSES },
+      assignedTo: null,
+    }).sort({ registrationDate: 1 });
+
+    let assigned = 0;
+
+    // One at a time so each pick sees the load added by the previous one
+    for (const property of properties) {
+      const officer = await this.autoAssign(property, options);
+      if (!officer) {
+        break;
+      }
+      assigned += 1;
+    }
+
+    return { assigned, unassigned: properties.length - assigned };
+  }
+
+  /**
+   * Hand an officer's open applications to other officers (when they stop being a land officer)
+   * @param {string} officerId - Officer ID
+   * @param {Object} options - Logging options passed to assignProperty
+   * @returns {number} Number of applications reassigned
+   */
+  static async releaseQueue(officerId, options = {}) {
+    const properties = await Property.find({
+      assignedTo: officerId,
+      status: { $in: OPEN_APPLICATION_STATUSES },
+    });
+
+    let reassigned = 0;
+
+    for (const property of properties) {
+      const officer = await this.autoAssign(property, { ...options, excludeOfficer: officerId });
+
+      if (!officer) {
+        property.assignedTo = undefined;
+        property.assignedDate = undefined;
+        await property.save();
+      } else {
+        reassigned += 1;
+      }
+    }
+
+    return reassigned;
+  }
+}
+
+export default AssignmentService;
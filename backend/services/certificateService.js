@@ -0,0 +1,477 @@
+/**
+ * Certificate Service
+ * Issues digitally signed land title certificates, re-issues them when ownership changes,
+ * and verifies them for the public certificate verification route
+ *
+ * Certificates are signed with an Ed25519 key: CERTIFICATE_SIGNING_KEY (PKCS#8 PEM) when set,
+ * otherwise a key derived from JWT_SECRET so every instance signs with the same key
+ */
+
+import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import Certificate from "../models/Certificate.js";
+import Property from "../models/Property.js";
+import Encumbrance from "../models/Encumbrance.js";
+
+const AUTHORITY_NAME = "Ethiopian Land Registry Authority";
+
+// DER prefix of a PKCS#8 Ed25519 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+let cachedKey = null;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split("T")[0] : "-");
+
+// Revocation reason recorded on the certificate a new one supersedes
+const SUPERSEDED_REASONS = {
+  transfer: "Ownership transferred",
+  dispute_resolution: "Re-issued after dispute resolution",
+};
+
+const humanize = (value) => (value ? value.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()) : "-");
+
+class CertificateService {
+  /**
+   * The signing key pair and its key ID
+   * @returns {Object} { privateKey, publicKey, keyId }
+   */
+  static getSigningKey() {
+    const source = process.env.CERTIFICATE_SIGNING_KEY || `derived:${process.env.JWT_SECRET || ""}`;
+
+    if (cachedKey?.source === source) {
+      return cachedKey;
+    }
+
+    let privateKey;
+
+    if (process.env.CERTIFICATE_SIGNING_KEY) {
+      privateKey = crypto.createPrivateKey(process.env.CERTIFICATE_SIGNING_KEY.replace(/\\n/g, "\n"));
+    } else {
+      const seed = crypto.createHash("sha256").update(`certificate-signing:${process.env.JWT_SECRET || ""}`).digest();
+      privateKey = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+        format: "der",
+        type: "pkcs8",
+      });
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    const keyId = crypto
+      .createHash("sha256")
+      .update(publicKey.export({ type: "spki", format: "der" }))
+      .digest("hex")
+      .slice(0, 16);
+
+    cachedKey = { source, privateKey, publicKey, keyId };
+    return cachedKey;
+  }
+
+  /**
+   * Public half of the signing key, for verifying certificates offline
+   * @returns {Object} { algorithm, keyId, publicKey }
+   */
+  static getPublicKey() {
+    const { publicKey, keyId } = this.getSigningKey();
+
+    return {
+      algorithm: "Ed25519",
+      keyId,
+      publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    };
+  }
+
+  /**
+   * Canonical text the signature covers; field order is fixed so the signature is reproducible
+   * @param {Object} certificate - Certificate document or plain object
+   * @returns {string}
+   */
+  static getSignedPayload(certificate) {
+    const { details } = certificate;
+    const isoDate = (date) => (date ? new Date(date).toISOString() : null);
+
+    return JSON.stringify({
+      certificateNumber: certificate.certificateNumber,
+      property: String(certificate.property?._id || certificate.property),
+      owner: String(certificate.owner?._id || certificate.owner),
+      issuedAt: isoDate(certificate.issuedAt),
+      details: {
+        ownerName: details.ownerName,
+        ownerNationalId: details.ownerNationalId || null,
+        plotNumber: details.plotNumber,
+        location: {
+          subCity: details.location?.subCity || null,
+          kebele: details.location?.kebele || null,
+        },
+        area: details.area,
+        propertyType: details.propertyType,
+        ownershipHistory: (details.ownershipHistory || []).map((entry) => ({
+          ownerName: entry.ownerName || null,
+          startDate: isoDate(entry.startDate),
+          endDate: isoDate(entry.endDate),
+          transferType: entry.transferType || null,
+        })),
+        // Only present when there are encumbrances, so certificates issued before they were recorded still verify
+        ...(details.encumbrances?.length > 0 && {
+          encumbrances: details.encumbrances.map((encumbrance) => ({
+            type: encumbrance.type,
+            holderName: encumbrance.holderName,
+            reference: encumbrance.reference || null,
+            amount: encumbrance.amount ?? null,
+            currency: encumbrance.currency || null,
+            registrationDate: isoDate(encumbrance.registrationDate),
+          })),
+        }),
+      },
+    });
+  }
+
+  /**
+   * Sign a certificate
+   * @param {Object} certificate - Certificate fields
+   * @returns {Object} { signature, signatureAlgorithm, keyId }
+   */
+  static sign(certificate) {
+    const { privateKey, keyId } = this.getSigningKey();
+    const signature = crypto.sign(null, Buffer.from(this.getSignedPayload(certificate)), privateKey);
+
+    return { signature: signature.toString("base64"), signatureAlgorithm: "Ed25519", keyId };
+  }
+
+  /**
+   * Check a certificate's signature against the current signing key
+   * @param {Object} certificate - Certificate document
+   * @returns {boolean}
+   */
+  static hasValidSignature(certificate) {
+    const { publicKey, keyId } = this.getSigningKey();
+
+    if (!certificate.signature || certificate.keyId !== keyId) {
+      return false;
+    }
+
+    return crypto.verify(
+      null,
+      Buffer.from(this.getSignedPayload(certificate)),
+      publicKey,
+      Buffer.from(certificate.signature, "base64")
+    );
+  }
+
+  /**
+   * Certificate number, e.g. "LTC-2025-3F9A1C07"
+   */
+  static generateCertificateNumber() {
+    return `LTC-${new Date().getFullYear()}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+  }
+
+  /**
+   * Title details of a property, including the chain of previous owners and active encumbrances
+   * @param {Object} property - Property populated with owner and ownershipHistory.owner
+   * @param {Array} encumbrances - Active encumbrances of the property
+   */
+  static buildDetails(property, encumbrances = []) {
+    const history = (property.ownershipHistory || []).map((entry) => ({
+      ownerName: entry.owner?.fullName || "Unknown",
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+      transferType: entry.transferType,
+    }));
+
+    // The current owner holds the title from the end of the last recorded ownership
+    const lastEntry = history[history.length - 1];
+    history.push({
+      ownerName: property.owner.fullName,
+      startDate: lastEntry?.endDate || property.registrationDate,
+      endDate: null,
+      transferType: lastEntry?.transferType || "initial_registration",
+    });
+
+    return {
+      ownerName: property.owner.fullName,
+      ownerNationalId: property.owner.nationalId,
+      plotNumber: property.plotNumber,
+      location: {
+        subCity: property.location?.subCity,
+        kebele: property.location?.kebele,
+      },
+      area: property.area,
+      propertyType: property.propertyType,
+      ownershipHistory: history,
+      encumbrances: encumbrances.map((encumbrance) => ({
+        type: encumbrance.type,
+        holderName: encumbrance.holder?.name,
+        reference: encumbrance.holder?.reference,
+        amount: encumbrance.amount?.value,
+        currency: encumbrance.amount?.currency,
+        registrationDate: encumbrance.registrationDate,
+      })),
+    };
+  }
+
+  /**
+   * Issue a certificate for the current owner of an approved property and supersede any earlier one
+   * @param {string} propertyId - Property ID
+   * @param {Object} options - { reason: registration|transfer|reissue|dispute_resolution, issuedBy, session }
+   * @returns {Object} The new certificate
+   */
+  static async issueCertificate(propertyId, { reason = "registration", issuedBy, session } = {}) {
+    const property = await Property.findById(propertyId)
+      .populate("owner", "fullName nationalId")
+      .populate("ownershipHistory.owner", "fullName")
+      .session(session || null);
+
+    if (!property) {
+      throw new Error("Property not found");
+    }
+
+    // Pending, void and retired plots hold no title; throwing also aborts the caller's transaction
+    if (property.status !== "approved") {
+      throw new Error("Certificates can only be issued for approved properties");
+    }
+
+    const encumbrances = await Encumbrance.find({ property: property._id, status: "active" })
+      .sort({ registrationDate: 1 })
+      .session(session || null);
+
+    const fields = {
+      certificateNumber: this.generateCertificateNumber(),
+      property: property._id,
+      owner: property.owner._id,
+      details: this.buildDetails(property, encumbrances),
+      reason,
+      status: "valid",
+      issuedAt: new Date(),
+      issuedBy: issuedBy?._id || issuedBy,
+    };
+
+    const [certificate] = await Certificate.create([{ ...fields, ...this.sign(fields) }], { session });
+
+    await Certificate.updateMany(
+      { property: property._id, status: "valid", _id: { $ne: certificate._id } },
+      {
+        $set: {
+          status: "superseded",
+          supersededBy: certificate._id,
+          revokedAt: new Date(),
+          revokedBy: issuedBy?._id || issuedBy,
+          revocationReason: SUPERSEDED_REASONS[reason] || "Certificate re-issued",
+        },
+      },
+      { session }
+    );
+
+    return certificate;
+  }
+
+  /**
+   * Revoke every valid certificate of a property, e.g. when its registration is voided
+   * @param {string} propertyId - Property ID
+   * @param {Object} options - { reason, revokedBy, session }
+   * @returns {number} Number of certificates revoked
+   */
+  static async revokePropertyCertificates(propertyId, { reason, revokedBy, session } = {}) {
+    const result = await Certificate.updateMany(
+      { property: propertyId, status: "valid" },
+      {
+        $set: {
+          status: "revoked",
+          revokedAt: new Date(),
+          revokedBy: revokedBy?._id || revokedBy,
+          revocationReason: reason,
+        },
+      },
+      { session }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke a certificate without issuing a replacement
+   * @param {Object} certificate - Certificate document
+   * @param {Object} user - Admin revoking the certificate
+   * @param {string} reason - Revocation reason
+   */
+  static async revokeCertificate(certificate, user, reason) {
+    certificate.status = "revoked";
+    certificate.revokedAt = new Date();
+    certificate.revokedBy = user._id;
+    certificate.revocationReason = reason;
+
+    return certificate.save();
+  }
+
+  /**
+   * Verification result for the public route
+   * A certificate whose signature does not check out is reported as invalid whatever its stored status
+   * @param {string} certificateNumber - Certificate number
+   * @returns {Object|null} null when no such certificate was issued
+   */
+  static async verifyCertificate(certificateNumber) {
+    const certificate = await Certificate.findOne({ certificateNumber }).populate("supersededBy", "certificateNumber");
+
+    if (!certificate) {
+      return null;
+    }
+
+    const signatureValid = this.hasValidSignature(certificate);
+    const status = signatureValid ? certificate.status : "invalid";
+
+    const messages = {
+      valid: "Certificate is valid and reflects the current registered owner",
+      superseded: "Certificate has been superseded by a newer certificate for this property",
+      revoked: "Certificate has been revoked",
+      invalid: "Certificate signature could not be verified",
+    };
+
+    return {
+      certificateNumber: certificate.certificateNumber,
+      status,
+      valid: status === "valid",
+      message: messages[status],
+      issuedAt: certificate.issuedAt,
+      owner: certificate.details.ownerName,
+      plotNumber: certificate.details.plotNumber,
+      location: certificate.details.location,
+      area: certificate.details.area,
+      propertyType: certificate.details.propertyType,
+      encumbrances: (certificate.details.encumbrances || []).map((encumbrance) => ({
+        type: encumbrance.type,
+        holderName: encumbrance.holderName,
+        registrationDate: encumbrance.registrationDate,
+      })),
+      supersededBy: certificate.supersededBy?.certificateNumber,
+      revokedAt: certificate.revokedAt,
+      revocationReason: certificate.revocationReason,
+      signature: {
+        algorithm: certificate.signatureAlgorithm,
+        keyId: certificate.keyId,
+        valid: signatureValid,
+      },
+      issuedBy: AUTHORITY_NAME,
+    };
+  }
+
+  /**
+   * Public verification URL encoded in the certificate QR code
+   * @param {Object} certificate - Certificate document
+   * @param {string} baseUrl - API origin, e.g. https://api.example.com
+   */
+  static getVerificationUrl(certificate, baseUrl) {
+    return `${baseUrl}/api/certificates/${encodeURIComponent(certificate.certificateNumber)}/verify`;
+  }
+
+  /**
+   * Write the certificate PDF
+   * @param {Object} certificate - Certificate document
+   * @param {Stream} stream - Writable stream
+   * @param {Object} options - { verificationUrl }
+   */
+  static async writeCertificatePDF(certificate, stream, { verificationUrl }) {
+    const qrCode = await QRCode.toBuffer(verificationUrl, { type: "png", margin: 1, width: 240 });
+    const { details } = certificate;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: 60,
+        info: { Title: `Land Title Certificate ${certificate.certificateNumber}` },
+      });
+
+      stream.on("finish", resolve);
+      stream.on("error", reject);
+      doc.pipe(stream);
+
+      // Border
+      doc.lineWidth(2).rect(30, 30, doc.page.width - 60, doc.page.height - 60).stroke("#1f4e79");
+
+      // Header
+      doc.fillColor("#1f4e79").font("Helvetica-Bold").fontSize(18).text(AUTHORITY_NAME, { align: "center" });
+      doc.fontSize(22).text("Certificate of Land Title", { align: "center" });
+      doc.fillColor("#000000").moveDown(0.5);
+      doc.font("Helvetica").fontSize(10).text(`Certificate No. ${certificate.certificateNumber}`, { align: "center" });
+
+      if (certificate.status !== "valid") {
+        doc.fillColor("#b91c1c").font("Helvetica-Bold").fontSize(12)
+          .text(`${certificate.status.toUpperCase()} - NOT VALID AS PROOF OF TITLE`, { align: "center" });
+        doc.fillColor("#000000");
+      }
+
+      doc.moveDown(1.5);
+
+      // Title details with the QR code alongside
+      const top = doc.y;
+      doc.image(qrCode, doc.page.width - 60 - 110, top, { fit: [110, 110] });
+
+      const field = (label, value) => {
+        doc.font("Helvetica-Bold").fontSize(11).text(`${label}: `, { continued: true, width: 340 });
+        doc.font("Helvetica").text(value === undefined || value === null || value === "" ? "-" : String(value));
+        doc.moveDown(0.2);
+      };
+
+      field("Registered Owner", details.ownerName);
+      field("National ID", details.ownerNationalId);
+      field("Plot Number", details.plotNumber);
+      field("Location", `${details.location?.subCity || "-"} Sub-City, Kebele ${details.location?.kebele || "-"}`);
+      field("Area", `${details.area} sq. meters`);
+      field("Property Type", humanize(details.propertyType));
+      field("Date of Issue", formatDate(certificate.issuedAt));
+
+      doc.y = Math.max(doc.y, top + 120);
+      doc.moveDown();
+
+      // Ownership history
+      doc.font("Helvetica-Bold").fontSize(13).text("Ownership History");
+      doc.moveDown(0.4);
+      doc.font("Helvetica").fontSize(9).table({
+        rowStyles: (index) => (index === 0 ? { backgroundColor: "#e5e7eb" } : {}),
+        data: [
+          ["Owner", "From", "To", "Acquired By"],
+          ...(details.ownershipHistory || []).map((entry) => [
+            entry.ownerName || "-",
+            formatDate(entry.startDate),
+            entry.endDate ? formatDate(entry.endDate) : "Present",
+            humanize(entry.transferType),
+          ]),
+        ],
+      });
+
+      // Encumbrances
+      doc.moveDown(1.5);
+      doc.font("Helvetica-Bold").fontSize(13).text("Encumbrances");
+      doc.moveDown(0.4);
+      if (details.encumbrances?.length > 0) {
+        doc.font("Helvetica").fontSize(9).table({
+          rowStyles: (index) => (index === 0 ? { backgroundColor: "#e5e7eb" } : {}),
+          data: [
+            ["Type", "Holder", "Reference", "Amount", "Registered"],
+            ...details.encumbrances.map((encumbrance) => [
+              humanize(encumbrance.type),
+              encumbrance.holderName || "-",
+              encumbrance.reference || "-",
+              encumbrance.amount ? `${encumbrance.amount.toLocaleString()} ${encumbrance.currency || "ETB"}` : "-",
+              formatDate(encumbrance.registrationDate),
+            ]),
+          ],
+        });
+      } else {
+        doc.font("Helvetica").fontSize(10).text("None registered");
+      }
+
+      // Signature block
+      doc.moveDown(1.5);
+      doc.font("Helvetica-Bold").fontSize(10).text("Digital Signature");
+      doc.font("Helvetica").fontSize(8).fillColor("#555555");
+      doc.text(`Algorithm: ${certificate.signatureAlgorithm}    Key ID: ${certificate.keyId}`);
+      doc.text(certificate.signature, { width: doc.page.width - 120 });
+      doc.moveDown(0.5);
+      doc.text("Scan the QR code or open the address below to confirm this certificate is current:");
+      doc.fillColor("#1d4ed8").text(verificationUrl, { link: verificationUrl });
+
+      doc.end();
+    });
+  }
+}
+
+export default CertificateService;
@@ -0,0 +1,400 @@
+/**
+ * Dispute Resolution Service
+ * Carries out the resolution of an upheld dispute on the disputed property. A land officer
+ * proposes an action, an admin confirms or rejects it:
+ * - revert_ownership: return the property to the owner of an earlier ownership history entry
+ * - correct_property_data: correct the recorded area and/or location
+ * - void_registration: mark the registration void and revoke its certificates
+ * - reverify_documents: send the registration documents back for verification
+ *
+ * A confirmed action runs in one MongoDB transaction (requires a replica set, e.g. MongoDB Atlas)
+ * together with the property history entry, the application log and the dispute timeline entry,
+ * so the property is never changed without the dispute recording it or the reverse.
+ */
+
+import Dispute from "../models/Dispute.js";
+import Property from "../models/Property.js";
+import Document from "../models/Document.js";
+import ApplicationLog from "../models/ApplicationLog.js";
+import CertificateService from "./certificateService.js";
+import WorkflowService from "./workflowService.js";
+import { PROPERTY_WORKFLOW } from "./workflows.js";
+import { runInTransaction } from "./transaction.js";
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+export const RESOLUTION_ACTION_LABELS = {
+  revert_ownership: "Revert ownership",
+  correct_property_data: "Correct property data",
+  void_registration: "Void registration",
+  reverify_documents: "Re-verify documents",
+};
+
+// Decisions that uphold the dispute, at least in part
+export const ACTIONABLE_DECISIONS = ["in_favor_of_disputant", "compromise"];
+
+const LOCATION_FIELDS = ["kebele", "subCity"];
+
+const COORDINATE_FIELDS = ["latitude", "longitude"];
+
+class DisputeResolutionService {
+  /**
+   * Property fields a correct_property_data action would change, with their new values
+   * Values equal to what is already recorded are left out
+   * @param {Object} property - Property
+   * @param {Object} params - { area, location: { kebele, subCity, coordinates } }
+   * @returns {Object} Changed fields keyed by path, e.g. { area, "location.kebele" }
+   */
+  static getDataCorrections(property, params = {}) {
+    const corrections = {};
+
+    if (params.area !== undefined && params.area !== null && Number(params.area) !== property.area) {
+      corrections.area = Number(params.area);
+    }
+
+    for (const field of LOCATION_FIELDS) {
+      const value = params.location?.[field]?.trim();
+      if (value && value !== property.location?.[field]) {
+        corrections[`location.${field}`] = value;
+      }
+    }
+
+    for (const field of COORDINATE_FIELDS) {
+      const value = params.location?.coordinates?.[field];
+      if (value !== undefined && value !== null && Number(value) !== property.location?.coordinates?.[field]) {
+        corrections[`location.coordinates.${field}`] = Number(value);
+      }
+    }
+
+    return corrections;
+  }
+
+  /**
+   * Reason an action cannot be applied to the property as it is now
+   * @param {Object} property - Disputed property
+   * @param {string} type - Action type
+   * @param {Object} params - Action parameters
+   * @returns {string|null} null when the action can be applied
+   */
+  static checkAction(property, type, params = {}) {
+    if (property.currentTransfer) {
+      return "The property has a transfer in progress";
+    }
+
+    switch (type) {
+      case "revert_ownership": {
+        const entry = (property.ownershipHistory || []).find(
+          (historyEntry) => idOf(historyEntry._id) === idOf(params.ownershipHistoryEntry)
+        );
+        if (!entry) return "Ownership history entry not found";
+        if (idOf(entry.owner) === idOf(property.owner)) return "The property is already owned by that owner";
+        return null;
+      }
+      case "correct_property_data":
+        return Object.keys(this.getDataCorrections(property, params)).length > 0
+          ? null
+          : "The corrected values match the recorded property data";
+      case "void_registration":
+        return PROPERTY_WORKFLOW.transitions.void.from.includes(property.status)
+          ? null
+          : `Cannot void a registration that is ${property.status}`;
+      case "reverify_documents":
+        return PROPERTY_WORKFLOW.transitions.reverify_documents.from.includes(property.status)
+          ? null
+          : `Cannot re-verify the documents of a registration that is ${property.status}`;
+      default:
+        return `Unknown resolution action: ${type}`;
+    }
+  }
+
+  /**
+   * Reason an officer cannot propose an action for a dispute
+   * @param {Object} dispute - Dispute
+   * @param {Object} property - Disputed property
+   * @param {string} type - Action type
+   * @param {Object} params - Action parameters
+   * @returns {Object|null} { statusCode, message } or null when the action can be proposed
+   */
+  static checkProposal(dispute, property, type, params = {}) {
+    if (dispute.status !== "resolved") {
+      return { statusCode: 400, message: "Resolution actions can only be proposed for resolved disputes" };
+    }
+
+    if (!ACTIONABLE_DECISIONS.includes(dispute.resolution?.decision)) {
+      return { statusCode: 400, message: `No resolution action follows from the decision ${dispute.resolution?.decision}` };
+    }
+
+    if ((dispute.resolutionActions || []).some((action) => action.type === type && action.status === "proposed")) {
+      return { statusCode: 400, message: `A ${RESOLUTION_ACTION_LABELS[type].toLowerCase()} action is already awaiting confirmation` };
+    }
+
+    const error = this.checkAction(property, type, params);
+    return error ? { statusCode: 400, message: error } : null;
+  }
+
+  /**
+   * Propose a resolution action for an admin to confirm
+   * @param {Object} dispute - Resolved dispute
+   * @param {Object} action - { type, params, notes }
+   * @param {Object} user - Land officer or admin proposing it
+   * @returns {Object} { success, dispute, action } or { success: false, statusCode, message }
+   */
+  static async proposeAction(dispute, { type, params = {}, notes }, user) {
+    const property = await Property.findById(dispute.property);
+    if (!property) {
+      return { success: false, statusCode: 404, message: "Property not found" };
+    }
+
+    const error = this.checkProposal(dispute, property, type, params);
+    if (error) {
+      return { success: false, ...error };
+    }
+
+    dispute.resolutionActions.push({ type, params, notes, proposedBy: user._id });
+    const action = dispute.resolutionActions[dispute.resolutionActions.length - 1];
+
+    dispute.timeline.push({
+      action: `Resolution action proposed: ${RESOLUTION_ACTION_LABELS[type]}`,
+      performedBy: user._id,
+      performedByRole: user.role,
+      notes,
+    });
+    await dispute.save();
+
+    await ApplicationLog.create({
+      property: property._id,
+      user: dispute.disputant,
+      action: "dispute_action_proposed",
+      status: dispute.status,
+      performedBy: user._id,
+      performedByRole: user.role,
+      notes: notes || RESOLUTION_ACTION_LABELS[type],
+      metadata: {
+        disputeId: dispute._id,
+        actionId: action._id,
+        type,
+      },
+    });
+
+    return { success: true, dispute, action };
+  }
+
+  /**
+   * Reject a proposed action
+   * @param {Object} dispute - Dispute
+   * @param {string} actionId - Resolution action ID
+   * @param {string} reason - Why the action is rejected
+   * @param {Object} user - Admin rejecting it
+   * @returns {Object} { success, dispute, action } or { success: false, statusCode, message }
+   */
+  static async rejectAction(dispute, actionId, reason, user) {
+    const action = dispute.resolutionActions.id(actionId);
+    if (!action) {
+      return { success: false, statusCode: 404, message: "Resolution action not found" };
+    }
+
+    if (action.status !== "proposed") {
+      return { success: false, statusCode: 400, message: `Resolution action is already ${action.status}` };
+    }
+
+    Object.assign(action, {
+      status: "rejected",
+      confirmedBy: user._id,
+      confirmedAt: new Date(),
+      rejectionReason: reason,
+    });
+
+    dispute.timeline.push({
+      action: `Resolution action rejected: ${RESOLUTION_ACTION_LABELS[action.type]}`,
+      performedBy: user._id,
+      performedByRole: user.role,
+      notes: reason,
+    });
+    await dispute.save();
+
+    await ApplicationLog.create({
+      property: dispute.property,
+      user: dispute.disputant,
+      action: "dispute_action_rejected",
+      status: dispute.status,
+      performedBy: user._id,
+      performedByRole: user.role,
+      notes: reason,
+      metadata: {
+        disputeId: dispute._id,
+        actionId: action._id,
+        type: action.type,
+      },
+    });
+
+    return { success: true, dispute, action };
+  }
+
+  /**
+   * Confirm and apply a proposed action
+   * @param {string} disputeId - Dispute ID
+   * @param {string} actionId - Resolution action ID
+   * @param {Object} user - Admin confirming it
+   * @returns {Object} { success, dispute, action, property, certificate } or { success: false, statusCode, message }
+   */
+  static async confirmAction(disputeId, actionId, user) {
+    return runInTransaction((session) => this.applyAction(disputeId, actionId, user, session));
+  }
+
+  /**
+   * Transaction body of confirmAction
+   * @param {string} disputeId - Dispute ID
+   * @param {string} actionId - Resolution action ID
+   * @param {Object} user - Admin confirming it
+   * @param {Object} session - Mongoose client session
+   */
+  static async applyAction(disputeId, actionId, user, session) {
+    const dispute = await Dispute.findById(disputeId).session(session);
+    if (!dispute) {
+      return { success: false, statusCode: 404, message: "Dispute not found" };
+    }
+
+    const action = dispute.resolutionActions.id(actionId);
+    if (!action) {
+      return { success: false, statusCode: 404, message: "Resolution action not found" };
+    }
+
+    if (action.status !== "proposed") {
+      return { success: false, statusCode: 400, message: `Resolution action is already ${action.status}` };
+    }
+
+    const property = await Property.findById(dispute.property).session(session);
+    if (!property) {
+      return { success: false, statusCode: 404, message: "Property not found" };
+    }
+
+    const error = this.checkAction(property, action.type, action.params);
+    if (error) {
+      return { success: false, statusCode: 409, message: error };
+    }
+
+    const label = RESOLUTION_ACTION_LABELS[action.type];
+    const notes = `${label} following dispute "${dispute.title}"${action.notes ? `: ${action.notes}` : ""}`;
+    const metadata = { disputeId: dispute._id, actionId: action._id };
+    const applied = await this.applyToProperty(property, action, { user, session, notes, metadata });
+
+    Object.assign(action, {
+      status: "applied",
+      confirmedBy: user._id,
+      confirmedAt: new Date(),
+      previousValues: applied.previousValues,
+    });
+
+    dispute.timeline.push({
+      action: `Resolution action applied: ${label}`,
+      performedBy: user._id,
+      performedByRole: user.role,
+      notes: action.notes,
+    });
+    await dispute.save({ session });
+
+    return { success: true, dispute, action, property, certificate: applied.certificate || null };
+  }
+
+  /**
+   * Apply an action to the property and record it in the property history
+   * @param {Object} property - Disputed property
+   * @param {Object} action - Resolution action
+   * @param {Object} context - { user, session, notes, metadata }
+   * @returns {Object} { previousValues, certificate }
+   */
+  static async applyToProperty(property, action, { user, session, notes, metadata }) {
+    if (action.type === "void_registration" || action.type === "reverify_documents") {
+      return this.transitionProperty(property, action, { user, session, notes, metadata });
+    }
+
+    const previousOwner = property.owner;
+    const approved = property.status === "approved";
+    let previousValues;
+    let logAction;
+
+    if (action.type === "revert_ownership") {
+      const entry = property.ownershipHistory.id(action.params.ownershipHistoryEntry);
+      const lastEntry = property.ownershipHistory[property.ownershipHistory.length - 1];
+      const revertedAt = new Date();
+
+      property.ownershipHistory.push({
+        owner: previousOwner,
+        startDate: lastEntry?.endDate || property.registrationDate || property.createdAt,
+        endDate: revertedAt,
+        transferType: "court_order",
+      });
+      property.owner = entry.owner;
+
+      previousValues = { owner: previousOwner };
+      logAction = "ownership_reverted";
+    } else {
+      const corrections = this.getDataCorrections(property, action.params);
+
+      previousValues = Object.fromEntries(Object.keys(corrections).map((path) => [path, property.get(path)]));
+      property.set(corrections);
+      logAction = "property_data_corrected";
+    }
+
+    property.lastUpdated = new Date();
+    await property.save({ session });
+
+    await ApplicationLog.create(
+      [
+        {
+          property: property._id,
+          user: previousOwner,
+          action: logAction,
+          status: property.status,
+          performedBy: user._id,
+          performedByRole: user.role,
+          notes,
+          metadata: { ...metadata, previousValues, newOwner: property.owner },
+        },
+      ],
+      { session }
+    );
+
+    // The title certificate shows the owner, area and location, so an approved property gets a new one
+    const certificate = approved
+      ? await CertificateService.issueCertificate(property._id, { reason: "dispute_resolution", issuedBy: user, session })
+      : null;
+
+    return { previousValues, certificate };
+  }
+
+  /**
+   * Apply a void_registration or reverify_documents action through the property workflow
+   * @param {Object} property - Disputed property
+   * @param {Object} action - Resolution action
+   * @param {Object} context - { user, session, notes, metadata }
+   * @returns {Object} { previousValues }
+   */
+  static async transitionProperty(property, action, { user, session, notes, metadata }) {
+    const previousValues = { status: property.status, documentsValidated: property.documentsValidated };
+
+    if (action.type === "reverify_documents") {
+      await Document.updateMany(
+        { _id: { $in: property.documents } },
+        { $set: { status: "pending", verificationNotes: notes }, $unset: { verifiedBy: 1, verificationDate: 1 } },
+        { session }
+      );
+    }
+
+    const result = await WorkflowService.transition(
+      "property",
+      property,
+      action.type === "void_registration" ? "void" : "reverify_documents",
+      { user, session, notes, metadata }
+    );
+
+    if (!result.success) {
+      // Throwing aborts the transaction so the document changes above are rolled back
+      throw new Error(result.message);
+    }
+
+    return { previousValues };
+  }
+}
+
+export default DisputeResolutionService;
@@ -0,0 +1,182 @@
+/**
+ * Encumbrance Service
+ * Registers and releases mortgages, liens, court injunctions, government caveats and other
+ * encumbrances on properties, and answers whether a property is free to change hands.
+ *
+ * Blocking encumbrances stop transfers, subdivisions and merges until released (a subdivision or
+ * merge is the only way an approved plot's type can change, so they also guard type changes);
+ * non-blocking ones (e.g. leases, easements) are reported alongside those changes instead.
+ * Registering or releasing an encumbrance re-issues the certificate of an approved property in the
+ * same MongoDB transaction, so the valid certificate always lists the active encumbrances.
+ */
+
+import Encumbrance from "../models/Encumbrance.js";
+import Property from "../models/Property.js";
+import ApplicationLog from "../models/ApplicationLog.js";
+import CertificateService from "./certificateService.js";
+import { runInTransaction } from "./transaction.js";
+
+export const ENCUMBRANCE_TYPE_LABELS = {
+  mortgage: "Mortgage",
+  lien: "Lien",
+  court_injunction: "Court injunction",
+  government_caveat: "Government caveat",
+  lease: "Lease",
+  easement: "Easement",
+  other: "Encumbrance",
+};
+
+const describe = (encumbrance) => `${ENCUMBRANCE_TYPE_LABELS[encumbrance.type]} held by ${encumbrance.holder.name}`;
+
+class EncumbranceService {
+  /**
+   * Active encumbrances of a property, oldest first
+   * @param {string} propertyId - Property ID
+   * @param {Object} options - { session }
+   */
+  static async getActive(propertyId, { session } = {}) {
+    return Encumbrance.find({ property: propertyId, status: "active" })
+      .sort({ registrationDate: 1 })
+      .session(session || null);
+  }
+
+  /**
+   * Whether a change to the property is blocked by its encumbrances
+   * @param {Array} encumbrances - Active encumbrances of the property
+   * @param {string} change - What is being attempted, e.g. "transfer" or "subdivide"
+   * @returns {Object} { blocked, message, warnings } where warnings describe the non-blocking encumbrances
+   */
+  static checkEncumbrances(encumbrances, change) {
+    const blocking = encumbrances.filter((encumbrance) => encumbrance.blocking);
+    const warnings = encumbrances.filter((encumbrance) => !encumbrance.blocking).map(describe);
+
+    if (blocking.length > 0) {
+      return {
+        blocked: true,
+        message: `Cannot ${change} a property with active encumbrances: ${blocking.map(describe).join(", ")}`,
+        warnings,
+      };
+    }
+
+    return { blocked: false, message: null, warnings };
+  }
+
+  /**
+   * Load the active encumbrances of a property and check a change against them
+   * @param {string} propertyId - Property ID
+   * @param {string} change - What is being attempted, e.g. "transfer"
+   * @param {Object} options - { session }
+   * @returns {Object} { blocked, message, warnings }
+   */
+  static async checkProperty(propertyId, change, { session } = {}) {
+    return this.checkEncumbrances(await this.getActive(propertyId, { session }), change);
+  }
+
+  /**
+   * Register an encumbrance on a property
+   * @param {Object} property - Property document
+   * @param {Object} data - Encumbrance fields: type, holder, amount, description, blocking, registrationDate
+   * @param {Object} user - Land officer or admin registering it
+   * @returns {Object} { success, encumbrance, certificate }
+   */
+  static async register(property, data, user) {
+    return runInTransaction(async (session) => {
+      const [encumbrance] = await Encumbrance.create(
+        [{ ...data, property: property._id, status: "active", registeredBy: user._id }],
+        { session }
+      );
+
+      const certificate = await this.recordChange(property._id, encumbrance, "encumbrance_registered", {
+        user,
+        session,
+        notes: `${describe(encumbrance)} registered`,
+      });
+
+      return { success: true, encumbrance, certificate };
+    });
+  }
+
+  /**
+   * Release an active encumbrance
+   * @param {string} encumbranceId - Encumbrance ID
+   * @param {string} reason - Why it is released, e.g. "Loan repaid"
+   * @param {Object} user - Land officer or admin releasing it
+   * @returns {Object} { success, encumbrance, certificate } or { success: false, statusCode, message }
+   */
+  static async release(encumbranceId, reason, user) {
+    return runInTransaction(async (session) => {
+      const encumbrance = await Encumbrance.findById(encumbranceId).session(session);
+
+      if (!encumbrance) {
+        return { success: false, statusCode: 404, message: "Encumbrance not found" };
+      }
+
+      if (encumbrance.status === "released") {
+        return { success: false, statusCode: 400, message: "Encumbrance has already been released" };
+      }
+
+      Object.assign(encumbrance, {
+        status: "released",
+        releaseDate: new Date(),
+        releasedBy: user._id,
+        releaseReason: reason,
+      });
+      await encumbrance.save({ session });
+
+      const certificate = await this.recordChange(encumbrance.property, encumbrance, "encumbrance_released", {
+        user,
+        session,
+        notes: `${describe(encumbrance)} released: ${reason}`,
+      });
+
+      return { success: true, encumbrance, certificate };
+    });
+  }
+
+  /**
+   * Update the property's encumbrance flag, log the change and re-issue the certificate of an approved property
+   * @param {string} propertyId - Property ID
+   * @param {Object} encumbrance - Registered or released encumbrance
+   * @param {string} action - encumbrance_registered or encumbrance_released
+   * @param {Object} context - { user, session, notes }
+   * @returns {Object|null} Re-issued certificate
+   */
+  static async recordChange(propertyId, encumbrance, action, { user, session, notes }) {
+    const property = await Property.findById(propertyId).session(session);
+    if (!property) {
+      throw new Error("Property not found");
+    }
+
+    const activeCount = await Encumbrance.countDocuments({ property: property._id, status: "active" }).session(session);
+    property.hasActiveEncumbrance = activeCount > 0;
+    await property.save({ session });
+
+    await ApplicationLog.create(
+      [
+        {
+          property: property._id,
+          user: property.owner,
+          action,
+          status: property.status,
+          performedBy: user._id,
+          performedByRole: user.role,
+          notes,
+          metadata: {
+            encumbranceId: encumbrance._id,
+            type: encumbrance.type,
+            blocking: encumbrance.blocking,
+          },
+        },
+      ],
+      { session }
+    );
+
+    if (property.status !== "approved") {
+      return null;
+    }
+
+    return CertificateService.issueCertificate(property._id, { reason: "reissue", issuedBy: user, session });
+  }
+}
+
+export default EncumbranceService;
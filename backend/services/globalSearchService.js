@@ -0,0 +1,487 @@
+/**
+ * Global Search Service
+ * One search box across properties, applications, users, documents, payments, transfers and disputes.
+ * Whole words are looked up through each collection's text index; when that leaves room, a second pass
+ * matches partial words and words within one typo. Every hit is then scored against the query the same way,
+ * so results from different collections can be ranked together.
+ * Citizens only find their own records; land officers find everything except user accounts, which are
+ * admin only.
+ */
+
+import Property from "../models/Property.js";
+import User from "../models/User.js";
+import Document from "../models/Document.js";
+import Payment from "../models/Payment.js";
+import PropertyTransfer from "../models/PropertyTransfer.js";
+import Dispute from "../models/Dispute.js";
+
+export const SEARCH_TYPES = ["property", "application", "user", "document", "payment", "transfer", "dispute"];
+
+// Candidates fetched per type before ranking; pagination runs over the ranked list
+const CANDIDATES_PER_TYPE = 50;
+const MAX_TERMS = 8;
+const RECENT_SEARCH_LIMIT = 10;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const truncate = (text, length = 120) =>
+  text && text.length > length ? `${text.slice(0, length - 3)}...` : text || "";
+
+const humanize = (value) => (value ? value.replace(/_/g, " ") : "");
+
+const splitWords = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const ownedBy = (field) => (user) => ({ [field]: user._id });
+
+const propertyResult = (doc, type) => ({
+  type,
+  id: doc._id,
+  title: `Plot ${doc.plotNumber}`,
+  description: `${humanize(doc.propertyType)} property, ${doc.area} sq m`,
+  status: doc.status,
+  location: `Kebele ${doc.location?.kebele}, ${doc.location?.subCity}`,
+  date: doc.registrationDate,
+  metadata: { type: doc.propertyType },
+});
+
+// Per type: the model, which records each role may see, the fields to match and score (weighted),
+// and how a hit is shown. Transfers and disputes are also found through their property's plot number.
+const SOURCES = {
+  property: {
+    model: Property,
+    baseQuery: { status: "approved" },
+    scope: ownedBy("owner"),
+    fields: { plotNumber: 5, "location.kebele": 2, "location.subCity": 2 },
+    filters: ["status", "subCity"],
+    toResult: (doc) => propertyResult(doc, "property"),
+  },
+  application: {
+    model: Property,
+    baseQuery: { status: { $ne: "approved" } },
+    scope: ownedBy("owner"),
+    fields: { plotNumber: 5, "location.kebele": 2, "location.subCity": 2 },
+    filters: ["status", "subCity"],
+    toResult: (doc) => propertyResult(doc, "application"),
+  },
+  user: {
+    model: User,
+    adminOnly: true,
+    fields: { fullName: 3, nationalId: 3, email: 2 },
+    filters: ["role"],
+    select: "fullName email nationalId phoneNumber role createdAt",
+    toResult: (doc) => ({
+      type: "user",
+      id: doc._id,
+      title: doc.fullName,
+      description: doc.email,
+      date: doc.createdAt,
+      metadata: { role: doc.role, nationalId: doc.nationalId },
+    }),
+  },
+  document: {
+    model: Document,
+    scope: ownedBy("owner"),
+    fields: { documentName: 3, filename: 1 },
+    filters: ["status"],
+    populate: { path: "property", select: "plotNumber" },
+    toResult: (doc) => ({
+      type: "document",
+      id: doc._id,
+      title: doc.documentName,
+      description: [humanize(doc.documentType), doc.property?.plotNumber && `Plot ${doc.property.plotNumber}`]
+        .filter(Boolean)
+        .join(" - "),
+      status: doc.status,
+      date: doc.uploadDate,
+      propertyId: doc.property?._id,
+    }),
+  },
+  payment: {
+    model: Payment,
+    scope: ownedBy("user"),
+    fields: { receiptNumber: 4, transactionId: 4 },
+    filters: ["status"],
+    populate: { path: "property", select: "plotNumber" },
+    toResult: (doc) => ({
+      type: "payment",
+      id: doc._id,
+      title: doc.receiptNumber || doc.transactionId || "Payment",
+      description: `${humanize(doc.paymentType)} - ${doc.amount} ${doc.currency}`,
+      status: doc.status,
+      date: doc.paymentDate,
+      metadata: { method: humanize(doc.paymentMethod) },
+      propertyId: doc.property?._id,
+    }),
+  },
+  transfer: {
+    model: PropertyTransfer,
+    scope: (user) => ({ $or: [{ previousOwner: user._id }, { newOwner: user._id }] }),
+    fields: { "property.plotNumber": 4, transferReason: 2, reviewNotes: 1 },
+    filters: ["status"],
+    linkedToProperty: true,
+    populate: { path: "property", select: "plotNumber" },
+    toResult: (doc) => ({
+      type: "transfer",
+      id: doc._id,
+      title: `Transfer of plot ${doc.property?.plotNumber || "unknown"}`,
+      description: `${humanize(doc.transferType)}: ${truncate(doc.transferReason)}`,
+      status: doc.status,
+      date: doc.initiationDate,
+      propertyId: doc.property?._id,
+    }),
+  },
+  dispute: {
+    model: Dispute,
+    scope: ownedBy("disputant"),
+    fields: { title: 3, "property.plotNumber": 3, description: 1 },
+    filters: ["status"],
+    linkedToProperty: true,
+    populate: { path: "property", select: "plotNumber" },
+    toResult: (doc) => ({
+      type: "dispute",
+      id: doc._id,
+      title: doc.title,
+      description: truncate(doc.description),
+      status: doc.status,
+      date: doc.submissionDate,
+      metadata: { plot: doc.property?.plotNumber },
+      propertyId: doc.property?._id,
+    }),
+  },
+};
+
+class GlobalSearchService {
+  /**
+   * Split a query into lower-case search terms
+   * @param {string} query - Raw query
+   * @returns {string[]} Unique terms, at most eight
+   */
+  static tokenize(query) {
+    return [...new Set(splitWords(query))].slice(0, MAX_TERMS);
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Number of single-character edits
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Typos allowed for a term: none below four characters, otherwise one
+   * @param {string} term - Search term
+   * @returns {number} Maximum edit distance
+   */
+  static allowedTypos(term) {
+    return term.length < 4 ? 0 : 1;
+  }
+
+  /**
+   * Regular expression source matching the term, or the term after one substitution, insertion or
+   * deletion. Short terms only match as they are.
+   * @param {string} term - Search term
+   * @returns {string} Pattern for a case-insensitive $regex
+   */
+  static fuzzyPattern(term) {
+    const variants = [escapeRegex(term)];
+
+    if (GlobalSearchService.allowedTypos(term) > 0) {
+      for (let i = 0; i < term.length; i++) {
+        const before = escapeRegex(term.slice(0, i));
+        const after = escapeRegex(term.slice(i + 1));
+        variants.push(`${before}.${after}`);
+        variants.push(`${before}${after}`);
+        variants.push(`${before}.${escapeRegex(term.slice(i))}`);
+      }
+    }
+
+    return [...new Set(variants)].join("|");
+  }
+
+  /**
+   * Score how well a record's fields match the search terms
+   * A term scores 1 for an exact word, 0.75 for a word it starts, 0.5 for a word it appears inside
+   * and 0.4 for a word within its allowed typos, times the field's weight; a field equal to the whole
+   * query scores double.
+   * @param {string[]} terms - From tokenize
+   * @param {Array<{value: string, weight: number}>} fields - Field values and weights
+   * @returns {Object} { score, bestValue } where bestValue is the field value that matched best
+   */
+  static scoreFields(terms, fields) {
+    if (terms.length === 0) return { score: 0, bestValue: null };
+
+    const query = terms.join(" ");
+    let total = 0;
+    let best = { score: 0, value: null };
+
+    for (const { value, weight } of fields) {
+      if (value === undefined || value === null || value === "") continue;
+
+      const words = splitWords(value);
+      let fieldScore = 0;
+
+      for (const term of terms) {
+        let termScore = 0;
+        for (const word of words) {
+          if (word === term) {
+            termScore = 1;
+            break;
+          }
+          if (word.startsWith(term)) termScore = Math.max(termScore, 0.75);
+          else if (word.includes(term)) termScore = Math.max(termScore, 0.5);
+          else if (
+            termScore < 0.4 &&
+            Math.abs(word.length - term.length) <= GlobalSearchService.allowedTypos(term) &&
+            GlobalSearchService.editDistance(word, term) <= GlobalSearchService.allowedTypos(term)
+          ) {
+            termScore = 0.4;
+          }
+        }
+        fieldScore += termScore;
+      }
+
+      if (words.join(" ") === query) fieldScore *= 2;
+      fieldScore *= weight;
+
+      total += fieldScore;
+      if (fieldScore > best.score) best = { score: fieldScore, value: String(value) };
+    }
+
+    return { score: Math.round((total / terms.length) * 1000) / 1000, bestValue: best.value };
+  }
+
+  /**
+   * Types a role may search
+   * @param {string} role - User role
+   * @param {string} [type] - Requested type; "all" or empty for every allowed type
+   * @returns {string[]} Allowed types
+   */
+  static typesFor(role, type) {
+    const allowed = SEARCH_TYPES.filter((name) => role === "admin" || !SOURCES[name].adminOnly);
+    if (!type || type === "all") return allowed;
+    return allowed.filter((name) => name === type);
+  }
+
+  /**
+   * Find and score the candidates of one type
+   * @returns {Promise<Array>} [{ doc, score, bestValue }]
+   */
+  static async findCandidates(name, { query, terms, user, filters, limit, linkedProperties }) {
+    const source = SOURCES[name];
+    const isOfficer = ["admin", "landOfficer"].includes(user.role);
+
+    const conditions = [];
+    if (source.baseQuery) conditions.push(source.baseQuery);
+    if (!isOfficer && source.scope) conditions.push(source.scope(user));
+    if (source.filters.includes("status") && filters.status) conditions.push({ status: filters.status });
+    if (source.filters.includes("role") && filters.role) conditions.push({ role: filters.role });
+    if (source.filters.includes("subCity") && filters.subCity) {
+      conditions.push({ "location.subCity": filters.subCity });
+    }
+
+    const fieldPaths = Object.keys(source.fields).filter((path) => !path.startsWith("property."));
+    const prepare = (mongoQuery) => {
+      if (source.select) mongoQuery.select(source.select);
+      if (source.populate) mongoQuery.populate(source.populate);
+      return mongoQuery.lean();
+    };
+
+    // Whole words through the text index
+    const textHits = await prepare(
+      source.model
+        .find({ $and: [...conditions, { $text: { $search: query } }] })
+        .sort({ score: { $meta: "textScore" } })
+        .limit(limit)
+    );
+
+    // Prefixes, typos and plot numbers of linked properties
+    let fuzzyHits = [];
+    if (textHits.length < limit) {
+      const pattern = new RegExp(terms.map(GlobalSearchService.fuzzyPattern).join("|"), "i");
+      const alternatives = fieldPaths.map((path) => ({ [path]: pattern }));
+      if (source.linkedToProperty && linkedProperties.length > 0) {
+        alternatives.push({ property: { $in: linkedProperties } });
+      }
+
+      fuzzyHits = await prepare(
+        source.model
+          .find({
+            $and: [...conditions, { _id: { $nin: textHits.map((doc) => doc._id) } }, { $or: alternatives }],
+          })
+          .limit(limit - textHits.length)
+      );
+    }
+
+    return [...textHits, ...fuzzyHits]
+      .map((doc) => ({
+        doc,
+        ...GlobalSearchService.scoreFields(
+          terms,
+          Object.entries(source.fields).map(([path, weight]) => ({ value: getPath(doc, path), weight }))
+        ),
+      }))
+      .filter((candidate) => candidate.score > 0);
+  }
+
+  /**
+   * IDs of properties whose plot number matches the query, for finding their transfers and disputes
+   */
+  static async findLinkedProperties(terms) {
+    const pattern = new RegExp(terms.map(GlobalSearchService.fuzzyPattern).join("|"), "i");
+    const properties = await Property.find({ plotNumber: pattern }).select("_id").limit(CANDIDATES_PER_TYPE).lean();
+    return properties.map((property) => property._id);
+  }
+
+  /**
+   * Search every type the user may see and rank the hits together
+   * @param {string} query - Search text
+   * @param {Object} options - { user, type, filters: { status, subCity, role }, page, limit }
+   * @returns {Promise<Object>} { results, pagination }; results are ranked by score, newest first on ties
+   */
+  static async search(query, { user, type, filters = {}, page = 1, limit = 10 }) {
+    const terms = GlobalSearchService.tokenize(query);
+    const types = GlobalSearchService.typesFor(user.role, type);
+
+    if (terms.length === 0 || types.length === 0) {
+      return { results: [], pagination: { total: 0, page, limit, pages: 0 } };
+    }
+
+    const linkedProperties = types.some((name) => SOURCES[name].linkedToProperty)
+      ? await GlobalSearchService.findLinkedProperties(terms)
+      : [];
+
+    const candidates = await Promise.all(
+      types.map(async (name) => {
+        const found = await GlobalSearchService.findCandidates(name, {
+          query,
+          terms,
+          user,
+          filters,
+          limit: CANDIDATES_PER_TYPE,
+          linkedProperties,
+        });
+        return found.map((candidate) => ({
+          ...SOURCES[name].toResult(candidate.doc),
+          score: candidate.score,
+          suggestion: candidate.bestValue,
+        }));
+      })
+    );
+
+    const ranked = candidates
+      .flat()
+      .sort((a, b) => b.score - a.score || new Date(b.date || 0) - new Date(a.date || 0));
+
+    const total = ranked.length;
+    const results = ranked
+      .slice((page - 1) * limit, page * limit)
+      .map(({ suggestion, ...result }) => result);
+
+    return {
+      results,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Suggest completions and corrections for a partial query
+   * @param {string} query - Partial search text
+   * @param {Object} options - { user, type, limit }
+   * @returns {Promise<Array>} [{ text, type }], best match first
+   */
+  static async suggest(query, { user, type, limit = 5 }) {
+    const terms = GlobalSearchService.tokenize(query);
+    const types = GlobalSearchService.typesFor(user.role, type);
+    if (terms.length === 0) return [];
+
+    const candidates = await Promise.all(
+      types.map(async (name) => {
+        const found = await GlobalSearchService.findCandidates(name, {
+          query,
+          terms,
+          user,
+          filters: {},
+          limit,
+          linkedProperties: [],
+        });
+        return found.map((candidate) => ({ text: candidate.bestValue, type: name, score: candidate.score }));
+      })
+    );
+
+    const seen = new Set();
+    return candidates
+      .flat()
+      .sort((a, b) => b.score - a.score)
+      .filter(({ text }) => {
+        const key = text?.toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ text, type: suggestionType }) => ({ text, type: suggestionType }));
+  }
+
+  /**
+   * Remember a search at the top of the user's recent searches
+   * @param {string} userId - User ID
+   * @param {string} query - Search text
+   * @param {string} [type] - Type searched
+   */
+  static async recordSearch(userId, query, type = "all") {
+    const text = query.trim();
+    await User.updateOne({ _id: userId }, { $pull: { recentSearches: { query: text } } });
+    await User.updateOne(
+      { _id: userId },
+      {
+        $push: {
+          recentSearches: {
+            $each: [{ query: text, type, searchedAt: new Date() }],
+            $position: 0,
+            $slice: RECENT_SEARCH_LIMIT,
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * The user's recent searches, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} [{ query, type, searchedAt }]
+   */
+  static async getRecentSearches(userId) {
+    const user = await User.findById(userId).select("+recentSearches").lean();
+    return user?.recentSearches || [];
+  }
+}
+
+export default GlobalSearchService;
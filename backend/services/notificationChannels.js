@@ -0,0 +1,265 @@
+/**
+ * Notification Delivery Channels
+ * Email (SMTP), SMS and in-app adapters with a local outbox transport for development and tests
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+const DEFAULT_OUTBOX_DIR = path.join(os.tmpdir(), 'land-registry-outbox');
+
+/**
+ * Outbox transport
+ * Appends outgoing messages to one JSON-lines file per channel instead of sending them
+ */
+export class OutboxTransport {
+  constructor(directory = process.env.NOTIFICATION_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) {
+    this.directory = directory;
+  }
+
+  getFilePath(channel) {
+    return path.join(this.directory, `${channel}.jsonl`);
+  }
+
+  /**
+   * Write a message to the outbox
+   * @param {string} channel - Channel name (email, sms)
+   * @param {Object} message - Message payload
+   * @returns {Object} Transport result with a message ID
+   */
+  async send(channel, message) {
+    const messageId = `outbox_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(
+      this.getFilePath(channel),
+      JSON.stringify({ messageId, channel, queuedAt: new Date().toISOString(), ...message }) + '\n'
+    );
+
+    return { messageId };
+  }
+
+  /**
+   * Read all messages written to a channel's outbox
+   * @param {string} channel - Channel name
+   * @returns {Array} Messages in the order they were written
+   */
+  async read(channel) {
+    try {
+      const contents = await fs.readFile(this.getFilePath(channel), 'utf8');
+      return contents.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all messages from the outbox
+   */
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Whether live transports may be used (NOTIFICATION_TRANSPORT=outbox forces the outbox)
+ */
+const useLiveTransports = () => process.env.NOTIFICATION_TRANSPORT !== 'outbox';
+
+/**
+ * Build the absolute link for a notification action URL
+ * @param {string} actionUrl - Relative action URL
+ */
+const buildActionLink = (actionUrl) => {
+  if (!actionUrl) return null;
+  return process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}${actionUrl}` : actionUrl;
+};
+
+/**
+ * Email channel - SMTP via nodemailer, falls back to the outbox when SMTP is not configured
+ */
+export class EmailChannel {
+  constructor(outbox) {
+    this.name = 'email';
+    this.outbox = outbox;
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (this.transporter || !useLiveTransports()) return this.transporter;
+
+    if (process.env.SMTP_HOST) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.EMAIL_USER
+          ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+          : undefined,
+      });
+    } else if (process.env.EMAIL_SERVICE && process.env.EMAIL_USER) {
+      this.transporter = nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE,
+        auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+      });
+    }
+
+    return this.transporter;
+  }
+
+  canDeliver(recipient) {
+    return Boolean(recipient?.email);
+  }
+
+  async send(recipient, notification) {
+    const link = buildActionLink(notification.actionUrl);
+    const message = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@landregistry.local',
+      to: recipient.email,
+      subject: notification.title,
+      text: link ? `${notification.message}\n\n${link}` : notification.message,
+    };
+
+    const transporter = this.getTransporter();
+    if (!transporter) {
+      return this.outbox.send(this.name, message);
+    }
+
+    const info = await transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * SMS channel - HTTP SMS gateway, falls back to the outbox when no gateway is configured
+ */
+export class SmsChannel {
+  constructor(outbox) {
+    this.name = 'sms';
+    this.outbox = outbox;
+  }
+
+  canDeliver(recipient) {
+    return Boolean(recipient?.phoneNumber);
+  }
+
+  async send(recipient, notification) {
+    const message = {
+      from: process.env.SMS_SENDER_ID || 'LandRegistry',
+      to: recipient.phoneNumber,
+      text: `${notification.title}: ${notification.message}`,
+    };
+
+    if (!useLiveTransports() || !process.env.SMS_API_URL || !process.env.SMS_API_KEY) {
+      return this.outbox.send(this.name, message);
+    }
+
+    const response = await fetch(process.env.SMS_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.SMS_API_KEY}`,
+      },
+      body: JSON.stringify(message),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with status ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { messageId: body.messageId || body.id || null };
+  }
+}
+
+/**
+ * In-app channel - the stored notification is the delivery, so sending only confirms it
+ */
+export class InAppChannel {
+  constructor() {
+    this.name = 'inApp';
+  }
+
+  canDeliver(recipient) {
+    return Boolean(recipient?._id);
+  }
+
+  async send(recipient, notification) {
+    return { messageId: notification._id ? notification._id.toString() : null };
+  }
+}
+
+/**
+ * Decide which channels a notification should go out on
+ * @param {Object} settings - Admin notification settings
+ * @param {Object} preferences - Recipient notification preferences
+ * @returns {Array} Channel names
+ */
+export const resolveChannels = (settings = {}, preferences = {}) => {
+  const channels = [];
+
+  if (settings.pushNotifications && preferences?.inApp !== false) channels.push('inApp');
+  if (settings.emailNotifications && preferences?.email !== false) channels.push('email');
+  if (settings.smsNotifications && preferences?.sms === true) channels.push('sms');
+
+  return channels;
+};
+
+/**
+ * Send through a channel, retrying failed attempts with a linear backoff
+ * @param {Object} channel - Channel adapter
+ * @param {Object} recipient - Recipient user
+ * @param {Object} notification - Notification data
+ * @param {Object} options - { maxAttempts, retryDelay, previousAttempts }
+ * @returns {Object} Delivery record
+ */
+export const deliverWithRetry = async (channel, recipient, notification, options = {}) => {
+  const { maxAttempts = 3, retryDelay = 500, previousAttempts = 0 } = options;
+  const delivery = {
+    channel: channel.name,
+    status: 'pending',
+    attempts: previousAttempts,
+  };
+
+  if (!channel.canDeliver(recipient)) {
+    return { ...delivery, status: 'skipped', lastError: 'Recipient has no address for this channel' };
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+      const result = await channel.send(recipient, notification);
+      return {
+        ...delivery,
+        status: 'sent',
+        messageId: result?.messageId,
+        lastError: undefined,
+        deliveredAt: new Date(),
+      };
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.lastError = error.message;
+      console.warn(`Notification delivery via ${channel.name} failed (attempt ${attempt}/${maxAttempts}):`, error.message);
+
+      if (attempt < maxAttempts && retryDelay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, retryDelay * attempt));
+      }
+    }
+  }
+
+  return delivery;
+};
+
+// Shared outbox and channel instances
+export const outbox = new OutboxTransport();
+
+export const channels = {
+  inApp: new InAppChannel(),
+  email: new EmailChannel(outbox),
+  sms: new SmsChannel(outbox),
+};
@@ -1,12 +1,23 @@
 /**
  * Notification Service
  * Handles payment-related and property workflow notifications
+ * Notifications fan out over the channels enabled in admin settings and user preferences
  */
 
+import mongoose from "mongoose";
 import ApplicationLog from "../models/ApplicationLog.js";
+import Notification from "../models/Notification.js";
 import User from "../models/User.js";
 import Property from "../models/Property.js";
 import Payment from "../models/Payment.js";
+import SettingsService from "./settingsService.js";
+import { channels, resolveChannels, deliverWithRetry } from "./notificationChannels.js";
+
+// Maximum delivery attempts per channel before a delivery is left as failed
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// Deliveries still pending after this long were cut off (e.g. the serverless function was frozen) and are retried
+export const STALE_DELIVERY_MINUTES = 10;
 
 class NotificationService {
   /**
@@ -379,7 +390,7 @@ class NotificationService {
         type: 'dispute_submitted',
         title: 'New Dispute Submitted',
         message: `A new dispute has been submitted for property ${property.plotNumber} by ${user.fullName}. Dispute type: ${dispute.disputeType.replace('_', ' ')}. Please review and take appropriate action.`,
-        userId: null, // Will be set for each admin/land officer
+        userId: null, // Set for each admin/land officer below
         propertyId: property._id,
         disputeId: dispute._id,
         priority: 'high',
@@ -396,9 +407,17 @@ class NotificationService {
       };
 
       // Send notification to all admins and land officers
-      // In a real implementation, you would fetch admin/land officer user IDs
-      // and send individual notifications
-      await this.createNotification(notification);
+      const reviewers = mongoose.connection.readyState === 1
+        ? await User.find({ role: { $in: ['admin', 'landOfficer'] } }).select('_id')
+        : [];
+
+      if (reviewers.length === 0) {
+        await this.createNotification(notification);
+      }
+
+      for (const reviewer of reviewers) {
+        await this.createNotification({ ...notification, userId: reviewer._id });
+      }
 
       console.log('📧 Dispute notification sent to administrators');
     } catch (error) {
@@ -493,19 +512,238 @@ class NotificationService {
   }
 
   /**
-   * Create a notification record (placeholder for actual notification system)
-   * In a real implementation, this would integrate with email, SMS, or push notification services
+   * Tell the disputant and the affected owners that a resolution action was applied to the property
+   * @param {Object} dispute - Dispute object
+   * @param {Object} property - Property object
+   * @param {string} label - Resolution action label
+   * @param {Array} userIds - Users to notify
+   */
+  static async sendDisputeActionAppliedNotification(dispute, property, label, userIds) {
+    try {
+      for (const userId of userIds) {
+        await this.createNotification({
+          type: 'dispute_action_applied',
+          title: 'Dispute Resolution Applied',
+          message: `${label} has been applied to property ${property.plotNumber} following the resolution of dispute "${dispute.title}".`,
+          userId,
+          propertyId: property._id,
+          disputeId: dispute._id,
+          priority: 'high',
+          actionRequired: false,
+          actionUrl: `/property/${property._id}`,
+          metadata: {
+            disputeType: dispute.disputeType,
+            disputeTitle: dispute.title,
+            propertyPlotNumber: property.plotNumber
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error sending dispute action applied notification:', error);
+    }
+  }
+
+  /**
+   * Ask the new owner of a transfer to accept or decline it
+   * @param {Object} transfer - Transfer object
+   * @param {Object} property - Property object
+   * @param {Object} previousOwner - User transferring the property
+   * @param {Object} recipient - New owner
+   */
+  static async sendTransferConsentRequestNotification(transfer, property, previousOwner, recipient) {
+    try {
+      const expiresAt = transfer.recipientConsent?.expiresAt;
+
+      await this.createNotification({
+        type: 'transfer_consent_requested',
+        title: 'Property Transfer Awaiting Your Acceptance',
+        message: `${previousOwner.fullName} has started a ${transfer.transferType.replace('_', ' ')} transfer of property ${property.plotNumber} to you. Please accept or decline it${expiresAt ? ` by ${new Date(expiresAt).toLocaleDateString()}` : ''}.`,
+        userId: recipient._id,
+        propertyId: property._id,
+        priority: 'high',
+        actionRequired: true,
+        actionUrl: `/transfers/${transfer._id}`,
+        metadata: {
+          transferId: transfer._id,
+          transferType: transfer.transferType,
+          previousOwnerName: previousOwner.fullName,
+          propertyPlotNumber: property.plotNumber,
+          expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Error sending transfer consent request notification:', error);
+    }
+  }
+
+  /**
+   * Tell the transferring owner how the new owner responded
+   * @param {Object} transfer - Transfer object
+   * @param {Object} property - Property object
+   * @param {Object} recipient - New owner
+   * @param {string} response - accepted, declined or expired
+   */
+  static async sendTransferConsentResponseNotification(transfer, property, recipient, response) {
+    try {
+      const responseMessages = {
+        accepted: `${recipient.fullName} accepted the transfer. You can now upload the transfer documents.`,
+        declined: `${recipient.fullName} declined the transfer.`,
+        expired: `${recipient.fullName} did not respond in time, so the transfer has expired.`
+      };
+
+      await this.createNotification({
+        type: `transfer_${response}`,
+        title: `Property Transfer ${response.charAt(0).toUpperCase() + response.slice(1)}`,
+        message: `Transfer of property ${property.plotNumber}: ${responseMessages[response]}`,
+        userId: transfer.previousOwner,
+        propertyId: property._id,
+        priority: response === 'accepted' ? 'medium' : 'high',
+        actionRequired: response === 'accepted',
+        actionUrl: `/transfers/${transfer._id}`,
+        metadata: {
+          transferId: transfer._id,
+          recipientName: recipient.fullName,
+          propertyPlotNumber: property.plotNumber,
+          response,
+          responseNotes: transfer.recipientConsent?.notes
+        }
+      });
+    } catch (error) {
+      console.error('Error sending transfer consent response notification:', error);
+    }
+  }
+
+  /**
+   * Send notification to both parties of a transfer when transfer fees are paid
+   * @param {Object} transfer - Transfer object
+   * @param {Object} property - Transferred property
+   * @param {Object} payer - User who paid
+   * @param {Object} payment - Completed transfer_fee payment
+   */
+  static async sendTransferFeePaidNotification(transfer, property, payer, payment) {
+    try {
+      for (const userId of [transfer.previousOwner, transfer.newOwner]) {
+        await this.createNotification({
+          type: 'transfer_fee_paid',
+          title: 'Transfer Fees Paid',
+          message: `${payer.fullName} paid ${payment.amount} ${payment.currency} in fees for the transfer of property ${property.plotNumber}.`,
+          userId,
+          propertyId: property._id,
+          priority: 'medium',
+          actionRequired: false,
+          actionUrl: `/transfers/${transfer._id}`,
+          metadata: {
+            transferId: transfer._id,
+            paymentId: payment._id,
+            amount: payment.amount,
+            receiptNumber: payment.receiptNumber,
+            propertyPlotNumber: property.plotNumber
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error sending transfer fee paid notification:', error);
+    }
+  }
+
+  /**
+   * Tell the owner that an encumbrance on their property was registered or released
+   * @param {Object} encumbrance - Encumbrance object
+   * @param {Object} property - Property object
+   * @param {Object} user - Property owner
+   * @param {string} event - registered or released
+   */
+  static async sendEncumbranceNotification(encumbrance, property, user, event) {
+    try {
+      const typeLabel = encumbrance.type.replace(/_/g, ' ');
+      const consequence = event === 'registered' && encumbrance.blocking
+        ? ' The property cannot be transferred until it is released.'
+        : '';
+
+      await this.createNotification({
+        type: `encumbrance_${event}`,
+        title: event === 'registered' ? 'Encumbrance Registered' : 'Encumbrance Released',
+        message: `A ${typeLabel} held by ${encumbrance.holder.name} has been ${event} on property ${property.plotNumber}.${consequence}`,
+        userId: user._id,
+        propertyId: property._id,
+        priority: event === 'registered' ? 'high' : 'medium',
+        actionRequired: false,
+        actionUrl: `/property/${property._id}`,
+        metadata: {
+          encumbranceId: encumbrance._id,
+          encumbranceType: encumbrance.type,
+          holderName: encumbrance.holder.name,
+          propertyPlotNumber: property.plotNumber
+        }
+      });
+    } catch (error) {
+      console.error('Error sending encumbrance notification:', error);
+    }
+  }
+
+  /**
+   * Tell the owner that an officer decided on their subdivision or merge
+   * @param {Object} change - Parcel change object
+   * @param {Array} parents - Parent plots
+   * @param {Object} user - Owner
+   * @param {string} decision - approved or rejected
+   * @param {string} notes - Officer's notes
+   */
+  static async sendParcelChangeDecisionNotification(change, parents, user, decision, notes) {
+    try {
+      const operation = change.operation === 'subdivide' ? 'subdivision' : 'merge';
+      const parentPlots = parents.map(parent => parent.plotNumber).join(', ');
+      const childPlots = change.children.map(child => child.plotNumber).join(', ');
+      const message = decision === 'approved'
+        ? `Your ${operation} of plot ${parentPlots} has been approved. The new plot(s) ${childPlots} are registered to you and their title certificates have been issued.`
+        : `Your ${operation} of plot ${parentPlots} has been rejected.${notes ? ` Reason: ${notes}` : ''}`;
+
+      await this.createNotification({
+        type: `parcel_change_${decision}`,
+        title: decision === 'approved' ? 'Parcel Change Approved' : 'Parcel Change Rejected',
+        message,
+        userId: user._id,
+        propertyId: parents[0]?._id,
+        priority: 'high',
+        actionRequired: false,
+        actionUrl: '/parcel-changes',
+        metadata: {
+          parcelChangeId: change._id,
+          operation: change.operation,
+          parentPlots,
+          childPlots
+        }
+      });
+    } catch (error) {
+      console.error('Error sending parcel change decision notification:', error);
+    }
+  }
+
+  /**
+   * Email an account message, such as a password reset link, straight to the user
+   * These carry one-time links, so they ignore notification preferences and are not stored
+   * @param {Object} user - Recipient user
+   * @param {Object} message - { title, message }
+   * @returns {Object} Delivery record
+   */
+  static async sendAccountEmail(user, { title, message }) {
+    const delivery = await deliverWithRetry(channels.email, user, { title, message });
+
+    if (delivery.status !== 'sent') {
+      console.error(`Account email "${title}" to ${user.email} was not sent:`, delivery.lastError);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Create a notification record
+   * Persists the notification when the database is connected and starts delivering it over every enabled channel
+   * Delivery is not awaited, so a slow email or SMS provider does not hold up the request that triggered it
    * @param {Object} notificationData - Notification data
    */
   static async createNotification(notificationData) {
     try {
-      // For now, we'll log the notification
-      // In a real implementation, you would:
-      // 1. Save to a notifications table
-      // 2. Send email/SMS
-      // 3. Send push notification
-      // 4. Update user's notification preferences
-
       console.log('📧 Notification Created:', {
         timestamp: new Date().toISOString(),
         type: notificationData.type,
@@ -515,22 +753,130 @@ class NotificationService {
         actionRequired: notificationData.actionRequired
       });
 
-      // Simulate saving to database
       const notification = {
-        id: `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         createdAt: new Date(),
         read: false,
-        delivered: true,
         ...notificationData
       };
 
-      return notification;
+      // Notifications without a recipient or without a database connection are log-only
+      if (!notificationData.userId || mongoose.connection.readyState !== 1) {
+        return notification;
+      }
+
+      const recipient = await User.findById(notificationData.userId)
+        .select('fullName email phoneNumber notificationPreferences');
+
+      const settings = await SettingsService.getSettings();
+      const enabledChannels = resolveChannels(settings, recipient?.notificationPreferences);
+
+      const saved = await Notification.create({
+        user: notificationData.userId,
+        type: notificationData.type,
+        title: notificationData.title,
+        message: notificationData.message,
+        priority: notificationData.priority,
+        actionRequired: notificationData.actionRequired,
+        actionUrl: notificationData.actionUrl,
+        property: notificationData.propertyId,
+        payment: notificationData.paymentId,
+        dispute: notificationData.disputeId,
+        metadata: notificationData.metadata,
+        inApp: enabledChannels.includes('inApp'),
+        deliveries: enabledChannels.map((channel) => ({ channel, status: 'pending' }))
+      });
+
+      if (recipient) {
+        this.deliverNotification(saved, recipient).catch((error) => {
+          console.error('Error delivering notification:', error);
+        });
+      }
+
+      return {
+        ...notification,
+        id: saved._id.toString(),
+        createdAt: saved.createdAt,
+        deliveries: saved.deliveries.map(({ channel, status }) => ({ channel, status }))
+      };
     } catch (error) {
       console.error('Error creating notification:', error);
       throw error;
     }
   }
 
+  /**
+   * Deliver a stored notification over its pending or failed channels
+   * @param {Object} notification - Notification document
+   * @param {Object} recipient - Recipient user
+   * @param {Object} options - Retry options passed to the channel
+   */
+  static async deliverNotification(notification, recipient, options = {}) {
+    for (const delivery of notification.deliveries) {
+      if (!['pending', 'failed'].includes(delivery.status)) continue;
+      if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) continue;
+
+      const channel = channels[delivery.channel];
+      const result = await deliverWithRetry(channel, recipient, notification, {
+        maxAttempts: Math.min(3, MAX_DELIVERY_ATTEMPTS - delivery.attempts),
+        previousAttempts: delivery.attempts,
+        ...options
+      });
+
+      delivery.set(result);
+    }
+
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Query for notifications with deliveries worth retrying: failed ones with attempts left,
+   * and pending ones whose first delivery never finished
+   * @param {Date} now - Current time
+   */
+  static retryableDeliveryQuery(now = new Date()) {
+    return {
+      $or: [
+        { deliveries: { $elemMatch: { status: 'failed', attempts: { $lt: MAX_DELIVERY_ATTEMPTS } } } },
+        {
+          createdAt: { $lt: new Date(now.getTime() - STALE_DELIVERY_MINUTES * 60 * 1000) },
+          'deliveries.status': 'pending'
+        }
+      ]
+    };
+  }
+
+  /**
+   * Retry deliveries that failed or never finished
+   * Run by GET /api/notifications/deliveries/retry (Vercel Cron) or npm run retry-notifications
+   */
+  static async retryFailedDeliveries() {
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        return { success: false, error: 'Database not connected' };
+      }
+
+      const notifications = await Notification.find(this.retryableDeliveryQuery()).limit(100);
+
+      let retried = 0;
+
+      for (const notification of notifications) {
+        const recipient = await User.findById(notification.user)
+          .select('fullName email phoneNumber notificationPreferences');
+
+        if (!recipient) continue;
+
+        await this.deliverNotification(notification, recipient);
+        retried++;
+      }
+
+      return { success: true, retried };
+    } catch (error) {
+      console.error('Error retrying notification deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get notification statistics
    * @param {string} userId - User ID (optional)
@@ -538,20 +884,30 @@ class NotificationService {
    */
   static async getNotificationStats(userId = null) {
     try {
-      // In a real implementation, this would query the notifications table
-      // For now, return mock statistics
-      return {
-        total: 0,
-        unread: 0,
-        byType: {
-          payment_required: 0,
-          payment_success: 0,
-          payment_failed: 0,
-          property_ready_approval: 0,
-          payment_reminder: 0
-        },
-        recent: []
-      };
+      if (mongoose.connection.readyState !== 1) {
+        return { total: 0, unread: 0, byType: {}, recent: [] };
+      }
+
+      const filter = userId
+        ? { user: new mongoose.Types.ObjectId(userId), inApp: { $ne: false } }
+        : {};
+
+      const [total, unread, typeCounts, recent] = await Promise.all([
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ ...filter, read: false }),
+        Notification.aggregate([
+          { $match: filter },
+          { $group: { _id: '$type', count: { $sum: 1 } } }
+        ]),
+        Notification.find(filter).sort({ createdAt: -1 }).limit(5).lean()
+      ]);
+
+      const byType = {};
+      typeCounts.forEach(({ _id, count }) => {
+        byType[_id] = count;
+      });
+
+      return { total, unread, byType, recent };
     } catch (error) {
       console.error('Error getting notification stats:', error);
       return null;
@@ -0,0 +1,765 @@
+/**
+ * Parcel Change Service
+ * Subdivides a plot into several new plots or merges neighbouring plots into one.
+ *
+ * An owner applies with the planned plots; their areas must add up to the parent plots' area and,
+ * where boundaries are drawn, they must tile the parent boundary (subdivision) or cover the
+ * neighbouring parents (merge). Open disputes, transfers in progress, another pending change and
+ * blocking encumbrances stop the change both when it is submitted and when it is approved.
+ *
+ * Approval runs in one MongoDB transaction: the new plots are registered as approved with their
+ * lineage, non-blocking encumbrances are carried over to them, the parent plots are retired and
+ * their certificates revoked, and title certificates are issued for the new plots.
+ */
+
+import Property from "../models/Property.js";
+import PropertyTransfer from "../models/PropertyTransfer.js";
+import Dispute from "../models/Dispute.js";
+import ParcelChange from "../models/ParcelChange.js";
+import Encumbrance from "../models/Encumbrance.js";
+import ApplicationLog from "../models/ApplicationLog.js";
+import User from "../models/User.js";
+import ParcelGeometryService from "./parcelGeometryService.js";
+import PaymentCalculationService from "./paymentCalculationService.js";
+import EncumbranceService from "./encumbranceService.js";
+import CertificateService from "./certificateService.js";
+import WorkflowService from "./workflowService.js";
+import NotificationService from "./notificationService.js";
+import { ACTIVE_DISPUTE_STATUSES, ACTIVE_TRANSFER_STATUSES } from "./workflows.js";
+import { runInTransaction } from "./transaction.js";
+
+// Most plots a subdivision may create or a merge may join
+export const MAX_PARCELS_PER_CHANGE = 20;
+
+// Allowed mismatch between parent and child areas, as a fraction of the parent area
+export const AREA_TOLERANCE = 0.01;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const plots = (parcels) => parcels.map((parcel) => parcel.plotNumber).join(", ");
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const addsUp = (expected, actual) => Math.abs(expected - actual) <= expected * AREA_TOLERANCE;
+
+const describeChange = (operation, parents, children) =>
+  operation === "subdivide"
+    ? `Plot ${plots(parents)} subdivided into ${plots(children)}`
+    : `Plots ${plots(parents)} merged into ${plots(children)}`;
+
+// Whether every boundary can be reached from the first through boundaries that touch
+const isConnected = (boundaries) => {
+  const reached = new Set([0]);
+  const queue = [0];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    boundaries.forEach((boundary, i) => {
+      if (!reached.has(i) && ParcelGeometryService.polygonsTouch(boundaries[current], boundary)) {
+        reached.add(i);
+        queue.push(i);
+      }
+    });
+  }
+
+  return reached.size === boundaries.length;
+};
+
+class ParcelChangeService {
+  /**
+   * Check the parent plots of a change
+   * @param {string} operation - subdivide or merge
+   * @param {Array} parents - Parent properties
+   * @param {string} ownerId - Owner applying for the change
+   * @returns {Object} { valid: true } or { valid: false, statusCode, message }
+   */
+  static checkParents(operation, parents, ownerId) {
+    if (operation === "subdivide" && parents.length !== 1) {
+      return { valid: false, statusCode: 400, message: "A subdivision has exactly one parent plot" };
+    }
+
+    if (operation === "merge" && (parents.length < 2 || parents.length > MAX_PARCELS_PER_CHANGE)) {
+      return {
+        valid: false,
+        statusCode: 400,
+        message: `A merge joins between 2 and ${MAX_PARCELS_PER_CHANGE} plots`,
+      };
+    }
+
+    const notApproved = parents.filter((parent) => parent.status !== "approved");
+    if (notApproved.length > 0) {
+      return {
+        valid: false,
+        statusCode: 400,
+        message: `Only approved plots can be changed: ${plots(notApproved)}`,
+      };
+    }
+
+    const notOwned = parents.filter((parent) => idOf(parent.owner) !== idOf(ownerId));
+    if (notOwned.length > 0) {
+      return { valid: false, statusCode: 403, message: `Not the owner of plot ${plots(notOwned)}` };
+    }
+
+    if (operation === "merge" && new Set(parents.map((parent) => parent.location.subCity)).size > 1) {
+      return { valid: false, statusCode: 400, message: "Only plots in the same sub-city can be merged" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate the planned plots against their parents and fill in inherited fields
+   * Areas must add up within AREA_TOLERANCE. Where boundaries are drawn, a subdivision's plots must
+   * lie inside the parent without overlapping and cover its area, and a merged plot must contain
+   * every parent, whose boundaries must be connected, and match their area.
+   * @param {string} operation - subdivide or merge
+   * @param {Array} parents - Parent properties
+   * @param {Array} children - Planned plots: { plotNumber, area, propertyType, location, boundary }
+   * @returns {Object} { valid: true, children } or { valid: false, message }
+   */
+  static validatePlan(operation, parents, children) {
+    if (!Array.isArray(children) || children.length === 0) {
+      return { valid: false, message: "At least one new plot is required" };
+    }
+
+    if (operation === "subdivide" && (children.length < 2 || children.length > MAX_PARCELS_PER_CHANGE)) {
+      return {
+        valid: false,
+        message: `A subdivision creates between 2 and ${MAX_PARCELS_PER_CHANGE} plots`,
+      };
+    }
+
+    if (operation === "merge" && children.length !== 1) {
+      return { valid: false, message: "A merge creates exactly one plot" };
+    }
+
+    const plotNumbers = children.map((child) => String(child.plotNumber || "").trim());
+    if (plotNumbers.some((plotNumber) => !plotNumber)) {
+      return { valid: false, message: "Every new plot needs a plot number" };
+    }
+    if (new Set(plotNumbers.map((plotNumber) => plotNumber.toLowerCase())).size !== plotNumbers.length) {
+      return { valid: false, message: "New plot numbers must be different from each other" };
+    }
+
+    const parentTypes = new Set(parents.map((parent) => parent.propertyType));
+    const planned = [];
+
+    for (const [i, child] of children.entries()) {
+      const plotNumber = plotNumbers[i];
+      const area = Number(child.area);
+
+      if (!Number.isFinite(area) || area <= 0) {
+        return { valid: false, message: `Plot ${plotNumber}: area must be a positive number` };
+      }
+
+      const propertyType = child.propertyType || (parentTypes.size === 1 ? parents[0].propertyType : null);
+      if (!propertyType) {
+        return { valid: false, message: `Plot ${plotNumber}: property type is required when merging plots of different types` };
+      }
+
+      let boundary;
+      let coordinates = {};
+      if (child.boundary) {
+        const validation = ParcelGeometryService.validateBoundary(child.boundary);
+        if (!validation.valid) {
+          return { valid: false, message: `Plot ${plotNumber}: ${validation.message}` };
+        }
+        boundary = validation.boundary;
+        const [longitude, latitude] = ParcelGeometryService.getCentroid(boundary);
+        coordinates = { latitude, longitude };
+      }
+
+      planned.push({
+        plotNumber,
+        area,
+        propertyType,
+        location: {
+          kebele: child.location?.kebele || parents[0].location.kebele,
+          subCity: child.location?.subCity || parents[0].location.subCity,
+          ...(boundary && { coordinates }),
+        },
+        ...(boundary && { boundary }),
+      });
+    }
+
+    const parentArea = sum(parents.map((parent) => parent.area));
+    const childArea = sum(planned.map((child) => child.area));
+    if (!addsUp(parentArea, childArea)) {
+      return {
+        valid: false,
+        message: `New plot areas must add up to ${parentArea} sq m; they add up to ${childArea} sq m`,
+      };
+    }
+
+    const geometry =
+      operation === "subdivide"
+        ? this.checkSubdivisionGeometry(parents[0], planned)
+        : this.checkMergeGeometry(parents, planned[0]);
+
+    return geometry.valid ? { valid: true, children: planned } : geometry;
+  }
+
+  /**
+   * The new plots of a subdivision must tile the parent boundary
+   * @returns {Object} { valid: true } or { valid: false, message }
+   */
+  static checkSubdivisionGeometry(parent, children) {
+    const drawn = children.filter((child) => child.boundary);
+
+    if (parent.boundary && drawn.length !== children.length) {
+      return { valid: false, message: "Every new plot needs a boundary because the parent plot has one" };
+    }
+
+    for (let i = 0; i < drawn.length; i++) {
+      for (let j = i + 1; j < drawn.length; j++) {
+        if (ParcelGeometryService.polygonsOverlap(drawn[i].boundary, drawn[j].boundary)) {
+          return {
+            valid: false,
+            message: `Plots ${drawn[i].plotNumber} and ${drawn[j].plotNumber} overlap`,
+          };
+        }
+      }
+    }
+
+    if (!parent.boundary) {
+      return { valid: true };
+    }
+
+    const outside = drawn.filter((child) => !ParcelGeometryService.polygonContains(parent.boundary, child.boundary));
+    if (outside.length > 0) {
+      return {
+        valid: false,
+        message: `New plots must lie within the boundary of plot ${parent.plotNumber}: ${plots(outside)}`,
+      };
+    }
+
+    const parentArea = ParcelGeometryService.getArea(parent.boundary);
+    const childArea = sum(drawn.map((child) => ParcelGeometryService.getArea(child.boundary)));
+    if (!addsUp(parentArea, childArea)) {
+      return {
+        valid: false,
+        message: `New plot boundaries must cover the whole of plot ${parent.plotNumber}`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * A merged plot must be drawn around neighbouring parents
+   * @returns {Object} { valid: true } or { valid: false, message }
+   */
+  static checkMergeGeometry(parents, child) {
+    const drawn = parents.filter((parent) => parent.boundary);
+
+    if (drawn.length > 1 && !isConnected(drawn.map((parent) => parent.boundary))) {
+      return { valid: false, message: "Only neighbouring plots can be merged" };
+    }
+
+    if (!child.boundary) {
+      return drawn.length === parents.length
+        ? { valid: false, message: "The merged plot needs a boundary because the parent plots have one" }
+        : { valid: true };
+    }
+
+    const outside = drawn.filter((parent) => !ParcelGeometryService.polygonContains(child.boundary, parent.boundary));
+    if (outside.length > 0) {
+      return {
+        valid: false,
+        message: `The merged plot boundary must contain plot ${plots(outside)}`,
+      };
+    }
+
+    if (drawn.length === parents.length) {
+      const parentArea = sum(drawn.map((parent) => ParcelGeometryService.getArea(parent.boundary)));
+      if (!addsUp(parentArea, ParcelGeometryService.getArea(child.boundary))) {
+        return { valid: false, message: "The merged plot boundary must match the boundaries of the parent plots" };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Whether anything outstanding on the parent plots blocks the change
+   * @param {string} operation - subdivide or merge
+   * @param {Array} parents - Parent properties
+   * @param {Object} options - { session, excludeChangeId } to skip the change being approved
+   * @returns {Object} { blocked: false, warnings } or { blocked: true, message, warnings }
+   */
+  static async checkBlockers(operation, parents, { session, excludeChangeId } = {}) {
+    const warnings = [];
+
+    for (const parent of parents) {
+      const encumbranceCheck = await EncumbranceService.checkProperty(parent._id, operation, { session });
+      warnings.push(...encumbranceCheck.warnings);
+      if (encumbranceCheck.blocked) {
+        return { blocked: true, message: `Plot ${parent.plotNumber}: ${encumbranceCheck.message}`, warnings };
+      }
+
+      const disputes = await Dispute.countDocuments({
+        property: parent._id,
+        status: { $in: ACTIVE_DISPUTE_STATUSES },
+      }).session(session || null);
+      if (disputes > 0) {
+        return { blocked: true, message: `Plot ${parent.plotNumber} has an open dispute`, warnings };
+      }
+
+      const transfer = await PropertyTransfer.exists({
+        property: parent._id,
+        status: { $in: ACTIVE_TRANSFER_STATUSES },
+      }).session(session || null);
+      if (transfer) {
+        return { blocked: true, message: `Plot ${parent.plotNumber} has a transfer in progress`, warnings };
+      }
+
+      const otherChange = await ParcelChange.exists({
+        parents: parent._id,
+        status: "pending",
+        ...(excludeChangeId && { _id: { $ne: excludeChangeId } }),
+      }).session(session || null);
+      if (otherChange) {
+        return {
+          blocked: true,
+          message: `Plot ${parent.plotNumber} already has a subdivision or merge in progress`,
+          warnings,
+        };
+      }
+    }
+
+    return { blocked: false, message: null, warnings };
+  }
+
+  /**
+   * Plot numbers among the planned plots that are already registered
+   * @param {Array} children - Planned plots
+   * @param {Object} options - { session }
+   * @returns {Array} Plot numbers in use
+   */
+  static async findTakenPlotNumbers(children, { session } = {}) {
+    const taken = await Property.find({ plotNumber: { $in: children.map((child) => child.plotNumber) } })
+      .select("plotNumber")
+      .session(session || null);
+
+    return taken.map((property) => property.plotNumber);
+  }
+
+  /**
+   * Apply to subdivide or merge plots
+   * @param {Object} data - { operation, parentIds, children, reason }
+   * @param {Object} user - Owner applying
+   * @returns {Object} { success, parcelChange, warnings } or { success: false, statusCode, message }
+   */
+  static async submit({ operation, parentIds, children, reason }, user) {
+    const uniqueIds = [...new Set(parentIds.map(String))];
+    const parents = await Property.find({ _id: { $in: uniqueIds } });
+
+    if (parents.length !== uniqueIds.length) {
+      return { success: false, statusCode: 404, message: "Property not found" };
+    }
+
+    const parentCheck = this.checkParents(operation, parents, user._id);
+    if (!parentCheck.valid) {
+      return { success: false, statusCode: parentCheck.statusCode, message: parentCheck.message };
+    }
+
+    const plan = this.validatePlan(operation, parents, children);
+    if (!plan.valid) {
+      return { success: false, statusCode: 400, message: plan.message };
+    }
+
+    const taken = await this.findTakenPlotNumbers(plan.children);
+    if (taken.length > 0) {
+      return { success: false, statusCode: 400, message: `Plot numbers already registered: ${taken.join(", ")}` };
+    }
+
+    const blockers = await this.checkBlockers(operation, parents);
+    if (blockers.blocked) {
+      return { success: false, statusCode: 409, message: blockers.message };
+    }
+
+    const submissionDate = new Date();
+    const calculation = await PaymentCalculationService.calculateParcelChangeFee(
+      operation,
+      operation === "subdivide" ? plan.children.length : parents.length,
+      { applicationDate: submissionDate }
+    );
+
+    const notes = `Application: ${describeChange(operation, parents, plan.children).toLowerCase()}`;
+
+    const parcelChange = await ParcelChange.create({
+      operation,
+      owner: user._id,
+      parents: parents.map((parent) => parent._id),
+      children: plan.children,
+      reason,
+      submissionDate,
+      fee: {
+        amount: calculation.summary.totalAmount,
+        feeScheduleVersion: calculation.feeSchedule.version,
+      },
+      timeline: [
+        {
+          action: operation === "subdivide" ? "Subdivision requested" : "Merge requested",
+          performedBy: user._id,
+          performedByRole: user.role,
+          notes,
+        },
+      ],
+    });
+
+    await WorkflowService.logCreated("parcelChange", parcelChange, {
+      user,
+      logAction: "parcel_change_submitted",
+      notes,
+      metadata: { operation, fee: calculation.summary.totalAmount, warnings: blockers.warnings },
+    });
+
+    return { success: true, parcelChange, warnings: blockers.warnings };
+  }
+
+  /**
+   * The fee the owner can pay now
+   * @param {Object} change - Parcel change
+   * @param {Object} user - Paying user
+   * @returns {Object} { success, amount } or { success: false, statusCode, message }
+   */
+  static getPayableFee(change, user) {
+    if (idOf(change.owner) !== idOf(user)) {
+      return { success: false, statusCode: 403, message: "Not authorized to pay the fee for this parcel change" };
+    }
+
+    if (change.status !== "pending") {
+      return { success: false, statusCode: 400, message: `Fees cannot be paid for a parcel change that is ${change.status}` };
+    }
+
+    if (change.fee.status !== "pending" || !(change.fee.amount > 0)) {
+      return { success: false, statusCode: 400, message: "The fee for this parcel change is already paid or waived" };
+    }
+
+    return { success: true, amount: change.fee.amount };
+  }
+
+  /**
+   * Mark the fee a completed parcel_change_fee payment covers as paid
+   * A fee that is already paid or waived is left alone, so recording a payment twice is harmless
+   * @param {Object} payment - Completed payment with parcelChange
+   * @param {Object} options - { user } performing the update; defaults to the payer
+   * @returns {Object} { success, parcelChange } or { success: false, statusCode, message }
+   */
+  static async recordPayment(payment, { user = null } = {}) {
+    const change = await ParcelChange.findById(payment.parcelChange);
+    if (!change) {
+      return { success: false, statusCode: 404, message: "Parcel change not found" };
+    }
+
+    if (change.fee.status !== "pending") {
+      return { success: true, parcelChange: change };
+    }
+
+    Object.assign(change.fee, {
+      status: "paid",
+      payment: payment._id,
+      paymentReference: payment.receiptNumber || payment.transactionId,
+      paidAt: payment.completedDate || new Date(),
+    });
+
+    const performedBy = user?._id || payment.user;
+    const notes = `Parcel change fee paid - ${payment.amount} ${payment.currency}`;
+
+    change.timeline.push({ action: "Parcel change fee paid", performedBy, performedByRole: user?.role || "user", notes });
+    change.lastUpdated = new Date();
+    await change.save();
+
+    await ApplicationLog.create({
+      property: change.parents[0],
+      user: change.owner,
+      action: "parcel_change_fee_paid",
+      status: change.status,
+      performedBy,
+      performedByRole: user?.role || "user",
+      notes,
+      metadata: { parcelChangeId: change._id, paymentId: payment._id },
+    });
+
+    return { success: true, parcelChange: change };
+  }
+
+  /**
+   * Waive the fee of a pending parcel change
+   * @param {Object} change - Parcel change document
+   * @param {string} reason - Why the fee is waived
+   * @param {Object} user - Land officer or admin granting the waiver
+   * @returns {Object} { success, parcelChange } or { success: false, statusCode, message }
+   */
+  static async waiveFee(change, reason, user) {
+    if (change.status !== "pending") {
+      return { success: false, statusCode: 400, message: `Fees cannot be waived for a parcel change that is ${change.status}` };
+    }
+
+    if (change.fee.status !== "pending") {
+      return { success: false, statusCode: 400, message: `The parcel change fee is already ${change.fee.status}` };
+    }
+
+    Object.assign(change.fee, {
+      status: "waived",
+      waivedBy: user._id,
+      waivedAt: new Date(),
+      waiverReason: reason,
+    });
+
+    const notes = `Parcel change fee of ${change.fee.amount} ETB waived: ${reason}`;
+
+    change.timeline.push({ action: "Parcel change fee waived", performedBy: user._id, performedByRole: user.role, notes });
+    change.lastUpdated = new Date();
+    await change.save();
+
+    await ApplicationLog.create({
+      property: change.parents[0],
+      user: change.owner,
+      action: "parcel_change_fee_waived",
+      status: change.status,
+      performedBy: user._id,
+      performedByRole: user.role,
+      notes,
+      metadata: { parcelChangeId: change._id, amount: change.fee.amount, reason },
+    });
+
+    return { success: true, parcelChange: change };
+  }
+
+  /**
+   * Approve a parcel change: register the new plots and retire the parents
+   * @param {string} changeId - Parcel change ID
+   * @param {Object} user - Land officer or admin approving
+   * @param {string} notes - Review notes
+   * @returns {Object} { success, parcelChange, properties, certificates } or { success: false, statusCode, message }
+   */
+  static async approve(changeId, user, notes) {
+    const result = await runInTransaction((session) => this.applyChange(changeId, user, notes, session));
+
+    if (result.success) {
+      const owner = await User.findById(result.parcelChange.owner).select("fullName email phoneNumber");
+      if (owner) {
+        await NotificationService.sendParcelChangeDecisionNotification(
+          result.parcelChange,
+          result.parents,
+          owner,
+          "approved",
+          notes
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Transaction body of approve
+   * @param {string} changeId - Parcel change ID
+   * @param {Object} user - Land officer or admin approving
+   * @param {string} notes - Review notes
+   * @param {Object} session - Mongoose client session
+   */
+  static async applyChange(changeId, user, notes, session) {
+    const change = await ParcelChange.findById(changeId).session(session);
+    if (!change) {
+      return { success: false, statusCode: 404, message: "Parcel change not found" };
+    }
+
+    const workflowError = WorkflowService.check("parcelChange", change, "approve", { user });
+    if (workflowError) {
+      return { success: false, ...workflowError };
+    }
+
+    const parents = await Property.find({ _id: { $in: change.parents } }).session(session);
+    if (parents.length !== change.parents.length) {
+      return { success: false, statusCode: 404, message: "A parent plot no longer exists" };
+    }
+
+    const parentCheck = this.checkParents(change.operation, parents, change.owner);
+    if (!parentCheck.valid) {
+      return { success: false, statusCode: 409, message: parentCheck.message };
+    }
+
+    const plan = this.validatePlan(
+      change.operation,
+      parents,
+      change.children.map((child) => child.toObject())
+    );
+    if (!plan.valid) {
+      return { success: false, statusCode: 409, message: plan.message };
+    }
+
+    const blockers = await this.checkBlockers(change.operation, parents, { session, excludeChangeId: change._id });
+    if (blockers.blocked) {
+      return { success: false, statusCode: 409, message: blockers.message };
+    }
+
+    const taken = await this.findTakenPlotNumbers(plan.children, { session });
+    if (taken.length > 0) {
+      return { success: false, statusCode: 409, message: `Plot numbers already registered: ${taken.join(", ")}` };
+    }
+
+    const summary = describeChange(change.operation, parents, plan.children);
+    const carried = await Encumbrance.find({ property: { $in: change.parents }, status: "active" }).session(session);
+    const now = new Date();
+
+    // Register the new plots
+    const properties = [];
+    for (const planned of plan.children) {
+      const [property] = await Property.create(
+        [
+          {
+            ...planned,
+            owner: change.owner,
+            status: "approved",
+            documentsValidated: true,
+            paymentCompleted: true,
+            registrationDate: now,
+            reviewedBy: user._id,
+            reviewNotes: summary,
+            hasActiveEncumbrance: carried.length > 0,
+            lineage: { parents: change.parents, createdByChange: change._id },
+          },
+        ],
+        { session }
+      );
+
+      await WorkflowService.logCreated("property", property, {
+        user,
+        logAction: "parcel_created",
+        notes: summary,
+        metadata: { parcelChangeId: change._id },
+        session,
+      });
+
+      properties.push(property);
+    }
+
+    // Non-blocking encumbrances (leases, easements) continue on every new plot
+    if (carried.length > 0) {
+      await Encumbrance.create(
+        properties.flatMap((property) =>
+          carried.map((encumbrance) => {
+            const parent = parents.find((candidate) => idOf(candidate) === idOf(encumbrance.property));
+            const { _id, property: parentId, createdAt, updatedAt, __v, ...fields } = encumbrance.toObject();
+            return {
+              ...fields,
+              property: property._id,
+              description: [fields.description, `Carried over from plot ${parent.plotNumber}`].filter(Boolean).join(". "),
+            };
+          })
+        ),
+        { session, ordered: true }
+      );
+
+      await Encumbrance.updateMany(
+        { _id: { $in: carried.map((encumbrance) => encumbrance._id) } },
+        { status: "released", releaseDate: now, releasedBy: user._id, releaseReason: `${summary}; carried over to the new plots` },
+        { session }
+      );
+    }
+
+    // Retire the parents; the retire transition revokes their certificates
+    for (const parent of parents) {
+      parent.lineage.children = properties.map((property) => property._id);
+      parent.lineage.retiredByChange = change._id;
+      parent.hasActiveEncumbrance = false;
+
+      const retired = await WorkflowService.transition("property", parent, "retire", {
+        user,
+        session,
+        notes: summary,
+        metadata: { parcelChangeId: change._id },
+      });
+
+      if (!retired.success) {
+        // Throwing aborts the transaction so the new plots above are rolled back
+        throw new Error(retired.message);
+      }
+    }
+
+    const certificates = [];
+    for (const property of properties) {
+      certificates.push(
+        await CertificateService.issueCertificate(property._id, {
+          reason: change.operation === "subdivide" ? "subdivision" : "merge",
+          issuedBy: user,
+          session,
+        })
+      );
+    }
+
+    change.children.forEach((child, i) => {
+      child.property = properties[i]._id;
+    });
+
+    const result = await WorkflowService.transition("parcelChange", change, "approve", {
+      user,
+      session,
+      notes,
+      metadata: {
+        operation: change.operation,
+        children: properties.map((property) => property._id),
+        certificateNumbers: certificates.map((certificate) => certificate.certificateNumber),
+      },
+    });
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    return { success: true, parcelChange: change, parents, properties, certificates };
+  }
+
+  /**
+   * Reject a pending parcel change and tell the owner
+   * @param {Object} change - Parcel change document
+   * @param {Object} user - Land officer or admin rejecting
+   * @param {string} reason - Why it was rejected
+   * @returns {Object} Result of WorkflowService.transition
+   */
+  static async reject(change, user, reason) {
+    const result = await WorkflowService.transition("parcelChange", change, "reject", { user, notes: reason });
+
+    if (result.success) {
+      const [owner, parents] = await Promise.all([
+        User.findById(change.owner).select("fullName email phoneNumber"),
+        Property.find({ _id: { $in: change.parents } }).select("plotNumber"),
+      ]);
+      if (owner) {
+        await NotificationService.sendParcelChangeDecisionNotification(change, parents, owner, "rejected", reason);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Plots a plot came from and the plots that replaced it
+   * @param {string} propertyId - Property ID
+   * @returns {Object} { success, property, parents, children, changes } or { success: false, statusCode, message }
+   */
+  static async getLineage(propertyId) {
+    const property = await Property.findById(propertyId).select("plotNumber status owner lineage");
+    if (!property) {
+      return { success: false, statusCode: 404, message: "Property not found" };
+    }
+
+    const fields = "plotNumber status area propertyType location.subCity location.kebele";
+    const [parents, children, changes] = await Promise.all([
+      Property.find({ _id: { $in: property.lineage?.parents || [] } }).select(fields),
+      Property.find({ _id: { $in: property.lineage?.children || [] } }).select(fields),
+      ParcelChange.find({
+        $or: [{ parents: property._id }, { "children.property": property._id }],
+      })
+        .select("operation status submissionDate reviewDate children.plotNumber fee.status")
+        .sort({ submissionDate: -1 }),
+    ]);
+
+    return { success: true, property, parents, children, changes };
+  }
+}
+
+export default ParcelChangeService;
@@ -0,0 +1,332 @@
+/**
+ * Parcel Geometry Service
+ * Validates GeoJSON parcel boundaries and finds the approved parcels a boundary overlaps.
+ *
+ * Parcels are small enough to treat longitude/latitude as planar coordinates. MongoDB's
+ * $geoIntersects narrows the candidates, but it also matches neighbours that only share an
+ * edge or corner, so each candidate is re-checked for overlapping interiors.
+ */
+
+import Property from "../models/Property.js";
+
+// Upper bound on boundary vertices, keeping the pairwise edge checks cheap
+export const MAX_BOUNDARY_VERTICES = 500;
+
+// Orientation values closer to zero than this are treated as collinear (roughly 0.1m x 0.1m)
+const EPSILON = 1e-12;
+
+const orientation = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+
+const sign = (value) => (Math.abs(value) < EPSILON ? 0 : Math.sign(value));
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Coordinates this close are treated as the same position (roughly 0.1mm), absorbing rounding in shared vertices
+const COORDINATE_TOLERANCE = 1e-9;
+
+// Whether r lies on the segment p-q, given that the three points are collinear
+const withinSegment = (p, q, r) =>
+  Math.min(p[0], q[0]) - COORDINATE_TOLERANCE <= r[0] && r[0] <= Math.max(p[0], q[0]) + COORDINATE_TOLERANCE &&
+  Math.min(p[1], q[1]) - COORDINATE_TOLERANCE <= r[1] && r[1] <= Math.max(p[1], q[1]) + COORDINATE_TOLERANCE;
+
+const onSegment = (p, q, r) => sign(orientation(p, q, r)) === 0 && withinSegment(p, q, r);
+
+// Segments p1-p2 and q1-q2 share at least one point
+const segmentsIntersect = (p1, p2, q1, q2) => {
+  const o1 = sign(orientation(p1, p2, q1));
+  const o2 = sign(orientation(p1, p2, q2));
+  const o3 = sign(orientation(q1, q2, p1));
+  const o4 = sign(orientation(q1, q2, p2));
+
+  if (o1 !== o2 && o3 !== o4) return true;
+
+  return (
+    (o1 === 0 && withinSegment(p1, p2, q1)) ||
+    (o2 === 0 && withinSegment(p1, p2, q2)) ||
+    (o3 === 0 && withinSegment(q1, q2, p1)) ||
+    (o4 === 0 && withinSegment(q1, q2, p2))
+  );
+};
+
+// Segments cross each other at a single point inside both, not just touch
+const segmentsCross = (p1, p2, q1, q2) => {
+  const o1 = sign(orientation(p1, p2, q1));
+  const o2 = sign(orientation(p1, p2, q2));
+  const o3 = sign(orientation(q1, q2, p1));
+  const o4 = sign(orientation(q1, q2, p2));
+
+  return o1 * o2 < 0 && o3 * o4 < 0;
+};
+
+const edges = (ring) => ring.slice(0, -1).map((position, i) => [position, ring[i + 1]]);
+
+// Point strictly inside a closed ring; points on the boundary are outside
+const insideRing = (point, ring) => {
+  if (edges(ring).some(([a, b]) => onSegment(a, b, point))) {
+    return false;
+  }
+
+  let inside = false;
+  for (const [a, b] of edges(ring)) {
+    if ((a[1] > point[1]) !== (b[1] > point[1])) {
+      const x = a[0] + ((point[1] - a[1]) / (b[1] - a[1])) * (b[0] - a[0]);
+      if (point[0] < x) inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Whether part of the segment p-q runs through the interior of a ring. The segment is cut at the ring's
+// vertices lying on it, so overlaps along shared or collinear edges are found without a proper crossing
+const segmentEntersRing = (p, q, ring) => {
+  const length = (q[0] - p[0]) ** 2 + (q[1] - p[1]) ** 2;
+  const cuts = ring
+    .filter((position) => onSegment(p, q, position))
+    .map((position) => ((position[0] - p[0]) * (q[0] - p[0]) + (position[1] - p[1]) * (q[1] - p[1])) / length);
+  const stops = [0, ...cuts, 1].sort((a, b) => a - b);
+
+  return stops.slice(1).some((t, i) => {
+    const middle = (stops[i] + t) / 2;
+    return insideRing([p[0] + (q[0] - p[0]) * middle, p[1] + (q[1] - p[1]) * middle], ring);
+  });
+};
+
+// Shift a ring so its first position is the origin, avoiding precision loss on large coordinates
+const localRing = (ring) => ring.map((position) => [position[0] - ring[0][0], position[1] - ring[0][1]]);
+
+const signedArea = (ring) =>
+  edges(localRing(ring)).reduce((sum, [a, b]) => sum + (a[0] * b[1] - b[0] * a[1]), 0) / 2;
+
+class ParcelGeometryService {
+  /**
+   * Validate and normalize a GeoJSON polygon boundary
+   * The ring is closed if needed, repeated vertices are dropped and the ring is wound counter-clockwise
+   * @param {Object} boundary - GeoJSON Polygon with a single [longitude, latitude] ring
+   * @returns {Object} { valid: true, boundary } or { valid: false, message }
+   */
+  static validateBoundary(boundary) {
+    if (!boundary || boundary.type !== "Polygon" || !Array.isArray(boundary.coordinates)) {
+      return { valid: false, message: "Boundary must be a GeoJSON Polygon" };
+    }
+
+    if (boundary.coordinates.length !== 1 || !Array.isArray(boundary.coordinates[0])) {
+      return { valid: false, message: "Boundary must be a single ring without holes" };
+    }
+
+    const positions = boundary.coordinates[0];
+    const validPosition = (position) =>
+      Array.isArray(position) &&
+      position.length === 2 &&
+      position.every((value) => typeof value === "number" && Number.isFinite(value)) &&
+      Math.abs(position[0]) <= 180 &&
+      Math.abs(position[1]) <= 90;
+
+    if (!positions.every(validPosition)) {
+      return { valid: false, message: "Boundary positions must be [longitude, latitude] pairs" };
+    }
+
+    const vertices = positions.filter((position, i) => i === 0 || !samePosition(position, positions[i - 1]));
+    if (vertices.length > 1 && samePosition(vertices[0], vertices[vertices.length - 1])) {
+      vertices.pop();
+    }
+
+    if (vertices.length < 3) {
+      return { valid: false, message: "Boundary must have at least 3 distinct vertices" };
+    }
+
+    if (vertices.length > MAX_BOUNDARY_VERTICES) {
+      return { valid: false, message: `Boundary cannot have more than ${MAX_BOUNDARY_VERTICES} vertices` };
+    }
+
+    let ring = [...vertices, vertices[0]];
+
+    if (this.isSelfIntersecting(ring)) {
+      return { valid: false, message: "Boundary must not intersect itself" };
+    }
+
+    if (sign(signedArea(ring)) === 0) {
+      return { valid: false, message: "Boundary must enclose an area" };
+    }
+
+    if (signedArea(ring) < 0) {
+      ring = ring.reverse();
+    }
+
+    return { valid: true, boundary: { type: "Polygon", coordinates: [ring] } };
+  }
+
+  /**
+   * Whether a closed ring crosses or touches itself anywhere other than at the joints of consecutive edges
+   * @param {Array} ring - Closed ring of [longitude, latitude] positions
+   * @returns {boolean}
+   */
+  static isSelfIntersecting(ring) {
+    const ringEdges = edges(ring);
+    const count = ringEdges.length;
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const [p1, p2] = ringEdges[i];
+        const [q1, q2] = ringEdges[j];
+        const adjacent = j === i + 1 || (i === 0 && j === count - 1);
+
+        if (!adjacent) {
+          if (segmentsIntersect(p1, p2, q1, q2)) return true;
+          continue;
+        }
+
+        // Consecutive edges share a vertex; they must not fold back over each other
+        const [before, shared, after] = j === i + 1 ? [p1, p2, q2] : [q1, p1, p2];
+        if (sign(orientation(before, shared, after)) === 0 && !withinSegment(before, after, shared)) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether the interiors of two polygons overlap; touching edges or corners do not count
+   * @param {Object} a - GeoJSON Polygon
+   * @param {Object} b - GeoJSON Polygon
+   * @returns {boolean}
+   */
+  static polygonsOverlap(a, b) {
+    const ringA = a.coordinates[0];
+    const ringB = b.coordinates[0];
+
+    const crossing = edges(ringA).some(([p1, p2]) => edges(ringB).some(([q1, q2]) => segmentsCross(p1, p2, q1, q2)));
+    if (crossing) return true;
+
+    if (ringA.some((position) => insideRing(position, ringB))) return true;
+    if (ringB.some((position) => insideRing(position, ringA))) return true;
+
+    // Parcels overlapping along collinear edges have no crossing and no vertex strictly inside the other
+    if (edges(ringA).some(([p, q]) => segmentEntersRing(p, q, ringB))) return true;
+    if (edges(ringB).some(([p, q]) => segmentEntersRing(p, q, ringA))) return true;
+
+    // Identical or nested parcels drawn on the same vertices have no vertex strictly inside the other
+    return insideRing(this.getCentroid(a), ringB) || insideRing(this.getCentroid(b), ringA);
+  }
+
+  /**
+   * Whether one polygon lies inside another; shared edges and corners are allowed
+   * @param {Object} outer - GeoJSON Polygon
+   * @param {Object} inner - GeoJSON Polygon
+   * @returns {boolean}
+   */
+  static polygonContains(outer, inner) {
+    const outerRing = outer.coordinates[0];
+    const innerRing = inner.coordinates[0];
+    const onOuterEdge = (position) => edges(outerRing).some(([a, b]) => onSegment(a, b, position));
+
+    if (!innerRing.every((position) => onOuterEdge(position) || insideRing(position, outerRing))) {
+      return false;
+    }
+
+    const crossing = edges(innerRing).some(([p1, p2]) =>
+      edges(outerRing).some(([q1, q2]) => segmentsCross(p1, p2, q1, q2))
+    );
+    if (crossing) return false;
+
+    // An edge between two boundary vertices can still cut across a notch of a concave outer ring
+    return edges(innerRing).every(([a, b]) => {
+      const midpoint = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      return onOuterEdge(midpoint) || insideRing(midpoint, outerRing);
+    });
+  }
+
+  /**
+   * Whether two polygons touch or overlap anywhere, including along an edge or at a corner
+   * @param {Object} a - GeoJSON Polygon
+   * @param {Object} b - GeoJSON Polygon
+   * @returns {boolean}
+   */
+  static polygonsTouch(a, b) {
+    const ringA = a.coordinates[0];
+    const ringB = b.coordinates[0];
+
+    return (
+      edges(ringA).some(([p1, p2]) => edges(ringB).some(([q1, q2]) => segmentsIntersect(p1, p2, q1, q2))) ||
+      this.polygonsOverlap(a, b)
+    );
+  }
+
+  /**
+   * Planar area of a polygon in square degrees, for comparing parcels with each other
+   * @param {Object} boundary - GeoJSON Polygon
+   * @returns {number}
+   */
+  static getArea(boundary) {
+    return Math.abs(signedArea(boundary.coordinates[0]));
+  }
+
+  /**
+   * Area-weighted centroid of a polygon
+   * @param {Object} boundary - GeoJSON Polygon
+   * @returns {Array} [longitude, latitude]
+   */
+  static getCentroid(boundary) {
+    const ring = boundary.coordinates[0];
+    const area = signedArea(ring);
+    let x = 0;
+    let y = 0;
+
+    for (const [a, b] of edges(localRing(ring))) {
+      const cross = a[0] * b[1] - b[0] * a[1];
+      x += (a[0] + b[0]) * cross;
+      y += (a[1] + b[1]) * cross;
+    }
+
+    return [ring[0][0] + x / (6 * area), ring[0][1] + y / (6 * area)];
+  }
+
+  /**
+   * Approved parcels whose interiors overlap a boundary
+   * @param {Object} boundary - Validated GeoJSON Polygon
+   * @param {Object} options - { excludePropertyId } to skip the parcel being edited
+   * @returns {Array} [{ property, plotNumber }]
+   */
+  static async findOverlaps(boundary, { excludePropertyId } = {}) {
+    const query = {
+      status: "approved",
+      boundary: { $geoIntersects: { $geometry: boundary } },
+    };
+
+    if (excludePropertyId) {
+      query._id = { $ne: excludePropertyId };
+    }
+
+    const candidates = await Property.find(query).select("plotNumber boundary");
+
+    return candidates
+      .filter((candidate) => this.polygonsOverlap(boundary, candidate.boundary))
+      .map((candidate) => ({ property: candidate._id, plotNumber: candidate.plotNumber }));
+  }
+
+  /**
+   * Validate a submitted boundary and work out the fields to store with it
+   * @param {Object} boundary - Submitted GeoJSON Polygon
+   * @param {Object} options - { excludePropertyId }
+   * @returns {Object} { success: true, boundary, coordinates, overlaps } or { success: false, statusCode, message }
+   */
+  static async prepareBoundary(boundary, { excludePropertyId } = {}) {
+    const validation = this.validateBoundary(boundary);
+    if (!validation.valid) {
+      return { success: false, statusCode: 400, message: validation.message };
+    }
+
+    const [longitude, latitude] = this.getCentroid(validation.boundary);
+
+    return {
+      success: true,
+      boundary: validation.boundary,
+      coordinates: { latitude, longitude },
+      overlaps: await this.findOverlaps(validation.boundary, { excludePropertyId }),
+    };
+  }
+}
+
+export default ParcelGeometryService;
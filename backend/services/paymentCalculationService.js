@@ -1,10 +1,18 @@
 /**
  * Payment Calculation Service
  * Handles fee calculations for property registration based on Ethiopian land registry standards
+ * Fees come from versioned fee schedules; each calculation uses the schedule in force on the application date
  */
 
-// Fee structure configuration for Ethiopian property registration
-const FEE_STRUCTURE = {
+import mongoose from "mongoose";
+import FeeSchedule from "../models/FeeSchedule.js";
+
+// Initial fee schedule for Ethiopian property registration (version 1)
+// Used to seed the FeeSchedule collection and as the fallback when the database is unavailable
+export const DEFAULT_FEE_SCHEDULE = {
+  version: 1,
+  effectiveFrom: new Date(0),
+
   // Base registration fees by property type (in ETB)
   baseFees: {
     residential: {
@@ -53,6 +61,30 @@ const FEE_STRUCTURE = {
     registration: 0.02, // 2% registration tax
     stamp: 0.005, // 0.5% stamp duty
   },
+
+  // Ownership transfer fees
+  transfer: {
+    taxRate: 0.03, // 3% transfer tax
+    processingFee: 300, // Higher processing fee for transfers
+  },
+
+  // Subdivision and merge fees: processing fee plus a fee per plot created (subdivide) or merged (merge)
+  parcelChange: {
+    subdivide: {
+      processingFee: 800,
+      perParcelFee: 250,
+    },
+    merge: {
+      processingFee: 600,
+      perParcelFee: 150,
+    },
+  },
+
+  // Flat service fees
+  serviceFees: {
+    documentVerificationFee: 100,
+    certificateIssueFee: 200,
+  },
   
   // Location-based multipliers
   locationMultipliers: {
@@ -76,15 +108,231 @@ const FEE_STRUCTURE = {
   },
 };
 
+// Schedule rates an admin can change besides the flat fees kept in settings
+// (processingFee, serviceFees and transfer.processingFee follow the fee settings)
+export const FEE_SCHEDULE_RATE_FIELDS = [
+  'baseFees',
+  'areaMultipliers',
+  'taxRates',
+  'transfer',
+  'parcelChange',
+  'locationMultipliers',
+  'discounts',
+];
+
+// Saving a version retries this often when another save takes the same version number
+const MAX_VERSION_ATTEMPTS = 5;
+
+const PROPERTY_TYPES = ['residential', 'commercial', 'industrial', 'agricultural'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check an object of rates: only the given keys (any when omitted), each a number within [min, max]
+const checkRates = (errors, path, value, { keys, min = 0, max = Infinity } = {}) => {
+  if (!isPlainObject(value)) {
+    errors.push({ path, msg: `${path} must be an object` });
+    return;
+  }
+
+  for (const [key, rate] of Object.entries(value)) {
+    if (keys && !keys.includes(key)) {
+      errors.push({ path: `${path}.${key}`, msg: `${path}.${key} is not a known rate` });
+    } else if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < min || rate > max) {
+      const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+      errors.push({ path: `${path}.${key}`, msg: `${path}.${key} must be a number ${range}` });
+    }
+  }
+};
+
+// Check rates grouped one level deep, e.g. base fees by property type and then urban/rural
+const checkGroupedRates = (errors, path, value, groups, keys) => {
+  if (!isPlainObject(value)) {
+    errors.push({ path, msg: `${path} must be an object` });
+    return;
+  }
+
+  for (const [group, rates] of Object.entries(value)) {
+    if (!groups.includes(group)) {
+      errors.push({ path: `${path}.${group}`, msg: `${path}.${group} is not a known rate` });
+    } else {
+      checkRates(errors, `${path}.${group}`, rates, { keys });
+    }
+  }
+};
+
+// Merge grouped rates one level deep, so a change to one rate keeps the others of its group
+const mergeGroupedRates = (current = {}, changes = {}) => Object.fromEntries(
+  [...new Set([...Object.keys(current), ...Object.keys(changes)])].map((group) => [
+    group,
+    { ...current[group], ...changes[group] },
+  ])
+);
+
 class PaymentCalculationService {
+  /**
+   * Get the fee schedule in force on a date
+   * Seeds version 1 from DEFAULT_FEE_SCHEDULE the first time the collection is empty
+   * @param {Date} date - Date the fees apply to
+   * @returns {Object} Fee schedule
+   */
+  static async getFeeSchedule(date = new Date()) {
+    if (mongoose.connection.readyState !== 1) {
+      return DEFAULT_FEE_SCHEDULE;
+    }
+
+    const schedule = await FeeSchedule.findOne({ effectiveFrom: { $lte: date } })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean();
+
+    if (schedule) {
+      return schedule;
+    }
+
+    await this.ensureDefaultFeeSchedule();
+
+    return FeeSchedule.findOne({ effectiveFrom: { $lte: date } })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean();
+  }
+
+  /**
+   * Create version 1 from the default schedule if it does not exist yet
+   */
+  static async ensureDefaultFeeSchedule() {
+    await FeeSchedule.updateOne(
+      { version: DEFAULT_FEE_SCHEDULE.version },
+      { $setOnInsert: { ...DEFAULT_FEE_SCHEDULE, notes: 'Initial fee schedule' } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Check rate changes for a new fee schedule version
+   * Changes may be partial: { baseFees: { commercial: { urban: 6000 } } } changes one rate
+   * @param {Object} changes - Rate fields (see FEE_SCHEDULE_RATE_FIELDS)
+   * @returns {Object[]} Errors as { path, msg }, empty when valid
+   */
+  static validateFeeScheduleChanges(changes = {}) {
+    const errors = [];
+    const check = (field, validate) => {
+      if (changes[field] !== undefined) validate(changes[field]);
+    };
+
+    check('baseFees', (value) => checkGroupedRates(errors, 'baseFees', value, PROPERTY_TYPES, ['urban', 'rural']));
+    check('areaMultipliers', (value) => checkGroupedRates(errors, 'areaMultipliers', value, PROPERTY_TYPES, ['urban', 'rural']));
+    check('taxRates', (value) => checkRates(errors, 'taxRates', value, { keys: ['registration', 'stamp'], max: 1 }));
+    check('transfer', (value) => checkRates(errors, 'transfer', value, { keys: ['taxRate'], max: 1 }));
+    check('parcelChange', (value) => checkGroupedRates(errors, 'parcelChange', value, ['subdivide', 'merge'], ['processingFee', 'perParcelFee']));
+    check('locationMultipliers', (value) => checkRates(errors, 'locationMultipliers', value));
+    check('discounts', (value) => checkRates(errors, 'discounts', value, { max: 1 }));
+
+    return errors;
+  }
+
+  /**
+   * Apply changes to a schedule's fees and rates; partial changes keep the other rates
+   * @param {Object} current - Fee schedule
+   * @param {Object} changes - Fields to change (processingFee, serviceFees, transfer and the rate fields)
+   * @returns {Object} Fees and rates of the changed schedule
+   */
+  static mergeFeeSchedule(current, changes = {}) {
+    return {
+      baseFees: mergeGroupedRates(current.baseFees, changes.baseFees),
+      areaMultipliers: mergeGroupedRates(current.areaMultipliers, changes.areaMultipliers),
+      processingFee: changes.processingFee ?? current.processingFee,
+      taxRates: { ...current.taxRates, ...changes.taxRates },
+      transfer: { ...current.transfer, ...changes.transfer },
+      parcelChange: mergeGroupedRates(
+        mergeGroupedRates(DEFAULT_FEE_SCHEDULE.parcelChange, current.parcelChange),
+        changes.parcelChange
+      ),
+      serviceFees: { ...current.serviceFees, ...changes.serviceFees },
+      locationMultipliers: { ...current.locationMultipliers, ...changes.locationMultipliers },
+      discounts: { ...current.discounts, ...changes.discounts },
+    };
+  }
+
+  /**
+   * Whether changes would change any fee or rate of a schedule
+   * @param {Object} current - Fee schedule
+   * @param {Object} changes - Fields to change (see mergeFeeSchedule)
+   */
+  static changesFeeSchedule(current, changes) {
+    const before = this.mergeFeeSchedule(current);
+    const after = this.mergeFeeSchedule(current, changes);
+
+    return JSON.stringify(after) !== JSON.stringify(before);
+  }
+
+  /**
+   * Create a new fee schedule version from the latest version with some values changed
+   * Version numbers are unique, so a save that loses the race for a number re-reads the latest version and retries
+   * @param {Object} changes - Fields to change (see mergeFeeSchedule)
+   * @param {Object} options - { effectiveFrom, notes, user }
+   * @returns {Object} New fee schedule
+   */
+  static async createFeeScheduleVersion(changes, { effectiveFrom = new Date(), notes, user } = {}) {
+    await this.ensureDefaultFeeSchedule();
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await FeeSchedule.findOne({}).sort({ version: -1 }).lean();
+
+      try {
+        return await FeeSchedule.create({
+          ...this.mergeFeeSchedule(latest, changes),
+          version: latest.version + 1,
+          effectiveFrom,
+          notes,
+          createdBy: user?._id,
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * List all fee schedule versions, newest first
+   */
+  static async listFeeSchedules() {
+    if (mongoose.connection.readyState !== 1) {
+      return [DEFAULT_FEE_SCHEDULE];
+    }
+
+    await this.ensureDefaultFeeSchedule();
+
+    return FeeSchedule.find({})
+      .populate('createdBy', 'fullName email')
+      .sort({ version: -1 })
+      .lean();
+  }
+
+  /**
+   * Reference to the schedule that priced a calculation, stored on payments
+   * @param {Object} schedule - Fee schedule
+   */
+  static describeFeeSchedule(schedule) {
+    return {
+      id: schedule._id || null,
+      version: schedule.version,
+      effectiveFrom: schedule.effectiveFrom,
+    };
+  }
+
   /**
    * Calculate total registration fee for a property
    * @param {Object} property - Property object with type, area, location
    * @param {Object} user - User object for discount eligibility
-   * @param {Object} options - Additional calculation options
+   * @param {Object} options - Additional calculation options (applicationDate, feeSchedule, discount flags)
    * @returns {Object} Fee breakdown and total
    */
-  static calculateRegistrationFee(property, user = null, options = {}) {
+  static async calculateRegistrationFee(property, user = null, options = {}) {
+    // Price the application with the schedule in force when it was submitted
+    const applicationDate = options.applicationDate || property.registrationDate || property.createdAt || new Date();
+    const schedule = options.feeSchedule || await this.getFeeSchedule(applicationDate);
+
     try {
       const { propertyType, area, location } = property;
       const { subCity } = location;
@@ -95,7 +343,7 @@ class PaymentCalculationService {
       
       // SIMPLIFIED PAYMENT STRUCTURE: Fixed fee between 500-600 ETB
       // Use the fixed processing fee as the total amount
-      const processingFee = FEE_STRUCTURE.processingFee;
+      const processingFee = schedule.processingFee;
 
       // No additional taxes or calculations - keep it simple
       const registrationTax = 0;
@@ -106,7 +354,7 @@ class PaymentCalculationService {
       const totalBeforeDiscount = processingFee;
 
       // Apply discounts (optional)
-      const discountAmount = this.calculateDiscounts(totalBeforeDiscount, user, options);
+      const discountAmount = this.calculateDiscounts(totalBeforeDiscount, user, options, schedule.discounts);
 
       // Final total
       const totalAmount = Math.max(0, totalBeforeDiscount - discountAmount);
@@ -132,6 +380,7 @@ class PaymentCalculationService {
           discountAmount,
           totalAmount,
         },
+        feeSchedule: this.describeFeeSchedule(schedule),
         currency: 'ETB',
         calculatedAt: new Date(),
       };
@@ -145,15 +394,18 @@ class PaymentCalculationService {
    * Calculate transfer fee for property ownership transfer
    * @param {Object} property - Property object
    * @param {number} transferValue - Declared transfer value
-   * @param {Object} options - Transfer options
+   * @param {Object} options - Transfer options (applicationDate, feeSchedule)
    * @returns {Object} Transfer fee breakdown
    */
-  static calculateTransferFee(property, transferValue, options = {}) {
-    const transferTaxRate = 0.03; // 3% transfer tax
-    const processingFee = 300; // Higher processing fee for transfers
+  static async calculateTransferFee(property, transferValue, options = {}) {
+    const applicationDate = options.applicationDate || new Date();
+    const schedule = options.feeSchedule || await this.getFeeSchedule(applicationDate);
+
+    const transferTaxRate = schedule.transfer.taxRate;
+    const processingFee = schedule.transfer.processingFee;
     
     const transferTax = transferValue * transferTaxRate;
-    const stampDuty = transferValue * FEE_STRUCTURE.taxRates.stamp;
+    const stampDuty = transferValue * schedule.taxRates.stamp;
     const totalAmount = transferTax + stampDuty + processingFee;
     
     return {
@@ -171,11 +423,50 @@ class PaymentCalculationService {
         discountAmount: 0,
         totalAmount,
       },
+      feeSchedule: this.describeFeeSchedule(schedule),
       currency: 'ETB',
       calculatedAt: new Date(),
     };
   }
   
+  /**
+   * Calculate the fee for subdividing a plot or merging plots
+   * Schedules created before parcel change fees existed are priced with the default rates
+   * @param {string} operation - subdivide or merge
+   * @param {number} parcelCount - Plots created by a subdivision, or plots joined by a merge
+   * @param {Object} options - Options (applicationDate, feeSchedule)
+   * @returns {Object} Parcel change fee breakdown
+   */
+  static async calculateParcelChangeFee(operation, parcelCount, options = {}) {
+    const applicationDate = options.applicationDate || new Date();
+    const schedule = options.feeSchedule || await this.getFeeSchedule(applicationDate);
+
+    const rates = schedule.parcelChange?.[operation] || DEFAULT_FEE_SCHEDULE.parcelChange[operation];
+    const processingFee = rates.processingFee;
+    const parcelFee = rates.perParcelFee * parcelCount;
+    const totalAmount = processingFee + parcelFee;
+
+    return {
+      breakdown: {
+        operation,
+        parcelCount,
+        parcelFee,
+        processingFee,
+        totalAmount,
+      },
+      summary: {
+        baseFee: parcelFee,
+        processingFee,
+        taxAmount: 0,
+        discountAmount: 0,
+        totalAmount,
+      },
+      feeSchedule: this.describeFeeSchedule(schedule),
+      currency: 'ETB',
+      calculatedAt: new Date(),
+    };
+  }
+
   /**
    * Determine if a location is urban or rural
    * @param {string} subCity - Sub-city name
@@ -209,18 +500,19 @@ class PaymentCalculationService {
   /**
    * Get location multiplier based on city/region
    * @param {string} subCity - Sub-city name
+   * @param {Object} locationMultipliers - Multipliers from the fee schedule
    * @returns {number} Location multiplier
    */
-  static getLocationMultiplier(subCity) {
+  static getLocationMultiplier(subCity, locationMultipliers = DEFAULT_FEE_SCHEDULE.locationMultipliers) {
     const subCityLower = subCity.toLowerCase();
     
-    for (const [location, multiplier] of Object.entries(FEE_STRUCTURE.locationMultipliers)) {
+    for (const [location, multiplier] of Object.entries(locationMultipliers)) {
       if (location !== 'default' && subCityLower.includes(location.toLowerCase())) {
         return multiplier;
       }
     }
     
-    return FEE_STRUCTURE.locationMultipliers.default;
+    return locationMultipliers.default || 1.0;
   }
   
   /**
@@ -228,26 +520,27 @@ class PaymentCalculationService {
    * @param {number} amount - Amount before discount
    * @param {Object} user - User object
    * @param {Object} options - Discount options
+   * @param {Object} discounts - Discount rates from the fee schedule
    * @returns {number} Total discount amount
    */
-  static calculateDiscounts(amount, user, options = {}) {
+  static calculateDiscounts(amount, user, options = {}, discounts = DEFAULT_FEE_SCHEDULE.discounts) {
     let totalDiscountRate = 0;
     
     // Apply user-based discounts (these would be determined by additional user profile data)
     if (options.isFirstTimeOwner) {
-      totalDiscountRate += FEE_STRUCTURE.discounts.firstTimeOwner;
+      totalDiscountRate += discounts.firstTimeOwner;
     }
     
     if (options.isVeteran) {
-      totalDiscountRate += FEE_STRUCTURE.discounts.veteran;
+      totalDiscountRate += discounts.veteran;
     }
     
     if (options.hasDisability) {
-      totalDiscountRate += FEE_STRUCTURE.discounts.disability;
+      totalDiscountRate += discounts.disability;
     }
     
     if (options.isLowIncome) {
-      totalDiscountRate += FEE_STRUCTURE.discounts.lowIncome;
+      totalDiscountRate += discounts.lowIncome;
     }
     
     // Cap total discount at 50%
@@ -258,10 +551,11 @@ class PaymentCalculationService {
   
   /**
    * Get fee structure for display purposes
-   * @returns {Object} Current fee structure
+   * @param {Date} date - Date the fees apply to
+   * @returns {Object} Fee schedule in force on the date
    */
-  static getFeeStructure() {
-    return { ...FEE_STRUCTURE };
+  static async getFeeStructure(date = new Date()) {
+    return { ...(await this.getFeeSchedule(date)) };
   }
   
   /**
@@ -0,0 +1,186 @@
+/**
+ * Receipt Service
+ * Renders official PDF payment receipts and verifies them through the public receipt verification route
+ * Each receipt carries a short verification code signed with the server secret, so a printed receipt
+ * cannot be altered or invented without the check failing
+ */
+
+import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+
+const AUTHORITY_NAME = "Ethiopian Land Registry Authority";
+
+const signingSecret = () => process.env.RECEIPT_SIGNING_SECRET || process.env.JWT_SECRET || "";
+
+const formatAmount = (amount, currency = "ETB") =>
+  `${Number(amount || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace("T", " ").slice(0, 16) + " UTC" : "-");
+
+const humanize = (value) => (value ? value.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()) : "-");
+
+class ReceiptService {
+  /**
+   * Short verification code for a receipt, e.g. "3F9A1-C07BE"
+   * Derived from the receipt number, payment id and amount so any of them changing invalidates it
+   * @param {Object} payment - Payment document
+   * @returns {string}
+   */
+  static getVerificationCode(payment) {
+    const digest = crypto
+      .createHmac("sha256", signingSecret())
+      .update(`${payment.receiptNumber}|${payment._id}|${payment.amount}|${payment.currency}`)
+      .digest("hex")
+      .slice(0, 10)
+      .toUpperCase();
+
+    return `${digest.slice(0, 5)}-${digest.slice(5)}`;
+  }
+
+  /**
+   * Check a submitted verification code, ignoring case and the separator
+   * @param {Object} payment - Payment document
+   * @param {string} code - Code printed on the receipt
+   * @returns {boolean}
+   */
+  static isValidVerificationCode(payment, code) {
+    const normalise = (value) => String(value || "").replace(/[^a-z0-9]/gi, "").toUpperCase();
+    const expected = Buffer.from(normalise(this.getVerificationCode(payment)));
+    const submitted = Buffer.from(normalise(code));
+
+    return submitted.length === expected.length && crypto.timingSafeEqual(submitted, expected);
+  }
+
+  /**
+   * Public verification URL encoded in the receipt QR code
+   * @param {Object} payment - Payment document
+   * @param {string} baseUrl - API origin, e.g. https://api.example.com
+   * @returns {string}
+   */
+  static getVerificationUrl(payment, baseUrl) {
+    const code = encodeURIComponent(this.getVerificationCode(payment));
+    return `${baseUrl}/api/payments/receipts/${encodeURIComponent(payment.receiptNumber)}/verify?code=${code}`;
+  }
+
+  /**
+   * Details safe to show to anyone holding the receipt; the payer name is masked
+   * @param {Object} payment - Payment populated with property and user
+   */
+  static getPublicReceiptDetails(payment) {
+    const maskName = (name = "") =>
+      name
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((part) => `${part.charAt(0)}${"*".repeat(Math.max(part.length - 1, 2))}`)
+        .join(" ");
+
+    return {
+      receiptNumber: payment.receiptNumber,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentType: payment.paymentType,
+      paymentMethod: payment.paymentMethod,
+      paymentDate: payment.completedDate || payment.paymentDate,
+      feeScheduleVersion: payment.feeScheduleVersion,
+      property: {
+        plotNumber: payment.property?.plotNumber,
+        subCity: payment.property?.location?.subCity,
+      },
+      payer: maskName(payment.user?.fullName),
+      issuedBy: AUTHORITY_NAME,
+    };
+  }
+
+  /**
+   * Write the receipt PDF for a completed payment
+   * @param {Object} payment - Payment populated with property and user
+   * @param {Stream} stream - Writable stream
+   * @param {Object} options - { verificationUrl }
+   */
+  static async writeReceiptPDF(payment, stream, { verificationUrl }) {
+    const qrCode = await QRCode.toBuffer(verificationUrl, { type: "png", margin: 1, width: 240 });
+    const verificationCode = this.getVerificationCode(payment);
+    const breakdown = payment.feeBreakdown || {};
+    const property = payment.property || {};
+    const payer = payment.user || {};
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Receipt ${payment.receiptNumber}` } });
+
+      stream.on("finish", resolve);
+      stream.on("error", reject);
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(18).font("Helvetica-Bold").text(AUTHORITY_NAME, { align: "center" });
+      doc.fontSize(13).font("Helvetica").text("Official Payment Receipt", { align: "center" });
+      doc.moveDown(1.5);
+
+      // Receipt details on the left, QR code on the right
+      const top = doc.y;
+      doc.image(qrCode, doc.page.width - 50 - 120, top, { fit: [120, 120] });
+
+      const field = (label, value) => {
+        doc.font("Helvetica-Bold").fontSize(10).text(`${label}: `, { continued: true, width: 330 });
+        doc.font("Helvetica").text(value === undefined || value === null || value === "" ? "-" : String(value));
+      };
+
+      field("Receipt Number", payment.receiptNumber);
+      field("Payment Date", formatDate(payment.completedDate || payment.paymentDate));
+      field("Transaction ID", payment.transactionId);
+      field("Payment Method", humanize(payment.paymentMethod));
+      field("Payment Type", humanize(payment.paymentType));
+      field("Fee Schedule", payment.feeScheduleVersion ? `Version ${payment.feeScheduleVersion}` : undefined);
+
+      doc.y = Math.max(doc.y, top + 130);
+      doc.moveDown();
+
+      const heading = (text) => {
+        doc.moveDown(0.5);
+        doc.font("Helvetica-Bold").fontSize(12).text(text);
+        doc.moveDown(0.25);
+      };
+
+      heading("Payer");
+      field("Name", payer.fullName);
+      field("National ID", payer.nationalId);
+      field("Phone", payer.phoneNumber);
+      field("Email", payer.email);
+
+      heading("Property");
+      field("Plot Number", property.plotNumber);
+      field("Location", property.location ? `${property.location.subCity}, Kebele ${property.location.kebele}` : undefined);
+      field("Property Type", humanize(property.propertyType));
+      field("Area", property.area ? `${property.area} sq. meters` : undefined);
+
+      heading("Fee Breakdown");
+      doc.font("Helvetica").fontSize(10).table({
+        columnStyles: [300, 150],
+        rowStyles: (index) => (index === 0 ? { backgroundColor: "#e5e7eb" } : {}),
+        data: [
+          ["Item", "Amount"],
+          ["Base fee", formatAmount(breakdown.baseFee, payment.currency)],
+          ["Processing fee", formatAmount(breakdown.processingFee, payment.currency)],
+          ["Tax", formatAmount(breakdown.taxAmount, payment.currency)],
+          ["Discount", `-${formatAmount(breakdown.discountAmount, payment.currency)}`],
+          ["Total paid", formatAmount(payment.amount, payment.currency)],
+        ],
+      });
+
+      // Verification
+      doc.moveDown(1.5);
+      doc.font("Helvetica-Bold").fontSize(11).text(`Verification code: ${verificationCode}`);
+      doc.font("Helvetica").fontSize(9).fillColor("#555555");
+      doc.text("Scan the QR code or open the address below to confirm this receipt with the registry:");
+      doc.fillColor("#1d4ed8").text(verificationUrl, { link: verificationUrl });
+      doc.fillColor("#555555").moveDown();
+      doc.text(`Issued by ${AUTHORITY_NAME}. Generated ${formatDate(new Date())}.`);
+
+      doc.end();
+    });
+  }
+}
+
+export default ReceiptService;
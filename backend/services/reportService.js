@@ -0,0 +1,575 @@
+/**
+ * Report Service
+ * Builds the downloadable reports behind /api/reports/:reportType/download
+ * Every report is a list of tabular sections so the same data can be written as CSV, XLSX or PDF
+ */
+
+import User from "../models/User.js";
+import Property from "../models/Property.js";
+import Document from "../models/Document.js";
+import Payment from "../models/Payment.js";
+
+// Report types that can be downloaded, matching the JSON report routes
+export const REPORT_TYPES = {
+  "dashboard-stats": "Dashboard Statistics",
+  properties: "Property Report",
+  users: "User Report",
+  documents: "Document Report",
+  payments: "Payment Report",
+  "land-officer": "Land Officer Activity Report",
+  applications: "Application Report",
+  summary: "Summary Report",
+};
+
+// Upper bound on detail rows so a single download cannot exhaust memory
+const MAX_REPORT_ROWS = 5000;
+
+const TIMEFRAME_DAYS = {
+  week: 7,
+  month: 30,
+  year: 365,
+};
+
+// Two-column layout used for metric sections
+const METRIC_COLUMNS = [
+  { key: "metric", label: "Metric" },
+  { key: "value", label: "Value" },
+];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split("T")[0] : "");
+
+const metricRows = (metrics) => Object.entries(metrics).map(([metric, value]) => ({ metric, value }));
+
+// Turn a $group result into { key: count } with every expected key present
+const countBy = (groups, keys = []) => {
+  const counts = Object.fromEntries(keys.map((key) => [key, 0]));
+  groups.forEach(({ _id, count }) => {
+    counts[_id ?? "unknown"] = count;
+  });
+  return counts;
+};
+
+class ReportService {
+  /**
+   * Normalise the report filters from a query string
+   * An explicit startDate/endDate wins over the timeframe shortcut used by the JSON routes
+   * @param {Object} query - { startDate, endDate, timeframe, subCity }
+   * @returns {Object} { startDate, endDate, subCity }
+   */
+  static parseFilters(query = {}) {
+    const filters = {
+      startDate: null,
+      endDate: null,
+      subCity: query.subCity ? String(query.subCity).trim() : null,
+    };
+
+    if (query.startDate) {
+      filters.startDate = new Date(query.startDate);
+    } else if (TIMEFRAME_DAYS[query.timeframe]) {
+      filters.startDate = new Date(Date.now() - TIMEFRAME_DAYS[query.timeframe] * 24 * 60 * 60 * 1000);
+    }
+
+    if (query.endDate) {
+      filters.endDate = new Date(query.endDate);
+
+      // A bare date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.endDate)) {
+        filters.endDate.setUTCHours(23, 59, 59, 999);
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build a date condition for the given filters, or undefined when no range applies
+   * @param {Object} filters - Parsed report filters
+   */
+  static dateRange({ startDate, endDate }) {
+    if (!startDate && !endDate) return undefined;
+
+    const range = {};
+    if (startDate) range.$gte = startDate;
+    if (endDate) range.$lte = endDate;
+    return range;
+  }
+
+  /**
+   * Property query for the filters; the date range applies to the registration (creation) date
+   * @param {Object} filters - Parsed report filters
+   */
+  static propertyQuery(filters) {
+    const query = {};
+    const createdAt = this.dateRange(filters);
+
+    if (createdAt) query.createdAt = createdAt;
+    if (filters.subCity) query["location.subCity"] = filters.subCity;
+
+    return query;
+  }
+
+  /**
+   * Restrict a query on a collection with a property reference to properties in the sub-city
+   * @param {Object} query - Query to extend
+   * @param {Object} filters - Parsed report filters
+   */
+  static async scopeToSubCity(query, filters) {
+    if (filters.subCity) {
+      const propertyIds = await Property.find({ "location.subCity": filters.subCity }).distinct("_id");
+      query.property = { $in: propertyIds };
+    }
+    return query;
+  }
+
+  /**
+   * Build a report
+   * @param {string} reportType - One of REPORT_TYPES
+   * @param {Object} filters - Parsed report filters
+   * @returns {Object} { reportType, title, generatedAt, filters, sections: [{ title, columns, rows }] }
+   */
+  static async buildReport(reportType, filters) {
+    const builders = {
+      "dashboard-stats": this.buildDashboardSections,
+      properties: this.buildPropertySections,
+      users: this.buildUserSections,
+      documents: this.buildDocumentSections,
+      payments: this.buildPaymentSections,
+      "land-officer": this.buildLandOfficerSections,
+      applications: this.buildApplicationSections,
+      summary: this.buildSummarySections,
+    };
+
+    const sections = await builders[reportType].call(this, filters);
+
+    return {
+      reportType,
+      title: REPORT_TYPES[reportType],
+      generatedAt: new Date(),
+      filters,
+      sections,
+    };
+  }
+
+  static async buildDashboardSections(filters) {
+    const documentQuery = await this.scopeToSubCity({}, filters);
+    const uploadDate = this.dateRange(filters);
+    if (uploadDate) documentQuery.uploadDate = uploadDate;
+
+    const [propertyGroups, documentGroups] = await Promise.all([
+      Property.aggregate([{ $match: this.propertyQuery(filters) }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+      Document.aggregate([{ $match: documentQuery }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const properties = countBy(propertyGroups, ["pending", "approved", "rejected"]);
+    const documents = countBy(documentGroups, ["pending", "verified", "rejected"]);
+    const total = (counts) => Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    return [
+      {
+        title: "Properties",
+        columns: METRIC_COLUMNS,
+        rows: metricRows({
+          Total: total(properties),
+          Pending: properties.pending,
+          Approved: properties.approved,
+          Rejected: properties.rejected,
+        }),
+      },
+      {
+        title: "Documents",
+        columns: METRIC_COLUMNS,
+        rows: metricRows({
+          Total: total(documents),
+          Pending: documents.pending,
+          Verified: documents.verified,
+          Rejected: documents.rejected,
+        }),
+      },
+    ];
+  }
+
+  static async buildPropertySections(filters) {
+    const query = this.propertyQuery(filters);
+
+    const [properties, total] = await Promise.all([
+      Property.find(query)
+        .populate("owner", "fullName email")
+        .sort({ createdAt: -1 })
+        .limit(MAX_REPORT_ROWS)
+        .lean(),
+      Property.countDocuments(query),
+    ]);
+
+    const [byStatus, byType, areaTotals] = await Promise.all([
+      Property.aggregate([{ $match: query }, { $group: { _id: "$status", count: { $sum: 1 } } }, { $sort: { _id: 1 } }]),
+      Property.aggregate([{ $match: query }, { $group: { _id: "$propertyType", count: { $sum: 1 } } }, { $sort: { _id: 1 } }]),
+      Property.aggregate([{ $match: query }, { $group: { _id: null, totalArea: { $sum: "$area" } } }]),
+    ]);
+
+    return [
+      {
+        title: "Overview",
+        columns: METRIC_COLUMNS,
+        rows: metricRows({
+          "Total Properties": total,
+          "Total Area (sq. meters)": areaTotals[0]?.totalArea || 0,
+          ...Object.fromEntries(byStatus.map(({ _id, count }) => [`Status: ${_id}`, count])),
+          ...Object.fromEntries(byType.map(({ _id, count }) => [`Type: ${_id}`, count])),
+        }),
+      },
+      {
+        title: "Properties",
+        columns: [
+          { key: "plotNumber", label: "Plot Number" },
+          { key: "subCity", label: "Sub-City" },
+          { key: "kebele", label: "Kebele" },
+          { key: "propertyType", label: "Type" },
+          { key: "area", label: "Area (sq. m)" },
+          { key: "status", label: "Status" },
+          { key: "owner", label: "Owner" },
+          { key: "registrationDate", label: "Registered" },
+        ],
+        rows: properties.map((property) => ({
+          plotNumber: property.plotNumber,
+          subCity: property.location?.subCity,
+          kebele: property.location?.kebele,
+          propertyType: property.propertyType,
+          area: property.area,
+          status: property.status,
+          owner: property.owner?.fullName || "",
+          registrationDate: formatDate(property.registrationDate || property.createdAt),
+        })),
+      },
+    ];
+  }
+
+  /**
+   * With a sub-city filter only users who own property in that sub-city are included
+   */
+  static async buildUserSections(filters) {
+    const query = {};
+    const createdAt = this.dateRange(filters);
+
+    if (createdAt) query.createdAt = createdAt;
+    if (filters.subCity) {
+      const ownerIds = await Property.find({ "location.subCity": filters.subCity }).distinct("owner");
+      query._id = { $in: ownerIds };
+    }
+
+    const [users, byRole] = await Promise.all([
+      User.find(query)
+        .select("fullName email phoneNumber role createdAt")
+        .sort({ createdAt: -1 })
+        .limit(MAX_REPORT_ROWS)
+        .lean(),
+      User.aggregate([{ $match: query }, { $group: { _id: "$role", count: { $sum: 1 } } }]),
+    ]);
+
+    const roles = countBy(byRole, ["admin", "landOfficer", "user"]);
+
+    return [
+      {
+        title: "Overview",
+        columns: METRIC_COLUMNS,
+        rows: metricRows({
+          "Total Users": roles.admin + roles.landOfficer + roles.user,
+          Administrators: roles.admin,
+          "Land Officers": roles.landOfficer,
+          "Regular Users": roles.user,
+        }),
+      },
+      {
+        title: "Users",
+        columns: [
+          { key: "fullName", label: "Full Name" },
+          { key: "email", label: "Email" },
+          { key: "phoneNumber", label: "Phone" },
+          { key: "role", label: "Role" },
+          { key: "createdAt", label: "Joined" },
+        ],
+        rows: users.map((user) => ({
+          fullName: user.fullName,
+          email: user.email,
+          phoneNumber: user.phoneNumber,
+          role: user.role,
+          createdAt: formatDate(user.createdAt),
+        })),
+      },
+    ];
+  }
+
+  static async buildDocumentSections(filters) {
+    const query = await this.scopeToSubCity({}, filters);
+    const uploadDate = this.dateRange(filters);
+    if (uploadDate) query.uploadDate = uploadDate;
+
+    const [documents, byStatus, byType] = await Promise.all([
+      Document.find(query)
+        .populate("property", "plotNumber location.subCity")
+        .sort({ uploadDate: -1 })
+        .limit(MAX_REPORT_ROWS)
+        .lean(),
+      Document.aggregate([{ $match: query }, { $group: { _id: "$status", count: { $sum: 1 } } }, { $sort: { _id: 1 } }]),
+      Document.aggregate([{ $match: query }, { $group: { _id: "$documentType", count: { $sum: 1 } } }, { $sort: { _id: 1 } }]),
+    ]);
+
+    return [
+      {
+        title: "Overview",
+        columns: METRIC_COLUMNS,
+        rows: metricRows({
+          "Total Documents": byStatus.reduce((sum, { count }) => sum + count, 0),
+          ...Object.fromEntries(byStatus.map(({ _id, count }) => [`Status: ${_id}`, count])),
+          ...Object.fromEntries(byType.map(({ _id, count }) => [`Type: ${_id}`, count])),
+        }),
+      },
+      {
+        title: "Documents",
+        columns: [
+          { key: "documentName", label: "Document" },
+          { key: "documentType", label: "Type" },
+          { key: "plotNumber", label: "Plot Number" },
+          { key: "subCity", label: "Sub-City" },
+          { key: "status", label: "Status" },
+          { key: "uploadDate", label: "Uploaded" },
+          { key: "verificationDate", label: "Verified" },
+        ],
+        rows: documents.map((document) => ({
+          documentName: document.documentName,
+          documentType: document.documentType,
+          plotNumber: document.property?.plotNumber || "",
+          subCity: document.property?.location?.subCity || "",
+          status: document.status,
+          uploadDate: formatDate(document.uploadDate),
+          verificationDate: formatDate(document.verificationDate),
+        })),
+      },
+    ];
+  }
+
+  static async buildPaymentSections(filters) {
+    const query = await this.scopeToSubCity({}, filters);
+    const paymentDate = this.dateRange(filters);
+    if (paymentDate) query.paymentDate = paymentDate;
+
+    const [payments, byStatus, byMethod] = await Promise.all([
+      Payment.find(query)
+        .populate("property", "plotNumber location.subCity")
+        .populate("user", "fullName")
+        .sort({ paymentDate: -1 })
+        .limit(MAX_REPORT_ROWS)
+        .lean(),
+      Payment.aggregate([
+        { $match: query },
+        { $group: { _id: "$status", count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+        { $sort: { _id: 1 } },
+      ]),
+      Payment.aggregate([
+        { $match: { ...query, status: "completed" } },
+        { $group: { _id: "$paymentMethod", count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    const completed = byStatus.find(({ _id }) => _id === "completed");
+
+    return [
+      {
+        title: "Overview",
+        columns: METRIC_COLUMNS,
+        rows: metricRows({
+          "Total Payments": byStatus.reduce((sum, { count }) => sum + count, 0),
+          "Total Revenue (ETB)": completed?.amount || 0,
+          "Average Payment (ETB)": completed?.count ? Math.round((completed.amount / completed.count) * 100) / 100 : 0,
+          ...Object.fromEntries(byStatus.map(({ _id, count }) => [`Status: ${_id}`, count])),
+        }),
+      },
+      {
+        title: "Revenue by Payment Method",
+        columns: [
+          { key: "method", label: "Method" },
+          { key: "count", label: "Payments" },
+          { key: "amount", label: "Amount (ETB)" },
+        ],
+        rows: byMethod.map(({ _id, count, amount }) => ({ method: _id, count, amount })),
+      },
+      {
+        title: "Payments",
+        columns: [
+          { key: "reference", label: "Reference" },
+          { key: "plotNumber", label: "Plot Number" },
+          { key: "subCity", label: "Sub-City" },
+          { key: "payer", label: "Payer" },
+          { key: "paymentType", label: "Type" },
+          { key: "paymentMethod", label: "Method" },
+          { key: "amount", label: "Amount" },
+          { key: "currency", label: "Currency" },
+          { key: "status", label: "Status" },
+          { key: "paymentDate", label: "Date" },
+        ],
+        rows: payments.map((payment) => ({
+          reference: payment.receiptNumber || payment.transactionId || String(payment._id),
+          plotNumber: payment.property?.plotNumber || "",
+          subCity: payment.property?.location?.subCity || "",
+          payer: payment.user?.fullName || "",
+          paymentType: payment.paymentType,
+          paymentMethod: payment.paymentMethod,
+          amount: payment.amount,
+          currency: payment.currency,
+          status: payment.status,
+          paymentDate: formatDate(payment.paymentDate),
+        })),
+      },
+    ];
+  }
+
+  static async buildLandOfficerSections(filters) {
+    const range = this.dateRange(filters);
+    const propertyIds = filters.subCity
+      ? await Property.find({ "location.subCity": filters.subCity }).distinct("_id")
+      : null;
+
+    const documentMatch = { verifiedBy: { $exists: true, $ne: null }, status: { $in: ["verified", "rejected"] } };
+    const propertyMatch = { reviewedBy: { $exists: true, $ne: null }, status: { $in: ["approved", "rejected"] } };
+    const paymentMatch = { verifiedBy: { $exists: true, $ne: null }, status: "completed" };
+
+    if (range) {
+      documentMatch.verificationDate = range;
+      propertyMatch.lastUpdated = range;
+      paymentMatch.completedDate = range;
+    }
+    if (propertyIds) {
+      documentMatch.property = { $in: propertyIds };
+      propertyMatch._id = { $in: propertyIds };
+      paymentMatch.property = { $in: propertyIds };
+    }
+
+    const [officers, documentGroups, propertyGroups, paymentGroups] = await Promise.all([
+      User.find({ role: "landOfficer" }).select("fullName email").sort({ fullName: 1 }).lean(),
+      Document.aggregate([
+        { $match: documentMatch },
+        { $group: { _id: { officer: "$verifiedBy", status: "$status" }, count: { $sum: 1 } } },
+      ]),
+      Property.aggregate([
+        { $match: propertyMatch },
+        { $group: { _id: { officer: "$reviewedBy", status: "$status" }, count: { $sum: 1 } } },
+      ]),
+      Payment.aggregate([{ $match: paymentMatch }, { $group: { _id: "$verifiedBy", count: { $sum: 1 } } }]),
+    ]);
+
+    const lookup = (groups, officerId, status) =>
+      groups.find(({ _id }) => String(_id.officer) === String(officerId) && _id.status === status)?.count || 0;
+
+    const rows = officers.map((officer) => {
+      const row = {
+        fullName: officer.fullName,
+        email: officer.email,
+        documentsVerified: lookup(documentGroups, officer._id, "verified"),
+        documentsRejected: lookup(documentGroups, officer._id, "rejected"),
+        propertiesApproved: lookup(propertyGroups, officer._id, "approved"),
+        propertiesRejected: lookup(propertyGroups, officer._id, "rejected"),
+        paymentsVerified: paymentGroups.find(({ _id }) => String(_id) === String(officer._id))?.count || 0,
+      };
+      row.totalActivities =
+        row.documentsVerified + row.documentsRejected + row.propertiesApproved + row.propertiesRejected + row.paymentsVerified;
+      return row;
+    });
+
+    return [
+      {
+        title: "Land Officer Activity",
+        columns: [
+          { key: "fullName", label: "Land Officer" },
+          { key: "email", label: "Email" },
+          { key: "documentsVerified", label: "Documents Verified" },
+          { key: "documentsRejected", label: "Documents Rejected" },
+          { key: "propertiesApproved", label: "Properties Approved" },
+          { key: "propertiesRejected", label: "Properties Rejected" },
+          { key: "paymentsVerified", label: "Payments Verified" },
+          { key: "totalActivities", label: "Total" },
+        ],
+        rows,
+      },
+    ];
+  }
+
+  static async buildApplicationSections(filters) {
+    const query = this.propertyQuery(filters);
+
+    const [byStatus, processingTime, trend] = await Promise.all([
+      Property.aggregate([{ $match: query }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+      Property.aggregate([
+        { $match: { ...query, status: "approved" } },
+        {
+          $project: {
+            processingDays: {
+              $divide: [{ $subtract: ["$updatedAt", "$createdAt"] }, 1000 * 60 * 60 * 24],
+            },
+          },
+        },
+        { $group: { _id: null, averageProcessingTime: { $avg: "$processingDays" } } },
+      ]),
+      Property.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+            submitted: { $sum: 1 },
+            approved: { $sum: { $cond: [{ $eq: ["$status", "approved"] }, 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    const statuses = countBy(byStatus, ["approved", "rejected"]);
+    const total = Object.values(statuses).reduce((sum, count) => sum + count, 0);
+    const decided = statuses.approved + statuses.rejected;
+
+    return [
+      {
+        title: "Overview",
+        columns: METRIC_COLUMNS,
+        rows: metricRows({
+          "Total Applications": total,
+          Approved: statuses.approved,
+          Rejected: statuses.rejected,
+          "In Progress": total - decided,
+          "Approval Rate (%)": decided ? Math.round((statuses.approved / decided) * 1000) / 10 : 0,
+          "Average Processing Time (days)": Math.round((processingTime[0]?.averageProcessingTime || 0) * 10) / 10,
+        }),
+      },
+      {
+        title: "Applications by Day",
+        columns: [
+          { key: "date", label: "Date" },
+          { key: "submitted", label: "Submitted" },
+          { key: "approved", label: "Approved" },
+          { key: "rejected", label: "Rejected" },
+        ],
+        rows: trend.map(({ _id, submitted, approved, rejected }) => ({ date: _id, submitted, approved, rejected })),
+      },
+    ];
+  }
+
+  static async buildSummarySections(filters) {
+    const [dashboard, applications, payments, users] = await Promise.all([
+      this.buildDashboardSections(filters),
+      this.buildApplicationSections(filters),
+      this.buildPaymentSections(filters),
+      this.buildUserSections(filters),
+    ]);
+
+    // Reuse the overview of each report rather than repeating the queries
+    return [
+      { ...users[0], title: "Users" },
+      ...dashboard,
+      { ...applications[0], title: "Applications" },
+      { ...payments[0], title: "Payments" },
+      payments[1],
+    ];
+  }
+}
+
+export default ReportService;
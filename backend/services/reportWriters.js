@@ -0,0 +1,160 @@
+/**
+ * Report Writers
+ * Serialise reports built by ReportService as CSV, XLSX or PDF onto a writable stream
+ */
+
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+
+export const REPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split("T")[0] : "");
+
+/**
+ * Human readable lines describing the report and its filters
+ * @param {Object} report - Report from ReportService.buildReport
+ * @returns {string[]}
+ */
+export const describeReport = (report) => {
+  const { startDate, endDate, subCity } = report.filters || {};
+
+  return [
+    `Generated: ${new Date(report.generatedAt).toISOString()}`,
+    `Period: ${startDate ? formatDate(startDate) : "All time"} to ${endDate ? formatDate(endDate) : "Present"}`,
+    `Sub-City: ${subCity || "All"}`,
+  ];
+};
+
+// Quote a CSV cell and neutralise values a spreadsheet would evaluate as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a report as CSV, one block per section separated by a blank line
+ * @param {Object} report - Report from ReportService.buildReport
+ * @returns {string}
+ */
+export const toCSV = (report) => {
+  const lines = [csvCell(report.title), ...describeReport(report).map(csvCell)];
+
+  report.sections.forEach((section) => {
+    lines.push("", csvCell(section.title));
+    lines.push(section.columns.map((column) => csvCell(column.label)).join(","));
+    section.rows.forEach((row) => {
+      lines.push(section.columns.map((column) => csvCell(row[column.key])).join(","));
+    });
+  });
+
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+/**
+ * Write a report as an XLSX workbook with one worksheet per section
+ * @param {Object} report - Report from ReportService.buildReport
+ * @param {Stream} stream - Writable stream
+ */
+export const writeXLSX = async (report, stream) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date(report.generatedAt);
+
+  const info = workbook.addWorksheet("Report");
+  info.addRow([report.title]).font = { bold: true, size: 14 };
+  describeReport(report).forEach((line) => info.addRow([line]));
+  info.getColumn(1).width = 60;
+
+  report.sections.forEach((section, index) => {
+    // Worksheet names are limited to 31 characters and must be unique
+    const name = `${index + 1}. ${section.title}`.replace(/[*?:\\/[\]]/g, "-").slice(0, 31);
+    const sheet = workbook.addWorksheet(name);
+
+    sheet.columns = section.columns.map((column) => ({
+      header: column.label,
+      key: column.key,
+      width: Math.max(12, column.label.length + 4),
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(section.rows);
+  });
+
+  await workbook.xlsx.write(stream);
+};
+
+/**
+ * Write a report as a PDF with a table per section
+ * @param {Object} report - Report from ReportService.buildReport
+ * @param {Stream} stream - Writable stream
+ */
+export const writePDF = (report, stream) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40, layout: "landscape" });
+
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.pipe(stream);
+
+    doc.fontSize(18).text(report.title);
+    doc.moveDown(0.5);
+    doc.fontSize(10).fillColor("#555555");
+    describeReport(report).forEach((line) => doc.text(line));
+    doc.fillColor("#000000");
+
+    report.sections.forEach((section) => {
+      doc.moveDown();
+      doc.fontSize(13).text(section.title);
+      doc.moveDown(0.5);
+
+      if (section.rows.length === 0) {
+        doc.fontSize(10).text("No records for the selected filters.");
+        return;
+      }
+
+      doc.fontSize(8).table({
+        rowStyles: (index) => (index === 0 ? { backgroundColor: "#e5e7eb" } : {}),
+        data: [
+          section.columns.map((column) => column.label),
+          ...section.rows.map((row) =>
+            section.columns.map((column) => (row[column.key] === undefined || row[column.key] === null ? "" : String(row[column.key])))
+          ),
+        ],
+      });
+    });
+
+    doc.end();
+  });
+
+/**
+ * Write a report in the requested format
+ * @param {Object} report - Report from ReportService.buildReport
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {Stream} stream - Writable stream
+ */
+export const writeReport = async (report, format, stream) => {
+  if (format === "csv") {
+    stream.end(toCSV(report));
+    return;
+  }
+
+  if (format === "xlsx") {
+    await writeXLSX(report, stream);
+    stream.end();
+    return;
+  }
+
+  await writePDF(report, stream);
+};
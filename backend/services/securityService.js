@@ -0,0 +1,170 @@
+/**
+ * Security Service
+ * Applies the security settings admins configure: password rules and temporary
+ * lockout after repeated failed logins per account and per client IP
+ * Session lifetimes are handled by SessionService
+ */
+
+import mongoose from "mongoose";
+import LoginAttempt from "../models/LoginAttempt.js";
+import SettingsService from "./settingsService.js";
+
+// An IP may front many accounts (offices, NAT), so it gets this many times the per-account limit
+export const IP_ATTEMPT_MULTIPLIER = 5;
+
+const SPECIAL_CHARACTERS = /[!@#$%^&*]/;
+
+class SecurityService {
+  /**
+   * Get the current security settings
+   */
+  static async getPolicy() {
+    return SettingsService.getSettingsByCategory("security");
+  }
+
+  /**
+   * Check a password against the policy
+   * Mixed case is always required; length, numbers and special characters follow the settings
+   * @param {string} password - Candidate password
+   * @param {Object} policy - Security settings
+   * @returns {string[]} Unmet rules, empty when the password is acceptable
+   */
+  static validatePassword(password, policy) {
+    const errors = [];
+    const value = typeof password === "string" ? password : "";
+
+    if (value.length < policy.passwordMinLength) {
+      errors.push(`Password must be at least ${policy.passwordMinLength} characters`);
+    }
+    if (!/[a-z]/.test(value) || !/[A-Z]/.test(value)) {
+      errors.push("Password must contain at least one uppercase and one lowercase letter");
+    }
+    if (policy.passwordRequireNumber && !/\d/.test(value)) {
+      errors.push("Password must contain at least one number");
+    }
+    if (policy.passwordRequireSpecialChar && !SPECIAL_CHARACTERS.test(value)) {
+      errors.push("Password must contain at least one special character (!@#$%^&*)");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a password against the current settings
+   * @returns {Object[]} Errors in the express-validator shape used by the controllers
+   */
+  static async checkPassword(password, field = "password") {
+    const policy = await this.getPolicy();
+
+    return this.validatePassword(password, policy).map((msg) => ({ path: field, msg }));
+  }
+
+  /**
+   * Count one failed login against a counter
+   * Failures are counted over a window as long as the lockout; reaching the limit locks the
+   * key for the lockout duration and starts a fresh count. Every step is a single atomic
+   * update, so concurrent failures are all counted
+   * @param {Object} key - { scope, identifier } of the counter
+   * @param {number} limit - Failures allowed before lockout
+   * @param {number} lockoutMs - Lockout duration and counting window in milliseconds
+   * @param {Date} now - Current time
+   * @returns {Object|null} Stored counter after this failure
+   */
+  static async countFailure(key, limit, lockoutMs, now = new Date()) {
+    const windowEndsAt = new Date(now.getTime() + lockoutMs);
+
+    // Restart a window that has passed; $max keeps a longer lockout in place
+    await LoginAttempt.updateOne(
+      { ...key, windowStartedAt: { $lte: new Date(now.getTime() - lockoutMs) } },
+      { $set: { count: 0, windowStartedAt: now }, $max: { expiresAt: windowEndsAt } }
+    );
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      key,
+      { $inc: { count: 1 }, $setOnInsert: { windowStartedAt: now, expiresAt: windowEndsAt } },
+      { upsert: true, new: true }
+    ).lean();
+
+    if (attempt.count < limit) return attempt;
+
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { ...key, count: { $gte: limit } },
+      { $set: { count: 0, windowStartedAt: now, lockedUntil: windowEndsAt, expiresAt: windowEndsAt } },
+      { new: true }
+    ).lean();
+
+    // A concurrent failure that also reached the limit locked the key first
+    return locked || LoginAttempt.findOne(key).lean();
+  }
+
+  /**
+   * Seconds until every lockout among the counters has passed, 0 when none is active
+   * @param {Object[]} attempts - Stored counters
+   * @param {Date} now - Current time
+   */
+  static getRetryAfter(attempts, now = new Date()) {
+    const lockedUntil = Math.max(
+      0,
+      ...attempts.filter((attempt) => attempt?.lockedUntil).map((attempt) => new Date(attempt.lockedUntil).getTime())
+    );
+
+    return lockedUntil > now.getTime() ? Math.ceil((lockedUntil - now.getTime()) / 1000) : 0;
+  }
+
+  // Counter keys for an account and, when known, the client IP
+  static counterKeys(email, ip) {
+    const keys = [{ scope: "account", identifier: String(email || "").trim().toLowerCase() }];
+    if (ip) keys.push({ scope: "ip", identifier: ip });
+    return keys;
+  }
+
+  /**
+   * Get the active lockout for an account or client IP
+   * @param {string} email - Account being logged into
+   * @param {string} ip - Client address
+   * @returns {Object|null} { retryAfter } in seconds, or null when login may proceed
+   */
+  static async getLockout(email, ip) {
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const attempts = await LoginAttempt.find({ $or: this.counterKeys(email, ip) }).lean();
+    const retryAfter = this.getRetryAfter(attempts);
+
+    return retryAfter > 0 ? { retryAfter } : null;
+  }
+
+  /**
+   * Count a failed login against the account and the client IP
+   * @returns {Object|null} { retryAfter } when this failure triggered a lockout
+   */
+  static async recordFailedLogin(email, ip) {
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const policy = await this.getPolicy();
+    const lockoutMs = policy.lockoutDuration * 60 * 1000;
+    const limits = {
+      account: policy.maxLoginAttempts,
+      ip: policy.maxLoginAttempts * IP_ATTEMPT_MULTIPLIER,
+    };
+
+    const now = new Date();
+    const updated = await Promise.all(
+      this.counterKeys(email, ip).map((key) => this.countFailure(key, limits[key.scope], lockoutMs, now))
+    );
+
+    const retryAfter = this.getRetryAfter(updated, now);
+    return retryAfter > 0 ? { retryAfter } : null;
+  }
+
+  /**
+   * Reset the account counter after a successful login
+   * The IP counter is left to expire so one valid login cannot clear failures against other accounts
+   */
+  static async clearFailedLogins(email) {
+    if (mongoose.connection.readyState !== 1) return;
+
+    await LoginAttempt.deleteOne(this.counterKeys(email)[0]);
+  }
+}
+
+export default SecurityService;
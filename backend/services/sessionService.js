@@ -0,0 +1,288 @@
+/**
+ * Session Service
+ * Server-side login sessions: short-lived access tokens tied to a session, rotating
+ * refresh tokens stored as hashes, per-user session lists and revocation
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import SecurityService from "./securityService.js";
+
+// Access tokens are short so revocation and role changes take effect quickly even for clients that skip a lookup
+export const ACCESS_TOKEN_LIFETIME = 15 * 60;
+
+// Sessions end after this long even if the refresh token keeps being used
+export const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// A refresh token replaced this recently may still arrive from a parallel request of the same client
+export const REFRESH_REUSE_GRACE = 30 * 1000;
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message });
+
+class SessionService {
+  /**
+   * Access token lifetime in seconds, never longer than the session timeout
+   * @param {Object} policy - Security settings
+   */
+  static getAccessTokenLifetime(policy) {
+    return Math.min(ACCESS_TOKEN_LIFETIME, policy.sessionTimeout * 60);
+  }
+
+  /**
+   * When a session used at `now` expires: after the idle timeout, capped by its absolute expiry
+   * @param {Date} now - Time of use
+   * @param {Object} policy - Security settings
+   * @param {Date} absoluteExpiresAt - Hard session limit
+   */
+  static getIdleExpiry(now, policy, absoluteExpiresAt) {
+    const idleExpiry = new Date(now.getTime() + policy.sessionTimeout * 60 * 1000);
+    return idleExpiry < absoluteExpiresAt ? idleExpiry : new Date(absoluteExpiresAt);
+  }
+
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  // Refresh tokens name their session so they can be looked up without scanning hashes
+  static createRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+  }
+
+  /**
+   * Split a refresh token into its session id and secret
+   * @returns {Object|null} { sessionId } or null when malformed
+   */
+  static parseRefreshToken(token) {
+    if (typeof token !== "string") return null;
+
+    const [sessionId, secret, ...rest] = token.split(".");
+    if (rest.length > 0 || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+    return { sessionId };
+  }
+
+  /**
+   * Whether a session can still be used
+   */
+  static isActive(session, now = new Date()) {
+    return Boolean(
+      session &&
+        !session.revokedAt &&
+        new Date(session.expiresAt) > now &&
+        new Date(session.absoluteExpiresAt) > now
+    );
+  }
+
+  /**
+   * Sign an access token for a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @param {Object} policy - Security settings
+   */
+  static issueAccessToken(user, session, policy) {
+    return jwt.sign(
+      {
+        id: user._id,
+        role: user.role,
+        email: user.email,
+        fullName: user.fullName,
+        sid: session._id,
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: this.getAccessTokenLifetime(policy),
+      }
+    );
+  }
+
+  /**
+   * Open a session for a user who just authenticated
+   * @param {Object} user - User document
+   * @param {Object} client - { userAgent, ip, twoFactorVerified }
+   * @returns {Object} { token, refreshToken, expiresIn }
+   */
+  static async start(user, { userAgent, ip, twoFactorVerified = false } = {}) {
+    const policy = await SecurityService.getPolicy();
+    const now = new Date();
+    const absoluteExpiresAt = new Date(now.getTime() + SESSION_MAX_AGE);
+
+    const session = new Session({
+      user: user._id,
+      userAgent: userAgent?.slice(0, 500),
+      ip,
+      lastUsedAt: now,
+      expiresAt: this.getIdleExpiry(now, policy, absoluteExpiresAt),
+      absoluteExpiresAt,
+      ...(twoFactorVerified && { twoFactorVerifiedAt: now }),
+    });
+
+    const refreshToken = this.createRefreshToken(session._id);
+    session.tokenHash = this.hashToken(refreshToken);
+    await session.save();
+
+    return {
+      token: this.issueAccessToken(user, session, policy),
+      refreshToken,
+      expiresIn: this.getAccessTokenLifetime(policy),
+    };
+  }
+
+  /**
+   * Issue a fresh access token for an existing session without rotating its refresh token
+   */
+  static async reissue(user, session) {
+    const policy = await SecurityService.getPolicy();
+
+    return {
+      token: this.issueAccessToken(user, session, policy),
+      expiresIn: this.getAccessTokenLifetime(policy),
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token
+   * Presenting a refresh token that was already exchanged ends the session
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} client - { userAgent, ip }
+   * @returns {Object} { success, user, token, refreshToken, expiresIn } or failure
+   */
+  static async refresh(refreshToken, { userAgent, ip } = {}) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return fail(401, "Invalid refresh token");
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    const tokenHash = this.hashToken(refreshToken);
+    const now = new Date();
+
+    if (!session || session.revokedAt) {
+      return fail(401, "Session has ended. Please log in again.");
+    }
+
+    if (session.previousTokenHash === tokenHash) {
+      if (now - session.lastUsedAt <= REFRESH_REUSE_GRACE) {
+        return fail(409, "Refresh token was just replaced");
+      }
+
+      await this.revoke(session.user, session._id, "token_reuse");
+      return fail(401, "Refresh token was already used. The session has been ended.");
+    }
+
+    if (session.tokenHash !== tokenHash) {
+      return fail(401, "Invalid refresh token");
+    }
+
+    if (!this.isActive(session, now)) {
+      return fail(401, "Session expired. Please log in again.");
+    }
+
+    const user = await User.findById(session.user).select("-password");
+    if (!user) {
+      await this.revoke(session.user, session._id, "user_deleted");
+      return fail(401, "Session has ended. Please log in again.");
+    }
+
+    const policy = await SecurityService.getPolicy();
+    const nextRefreshToken = this.createRefreshToken(session._id);
+
+    // Only the request holding the current token can rotate it
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: this.hashToken(nextRefreshToken),
+          previousTokenHash: tokenHash,
+          lastUsedAt: now,
+          expiresAt: this.getIdleExpiry(now, policy, session.absoluteExpiresAt),
+          ...(userAgent && { userAgent: userAgent.slice(0, 500) }),
+          ...(ip && { ip }),
+        },
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      return fail(409, "Refresh token was just replaced");
+    }
+
+    return {
+      success: true,
+      user,
+      token: this.issueAccessToken(user, rotated, policy),
+      refreshToken: nextRefreshToken,
+      expiresIn: this.getAccessTokenLifetime(policy),
+    };
+  }
+
+  /**
+   * Get a session if it belongs to the user and is still active
+   */
+  static async getActiveSession(sessionId, userId) {
+    if (!mongoose.isValidObjectId(sessionId)) return null;
+
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+    return this.isActive(session) ? session : null;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User
+   * @param {string} currentSessionId - Session making the request, flagged as current
+   */
+  static async listSessions(userId, currentSessionId) {
+    const now = new Date();
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      absoluteExpiresAt: { $gt: now },
+    })
+      .select("-tokenHash -previousTokenHash")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map((session) => ({
+      ...session,
+      current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+    }));
+  }
+
+  /**
+   * End one session of a user
+   * @returns {boolean} Whether an active session was ended
+   */
+  static async revoke(userId, sessionId, reason, revokedBy) {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason, ...(revokedBy && { revokedBy }) } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * End every session of a user, optionally keeping one
+   * @param {string} userId - User
+   * @param {string} reason - Revoke reason
+   * @param {Object} options - { revokedBy, exceptSessionId }
+   * @returns {number} Sessions ended
+   */
+  static async revokeAll(userId, reason, { revokedBy, exceptSessionId } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason, ...(revokedBy && { revokedBy }) },
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,249 @@
+/**
+ * Settings Service
+ * Reads system settings from the Setting collection and records every change in the setting history
+ */
+
+import mongoose from "mongoose";
+import Setting from "../models/Setting.js";
+import SettingHistory from "../models/SettingHistory.js";
+import { SETTING_DEFINITIONS, DEFAULT_SETTINGS } from "../config/systemSettings.js";
+
+// Settings are cached briefly per instance so hot paths do not query on every call
+const CACHE_TTL = 30 * 1000;
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+class SettingsService {
+  /**
+   * Coerce and validate a single setting value against its definition
+   * @param {string} key - Setting key
+   * @param {*} rawValue - Submitted value
+   * @returns {Object} { value } or { error }
+   */
+  static validateSettingValue(key, rawValue) {
+    const definition = SETTING_DEFINITIONS[key];
+
+    if (!definition) {
+      return { error: `Unknown setting: ${key}` };
+    }
+
+    let value = rawValue;
+
+    if (definition.type === "number") {
+      value = typeof rawValue === "string" && rawValue.trim() !== "" ? Number(rawValue) : rawValue;
+
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        return { error: `${key} must be a number` };
+      }
+      if (definition.integer && !Number.isInteger(value)) {
+        return { error: `${key} must be a whole number` };
+      }
+      if (definition.min !== undefined && value < definition.min) {
+        return { error: `${key} must be at least ${definition.min}` };
+      }
+      if (definition.max !== undefined && value > definition.max) {
+        return { error: `${key} must be at most ${definition.max}` };
+      }
+    }
+
+    if (definition.type === "boolean") {
+      if (rawValue === "true" || rawValue === "false") {
+        value = rawValue === "true";
+      }
+
+      if (typeof value !== "boolean") {
+        return { error: `${key} must be true or false` };
+      }
+    }
+
+    if (definition.type === "string") {
+      if (typeof value !== "string") {
+        return { error: `${key} must be text` };
+      }
+
+      value = value.trim();
+
+      if (definition.minLength !== undefined && value.length < definition.minLength) {
+        return { error: `${key} is required` };
+      }
+      if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+        return { error: `${key} must be at most ${definition.maxLength} characters` };
+      }
+      if (definition.pattern && !definition.pattern.test(value)) {
+        return { error: `${key} has an invalid format` };
+      }
+    }
+
+    return { value };
+  }
+
+  /**
+   * Validate a set of updates for one settings category
+   * Keys outside the category are ignored, matching the per-category settings routes
+   * @param {Object} updates - Submitted key/value pairs
+   * @param {string} category - Settings category
+   * @returns {Object} { values, errors }
+   */
+  static validateSettings(updates = {}, category) {
+    const values = {};
+    const errors = [];
+
+    Object.entries(updates).forEach(([key, rawValue]) => {
+      const definition = SETTING_DEFINITIONS[key];
+      if (!definition || definition.category !== category || rawValue === undefined) return;
+
+      const { value, error } = this.validateSettingValue(key, rawValue);
+
+      if (error) {
+        errors.push({ path: key, msg: error, value: rawValue });
+      } else {
+        values[key] = value;
+      }
+    });
+
+    return { values, errors };
+  }
+
+  /**
+   * Get all settings, falling back to defaults for keys that were never changed
+   * @returns {Object} Settings keyed by name
+   */
+  static async getSettings() {
+    if (cachedSettings && Date.now() - cachedAt < CACHE_TTL) {
+      return { ...cachedSettings };
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    try {
+      const stored = await Setting.find({}).lean();
+      const settings = { ...DEFAULT_SETTINGS };
+
+      stored.forEach(({ key, value }) => {
+        if (key in SETTING_DEFINITIONS) settings[key] = value;
+      });
+
+      cachedSettings = settings;
+      cachedAt = Date.now();
+
+      return { ...settings };
+    } catch (error) {
+      console.error("Error loading settings:", error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Get the settings that belong to one category
+   * @param {string} category - Settings category
+   */
+  static async getSettingsByCategory(category) {
+    const settings = await this.getSettings();
+
+    return Object.fromEntries(
+      Object.keys(SETTING_DEFINITIONS)
+        .filter((key) => SETTING_DEFINITIONS[key].category === category)
+        .map((key) => [key, settings[key]])
+    );
+  }
+
+  /**
+   * Update settings in one category and record the change in the history
+   * @param {string} category - Settings category
+   * @param {Object} updates - Submitted key/value pairs
+   * @param {Object} user - Admin making the change
+   * @returns {Object} { success, settings, changes } or { success: false, errors }
+   */
+  static async updateSettings(category, updates, user) {
+    const { values, errors } = this.validateSettings(updates, category);
+
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    // Bypass the cache so the diff is computed against the stored values
+    this.clearCache();
+    const current = await this.getSettings();
+
+    const changes = Object.entries(values)
+      .filter(([key, value]) => current[key] !== value)
+      .map(([key, value]) => ({ key, oldValue: current[key], newValue: value }));
+
+    if (changes.length > 0) {
+      await Setting.bulkWrite(
+        changes.map(({ key, newValue }) => ({
+          updateOne: {
+            filter: { key },
+            update: { $set: { key, value: newValue, category, updatedBy: user._id } },
+            upsert: true,
+          },
+        }))
+      );
+
+      await SettingHistory.create({
+        category,
+        changes,
+        changedBy: user._id,
+        changedByRole: user.role,
+      });
+
+      this.clearCache();
+    }
+
+    return {
+      success: true,
+      settings: await this.getSettingsByCategory(category),
+      changes,
+    };
+  }
+
+  /**
+   * Get the change history, newest first
+   * @param {Object} options - { key, category, page, limit }
+   */
+  static async getHistory({ key, category, page = 1, limit = 20 } = {}) {
+    const query = {};
+
+    if (key) {
+      query["changes.key"] = key;
+    }
+
+    if (category) {
+      query.category = category;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [history, total] = await Promise.all([
+      SettingHistory.find(query)
+        .populate("changedBy", "fullName email role")
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SettingHistory.countDocuments(query),
+    ]);
+
+    return {
+      history,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    };
+  }
+
+  /**
+   * Drop the cached settings so the next read goes to the database
+   */
+  static clearCache() {
+    cachedSettings = null;
+    cachedAt = 0;
+  }
+}
+
+export default SettingsService;
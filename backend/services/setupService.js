@@ -0,0 +1,133 @@
+/**
+ * Setup Service
+ * First-run setup: creating the first admin account
+ *
+ * Setup runs from the command line (scripts/setupAdmin.js) or over HTTP with the
+ * one-time SETUP_TOKEN, and is refused for good once an admin exists
+ */
+
+import crypto from "crypto";
+import AuditLog from "../models/AuditLog.js";
+import User from "../models/User.js";
+import SecurityService from "./securityService.js";
+
+// Shorter setup tokens could be guessed
+export const MIN_SETUP_TOKEN_LENGTH = 32;
+
+// Fields of the first admin account and their labels
+export const ADMIN_FIELDS = {
+  fullName: "Full name",
+  email: "Email",
+  password: "Password",
+  phoneNumber: "Phone number",
+  nationalId: "National ID",
+};
+
+const SETUP_DONE = "Setup has already been completed: an admin account exists";
+
+const fail = (statusCode, message, extra = {}) => ({ success: false, statusCode, message, ...extra });
+
+const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+class SetupService {
+  /**
+   * Whether any admin account exists
+   */
+  static async hasAdmin() {
+    return Boolean(await User.exists({ role: "admin" }));
+  }
+
+  /**
+   * Check the setup token sent with an HTTP setup request
+   * HTTP setup is off while SETUP_TOKEN is unset or too short
+   * @returns {Object} { success } or failure
+   */
+  static checkSetupToken(token, configured = process.env.SETUP_TOKEN) {
+    if (!configured || configured.length < MIN_SETUP_TOKEN_LENGTH) {
+      return fail(403, "Setup over HTTP is disabled. Set SETUP_TOKEN or run npm run setup-admin on the server.");
+    }
+
+    // Compare digests so the check takes the same time whatever the input
+    if (!token || !crypto.timingSafeEqual(digest(token), digest(configured))) {
+      return fail(401, "Invalid setup token");
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Check the first admin's details apart from the password policy
+   * @returns {Object[]} Errors as { path, msg }, empty when valid
+   */
+  static validateFields(input = {}) {
+    const errors = Object.entries(ADMIN_FIELDS)
+      .filter(([field]) => !String(input[field] ?? "").trim())
+      .map(([field, label]) => ({ path: field, msg: `${label} is required` }));
+
+    if (input.email && !/^\S+@\S+\.\S+$/.test(String(input.email).trim())) {
+      errors.push({ path: "email", msg: "Please enter a valid email address" });
+    }
+    if (input.nationalId && !/^ETH[0-9A-Za-z]{9}$/.test(String(input.nationalId).trim())) {
+      errors.push({ path: "nationalId", msg: "National ID must be 12 characters starting with ETH" });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create the first admin account and record it in the audit log
+   * @param {Object} input - fullName, email, password, phoneNumber, nationalId
+   * @param {Object} context - { source: "cli" | "http", ipAddress }
+   * @returns {Object} { success, user } or failure
+   */
+  static async createFirstAdmin(input, { source, ipAddress } = {}) {
+    if (await this.hasAdmin()) {
+      return fail(409, SETUP_DONE);
+    }
+
+    const errors = this.validateFields(input);
+    if (input.password) {
+      errors.push(...(await SecurityService.checkPassword(input.password)));
+    }
+    if (errors.length > 0) {
+      return fail(400, errors[0].msg, { errors });
+    }
+
+    const email = String(input.email).toLowerCase().trim();
+    const nationalId = String(input.nationalId).trim();
+    const existing = await User.findOne({ $or: [{ email }, { nationalId }] });
+    if (existing) {
+      return fail(400, `A user with this ${existing.email === email ? "email" : "National ID"} already exists`);
+    }
+
+    const user = await User.create({
+      fullName: String(input.fullName).trim(),
+      email,
+      password: input.password,
+      phoneNumber: String(input.phoneNumber).trim(),
+      nationalId,
+      role: "admin",
+    });
+
+    try {
+      await AuditLog.create({
+        action: "first_admin_created",
+        user: user._id,
+        source,
+        ipAddress,
+        details: { email: user.email },
+      });
+    } catch (error) {
+      // Another setup finished first; keep only its admin
+      await User.deleteOne({ _id: user._id });
+      if (error.code === 11000) {
+        return fail(409, SETUP_DONE);
+      }
+      throw error;
+    }
+
+    return { success: true, user };
+  }
+}
+
+export default SetupService;
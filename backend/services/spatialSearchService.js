@@ -0,0 +1,221 @@
+/**
+ * Spatial Search Service
+ * Finds parcels by their boundaries: within a radius of a point, inside a bounding box or polygon,
+ * or intersecting a shape. Citizens search the public register (approved parcels, public fields);
+ * land officers and admins search every parcel and also see ownership and case flags.
+ */
+
+import Property from "../models/Property.js";
+import ParcelGeometryService from "./parcelGeometryService.js";
+
+export const MAX_SEARCH_RADIUS = 5000;
+
+// Fields of the public land register
+const PUBLIC_FIELDS = ["plotNumber", "propertyType", "area", "location.subCity", "location.kebele", "boundary"];
+
+const OFFICER_FIELDS = [
+  ...PUBLIC_FIELDS,
+  "location.coordinates",
+  "owner",
+  "status",
+  "registrationDate",
+  "hasActiveDispute",
+  "hasActiveEncumbrance",
+  "boundaryOverlaps",
+];
+
+const parseNumbers = (value) => String(value).split(",").map((part) => Number(part.trim()));
+
+class SpatialSearchService {
+  /**
+   * Work out the search shape from the query string
+   * One of: lat/lng/radius, bbox (minLng,minLat,maxLng,maxLat) or polygon (JSON GeoJSON Polygon);
+   * relation chooses between parcels lying within the shape and parcels intersecting it
+   * @param {Object} params - Request query
+   * @returns {Object} { success: true, shape } or { success: false, statusCode, message }
+   */
+  static parseShape({ lat, lng, radius, bbox, polygon, relation = "within" }) {
+    const shapes = [lat !== undefined || lng !== undefined, bbox !== undefined, polygon !== undefined].filter(Boolean);
+    if (shapes.length !== 1) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "Provide exactly one of lat/lng/radius, bbox or polygon",
+      };
+    }
+
+    if (lat !== undefined || lng !== undefined) {
+      const center = [Number(lng), Number(lat)];
+      if (!center.every(Number.isFinite) || Math.abs(center[0]) > 180 || Math.abs(center[1]) > 90) {
+        return { success: false, statusCode: 400, message: "lat and lng must be valid coordinates" };
+      }
+
+      const distance = radius === undefined ? 500 : Number(radius);
+      if (!Number.isFinite(distance) || distance <= 0 || distance > MAX_SEARCH_RADIUS) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: `Radius must be between 1 and ${MAX_SEARCH_RADIUS} meters`,
+        };
+      }
+
+      return { success: true, shape: { kind: "radius", center, radius: distance } };
+    }
+
+    let geometry;
+    if (bbox !== undefined) {
+      const [minLng, minLat, maxLng, maxLat] = parseNumbers(bbox);
+      const valid =
+        parseNumbers(bbox).length === 4 &&
+        [minLng, minLat, maxLng, maxLat].every(Number.isFinite) &&
+        minLng < maxLng &&
+        minLat < maxLat &&
+        Math.abs(minLng) <= 180 && Math.abs(maxLng) <= 180 &&
+        Math.abs(minLat) <= 90 && Math.abs(maxLat) <= 90;
+
+      if (!valid) {
+        return { success: false, statusCode: 400, message: "bbox must be minLng,minLat,maxLng,maxLat" };
+      }
+
+      geometry = {
+        type: "Polygon",
+        coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]],
+      };
+    } else {
+      let parsed;
+      try {
+        parsed = typeof polygon === "string" ? JSON.parse(polygon) : polygon;
+      } catch {
+        return { success: false, statusCode: 400, message: "polygon must be a JSON-encoded GeoJSON Polygon" };
+      }
+
+      const validation = ParcelGeometryService.validateBoundary(parsed);
+      if (!validation.valid) {
+        return { success: false, statusCode: 400, message: validation.message.replace("Boundary", "Search polygon") };
+      }
+      geometry = validation.boundary;
+    }
+
+    if (!["within", "intersects"].includes(relation)) {
+      return { success: false, statusCode: 400, message: "relation must be within or intersects" };
+    }
+
+    return { success: true, shape: { kind: "geometry", geometry, relation } };
+  }
+
+  /**
+   * Shape for the parcels neighbouring a property: everything its boundary touches or overlaps
+   * @param {string} propertyId - Property ID
+   * @returns {Object} { success: true, shape } or { success: false, statusCode, message }
+   */
+  static async neighbourShape(propertyId) {
+    const property = await Property.findById(propertyId).select("boundary");
+
+    if (!property) {
+      return { success: false, statusCode: 404, message: "Property not found" };
+    }
+
+    if (!property.boundary) {
+      return { success: false, statusCode: 400, message: "Property has no parcel boundary" };
+    }
+
+    return {
+      success: true,
+      shape: {
+        kind: "geometry",
+        geometry: property.boundary.toObject(),
+        relation: "intersects",
+        excludePropertyId: property._id,
+      },
+    };
+  }
+
+  /**
+   * Run a spatial search
+   * @param {Object} shape - From parseShape or neighbourShape
+   * @param {Object} options - { filters: { subCity, propertyType, status }, page, limit, isOfficer }
+   * @returns {Object} { properties, pagination }; radius results carry their distance in meters,
+   *   neighbour results say whether they overlap the property or only share an edge
+   */
+  static async search(shape, { filters = {}, page = 1, limit = 20, isOfficer = false }) {
+    const query = {};
+    if (filters.subCity) query["location.subCity"] = filters.subCity;
+    if (filters.propertyType) query.propertyType = filters.propertyType;
+
+    // The public register only holds approved parcels
+    if (!isOfficer) {
+      query.status = "approved";
+    } else if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (shape.excludePropertyId) {
+      query._id = { $ne: shape.excludePropertyId };
+    }
+
+    const fields = isOfficer ? OFFICER_FIELDS : PUBLIC_FIELDS;
+    const skip = (page - 1) * limit;
+    let properties;
+    let total;
+
+    if (shape.kind === "radius") {
+      const [result] = await Property.aggregate([
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates: shape.center },
+            key: "boundary",
+            distanceField: "distance",
+            maxDistance: shape.radius,
+            spherical: true,
+            query,
+          },
+        },
+        {
+          $facet: {
+            properties: [
+              { $skip: skip },
+              { $limit: limit },
+              { $project: Object.fromEntries([...fields, "distance"].map((field) => [field, 1])) },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]);
+
+      properties = result.properties.map((property) => ({ ...property, distance: Math.round(property.distance) }));
+      total = result.total[0]?.count || 0;
+    } else {
+      query.boundary = {
+        [shape.relation === "intersects" ? "$geoIntersects" : "$geoWithin"]: { $geometry: shape.geometry },
+      };
+
+      [properties, total] = await Promise.all([
+        Property.find(query).select(fields.join(" ")).sort({ plotNumber: 1 }).skip(skip).limit(limit).lean(),
+        Property.countDocuments(query),
+      ]);
+
+      if (shape.excludePropertyId) {
+        properties = properties.map((property) => ({
+          ...property,
+          overlaps: ParcelGeometryService.polygonsOverlap(shape.geometry, property.boundary),
+        }));
+      }
+    }
+
+    if (isOfficer) {
+      await Property.populate(properties, { path: "owner", select: "fullName email phoneNumber" });
+    }
+
+    return {
+      properties,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+export default SpatialSearchService;
@@ -0,0 +1,30 @@
+/**
+ * Transactions
+ * Runs service work that changes several documents in one MongoDB transaction
+ *
+ * withTransaction retries the callback on transient errors, so callbacks must re-read
+ * everything they check or change through the session instead of trusting earlier reads
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Run a callback in a MongoDB transaction
+ * @param {Function} callback - async (session) => result
+ * @returns {*} The callback's result from the attempt that committed
+ */
+export const runInTransaction = async (callback) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      result = await callback(session);
+    });
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
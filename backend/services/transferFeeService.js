@@ -0,0 +1,276 @@
+/**
+ * Transfer Fee Service
+ * Prices the fee components of a property transfer (transfer tax, stamp duty and processing fee),
+ * records transfer_fee payments against them and lets land officers waive them.
+ *
+ * Amounts come from PaymentCalculationService.calculateTransferFee using the fee schedule in
+ * effect when the transfer was started. A transfer cannot be approved while a component with an
+ * amount due is still pending (see the approve guard in workflows.js).
+ */
+
+import Property from "../models/Property.js";
+import PropertyTransfer from "../models/PropertyTransfer.js";
+import User from "../models/User.js";
+import ApplicationLog from "../models/ApplicationLog.js";
+import Payment from "../models/Payment.js";
+import PaymentCalculationService from "./paymentCalculationService.js";
+import NotificationService from "./notificationService.js";
+import { TRANSFER_FEE_COMPONENTS, getOutstandingTransferFees } from "./workflows.js";
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Calculation breakdown field that prices each fee component
+const COMPONENT_BREAKDOWN = {
+  governmentFee: "transferTax",
+  taxAmount: "stampDuty",
+  processingFee: "processingFee",
+};
+
+export const TRANSFER_FEE_LABELS = {
+  governmentFee: "Transfer tax",
+  taxAmount: "Stamp duty",
+  processingFee: "Processing fee",
+};
+
+// Transfers the new owner has accepted and an officer has not yet decided on
+export const TRANSFER_PAYABLE_STATUSES = [
+  "initiated",
+  "documents_pending",
+  "documents_submitted",
+  "under_review",
+  "compliance_check",
+];
+
+class TransferFeeService {
+  /**
+   * Price the transfer's fee components
+   * Only pending components are updated, so paid and waived amounts stay as they were settled
+   * @param {Object} transfer - Transfer document (not saved)
+   * @param {Object} property - Transferred property; loaded when not given
+   * @returns {Object} Fee calculation from PaymentCalculationService
+   */
+  static async syncFeeAmounts(transfer, property = null) {
+    const transferredProperty = property || await Property.findById(transfer.property);
+
+    const calculation = await PaymentCalculationService.calculateTransferFee(
+      transferredProperty,
+      transfer.transferValue?.amount || 0,
+      { applicationDate: transfer.initiationDate }
+    );
+
+    for (const component of TRANSFER_FEE_COMPONENTS) {
+      const fee = transfer.transferFees[component];
+      if (fee.status === "pending") {
+        fee.amount = calculation.breakdown[COMPONENT_BREAKDOWN[component]];
+      }
+    }
+
+    return calculation;
+  }
+
+  /**
+   * Fee components a party can pay now and their total
+   * @param {Object} transfer - Transfer with priced fees
+   * @param {Object} user - Paying user
+   * @returns {Object} { success, components, amount } or { success: false, statusCode, message }
+   */
+  static getPayableFees(transfer, user) {
+    const parties = [transfer.previousOwner, transfer.newOwner].map(idOf);
+    if (!parties.includes(idOf(user))) {
+      return { success: false, statusCode: 403, message: "Not authorized to pay fees for this transfer" };
+    }
+
+    if (!TRANSFER_PAYABLE_STATUSES.includes(transfer.status)) {
+      return { success: false, statusCode: 400, message: `Fees cannot be paid for a transfer that is ${transfer.status}` };
+    }
+
+    const components = getOutstandingTransferFees(transfer);
+    if (components.length === 0) {
+      return { success: false, statusCode: 400, message: "All fees for this transfer are already paid or waived" };
+    }
+
+    const amount = components.reduce((total, component) => total + transfer.transferFees[component].amount, 0);
+
+    return { success: true, components, amount };
+  }
+
+  /**
+   * Mark the components a completed transfer_fee payment covers as paid
+   * Components that are already paid or waived are left alone, so recording a payment twice is harmless
+   * @param {Object} payment - Completed payment with transfer and transferFeeComponents
+   * @param {Object} options - { user } performing the update; defaults to the payer
+   * @returns {Object} { success, transfer, components, alreadySettled } or { success: false, statusCode, message }
+   */
+  static async recordPayment(payment, { user = null } = {}) {
+    const transfer = await PropertyTransfer.findById(payment.transfer);
+    if (!transfer) {
+      return { success: false, statusCode: 404, message: "Transfer not found" };
+    }
+
+    const components = payment.transferFeeComponents.filter(
+      (component) => transfer.transferFees[component].status === "pending"
+    );
+    // Fees another payment or a waiver settled first; the money for them has to be refunded
+    const alreadySettled = payment.transferFeeComponents.filter(
+      (component) =>
+        transfer.transferFees[component].status !== "pending" &&
+        idOf(transfer.transferFees[component].payment) !== idOf(payment)
+    );
+
+    if (alreadySettled.length > 0) {
+      await this.flagOverpayment(payment, transfer, alreadySettled, user);
+    }
+
+    if (components.length === 0) {
+      return { success: true, transfer, components, alreadySettled };
+    }
+
+    const paidAt = payment.completedDate || new Date();
+    for (const component of components) {
+      Object.assign(transfer.transferFees[component], {
+        status: "paid",
+        payment: payment._id,
+        paymentReference: payment.receiptNumber || payment.transactionId,
+        paidAt,
+      });
+    }
+
+    const performedBy = user?._id || payment.user;
+    const notes = `Paid ${components.map((component) => TRANSFER_FEE_LABELS[component].toLowerCase()).join(", ")} - ${payment.amount} ${payment.currency}`;
+
+    transfer.timeline.push({ action: "Transfer fees paid", performedBy, notes });
+    transfer.lastUpdated = new Date();
+    await transfer.save();
+
+    await ApplicationLog.create({
+      property: transfer.property,
+      user: payment.user,
+      action: "transfer_fee_paid",
+      status: transfer.status,
+      performedBy,
+      performedByRole: user?.role || "user",
+      notes,
+      metadata: {
+        transferId: transfer._id,
+        paymentId: payment._id,
+        components,
+      },
+    });
+
+    const property = await Property.findById(transfer.property).select("plotNumber");
+    const payer = await User.findById(payment.user).select("fullName");
+    if (property && payer) {
+      await NotificationService.sendTransferFeePaidNotification(transfer, property, payer, payment);
+    }
+
+    return { success: true, transfer, components, alreadySettled };
+  }
+
+  /**
+   * Mark a completed payment for refund because it covered fees that were already settled
+   * @param {Object} payment - Completed transfer_fee payment
+   * @param {Object} transfer - Transfer the payment is for
+   * @param {string[]} components - Fee components that were already paid or waived
+   * @param {Object} user - User who completed the payment, if any
+   */
+  static async flagOverpayment(payment, transfer, components, user = null) {
+    const labels = components.map((component) => TRANSFER_FEE_LABELS[component].toLowerCase()).join(", ");
+
+    payment.refundRequired = true;
+    await payment.save();
+
+    await ApplicationLog.create({
+      property: transfer.property,
+      user: payment.user,
+      action: "transfer_fee_overpaid",
+      status: transfer.status,
+      performedBy: user?._id || payment.user,
+      performedByRole: user?.role || "user",
+      notes: `Payment ${payment.receiptNumber || payment.transactionId} covered fees that were already settled (${labels}) and needs a refund`,
+      metadata: {
+        transferId: transfer._id,
+        paymentId: payment._id,
+        components,
+      },
+    });
+
+    console.error(`Transfer fee payment ${payment._id} covered already settled fees (${labels}); flagged for refund`);
+  }
+
+  /**
+   * The transfer_fee payment of a transfer that is still in progress, if any
+   * @param {Object} transfer - Transfer document
+   */
+  static async findPendingPayment(transfer) {
+    return Payment.findOne({
+      transfer: transfer._id,
+      paymentType: "transfer_fee",
+      status: { $in: ["pending", "processing"] },
+    });
+  }
+
+  /**
+   * Whether a payment covers exactly the fees that are due
+   * @param {Object} payment - Transfer fee payment
+   * @param {Object} payable - { components, amount } from getPayableFees
+   */
+  static coversPayableFees(payment, { components, amount }) {
+    return (
+      payment.amount === amount &&
+      payment.transferFeeComponents.length === components.length &&
+      components.every((component) => payment.transferFeeComponents.includes(component))
+    );
+  }
+
+  /**
+   * Waive a pending fee component
+   * @param {Object} transfer - Transfer document
+   * @param {string} component - governmentFee, taxAmount or processingFee
+   * @param {string} reason - Why the fee is waived; recorded on the transfer and in the log
+   * @param {Object} user - Land officer or admin granting the waiver
+   * @returns {Object} { success, transfer } or { success: false, statusCode, message }
+   */
+  static async waiveFee(transfer, component, reason, user) {
+    if (!TRANSFER_PAYABLE_STATUSES.includes(transfer.status)) {
+      return { success: false, statusCode: 400, message: `Fees cannot be waived for a transfer that is ${transfer.status}` };
+    }
+
+    const fee = transfer.transferFees[component];
+    if (fee.status !== "pending") {
+      return { success: false, statusCode: 400, message: `The ${TRANSFER_FEE_LABELS[component].toLowerCase()} is already ${fee.status}` };
+    }
+
+    Object.assign(fee, {
+      status: "waived",
+      waivedBy: user._id,
+      waivedAt: new Date(),
+      waiverReason: reason,
+    });
+
+    const notes = `${TRANSFER_FEE_LABELS[component]} of ${fee.amount} ETB waived: ${reason}`;
+
+    transfer.timeline.push({ action: "Transfer fee waived", performedBy: user._id, notes });
+    transfer.lastUpdated = new Date();
+    await transfer.save();
+
+    await ApplicationLog.create({
+      property: transfer.property,
+      user: transfer.previousOwner,
+      action: "transfer_fee_waived",
+      status: transfer.status,
+      performedBy: user._id,
+      performedByRole: user.role,
+      notes,
+      metadata: {
+        transferId: transfer._id,
+        component,
+        amount: fee.amount,
+        reason,
+      },
+    });
+
+    return { success: true, transfer };
+  }
+}
+
+export default TransferFeeService;
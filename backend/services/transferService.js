@@ -0,0 +1,221 @@
+/**
+ * Transfer Service
+ * Completes approved property transfers: changes the owner, records the previous owner in the
+ * ownership history, closes the transfer, logs it and re-issues the title certificate.
+ * Also sets and enforces the period the new owner has to accept a transfer.
+ *
+ * All writes run in one MongoDB transaction (requires a replica set, e.g. MongoDB Atlas),
+ * so a failure part-way leaves neither a changed owner with an open transfer nor the reverse.
+ * Completing a transfer that is already completed returns the existing result instead of failing.
+ */
+
+import Property from "../models/Property.js";
+import PropertyTransfer from "../models/PropertyTransfer.js";
+import Certificate from "../models/Certificate.js";
+import User from "../models/User.js";
+import CertificateService from "./certificateService.js";
+import WorkflowService from "./workflowService.js";
+import SettingsService from "./settingsService.js";
+import NotificationService from "./notificationService.js";
+import EncumbranceService from "./encumbranceService.js";
+import { runInTransaction } from "./transaction.js";
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TransferService {
+  /**
+   * Deadline for the new owner to accept a transfer started now
+   * @param {Date} from - Start of the acceptance period
+   * @returns {Date} Deadline, transferAcceptanceDays after the start
+   */
+  static async getAcceptanceDeadline(from = new Date()) {
+    const { transferAcceptanceDays } = await SettingsService.getSettings();
+    return new Date(from.getTime() + transferAcceptanceDays * DAY_MS);
+  }
+
+  /**
+   * Expire transfers whose new owner did not respond in time
+   * Runs before transfers are listed or a new one is started, so an unanswered transfer
+   * never blocks the property for longer than the acceptance period
+   * @param {Object} filter - Extra conditions, e.g. { property } or { newOwner }
+   * @returns {number} Number of transfers expired
+   */
+  static async expireOverdueTransfers(filter = {}) {
+    const overdue = await PropertyTransfer.find({
+      ...filter,
+      status: "awaiting_recipient",
+      "recipientConsent.expiresAt": { $lte: new Date() },
+    });
+
+    let expired = 0;
+
+    for (const transfer of overdue) {
+      const result = await WorkflowService.transition("transfer", transfer, "expire", { system: true });
+
+      if (!result.success) {
+        console.error(`Could not expire transfer ${transfer._id}:`, result.message);
+        continue;
+      }
+
+      expired += 1;
+
+      const property = await Property.findById(transfer.property).select("plotNumber");
+      const recipient = await User.findById(transfer.newOwner).select("fullName");
+      if (property && recipient) {
+        await NotificationService.sendTransferConsentResponseNotification(transfer, property, recipient, "expired");
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Ownership history entry closing the previous owner's tenure
+   * The tenure starts when the previous owner acquired the property: the end of the last
+   * recorded tenure, or the registration date when the property has never changed hands
+   * @param {Object} property - Property before the ownership change
+   * @param {Object} transfer - Transfer being completed
+   * @param {Date} completedAt - Completion date
+   * @returns {Object} Ownership history entry
+   */
+  static buildOwnershipHistoryEntry(property, transfer, completedAt = new Date()) {
+    const lastEntry = property.ownershipHistory?.[property.ownershipHistory.length - 1];
+
+    return {
+      owner: property.owner?._id || property.owner,
+      startDate: lastEntry?.endDate || property.registrationDate || property.createdAt,
+      endDate: completedAt,
+      transferType: transfer.transferType,
+      transferReference: transfer._id,
+    };
+  }
+
+  /**
+   * Why a property cannot change owner, if it cannot
+   * Only approved registrations hold a title; void and retired plots no longer exist as registered land
+   * @param {Object} property - Property document
+   * @returns {string|null} Reason, or null when the property can be transferred
+   */
+  static getTransferBlock(property) {
+    if (property.status === "approved") return null;
+    if (property.status === "void") return "Cannot transfer a property whose registration is void";
+    if (property.status === "retired") return "Cannot transfer a plot that was replaced by a subdivision or merge";
+    return "Only approved properties can be transferred";
+  }
+
+  /**
+   * Whether the property already reflects the transfer (owner changed and history recorded)
+   * Transfers completed before completion was transactional can be left in this state
+   * @param {Object} property - Property document
+   * @param {Object} transfer - Transfer document
+   * @returns {boolean}
+   */
+  static isOwnershipApplied(property, transfer) {
+    return (
+      idOf(property.owner) === idOf(transfer.newOwner) &&
+      (property.ownershipHistory || []).some((entry) => idOf(entry.transferReference) === idOf(transfer._id))
+    );
+  }
+
+  /**
+   * Complete an approved transfer
+   * @param {string} transferId - Transfer ID
+   * @param {Object} user - Admin completing the transfer
+   * @returns {Object} { success, transfer, property, certificate, alreadyCompleted } or { success: false, statusCode, message }
+   */
+  static async completeTransfer(transferId, user) {
+    return runInTransaction((session) => this.applyTransfer(transferId, user, session));
+  }
+
+  /**
+   * Transaction body of completeTransfer
+   * @param {string} transferId - Transfer ID
+   * @param {Object} user - Admin completing the transfer
+   * @param {Object} session - Mongoose client session
+   */
+  static async applyTransfer(transferId, user, session) {
+    const transfer = await PropertyTransfer.findById(transferId).session(session);
+
+    if (!transfer) {
+      return { success: false, statusCode: 404, message: "Transfer not found" };
+    }
+
+    if (transfer.status === "completed") {
+      const certificate = await Certificate.findOne({ property: transfer.property, status: "valid" }).session(session);
+      const property = await Property.findById(transfer.property).select("plotNumber").session(session);
+
+      return { success: true, alreadyCompleted: true, transfer, property, certificate };
+    }
+
+    if (transfer.status !== "approved") {
+      return { success: false, statusCode: 400, message: "Transfer must be approved before completion" };
+    }
+
+    const property = await Property.findById(transfer.property).session(session);
+
+    if (!property) {
+      return { success: false, statusCode: 404, message: "Property not found" };
+    }
+
+    // The plot may have been retired or voided while the transfer was under review
+    const transferBlock = this.getTransferBlock(property);
+    if (transferBlock) {
+      return { success: false, statusCode: 409, message: transferBlock };
+    }
+
+    const encumbranceCheck = await EncumbranceService.checkProperty(property._id, "transfer", { session });
+    if (encumbranceCheck.blocked) {
+      return { success: false, statusCode: 409, message: encumbranceCheck.message };
+    }
+
+    const completedAt = new Date();
+
+    if (!this.isOwnershipApplied(property, transfer)) {
+      if (idOf(property.owner) !== idOf(transfer.previousOwner)) {
+        return {
+          success: false,
+          statusCode: 409,
+          message: "Property is no longer owned by the transferring owner",
+        };
+      }
+
+      property.ownershipHistory.push(this.buildOwnershipHistoryEntry(property, transfer, completedAt));
+      property.owner = transfer.newOwner;
+    }
+
+    property.isTransferred = true;
+    property.currentTransfer = undefined;
+    property.lastUpdated = completedAt;
+    property.transferHistory.addToSet(transfer._id);
+
+    await property.save({ session });
+
+    // Re-issue the title certificate to the new owner; the previous owner's certificate is superseded
+    const certificate = await CertificateService.issueCertificate(property._id, {
+      reason: "transfer",
+      issuedBy: user,
+      session,
+    });
+
+    const result = await WorkflowService.transition("transfer", transfer, "complete", {
+      user,
+      session,
+      metadata: {
+        previousOwner: transfer.previousOwner,
+        newOwner: transfer.newOwner,
+        certificateNumber: certificate.certificateNumber,
+      },
+    });
+
+    if (!result.success) {
+      // Throwing aborts the transaction so the ownership change above is rolled back
+      throw new Error(result.message);
+    }
+
+    return { success: true, alreadyCompleted: false, transfer, property, certificate };
+  }
+}
+
+export default TransferService;
@@ -0,0 +1,483 @@
+/**
+ * Two-Factor Service
+ * Time-based one-time passwords (RFC 6238) for login and step-up checks, recovery codes,
+ * and the per-role policy admins set in the security settings
+ *
+ * Secrets are stored encrypted with TWO_FACTOR_ENCRYPTION_KEY when set,
+ * otherwise with a key derived from JWT_SECRET
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import SettingsService from "./settingsService.js";
+import SecurityService from "./securityService.js";
+
+export const TOTP_PERIOD = 30;
+export const TOTP_DIGITS = 6;
+// Codes from one period either side are accepted to allow for clock drift
+export const TOTP_WINDOW = 1;
+export const RECOVERY_CODE_COUNT = 10;
+// A step-up verification covers high-risk actions for this long
+export const STEP_UP_WINDOW = 5 * 60 * 1000;
+// Login challenges must be answered within this many seconds
+export const CHALLENGE_LIFETIME = 5 * 60;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Settings key that switches 2FA on for each role
+const ROLE_SETTINGS = {
+  admin: "twoFactorAdmins",
+  landOfficer: "twoFactorLandOfficers",
+  user: "twoFactorCitizens",
+};
+
+// Fields holding secrets, excluded from normal user queries
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const fail = (statusCode, message, extra = {}) => ({ success: false, statusCode, message, ...extra });
+
+const lockedOut = ({ retryAfter }) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  return fail(429, `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`, { retryAfter });
+};
+
+class TwoFactorService {
+  static base32Encode(buffer) {
+    let bits = "";
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+  }
+
+  static base32Decode(value) {
+    const bits = value
+      .toUpperCase()
+      .replace(/=+$/, "")
+      .split("")
+      .map((char) => {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character");
+        return index.toString(2).padStart(5, "0");
+      })
+      .join("");
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * New random secret, base32 encoded as authenticator apps expect
+   */
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * One-time code for a time step (HOTP with the step as counter)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step
+   */
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+  }
+
+  static getStep(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / TOTP_PERIOD);
+  }
+
+  /**
+   * Match a code against the steps around now
+   * Steps at or before lastUsedStep are refused so a code cannot be replayed
+   * @returns {number|null} Matched step, or null
+   */
+  static verifyCode(secret, code, { now = new Date(), lastUsedStep } = {}) {
+    const candidate = String(code || "").replace(/\s/g, "");
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+    const current = this.getStep(now);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset += 1) {
+      const step = current + offset;
+      if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// URI that authenticator apps read from the QR code
+   */
+  static getProvisioningUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: "SHA1",
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static hashRecoveryCode(code) {
+    return crypto
+      .createHash("sha256")
+      .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+      .digest("hex");
+  }
+
+  /**
+   * New set of single-use recovery codes
+   * @returns {Object} { codes, hashes } - show codes once, store only the hashes
+   */
+  static generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map((code) => ({ hash: this.hashRecoveryCode(code) })),
+    };
+  }
+
+  static getEncryptionKey() {
+    return crypto
+      .createHash("sha256")
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `two-factor:${process.env.JWT_SECRET || ""}`)
+      .digest();
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+  }
+
+  static decryptSecret(value) {
+    const [iv, tag, encrypted] = value.split(".").map((part) => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+  }
+
+  /**
+   * Whether the security settings require 2FA for a role
+   * @param {string} role - User role
+   * @param {Object} policy - Security settings
+   */
+  static isRequired(role, policy) {
+    return Boolean(policy.twoFactorAuth && policy[ROLE_SETTINGS[role]]);
+  }
+
+  /**
+   * Sign a short-lived token that stands in for the password between login steps
+   * @param {Object} user - User who passed the password check
+   * @param {string} purpose - "login" when a code is due, "setup" when enrolment is due
+   */
+  static issueChallenge(user, purpose) {
+    return jwt.sign({ id: user._id, purpose: `2fa_${purpose}` }, process.env.JWT_SECRET, {
+      expiresIn: CHALLENGE_LIFETIME,
+    });
+  }
+
+  /**
+   * Read a challenge token
+   * @returns {Object|null} Claims, or null when invalid, expired or for another purpose
+   */
+  static readChallenge(token, purpose) {
+    try {
+      const claims = jwt.verify(token, process.env.JWT_SECRET);
+      return claims.purpose === `2fa_${purpose}` ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * What a user who passed the password check must do before getting a session
+   * @returns {Object|null} Challenge response, or null when a session can be issued
+   */
+  static async getLoginChallenge(user) {
+    if (user.twoFactor?.enabled) {
+      return { twoFactorRequired: true, challengeToken: this.issueChallenge(user, "login") };
+    }
+
+    const policy = await SettingsService.getSettingsByCategory("security");
+    if (this.isRequired(user.role, policy)) {
+      return { twoFactorSetupRequired: true, challengeToken: this.issueChallenge(user, "setup") };
+    }
+
+    return null;
+  }
+
+  static async loadWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Check a TOTP code, or a recovery code when allowed, and consume it
+   * @param {Object} user - User loaded with secret fields
+   * @param {Object} input - { code, recoveryCode }
+   * @param {Object} options - { allowRecovery }
+   * @returns {boolean} Whether the code was accepted
+   */
+  static async consumeCode(user, { code, recoveryCode } = {}, { allowRecovery = false } = {}) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+    if (code) {
+      const step = this.verifyCode(this.decryptSecret(user.twoFactor.secret), code, {
+        lastUsedStep: user.twoFactor.lastUsedStep,
+      });
+      if (step === null) return false;
+
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+      return true;
+    }
+
+    if (allowRecovery && recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const entry = user.twoFactor.recoveryCodes.find((recovery) => recovery.hash === hash && !recovery.usedAt);
+      if (!entry) return false;
+
+      entry.usedAt = new Date();
+      await user.save();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Start enrolment with a new pending secret
+   * @returns {Object} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+   */
+  static async beginSetup(userId) {
+    const user = await this.loadWithSecrets(userId);
+    if (!user) return fail(404, "User not found");
+
+    if (user.twoFactor?.enabled) {
+      return fail(400, "Two-factor authentication is already enabled");
+    }
+
+    const secret = this.generateSecret();
+    const { systemName } = await SettingsService.getSettings();
+    const otpauthUrl = this.getProvisioningUri(secret, user.email, systemName);
+
+    user.twoFactor.pendingSecret = this.encryptSecret(secret);
+    await user.save();
+
+    return {
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240 }),
+    };
+  }
+
+  /**
+   * Finish enrolment by confirming a code from the pending secret
+   * @returns {Object} { success, recoveryCodes } or failure
+   */
+  static async enable(userId, code) {
+    const user = await this.loadWithSecrets(userId);
+    if (!user) return fail(404, "User not found");
+
+    if (user.twoFactor?.enabled) {
+      return fail(400, "Two-factor authentication is already enabled");
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return fail(400, "Start two-factor setup first");
+    }
+
+    const secret = this.decryptSecret(user.twoFactor.pendingSecret);
+    const step = this.verifyCode(secret, code);
+    if (step === null) {
+      return fail(400, "Invalid verification code");
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return { success: true, user, recoveryCodes: codes };
+  }
+
+  /**
+   * Count a failed check against the same lockout as failed logins
+   * @returns {Object} 400 failure with the message, or 429 when this failure locks the account
+   */
+  static async rejectAttempt(user, ip, message) {
+    const lockout = await SecurityService.recordFailedLogin(user.email, ip);
+    return lockout ? lockedOut(lockout) : fail(400, message);
+  }
+
+  /**
+   * Check a code from a signed-in user
+   * Wrong codes count towards the login lockout and a locked account cannot try codes,
+   * so a code cannot be guessed within its period
+   * @param {Object} user - User loaded with secrets
+   * @param {string} code - Code from the authenticator app
+   * @param {string} ip - Client address
+   * @returns {Object} { success } or failure (429 with retryAfter while locked)
+   */
+  static async verifyUserCode(user, code, ip) {
+    const lockout = await SecurityService.getLockout(user.email, ip);
+    if (lockout) return lockedOut(lockout);
+
+    if (!(await this.consumeCode(user, { code }))) {
+      return this.rejectAttempt(user, ip, "Invalid verification code");
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Turn 2FA off after checking the password and a current code
+   * Refused while the policy requires 2FA for the user's role
+   */
+  static async disable(userId, { password, code }, ip) {
+    const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+    if (!user) return fail(404, "User not found");
+
+    if (!user.twoFactor?.enabled) {
+      return fail(400, "Two-factor authentication is not enabled");
+    }
+
+    const policy = await SettingsService.getSettingsByCategory("security");
+    if (this.isRequired(user.role, policy)) {
+      return fail(403, "Two-factor authentication is required for your role");
+    }
+
+    const lockout = await SecurityService.getLockout(user.email, ip);
+    if (lockout) return lockedOut(lockout);
+
+    if (!(await user.comparePassword(password))) {
+      return this.rejectAttempt(user, ip, "Password is incorrect");
+    }
+    const check = await this.verifyUserCode(user, code, ip);
+    if (!check.success) return check;
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    return { success: true };
+  }
+
+  /**
+   * Replace all recovery codes after checking a current code
+   */
+  static async regenerateRecoveryCodes(userId, code, ip) {
+    const user = await this.loadWithSecrets(userId);
+    if (!user) return fail(404, "User not found");
+
+    const check = await this.verifyUserCode(user, code, ip);
+    if (!check.success) return check;
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    return { success: true, recoveryCodes: codes };
+  }
+
+  /**
+   * Enrolment state shown on the profile
+   */
+  static async getStatus(user) {
+    const stored = await this.loadWithSecrets(user._id);
+    const policy = await SettingsService.getSettingsByCategory("security");
+
+    return {
+      enabled: Boolean(stored?.twoFactor?.enabled),
+      enabledAt: stored?.twoFactor?.enabledAt,
+      required: this.isRequired(user.role, policy),
+      recoveryCodesRemaining: (stored?.twoFactor?.recoveryCodes || []).filter((recovery) => !recovery.usedAt).length,
+    };
+  }
+
+  /**
+   * Record that the session just passed a 2FA check
+   */
+  static async markSessionVerified(sessionId) {
+    await Session.updateOne({ _id: sessionId }, { $set: { twoFactorVerifiedAt: new Date() } });
+  }
+
+  static isRecentlyVerified(session, now = new Date()) {
+    return Boolean(
+      session?.twoFactorVerifiedAt && now.getTime() - new Date(session.twoFactorVerifiedAt).getTime() < STEP_UP_WINDOW
+    );
+  }
+
+  /**
+   * Decide whether a high-risk request may proceed
+   * Users with 2FA must have verified in this session within the step-up window, or send a
+   * current code; users without 2FA are refused while the policy requires it for their role
+   * @param {Object} user - Authenticated user
+   * @param {Object} session - Current session
+   * @param {string} code - Code sent with the request, if any
+   * @param {string} ip - Client address, for the lockout
+   */
+  static async checkStepUp(user, session, code, ip) {
+    if (this.isRecentlyVerified(session)) {
+      return { success: true };
+    }
+
+    const stored = await this.loadWithSecrets(user._id);
+
+    if (!stored?.twoFactor?.enabled) {
+      const policy = await SettingsService.getSettingsByCategory("security");
+      return this.isRequired(user.role, policy)
+        ? fail(403, "Set up two-factor authentication before performing this action", { twoFactorSetupRequired: true })
+        : { success: true };
+    }
+
+    if (!code) {
+      return fail(403, "Enter your two-factor code to continue", { stepUpRequired: true });
+    }
+
+    const check = await this.verifyUserCode(stored, code, ip);
+    if (!check.success) {
+      return check.statusCode === 429 ? check : fail(403, "Invalid two-factor code", { stepUpRequired: true });
+    }
+
+    await this.markSessionVerified(session._id);
+    return { success: true };
+  }
+}
+
+export default TwoFactorService;
@@ -0,0 +1,235 @@
+/**
+ * Workflow Service
+ * Applies status transitions from the workflow tables in workflows.js
+ *
+ * A transition is only applied when the record is in one of its source statuses, the user
+ * holds one of its roles and its guard passes. Applying it sets the status and the
+ * transition's fields, adds a timeline entry where the record keeps one, saves the record,
+ * writes an ApplicationLog entry with previousStatus and then runs the transition's side effects.
+ */
+
+import ApplicationLog from "../models/ApplicationLog.js";
+import { WORKFLOWS, isRecordOwner, isRecordRecipient } from "./workflows.js";
+
+const humanize = (status) => status.replace(/_/g, " ");
+
+class WorkflowService {
+  /**
+   * Workflow definition by name
+   * @param {string} type - property, transfer, dispute or parcelChange
+   */
+  static getWorkflow(type) {
+    const workflow = WORKFLOWS[type];
+
+    if (!workflow) {
+      throw new Error(`Unknown workflow: ${type}`);
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Whether the actor may perform a transition
+   * @param {Object} workflow - Workflow definition
+   * @param {Object} transition - Transition definition
+   * @param {Object} record - Record
+   * @param {Object} context - { user, system }
+   */
+  static canAct(workflow, transition, record, { user, system } = {}) {
+    if (system) {
+      return transition.roles.includes("system");
+    }
+
+    return (
+      Boolean(user) &&
+      (transition.roles.includes(user.role) ||
+        (transition.roles.includes("owner") && isRecordOwner(workflow, record, user)) ||
+        (transition.roles.includes("recipient") && isRecordRecipient(workflow, record, user)))
+    );
+  }
+
+  /**
+   * Why a transition cannot be applied to a record
+   * @param {string} type - Workflow name
+   * @param {Object} record - Record
+   * @param {string} action - Transition name
+   * @param {Object} context - { user, system, params }
+   * @returns {Object|null} { statusCode, message }, or null when the transition is allowed
+   */
+  static check(type, record, action, context = {}) {
+    const workflow = this.getWorkflow(type);
+    const transition = workflow.transitions[action];
+
+    if (!transition) {
+      return { statusCode: 400, message: `Unknown ${workflow.label} action: ${action}` };
+    }
+
+    if (!transition.from.includes(record.status)) {
+      return {
+        statusCode: 400,
+        message: `Cannot ${transition.label.toLowerCase()} a ${workflow.label} that is ${humanize(record.status)}`,
+      };
+    }
+
+    if (!this.canAct(workflow, transition, record, context)) {
+      return { statusCode: 403, message: `Not authorized to ${transition.label.toLowerCase()} this ${workflow.label}` };
+    }
+
+    const reason = transition.guard?.(record, context);
+    if (reason) {
+      return { statusCode: 400, message: `Cannot ${transition.label.toLowerCase()}: ${reason}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a transition to a record
+   * @param {string} type - Workflow name
+   * @param {Object} record - Mongoose document
+   * @param {string} action - Transition name
+   * @param {Object} context - { user, system, notes, params, metadata, session, logAction }
+   *   logAction overrides the transition's log action where a caller needs a more specific one
+   * @returns {Object} { success, record, previousStatus, ...side effect results } or { success: false, statusCode, message }
+   */
+  static async transition(type, record, action, context = {}) {
+    const error = this.check(type, record, action, context);
+
+    if (error) {
+      return { success: false, ...error };
+    }
+
+    const workflow = this.getWorkflow(type);
+    const transition = workflow.transitions[action];
+    const { user, system, session, metadata } = context;
+    const notes = context.notes || transition.notes;
+    const performedBy = user?._id || workflow.ownerOf(record);
+    const performedByRole = system ? "system" : user.role;
+    const previousStatus = record.status;
+
+    record.status = transition.to;
+    transition.apply?.(record, context);
+
+    if (record.schema?.path("lastUpdated")) {
+      record.lastUpdated = new Date();
+    }
+
+    if (workflow.timeline) {
+      record.timeline.push({
+        action:
+          typeof transition.timelineAction === "function"
+            ? transition.timelineAction(record, context)
+            : transition.timelineAction,
+        performedBy,
+        performedByRole,
+        notes,
+      });
+    }
+
+    await record.save({ session });
+
+    await ApplicationLog.create(
+      [
+        {
+          property: workflow.propertyOf(record),
+          user: workflow.ownerOf(record),
+          action: context.logAction || transition.logAction,
+          status: transition.to,
+          previousStatus,
+          performedBy,
+          performedByRole,
+          notes,
+          metadata: {
+            ...(workflow.metadataKey && { [workflow.metadataKey]: record._id }),
+            transition: action,
+            ...metadata,
+          },
+        },
+      ],
+      { session }
+    );
+
+    const effects = (await transition.after?.(record, context)) || {};
+
+    return { success: true, record, previousStatus, ...effects };
+  }
+
+  /**
+   * Log the initial status of a newly created record
+   * @param {string} type - Workflow name
+   * @param {Object} record - Newly created record
+   * @param {Object} context - { user, logAction, notes, metadata, session }
+   */
+  static async logCreated(type, record, { user, logAction, notes, metadata, session } = {}) {
+    const workflow = this.getWorkflow(type);
+
+    await ApplicationLog.create(
+      [
+        {
+          property: workflow.propertyOf(record),
+          user: workflow.ownerOf(record),
+          action: logAction,
+          status: record.status,
+          performedBy: user?._id || workflow.ownerOf(record),
+          performedByRole: user?.role || "system",
+          notes,
+          metadata: {
+            ...(workflow.metadataKey && { [workflow.metadataKey]: record._id }),
+            ...metadata,
+          },
+        },
+      ],
+      { session }
+    );
+  }
+
+  /**
+   * Transition that moves a record from one status to another (for status-based endpoints)
+   * @param {string} type - Workflow name
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {string|null} Transition name
+   */
+  static findAction(type, from, to) {
+    const { transitions } = this.getWorkflow(type);
+
+    return (
+      Object.keys(transitions).find(
+        (action) => transitions[action].to === to && transitions[action].from.includes(from)
+      ) || null
+    );
+  }
+
+  /**
+   * Actions the user could take next on a record
+   * Actions whose guard fails are listed with allowed: false and the reason;
+   * actions that need input (requires) are listed without evaluating their guard
+   * @param {string} type - Workflow name
+   * @param {Object} record - Record
+   * @param {Object} user - User
+   * @returns {Array} [{ action, label, to, allowed, reason, requires }]
+   */
+  static getAvailableActions(type, record, user) {
+    const workflow = this.getWorkflow(type);
+
+    return Object.entries(workflow.transitions)
+      .filter(
+        ([, transition]) =>
+          transition.from.includes(record.status) && this.canAct(workflow, transition, record, { user })
+      )
+      .map(([action, transition]) => {
+        const reason = transition.requires ? null : transition.guard?.(record, { user }) || null;
+
+        return {
+          action,
+          label: transition.label,
+          to: transition.to,
+          allowed: !reason,
+          reason,
+          requires: transition.requires || [],
+        };
+      });
+  }
+}
+
+export default WorkflowService;
@@ -0,0 +1,560 @@
+/**
+ * Workflows
+ * Status transition tables for property registrations, property transfers, disputes and parcel changes
+ *
+ * Each transition lists the statuses it may start from, the status it leads to, who may
+ * perform it ("owner" is the applicant, transferring owner or disputant; "recipient" is the
+ * new owner of a transfer; "system" is the application itself), an optional guard returning the reason it is not allowed, field
+ * updates applied with the status change and side effects run after it is saved.
+ * Status changes must go through WorkflowService, which enforces the table and logs them.
+ */
+
+import Property from "../models/Property.js";
+import Dispute from "../models/Dispute.js";
+import CertificateService from "./certificateService.js";
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const OFFICERS = ["admin", "landOfficer"];
+
+// Transfers that are still in progress; a property can only have one
+export const ACTIVE_TRANSFER_STATUSES = [
+  "awaiting_recipient",
+  "initiated",
+  "documents_pending",
+  "documents_submitted",
+  "under_review",
+  "compliance_check",
+  "approved",
+];
+
+// Disputes that block transfers of the property
+export const ACTIVE_DISPUTE_STATUSES = ["submitted", "under_review", "investigation", "mediation"];
+
+const FAILED_COMPLIANCE = {
+  ethiopianLawCompliance: "non_compliant",
+  taxClearance: "outstanding",
+  fraudPrevention: "flagged",
+};
+
+// Fee components stored under transfer.transferFees
+export const TRANSFER_FEE_COMPONENTS = ["governmentFee", "taxAmount", "processingFee"];
+
+// Fee components that are due and neither paid nor waived
+export const getOutstandingTransferFees = (transfer) =>
+  TRANSFER_FEE_COMPONENTS.filter((component) => {
+    const fee = transfer.transferFees?.[component];
+    return fee?.amount > 0 && fee.status === "pending";
+  });
+
+// Whether the new owner's time to accept a transfer has run out
+export const isConsentExpired = (transfer, now = new Date()) =>
+  Boolean(transfer.recipientConsent?.expiresAt) && transfer.recipientConsent.expiresAt <= now;
+
+// Clear the property's current transfer once a transfer ends without completing
+const releaseCurrentTransfer = async (transfer, { session }) => {
+  await Property.updateOne(
+    { _id: transfer.property, currentTransfer: transfer._id },
+    { $unset: { currentTransfer: 1 } },
+    { session }
+  );
+};
+
+// Clear the property's dispute flag once its last active dispute is closed
+const releaseDisputeFlag = async (dispute, { session }) => {
+  const activeDisputes = await Dispute.countDocuments({
+    property: dispute.property,
+    status: { $in: ACTIVE_DISPUTE_STATUSES },
+  }).session(session || null);
+
+  if (activeDisputes === 0) {
+    await Property.updateOne({ _id: dispute.property }, { hasActiveDispute: false }, { session });
+  }
+};
+
+export const PROPERTY_WORKFLOW = {
+  name: "property",
+  label: "property",
+  initialStatus: "pending",
+  ownerOf: (property) => property.owner,
+  propertyOf: (property) => property._id,
+  transitions: {
+    start_review: {
+      label: "Start review",
+      from: ["pending", "payment_completed"],
+      to: "under_review",
+      roles: OFFICERS,
+      logAction: "status_changed",
+      notes: "Property registration under review",
+      apply: (property, { user }) => {
+        property.reviewedBy = user._id;
+      },
+    },
+    request_documents: {
+      label: "Request document updates",
+      from: ["pending", "documents_validated", "under_review"],
+      to: "documents_pending",
+      roles: OFFICERS,
+      logAction: "document_update_requested",
+      notes: "Document updates requested",
+      guard: (property) => (property.paymentCompleted ? "Payment has already been completed for this property" : null),
+      apply: (property) => {
+        property.documentsValidated = false;
+      },
+    },
+    validate_documents: {
+      label: "Validate documents",
+      from: ["pending", "documents_pending", "under_review"],
+      to: "documents_validated",
+      roles: ["system"],
+      logAction: "all_documents_validated",
+      notes: "All required documents have been validated",
+      apply: (property) => {
+        property.documentsValidated = true;
+      },
+    },
+    initiate_payment: {
+      label: "Pay registration fee",
+      from: ["documents_validated", "payment_pending"],
+      to: "payment_pending",
+      roles: ["owner"],
+      logAction: "payment_made",
+      notes: "Registration fee payment initiated",
+      guard: (property) => {
+        if (!property.documentsValidated) return "Documents must be validated first";
+        if (property.paymentCompleted) return "Payment has already been completed for this property";
+        return null;
+      },
+    },
+    complete_payment: {
+      label: "Complete payment",
+      from: ["documents_validated", "payment_pending"],
+      to: "payment_completed",
+      roles: ["owner", "system", ...OFFICERS],
+      logAction: "payment_completed",
+      notes: "Payment completed, property ready for land officer approval",
+      guard: (property) => (property.documentsValidated ? null : "Documents must be validated first"),
+      apply: (property) => {
+        property.paymentCompleted = true;
+      },
+    },
+    fail_payment: {
+      label: "Payment failed",
+      from: ["payment_pending"],
+      to: "documents_validated",
+      roles: ["owner", "system"],
+      logAction: "payment_failed",
+      notes: "Payment failed; the owner can retry",
+      apply: (property) => {
+        property.paymentCompleted = false;
+      },
+    },
+    reject_payment: {
+      label: "Reject payment",
+      from: ["payment_pending", "payment_completed"],
+      to: "documents_validated",
+      roles: OFFICERS,
+      logAction: "property_payment_rejected",
+      notes: "Payment rejected; the owner can retry",
+      apply: (property) => {
+        property.paymentCompleted = false;
+      },
+    },
+    approve: {
+      label: "Approve",
+      // documents_validated is reached by paid registrations whose documents were re-verified
+      from: ["payment_completed", "under_review", "documents_validated"],
+      to: "approved",
+      roles: OFFICERS,
+      logAction: "application_approved",
+      notes: "Property registration approved",
+      guard: (property) => {
+        if (!property.documentsValidated) return "All documents must be validated first";
+        if (!property.paymentCompleted) return "Payment must be completed first";
+        return null;
+      },
+      apply: (property, { user, notes }) => {
+        property.reviewedBy = user._id;
+        property.reviewNotes = notes || "";
+      },
+      // Issue the signed title certificate for the approved owner
+      after: async (property, { user, session }) => ({
+        certificate: await CertificateService.issueCertificate(property._id, {
+          reason: "registration",
+          issuedBy: user,
+          session,
+        }),
+      }),
+    },
+    reject: {
+      label: "Reject",
+      from: ["pending", "documents_pending", "documents_validated", "payment_pending", "payment_completed", "under_review"],
+      to: "rejected",
+      roles: OFFICERS,
+      logAction: "application_rejected",
+      notes: "Property registration rejected",
+      apply: (property, { user, notes }) => {
+        property.reviewedBy = user._id;
+        property.reviewNotes = notes || "";
+      },
+    },
+    resubmit: {
+      label: "Resubmit",
+      from: ["rejected"],
+      to: "pending",
+      roles: ["owner"],
+      logAction: "application_updated",
+      notes: "Property information updated and resubmitted",
+    },
+    // Ordered by a confirmed dispute resolution action (see DisputeResolutionService)
+    reverify_documents: {
+      label: "Re-verify documents",
+      from: ["documents_validated", "payment_pending", "payment_completed", "under_review", "approved"],
+      to: "under_review",
+      roles: OFFICERS,
+      logAction: "documents_reverification_ordered",
+      notes: "Documents sent back for re-verification",
+      apply: (property) => {
+        property.documentsValidated = false;
+      },
+    },
+    void: {
+      label: "Void registration",
+      from: ["pending", "documents_pending", "documents_validated", "payment_pending", "payment_completed", "under_review", "approved"],
+      to: "void",
+      roles: ["admin"],
+      logAction: "registration_voided",
+      notes: "Property registration voided",
+      apply: (property, { user, notes }) => {
+        property.reviewedBy = user._id;
+        property.reviewNotes = notes || "";
+      },
+      // A void registration has no valid title certificate
+      after: async (property, { user, notes, session }) => ({
+        certificatesRevoked: await CertificateService.revokePropertyCertificates(property._id, {
+          reason: notes || "Registration voided",
+          revokedBy: user,
+          session,
+        }),
+      }),
+    },
+    // Applied by ParcelChangeService when an approved subdivision or merge replaces the plot
+    retire: {
+      label: "Retire plot",
+      from: ["approved"],
+      to: "retired",
+      roles: OFFICERS,
+      logAction: "parcel_retired",
+      notes: "Plot retired by a subdivision or merge",
+      // The plot no longer exists as a unit of title
+      after: async (property, { user, notes, session }) => ({
+        certificatesRevoked: await CertificateService.revokePropertyCertificates(property._id, {
+          reason: notes || "Plot retired",
+          revokedBy: user,
+          session,
+        }),
+      }),
+    },
+  },
+};
+
+export const TRANSFER_WORKFLOW = {
+  name: "transfer",
+  label: "transfer",
+  initialStatus: "awaiting_recipient",
+  ownerOf: (transfer) => transfer.previousOwner,
+  recipientOf: (transfer) => transfer.newOwner,
+  propertyOf: (transfer) => transfer.property,
+  metadataKey: "transferId",
+  timeline: true,
+  transitions: {
+    accept: {
+      label: "Accept",
+      from: ["awaiting_recipient"],
+      to: "initiated",
+      roles: ["recipient"],
+      logAction: "transfer_accepted",
+      timelineAction: "Transfer accepted by new owner",
+      notes: "New owner accepted the transfer",
+      guard: (transfer) =>
+        isConsentExpired(transfer) ? "The period for accepting this transfer has ended" : null,
+      apply: (transfer, { notes }) => {
+        transfer.recipientConsent.status = "accepted";
+        transfer.recipientConsent.respondedAt = new Date();
+        transfer.recipientConsent.notes = notes;
+      },
+    },
+    decline: {
+      label: "Decline",
+      from: ["awaiting_recipient"],
+      to: "declined",
+      roles: ["recipient"],
+      logAction: "transfer_declined",
+      timelineAction: "Transfer declined by new owner",
+      notes: "New owner declined the transfer",
+      apply: (transfer, { notes }) => {
+        transfer.recipientConsent.status = "declined";
+        transfer.recipientConsent.respondedAt = new Date();
+        transfer.recipientConsent.notes = notes;
+      },
+      after: releaseCurrentTransfer,
+    },
+    expire: {
+      label: "Expire",
+      from: ["awaiting_recipient"],
+      to: "expired",
+      roles: ["system"],
+      logAction: "transfer_expired",
+      timelineAction: "Transfer expired without a response from the new owner",
+      notes: "The new owner did not respond in time",
+      guard: (transfer) => (isConsentExpired(transfer) ? null : "The acceptance period has not ended"),
+      apply: (transfer) => {
+        transfer.recipientConsent.status = "expired";
+      },
+      after: releaseCurrentTransfer,
+    },
+    submit_documents: {
+      label: "Upload documents",
+      from: ["initiated", "documents_pending"],
+      to: "under_review",
+      roles: ["owner"],
+      logAction: "transfer_documents_uploaded",
+      timelineAction: "Transfer documents uploaded",
+    },
+    approve_documents: {
+      label: "Approve documents",
+      from: ["under_review", "documents_submitted"],
+      to: "compliance_check",
+      roles: OFFICERS,
+      logAction: "transfer_documents_reviewed",
+      timelineAction: "All documents approved",
+      notes: "All transfer documents have been approved",
+    },
+    request_documents: {
+      label: "Request document revisions",
+      from: ["under_review", "documents_submitted", "compliance_check"],
+      to: "documents_pending",
+      roles: OFFICERS,
+      logAction: "transfer_documents_reviewed",
+      timelineAction: "Document review completed with issues",
+      notes: "Some documents need revision",
+    },
+    record_compliance: {
+      label: "Record compliance checks",
+      from: ["under_review", "documents_submitted", "compliance_check"],
+      to: "compliance_check",
+      roles: OFFICERS,
+      logAction: "transfer_compliance_checked",
+      timelineAction: "Compliance checks performed",
+    },
+    approve: {
+      label: "Approve",
+      from: ["under_review", "documents_submitted", "compliance_check"],
+      to: "approved",
+      roles: OFFICERS,
+      logAction: "transfer_approved",
+      timelineAction: "Transfer approved",
+      notes: "Transfer approved by land officer",
+      guard: (transfer) => {
+        const failed = Object.entries(FAILED_COMPLIANCE).filter(
+          ([check, failedStatus]) => transfer.complianceChecks?.[check]?.status === failedStatus
+        );
+        if (failed.length) {
+          return `Compliance checks failed: ${failed.map(([check]) => check).join(", ")}`;
+        }
+
+        const outstanding = getOutstandingTransferFees(transfer);
+        return outstanding.length ? `Transfer fees not paid or waived: ${outstanding.join(", ")}` : null;
+      },
+    },
+    reject: {
+      label: "Reject",
+      from: ["initiated", "documents_pending", "documents_submitted", "under_review", "compliance_check", "approved"],
+      to: "rejected",
+      roles: OFFICERS,
+      logAction: "transfer_rejected",
+      timelineAction: "Transfer rejected",
+      notes: "Transfer rejected by land officer",
+      apply: (transfer, { notes }) => {
+        transfer.rejectionReason = notes || transfer.rejectionReason;
+      },
+      after: releaseCurrentTransfer,
+    },
+    cancel: {
+      label: "Cancel",
+      from: ["awaiting_recipient", "initiated", "documents_pending", "under_review"],
+      to: "cancelled",
+      roles: ["owner"],
+      logAction: "transfer_cancelled",
+      timelineAction: "Transfer cancelled by previous owner",
+      notes: "Transfer cancelled by previous owner",
+      after: releaseCurrentTransfer,
+    },
+    complete: {
+      label: "Complete transfer",
+      from: ["approved"],
+      to: "completed",
+      roles: ["admin"],
+      logAction: "transfer_completed",
+      timelineAction: "Transfer completed - ownership changed",
+      notes: "Property ownership successfully transferred",
+      apply: (transfer) => {
+        transfer.completionDate = new Date();
+      },
+    },
+  },
+};
+
+export const DISPUTE_WORKFLOW = {
+  name: "dispute",
+  label: "dispute",
+  initialStatus: "submitted",
+  ownerOf: (dispute) => dispute.disputant,
+  propertyOf: (dispute) => dispute.property,
+  metadataKey: "disputeId",
+  timeline: true,
+  transitions: {
+    start_review: {
+      label: "Start review",
+      from: ["submitted"],
+      to: "under_review",
+      roles: OFFICERS,
+      logAction: "dispute_under_review",
+      timelineAction: "Status updated to under_review",
+    },
+    investigate: {
+      label: "Start investigation",
+      from: ["submitted", "under_review", "mediation"],
+      to: "investigation",
+      roles: OFFICERS,
+      logAction: "dispute_investigation_started",
+      timelineAction: "Status updated to investigation",
+    },
+    mediate: {
+      label: "Start mediation",
+      from: ["under_review", "investigation"],
+      to: "mediation",
+      roles: OFFICERS,
+      logAction: "dispute_mediation_started",
+      timelineAction: "Status updated to mediation",
+    },
+    resolve: {
+      label: "Resolve",
+      from: ["under_review", "investigation", "mediation"],
+      to: "resolved",
+      roles: OFFICERS,
+      logAction: "dispute_resolved",
+      requires: ["decision"],
+      guard: (dispute, { params = {} }) => (params.decision ? null : "A resolution decision is required"),
+      apply: (dispute, { user, params = {}, notes }) => {
+        dispute.resolution = {
+          decision: params.decision,
+          resolutionNotes: notes,
+          resolvedBy: user._id,
+          resolutionDate: new Date(),
+          actionRequired: params.actionRequired || "",
+        };
+      },
+      timelineAction: (dispute, { params = {} }) => `Dispute resolved with decision: ${params.decision}`,
+      after: releaseDisputeFlag,
+    },
+    reject: {
+      label: "Reject",
+      from: ["submitted", "under_review", "investigation", "mediation"],
+      to: "rejected",
+      roles: OFFICERS,
+      logAction: "dispute_rejected",
+      timelineAction: "Status updated to rejected",
+      after: releaseDisputeFlag,
+    },
+    withdraw: {
+      label: "Withdraw",
+      from: ["submitted", "under_review", "investigation"],
+      to: "withdrawn",
+      roles: ["owner"],
+      logAction: "dispute_withdrawn",
+      timelineAction: "Dispute withdrawn by disputant",
+      notes: "Dispute withdrawn by user",
+      after: releaseDisputeFlag,
+    },
+  },
+};
+
+export const PARCEL_CHANGE_WORKFLOW = {
+  name: "parcelChange",
+  label: "parcel change",
+  initialStatus: "pending",
+  ownerOf: (change) => change.owner,
+  propertyOf: (change) => change.parents[0],
+  metadataKey: "parcelChangeId",
+  timeline: true,
+  transitions: {
+    // Applied by ParcelChangeService.approve once the new plots are registered
+    approve: {
+      label: "Approve",
+      from: ["pending"],
+      to: "approved",
+      roles: OFFICERS,
+      logAction: "parcel_change_approved",
+      timelineAction: "Parcel change approved - new plots registered",
+      notes: "Parcel change approved by land officer",
+      guard: (change) =>
+        change.fee?.amount > 0 && change.fee.status === "pending"
+          ? "The parcel change fee has not been paid or waived"
+          : null,
+      apply: (change, { user, notes }) => {
+        change.reviewedBy = user._id;
+        change.reviewDate = new Date();
+        change.reviewNotes = notes || "";
+      },
+    },
+    reject: {
+      label: "Reject",
+      from: ["pending"],
+      to: "rejected",
+      roles: OFFICERS,
+      logAction: "parcel_change_rejected",
+      timelineAction: "Parcel change rejected",
+      notes: "Parcel change rejected by land officer",
+      apply: (change, { user, notes }) => {
+        change.reviewedBy = user._id;
+        change.reviewDate = new Date();
+        change.reviewNotes = notes || "";
+      },
+    },
+    cancel: {
+      label: "Cancel",
+      from: ["pending"],
+      to: "cancelled",
+      roles: ["owner"],
+      logAction: "parcel_change_cancelled",
+      timelineAction: "Parcel change cancelled by owner",
+      notes: "Parcel change cancelled by owner",
+    },
+  },
+};
+
+export const WORKFLOWS = {
+  property: PROPERTY_WORKFLOW,
+  transfer: TRANSFER_WORKFLOW,
+  dispute: DISPUTE_WORKFLOW,
+  parcelChange: PARCEL_CHANGE_WORKFLOW,
+};
+
+/**
+ * Whether a user is the owner party of a record (applicant, transferring owner, disputant or parcel owner)
+ * @param {Object} workflow - Workflow definition
+ * @param {Object} record - Record
+ * @param {Object} user - User
+ */
+export const isRecordOwner = (workflow, record, user) =>
+  Boolean(user) && idOf(workflow.ownerOf(record)) === idOf(user);
+
+/**
+ * Whether a user is the receiving party of a record (the new owner of a transfer)
+ * @param {Object} workflow - Workflow definition
+ * @param {Object} record - Record
+ * @param {Object} user - User
+ */
+export const isRecordRecipient = (workflow, record, user) =>
+  Boolean(user && workflow.recipientOf) && idOf(workflow.recipientOf(record)) === idOf(user);
@@ -0,0 +1,158 @@
+/**
+ * Account Service Test
+ * Tests password reset and email verification tokens, their links, delivery through
+ * the outbox and the verified-email rule for citizen submissions
+ */
+
+import { expect } from 'chai';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import AccountService, { TOKEN_LIFETIMES } from '../services/accountService.js';
+import User from '../models/User.js';
+import NotificationService from '../services/notificationService.js';
+import { outbox } from '../services/notificationChannels.js';
+import { requireVerifiedEmail } from '../middleware/auth.js';
+
+const citizen = { _id: '507f1f77bcf86cd799439012', email: 'citizen@example.com', role: 'user' };
+const officer = { _id: '507f1f77bcf86cd799439013', email: 'officer@example.com', role: 'landOfficer' };
+
+// Minimal Express response double
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const runMiddleware = (user) => {
+  const res = mockResponse();
+  let nextCalled = false;
+
+  requireVerifiedEmail({ user }, res, () => { nextCalled = true; });
+
+  return { res, nextCalled };
+};
+
+describe('Account Service', function() {
+  this.timeout(10000);
+
+  before(function() {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  describe('1. Tokens', function() {
+    it('should sign a token that expires after the purpose lifetime', function() {
+      const { token, jti } = AccountService.signToken(citizen, 'password_reset');
+      const claims = jwt.decode(token);
+
+      expect(claims.jti).to.equal(jti);
+      expect(claims.id).to.equal(citizen._id);
+      expect(claims.exp - claims.iat).to.equal(TOKEN_LIFETIMES.password_reset);
+    });
+
+    it('should give every token its own id', function() {
+      const first = AccountService.signToken(citizen, 'email_verification');
+      const second = AccountService.signToken(citizen, 'email_verification');
+
+      expect(first.jti).to.not.equal(second.jti);
+    });
+
+    it('should only accept a token for its own purpose', function() {
+      const { token } = AccountService.signToken(citizen, 'email_verification');
+
+      expect(AccountService.readToken(token, 'email_verification')).to.include({ email: citizen.email });
+      expect(AccountService.readToken(token, 'password_reset')).to.be.null;
+    });
+
+    it('should reject tampered and expired tokens', function() {
+      const { token } = AccountService.signToken(citizen, 'password_reset');
+      const expired = jwt.sign({ id: citizen._id, purpose: 'account_password_reset' }, process.env.JWT_SECRET, { expiresIn: -1 });
+
+      expect(AccountService.readToken(`${token}x`, 'password_reset')).to.be.null;
+      expect(AccountService.readToken(expired, 'password_reset')).to.be.null;
+    });
+  });
+
+  describe('2. Links and Delivery', function() {
+    const originalDirectory = outbox.directory;
+    const variables = {
+      NOTIFICATION_TRANSPORT: 'outbox',
+      FRONTEND_URL: 'https://citizens.example.com',
+      LANDOFFICER_FRONTEND_URL: 'https://officers.example.com'
+    };
+    const originalValues = {};
+
+    before(function() {
+      Object.entries(variables).forEach(([name, value]) => {
+        originalValues[name] = process.env[name];
+        process.env[name] = value;
+      });
+      outbox.directory = path.join(os.tmpdir(), `land-registry-outbox-account-test-${process.pid}`);
+    });
+
+    after(async function() {
+      await outbox.clear();
+      outbox.directory = originalDirectory;
+      Object.entries(originalValues).forEach(([name, value]) => {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      });
+    });
+
+    it('should link each role to its own frontend', function() {
+      expect(AccountService.getLink(citizen, 'password_reset', 'abc')).to.equal('https://citizens.example.com/reset-password?token=abc');
+      expect(AccountService.getLink(officer, 'email_verification', 'abc')).to.equal('https://officers.example.com/verify-email?token=abc');
+    });
+
+    it('should write account emails to the outbox', async function() {
+      const delivery = await NotificationService.sendAccountEmail(citizen, {
+        title: 'Reset your password',
+        message: 'Open this link: https://citizens.example.com/reset-password?token=abc'
+      });
+      const [email] = await outbox.read('email');
+
+      expect(delivery.status).to.equal('sent');
+      expect(email.to).to.equal(citizen.email);
+      expect(email.subject).to.equal('Reset your password');
+      expect(email.text).to.include('/reset-password?token=abc');
+    });
+  });
+
+  describe('3. Verified Email Rule', function() {
+    it('should stop unverified citizens', function() {
+      const { res, nextCalled } = runMiddleware({ ...citizen, emailVerified: false });
+
+      expect(nextCalled).to.be.false;
+      expect(res.statusCode).to.equal(403);
+      expect(res.body.emailVerificationRequired).to.be.true;
+    });
+
+    it('should let verified citizens and staff through', function() {
+      expect(runMiddleware({ ...citizen, emailVerified: true }).nextCalled).to.be.true;
+      expect(runMiddleware({ ...officer, emailVerified: false }).nextCalled).to.be.true;
+    });
+
+    it('should mark only citizen accounts created before the cutoff as verified', async function() {
+      const originalUpdateMany = User.updateMany;
+      const cutoff = new Date('2026-10-01T00:00:00Z');
+      let call;
+      User.updateMany = async (filter, update) => {
+        call = { filter, update };
+        return { modifiedCount: 12 };
+      };
+
+      try {
+        expect(await AccountService.grandfatherExistingAccounts(cutoff)).to.equal(12);
+      } finally {
+        User.updateMany = originalUpdateMany;
+      }
+
+      expect(call.filter).to.deep.equal({ role: 'user', emailVerified: { $ne: true }, createdAt: { $lt: cutoff } });
+      expect(call.update).to.deep.equal({ $set: { emailVerified: true } });
+    });
+  });
+});
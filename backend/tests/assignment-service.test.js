@@ -0,0 +1,60 @@
+/**
+ * Assignment Service Test
+ * Tests which land officer new property applications are routed to
+ */
+
+import { expect } from 'chai';
+import AssignmentService from '../services/assignmentService.js';
+
+const officers = [
+  { _id: '64b7f0c2a1b2c3d4e5f60701', fullName: 'Officer Bole A', assignedSubCities: ['Bole'] },
+  { _id: '64b7f0c2a1b2c3d4e5f60702', fullName: 'Officer Bole B', assignedSubCities: ['Bole', 'Yeka'] },
+  { _id: '64b7f0c2a1b2c3d4e5f60703', fullName: 'Officer Arada', assignedSubCities: ['Arada'] }
+];
+
+const workloads = (entries) => new Map(
+  Object.entries(entries).map(([id, [open, completed]]) => [id, { open, completed, byStatus: {} }])
+);
+
+describe('Assignment Service', function() {
+  describe('1. Officer Selection', function() {
+    it('should pick the least loaded officer covering the sub-city', function() {
+      const officer = AssignmentService.selectOfficer(officers, workloads({
+        '64b7f0c2a1b2c3d4e5f60701': [5, 0],
+        '64b7f0c2a1b2c3d4e5f60702': [2, 0],
+        '64b7f0c2a1b2c3d4e5f60703': [0, 0]
+      }), 'Bole');
+
+      expect(officer.fullName).to.equal('Officer Bole B');
+    });
+
+    it('should match sub-cities regardless of case and spacing', function() {
+      const officer = AssignmentService.selectOfficer(officers, workloads({}), ' arada ');
+
+      expect(officer.fullName).to.equal('Officer Arada');
+    });
+
+    it('should fall back to all officers when nobody covers the sub-city', function() {
+      const officer = AssignmentService.selectOfficer(officers, workloads({
+        '64b7f0c2a1b2c3d4e5f60701': [3, 0],
+        '64b7f0c2a1b2c3d4e5f60702': [1, 0],
+        '64b7f0c2a1b2c3d4e5f60703': [4, 0]
+      }), 'Lideta');
+
+      expect(officer.fullName).to.equal('Officer Bole B');
+    });
+
+    it('should break ties on open work by total assignments', function() {
+      const officer = AssignmentService.selectOfficer(officers, workloads({
+        '64b7f0c2a1b2c3d4e5f60701': [1, 10],
+        '64b7f0c2a1b2c3d4e5f60702': [1, 2]
+      }), 'Bole');
+
+      expect(officer.fullName).to.equal('Officer Bole B');
+    });
+
+    it('should return null when there are no land officers', function() {
+      expect(AssignmentService.selectOfficer([], workloads({}), 'Bole')).to.be.null;
+    });
+  });
+});
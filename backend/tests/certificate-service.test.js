@@ -0,0 +1,211 @@
+/**
+ * Certificate Service Test
+ * Tests certificate signing, signature checks, title details and PDF rendering
+ */
+
+import { expect } from 'chai';
+import crypto from 'crypto';
+import { PassThrough } from 'stream';
+import mongoose from 'mongoose';
+import CertificateService from '../services/certificateService.js';
+import WorkflowService from '../services/workflowService.js';
+import Property from '../models/Property.js';
+import { approveProperty } from '../controllers/propertyController.js';
+
+const buildProperty = () => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  plotNumber: 'PLT-001',
+  location: { subCity: 'Bole', kebele: '03' },
+  area: 200,
+  propertyType: 'residential',
+  registrationDate: new Date('2020-01-15T00:00:00Z'),
+  owner: { _id: '64b7f0c2a1b2c3d4e5f60720', fullName: 'Sara Tesfaye', nationalId: 'ETH000002' },
+  ownershipHistory: [
+    {
+      owner: { _id: '64b7f0c2a1b2c3d4e5f60719', fullName: 'Abebe Kebede' },
+      startDate: new Date('2020-01-15T00:00:00Z'),
+      endDate: new Date('2024-06-01T00:00:00Z'),
+      transferType: 'sale'
+    }
+  ]
+});
+
+const MORTGAGE = {
+  type: 'mortgage',
+  holder: { name: 'Commercial Bank of Ethiopia', holderType: 'bank', reference: 'LN-2024-0042' },
+  amount: { value: 1500000, currency: 'ETB' },
+  registrationDate: new Date('2024-07-01T00:00:00Z')
+};
+
+const buildCertificate = (encumbrances = []) => {
+  const property = buildProperty();
+  const fields = {
+    certificateNumber: 'LTC-2024-3F9A1C07',
+    property: property._id,
+    owner: property.owner._id,
+    details: CertificateService.buildDetails(property, encumbrances),
+    issuedAt: new Date('2024-06-01T10:00:00Z'),
+    status: 'valid'
+  };
+
+  return { ...fields, ...CertificateService.sign(fields) };
+};
+
+describe('Certificate Service', function() {
+  this.timeout(20000);
+
+  const originalKey = process.env.CERTIFICATE_SIGNING_KEY;
+
+  afterEach(function() {
+    if (originalKey === undefined) {
+      delete process.env.CERTIFICATE_SIGNING_KEY;
+    } else {
+      process.env.CERTIFICATE_SIGNING_KEY = originalKey;
+    }
+  });
+
+  describe('1. Title Details', function() {
+    it('should list previous owners followed by the current owner', function() {
+      const details = CertificateService.buildDetails(buildProperty());
+
+      expect(details.ownerName).to.equal('Sara Tesfaye');
+      expect(details.ownershipHistory.map(entry => entry.ownerName)).to.deep.equal(['Abebe Kebede', 'Sara Tesfaye']);
+      expect(details.ownershipHistory[1].startDate.toISOString()).to.equal('2024-06-01T00:00:00.000Z');
+      expect(details.ownershipHistory[1].endDate).to.be.null;
+    });
+
+    it('should list the active encumbrances', function() {
+      const details = CertificateService.buildDetails(buildProperty(), [MORTGAGE]);
+
+      expect(details.encumbrances).to.deep.equal([{
+        type: 'mortgage',
+        holderName: 'Commercial Bank of Ethiopia',
+        reference: 'LN-2024-0042',
+        amount: 1500000,
+        currency: 'ETB',
+        registrationDate: MORTGAGE.registrationDate
+      }]);
+    });
+  });
+
+  describe('2. Signatures', function() {
+    it('should sign certificates so the signature verifies', function() {
+      const certificate = buildCertificate();
+
+      expect(certificate.signatureAlgorithm).to.equal('Ed25519');
+      expect(certificate.keyId).to.equal(CertificateService.getPublicKey().keyId);
+      expect(CertificateService.hasValidSignature(certificate)).to.be.true;
+    });
+
+    it('should reject a certificate whose details were altered', function() {
+      const certificate = buildCertificate();
+      certificate.details = { ...certificate.details, area: 2000 };
+
+      expect(CertificateService.hasValidSignature(certificate)).to.be.false;
+    });
+
+    it('should cover the encumbrances in the signature', function() {
+      const certificate = buildCertificate([MORTGAGE]);
+      expect(CertificateService.hasValidSignature(certificate)).to.be.true;
+
+      certificate.details = { ...certificate.details, encumbrances: [] };
+      expect(CertificateService.hasValidSignature(certificate)).to.be.false;
+    });
+
+    it('should keep signing certificates without encumbrances as before they were recorded', function() {
+      const certificate = buildCertificate();
+      const { encumbrances, ...earlierDetails } = certificate.details;
+
+      expect(encumbrances).to.be.empty;
+      expect(CertificateService.getSignedPayload({ ...certificate, details: earlierDetails }))
+        .to.equal(CertificateService.getSignedPayload(certificate));
+    });
+
+    it('should let third parties verify with the published public key', function() {
+      const certificate = buildCertificate();
+      const { publicKey } = CertificateService.getPublicKey();
+
+      const verified = crypto.verify(
+        null,
+        Buffer.from(CertificateService.getSignedPayload(certificate)),
+        crypto.createPublicKey(publicKey),
+        Buffer.from(certificate.signature, 'base64')
+      );
+
+      expect(verified).to.be.true;
+    });
+
+    it('should sign with the configured key when one is set', function() {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      const derivedKeyId = CertificateService.getPublicKey().keyId;
+
+      process.env.CERTIFICATE_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+      expect(CertificateService.getPublicKey().keyId).to.not.equal(derivedKeyId);
+      expect(CertificateService.hasValidSignature(buildCertificate())).to.be.true;
+    });
+  });
+
+  describe('3. PDF', function() {
+    it('should render the certificate PDF', async function() {
+      const stream = new PassThrough();
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+
+      const certificate = buildCertificate([MORTGAGE]);
+      await CertificateService.writeCertificatePDF(certificate, stream, {
+        verificationUrl: CertificateService.getVerificationUrl(certificate, 'https://api.example.com')
+      });
+
+      const pdf = Buffer.concat(chunks);
+      expect(pdf.subarray(0, 5).toString()).to.equal('%PDF-');
+      expect(pdf.length).to.be.greaterThan(2000);
+    });
+  });
+
+  describe('4. Approval', function() {
+    const originals = {
+      startSession: mongoose.startSession,
+      findById: Property.findById,
+      transition: WorkflowService.transition
+    };
+
+    afterEach(function() {
+      mongoose.startSession = originals.startSession;
+      Property.findById = originals.findById;
+      WorkflowService.transition = originals.transition;
+    });
+
+    it('should approve and issue the certificate in one transaction', async function() {
+      const session = { inTransaction: false, ended: false };
+      session.withTransaction = async (callback) => {
+        session.inTransaction = true;
+        try {
+          await callback();
+        } finally {
+          session.inTransaction = false;
+        }
+      };
+      session.endSession = async () => { session.ended = true; };
+
+      let approvalContext;
+      mongoose.startSession = async () => session;
+      Property.findById = () => ({ session: async (used) => ({ _id: 'p1', readWith: used }) });
+      WorkflowService.transition = async (type, property, action, context) => {
+        approvalContext = { ...context, property, inTransaction: session.inTransaction };
+        throw new Error('Certificate signing key is missing');
+      };
+
+      const res = {};
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      await approveProperty({ params: { id: 'p1' }, body: {}, user: { _id: 'officer', role: 'landOfficer' } }, res);
+
+      expect(approvalContext.inTransaction).to.be.true;
+      expect(approvalContext.session).to.equal(session);
+      expect(approvalContext.property.readWith).to.equal(session);
+      expect(session.ended).to.be.true;
+      expect(res.statusCode).to.equal(500);
+    });
+  });
+});
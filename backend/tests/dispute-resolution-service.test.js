@@ -0,0 +1,120 @@
+/**
+ * Dispute Resolution Service Test
+ * Tests which resolution actions can be proposed for a dispute and applied to its property
+ */
+
+import { expect } from 'chai';
+import DisputeResolutionService from '../services/disputeResolutionService.js';
+
+const OWNER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const PREVIOUS_OWNER_ID = '64b7f0c2a1b2c3d4e5f60720';
+const HISTORY_ENTRY_ID = '64b7f0c2a1b2c3d4e5f60740';
+const CURRENT_ENTRY_ID = '64b7f0c2a1b2c3d4e5f60741';
+
+const buildProperty = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  owner: OWNER_ID,
+  status: 'approved',
+  area: 200,
+  location: {
+    kebele: '03',
+    subCity: 'Bole',
+    coordinates: { latitude: 9.01, longitude: 38.76 }
+  },
+  ownershipHistory: [
+    { _id: HISTORY_ENTRY_ID, owner: PREVIOUS_OWNER_ID, startDate: new Date('2020-01-01'), endDate: new Date('2023-01-01') },
+    { _id: CURRENT_ENTRY_ID, owner: OWNER_ID, startDate: new Date('2019-01-01'), endDate: new Date('2020-01-01') }
+  ],
+  ...overrides
+});
+
+const buildDispute = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60750',
+  property: '64b7f0c2a1b2c3d4e5f60718',
+  status: 'resolved',
+  resolution: { decision: 'in_favor_of_disputant' },
+  resolutionActions: [],
+  ...overrides
+});
+
+describe('Dispute Resolution Service', function() {
+  describe('1. Data Corrections', function() {
+    it('should only list fields whose value changes', function() {
+      const corrections = DisputeResolutionService.getDataCorrections(buildProperty(), {
+        area: 180,
+        location: { kebele: '03', subCity: ' Yeka ', coordinates: { latitude: 9.02 } }
+      });
+
+      expect(corrections).to.deep.equal({
+        area: 180,
+        'location.subCity': 'Yeka',
+        'location.coordinates.latitude': 9.02
+      });
+    });
+
+    it('should refuse a correction that changes nothing', function() {
+      const error = DisputeResolutionService.checkAction(buildProperty(), 'correct_property_data', {
+        area: 200,
+        location: { subCity: 'Bole' }
+      });
+
+      expect(error).to.equal('The corrected values match the recorded property data');
+    });
+  });
+
+  describe('2. Action Checks', function() {
+    it('should revert ownership only to another owner on record', function() {
+      const property = buildProperty();
+
+      expect(DisputeResolutionService.checkAction(property, 'revert_ownership', {
+        ownershipHistoryEntry: HISTORY_ENTRY_ID
+      })).to.be.null;
+      expect(DisputeResolutionService.checkAction(property, 'revert_ownership', {
+        ownershipHistoryEntry: CURRENT_ENTRY_ID
+      })).to.equal('The property is already owned by that owner');
+      expect(DisputeResolutionService.checkAction(property, 'revert_ownership', {
+        ownershipHistoryEntry: '64b7f0c2a1b2c3d4e5f60799'
+      })).to.equal('Ownership history entry not found');
+    });
+
+    it('should refuse to void a registration twice', function() {
+      expect(DisputeResolutionService.checkAction(buildProperty(), 'void_registration')).to.be.null;
+      expect(DisputeResolutionService.checkAction(buildProperty({ status: 'void' }), 'void_registration'))
+        .to.equal('Cannot void a registration that is void');
+    });
+
+    it('should refuse any action while the property has a transfer in progress', function() {
+      const property = buildProperty({ currentTransfer: '64b7f0c2a1b2c3d4e5f60730' });
+
+      expect(DisputeResolutionService.checkAction(property, 'reverify_documents'))
+        .to.equal('The property has a transfer in progress');
+    });
+  });
+
+  describe('3. Proposals', function() {
+    it('should only accept proposals for disputes resolved in the disputant\'s favour or by compromise', function() {
+      const property = buildProperty();
+
+      expect(DisputeResolutionService.checkProposal(buildDispute(), property, 'void_registration')).to.be.null;
+      expect(DisputeResolutionService.checkProposal(
+        buildDispute({ resolution: { decision: 'compromise' } }), property, 'void_registration'
+      )).to.be.null;
+      expect(DisputeResolutionService.checkProposal(
+        buildDispute({ resolution: { decision: 'dismissed' } }), property, 'void_registration'
+      ).statusCode).to.equal(400);
+      expect(DisputeResolutionService.checkProposal(
+        buildDispute({ status: 'mediation' }), property, 'void_registration'
+      ).message).to.equal('Resolution actions can only be proposed for resolved disputes');
+    });
+
+    it('should refuse a second proposal of the same action while one awaits confirmation', function() {
+      const dispute = buildDispute({
+        resolutionActions: [{ type: 'reverify_documents', status: 'proposed' }]
+      });
+
+      expect(DisputeResolutionService.checkProposal(dispute, buildProperty(), 'reverify_documents').message)
+        .to.equal('A re-verify documents action is already awaiting confirmation');
+      expect(DisputeResolutionService.checkProposal(dispute, buildProperty(), 'void_registration')).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Encumbrance Service Test
+ * Tests which encumbrances block changes to a property and which are only flagged
+ */
+
+import { expect } from 'chai';
+import EncumbranceService from '../services/encumbranceService.js';
+
+const buildEncumbrance = (type, blocking, holderName) => ({
+  type,
+  blocking,
+  status: 'active',
+  holder: { name: holderName, holderType: 'other' }
+});
+
+describe('Encumbrance Service', function() {
+  describe('1. Blocking Checks', function() {
+    it('should allow changes to an unencumbered property', function() {
+      const check = EncumbranceService.checkEncumbrances([], 'transfer');
+
+      expect(check.blocked).to.be.false;
+      expect(check.message).to.be.null;
+      expect(check.warnings).to.be.empty;
+    });
+
+    it('should block changes while a blocking encumbrance is active and name its holder', function() {
+      const check = EncumbranceService.checkEncumbrances([
+        buildEncumbrance('mortgage', true, 'Commercial Bank of Ethiopia'),
+        buildEncumbrance('court_injunction', true, 'Federal First Instance Court')
+      ], 'transfer');
+
+      expect(check.blocked).to.be.true;
+      expect(check.message).to.equal(
+        'Cannot transfer a property with active encumbrances: Mortgage held by Commercial Bank of Ethiopia, ' +
+        'Court injunction held by Federal First Instance Court'
+      );
+    });
+
+    it('should only flag non-blocking encumbrances', function() {
+      const check = EncumbranceService.checkEncumbrances([
+        buildEncumbrance('lease', false, 'Abebe Kebede')
+      ], 'subdivide');
+
+      expect(check.blocked).to.be.false;
+      expect(check.warnings).to.deep.equal(['Lease held by Abebe Kebede']);
+    });
+
+    it('should follow the blocking flag recorded on the encumbrance rather than its type', function() {
+      const check = EncumbranceService.checkEncumbrances([
+        buildEncumbrance('mortgage', false, 'Awash Bank'),
+        buildEncumbrance('easement', true, 'Addis Ababa City Roads Authority')
+      ], 'transfer');
+
+      expect(check.blocked).to.be.true;
+      expect(check.message).to.include('Easement held by Addis Ababa City Roads Authority');
+      expect(check.warnings).to.deep.equal(['Mortgage held by Awash Bank']);
+    });
+  });
+});
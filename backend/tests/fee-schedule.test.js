@@ -0,0 +1,209 @@
+/**
+ * Fee Schedule Test
+ * Tests that fee calculations use the schedule in force and report its version
+ */
+
+import { expect } from 'chai';
+import PaymentCalculationService, { DEFAULT_FEE_SCHEDULE } from '../services/paymentCalculationService.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+
+const mockProperty = {
+  _id: '507f1f77bcf86cd799439011',
+  plotNumber: 'TEST-001',
+  area: 500,
+  propertyType: 'residential',
+  location: {
+    kebele: 'Test Kebele',
+    subCity: 'Bole'
+  },
+  registrationDate: new Date('2025-01-15')
+};
+
+const revisedSchedule = {
+  ...DEFAULT_FEE_SCHEDULE,
+  _id: '507f1f77bcf86cd799439077',
+  version: 2,
+  effectiveFrom: new Date('2025-06-01'),
+  processingFee: 700,
+  transfer: { taxRate: 0.02, processingFee: 400 }
+};
+
+describe('Fee Schedule Calculations', function() {
+  this.timeout(10000);
+
+  describe('1. Registration Fees', function() {
+    it('should fall back to the default schedule without a database', async function() {
+      const calculation = await PaymentCalculationService.calculateRegistrationFee(mockProperty);
+
+      expect(calculation.summary.totalAmount).to.equal(DEFAULT_FEE_SCHEDULE.processingFee);
+      expect(calculation.feeSchedule.version).to.equal(1);
+    });
+
+    it('should price with the supplied schedule and report its version', async function() {
+      const calculation = await PaymentCalculationService.calculateRegistrationFee(mockProperty, null, {
+        feeSchedule: revisedSchedule
+      });
+
+      expect(calculation.summary.processingFee).to.equal(700);
+      expect(calculation.summary.totalAmount).to.equal(700);
+      expect(calculation.feeSchedule).to.deep.equal({
+        id: revisedSchedule._id,
+        version: 2,
+        effectiveFrom: revisedSchedule.effectiveFrom
+      });
+    });
+
+    it('should apply the schedule discount rates', async function() {
+      const calculation = await PaymentCalculationService.calculateRegistrationFee(mockProperty, null, {
+        feeSchedule: { ...revisedSchedule, discounts: { ...revisedSchedule.discounts, veteran: 0.5 } },
+        isVeteran: true
+      });
+
+      expect(calculation.summary.discountAmount).to.equal(350);
+      expect(calculation.summary.totalAmount).to.equal(350);
+    });
+  });
+
+  describe('2. Transfer Fees', function() {
+    it('should use the transfer rates of the schedule', async function() {
+      const calculation = await PaymentCalculationService.calculateTransferFee(mockProperty, 100000, {
+        feeSchedule: revisedSchedule
+      });
+
+      expect(calculation.breakdown.transferTax).to.equal(2000);
+      expect(calculation.breakdown.stampDuty).to.equal(500);
+      expect(calculation.breakdown.processingFee).to.equal(400);
+      expect(calculation.summary.totalAmount).to.equal(2900);
+      expect(calculation.feeSchedule.version).to.equal(2);
+    });
+
+    it('should keep the original transfer pricing in the default schedule', async function() {
+      const calculation = await PaymentCalculationService.calculateTransferFee(mockProperty, 100000);
+
+      expect(calculation.summary.totalAmount).to.equal(3000 + 500 + 300);
+    });
+  });
+
+  describe('3. Parcel Change Fees', function() {
+    it('should charge a processing fee plus a fee per parcel', async function() {
+      const calculation = await PaymentCalculationService.calculateParcelChangeFee('subdivide', 3, {
+        feeSchedule: revisedSchedule
+      });
+
+      expect(calculation.breakdown.parcelFee).to.equal(750);
+      expect(calculation.breakdown.processingFee).to.equal(800);
+      expect(calculation.summary.totalAmount).to.equal(1550);
+      expect(calculation.feeSchedule.version).to.equal(2);
+    });
+
+    it('should price merges with their own rates', async function() {
+      const calculation = await PaymentCalculationService.calculateParcelChangeFee('merge', 2, {
+        feeSchedule: {
+          ...revisedSchedule,
+          parcelChange: { ...DEFAULT_FEE_SCHEDULE.parcelChange, merge: { processingFee: 500, perParcelFee: 100 } }
+        }
+      });
+
+      expect(calculation.summary.totalAmount).to.equal(700);
+    });
+
+    it('should fall back to the default rates for schedules without them', async function() {
+      const { parcelChange, ...olderSchedule } = revisedSchedule;
+      const calculation = await PaymentCalculationService.calculateParcelChangeFee('merge', 2, {
+        feeSchedule: olderSchedule
+      });
+
+      expect(parcelChange).to.exist;
+      expect(calculation.summary.totalAmount).to.equal(600 + 2 * 150);
+    });
+  });
+
+  describe('4. Schedule Versions', function() {
+    const originalMethods = {
+      findOne: FeeSchedule.findOne,
+      create: FeeSchedule.create,
+      updateOne: FeeSchedule.updateOne
+    };
+
+    afterEach(function() {
+      Object.assign(FeeSchedule, originalMethods);
+    });
+
+    it('should accept partial rate changes', function() {
+      const errors = PaymentCalculationService.validateFeeScheduleChanges({
+        baseFees: { commercial: { urban: 6000 } },
+        taxRates: { stamp: 0.01 },
+        transfer: { taxRate: 0.025 },
+        parcelChange: { merge: { perParcelFee: 200 } },
+        locationMultipliers: { Gondar: 1.1 },
+        discounts: { veteran: 0.2 }
+      });
+
+      expect(errors).to.be.empty;
+    });
+
+    it('should reject unknown rates and out-of-range values', function() {
+      const errors = PaymentCalculationService.validateFeeScheduleChanges({
+        baseFees: { castle: { urban: 1 }, commercial: { urban: -5 } },
+        taxRates: { stamp: 2 },
+        transfer: { processingFee: 100 },
+        discounts: { veteran: '0.2' },
+        locationMultipliers: []
+      });
+
+      expect(errors.map((error) => error.path)).to.have.members([
+        'baseFees.castle',
+        'baseFees.commercial.urban',
+        'taxRates.stamp',
+        'transfer.processingFee',
+        'discounts.veteran',
+        'locationMultipliers'
+      ]);
+    });
+
+    it('should change one rate and keep the others', function() {
+      const merged = PaymentCalculationService.mergeFeeSchedule(DEFAULT_FEE_SCHEDULE, {
+        baseFees: { commercial: { urban: 6000 } },
+        discounts: { veteran: 0.2 }
+      });
+
+      expect(merged.baseFees.commercial).to.deep.equal({ urban: 6000, rural: 3000 });
+      expect(merged.baseFees.residential).to.deep.equal(DEFAULT_FEE_SCHEDULE.baseFees.residential);
+      expect(merged.discounts).to.deep.equal({ ...DEFAULT_FEE_SCHEDULE.discounts, veteran: 0.2 });
+      expect(merged.transfer).to.deep.equal(DEFAULT_FEE_SCHEDULE.transfer);
+    });
+
+    it('should only report real changes', function() {
+      expect(PaymentCalculationService.changesFeeSchedule(DEFAULT_FEE_SCHEDULE, {
+        processingFee: DEFAULT_FEE_SCHEDULE.processingFee,
+        baseFees: { commercial: { urban: 5000 } }
+      })).to.be.false;
+      expect(PaymentCalculationService.changesFeeSchedule(DEFAULT_FEE_SCHEDULE, {
+        areaMultipliers: { industrial: { rural: 2.5 } }
+      })).to.be.true;
+    });
+
+    it('should take the next free version when another save wins the race', async function() {
+      const versions = [2, 3];
+      const created = [];
+
+      FeeSchedule.updateOne = async () => ({});
+      FeeSchedule.findOne = () => ({
+        sort: () => ({ lean: async () => ({ ...DEFAULT_FEE_SCHEDULE, version: versions.shift() }) })
+      });
+      FeeSchedule.create = async (schedule) => {
+        created.push(schedule.version);
+        if (schedule.version === 3) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        return schedule;
+      };
+
+      const schedule = await PaymentCalculationService.createFeeScheduleVersion({ discounts: { veteran: 0.2 } });
+
+      expect(created).to.deep.equal([3, 4]);
+      expect(schedule.version).to.equal(4);
+      expect(schedule.discounts.veteran).to.equal(0.2);
+    });
+  });
+});
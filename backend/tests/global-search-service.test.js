@@ -0,0 +1,72 @@
+/**
+ * Global Search Service Test
+ * Tests query parsing, typo tolerance, relevance scoring and per-role search types
+ */
+
+import { expect } from 'chai';
+import GlobalSearchService, { SEARCH_TYPES } from '../services/globalSearchService.js';
+
+describe('Global Search Service', function() {
+  describe('1. Query Terms', function() {
+    it('should split a query into unique lower-case terms', function() {
+      expect(GlobalSearchService.tokenize('BL-001 Bole bole')).to.deep.equal(['bl', '001', 'bole']);
+    });
+
+    it('should keep Amharic words', function() {
+      expect(GlobalSearchService.tokenize('ቦሌ 03')).to.deep.equal(['ቦሌ', '03']);
+    });
+  });
+
+  describe('2. Typo Tolerance', function() {
+    it('should count single-character edits', function() {
+      expect(GlobalSearchService.editDistance('kirkos', 'kirkos')).to.equal(0);
+      expect(GlobalSearchService.editDistance('kirkos', 'kirkoz')).to.equal(1);
+      expect(GlobalSearchService.editDistance('arada', 'arda')).to.equal(1);
+      expect(GlobalSearchService.editDistance('yeka', 'bole')).to.equal(4);
+    });
+
+    it('should match a misspelt word with the fuzzy pattern', function() {
+      const pattern = new RegExp(GlobalSearchService.fuzzyPattern('kirkoz'), 'i');
+
+      expect(pattern.test('Kirkos')).to.be.true;
+      expect(new RegExp(GlobalSearchService.fuzzyPattern('arda'), 'i').test('Arada')).to.be.true;
+      expect(new RegExp(GlobalSearchService.fuzzyPattern('bolle'), 'i').test('Bole')).to.be.true;
+      expect(pattern.test('Yeka')).to.be.false;
+    });
+
+    it('should not allow typos in short terms', function() {
+      expect(GlobalSearchService.fuzzyPattern('bl')).to.equal('bl');
+      expect(GlobalSearchService.fuzzyPattern('a.b')).to.equal('a\\.b');
+    });
+  });
+
+  describe('3. Relevance Scoring', function() {
+    it('should rank exact, prefix and misspelt matches in that order', function() {
+      const score = (value) => GlobalSearchService.scoreFields(['bole'], [{ value, weight: 1 }]).score;
+
+      expect(score('Bole')).to.be.above(score('Bolevard'));
+      expect(score('Bolevard')).to.be.above(score('Bale'));
+      expect(score('Bale')).to.be.above(0);
+      expect(score('Yeka')).to.equal(0);
+    });
+
+    it('should weight fields and report the best matching value', function() {
+      const result = GlobalSearchService.scoreFields(['bl', '001'], [
+        { value: 'BL-001', weight: 5 },
+        { value: 'Bole', weight: 2 }
+      ]);
+
+      expect(result.bestValue).to.equal('BL-001');
+      expect(result.score).to.equal(10);
+    });
+  });
+
+  describe('4. Role Filtering', function() {
+    it('should only let admins search users', function() {
+      expect(GlobalSearchService.typesFor('admin')).to.deep.equal(SEARCH_TYPES);
+      expect(GlobalSearchService.typesFor('landOfficer')).to.not.include('user');
+      expect(GlobalSearchService.typesFor('user', 'user')).to.deep.equal([]);
+      expect(GlobalSearchService.typesFor('user', 'payment')).to.deep.equal(['payment']);
+    });
+  });
+});
@@ -16,21 +16,18 @@ describe('Local Fixes Verification', function() {
   this.timeout(10000);
 
   describe('1. Authentication Controller Fixes', function() {
-    it('should have fixed role assignment in registration', async function() {
+    it('should only create citizens through public registration', async function() {
       const authControllerPath = join(backendDir, 'controllers', 'authController.js');
       const content = fs.readFileSync(authControllerPath, 'utf8');
       
-      // Check that role is extracted from request body
-      expect(content).to.include('const { fullName, email, password, phoneNumber, nationalId, role } = req.body;');
+      // Check that the role is not taken from the request body
+      expect(content).to.include('const { fullName, email, password, phoneNumber, nationalId } = req.body;');
+      expect(content).to.not.include('const userRole = role && validRoles.includes(role) ? role : "user";');
       
-      // Check that role validation is implemented
-      expect(content).to.include('const validRoles = ["user", "landOfficer", "admin"];');
-      expect(content).to.include('const userRole = role && validRoles.includes(role) ? role : "user";');
+      // Check that registration always creates a citizen
+      expect(content).to.include('role: "user",');
       
-      // Check that role is used in user creation
-      expect(content).to.include('role: userRole,');
-      
-      console.log('✅ Role assignment fix verified in authController.js');
+      console.log('✅ Registration role fix verified in authController.js');
     });
 
     it('should have fixed JWT token generation to include role', async function() {
@@ -42,8 +39,8 @@ describe('Local Fixes Verification', function() {
       expect(content).to.include('email: user.email,');
       expect(content).to.include('fullName: user.fullName');
       
-      // Check that generateToken is called with user object
-      expect(content).to.include('token: generateToken(user),');
+      // Check that sessions are issued for the user object
+      expect(content).to.include('...(await issueSession(req, user)),');
       
       console.log('✅ JWT token generation fix verified in authController.js');
     });
@@ -0,0 +1,211 @@
+/**
+ * Notification Channels Test
+ * Tests channel selection, the outbox transport and delivery retries
+ */
+
+import { expect } from 'chai';
+import os from 'os';
+import path from 'path';
+import {
+  OutboxTransport,
+  EmailChannel,
+  SmsChannel,
+  resolveChannels,
+  deliverWithRetry
+} from '../services/notificationChannels.js';
+import NotificationService, { STALE_DELIVERY_MINUTES } from '../services/notificationService.js';
+import { requireCronSecret } from '../middleware/auth.js';
+
+const mockRecipient = {
+  _id: '507f1f77bcf86cd799439012',
+  fullName: 'Test User',
+  email: 'testuser@example.com',
+  phoneNumber: '+251911234567'
+};
+
+// Run requireCronSecret with an optional Authorization header
+const runCronCheck = (authorization) => {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  let nextCalled = false;
+
+  requireCronSecret({ header: () => authorization }, res, () => { nextCalled = true; });
+
+  return { res, nextCalled };
+};
+
+const mockNotification = {
+  _id: '507f1f77bcf86cd799439099',
+  type: 'payment_required',
+  title: 'Payment Required for Property Registration',
+  message: 'Payment of 5000 ETB is required.',
+  actionUrl: '/property/507f1f77bcf86cd799439011/payment'
+};
+
+describe('Notification Channels', function() {
+  this.timeout(10000);
+
+  const outbox = new OutboxTransport(path.join(os.tmpdir(), `land-registry-outbox-test-${process.pid}`));
+  const originalTransport = process.env.NOTIFICATION_TRANSPORT;
+
+  before(function() {
+    process.env.NOTIFICATION_TRANSPORT = 'outbox';
+  });
+
+  afterEach(async function() {
+    await outbox.clear();
+  });
+
+  after(function() {
+    if (originalTransport === undefined) {
+      delete process.env.NOTIFICATION_TRANSPORT;
+    } else {
+      process.env.NOTIFICATION_TRANSPORT = originalTransport;
+    }
+  });
+
+  describe('1. Channel Selection', function() {
+    it('should follow the admin toggles', function() {
+      const channels = resolveChannels(
+        { emailNotifications: true, smsNotifications: false, pushNotifications: true },
+        { inApp: true, email: true, sms: true }
+      );
+
+      expect(channels).to.deep.equal(['inApp', 'email']);
+    });
+
+    it('should honour user opt-outs', function() {
+      const channels = resolveChannels(
+        { emailNotifications: true, smsNotifications: true, pushNotifications: true },
+        { inApp: true, email: false, sms: true }
+      );
+
+      expect(channels).to.deep.equal(['inApp', 'sms']);
+    });
+
+    it('should only send SMS to users who opted in', function() {
+      const channels = resolveChannels(
+        { emailNotifications: true, smsNotifications: true, pushNotifications: true },
+        {}
+      );
+
+      expect(channels).to.deep.equal(['inApp', 'email']);
+    });
+  });
+
+  describe('2. Outbox Transport', function() {
+    it('should write email and SMS messages to the outbox', async function() {
+      await deliverWithRetry(new EmailChannel(outbox), mockRecipient, mockNotification);
+      await deliverWithRetry(new SmsChannel(outbox), mockRecipient, mockNotification);
+
+      const emails = await outbox.read('email');
+      const messages = await outbox.read('sms');
+
+      expect(emails).to.have.length(1);
+      expect(emails[0].to).to.equal(mockRecipient.email);
+      expect(emails[0].subject).to.equal(mockNotification.title);
+      expect(emails[0].text).to.include(mockNotification.actionUrl);
+
+      expect(messages).to.have.length(1);
+      expect(messages[0].to).to.equal(mockRecipient.phoneNumber);
+      expect(messages[0].text).to.include(mockNotification.message);
+    });
+
+    it('should return an empty list for an unused channel', async function() {
+      expect(await outbox.read('sms')).to.deep.equal([]);
+    });
+  });
+
+  describe('3. Delivery Retries', function() {
+    it('should retry a failing channel until it succeeds', async function() {
+      let calls = 0;
+      const flakyChannel = {
+        name: 'email',
+        canDeliver: () => true,
+        send: async () => {
+          calls++;
+          if (calls < 3) throw new Error('SMTP connection refused');
+          return { messageId: 'msg-1' };
+        }
+      };
+
+      const delivery = await deliverWithRetry(flakyChannel, mockRecipient, mockNotification, { retryDelay: 0 });
+
+      expect(delivery.status).to.equal('sent');
+      expect(delivery.attempts).to.equal(3);
+      expect(delivery.messageId).to.equal('msg-1');
+      expect(delivery.deliveredAt).to.be.instanceOf(Date);
+    });
+
+    it('should record the failure after the last attempt', async function() {
+      const brokenChannel = {
+        name: 'sms',
+        canDeliver: () => true,
+        send: async () => {
+          throw new Error('Gateway unavailable');
+        }
+      };
+
+      const delivery = await deliverWithRetry(brokenChannel, mockRecipient, mockNotification, {
+        maxAttempts: 2,
+        retryDelay: 0,
+        previousAttempts: 1
+      });
+
+      expect(delivery.status).to.equal('failed');
+      expect(delivery.attempts).to.equal(3);
+      expect(delivery.lastError).to.equal('Gateway unavailable');
+    });
+
+    it('should skip recipients without an address for the channel', async function() {
+      const delivery = await deliverWithRetry(
+        new SmsChannel(outbox),
+        { ...mockRecipient, phoneNumber: undefined },
+        mockNotification
+      );
+
+      expect(delivery.status).to.equal('skipped');
+      expect(await outbox.read('sms')).to.deep.equal([]);
+    });
+  });
+
+  describe('4. Scheduled Retries', function() {
+    const originalSecret = process.env.CRON_SECRET;
+
+    afterEach(function() {
+      if (originalSecret === undefined) {
+        delete process.env.CRON_SECRET;
+      } else {
+        process.env.CRON_SECRET = originalSecret;
+      }
+    });
+
+    it('should retry failed deliveries and pending ones that never finished', function() {
+      const now = new Date('2026-01-01T12:00:00Z');
+      const [failed, stale] = NotificationService.retryableDeliveryQuery(now).$or;
+
+      expect(failed.deliveries.$elemMatch.status).to.equal('failed');
+      expect(failed.deliveries.$elemMatch.attempts.$lt).to.equal(5);
+      expect(stale['deliveries.status']).to.equal('pending');
+      expect(now - stale.createdAt.$lt).to.equal(STALE_DELIVERY_MINUTES * 60 * 1000);
+    });
+
+    it('should refuse the retry job while CRON_SECRET is unset', function() {
+      delete process.env.CRON_SECRET;
+
+      const { res, nextCalled } = runCronCheck('Bearer anything');
+
+      expect(nextCalled).to.be.false;
+      expect(res.statusCode).to.equal(403);
+    });
+
+    it('should only run the retry job with the cron secret', function() {
+      process.env.CRON_SECRET = 'cron-secret-for-tests';
+
+      expect(runCronCheck(undefined).res.statusCode).to.equal(401);
+      expect(runCronCheck('Bearer wrong-secret').res.statusCode).to.equal(401);
+      expect(runCronCheck('Bearer cron-secret-for-tests').nextCalled).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Parcel Change Service Test
+ * Tests the checks on subdivision and merge plans: parent plots, areas, geometry, inherited fields
+ * and encumbrances
+ */
+
+import { expect } from 'chai';
+import ParcelChangeService from '../services/parcelChangeService.js';
+import Encumbrance from '../models/Encumbrance.js';
+
+const polygon = (...positions) => ({ type: 'Polygon', coordinates: [positions] });
+
+// A rectangle in Bole with its south-west corner at the given offset
+const rectangle = (dx, dy, width, height) => {
+  const x = 38.79 + dx;
+  const y = 8.99 + dy;
+  return polygon([x, y], [x + width, y], [x + width, y + height], [x, y + height], [x, y]);
+};
+
+const ownerId = '507f1f77bcf86cd799439011';
+
+const parcel = (plotNumber, fields = {}) => ({
+  _id: `${plotNumber}-id`,
+  plotNumber,
+  owner: ownerId,
+  status: 'approved',
+  area: 1000,
+  propertyType: 'residential',
+  location: { kebele: '03', subCity: 'Bole' },
+  ...fields
+});
+
+describe('Parcel Change Service', function() {
+  describe('1. Parent Plots', function() {
+    it('should accept approved plots of the applicant', function() {
+      expect(ParcelChangeService.checkParents('subdivide', [parcel('BL-001')], ownerId).valid).to.be.true;
+      expect(ParcelChangeService.checkParents('merge', [parcel('BL-001'), parcel('BL-002')], ownerId).valid).to.be.true;
+    });
+
+    it('should refuse plots that are not approved or belong to someone else', function() {
+      const pending = ParcelChangeService.checkParents('subdivide', [parcel('BL-001', { status: 'pending' })], ownerId);
+      const foreign = ParcelChangeService.checkParents('subdivide', [parcel('BL-001')], '507f1f77bcf86cd799439099');
+
+      expect(pending.valid).to.be.false;
+      expect(foreign.statusCode).to.equal(403);
+    });
+
+    it('should only merge several plots in the same sub-city', function() {
+      expect(ParcelChangeService.checkParents('merge', [parcel('BL-001')], ownerId).valid).to.be.false;
+      expect(ParcelChangeService.checkParents('merge', [
+        parcel('BL-001'),
+        parcel('YK-001', { location: { kebele: '01', subCity: 'Yeka' } })
+      ], ownerId).message).to.equal('Only plots in the same sub-city can be merged');
+    });
+  });
+
+  describe('2. Areas and Plot Numbers', function() {
+    it('should inherit the type and location of the parent', function() {
+      const plan = ParcelChangeService.validatePlan('subdivide', [parcel('BL-001')], [
+        { plotNumber: 'BL-001-A', area: 600 },
+        { plotNumber: 'BL-001-B', area: 400, propertyType: 'commercial' }
+      ]);
+
+      expect(plan.valid).to.be.true;
+      expect(plan.children[0].propertyType).to.equal('residential');
+      expect(plan.children[1].propertyType).to.equal('commercial');
+      expect(plan.children[0].location).to.deep.equal({ kebele: '03', subCity: 'Bole' });
+    });
+
+    it('should require the areas to add up', function() {
+      const plan = ParcelChangeService.validatePlan('subdivide', [parcel('BL-001')], [
+        { plotNumber: 'BL-001-A', area: 600 },
+        { plotNumber: 'BL-001-B', area: 300 }
+      ]);
+
+      expect(plan.valid).to.be.false;
+      expect(plan.message).to.include('must add up to 1000 sq m');
+    });
+
+    it('should tolerate rounding in the areas', function() {
+      const plan = ParcelChangeService.validatePlan('subdivide', [parcel('BL-001')], [
+        { plotNumber: 'BL-001-A', area: 333.3 },
+        { plotNumber: 'BL-001-B', area: 333.3 },
+        { plotNumber: 'BL-001-C', area: 333.3 }
+      ]);
+
+      expect(plan.valid).to.be.true;
+    });
+
+    it('should refuse repeated plot numbers and the wrong number of plots', function() {
+      expect(ParcelChangeService.validatePlan('subdivide', [parcel('BL-001')], [
+        { plotNumber: 'BL-001-A', area: 500 },
+        { plotNumber: 'bl-001-a', area: 500 }
+      ]).message).to.equal('New plot numbers must be different from each other');
+
+      expect(ParcelChangeService.validatePlan('subdivide', [parcel('BL-001')], [
+        { plotNumber: 'BL-001-A', area: 1000 }
+      ]).valid).to.be.false;
+
+      expect(ParcelChangeService.validatePlan('merge', [parcel('BL-001'), parcel('BL-002')], [
+        { plotNumber: 'BL-003', area: 1000 },
+        { plotNumber: 'BL-004', area: 1000 }
+      ]).message).to.equal('A merge creates exactly one plot');
+    });
+
+    it('should need a property type when merging plots of different types', function() {
+      const parents = [parcel('BL-001'), parcel('BL-002', { propertyType: 'commercial' })];
+
+      expect(ParcelChangeService.validatePlan('merge', parents, [{ plotNumber: 'BL-003', area: 2000 }]).valid).to.be.false;
+      expect(ParcelChangeService.validatePlan('merge', parents, [
+        { plotNumber: 'BL-003', area: 2000, propertyType: 'commercial' }
+      ]).valid).to.be.true;
+    });
+  });
+
+  describe('3. Subdivision Geometry', function() {
+    const parent = parcel('BL-001', { boundary: rectangle(0, 0, 0.001, 0.001) });
+
+    it('should accept plots that tile the parent boundary', function() {
+      const plan = ParcelChangeService.validatePlan('subdivide', [parent], [
+        { plotNumber: 'BL-001-A', area: 500, boundary: rectangle(0, 0, 0.0005, 0.001) },
+        { plotNumber: 'BL-001-B', area: 500, boundary: rectangle(0.0005, 0, 0.0005, 0.001) }
+      ]);
+
+      expect(plan.valid).to.be.true;
+      expect(plan.children[0].location.coordinates.longitude).to.be.closeTo(38.79025, 1e-9);
+    });
+
+    it('should require a boundary for every plot', function() {
+      const plan = ParcelChangeService.validatePlan('subdivide', [parent], [
+        { plotNumber: 'BL-001-A', area: 500, boundary: rectangle(0, 0, 0.0005, 0.001) },
+        { plotNumber: 'BL-001-B', area: 500 }
+      ]);
+
+      expect(plan.message).to.equal('Every new plot needs a boundary because the parent plot has one');
+    });
+
+    it('should refuse plots outside the parent, overlapping plots and uncovered land', function() {
+      const outside = ParcelChangeService.validatePlan('subdivide', [parent], [
+        { plotNumber: 'BL-001-A', area: 500, boundary: rectangle(0, 0, 0.0005, 0.001) },
+        { plotNumber: 'BL-001-B', area: 500, boundary: rectangle(0.0006, 0, 0.0005, 0.001) }
+      ]);
+      const overlapping = ParcelChangeService.validatePlan('subdivide', [parent], [
+        { plotNumber: 'BL-001-A', area: 500, boundary: rectangle(0, 0, 0.0006, 0.001) },
+        { plotNumber: 'BL-001-B', area: 500, boundary: rectangle(0.0005, 0, 0.0005, 0.001) }
+      ]);
+      const uncovered = ParcelChangeService.validatePlan('subdivide', [parent], [
+        { plotNumber: 'BL-001-A', area: 500, boundary: rectangle(0, 0, 0.0004, 0.001) },
+        { plotNumber: 'BL-001-B', area: 500, boundary: rectangle(0.0005, 0, 0.0005, 0.001) }
+      ]);
+
+      expect(outside.message).to.include('must lie within the boundary of plot BL-001');
+      expect(overlapping.message).to.equal('Plots BL-001-A and BL-001-B overlap');
+      expect(uncovered.message).to.equal('New plot boundaries must cover the whole of plot BL-001');
+    });
+  });
+
+  describe('4. Merge Geometry', function() {
+    const west = parcel('BL-001', { boundary: rectangle(0, 0, 0.001, 0.001) });
+    const east = parcel('BL-002', { boundary: rectangle(0.001, 0, 0.001, 0.001) });
+
+    it('should accept a merged plot drawn around neighbouring parents', function() {
+      const plan = ParcelChangeService.validatePlan('merge', [west, east], [
+        { plotNumber: 'BL-003', area: 2000, boundary: rectangle(0, 0, 0.002, 0.001) }
+      ]);
+
+      expect(plan.valid).to.be.true;
+    });
+
+    it('should refuse plots that do not touch', function() {
+      const far = parcel('BL-002', { boundary: rectangle(0.002, 0, 0.001, 0.001) });
+      const plan = ParcelChangeService.validatePlan('merge', [west, far], [
+        { plotNumber: 'BL-003', area: 2000, boundary: rectangle(0, 0, 0.003, 0.001) }
+      ]);
+
+      expect(plan.message).to.equal('Only neighbouring plots can be merged');
+    });
+
+    it('should refuse a merged boundary that leaves out or adds land', function() {
+      const partial = ParcelChangeService.validatePlan('merge', [west, east], [
+        { plotNumber: 'BL-003', area: 2000, boundary: rectangle(0, 0, 0.0015, 0.001) }
+      ]);
+      const larger = ParcelChangeService.validatePlan('merge', [west, east], [
+        { plotNumber: 'BL-003', area: 2000, boundary: rectangle(0, 0, 0.002, 0.0015) }
+      ]);
+
+      expect(partial.message).to.equal('The merged plot boundary must contain plot BL-002');
+      expect(larger.message).to.equal('The merged plot boundary must match the boundaries of the parent plots');
+    });
+  });
+
+  describe('5. Encumbrances', function() {
+    const originalFind = Encumbrance.find;
+
+    afterEach(function() {
+      Encumbrance.find = originalFind;
+    });
+
+    it('should not let a mortgaged plot be subdivided into plots of another type', async function() {
+      const parent = parcel('BL-001');
+      const plan = ParcelChangeService.validatePlan('subdivide', [parent], [
+        { plotNumber: 'BL-001-A', area: 500, propertyType: 'commercial' },
+        { plotNumber: 'BL-001-B', area: 500 }
+      ]);
+      // Answer the encumbrance lookup without a database
+      Encumbrance.find = () => ({
+        sort: () => ({
+          session: async () => [{ type: 'mortgage', blocking: true, holder: { name: 'Commercial Bank of Ethiopia' } }]
+        })
+      });
+
+      const blockers = await ParcelChangeService.checkBlockers('subdivide', [parent]);
+
+      expect(plan.children[0].propertyType).to.equal('commercial');
+      expect(blockers.blocked).to.be.true;
+      expect(blockers.message).to.equal(
+        'Plot BL-001: Cannot subdivide a property with active encumbrances: Mortgage held by Commercial Bank of Ethiopia'
+      );
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Parcel Geometry Service Test
+ * Tests boundary validation, self-intersection and overlap detection between parcels
+ */
+
+import { expect } from 'chai';
+import ParcelGeometryService from '../services/parcelGeometryService.js';
+
+const polygon = (...positions) => ({ type: 'Polygon', coordinates: [positions] });
+
+// A 0.001 x 0.001 degree parcel in Bole with its south-west corner at the given offset
+const square = (dx = 0, dy = 0) => {
+  const x = 38.79 + dx;
+  const y = 8.99 + dy;
+  return polygon([x, y], [x + 0.001, y], [x + 0.001, y + 0.001], [x, y + 0.001], [x, y]);
+};
+
+describe('Parcel Geometry Service', function() {
+  describe('1. Boundary Validation', function() {
+    it('should accept a simple parcel and close its ring', function() {
+      const result = ParcelGeometryService.validateBoundary(
+        polygon([38.79, 8.99], [38.791, 8.99], [38.791, 8.991], [38.79, 8.991])
+      );
+
+      expect(result.valid).to.be.true;
+      const ring = result.boundary.coordinates[0];
+      expect(ring).to.have.length(5);
+      expect(ring[0]).to.deep.equal(ring[4]);
+    });
+
+    it('should wind clockwise rings counter-clockwise', function() {
+      const result = ParcelGeometryService.validateBoundary(
+        polygon([38.79, 8.99], [38.79, 8.991], [38.791, 8.991], [38.791, 8.99], [38.79, 8.99])
+      );
+
+      expect(result.valid).to.be.true;
+      expect(result.boundary.coordinates[0][1]).to.deep.equal([38.791, 8.99]);
+    });
+
+    it('should reject a self-intersecting bow-tie', function() {
+      const result = ParcelGeometryService.validateBoundary(
+        polygon([38.79, 8.99], [38.791, 8.991], [38.791, 8.99], [38.79, 8.991], [38.79, 8.99])
+      );
+
+      expect(result.valid).to.be.false;
+      expect(result.message).to.equal('Boundary must not intersect itself');
+    });
+
+    it('should reject a ring that folds back over its own edge', function() {
+      const result = ParcelGeometryService.validateBoundary(
+        polygon([38.79, 8.99], [38.792, 8.99], [38.791, 8.99], [38.791, 8.991], [38.79, 8.99])
+      );
+
+      expect(result.valid).to.be.false;
+      expect(result.message).to.equal('Boundary must not intersect itself');
+    });
+
+    it('should reject degenerate and malformed boundaries', function() {
+      expect(ParcelGeometryService.validateBoundary(
+        polygon([38.79, 8.99], [38.791, 8.99], [38.792, 8.99], [38.79, 8.99])
+      ).valid).to.be.false;
+      expect(ParcelGeometryService.validateBoundary(
+        polygon([38.79, 8.99], [38.791, 8.99], [38.79, 8.99])
+      ).message).to.equal('Boundary must have at least 3 distinct vertices');
+      expect(ParcelGeometryService.validateBoundary(
+        polygon([8.99, 238.79], [8.99, 38.791], [8.991, 38.791])
+      ).message).to.equal('Boundary positions must be [longitude, latitude] pairs');
+      expect(ParcelGeometryService.validateBoundary({ type: 'Point', coordinates: [38.79, 8.99] }).valid).to.be.false;
+    });
+
+    it('should place the centroid in the middle of a square parcel', function() {
+      const [longitude, latitude] = ParcelGeometryService.getCentroid(square());
+
+      expect(longitude).to.be.closeTo(38.7905, 1e-9);
+      expect(latitude).to.be.closeTo(8.9905, 1e-9);
+    });
+  });
+
+  describe('2. Overlap Detection', function() {
+    it('should report parcels whose interiors overlap', function() {
+      expect(ParcelGeometryService.polygonsOverlap(square(), square(0.0005, 0.0005))).to.be.true;
+    });
+
+    it('should report a parcel drawn inside another or on the same vertices', function() {
+      const inner = polygon([38.7902, 8.9902], [38.7908, 8.9902], [38.7908, 8.9908], [38.7902, 8.9902]);
+
+      expect(ParcelGeometryService.polygonsOverlap(square(), inner)).to.be.true;
+      expect(ParcelGeometryService.polygonsOverlap(square(), square())).to.be.true;
+    });
+
+    it('should report parcels overlapping along collinear edges', function() {
+      const wide = polygon([38.79, 8.99], [38.7906, 8.99], [38.7906, 8.991], [38.79, 8.991], [38.79, 8.99]);
+      const east = polygon([38.7905, 8.99], [38.791, 8.99], [38.791, 8.991], [38.7905, 8.991], [38.7905, 8.99]);
+
+      expect(ParcelGeometryService.polygonsOverlap(wide, east)).to.be.true;
+    });
+
+    it('should not report neighbours that only share an edge or a corner', function() {
+      expect(ParcelGeometryService.polygonsOverlap(square(), square(0.001, 0))).to.be.false;
+      expect(ParcelGeometryService.polygonsOverlap(square(), square(0.001, 0.001))).to.be.false;
+      expect(ParcelGeometryService.polygonsOverlap(square(), square(0.002, 0))).to.be.false;
+    });
+  });
+
+  describe('3. Containment and Adjacency', function() {
+    const halves = () => [
+      polygon([38.79, 8.99], [38.7905, 8.99], [38.7905, 8.991], [38.79, 8.991], [38.79, 8.99]),
+      polygon([38.7905, 8.99], [38.791, 8.99], [38.791, 8.991], [38.7905, 8.991], [38.7905, 8.99])
+    ];
+
+    it('should contain parcels drawn inside or along the edge of another', function() {
+      const [west, east] = halves();
+
+      expect(ParcelGeometryService.polygonContains(square(), west)).to.be.true;
+      expect(ParcelGeometryService.polygonContains(square(), east)).to.be.true;
+      expect(ParcelGeometryService.polygonContains(square(), square())).to.be.true;
+      expect(ParcelGeometryService.polygonContains(square(), square(0.0005, 0))).to.be.false;
+    });
+
+    it('should not contain a parcel cutting across a notch of a concave parcel', function() {
+      const lShape = polygon(
+        [38.79, 8.99], [38.792, 8.99], [38.792, 8.991], [38.791, 8.991],
+        [38.791, 8.992], [38.79, 8.992], [38.79, 8.99]
+      );
+      const diagonal = polygon([38.791, 8.992], [38.79, 8.992], [38.792, 8.991], [38.791, 8.992]);
+
+      expect(ParcelGeometryService.polygonContains(lShape, square())).to.be.true;
+      expect(ParcelGeometryService.polygonContains(lShape, diagonal)).to.be.false;
+    });
+
+    it('should report parcels that share an edge or a corner as touching', function() {
+      expect(ParcelGeometryService.polygonsTouch(square(), square(0.001, 0))).to.be.true;
+      expect(ParcelGeometryService.polygonsTouch(square(), square(0.001, 0.001))).to.be.true;
+      expect(ParcelGeometryService.polygonsTouch(square(), square(0.002, 0))).to.be.false;
+    });
+
+    it('should add the areas of parcels that tile another', function() {
+      const [west, east] = halves();
+
+      expect(ParcelGeometryService.getArea(west) + ParcelGeometryService.getArea(east))
+        .to.be.closeTo(ParcelGeometryService.getArea(square()), 1e-12);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Receipt Service Test
+ * Tests receipt verification codes, the public receipt details and PDF rendering
+ */
+
+import { expect } from 'chai';
+import { PassThrough } from 'stream';
+import ReceiptService from '../services/receiptService.js';
+import Payment from '../models/Payment.js';
+import { verifyPaymentReceipt } from '../controllers/paymentController.js';
+
+const buildPayment = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  receiptNumber: 'RCP-20250301-AB12CD',
+  transactionId: 'CBE-12345',
+  amount: 3550,
+  currency: 'ETB',
+  status: 'completed',
+  paymentType: 'registration_fee',
+  paymentMethod: 'cbe_birr',
+  paymentDate: new Date('2025-03-01T09:00:00Z'),
+  completedDate: new Date('2025-03-01T09:05:00Z'),
+  feeScheduleVersion: 1,
+  feeBreakdown: { baseFee: 2500, processingFee: 550, taxAmount: 500, discountAmount: 0, totalAmount: 3550 },
+  property: {
+    plotNumber: 'PLT-001',
+    location: { subCity: 'Bole', kebele: '03' },
+    propertyType: 'residential',
+    area: 200
+  },
+  user: {
+    fullName: 'Abebe Kebede',
+    email: 'abebe@example.com',
+    phoneNumber: '+251911000000',
+    nationalId: 'ETH000001'
+  },
+  ...overrides
+});
+
+// Call the public verify route with a stubbed payment lookup
+const verifyReceipt = async (query, payment) => {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+
+  const originalFindOne = Payment.findOne;
+  let lookedUp = false;
+  Payment.findOne = () => {
+    lookedUp = true;
+    const chain = { populate: () => chain, then: (resolve, reject) => Promise.resolve(payment).then(resolve, reject) };
+    return chain;
+  };
+
+  try {
+    await verifyPaymentReceipt({ params: { receiptNumber: payment.receiptNumber }, query }, res);
+  } finally {
+    Payment.findOne = originalFindOne;
+  }
+
+  return { res, lookedUp };
+};
+
+describe('Receipt Service', function() {
+  this.timeout(20000);
+
+  const originalSecret = process.env.RECEIPT_SIGNING_SECRET;
+
+  before(function() {
+    process.env.RECEIPT_SIGNING_SECRET = 'test-receipt-secret';
+  });
+
+  after(function() {
+    process.env.RECEIPT_SIGNING_SECRET = originalSecret;
+    if (originalSecret === undefined) delete process.env.RECEIPT_SIGNING_SECRET;
+  });
+
+  describe('1. Verification Codes', function() {
+    it('should produce a stable short code', function() {
+      const code = ReceiptService.getVerificationCode(buildPayment());
+
+      expect(code).to.match(/^[0-9A-F]{5}-[0-9A-F]{5}$/);
+      expect(ReceiptService.getVerificationCode(buildPayment())).to.equal(code);
+    });
+
+    it('should accept the code regardless of case and separator', function() {
+      const payment = buildPayment();
+      const code = ReceiptService.getVerificationCode(payment);
+
+      expect(ReceiptService.isValidVerificationCode(payment, code.toLowerCase().replace('-', ''))).to.be.true;
+      expect(ReceiptService.isValidVerificationCode(payment, 'AAAAA-AAAAA')).to.be.false;
+      expect(ReceiptService.isValidVerificationCode(payment, '')).to.be.false;
+    });
+
+    it('should reject the code when the amount was altered', function() {
+      const code = ReceiptService.getVerificationCode(buildPayment());
+
+      expect(ReceiptService.isValidVerificationCode(buildPayment({ amount: 35.5 }), code)).to.be.false;
+    });
+
+    it('should link to the public verify route', function() {
+      const payment = buildPayment();
+      const url = ReceiptService.getVerificationUrl(payment, 'https://api.example.com');
+
+      expect(url).to.equal(
+        `https://api.example.com/api/payments/receipts/RCP-20250301-AB12CD/verify?code=${ReceiptService.getVerificationCode(payment)}`
+      );
+    });
+  });
+
+  describe('2. Public Details', function() {
+    it('should mask the payer name and leave out contact details', function() {
+      const details = ReceiptService.getPublicReceiptDetails(buildPayment());
+
+      expect(details.payer).to.equal('A**** K*****');
+      expect(details.property).to.deep.equal({ plotNumber: 'PLT-001', subCity: 'Bole' });
+      expect(JSON.stringify(details)).to.not.include('abebe@example.com');
+      expect(JSON.stringify(details)).to.not.include('ETH000001');
+    });
+  });
+
+  describe('3. PDF', function() {
+    it('should render the receipt PDF', async function() {
+      const stream = new PassThrough();
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+
+      const payment = buildPayment();
+      await ReceiptService.writeReceiptPDF(payment, stream, {
+        verificationUrl: ReceiptService.getVerificationUrl(payment, 'https://api.example.com')
+      });
+
+      const pdf = Buffer.concat(chunks);
+      expect(pdf.subarray(0, 5).toString()).to.equal('%PDF-');
+      expect(pdf.length).to.be.greaterThan(2000);
+    });
+  });
+
+  describe('4. Public Verify Route', function() {
+    it('should require the printed code before looking the receipt up', async function() {
+      const { res, lookedUp } = await verifyReceipt({}, buildPayment());
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.valid).to.be.false;
+      expect(res.body).to.not.have.property('receipt');
+      expect(lookedUp).to.be.false;
+    });
+
+    it('should not show details for a wrong code', async function() {
+      const { res } = await verifyReceipt({ code: 'WRONG1' }, buildPayment());
+
+      expect(res.body.valid).to.be.false;
+      expect(res.body).to.not.have.property('receipt');
+    });
+
+    it('should confirm a genuine receipt with its code', async function() {
+      const payment = buildPayment();
+      const { res } = await verifyReceipt({ code: ReceiptService.getVerificationCode(payment) }, payment);
+
+      expect(res.body.valid).to.be.true;
+      expect(res.body.receipt.receiptNumber).to.equal(payment.receiptNumber);
+    });
+  });
+});
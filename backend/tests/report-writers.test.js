@@ -0,0 +1,111 @@
+/**
+ * Report Download Test
+ * Tests report filter parsing and the CSV, XLSX and PDF writers used by /api/reports/:reportType/download
+ */
+
+import { expect } from 'chai';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import ReportService from '../services/reportService.js';
+import { toCSV, writeReport } from '../services/reportWriters.js';
+
+const sampleReport = {
+  reportType: 'properties',
+  title: 'Property Report',
+  generatedAt: new Date('2025-03-01T08:00:00Z'),
+  filters: { startDate: new Date('2025-01-01'), endDate: null, subCity: 'Bole' },
+  sections: [
+    {
+      title: 'Overview',
+      columns: [{ key: 'metric', label: 'Metric' }, { key: 'value', label: 'Value' }],
+      rows: [{ metric: 'Total Properties', value: 2 }]
+    },
+    {
+      title: 'Properties',
+      columns: [{ key: 'plotNumber', label: 'Plot Number' }, { key: 'owner', label: 'Owner' }],
+      rows: [
+        { plotNumber: 'PLT-001', owner: 'Abebe, Kebede' },
+        { plotNumber: 'PLT-002', owner: '=HYPERLINK("x")' }
+      ]
+    }
+  ]
+};
+
+// Collect everything written to a stream by the writer
+const render = async (format) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => stream.on('end', resolve));
+
+  await writeReport(sampleReport, format, stream);
+  await ended;
+
+  return Buffer.concat(chunks);
+};
+
+describe('Report Downloads', function() {
+  this.timeout(20000);
+
+  describe('1. Filters', function() {
+    it('should include the whole end day for bare dates', function() {
+      const filters = ReportService.parseFilters({ startDate: '2025-01-01', endDate: '2025-01-31', subCity: ' Bole ' });
+
+      expect(filters.startDate.toISOString()).to.equal('2025-01-01T00:00:00.000Z');
+      expect(filters.endDate.toISOString()).to.equal('2025-01-31T23:59:59.999Z');
+      expect(filters.subCity).to.equal('Bole');
+    });
+
+    it('should fall back to the timeframe when no start date is given', function() {
+      const filters = ReportService.parseFilters({ timeframe: 'week' });
+      const days = (Date.now() - filters.startDate.getTime()) / (24 * 60 * 60 * 1000);
+
+      expect(Math.round(days)).to.equal(7);
+      expect(filters.endDate).to.be.null;
+    });
+
+    it('should scope the property query by date and sub-city', function() {
+      const query = ReportService.propertyQuery(ReportService.parseFilters({ startDate: '2025-01-01', subCity: 'Bole' }));
+
+      expect(query['location.subCity']).to.equal('Bole');
+      expect(query.createdAt.$gte.toISOString()).to.equal('2025-01-01T00:00:00.000Z');
+      expect(query.createdAt).to.not.have.property('$lte');
+    });
+  });
+
+  describe('2. CSV', function() {
+    it('should write each section with its header row', function() {
+      const lines = toCSV(sampleReport).split('\r\n');
+
+      expect(lines[0]).to.equal('Property Report');
+      expect(lines).to.include('Sub-City: Bole');
+      expect(lines).to.include('Metric,Value');
+      expect(lines).to.include('Total Properties,2');
+      expect(lines).to.include('Plot Number,Owner');
+    });
+
+    it('should quote separators and neutralise formulas', function() {
+      const csv = toCSV(sampleReport);
+
+      expect(csv).to.include('PLT-001,"Abebe, Kebede"');
+      expect(csv).to.include('PLT-002,"\'=HYPERLINK(""x"")"');
+    });
+  });
+
+  describe('3. XLSX and PDF', function() {
+    it('should write one worksheet per section', async function() {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(await render('xlsx'));
+
+      expect(workbook.worksheets.map(sheet => sheet.name)).to.deep.equal(['Report', '1. Overview', '2. Properties']);
+      expect(workbook.getWorksheet('2. Properties').getRow(3).getCell(2).value).to.equal('=HYPERLINK("x")');
+    });
+
+    it('should write a PDF document', async function() {
+      const pdf = await render('pdf');
+
+      expect(pdf.subarray(0, 5).toString()).to.equal('%PDF-');
+      expect(pdf.length).to.be.greaterThan(1000);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Request Metrics Test
+ * Tests the rolling request aggregates behind /api/reports/performance
+ */
+
+import { expect } from 'chai';
+import { EventEmitter } from 'events';
+import {
+  requestMetrics,
+  recordRequest,
+  getRequestMetrics,
+  resetRequestMetrics
+} from '../middleware/requestMetrics.js';
+
+describe('Request Metrics', function() {
+  this.timeout(10000);
+
+  beforeEach(function() {
+    resetRequestMetrics();
+  });
+
+  describe('1. Aggregates', function() {
+    it('should report timings and error rates', function() {
+      recordRequest({ route: 'GET /api/properties', statusCode: 200, duration: 40 });
+      recordRequest({ route: 'GET /api/properties', statusCode: 200, duration: 60 });
+      recordRequest({ route: 'POST /api/payments', statusCode: 500, duration: 800 });
+      recordRequest({ route: 'GET /api/properties/:id', statusCode: 404, duration: 20 });
+
+      const { requests, routes } = getRequestMetrics({ minutes: 5 });
+
+      expect(requests.total).to.equal(4);
+      expect(requests.errorRate).to.equal(25);
+      expect(requests.clientErrorRate).to.equal(25);
+      expect(requests.averageResponseTime).to.equal(230);
+      expect(requests.maxResponseTime).to.equal(800);
+      expect(routes[0]).to.include({ route: 'POST /api/payments', total: 1, errorRate: 100 });
+    });
+
+    it('should estimate the 95th percentile from the latency histogram', function() {
+      for (let i = 0; i < 19; i += 1) {
+        recordRequest({ route: 'GET /api/health', statusCode: 200, duration: 10 });
+      }
+      recordRequest({ route: 'GET /api/health', statusCode: 200, duration: 3000 });
+
+      expect(getRequestMetrics().requests.p95ResponseTime).to.equal(25);
+    });
+
+    it('should leave out requests older than the window', function() {
+      recordRequest({ route: 'GET /api/health', statusCode: 200, duration: 10, at: Date.now() - 10 * 60000 });
+      recordRequest({ route: 'GET /api/health', statusCode: 200, duration: 10 });
+
+      expect(getRequestMetrics({ minutes: 5 }).requests.total).to.equal(1);
+      expect(getRequestMetrics({ minutes: 60 }).requests.total).to.equal(2);
+    });
+
+    it('should count users active within the session timeout', function() {
+      recordRequest({ route: 'GET /api/auth/profile', statusCode: 200, duration: 10, userId: 'a' });
+      recordRequest({ route: 'GET /api/auth/profile', statusCode: 200, duration: 10, userId: 'a' });
+      recordRequest({ route: 'GET /api/auth/profile', statusCode: 200, duration: 10, userId: 'b', at: Date.now() - 45 * 60000 });
+
+      expect(getRequestMetrics({ activeWithinMinutes: 30 }).activeUsers).to.equal(1);
+      expect(getRequestMetrics({ activeWithinMinutes: 60 }).activeUsers).to.equal(2);
+    });
+  });
+
+  describe('2. Middleware', function() {
+    it('should record the route pattern when the response finishes', function(done) {
+      const req = {
+        method: 'GET',
+        baseUrl: '/api/properties',
+        route: { path: '/:id' },
+        user: { _id: 'user-1' }
+      };
+      const res = new EventEmitter();
+      res.statusCode = 200;
+
+      requestMetrics(req, res, () => {
+        res.emit('finish');
+
+        const { routes, activeUsers } = getRequestMetrics();
+        expect(routes.map(route => route.route)).to.deep.equal(['GET /api/properties/:id']);
+        expect(activeUsers).to.equal(1);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Security Service Test
+ * Tests password rules and the failed login lockout counters
+ */
+
+import { expect } from 'chai';
+import mongoose from 'mongoose';
+import SecurityService, { IP_ATTEMPT_MULTIPLIER } from '../services/securityService.js';
+import SettingsService from '../services/settingsService.js';
+import { DEFAULT_SETTINGS } from '../config/systemSettings.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+
+const MINUTE = 60 * 1000;
+
+const policy = (overrides = {}) => ({
+  passwordMinLength: 8,
+  passwordRequireNumber: true,
+  passwordRequireSpecialChar: true,
+  sessionTimeout: 30,
+  maxLoginAttempts: 5,
+  lockoutDuration: 15,
+  twoFactorAuth: false,
+  ...overrides
+});
+
+// In-memory LoginAttempt supporting the updates SecurityService issues
+// Each operation runs atomically after yielding, so concurrent calls interleave like separate requests
+const fakeLoginAttempts = () => {
+  const docs = [];
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const copy = (doc) => doc && { ...doc };
+  const find = (filter) => docs.find((doc) => Object.entries(filter).every(([field, condition]) => {
+    if (condition?.$lte !== undefined) return doc[field] <= condition.$lte;
+    if (condition?.$gte !== undefined) return doc[field] >= condition.$gte;
+    return doc[field] === condition;
+  }));
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const [field, by] of Object.entries(update.$inc || {})) doc[field] = (doc[field] || 0) + by;
+    for (const [field, value] of Object.entries(update.$max || {})) if (!(doc[field] >= value)) doc[field] = value;
+  };
+
+  return {
+    docs,
+    async updateOne(filter, update) {
+      await tick();
+      const doc = find(filter);
+      if (doc) apply(doc, update);
+    },
+    findOneAndUpdate: (filter, update, options = {}) => ({
+      lean: async () => {
+        await tick();
+        let doc = find(filter);
+        if (!doc && options.upsert) {
+          doc = { scope: filter.scope, identifier: filter.identifier, count: 0, ...update.$setOnInsert };
+          docs.push(doc);
+        }
+        if (doc) apply(doc, update);
+        return copy(doc);
+      }
+    }),
+    findOne: (filter) => ({
+      lean: async () => {
+        await tick();
+        return copy(find(filter));
+      }
+    })
+  };
+};
+
+describe('Security Service', function() {
+  this.timeout(10000);
+
+  describe('1. Password Rules', function() {
+    it('should accept a password that meets every rule', function() {
+      expect(SecurityService.validatePassword('Registry@2025', policy())).to.be.empty;
+    });
+
+    it('should follow the configured minimum length', function() {
+      expect(SecurityService.validatePassword('Registry@2025', policy({ passwordMinLength: 16 })))
+        .to.deep.equal(['Password must be at least 16 characters']);
+    });
+
+    it('should always require mixed case', function() {
+      expect(SecurityService.validatePassword('registry@2025', policy()))
+        .to.deep.equal(['Password must contain at least one uppercase and one lowercase letter']);
+    });
+
+    it('should only require numbers and special characters when configured', function() {
+      expect(SecurityService.validatePassword('RegistryOffice', policy())).to.have.length(2);
+      expect(SecurityService.validatePassword('RegistryOffice', policy({
+        passwordRequireNumber: false,
+        passwordRequireSpecialChar: false
+      }))).to.be.empty;
+    });
+
+    it('should reject missing passwords', function() {
+      expect(SecurityService.validatePassword(undefined, policy())).to.include('Password must be at least 8 characters');
+    });
+
+    it('should check against the stored settings in the validator error shape', async function() {
+      SettingsService.clearCache();
+      const errors = await SecurityService.checkPassword('short', 'newPassword');
+
+      expect(errors[0]).to.deep.equal({ path: 'newPassword', msg: `Password must be at least ${DEFAULT_SETTINGS.passwordMinLength} characters` });
+    });
+  });
+
+  describe('2. Failed Login Counters', function() {
+    const now = new Date('2026-03-01T10:00:00Z');
+    const lockoutMs = 15 * MINUTE;
+
+    const key = { scope: 'account', identifier: 'officer@example.com' };
+    const methods = ['updateOne', 'findOneAndUpdate', 'findOne'];
+    const originals = Object.fromEntries(methods.map((method) => [method, LoginAttempt[method]]));
+    const originalGetSettings = SettingsService.getSettingsByCategory;
+    const minutesAgo = (minutes) => new Date(now.getTime() - minutes * MINUTE);
+    let store;
+
+    beforeEach(function() {
+      store = fakeLoginAttempts();
+      for (const method of methods) LoginAttempt[method] = store[method];
+    });
+
+    afterEach(function() {
+      Object.assign(LoginAttempt, originals);
+      delete mongoose.connection.readyState;
+      SettingsService.getSettingsByCategory = originalGetSettings;
+    });
+
+    it('should start a new window on the first failure', async function() {
+      const attempt = await SecurityService.countFailure(key, 5, lockoutMs, now);
+
+      expect(attempt.count).to.equal(1);
+      expect(attempt.windowStartedAt).to.deep.equal(now);
+      expect(attempt.lockedUntil).to.be.undefined;
+      expect(attempt.expiresAt).to.deep.equal(new Date(now.getTime() + lockoutMs));
+    });
+
+    it('should keep counting inside the window', async function() {
+      store.docs.push({ ...key, count: 3, windowStartedAt: minutesAgo(5), expiresAt: minutesAgo(-10) });
+      const attempt = await SecurityService.countFailure(key, 5, lockoutMs, now);
+
+      expect(attempt.count).to.equal(4);
+      expect(attempt.windowStartedAt).to.deep.equal(minutesAgo(5));
+    });
+
+    it('should restart the count once the window has passed', async function() {
+      store.docs.push({ ...key, count: 4, windowStartedAt: minutesAgo(20), expiresAt: minutesAgo(5) });
+      const attempt = await SecurityService.countFailure(key, 5, lockoutMs, now);
+
+      expect(attempt.count).to.equal(1);
+      expect(attempt.windowStartedAt).to.deep.equal(now);
+      expect(attempt.expiresAt).to.deep.equal(new Date(now.getTime() + lockoutMs));
+    });
+
+    it('should lock when the limit is reached and reset the count', async function() {
+      store.docs.push({ ...key, count: 4, windowStartedAt: minutesAgo(1), expiresAt: minutesAgo(-14) });
+      const attempt = await SecurityService.countFailure(key, 5, lockoutMs, now);
+
+      expect(attempt.count).to.equal(0);
+      expect(attempt.lockedUntil).to.deep.equal(new Date(now.getTime() + lockoutMs));
+      expect(attempt.expiresAt).to.deep.equal(attempt.lockedUntil);
+    });
+
+    it('should count concurrent failures and still lock the account', async function() {
+      Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+      SettingsService.getSettingsByCategory = async () => policy();
+
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => SecurityService.recordFailedLogin('officer@example.com', '10.0.0.1'))
+      );
+
+      const account = store.docs.find((doc) => doc.scope === 'account');
+      const ip = store.docs.find((doc) => doc.scope === 'ip');
+      expect(account.lockedUntil).to.be.an.instanceOf(Date);
+      expect(account.count).to.equal(0);
+      expect(ip.count).to.equal(5);
+      expect(results.filter(Boolean)).to.not.be.empty;
+      expect(results.filter(Boolean)[0].retryAfter).to.equal(15 * 60);
+    });
+
+    it('should give client IPs a higher limit than accounts', function() {
+      expect(IP_ATTEMPT_MULTIPLIER).to.be.greaterThan(1);
+    });
+
+    it('should key accounts case-insensitively and skip unknown IPs', function() {
+      expect(SecurityService.counterKeys(' Officer@Example.com ', '10.0.0.1')).to.deep.equal([
+        { scope: 'account', identifier: 'officer@example.com' },
+        { scope: 'ip', identifier: '10.0.0.1' }
+      ]);
+      expect(SecurityService.counterKeys('officer@example.com')).to.have.length(1);
+    });
+  });
+
+  describe('3. Retry After', function() {
+    const now = new Date('2026-03-01T10:00:00Z');
+
+    it('should be zero without an active lockout', function() {
+      expect(SecurityService.getRetryAfter([], now)).to.equal(0);
+      expect(SecurityService.getRetryAfter([{ lockedUntil: new Date(now.getTime() - MINUTE) }], now)).to.equal(0);
+    });
+
+    it('should wait for the longest active lockout', function() {
+      const attempts = [
+        { lockedUntil: new Date(now.getTime() + 2 * MINUTE) },
+        { lockedUntil: new Date(now.getTime() + 10 * MINUTE) },
+        { lockedUntil: null }
+      ];
+
+      expect(SecurityService.getRetryAfter(attempts, now)).to.equal(600);
+    });
+
+    it('should not lock anyone out while the database is unavailable', async function() {
+      expect(await SecurityService.getLockout('user@example.com', '10.0.0.1')).to.be.null;
+      expect(await SecurityService.recordFailedLogin('user@example.com', '10.0.0.1')).to.be.null;
+    });
+  });
+});
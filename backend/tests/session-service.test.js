@@ -0,0 +1,148 @@
+/**
+ * Session Service Test
+ * Tests token lifetimes, refresh token handling and the read-only path of authenticate
+ */
+
+import { expect } from 'chai';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import SessionService, { ACCESS_TOKEN_LIFETIME, SESSION_MAX_AGE } from '../services/sessionService.js';
+import { authenticate } from '../middleware/auth.js';
+
+const MINUTE = 60 * 1000;
+
+const policy = (overrides = {}) => ({ sessionTimeout: 30, ...overrides });
+
+// Minimal Express response double
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const runAuthenticate = async (method, token) => {
+  const req = { method, header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined) };
+  const res = mockResponse();
+  let nextCalled = false;
+
+  await authenticate(req, res, () => { nextCalled = true; });
+
+  return { req, res, nextCalled };
+};
+
+describe('Session Service', function() {
+  this.timeout(10000);
+
+  before(function() {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  describe('1. Lifetimes', function() {
+    it('should keep access tokens short', function() {
+      expect(SessionService.getAccessTokenLifetime(policy())).to.equal(ACCESS_TOKEN_LIFETIME);
+      expect(ACCESS_TOKEN_LIFETIME).to.be.at.most(15 * 60);
+    });
+
+    it('should never outlive a shorter session timeout', function() {
+      expect(SessionService.getAccessTokenLifetime(policy({ sessionTimeout: 5 }))).to.equal(300);
+    });
+
+    it('should extend the idle expiry by the session timeout', function() {
+      const now = new Date('2026-03-01T10:00:00Z');
+      const absolute = new Date(now.getTime() + SESSION_MAX_AGE);
+
+      expect(SessionService.getIdleExpiry(now, policy(), absolute)).to.deep.equal(new Date(now.getTime() + 30 * MINUTE));
+    });
+
+    it('should not extend past the absolute expiry', function() {
+      const now = new Date('2026-03-01T10:00:00Z');
+      const absolute = new Date(now.getTime() + 10 * MINUTE);
+
+      expect(SessionService.getIdleExpiry(now, policy(), absolute)).to.deep.equal(absolute);
+    });
+  });
+
+  describe('2. Refresh Tokens', function() {
+    const sessionId = new mongoose.Types.ObjectId();
+
+    it('should name the session and carry a random secret', function() {
+      const first = SessionService.createRefreshToken(sessionId);
+      const second = SessionService.createRefreshToken(sessionId);
+
+      expect(first).to.not.equal(second);
+      expect(SessionService.parseRefreshToken(first)).to.deep.equal({ sessionId: sessionId.toString() });
+    });
+
+    it('should reject malformed tokens', function() {
+      expect(SessionService.parseRefreshToken(undefined)).to.be.null;
+      expect(SessionService.parseRefreshToken('not-a-token')).to.be.null;
+      expect(SessionService.parseRefreshToken('abc.def')).to.be.null;
+      expect(SessionService.parseRefreshToken(`${sessionId}.a.b`)).to.be.null;
+    });
+
+    it('should store only a hash of the token', function() {
+      const token = SessionService.createRefreshToken(sessionId);
+      const hash = SessionService.hashToken(token);
+
+      expect(hash).to.match(/^[0-9a-f]{64}$/);
+      expect(hash).to.not.include(token.split('.')[1]);
+      expect(SessionService.hashToken(token)).to.equal(hash);
+    });
+
+    it('should treat revoked and expired sessions as inactive', function() {
+      const now = new Date('2026-03-01T10:00:00Z');
+      const active = {
+        expiresAt: new Date(now.getTime() + MINUTE),
+        absoluteExpiresAt: new Date(now.getTime() + SESSION_MAX_AGE)
+      };
+
+      expect(SessionService.isActive(active, now)).to.be.true;
+      expect(SessionService.isActive({ ...active, revokedAt: now }, now)).to.be.false;
+      expect(SessionService.isActive({ ...active, expiresAt: now }, now)).to.be.false;
+      expect(SessionService.isActive({ ...active, absoluteExpiresAt: new Date(now.getTime() - 1) }, now)).to.be.false;
+      expect(SessionService.isActive(null, now)).to.be.false;
+    });
+  });
+
+  describe('3. Access Tokens', function() {
+    it('should name the session in the sid claim', function() {
+      const sessionId = new mongoose.Types.ObjectId();
+      const token = SessionService.issueAccessToken(
+        { _id: 'user-1', role: 'landOfficer', email: 'officer@example.com', fullName: 'Land Officer' },
+        { _id: sessionId },
+        policy()
+      );
+      const decoded = jwt.decode(token);
+
+      expect(decoded.sid).to.equal(sessionId.toString());
+      expect(decoded.role).to.equal('landOfficer');
+      expect(decoded.exp - decoded.iat).to.equal(ACCESS_TOKEN_LIFETIME);
+    });
+  });
+
+  describe('4. Authenticate Without a Database', function() {
+    const tokenFor = (claims) => jwt.sign({ id: 'user-1', role: 'admin', email: 'admin@example.com', ...claims }, process.env.JWT_SECRET);
+
+    it('should reject tokens issued without a session', async function() {
+      const { res, nextCalled } = await runAuthenticate('GET', tokenFor({}));
+
+      expect(nextCalled).to.be.false;
+      expect(res.statusCode).to.equal(401);
+    });
+
+    it('should allow reads from the token claims, marked read-only', async function() {
+      const { req, nextCalled } = await runAuthenticate('GET', tokenFor({ sid: new mongoose.Types.ObjectId().toString() }));
+
+      expect(nextCalled).to.be.true;
+      expect(req.user).to.include({ _id: 'user-1', role: 'admin', readOnly: true });
+    });
+
+    it('should refuse changes until the session can be checked', async function() {
+      const { res, nextCalled } = await runAuthenticate('PUT', tokenFor({ sid: new mongoose.Types.ObjectId().toString() }));
+
+      expect(nextCalled).to.be.false;
+      expect(res.statusCode).to.equal(503);
+    });
+  });
+});
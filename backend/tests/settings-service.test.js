@@ -0,0 +1,86 @@
+/**
+ * Settings Service Test
+ * Tests typed validation of system settings and the default fallback
+ */
+
+import { expect } from 'chai';
+import SettingsService from '../services/settingsService.js';
+import { DEFAULT_SETTINGS } from '../config/systemSettings.js';
+
+describe('Settings Service', function() {
+  this.timeout(10000);
+
+  describe('1. Value Validation', function() {
+    it('should coerce numeric strings for number settings', function() {
+      expect(SettingsService.validateSettingValue('registrationFee', '750')).to.deep.equal({ value: 750 });
+    });
+
+    it('should reject values of the wrong type', function() {
+      expect(SettingsService.validateSettingValue('registrationFee', 'free').error).to.equal('registrationFee must be a number');
+      expect(SettingsService.validateSettingValue('maintenanceMode', 'yes').error).to.equal('maintenanceMode must be true or false');
+      expect(SettingsService.validateSettingValue('systemName', 42).error).to.equal('systemName must be text');
+    });
+
+    it('should enforce bounds on security settings', function() {
+      expect(SettingsService.validateSettingValue('passwordMinLength', 6).error).to.equal('passwordMinLength must be at least 8');
+      expect(SettingsService.validateSettingValue('sessionTimeout', 12.5).error).to.equal('sessionTimeout must be a whole number');
+      expect(SettingsService.validateSettingValue('maxLoginAttempts', 3)).to.deep.equal({ value: 3 });
+    });
+
+    it('should validate the contact email format', function() {
+      expect(SettingsService.validateSettingValue('contactEmail', 'not-an-email').error).to.equal('contactEmail has an invalid format');
+      expect(SettingsService.validateSettingValue('contactEmail', ' admin@example.com ')).to.deep.equal({ value: 'admin@example.com' });
+    });
+
+    it('should reject unknown keys', function() {
+      expect(SettingsService.validateSettingValue('unknownSetting', true).error).to.equal('Unknown setting: unknownSetting');
+    });
+  });
+
+  describe('2. Category Validation', function() {
+    it('should only accept keys from the requested category', function() {
+      const { values, errors } = SettingsService.validateSettings(
+        { registrationFee: '600', transferFee: 400, systemName: 'Ignored' },
+        'fees'
+      );
+
+      expect(errors).to.be.empty;
+      expect(values).to.deep.equal({ registrationFee: 600, transferFee: 400 });
+    });
+
+    it('should report every invalid key', function() {
+      const { errors } = SettingsService.validateSettings(
+        { emailNotifications: 'maybe', smsNotifications: 1 },
+        'notifications'
+      );
+
+      expect(errors.map(error => error.path)).to.deep.equal(['emailNotifications', 'smsNotifications']);
+    });
+  });
+
+  describe('3. Defaults', function() {
+    it('should return the defaults when the database is not connected', async function() {
+      SettingsService.clearCache();
+      const settings = await SettingsService.getSettings();
+
+      expect(settings).to.deep.equal(DEFAULT_SETTINGS);
+    });
+
+    it('should group settings by category', async function() {
+      const security = await SettingsService.getSettingsByCategory('security');
+
+      expect(security).to.have.all.keys(
+        'passwordMinLength',
+        'passwordRequireNumber',
+        'passwordRequireSpecialChar',
+        'sessionTimeout',
+        'maxLoginAttempts',
+        'lockoutDuration',
+        'twoFactorAuth',
+        'twoFactorAdmins',
+        'twoFactorLandOfficers',
+        'twoFactorCitizens'
+      );
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Setup Service Test
+ * Tests the one-time setup token and the checks on the first admin's details
+ */
+
+import { expect } from 'chai';
+import SetupService, { MIN_SETUP_TOKEN_LENGTH } from '../services/setupService.js';
+import AuditLog from '../models/AuditLog.js';
+
+const SETUP_TOKEN = 'a'.repeat(MIN_SETUP_TOKEN_LENGTH);
+
+const admin = {
+  fullName: 'System Administrator',
+  email: 'admin@example.com',
+  password: 'Admin@12345',
+  phoneNumber: '+251911000001',
+  nationalId: 'ETH000000001'
+};
+
+describe('Setup Service', function() {
+  describe('1. Setup Token', function() {
+    it('should disable HTTP setup while no token is configured', function() {
+      const result = SetupService.checkSetupToken(SETUP_TOKEN, undefined);
+
+      expect(result.success).to.be.false;
+      expect(result.statusCode).to.equal(403);
+    });
+
+    it('should disable HTTP setup with a configured token that is too short', function() {
+      const shortToken = 'a'.repeat(MIN_SETUP_TOKEN_LENGTH - 1);
+
+      expect(SetupService.checkSetupToken(shortToken, shortToken).statusCode).to.equal(403);
+    });
+
+    it('should reject a missing or wrong token', function() {
+      expect(SetupService.checkSetupToken(undefined, SETUP_TOKEN).statusCode).to.equal(401);
+      expect(SetupService.checkSetupToken(`${SETUP_TOKEN}b`, SETUP_TOKEN).statusCode).to.equal(401);
+    });
+
+    it('should accept the configured token', function() {
+      expect(SetupService.checkSetupToken(SETUP_TOKEN, SETUP_TOKEN).success).to.be.true;
+    });
+  });
+
+  describe('2. Admin Details', function() {
+    it('should accept complete details', function() {
+      expect(SetupService.validateFields(admin)).to.be.empty;
+    });
+
+    it('should report every missing field', function() {
+      const errors = SetupService.validateFields({ email: admin.email, fullName: '  ' });
+
+      expect(errors.map((error) => error.path)).to.have.members(['fullName', 'password', 'phoneNumber', 'nationalId']);
+    });
+
+    it('should reject a malformed email and National ID', function() {
+      const errors = SetupService.validateFields({ ...admin, email: 'admin', nationalId: 'ETH1' });
+
+      expect(errors.map((error) => error.path)).to.have.members(['email', 'nationalId']);
+    });
+  });
+
+  describe('3. Audit Log', function() {
+    it('should allow only one first admin entry', function() {
+      const index = AuditLog.schema.indexes().find(([, options]) => options.name === 'first_admin_once');
+
+      expect(index[0]).to.deep.equal({ action: 1 });
+      expect(index[1].unique).to.be.true;
+      expect(index[1].partialFilterExpression).to.deep.equal({ action: 'first_admin_created' });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Spatial Search Service Test
+ * Tests how search shapes are read from the query string
+ */
+
+import { expect } from 'chai';
+import SpatialSearchService, { MAX_SEARCH_RADIUS } from '../services/spatialSearchService.js';
+
+describe('Spatial Search Service', function() {
+  describe('1. Radius Search', function() {
+    it('should read a point and radius', function() {
+      const result = SpatialSearchService.parseShape({ lat: '9.0105', lng: '38.7612', radius: '250' });
+
+      expect(result.success).to.be.true;
+      expect(result.shape).to.deep.equal({ kind: 'radius', center: [38.7612, 9.0105], radius: 250 });
+    });
+
+    it('should default the radius to 500 meters', function() {
+      const result = SpatialSearchService.parseShape({ lat: '9.0105', lng: '38.7612' });
+
+      expect(result.shape.radius).to.equal(500);
+    });
+
+    it('should reject missing coordinates and radii above the maximum', function() {
+      expect(SpatialSearchService.parseShape({ lat: '9.0105' }).statusCode).to.equal(400);
+      expect(SpatialSearchService.parseShape({
+        lat: '9.0105',
+        lng: '38.7612',
+        radius: String(MAX_SEARCH_RADIUS + 1)
+      }).message).to.equal(`Radius must be between 1 and ${MAX_SEARCH_RADIUS} meters`);
+    });
+  });
+
+  describe('2. Shape Search', function() {
+    it('should turn a bounding box into a closed polygon', function() {
+      const result = SpatialSearchService.parseShape({ bbox: '38.75,9.0,38.77,9.02' });
+
+      expect(result.success).to.be.true;
+      expect(result.shape.relation).to.equal('within');
+      expect(result.shape.geometry.coordinates[0]).to.deep.equal([
+        [38.75, 9.0], [38.77, 9.0], [38.77, 9.02], [38.75, 9.02], [38.75, 9.0]
+      ]);
+    });
+
+    it('should reject an inverted bounding box', function() {
+      const result = SpatialSearchService.parseShape({ bbox: '38.77,9.0,38.75,9.02' });
+
+      expect(result.success).to.be.false;
+      expect(result.message).to.equal('bbox must be minLng,minLat,maxLng,maxLat');
+    });
+
+    it('should read a JSON polygon and the intersects relation', function() {
+      const polygon = {
+        type: 'Polygon',
+        coordinates: [[[38.75, 9.0], [38.77, 9.0], [38.76, 9.02], [38.75, 9.0]]]
+      };
+      const result = SpatialSearchService.parseShape({ polygon: JSON.stringify(polygon), relation: 'intersects' });
+
+      expect(result.success).to.be.true;
+      expect(result.shape.relation).to.equal('intersects');
+    });
+
+    it('should reject self-intersecting and malformed polygons', function() {
+      const bowTie = {
+        type: 'Polygon',
+        coordinates: [[[38.75, 9.0], [38.77, 9.02], [38.77, 9.0], [38.75, 9.02], [38.75, 9.0]]]
+      };
+
+      expect(SpatialSearchService.parseShape({ polygon: JSON.stringify(bowTie) }).message)
+        .to.equal('Search polygon must not intersect itself');
+      expect(SpatialSearchService.parseShape({ polygon: '{not json' }).message)
+        .to.equal('polygon must be a JSON-encoded GeoJSON Polygon');
+    });
+
+    it('should require exactly one shape', function() {
+      expect(SpatialSearchService.parseShape({}).success).to.be.false;
+      expect(SpatialSearchService.parseShape({ lat: '9', lng: '38', bbox: '38.75,9.0,38.77,9.02' }).success).to.be.false;
+    });
+  });
+});
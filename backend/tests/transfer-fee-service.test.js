@@ -0,0 +1,231 @@
+/**
+ * Transfer Fee Service Test
+ * Tests pricing the fee components of a transfer, working out what a party still has to pay
+ * and who may pay them, resuming a payment in progress and flagging payments for fees already settled
+ */
+
+import { expect } from 'chai';
+import TransferFeeService from '../services/transferFeeService.js';
+import PropertyTransfer from '../models/PropertyTransfer.js';
+import ApplicationLog from '../models/ApplicationLog.js';
+import { verifyTransferPaymentAccess } from '../middleware/paymentAuth.js';
+
+const PREVIOUS_OWNER = { _id: '64b7f0c2a1b2c3d4e5f60719', role: 'user' };
+const NEW_OWNER = { _id: '64b7f0c2a1b2c3d4e5f60720', role: 'user' };
+const OTHER_USER = { _id: '64b7f0c2a1b2c3d4e5f60721', role: 'user' };
+
+const PROPERTY = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  propertyType: 'residential',
+  area: 200,
+  location: { subCity: 'Bole', kebele: '03' }
+};
+
+const fee = (amount, status = 'pending') => ({ amount, status });
+
+const buildTransfer = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60730',
+  property: PROPERTY._id,
+  previousOwner: PREVIOUS_OWNER._id,
+  newOwner: NEW_OWNER._id,
+  status: 'under_review',
+  transferValue: { amount: 1000000, currency: 'ETB' },
+  initiationDate: new Date(),
+  transferFees: {
+    governmentFee: fee(0),
+    taxAmount: fee(0),
+    processingFee: fee(0)
+  },
+  ...overrides
+});
+
+describe('Transfer Fee Service', function() {
+  describe('1. Pricing', function() {
+    it('should price each component from the transfer fee calculation', async function() {
+      const transfer = buildTransfer();
+      const calculation = await TransferFeeService.syncFeeAmounts(transfer, PROPERTY);
+
+      expect(transfer.transferFees.governmentFee.amount).to.equal(calculation.breakdown.transferTax);
+      expect(transfer.transferFees.taxAmount.amount).to.equal(calculation.breakdown.stampDuty);
+      expect(transfer.transferFees.processingFee.amount).to.equal(calculation.breakdown.processingFee);
+      expect(calculation.breakdown.transferTax).to.be.greaterThan(0);
+    });
+
+    it('should keep the amounts of paid and waived components', async function() {
+      const transfer = buildTransfer({
+        transferFees: {
+          governmentFee: fee(123, 'paid'),
+          taxAmount: fee(45, 'waived'),
+          processingFee: fee(0)
+        }
+      });
+
+      await TransferFeeService.syncFeeAmounts(transfer, PROPERTY);
+
+      expect(transfer.transferFees.governmentFee.amount).to.equal(123);
+      expect(transfer.transferFees.taxAmount.amount).to.equal(45);
+      expect(transfer.transferFees.processingFee.amount).to.be.greaterThan(0);
+    });
+  });
+
+  describe('2. Payable Fees', function() {
+    it('should total the pending components for either party', function() {
+      const transfer = buildTransfer({
+        transferFees: {
+          governmentFee: fee(20000),
+          taxAmount: fee(5000, 'waived'),
+          processingFee: fee(300)
+        }
+      });
+
+      for (const user of [PREVIOUS_OWNER, NEW_OWNER]) {
+        const payable = TransferFeeService.getPayableFees(transfer, user);
+
+        expect(payable.success).to.be.true;
+        expect(payable.components).to.deep.equal(['governmentFee', 'processingFee']);
+        expect(payable.amount).to.equal(20300);
+      }
+    });
+
+    it('should refuse users who are not a party to the transfer', function() {
+      const payable = TransferFeeService.getPayableFees(buildTransfer(), OTHER_USER);
+
+      expect(payable.success).to.be.false;
+      expect(payable.statusCode).to.equal(403);
+    });
+
+    it('should refuse payment before the new owner accepts the transfer', function() {
+      const transfer = buildTransfer({ status: 'awaiting_recipient' });
+      transfer.transferFees.processingFee = fee(300);
+
+      const payable = TransferFeeService.getPayableFees(transfer, PREVIOUS_OWNER);
+
+      expect(payable.success).to.be.false;
+      expect(payable.statusCode).to.equal(400);
+    });
+
+    it('should report when nothing is left to pay', function() {
+      const transfer = buildTransfer({
+        transferFees: {
+          governmentFee: fee(20000, 'paid'),
+          taxAmount: fee(0),
+          processingFee: fee(300, 'waived')
+        }
+      });
+
+      const payable = TransferFeeService.getPayableFees(transfer, NEW_OWNER);
+
+      expect(payable.success).to.be.false;
+      expect(payable.message).to.equal('All fees for this transfer are already paid or waived');
+    });
+  });
+
+  describe('3. Payment Access', function() {
+    // Minimal Express response double
+    const mockResponse = () => {
+      const res = {};
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      return res;
+    };
+
+    it('should answer 400 for a malformed transfer or property ID', async function() {
+      const requests = [
+        { params: { propertyId: PROPERTY._id }, body: { transferId: 'not-an-id' } },
+        { params: { propertyId: 'not-an-id' }, body: { transferId: '64b7f0c2a1b2c3d4e5f60730' } }
+      ];
+
+      for (const request of requests) {
+        const res = mockResponse();
+        let nextCalled = false;
+
+        await verifyTransferPaymentAccess({ ...request, user: PREVIOUS_OWNER }, res, () => { nextCalled = true; });
+
+        expect(nextCalled).to.be.false;
+        expect(res.statusCode).to.equal(400);
+        expect(res.body.message).to.equal('Invalid property or transfer ID');
+      }
+    });
+  });
+
+  describe('4. Duplicate Payments', function() {
+    const PAYMENT_ID = '64b7f0c2a1b2c3d4e5f60740';
+    const OTHER_PAYMENT_ID = '64b7f0c2a1b2c3d4e5f60741';
+    const originalFindById = PropertyTransfer.findById;
+    const originalLogCreate = ApplicationLog.create;
+    let logs;
+
+    const buildPayment = (components, amount) => ({
+      _id: PAYMENT_ID,
+      transfer: '64b7f0c2a1b2c3d4e5f60730',
+      user: NEW_OWNER._id,
+      transactionId: 'TB-1',
+      amount,
+      currency: 'ETB',
+      transferFeeComponents: components,
+      saved: false,
+      async save() { this.saved = true; return this; }
+    });
+
+    beforeEach(function() {
+      logs = [];
+      ApplicationLog.create = async (entry) => { logs.push(entry); return entry; };
+    });
+
+    afterEach(function() {
+      PropertyTransfer.findById = originalFindById;
+      ApplicationLog.create = originalLogCreate;
+    });
+
+    it('should resume a pending payment only when it covers the same fees', function() {
+      const payable = { components: ['taxAmount', 'processingFee'], amount: 20300 };
+
+      expect(TransferFeeService.coversPayableFees(buildPayment(['processingFee', 'taxAmount'], 20300), payable)).to.be.true;
+      expect(TransferFeeService.coversPayableFees(buildPayment(['taxAmount'], 20000), payable)).to.be.false;
+      expect(TransferFeeService.coversPayableFees(buildPayment(['taxAmount', 'processingFee'], 20000), payable)).to.be.false;
+    });
+
+    it('should flag a completed payment for refund when its fees were settled first', async function() {
+      const transfer = buildTransfer({
+        transferFees: {
+          governmentFee: fee(0),
+          taxAmount: { ...fee(20000, 'paid'), payment: OTHER_PAYMENT_ID },
+          processingFee: fee(300, 'waived')
+        }
+      });
+      PropertyTransfer.findById = async () => transfer;
+      const payment = buildPayment(['taxAmount', 'processingFee'], 20300);
+
+      const result = await TransferFeeService.recordPayment(payment);
+
+      expect(result.success).to.be.true;
+      expect(result.components).to.be.empty;
+      expect(result.alreadySettled).to.deep.equal(['taxAmount', 'processingFee']);
+      expect(payment.refundRequired).to.be.true;
+      expect(payment.saved).to.be.true;
+      expect(logs).to.have.length(1);
+      expect(logs[0].action).to.equal('transfer_fee_overpaid');
+      expect(logs[0].metadata.components).to.deep.equal(['taxAmount', 'processingFee']);
+      expect(transfer.transferFees.taxAmount.payment).to.equal(OTHER_PAYMENT_ID);
+    });
+
+    it('should not flag a payment that is recorded twice', async function() {
+      const transfer = buildTransfer({
+        transferFees: {
+          governmentFee: fee(0),
+          taxAmount: { ...fee(20000, 'paid'), payment: PAYMENT_ID },
+          processingFee: { ...fee(300, 'paid'), payment: PAYMENT_ID }
+        }
+      });
+      PropertyTransfer.findById = async () => transfer;
+      const payment = buildPayment(['taxAmount', 'processingFee'], 20300);
+
+      const result = await TransferFeeService.recordPayment(payment);
+
+      expect(result.success).to.be.true;
+      expect(result.alreadySettled).to.be.empty;
+      expect(payment.refundRequired).to.be.undefined;
+      expect(logs).to.be.empty;
+    });
+  });
+});
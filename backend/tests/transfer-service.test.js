@@ -0,0 +1,113 @@
+/**
+ * Transfer Service Test
+ * Tests the ownership history recorded when a transfer is completed and which properties
+ * can change owner
+ */
+
+import { expect } from 'chai';
+import TransferService from '../services/transferService.js';
+import Property from '../models/Property.js';
+import PropertyTransfer from '../models/PropertyTransfer.js';
+
+const PREVIOUS_OWNER = '64b7f0c2a1b2c3d4e5f60719';
+const NEW_OWNER = '64b7f0c2a1b2c3d4e5f60720';
+const TRANSFER_ID = '64b7f0c2a1b2c3d4e5f60730';
+
+const buildTransfer = () => ({
+  _id: TRANSFER_ID,
+  previousOwner: PREVIOUS_OWNER,
+  newOwner: NEW_OWNER,
+  transferType: 'sale'
+});
+
+describe('Transfer Service', function() {
+  describe('1. Ownership History', function() {
+    it('should start a first-time owner\'s tenure at registration and reference the transfer', function() {
+      const completedAt = new Date('2024-06-01T00:00:00Z');
+      const entry = TransferService.buildOwnershipHistoryEntry({
+        owner: PREVIOUS_OWNER,
+        registrationDate: new Date('2020-01-15T00:00:00Z'),
+        ownershipHistory: []
+      }, buildTransfer(), completedAt);
+
+      expect(entry.owner).to.equal(PREVIOUS_OWNER);
+      expect(entry.startDate.toISOString()).to.equal('2020-01-15T00:00:00.000Z');
+      expect(entry.endDate).to.equal(completedAt);
+      expect(entry.transferType).to.equal('sale');
+      expect(entry.transferReference).to.equal(TRANSFER_ID);
+    });
+
+    it('should start a later owner\'s tenure when the previous tenure ended', function() {
+      const entry = TransferService.buildOwnershipHistoryEntry({
+        owner: PREVIOUS_OWNER,
+        registrationDate: new Date('2020-01-15T00:00:00Z'),
+        ownershipHistory: [
+          { owner: '64b7f0c2a1b2c3d4e5f60718', startDate: new Date('2020-01-15T00:00:00Z'), endDate: new Date('2022-03-10T00:00:00Z') }
+        ]
+      }, buildTransfer());
+
+      expect(entry.startDate.toISOString()).to.equal('2022-03-10T00:00:00.000Z');
+    });
+  });
+
+  describe('2. Partially Applied Transfers', function() {
+    it('should detect a property already moved to the new owner by this transfer', function() {
+      const property = {
+        owner: NEW_OWNER,
+        ownershipHistory: [{ owner: PREVIOUS_OWNER, transferReference: TRANSFER_ID }]
+      };
+
+      expect(TransferService.isOwnershipApplied(property, buildTransfer())).to.be.true;
+    });
+
+    it('should not treat an unrelated history entry as this transfer', function() {
+      const property = {
+        owner: PREVIOUS_OWNER,
+        ownershipHistory: [{ owner: '64b7f0c2a1b2c3d4e5f60718', transferReference: '64b7f0c2a1b2c3d4e5f60731' }]
+      };
+
+      expect(TransferService.isOwnershipApplied(property, buildTransfer())).to.be.false;
+    });
+  });
+
+  describe('3. Transferable Properties', function() {
+    const originalFindTransfer = PropertyTransfer.findById;
+    const originalFindProperty = Property.findById;
+
+    // Answer the lookups of applyTransfer without a database
+    const useRecords = (transfer, property) => {
+      PropertyTransfer.findById = () => ({ session: async () => transfer });
+      Property.findById = () => ({ session: async () => property });
+    };
+
+    afterEach(function() {
+      PropertyTransfer.findById = originalFindTransfer;
+      Property.findById = originalFindProperty;
+    });
+
+    it('should only allow approved properties to be transferred', function() {
+      expect(TransferService.getTransferBlock({ status: 'approved' })).to.be.null;
+      expect(TransferService.getTransferBlock({ status: 'pending' })).to.equal('Only approved properties can be transferred');
+      expect(TransferService.getTransferBlock({ status: 'void' })).to.include('void');
+      expect(TransferService.getTransferBlock({ status: 'retired' })).to.include('subdivision or merge');
+    });
+
+    it('should refuse to complete the transfer of a plot retired by a subdivision', async function() {
+      const property = {
+        _id: '64b7f0c2a1b2c3d4e5f60740',
+        owner: PREVIOUS_OWNER,
+        status: 'retired',
+        ownershipHistory: [],
+        save: async () => { throw new Error('A retired plot must not be saved'); }
+      };
+      useRecords({ ...buildTransfer(), property: property._id, status: 'approved' }, property);
+
+      const result = await TransferService.applyTransfer(TRANSFER_ID, { _id: NEW_OWNER, role: 'admin' }, null);
+
+      expect(result.success).to.be.false;
+      expect(result.statusCode).to.equal(409);
+      expect(result.message).to.include('subdivision or merge');
+      expect(property.owner).to.equal(PREVIOUS_OWNER);
+    });
+  });
+});
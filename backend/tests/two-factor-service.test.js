@@ -0,0 +1,213 @@
+/**
+ * Two-Factor Service Test
+ * Tests TOTP codes against RFC 6238, replay protection, recovery codes, secret encryption,
+ * the per-role policy, login challenges, step-up checks and the lockout on wrong codes
+ */
+
+import { expect } from 'chai';
+import TwoFactorService, { TOTP_PERIOD, STEP_UP_WINDOW, RECOVERY_CODE_COUNT } from '../services/twoFactorService.js';
+import SecurityService from '../services/securityService.js';
+import { requireStepUp } from '../middleware/auth.js';
+
+// RFC 6238 SHA1 test secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const at = (seconds) => new Date(seconds * 1000);
+
+const policy = (overrides = {}) => ({
+  twoFactorAuth: true,
+  twoFactorAdmins: true,
+  twoFactorLandOfficers: true,
+  twoFactorCitizens: false,
+  ...overrides
+});
+
+describe('Two-Factor Service', function() {
+  this.timeout(10000);
+
+  before(function() {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  describe('1. TOTP Codes', function() {
+    it('should round-trip base32 secrets', function() {
+      const bytes = Buffer.from('12345678901234567890');
+
+      expect(TwoFactorService.base32Encode(bytes)).to.equal(RFC_SECRET);
+      expect(TwoFactorService.base32Decode(RFC_SECRET).equals(bytes)).to.be.true;
+    });
+
+    it('should match the RFC 6238 test vectors', function() {
+      // Last six digits of the published 8-digit SHA1 codes
+      const vectors = { 59: '287082', 1111111109: '081804', 1234567890: '005924', 2000000000: '279037' };
+
+      Object.entries(vectors).forEach(([seconds, code]) => {
+        const step = TwoFactorService.getStep(at(Number(seconds)));
+        expect(TwoFactorService.generateCode(RFC_SECRET, step)).to.equal(code);
+      });
+    });
+
+    it('should accept codes from the neighbouring period only', function() {
+      const now = at(1234567890);
+      const step = TwoFactorService.getStep(now);
+      const previous = TwoFactorService.generateCode(RFC_SECRET, step - 1);
+      const stale = TwoFactorService.generateCode(RFC_SECRET, step - 2);
+
+      expect(TwoFactorService.verifyCode(RFC_SECRET, previous, { now })).to.equal(step - 1);
+      expect(TwoFactorService.verifyCode(RFC_SECRET, stale, { now })).to.be.null;
+    });
+
+    it('should refuse a code that was already used', function() {
+      const now = at(1234567890);
+      const step = TwoFactorService.getStep(now);
+      const code = TwoFactorService.generateCode(RFC_SECRET, step);
+
+      expect(TwoFactorService.verifyCode(RFC_SECRET, code, { now, lastUsedStep: step - 1 })).to.equal(step);
+      expect(TwoFactorService.verifyCode(RFC_SECRET, code, { now, lastUsedStep: step })).to.be.null;
+    });
+
+    it('should reject malformed codes', function() {
+      expect(TwoFactorService.verifyCode(RFC_SECRET, '')).to.be.null;
+      expect(TwoFactorService.verifyCode(RFC_SECRET, '12345')).to.be.null;
+      expect(TwoFactorService.verifyCode(RFC_SECRET, 'abcdef')).to.be.null;
+    });
+
+    it('should build a provisioning URI for authenticator apps', function() {
+      const uri = TwoFactorService.getProvisioningUri(RFC_SECRET, 'officer@example.com', 'Land Registry');
+
+      expect(uri).to.match(/^otpauth:\/\/totp\/Land%20Registry%3Aofficer%40example\.com\?/);
+      expect(uri).to.include(`secret=${RFC_SECRET}`);
+      expect(uri).to.include(`period=${TOTP_PERIOD}`);
+    });
+  });
+
+  describe('2. Recovery Codes and Secrets', function() {
+    it('should generate unique codes and store only hashes', function() {
+      const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+      expect(codes).to.have.lengthOf(RECOVERY_CODE_COUNT);
+      expect(new Set(codes).size).to.equal(RECOVERY_CODE_COUNT);
+      codes.forEach((code) => expect(code).to.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(hashes[0].hash).to.equal(TwoFactorService.hashRecoveryCode(codes[0]));
+      expect(hashes[0].hash).to.not.include(codes[0].replace('-', ''));
+    });
+
+    it('should ignore case, spaces and dashes when matching recovery codes', function() {
+      expect(TwoFactorService.hashRecoveryCode('AB12C 3D4E5')).to.equal(TwoFactorService.hashRecoveryCode('ab12c-3d4e5'));
+    });
+
+    it('should encrypt secrets so they can be read back', function() {
+      const secret = TwoFactorService.generateSecret();
+      const encrypted = TwoFactorService.encryptSecret(secret);
+
+      expect(encrypted).to.not.include(secret);
+      expect(TwoFactorService.encryptSecret(secret)).to.not.equal(encrypted);
+      expect(TwoFactorService.decryptSecret(encrypted)).to.equal(secret);
+    });
+  });
+
+  describe('3. Policy and Challenges', function() {
+    it('should require 2FA only for switched-on roles while the policy is on', function() {
+      expect(TwoFactorService.isRequired('admin', policy())).to.be.true;
+      expect(TwoFactorService.isRequired('landOfficer', policy())).to.be.true;
+      expect(TwoFactorService.isRequired('user', policy())).to.be.false;
+      expect(TwoFactorService.isRequired('admin', policy({ twoFactorAuth: false }))).to.be.false;
+    });
+
+    it('should only accept a challenge for its own purpose', function() {
+      const token = TwoFactorService.issueChallenge({ _id: 'user-1' }, 'login');
+
+      expect(TwoFactorService.readChallenge(token, 'login')).to.include({ id: 'user-1' });
+      expect(TwoFactorService.readChallenge(token, 'setup')).to.be.null;
+      expect(TwoFactorService.readChallenge('not-a-token', 'login')).to.be.null;
+    });
+
+    it('should send users with 2FA to the code step', async function() {
+      const challenge = await TwoFactorService.getLoginChallenge({ _id: 'user-1', role: 'user', twoFactor: { enabled: true } });
+
+      expect(challenge.twoFactorRequired).to.be.true;
+      expect(TwoFactorService.readChallenge(challenge.challengeToken, 'login')).to.not.be.null;
+    });
+  });
+
+  describe('4. Step-Up Checks', function() {
+    it('should treat a session as verified only within the step-up window', function() {
+      const now = new Date('2026-03-01T10:00:00Z');
+
+      expect(TwoFactorService.isRecentlyVerified({ twoFactorVerifiedAt: new Date(now.getTime() - 1000) }, now)).to.be.true;
+      expect(TwoFactorService.isRecentlyVerified({ twoFactorVerifiedAt: new Date(now.getTime() - STEP_UP_WINDOW) }, now)).to.be.false;
+      expect(TwoFactorService.isRecentlyVerified({}, now)).to.be.false;
+    });
+
+    it('should let a recently verified session through requireStepUp', async function() {
+      const req = {
+        user: { _id: 'user-1', role: 'admin' },
+        authSession: { _id: 'session-1', twoFactorVerifiedAt: new Date() },
+        get: () => undefined
+      };
+      let nextCalled = false;
+
+      await requireStepUp(req, {}, () => { nextCalled = true; });
+
+      expect(nextCalled).to.be.true;
+    });
+  });
+
+  describe('5. Lockout', function() {
+    const originalGetLockout = SecurityService.getLockout;
+    const originalRecordFailure = SecurityService.recordFailedLogin;
+    let failures;
+
+    // Count failures in memory and lock on the third, as maxLoginAttempts would
+    beforeEach(function() {
+      failures = [];
+      SecurityService.getLockout = async () => (failures.length >= 3 ? { retryAfter: 900 } : null);
+      SecurityService.recordFailedLogin = async (email, ip) => {
+        failures.push({ email, ip });
+        return failures.length >= 3 ? { retryAfter: 900 } : null;
+      };
+    });
+
+    afterEach(function() {
+      SecurityService.getLockout = originalGetLockout;
+      SecurityService.recordFailedLogin = originalRecordFailure;
+    });
+
+    const enrolledUser = () => ({
+      _id: 'user-1',
+      email: 'officer@example.com',
+      role: 'landOfficer',
+      twoFactor: { enabled: true, secret: TwoFactorService.encryptSecret(RFC_SECRET) },
+      save: async () => {}
+    });
+
+    it('should count wrong codes and lock the account like failed logins', async function() {
+      const user = enrolledUser();
+
+      expect((await TwoFactorService.verifyUserCode(user, '000000', '10.0.0.1')).statusCode).to.equal(400);
+      expect((await TwoFactorService.verifyUserCode(user, '000001', '10.0.0.1')).statusCode).to.equal(400);
+
+      const locked = await TwoFactorService.verifyUserCode(user, '000002', '10.0.0.1');
+      expect(locked.statusCode).to.equal(429);
+      expect(locked.retryAfter).to.equal(900);
+      expect(failures).to.deep.equal(Array(3).fill({ email: 'officer@example.com', ip: '10.0.0.1' }));
+    });
+
+    it('should refuse even the right code while the account is locked', async function() {
+      const user = enrolledUser();
+      failures = Array(3).fill({});
+      const code = TwoFactorService.generateCode(RFC_SECRET, TwoFactorService.getStep(new Date()));
+
+      expect((await TwoFactorService.verifyUserCode(user, code, '10.0.0.1')).statusCode).to.equal(429);
+      expect(user.twoFactor.lastUsedStep).to.be.undefined;
+    });
+
+    it('should accept a right code without counting a failure', async function() {
+      const user = enrolledUser();
+      const code = TwoFactorService.generateCode(RFC_SECRET, TwoFactorService.getStep(new Date()));
+
+      expect((await TwoFactorService.verifyUserCode(user, code, '10.0.0.1')).success).to.be.true;
+      expect(failures).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Workflow Service Test
+ * Tests the transition tables: allowed source statuses, roles, guards and next actions
+ */
+
+import { expect } from 'chai';
+import WorkflowService from '../services/workflowService.js';
+
+const OWNER = { _id: '64b7f0c2a1b2c3d4e5f60719', role: 'user' };
+const OTHER_USER = { _id: '64b7f0c2a1b2c3d4e5f60720', role: 'user' };
+const OFFICER = { _id: '64b7f0c2a1b2c3d4e5f60721', role: 'landOfficer' };
+
+const buildProperty = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  owner: OWNER._id,
+  status: 'pending',
+  documentsValidated: false,
+  paymentCompleted: false,
+  ...overrides
+});
+
+const buildTransfer = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60730',
+  property: '64b7f0c2a1b2c3d4e5f60718',
+  previousOwner: OWNER._id,
+  newOwner: OTHER_USER._id,
+  status: 'compliance_check',
+  complianceChecks: {
+    ethiopianLawCompliance: { status: 'compliant' },
+    taxClearance: { status: 'cleared' },
+    fraudPrevention: { status: 'cleared' }
+  },
+  ...overrides
+});
+
+describe('Workflow Service', function() {
+  describe('1. Transition Checks', function() {
+    it('should refuse a transition from a status it does not start from', function() {
+      const error = WorkflowService.check('property', buildProperty(), 'approve', { user: OFFICER });
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal('Cannot approve a property that is pending');
+    });
+
+    it('should refuse users without one of the transition roles', function() {
+      const property = buildProperty({ status: 'payment_completed', documentsValidated: true, paymentCompleted: true });
+
+      expect(WorkflowService.check('property', property, 'approve', { user: OWNER }).statusCode).to.equal(403);
+      expect(WorkflowService.check('property', property, 'approve', { user: OFFICER })).to.be.null;
+    });
+
+    it('should only let the owner perform owner transitions', function() {
+      const property = buildProperty({ status: 'rejected' });
+
+      expect(WorkflowService.check('property', property, 'resubmit', { user: OWNER })).to.be.null;
+      expect(WorkflowService.check('property', property, 'resubmit', { user: OTHER_USER }).statusCode).to.equal(403);
+    });
+
+    it('should only let the system validate documents', function() {
+      const property = buildProperty();
+
+      expect(WorkflowService.check('property', property, 'validate_documents', { system: true })).to.be.null;
+      expect(WorkflowService.check('property', property, 'validate_documents', { user: OFFICER }).statusCode).to.equal(403);
+    });
+
+    it('should only let an admin void a registration', function() {
+      const property = buildProperty({ status: 'approved', documentsValidated: true, paymentCompleted: true });
+      const admin = { _id: '64b7f0c2a1b2c3d4e5f60722', role: 'admin' };
+
+      expect(WorkflowService.check('property', property, 'void', { user: admin })).to.be.null;
+      expect(WorkflowService.check('property', property, 'void', { user: OFFICER }).statusCode).to.equal(403);
+      expect(WorkflowService.check('property', buildProperty({ status: 'rejected' }), 'void', { user: admin }).statusCode)
+        .to.equal(400);
+    });
+
+    it('should let a paid registration be approved again once its documents are re-validated', function() {
+      const property = buildProperty({ status: 'documents_validated', documentsValidated: true, paymentCompleted: true });
+
+      expect(WorkflowService.check('property', property, 'approve', { user: OFFICER })).to.be.null;
+
+      property.paymentCompleted = false;
+      expect(WorkflowService.check('property', property, 'approve', { user: OFFICER }).message)
+        .to.equal('Cannot approve: Payment must be completed first');
+    });
+
+    it('should refuse approving a transfer with a failed compliance check', function() {
+      const transfer = buildTransfer();
+      transfer.complianceChecks.taxClearance.status = 'outstanding';
+
+      const error = WorkflowService.check('transfer', transfer, 'approve', { user: OFFICER });
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.include('taxClearance');
+    });
+
+    it('should refuse approving a transfer with fees neither paid nor waived', function() {
+      const transfer = buildTransfer({
+        transferFees: {
+          governmentFee: { amount: 20000, status: 'paid' },
+          taxAmount: { amount: 5000, status: 'pending' },
+          processingFee: { amount: 300, status: 'pending' }
+        }
+      });
+
+      const error = WorkflowService.check('transfer', transfer, 'approve', { user: OFFICER });
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal('Cannot approve: Transfer fees not paid or waived: taxAmount, processingFee');
+
+      transfer.transferFees.taxAmount.status = 'waived';
+      transfer.transferFees.processingFee.status = 'paid';
+      expect(WorkflowService.check('transfer', transfer, 'approve', { user: OFFICER })).to.be.null;
+    });
+
+    it('should require a decision to resolve a dispute', function() {
+      const dispute = { disputant: OWNER._id, status: 'mediation' };
+
+      expect(WorkflowService.check('dispute', dispute, 'resolve', { user: OFFICER, params: {} }).statusCode).to.equal(400);
+      expect(WorkflowService.check('dispute', dispute, 'resolve', {
+        user: OFFICER,
+        params: { decision: 'compromise' }
+      })).to.be.null;
+    });
+  });
+
+  describe('2. Recipient Consent', function() {
+    const buildPendingTransfer = (expiresAt) => buildTransfer({
+      status: 'awaiting_recipient',
+      recipientConsent: { status: 'pending', expiresAt }
+    });
+
+    it('should only let the new owner accept or decline', function() {
+      const transfer = buildPendingTransfer(new Date(Date.now() + 60 * 60 * 1000));
+
+      expect(WorkflowService.check('transfer', transfer, 'accept', { user: OTHER_USER })).to.be.null;
+      expect(WorkflowService.check('transfer', transfer, 'decline', { user: OTHER_USER })).to.be.null;
+      expect(WorkflowService.check('transfer', transfer, 'accept', { user: OWNER }).statusCode).to.equal(403);
+      expect(WorkflowService.check('transfer', transfer, 'accept', { user: OFFICER }).statusCode).to.equal(403);
+    });
+
+    it('should keep officers out of a transfer the new owner has not accepted', function() {
+      const transfer = buildPendingTransfer(new Date(Date.now() + 60 * 60 * 1000));
+
+      expect(WorkflowService.getAvailableActions('transfer', transfer, OFFICER)).to.be.empty;
+      expect(WorkflowService.check('transfer', transfer, 'record_compliance', { user: OFFICER }).statusCode).to.equal(400);
+    });
+
+    it('should refuse acceptance after the deadline and only then allow expiry', function() {
+      const open = buildPendingTransfer(new Date(Date.now() + 60 * 60 * 1000));
+      const overdue = buildPendingTransfer(new Date(Date.now() - 60 * 1000));
+
+      expect(WorkflowService.check('transfer', overdue, 'accept', { user: OTHER_USER }).statusCode).to.equal(400);
+      expect(WorkflowService.check('transfer', overdue, 'expire', { system: true })).to.be.null;
+      expect(WorkflowService.check('transfer', open, 'expire', { system: true }).statusCode).to.equal(400);
+    });
+  });
+
+  describe('3. Status Changes', function() {
+    it('should find the transition between two statuses', function() {
+      expect(WorkflowService.findAction('dispute', 'submitted', 'under_review')).to.equal('start_review');
+      expect(WorkflowService.findAction('dispute', 'under_review', 'mediation')).to.equal('mediate');
+      expect(WorkflowService.findAction('dispute', 'resolved', 'under_review')).to.be.null;
+    });
+  });
+
+  describe('4. Available Actions', function() {
+    it('should list the actions a land officer can take on a transfer', function() {
+      const actions = WorkflowService.getAvailableActions('transfer', buildTransfer(), OFFICER);
+
+      expect(actions.map(action => action.action)).to.have.members([
+        'request_documents',
+        'record_compliance',
+        'approve',
+        'reject'
+      ]);
+      expect(actions.every(action => action.allowed)).to.be.true;
+    });
+
+    it('should list guarded actions as not allowed with the reason', function() {
+      const property = buildProperty({ status: 'under_review', documentsValidated: true });
+      const approve = WorkflowService.getAvailableActions('property', property, OFFICER)
+        .find(action => action.action === 'approve');
+
+      expect(approve.allowed).to.be.false;
+      expect(approve.reason).to.equal('Payment must be completed first');
+    });
+
+    it('should only list owner actions for the owner', function() {
+      const transfer = buildTransfer({ status: 'initiated' });
+
+      expect(WorkflowService.getAvailableActions('transfer', transfer, OWNER).map(action => action.action))
+        .to.have.members(['submit_documents', 'cancel']);
+      expect(WorkflowService.getAvailableActions('transfer', transfer, OTHER_USER)).to.be.empty;
+    });
+
+    it('should list actions that need input with what they require', function() {
+      const dispute = { disputant: OWNER._id, status: 'investigation' };
+      const resolve = WorkflowService.getAvailableActions('dispute', dispute, OFFICER)
+        .find(action => action.action === 'resolve');
+
+      expect(resolve.allowed).to.be.true;
+      expect(resolve.requires).to.deep.equal(['decision']);
+    });
+  });
+});
@@ -14,6 +14,9 @@ import Contact from './pages/Contact';
 // import Login from './pages/auth/Login'; // Removed
 import AdminLogin from './pages/auth/AdminLogin';
 import LandOfficerLogin from './pages/auth/LandOfficerLogin';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
+import VerifyEmail from './pages/auth/VerifyEmail';
 import LandOfficerHome from './pages/landOfficer/LandOfficerHome'; // Corrected import path
 // import Register from './pages/auth/Register'; // Removed
 // import UserDashboard from './pages/user/Dashboard'; // Removed
@@ -49,6 +52,8 @@ import DocumentValidation from './pages/landOfficer/DocumentValidation';
 import PaymentVerification from './pages/landOfficer/PaymentVerification';
 import Reports from './pages/landOfficer/Reports';
 import LandOfficerProfile from './pages/landOfficer/Profile';
+import ParcelMapView from './pages/landOfficer/ParcelMapView';
+import ParcelChangeReview from './pages/landOfficer/ParcelChangeReview';
 
 
 function App() {
@@ -120,6 +125,42 @@ function App() {
             </div>
           }
         />
+        <Route
+          path="/forgot-password"
+          element={
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow">
+                <ForgotPassword />
+              </main>
+              <Footer />
+            </div>
+          }
+        />
+        <Route
+          path="/reset-password"
+          element={
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow">
+                <ResetPassword />
+              </main>
+              <Footer />
+            </div>
+          }
+        />
+        <Route
+          path="/verify-email"
+          element={
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow">
+                <VerifyEmail />
+              </main>
+              <Footer />
+            </div>
+          }
+        />
         <Route
           path="/about"
           element={ // Kept About
@@ -218,6 +259,22 @@ function App() {
               </DashboardLayout>
             }
           />
+          <Route
+            path="/landofficer/parcel-map"
+            element={
+              <DashboardLayout>
+                <ParcelMapView />
+              </DashboardLayout>
+            }
+          />
+          <Route
+            path="/landofficer/parcel-changes"
+            element={
+              <DashboardLayout>
+                <ParcelChangeReview />
+              </DashboardLayout>
+            }
+          />
         </Route>
 
         {/* Admin protected routes */}
@@ -318,6 +375,22 @@ function App() {
               </DashboardLayout>
             }
           />
+          <Route
+            path="/admin/parcel-map"
+            element={
+              <DashboardLayout>
+                <ParcelMapView />
+              </DashboardLayout>
+            }
+          />
+          <Route
+            path="/admin/parcel-changes"
+            element={
+              <DashboardLayout>
+                <ParcelChangeReview />
+              </DashboardLayout>
+            }
+          />
         </Route>
 
         {/* Not Found Route */}
@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { verifyTwoFactorLogin, startTwoFactorSetup, enableTwoFactor } from '../../services/authService';
+import RecoveryCodeList from './RecoveryCodeList';
+
+// Second login step: enter a code, or enrol first when the policy requires 2FA for the role
+// `challenge` is the login response ({ twoFactorRequired | twoFactorSetupRequired, challengeToken })
+const TwoFactorChallenge = ({ challenge, onComplete, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [enrolled, setEnrolled] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isSetup = Boolean(challenge.twoFactorSetupRequired);
+
+  useEffect(() => {
+    if (!isSetup) return;
+
+    startTwoFactorSetup(challenge.challengeToken)
+      .then(setSetup)
+      .catch((error) => {
+        console.error('Error starting two-factor setup:', error);
+        toast.error(error.message || 'Failed to start two-factor setup');
+        onCancel();
+      });
+  }, [isSetup, challenge.challengeToken, onCancel]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submitting || !code.trim()) return;
+
+    try {
+      setSubmitting(true);
+
+      if (isSetup) {
+        const response = await enableTwoFactor(code.trim(), challenge.challengeToken);
+        const { recoveryCodes, ...userData } = response;
+        setEnrolled({ recoveryCodes, userData });
+      } else {
+        const response = await verifyTwoFactorLogin(
+          challenge.challengeToken,
+          useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+        );
+        onComplete(response);
+      }
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      toast.error(error.message || error.errors?.[0]?.msg || 'Verification failed');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (enrolled) {
+    return (
+      <div className="space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">Two-factor authentication is on</h3>
+        <RecoveryCodeList codes={enrolled.recoveryCodes} />
+        <button
+          type="button"
+          onClick={() => onComplete(enrolled.userData)}
+          className="w-full py-2 px-4 rounded-md text-sm font-medium text-white bg-primary hover:bg-primary-dark"
+        >
+          I have saved my codes, continue
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex items-center">
+        <ShieldCheckIcon className="h-6 w-6 text-primary mr-2" />
+        <h3 className="text-lg font-semibold text-gray-900">
+          {isSetup ? 'Set up two-factor authentication' : 'Two-factor verification'}
+        </h3>
+      </div>
+
+      {isSetup ? (
+        setup ? (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Your role requires two-factor authentication. Scan this QR code with an authenticator app,
+              then enter the 6-digit code it shows.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto h-48 w-48" />
+            <p className="text-xs text-gray-500 text-center break-all">
+              Or enter this key manually: <span className="font-mono">{setup.secret}</span>
+            </p>
+          </div>
+        ) : (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        )
+      ) : (
+        <p className="text-sm text-gray-600">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      )}
+
+      <input
+        type="text"
+        autoComplete="one-time-code"
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoFocus
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-center tracking-widest focus:outline-none focus:ring-primary focus:border-primary"
+      />
+
+      <button
+        type="submit"
+        disabled={submitting || (isSetup && !setup)}
+        className="w-full py-2 px-4 rounded-md text-sm font-medium text-white bg-primary hover:bg-primary-dark disabled:opacity-50"
+      >
+        {submitting ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        {!isSetup ? (
+          <button
+            type="button"
+            onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+            className="text-primary hover:text-primary-dark"
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        ) : <span />}
+        <button type="button" onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+          Back to login
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
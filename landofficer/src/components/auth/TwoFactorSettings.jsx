@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../../services/authService';
+import RecoveryCodeList from './RecoveryCodeList';
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  // Which form is open: 'setup', 'disable' or 'regenerate'
+  const [action, setAction] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true);
+      setStatus(await getTwoFactorStatus());
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      toast.error(error.message || 'Failed to load two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const closeForm = () => {
+    setAction(null);
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setSubmitting(true);
+      setRecoveryCodes(null);
+      setSetup(await startTwoFactorSetup());
+      setAction('setup');
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      toast.error(error.message || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+
+      if (action === 'setup') {
+        const result = await enableTwoFactor(code.trim());
+        setRecoveryCodes(result.recoveryCodes);
+        toast.success('Two-factor authentication enabled');
+      } else if (action === 'regenerate') {
+        const result = await regenerateRecoveryCodes(code.trim());
+        setRecoveryCodes(result.recoveryCodes);
+        toast.success('New recovery codes generated');
+      } else if (action === 'disable') {
+        await disableTwoFactor(password, code.trim());
+        setRecoveryCodes(null);
+        toast.success('Two-factor authentication disabled');
+      }
+
+      closeForm();
+      fetchStatus();
+    } catch (error) {
+      console.error('Two-factor settings error:', error);
+      toast.error(error.message || error.errors?.[0]?.msg || 'Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Two-Factor Authentication</h2>
+        <span
+          className={`px-2 py-0.5 rounded-full text-xs ${
+            status?.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+          }`}
+        >
+          {status?.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        {status?.enabled
+          ? `Enabled ${status.enabledAt ? new Date(status.enabledAt).toLocaleDateString() : ''}. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`
+          : 'Protect your account with a code from an authenticator app in addition to your password.'}
+        {status?.required && ' Two-factor authentication is required for your role.'}
+      </p>
+
+      {recoveryCodes && (
+        <div className="mb-4">
+          <RecoveryCodeList codes={recoveryCodes} />
+        </div>
+      )}
+
+      {action ? (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {action === 'setup' && setup && (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-600">
+                Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <img src={setup.qrCode} alt="Two-factor QR code" className="h-48 w-48" />
+              <p className="text-xs text-gray-500 break-all">
+                Or enter this key manually: <span className="font-mono">{setup.secret}</span>
+              </p>
+            </div>
+          )}
+
+          {action === 'disable' && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Current password"
+              className={inputClass}
+              required
+            />
+          )}
+
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="6-digit code"
+            className={inputClass}
+            required
+          />
+
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 text-sm rounded-md text-white bg-primary hover:bg-primary-dark disabled:opacity-50"
+            >
+              {submitting ? 'Saving...' : action === 'disable' ? 'Disable' : 'Confirm'}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : status?.enabled ? (
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setAction('regenerate')}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            New recovery codes
+          </button>
+          {!status.required && (
+            <button
+              onClick={() => setAction('disable')}
+              className="px-3 py-1 text-sm border border-red-300 text-red-700 rounded-md hover:bg-red-50"
+            >
+              Disable
+            </button>
+          )}
+        </div>
+      ) : (
+        <button
+          onClick={handleStartSetup}
+          disabled={submitting}
+          className="px-3 py-1 text-sm rounded-md text-white bg-primary hover:bg-primary-dark disabled:opacity-50"
+        >
+          Enable two-factor authentication
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
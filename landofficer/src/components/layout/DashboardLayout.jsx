@@ -21,7 +21,8 @@ import {
   MapIcon,
   MagnifyingGlassIcon,
   ExclamationTriangleIcon,
-  ArrowRightCircleIcon
+  ArrowRightCircleIcon,
+  Squares2X2Icon
 } from '@heroicons/react/24/outline';
 
 const DashboardLayout = ({ children }) => {
@@ -117,6 +118,16 @@ const DashboardLayout = ({ children }) => {
           icon: <CurrencyDollarIcon className="w-5 h-5" />,
           path: '/landofficer/payment-verification'
         },
+        {
+          name: 'Parcel Map',
+          icon: <MapIcon className="w-5 h-5" />,
+          path: '/landofficer/parcel-map'
+        },
+        {
+          name: 'Subdivisions & Merges',
+          icon: <Squares2X2Icon className="w-5 h-5" />,
+          path: '/landofficer/parcel-changes'
+        },
         {
           name: 'Reports',
           icon: <ChartBarIcon className="w-5 h-5" />,
@@ -159,6 +170,16 @@ const DashboardLayout = ({ children }) => {
           icon: <ArrowRightCircleIcon className="w-5 h-5" />,
           path: '/admin/transfers'
         },
+        {
+          name: 'Parcel Map',
+          icon: <MapIcon className="w-5 h-5" />,
+          path: '/admin/parcel-map'
+        },
+        {
+          name: 'Subdivisions & Merges',
+          icon: <Squares2X2Icon className="w-5 h-5" />,
+          path: '/admin/parcel-changes'
+        },
         {
           name: 'Reports',
           icon: <ChartBarIcon className="w-5 h-5" />,
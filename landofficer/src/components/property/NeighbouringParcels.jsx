@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import { searchByLocation } from '../../services/searchService';
+
+// Parcels whose boundaries touch or overlap the given property's boundary
+const NeighbouringParcels = ({ propertyId }) => {
+  const [neighbours, setNeighbours] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchNeighbours = async () => {
+      try {
+        setLoading(true);
+        setMessage(null);
+        const data = await searchByLocation({ property: propertyId, limit: 50 });
+        setNeighbours(data.properties || []);
+      } catch (error) {
+        console.error('Error fetching neighbouring parcels:', error);
+        setNeighbours([]);
+        setMessage(error.message || 'Failed to fetch neighbouring parcels');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchNeighbours();
+  }, [propertyId]);
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading neighbouring parcels...</p>;
+  }
+
+  if (message) {
+    return <p className="text-sm text-gray-500">{message}</p>;
+  }
+
+  if (neighbours.length === 0) {
+    return <p className="text-sm text-gray-500">No registered parcels touch this boundary.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {neighbours.map((neighbour) => (
+        <li key={neighbour._id} className="py-2 flex items-center justify-between">
+          <div>
+            <p className="text-sm font-medium text-gray-900">Plot {neighbour.plotNumber}</p>
+            <p className="text-xs text-gray-500">
+              {neighbour.owner?.fullName || 'Unknown owner'} - <span className="capitalize">{neighbour.status?.replace(/_/g, ' ')}</span>
+            </p>
+          </div>
+          <span
+            className={`px-2 py-0.5 text-xs rounded-full ${
+              neighbour.overlaps ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-700'
+            }`}
+          >
+            {neighbour.overlaps ? 'Overlaps' : 'Adjacent'}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default NeighbouringParcels;
@@ -0,0 +1,78 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, GeoJSON, Popup, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { DEFAULT_MAP_CENTER } from '../../utils/parcelGeometry';
+
+// Parcel outline colour by registration status; overlapping parcels are always drawn in red
+const getParcelColor = (properties) => {
+  if (properties.overlaps > 0) {
+    return '#dc2626';
+  }
+
+  switch (properties.status) {
+    case 'approved':
+      return '#16a34a';
+    case 'rejected':
+    case 'void':
+    case 'retired':
+      return '#6b7280';
+    default:
+      return '#d97706';
+  }
+};
+
+const FitToParcels = ({ features }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (features.length > 0) {
+      map.fitBounds(L.geoJSON({ type: 'FeatureCollection', features }).getBounds(), { padding: [20, 20], maxZoom: 18 });
+    }
+  }, [map, features]);
+
+  return null;
+};
+
+// Read-only map of parcel boundaries; `features` are GeoJSON Features as returned by /properties/map.
+// `getDetailPath` turns a feature into the page its popup links to.
+const ParcelMap = ({ features, height = '400px', getDetailPath }) => (
+  <div className="rounded-lg overflow-hidden border border-gray-200" style={{ height }}>
+    <MapContainer center={DEFAULT_MAP_CENTER} zoom={12} style={{ height: '100%', width: '100%' }}>
+      <TileLayer
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+      />
+      {features.map((feature) => (
+        <GeoJSON
+          key={feature.id}
+          data={feature}
+          style={{ color: getParcelColor(feature.properties), weight: 2, fillOpacity: 0.2 }}
+        >
+          <Popup>
+            <div className="text-sm">
+              <div className="font-semibold">Plot {feature.properties.plotNumber}</div>
+              <div className="capitalize">{feature.properties.propertyType} - {feature.properties.status.replace(/_/g, ' ')}</div>
+              {feature.properties.owner && <div>Owner: {feature.properties.owner}</div>}
+              {feature.properties.subCity && (
+                <div>{feature.properties.subCity}, Kebele {feature.properties.kebele}</div>
+              )}
+              {feature.properties.overlaps > 0 && (
+                <div className="text-red-600">Overlaps {feature.properties.overlaps} approved parcel(s)</div>
+              )}
+              {getDetailPath && (
+                <Link to={getDetailPath(feature)} className="text-primary hover:underline">
+                  View details
+                </Link>
+              )}
+            </div>
+          </Popup>
+        </GeoJSON>
+      ))}
+      <FitToParcels features={features} />
+    </MapContainer>
+  </div>
+);
+
+export default ParcelMap;
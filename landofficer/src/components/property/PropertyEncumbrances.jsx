@@ -0,0 +1,315 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import {
+  LockClosedIcon,
+  LockOpenIcon,
+  PlusIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import {
+  getPropertyEncumbrances,
+  registerEncumbrance,
+  releaseEncumbrance,
+  ENCUMBRANCE_TYPE_LABELS,
+  HOLDER_TYPE_LABELS,
+  BLOCKING_ENCUMBRANCE_TYPES
+} from '../../services/encumbranceService';
+
+const EMPTY_FORM = {
+  type: '',
+  holderName: '',
+  holderType: '',
+  reference: '',
+  amount: '',
+  description: '',
+  blocking: false
+};
+
+const PropertyEncumbrances = ({ propertyId }) => {
+  const [encumbrances, setEncumbrances] = useState({ active: [], history: [] });
+  const [loading, setLoading] = useState(true);
+  const [showRegisterModal, setShowRegisterModal] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Format date
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const fetchEncumbrances = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getPropertyEncumbrances(propertyId);
+      setEncumbrances(data);
+    } catch (error) {
+      console.error('Error fetching encumbrances:', error);
+      toast.error(error.message || 'Failed to fetch encumbrances');
+    } finally {
+      setLoading(false);
+    }
+  }, [propertyId]);
+
+  useEffect(() => {
+    fetchEncumbrances();
+  }, [fetchEncumbrances]);
+
+  const handleRegister = async () => {
+    if (!form.type || !form.holderName.trim() || !form.holderType) {
+      toast.error('Type, holder name and holder type are required');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await registerEncumbrance({
+        property: propertyId,
+        type: form.type,
+        holder: {
+          name: form.holderName.trim(),
+          holderType: form.holderType,
+          reference: form.reference.trim() || undefined
+        },
+        amount: form.amount !== '' ? Number(form.amount) : undefined,
+        description: form.description.trim() || undefined,
+        blocking: form.blocking
+      });
+      toast.success('Encumbrance registered');
+      setShowRegisterModal(false);
+      setForm(EMPTY_FORM);
+      fetchEncumbrances();
+    } catch (error) {
+      console.error('Error registering encumbrance:', error);
+      toast.error(error.message || error.errors?.[0]?.msg || 'Failed to register encumbrance');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRelease = async (encumbrance) => {
+    const reason = window.prompt(`Reason for releasing the ${ENCUMBRANCE_TYPE_LABELS[encumbrance.type].toLowerCase()} held by ${encumbrance.holder.name}`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      await releaseEncumbrance(encumbrance._id, reason.trim());
+      toast.success('Encumbrance released');
+      fetchEncumbrances();
+    } catch (error) {
+      console.error('Error releasing encumbrance:', error);
+      toast.error(error.message || 'Failed to release encumbrance');
+    }
+  };
+
+  const renderEncumbrance = (encumbrance) => (
+    <div key={encumbrance._id} className="p-4 border rounded-lg">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="font-medium">
+            {ENCUMBRANCE_TYPE_LABELS[encumbrance.type]}
+            {encumbrance.status === 'active' && encumbrance.blocking && (
+              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">Blocks transfers</span>
+            )}
+          </h3>
+          <p className="text-sm text-gray-600">
+            {encumbrance.holder.name} ({HOLDER_TYPE_LABELS[encumbrance.holder.holderType]})
+            {encumbrance.holder.reference && ` - Ref. ${encumbrance.holder.reference}`}
+          </p>
+          {encumbrance.amount?.value > 0 && (
+            <p className="text-sm text-gray-600">
+              Amount: {encumbrance.amount.value.toLocaleString()} {encumbrance.amount.currency}
+            </p>
+          )}
+          {encumbrance.description && (
+            <p className="text-sm text-gray-600 mt-1">{encumbrance.description}</p>
+          )}
+          <p className="text-xs text-gray-500 mt-1">
+            Registered {formatDate(encumbrance.registrationDate)}
+            {encumbrance.registeredBy?.fullName && ` by ${encumbrance.registeredBy.fullName}`}
+          </p>
+          {encumbrance.status === 'released' && (
+            <p className="text-xs text-gray-500 mt-1">
+              Released {formatDate(encumbrance.releaseDate)}
+              {encumbrance.releasedBy?.fullName && ` by ${encumbrance.releasedBy.fullName}`}
+              {encumbrance.releaseReason && `: ${encumbrance.releaseReason}`}
+            </p>
+          )}
+        </div>
+        {encumbrance.status === 'active' && (
+          <button
+            onClick={() => handleRelease(encumbrance)}
+            className="flex items-center text-sm text-primary hover:text-primary-dark"
+          >
+            <LockOpenIcon className="h-4 w-4 mr-1" />
+            Release
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <LockClosedIcon className="h-5 w-5 text-primary mr-2" />
+          <h2 className="text-lg font-semibold">Encumbrances</h2>
+        </div>
+        <button
+          onClick={() => setShowRegisterModal(true)}
+          className="flex items-center px-3 py-1.5 text-sm font-medium text-white bg-primary rounded-md hover:bg-primary-dark"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Register Encumbrance
+        </button>
+      </div>
+
+      {encumbrances.transferBlocked && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md flex items-start">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-500 mr-2 flex-shrink-0" />
+          <p className="text-sm text-red-700">
+            This property cannot be transferred, subdivided or change type until its blocking encumbrances are released.
+          </p>
+        </div>
+      )}
+
+      {encumbrances.active.length > 0 ? (
+        <div className="space-y-4">{encumbrances.active.map(renderEncumbrance)}</div>
+      ) : (
+        <p className="text-gray-500">No active encumbrances.</p>
+      )}
+
+      {encumbrances.history.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-md font-medium text-gray-700 mb-3">Released</h3>
+          <div className="space-y-4 opacity-75">{encumbrances.history.map(renderEncumbrance)}</div>
+        </div>
+      )}
+
+      {/* Register Encumbrance Modal */}
+      {showRegisterModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Register Encumbrance</h3>
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={form.type}
+                  onChange={(e) => setForm({
+                    ...form,
+                    type: e.target.value,
+                    blocking: BLOCKING_ENCUMBRANCE_TYPES.includes(e.target.value)
+                  })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                >
+                  <option value="">Select type</option>
+                  {Object.entries(ENCUMBRANCE_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Holder</label>
+                <input
+                  type="text"
+                  value={form.holderName}
+                  onChange={(e) => setForm({ ...form, holderName: e.target.value })}
+                  placeholder="e.g. Commercial Bank of Ethiopia"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Holder Type</label>
+                  <select
+                    value={form.holderType}
+                    onChange={(e) => setForm({ ...form, holderType: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                  >
+                    <option value="">Select</option>
+                    {Object.entries(HOLDER_TYPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                  <input
+                    type="text"
+                    value={form.reference}
+                    onChange={(e) => setForm({ ...form, reference: e.target.value })}
+                    placeholder="Loan or case no."
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount (ETB, optional)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.amount}
+                  onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description (optional)</label>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.blocking}
+                  onChange={(e) => setForm({ ...form, blocking: e.target.checked })}
+                  className="mr-2"
+                />
+                Block transfers, subdivisions and merges while active
+              </label>
+            </div>
+            <div className="flex justify-end space-x-3 mt-5">
+              <button
+                onClick={() => {
+                  setShowRegisterModal(false);
+                  setForm(EMPTY_FORM);
+                }}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRegister}
+                disabled={submitting}
+                className="px-4 py-2 text-sm font-medium text-white bg-primary rounded-md hover:bg-primary-dark disabled:opacity-50"
+              >
+                {submitting ? 'Registering...' : 'Register'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PropertyEncumbrances;
@@ -48,11 +48,14 @@ const PropertyTransferHistory = ({ propertyId }) => {
       case 'approved':
         return 'bg-blue-100 text-blue-800';
       case 'under_review':
-      case 'verification_pending':
+      case 'compliance_check':
         return 'bg-yellow-100 text-yellow-800';
       case 'rejected':
       case 'cancelled':
+      case 'declined':
+      case 'expired':
         return 'bg-red-100 text-red-800';
+      case 'awaiting_recipient':
       case 'initiated':
       case 'documents_pending':
         return 'bg-gray-100 text-gray-800';
@@ -7,10 +7,14 @@ import {
   DocumentTextIcon,
   HomeIcon,
   UserIcon,
-  MapPinIcon
+  MapPinIcon,
+  BanknotesIcon,
+  ArrowsRightLeftIcon,
+  ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import { globalSearch, getSearchSuggestions, getRecentSearches } from '../../services/searchService';
 import { useAuth } from '../../context/AuthContext';
+import { getSearchResultPath } from '../../utils/searchResults';
 import { toast } from 'react-toastify';
 
 const GlobalSearch = ({ isOpen, onClose, className = '' }) => {
@@ -70,7 +74,7 @@ const GlobalSearch = ({ isOpen, onClose, className = '' }) => {
         limit: 10
       });
       
-      setResults(searchResults);
+      setResults(searchResults.results || []);
       setShowResults(true);
     } catch (error) {
       console.error('Search error:', error);
@@ -83,7 +87,11 @@ const GlobalSearch = ({ isOpen, onClose, className = '' }) => {
   const getSuggestions = async () => {
     try {
       const suggestionResults = await getSearchSuggestions(query);
-      setSuggestions(suggestionResults.slice(0, 5));
+      setSuggestions(
+        suggestionResults
+          .filter((suggestion) => suggestion.text.toLowerCase() !== query.trim().toLowerCase())
+          .slice(0, 5)
+      );
     } catch (error) {
       console.error('Error getting suggestions:', error);
     }
@@ -97,20 +105,7 @@ const GlobalSearch = ({ isOpen, onClose, className = '' }) => {
     }
   };
 
-  const getResultPath = (result) => {
-    switch (result.type) {
-      case 'property':
-        return `/property/${result.id}`;
-      case 'application':
-        return `/application/${result.id}`;
-      case 'user':
-        return user?.role === 'admin' ? `/admin/users/${result.id}` : null;
-      case 'public_record':
-        return `/land-officer/public-records/${result.id}`;
-      default:
-        return null;
-    }
-  };
+  const getResultPath = (result) => getSearchResultPath(result, user?.role);
 
   const getResultIcon = (type) => {
     switch (type) {
@@ -122,6 +117,12 @@ const GlobalSearch = ({ isOpen, onClose, className = '' }) => {
         return <UserIcon className="h-5 w-5 text-accent" />;
       case 'public_record':
         return <MapPinIcon className="h-5 w-5 text-green-600" />;
+      case 'payment':
+        return <BanknotesIcon className="h-5 w-5 text-green-600" />;
+      case 'transfer':
+        return <ArrowsRightLeftIcon className="h-5 w-5 text-secondary" />;
+      case 'dispute':
+        return <ExclamationTriangleIcon className="h-5 w-5 text-red-600" />;
       default:
         return <DocumentTextIcon className="h-5 w-5 text-gray-500" />;
     }
@@ -167,7 +168,7 @@ const GlobalSearch = ({ isOpen, onClose, className = '' }) => {
             <input
               ref={searchRef}
               type="text"
-              placeholder="Search properties, applications, users..."
+              placeholder="Search properties, users, payments, transfers..."
               className="flex-1 outline-none text-lg"
               value={query}
               onChange={(e) => setQuery(e.target.value)}
@@ -214,6 +215,22 @@ const GlobalSearch = ({ isOpen, onClose, className = '' }) => {
               </div>
             )}
 
+            {/* Suggestions */}
+            {suggestions.length > 0 && (
+              <div className="px-5 py-3 border-t flex flex-wrap items-center gap-2">
+                <span className="text-xs text-gray-500">Suggestions:</span>
+                {suggestions.map((suggestion) => (
+                  <button
+                    key={`${suggestion.type}-${suggestion.text}`}
+                    className="px-2 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-full text-gray-700"
+                    onClick={() => setQuery(suggestion.text)}
+                  >
+                    {suggestion.text}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Recent Searches */}
             {!showResults && recentSearches.length > 0 && (
               <div className="p-2">
@@ -62,6 +62,11 @@ export const AuthProvider = ({ children }) => {
           break;
       }
 
+      // Two-factor users get a challenge instead of a session; the login page finishes it
+      if (userData.twoFactorRequired || userData.twoFactorSetupRequired) {
+        return { success: false, twoFactor: userData };
+      }
+
       // Store user data in localStorage or sessionStorage based on rememberMe
       if (rememberMe) {
         localStorage.setItem('user', JSON.stringify(userData));
@@ -125,6 +130,13 @@ export const AuthProvider = ({ children }) => {
 
   // Logout function
   const logout = () => {
+    // End the server-side session; local logout does not wait for it
+    const storedUser = localStorage.getItem('user') || sessionStorage.getItem('user');
+    const token = storedUser ? JSON.parse(storedUser).token : null;
+    if (token) {
+      authService.logout(token).catch((error) => console.error('Logout error:', error));
+    }
+
     // Remove user data from both localStorage and sessionStorage
     localStorage.removeItem('user');
     sessionStorage.removeItem('user');
@@ -182,6 +194,17 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Merge changed fields into the signed-in user, keeping them where the session is stored
+  const updateUser = (changes) => {
+    setUser((current) => {
+      if (!current) return current;
+      const updated = { ...current, ...changes };
+      const storage = localStorage.getItem('user') ? localStorage : sessionStorage;
+      storage.setItem('user', JSON.stringify(updated));
+      return updated;
+    });
+  };
+
   // Context value
   const value = {
     user,
@@ -192,6 +215,7 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     hasRole,
     loginWithUserObject,
+    updateUser,
     // Popup states
     showLoginSuccess,
     showLogoutSuccess
@@ -1,5 +1,23 @@
-import { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { createContext, useState, useContext, useEffect, useCallback, useMemo } from 'react';
 import { toast } from 'react-toastify';
+import { useAuth } from './AuthContext';
+import * as notificationService from '../services/notificationService';
+
+// How often to refresh notifications from the server
+const REFRESH_INTERVAL = 60 * 1000;
+
+// Normalize a server notification to the shape used by the UI
+const mapServerNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  priority: notification.priority,
+  timestamp: notification.createdAt,
+  link: notification.actionUrl,
+  read: notification.read,
+  fromServer: true
+});
 
 // Create context
 const NotificationContext = createContext();
@@ -10,20 +28,18 @@ export const useNotifications = () => {
 };
 
 export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
   const [notifications, setNotifications] = useState([]);
-  const [unreadCount, setUnreadCount] = useState(0);
+  const [serverNotifications, setServerNotifications] = useState([]);
+  // Unread server notifications across all pages, not just the fetched ones
+  const [serverUnreadCount, setServerUnreadCount] = useState(0);
 
   // Load notifications from localStorage on initial render
   useEffect(() => {
     const storedNotifications = localStorage.getItem('notifications');
     if (storedNotifications) {
       try {
-        const parsedNotifications = JSON.parse(storedNotifications);
-        setNotifications(parsedNotifications);
-
-        // Count unread notifications
-        const unread = parsedNotifications.filter(notification => !notification.read).length;
-        setUnreadCount(unread);
+        setNotifications(JSON.parse(storedNotifications));
       } catch (error) {
         console.error('Error parsing stored notifications:', error);
         localStorage.removeItem('notifications');
@@ -31,15 +47,50 @@ export const NotificationProvider = ({ children }) => {
     }
   }, []);
 
-  // Update localStorage whenever notifications change
+  // Update localStorage whenever local notifications change
   useEffect(() => {
     localStorage.setItem('notifications', JSON.stringify(notifications));
-
-    // Update unread count
-    const unread = notifications.filter(notification => !notification.read).length;
-    setUnreadCount(unread);
   }, [notifications]);
 
+  // Fetch notifications from the server
+  const fetchNotifications = useCallback(async () => {
+    if (!user) {
+      setServerNotifications([]);
+      setServerUnreadCount(0);
+      return;
+    }
+
+    try {
+      const data = await notificationService.getNotifications({ limit: 50 });
+      setServerNotifications((data.notifications || []).map(mapServerNotification));
+      setServerUnreadCount(data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, [user]);
+
+  // Refresh server notifications when the user changes and periodically afterwards
+  useEffect(() => {
+    fetchNotifications();
+
+    if (!user) return undefined;
+
+    const interval = setInterval(fetchNotifications, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [user, fetchNotifications]);
+
+  // Merge server and local notifications, newest first
+  const allNotifications = useMemo(() => (
+    [...serverNotifications, ...notifications].sort(
+      (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+    )
+  ), [serverNotifications, notifications]);
+
+  // Server unread count plus unread local notifications
+  const unreadCount = useMemo(() => (
+    serverUnreadCount + notifications.filter(notification => !notification.read).length
+  ), [serverUnreadCount, notifications]);
+
   // Add a new notification
   const addNotification = useCallback((notification) => {
     const newNotification = {
@@ -67,7 +118,30 @@ export const NotificationProvider = ({ children }) => {
   }, []);
 
   // Mark a notification as read
-  const markAsRead = useCallback((notificationId) => {
+  const markAsRead = useCallback(async (notificationId) => {
+    const serverNotification = serverNotifications.find(notification => notification.id === notificationId);
+
+    if (serverNotification) {
+      if (!serverNotification.read) {
+        setServerUnreadCount(count => Math.max(count - 1, 0));
+      }
+      setServerNotifications(prevNotifications =>
+        prevNotifications.map(notification =>
+          notification.id === notificationId
+            ? { ...notification, read: true }
+            : notification
+        )
+      );
+
+      try {
+        await notificationService.markNotificationAsRead(notificationId);
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+        fetchNotifications();
+      }
+      return;
+    }
+
     setNotifications(prevNotifications =>
       prevNotifications.map(notification =>
         notification.id === notificationId
@@ -75,42 +149,86 @@ export const NotificationProvider = ({ children }) => {
           : notification
       )
     );
-  }, []);
+  }, [serverNotifications, fetchNotifications]);
 
   // Mark all notifications as read
-  const markAllAsRead = useCallback(() => {
+  const markAllAsRead = useCallback(async () => {
     setNotifications(prevNotifications =>
       prevNotifications.map(notification => ({ ...notification, read: true }))
     );
-  }, []);
+    setServerNotifications(prevNotifications =>
+      prevNotifications.map(notification => ({ ...notification, read: true }))
+    );
+    setServerUnreadCount(0);
+
+    if (!user) return;
+
+    try {
+      await notificationService.markAllNotificationsAsRead();
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      fetchNotifications();
+    }
+  }, [user, fetchNotifications]);
 
   // Delete a notification
-  const deleteNotification = useCallback((notificationId) => {
+  const deleteNotification = useCallback(async (notificationId) => {
+    const serverNotification = serverNotifications.find(notification => notification.id === notificationId);
+
+    if (serverNotification) {
+      if (!serverNotification.read) {
+        setServerUnreadCount(count => Math.max(count - 1, 0));
+      }
+      setServerNotifications(prevNotifications =>
+        prevNotifications.filter(notification => notification.id !== notificationId)
+      );
+
+      try {
+        await notificationService.deleteNotification(notificationId);
+      } catch (error) {
+        console.error('Error deleting notification:', error);
+        fetchNotifications();
+      }
+      return;
+    }
+
     setNotifications(prevNotifications =>
       prevNotifications.filter(notification => notification.id !== notificationId)
     );
-  }, []);
+  }, [serverNotifications, fetchNotifications]);
 
   // Clear all notifications
-  const clearAllNotifications = useCallback(() => {
+  const clearAllNotifications = useCallback(async () => {
     setNotifications([]);
-  }, []);
+    setServerNotifications([]);
+    setServerUnreadCount(0);
+
+    if (!user) return;
+
+    try {
+      await notificationService.clearNotifications();
+    } catch (error) {
+      console.error('Error clearing notifications:', error);
+      fetchNotifications();
+    }
+  }, [user, fetchNotifications]);
 
   // Get all notifications
   const getAllNotifications = useCallback(() => {
-    return notifications;
-  }, [notifications]);
+    return allNotifications;
+  }, [allNotifications]);
 
   // Get unread notifications
   const getUnreadNotifications = useCallback(() => {
-    return notifications.filter(notification => !notification.read);
-  }, [notifications]);
+    return allNotifications.filter(notification => !notification.read);
+  }, [allNotifications]);
 
   // Context value
   const value = {
-    notifications,
+    notifications: allNotifications,
     unreadCount,
     addNotification,
+    refreshNotifications: fetchNotifications,
     markAsRead,
     markAllAsRead,
     deleteNotification,
@@ -13,13 +13,21 @@ import {
   DocumentTextIcon,
   CalendarIcon,
   ChatBubbleLeftRightIcon,
-  PencilIcon
+  PencilIcon,
+  WrenchScrewdriverIcon,
+  MapIcon
 } from '@heroicons/react/24/outline';
 import {
   getDisputeById,
   updateDisputeStatus,
   resolveDispute,
   assignDispute,
+  proposeResolutionAction,
+  confirmResolutionAction,
+  rejectResolutionAction,
+  RESOLUTION_ACTION_LABELS,
+  ACTIONABLE_DECISIONS,
+  getResolutionActionStatusColor,
   formatDisputeStatus,
   formatDisputeType,
   getDisputeStatusColor,
@@ -27,8 +35,20 @@ import {
   getPriorityColor
 } from '../../services/disputeService';
 import { getAllUsers } from '../../services/userService';
+import NeighbouringParcels from '../../components/property/NeighbouringParcels';
 import { useAuth } from '../../context/AuthContext';
 
+const EMPTY_PROPOSAL = {
+  type: '',
+  ownershipHistoryEntry: '',
+  area: '',
+  kebele: '',
+  subCity: '',
+  latitude: '',
+  longitude: '',
+  notes: ''
+};
+
 const DisputeDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -41,11 +61,13 @@ const DisputeDetails = () => {
   const [showStatusModal, setShowStatusModal] = useState(false);
   const [showResolveModal, setShowResolveModal] = useState(false);
   const [showAssignModal, setShowAssignModal] = useState(false);
+  const [showActionModal, setShowActionModal] = useState(false);
   
   // Form states
   const [statusUpdate, setStatusUpdate] = useState({ status: '', notes: '' });
   const [resolution, setResolution] = useState({ decision: '', resolutionNotes: '', actionRequired: '' });
   const [assignment, setAssignment] = useState({ assignedTo: '', notes: '' });
+  const [proposal, setProposal] = useState(EMPTY_PROPOSAL);
 
   useEffect(() => {
     fetchDisputeDetails();
@@ -131,6 +153,84 @@ const DisputeDetails = () => {
     }
   };
 
+  const handleProposeAction = async () => {
+    if (!proposal.type) {
+      toast.error('Please select a resolution action');
+      return;
+    }
+
+    const params = {};
+    if (proposal.type === 'revert_ownership') {
+      if (!proposal.ownershipHistoryEntry) {
+        toast.error('Please select the owner to revert to');
+        return;
+      }
+      params.ownershipHistoryEntry = proposal.ownershipHistoryEntry;
+    }
+    if (proposal.type === 'correct_property_data') {
+      if (proposal.area !== '') params.area = Number(proposal.area);
+      const location = {};
+      if (proposal.kebele.trim()) location.kebele = proposal.kebele.trim();
+      if (proposal.subCity.trim()) location.subCity = proposal.subCity.trim();
+      if (proposal.latitude !== '' || proposal.longitude !== '') {
+        location.coordinates = {};
+        if (proposal.latitude !== '') location.coordinates.latitude = Number(proposal.latitude);
+        if (proposal.longitude !== '') location.coordinates.longitude = Number(proposal.longitude);
+      }
+      if (Object.keys(location).length > 0) params.location = location;
+      if (Object.keys(params).length === 0) {
+        toast.error('Enter at least one corrected value');
+        return;
+      }
+    }
+
+    try {
+      await proposeResolutionAction(dispute._id, {
+        type: proposal.type,
+        params,
+        notes: proposal.notes.trim() || undefined
+      });
+      toast.success('Resolution action proposed for admin confirmation');
+      setShowActionModal(false);
+      setProposal(EMPTY_PROPOSAL);
+      fetchDisputeDetails();
+    } catch (error) {
+      console.error('Error proposing resolution action:', error);
+      toast.error(error.message || error.errors?.[0]?.msg || 'Failed to propose resolution action');
+    }
+  };
+
+  const handleConfirmAction = async (action) => {
+    if (!window.confirm(`Apply "${RESOLUTION_ACTION_LABELS[action.type]}" to property ${dispute.property?.plotNumber}? This changes the property record.`)) {
+      return;
+    }
+
+    try {
+      await confirmResolutionAction(dispute._id, action._id);
+      toast.success('Resolution action applied');
+      fetchDisputeDetails();
+    } catch (error) {
+      console.error('Error confirming resolution action:', error);
+      toast.error(error.message || 'Failed to confirm resolution action');
+    }
+  };
+
+  const handleRejectAction = async (action) => {
+    const reason = window.prompt('Reason for rejecting this action');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      await rejectResolutionAction(dispute._id, action._id, reason.trim());
+      toast.success('Resolution action rejected');
+      fetchDisputeDetails();
+    } catch (error) {
+      console.error('Error rejecting resolution action:', error);
+      toast.error(error.message || 'Failed to reject resolution action');
+    }
+  };
+
   const formatLocation = (location) => {
     if (!location || typeof location !== 'object') return 'N/A';
     
@@ -184,6 +284,10 @@ const DisputeDetails = () => {
   }
 
   const priority = getDisputePriority(dispute);
+  const canProposeActions = dispute.status === 'resolved' && ACTIONABLE_DECISIONS.includes(dispute.resolution?.decision);
+  const currentOwnerId = dispute.property?.owner?._id || dispute.property?.owner;
+  const previousOwners = (dispute.property?.ownershipHistory || [])
+    .filter((entry) => (entry.owner?._id || entry.owner) !== currentOwnerId);
 
   return (
     <div className="container mx-auto px-4 py-8">
@@ -331,6 +435,72 @@ const DisputeDetails = () => {
               </div>
             </div>
           )}
+
+          {/* Resolution Actions */}
+          {(canProposeActions || dispute.resolutionActions?.length > 0) && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                  <WrenchScrewdriverIcon className="h-5 w-5 mr-2" />
+                  Resolution Actions
+                </h3>
+                {canProposeActions && (
+                  <button
+                    onClick={() => setShowActionModal(true)}
+                    className="bg-blue-600 text-white px-3 py-1.5 rounded-md hover:bg-blue-700 text-sm"
+                  >
+                    Propose Action
+                  </button>
+                )}
+              </div>
+              {dispute.resolutionActions?.length > 0 ? (
+                <div className="space-y-4">
+                  {dispute.resolutionActions.map((action) => (
+                    <div key={action._id} className="border rounded-md p-4">
+                      <div className="flex items-center justify-between">
+                        <p className="text-sm font-medium text-gray-900">{RESOLUTION_ACTION_LABELS[action.type]}</p>
+                        <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${getResolutionActionStatusColor(action.status)}`}>
+                          {action.status.charAt(0).toUpperCase() + action.status.slice(1)}
+                        </span>
+                      </div>
+                      {action.notes && <p className="text-sm text-gray-600 mt-2">{action.notes}</p>}
+                      <p className="text-xs text-gray-500 mt-2">
+                        Proposed by {action.proposedBy?.fullName || 'N/A'} on {new Date(action.proposedAt).toLocaleDateString()}
+                      </p>
+                      {action.confirmedAt && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {action.status === 'applied' ? 'Applied' : 'Rejected'} by {action.confirmedBy?.fullName || 'N/A'} on {new Date(action.confirmedAt).toLocaleDateString()}
+                        </p>
+                      )}
+                      {action.rejectionReason && (
+                        <p className="text-xs text-red-600 mt-1">Reason: {action.rejectionReason}</p>
+                      )}
+                      {action.status === 'proposed' && user?.role === 'admin' && (
+                        <div className="flex space-x-2 mt-3">
+                          <button
+                            onClick={() => handleConfirmAction(action)}
+                            className="px-3 py-1.5 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700"
+                          >
+                            Confirm &amp; Apply
+                          </button>
+                          <button
+                            onClick={() => handleRejectAction(action)}
+                            className="px-3 py-1.5 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700"
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  No actions proposed yet. Propose the changes to the property record that carry out this resolution.
+                </p>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Sidebar */}
@@ -357,6 +527,17 @@ const DisputeDetails = () => {
             </div>
           </div>
 
+          {/* Neighbouring Parcels */}
+          {dispute.property?._id && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                <MapIcon className="h-5 w-5 mr-2" />
+                Neighbouring Parcels
+              </h3>
+              <NeighbouringParcels propertyId={dispute.property._id} />
+            </div>
+          )}
+
           {/* Disputant Information */}
           <div className="bg-white rounded-lg shadow-md p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
@@ -436,7 +617,7 @@ const DisputeDetails = () => {
                   <option value="under_review">Under Review</option>
                   <option value="investigation">Investigation</option>
                   <option value="mediation">Mediation</option>
-                  <option value="dismissed">Dismissed</option>
+                  <option value="rejected">Rejected</option>
                 </select>
               </div>
               <div className="mb-4">
@@ -543,6 +724,141 @@ const DisputeDetails = () => {
         </div>
       )}
 
+      {/* Propose Resolution Action Modal */}
+      {showActionModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                Propose Resolution Action
+              </h3>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Action
+                </label>
+                <select
+                  value={proposal.type}
+                  onChange={(e) => setProposal({ ...EMPTY_PROPOSAL, notes: proposal.notes, type: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Select action</option>
+                  {Object.entries(RESOLUTION_ACTION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {proposal.type === 'revert_ownership' && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Revert to Owner
+                  </label>
+                  <select
+                    value={proposal.ownershipHistoryEntry}
+                    onChange={(e) => setProposal({ ...proposal, ownershipHistoryEntry: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Select previous owner</option>
+                    {previousOwners.map((entry) => (
+                      <option key={entry._id} value={entry._id}>
+                        {entry.owner?.fullName || 'Unknown'} ({new Date(entry.startDate).toLocaleDateString()} - {entry.endDate ? new Date(entry.endDate).toLocaleDateString() : 'present'})
+                      </option>
+                    ))}
+                  </select>
+                  {previousOwners.length === 0 && (
+                    <p className="text-xs text-gray-500 mt-1">This property has no earlier owners on record.</p>
+                  )}
+                </div>
+              )}
+              {proposal.type === 'correct_property_data' && (
+                <div className="mb-4 grid grid-cols-2 gap-3">
+                  <div className="col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Area (m²) - currently {dispute.property?.area ?? 'N/A'}
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={proposal.area}
+                      onChange={(e) => setProposal({ ...proposal, area: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Sub-city</label>
+                    <input
+                      type="text"
+                      value={proposal.subCity}
+                      placeholder={dispute.property?.location?.subCity}
+                      onChange={(e) => setProposal({ ...proposal, subCity: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Kebele</label>
+                    <input
+                      type="text"
+                      value={proposal.kebele}
+                      placeholder={dispute.property?.location?.kebele}
+                      onChange={(e) => setProposal({ ...proposal, kebele: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Latitude</label>
+                    <input
+                      type="number"
+                      step="any"
+                      value={proposal.latitude}
+                      onChange={(e) => setProposal({ ...proposal, latitude: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Longitude</label>
+                    <input
+                      type="number"
+                      step="any"
+                      value={proposal.longitude}
+                      onChange={(e) => setProposal({ ...proposal, longitude: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+              )}
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Notes (Optional)
+                </label>
+                <textarea
+                  value={proposal.notes}
+                  onChange={(e) => setProposal({ ...proposal, notes: e.target.value })}
+                  rows={3}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Why this action carries out the resolution..."
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button
+                  onClick={() => {
+                    setShowActionModal(false);
+                    setProposal(EMPTY_PROPOSAL);
+                  }}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleProposeAction}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+                >
+                  Propose Action
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Assign Dispute Modal */}
       {showAssignModal && user?.role === 'admin' && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -8,8 +8,13 @@ import {
   XMarkIcon,
   ArrowPathIcon
 } from '@heroicons/react/24/outline';
-import { getAllUsers, updateUser } from '../../services/userService';
-import { getAllProperties } from '../../services/propertyService';
+import { getLandOfficers, updateUser, assignApplicationToOfficer } from '../../services/userService';
+import { getAllProperties, autoAssignProperties } from '../../services/propertyService';
+
+const SUB_CITIES = [
+  'Addis Ketema', 'Akaky Kaliti', 'Arada', 'Bole', 'Gullele',
+  'Kirkos', 'Kolfe Keranio', 'Lideta', 'Nifas Silk-Lafto', 'Yeka'
+];
 
 const LandOfficers = () => {
   const [landOfficers, setLandOfficers] = useState([]);
@@ -20,61 +25,56 @@ const LandOfficers = () => {
   const [showOfficerModal, setShowOfficerModal] = useState(false);
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [selectedApplication, setSelectedApplication] = useState(null);
+  const [officerSubCities, setOfficerSubCities] = useState([]);
+  const [savingSubCities, setSavingSubCities] = useState(false);
+  const [autoAssigning, setAutoAssigning] = useState(false);
 
-  // Fetch land officers and pending applications on component mount
-  useEffect(() => {
-    const fetchData = async () => {
+  // Fetch land officers and pending applications
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Fetch land officers with their open and completed application counts
       try {
-        setLoading(true);
-        setError(null);
-
-        // Fetch land officers (users with role 'landOfficer')
-        try {
-          const usersResponse = await getAllUsers({ role: 'landOfficer' });
-          console.log('Land officers response:', usersResponse);
-
-          let officers = [];
-          if (usersResponse && usersResponse.users && Array.isArray(usersResponse.users)) {
-            officers = usersResponse.users;
-          } else if (Array.isArray(usersResponse)) {
-            officers = usersResponse;
-          }
-
-          setLandOfficers(officers);
-        } catch (officerError) {
-          console.error('Error fetching land officers:', officerError);
-          toast.error('Failed to fetch land officers');
-          setLandOfficers([]);
-        }
+        const officers = await getLandOfficers();
+        setLandOfficers(officers);
+      } catch (officerError) {
+        console.error('Error fetching land officers:', officerError);
+        toast.error('Failed to fetch land officers');
+        setLandOfficers([]);
+      }
+
+      // Fetch pending properties
+      try {
+        const propertiesResponse = await getAllProperties({ status: 'pending', limit: 50 });
+        console.log('Pending properties response:', propertiesResponse);
 
-        // Fetch pending properties
-        try {
-          const propertiesResponse = await getAllProperties({ status: 'pending' });
-          console.log('Pending properties response:', propertiesResponse);
-
-          let applications = [];
-          if (propertiesResponse && propertiesResponse.properties && Array.isArray(propertiesResponse.properties)) {
-            applications = propertiesResponse.properties;
-          } else if (Array.isArray(propertiesResponse)) {
-            applications = propertiesResponse;
-          }
-
-          setPendingApplications(applications);
-        } catch (propertyError) {
-          console.error('Error fetching pending properties:', propertyError);
-          toast.error('Failed to fetch pending applications');
-          setPendingApplications([]);
+        let applications = [];
+        if (propertiesResponse && propertiesResponse.properties && Array.isArray(propertiesResponse.properties)) {
+          applications = propertiesResponse.properties;
+        } else if (Array.isArray(propertiesResponse)) {
+          applications = propertiesResponse;
         }
 
-        setLoading(false);
-      } catch (err) {
-        console.error('Error in fetchData:', err);
-        setError('Failed to fetch data');
-        setLoading(false);
-        toast.error('Failed to fetch data');
+        setPendingApplications(applications);
+      } catch (propertyError) {
+        console.error('Error fetching pending properties:', propertyError);
+        toast.error('Failed to fetch pending applications');
+        setPendingApplications([]);
       }
-    };
 
+      setLoading(false);
+    } catch (err) {
+      console.error('Error in fetchData:', err);
+      setError('Failed to fetch data');
+      setLoading(false);
+      toast.error('Failed to fetch data');
+    }
+  };
+
+  // Fetch land officers and pending applications on component mount
+  useEffect(() => {
     fetchData();
   }, []);
 
@@ -84,6 +84,7 @@ const LandOfficers = () => {
       const officer = landOfficers.find(o => o._id === officerId);
       if (officer) {
         setSelectedOfficer(officer);
+        setOfficerSubCities(officer.assignedSubCities || []);
         setShowOfficerModal(true);
       } else {
         toast.error('Officer not found');
@@ -101,41 +102,65 @@ const LandOfficers = () => {
 
       toast.success('Land officer role removed successfully');
 
-      // Update the list
-      setLandOfficers(landOfficers.filter(officer => officer._id !== officerId));
+      // The officer's open applications were handed to other officers, so reload the workloads
+      fetchData();
     } catch (err) {
       toast.error('Failed to remove land officer role');
     }
   };
 
+  const toggleOfficerSubCity = (subCity) => {
+    setOfficerSubCities(current =>
+      current.includes(subCity) ? current.filter(item => item !== subCity) : [...current, subCity]
+    );
+  };
+
+  const handleSaveSubCities = async () => {
+    if (!selectedOfficer) return;
+
+    try {
+      setSavingSubCities(true);
+      await updateUser(selectedOfficer._id, { assignedSubCities: officerSubCities });
+
+      setLandOfficers(landOfficers.map(officer =>
+        officer._id === selectedOfficer._id ? { ...officer, assignedSubCities: officerSubCities } : officer
+      ));
+      setSelectedOfficer({ ...selectedOfficer, assignedSubCities: officerSubCities });
+      toast.success('Sub-cities updated successfully');
+    } catch (err) {
+      toast.error(err.message || 'Failed to update sub-cities');
+    } finally {
+      setSavingSubCities(false);
+    }
+  };
+
+  const handleAutoAssign = async () => {
+    try {
+      setAutoAssigning(true);
+      const result = await autoAssignProperties();
+      toast.success(result.message || 'Applications assigned');
+      fetchData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to auto-assign applications');
+    } finally {
+      setAutoAssigning(false);
+    }
+  };
+
   const handleAssignApplication = async () => {
     if (!selectedOfficer || !selectedApplication) return;
 
     try {
-      // In a real implementation, you would have an API endpoint to assign properties
-      // For now, we'll simulate this by updating the property with the assigned officer
-      // This would typically be: await assignPropertyToOfficer(selectedApplication, selectedOfficer._id);
+      await assignApplicationToOfficer(selectedApplication, selectedOfficer._id);
 
       setShowAssignModal(false);
+      setSelectedApplication(null);
       toast.success('Application assigned successfully');
 
-      // Update the pending applications list
-      setPendingApplications(pendingApplications.filter(app => app._id !== selectedApplication));
-
-      // Update the officer's assigned applications count
-      const updatedOfficers = landOfficers.map(officer => {
-        if (officer._id === selectedOfficer._id) {
-          return {
-            ...officer,
-            assignedApplications: (officer.assignedApplications || 0) + 1
-          };
-        }
-        return officer;
-      });
-
-      setLandOfficers(updatedOfficers);
+      // Reload so both the previous and the new officer's workload are current
+      fetchData();
     } catch (err) {
-      toast.error('Failed to assign application');
+      toast.error(err.message || 'Failed to assign application');
     }
   };
 
@@ -153,13 +178,23 @@ const LandOfficers = () => {
             <UserIcon className="h-7 w-7 mr-2 text-primary" />
             Land Officers Management
           </h1>
-          <Link
-            to="/admin/users/new"
-            className="mt-4 md:mt-0 btn-primary px-4 py-2 rounded-md flex items-center"
-          >
-            <UserPlusIcon className="h-5 w-5 mr-1" />
-            Add New Land Officer
-          </Link>
+          <div className="mt-4 md:mt-0 flex gap-2">
+            <button
+              onClick={handleAutoAssign}
+              disabled={autoAssigning}
+              className="px-4 py-2 rounded-md border border-primary text-primary hover:bg-gray-50 disabled:opacity-50 flex items-center"
+            >
+              <ArrowPathIcon className={`h-5 w-5 mr-1 ${autoAssigning ? 'animate-spin' : ''}`} />
+              Auto-assign Unassigned
+            </button>
+            <Link
+              to="/admin/users/new"
+              className="btn-primary px-4 py-2 rounded-md flex items-center"
+            >
+              <UserPlusIcon className="h-5 w-5 mr-1" />
+              Add New Land Officer
+            </Link>
+          </div>
         </div>
 
         {/* Land Officers List */}
@@ -192,11 +227,23 @@ const LandOfficers = () => {
                       </div>
                     </div>
 
+                    <div className="mt-3 flex flex-wrap gap-1">
+                      {(officer.assignedSubCities || []).length === 0 ? (
+                        <span className="text-xs text-gray-500">All sub-cities</span>
+                      ) : (
+                        officer.assignedSubCities.map((subCity) => (
+                          <span key={subCity} className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">
+                            {subCity}
+                          </span>
+                        ))
+                      )}
+                    </div>
+
                     <div className="mt-4">
                       <div className="flex justify-between mb-1">
                         <span className="text-sm font-medium">Workload</span>
                         <span className="text-sm font-medium">
-                          {officer.assignedApplications || 0} applications
+                          {officer.assignedApplications || 0} open applications
                         </span>
                       </div>
                       <div className="w-full bg-gray-200 rounded-full h-2.5">
@@ -209,7 +256,7 @@ const LandOfficers = () => {
 
                     <div className="mt-4 grid grid-cols-2 gap-2 text-sm">
                       <div className="bg-gray-50 p-2 rounded">
-                        <p className="text-gray-500">Assigned</p>
+                        <p className="text-gray-500">Open</p>
                         <p className="font-semibold">{officer.assignedApplications || 0}</p>
                       </div>
                       <div className="bg-gray-50 p-2 rounded">
@@ -275,7 +322,7 @@ const LandOfficers = () => {
                 <p className="font-medium">{selectedOfficer.nationalId || 'N/A'}</p>
               </div>
               <div>
-                <p className="text-sm text-gray-500">Assigned Applications</p>
+                <p className="text-sm text-gray-500">Open Applications</p>
                 <p className="font-medium">{selectedOfficer.assignedApplications || 0}</p>
               </div>
               <div>
@@ -288,8 +335,33 @@ const LandOfficers = () => {
                   {new Date(selectedOfficer.createdAt).toLocaleDateString()}
                 </p>
               </div>
+              <div>
+                <p className="text-sm text-gray-500 mb-1">
+                  Sub-cities (new applications from these sub-cities are routed to this officer)
+                </p>
+                <div className="grid grid-cols-2 gap-1">
+                  {SUB_CITIES.map((subCity) => (
+                    <label key={subCity} className="flex items-center text-sm">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={officerSubCities.includes(subCity)}
+                        onChange={() => toggleOfficerSubCity(subCity)}
+                      />
+                      {subCity}
+                    </label>
+                  ))}
+                </div>
+              </div>
             </div>
-            <div className="mt-6 flex justify-end">
+            <div className="mt-6 flex justify-end space-x-3">
+              <button
+                onClick={handleSaveSubCities}
+                disabled={savingSubCities}
+                className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-dark disabled:opacity-50"
+              >
+                {savingSubCities ? 'Saving...' : 'Save Sub-cities'}
+              </button>
               <button
                 onClick={() => setShowOfficerModal(false)}
                 className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300"
@@ -307,7 +379,7 @@ const LandOfficers = () => {
           <div className="bg-white rounded-lg p-6 w-full max-w-md">
             <h2 className="text-xl font-semibold mb-4">Assign Application</h2>
             <p className="mb-4">
-              Assign a pending application to <span className="font-semibold">{selectedOfficer.fullName}</span>:
+              Assign or reassign a pending application to <span className="font-semibold">{selectedOfficer.fullName}</span>:
             </p>
 
             {pendingApplications.length === 0 ? (
@@ -327,6 +399,9 @@ const LandOfficers = () => {
                         <div>
                           <p className="font-medium">{app.owner?.fullName || 'Unknown Owner'}</p>
                           <p className="text-sm text-gray-500">Plot: {app.plotNumber}</p>
+                          <p className="text-xs text-gray-500">
+                            {app.location?.subCity} · {app.assignedTo ? `Assigned to ${app.assignedTo.fullName}` : 'Unassigned'}
+                          </p>
                         </div>
                         <div className="text-right">
                           <p className="text-sm text-gray-500">
@@ -12,6 +12,7 @@ import {
 } from '@heroicons/react/24/outline';
 import * as userService from '../../services/userService';
 import * as propertyService from '../../services/propertyService';
+import * as reportsService from '../../services/reportsService';
 import BarChart from '../../components/charts/BarChart';
 import PieChart from '../../components/charts/PieChart';
 import LineChart from '../../components/charts/LineChart';
@@ -60,6 +61,14 @@ const Reports = () => {
     totalArea: 0
   });
   const [reportType, setReportType] = useState('applications');
+  const [subCity, setSubCity] = useState('');
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [downloading, setDownloading] = useState(false);
+
+  const subCities = [
+    'Addis Ketema', 'Akaky Kaliti', 'Arada', 'Bole', 'Gullele',
+    'Kirkos', 'Kolfe Keranio', 'Lideta', 'Nifas Silk-Lafto', 'Yeka'
+  ];
 
   useEffect(() => {
     fetchReportData();
@@ -382,111 +391,22 @@ const Reports = () => {
     };
   };
 
-  const handleExportCSV = () => {
-    let csvContent = '';
-    let filename = '';
-
-    // Generate CSV content based on report type
-    switch (reportType) {
-      case 'applications':
-        csvContent = generateApplicationsCSV();
-        filename = `application-stats-${timeframe}-${new Date().toISOString().split('T')[0]}.csv`;
-        break;
-      case 'users':
-        csvContent = generateUsersCSV();
-        filename = `user-stats-${new Date().toISOString().split('T')[0]}.csv`;
-        break;
-      case 'properties':
-        csvContent = generatePropertiesCSV();
-        filename = `property-stats-${new Date().toISOString().split('T')[0]}.csv`;
-        break;
-      default:
-        break;
-    }
-
-    // Create and download the CSV file
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-
-    toast.success('Report exported successfully');
-  };
-
-  const generateApplicationsCSV = () => {
-    if (!applicationStats) return '';
-
-    const headers = ['Category', 'Metric', 'Value'];
-    const rows = [
-      ['Period', 'Start Date', new Date(applicationStats.period.start).toLocaleDateString()],
-      ['Period', 'End Date', new Date(applicationStats.period.end).toLocaleDateString()],
-      ['Applications', 'Total', applicationStats.applications.total],
-      ['Applications', 'Approved', applicationStats.applications.approved],
-      ['Applications', 'Rejected', applicationStats.applications.rejected],
-      ['Applications', 'Pending', applicationStats.applications.pending],
-      ['Documents', 'Uploaded', applicationStats.documents.uploaded],
-      ['Documents', 'Verified', applicationStats.documents.verified],
-      ['Documents', 'Rejected', applicationStats.documents.rejected],
-      ['Payments', 'Made', applicationStats.payments.made],
-      ['Payments', 'Verified', applicationStats.payments.verified],
-      ['Payments', 'Rejected', applicationStats.payments.rejected]
-    ];
-
-    return [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
-  };
-
-  const generateUsersCSV = () => {
-    if (!userStats) return '';
-
-    const headers = ['Metric', 'Value'];
-    const rows = [
-      ['Total Users', userStats.totalUsers],
-      ['Administrators', userStats.totalAdmins],
-      ['Land Officers', userStats.totalLandOfficers],
-      ['Regular Users', userStats.totalRegularUsers],
-      ['New Users (Last 30 Days)', userStats.newUsers]
-    ];
-
-    return [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
-  };
+  const handleDownloadReport = async () => {
+    try {
+      setDownloading(true);
 
-  const generatePropertiesCSV = () => {
-    if (!propertyStats) return '';
-
-    const headers = ['Category', 'Metric', 'Value'];
-    const rows = [
-      ['Overview', 'Total Properties', propertyStats.total],
-      ['Overview', 'Total Area (sq. meters)', propertyStats.totalArea],
-      ['Type', 'Residential', propertyStats.byType.residential],
-      ['Type', 'Commercial', propertyStats.byType.commercial],
-      ['Type', 'Industrial', propertyStats.byType.industrial],
-      ['Type', 'Agricultural', propertyStats.byType.agricultural],
-      ['Status', 'Pending', propertyStats.byStatus.pending],
-      ['Status', 'Under Review', propertyStats.byStatus.under_review],
-      ['Status', 'Approved', propertyStats.byStatus.approved],
-      ['Status', 'Rejected', propertyStats.byStatus.rejected]
-    ];
-
-    // Add location data
-    Object.entries(propertyStats.byLocation).forEach(([location, count]) => {
-      rows.push(['Location', location, count]);
-    });
+      const filters = {};
+      if (reportType === 'applications') filters.timeframe = timeframe;
+      if (subCity) filters.subCity = subCity;
 
-    return [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
+      await reportsService.downloadReport(reportType, exportFormat, filters);
+      toast.success('Report downloaded successfully');
+    } catch (err) {
+      console.error('Error downloading report:', err);
+      toast.error(err.message || 'Failed to download report');
+    } finally {
+      setDownloading(false);
+    }
   };
 
   return (
@@ -529,14 +449,43 @@ const Reports = () => {
             </div>
           )}
 
+          <div className="w-full md:w-48">
+            <label htmlFor="subCity" className="form-label">Sub-City (download)</label>
+            <select
+              id="subCity"
+              className="form-input w-full"
+              value={subCity}
+              onChange={(e) => setSubCity(e.target.value)}
+            >
+              <option value="">All Sub-Cities</option>
+              {subCities.map(city => (
+                <option key={city} value={city}>{city}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="w-full md:w-36">
+            <label htmlFor="exportFormat" className="form-label">Format</label>
+            <select
+              id="exportFormat"
+              className="form-input w-full"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+            >
+              <option value="csv">CSV</option>
+              <option value="xlsx">Excel (XLSX)</option>
+              <option value="pdf">PDF</option>
+            </select>
+          </div>
+
           <div className="w-full md:w-auto md:self-end">
             <button
-              onClick={handleExportCSV}
-              disabled={loading || error || (!applicationStats && !userStats && !propertyStats)}
+              onClick={handleDownloadReport}
+              disabled={downloading}
               className="btn-primary px-4 py-2 rounded-md w-full md:w-auto flex items-center justify-center"
             >
               <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
-              Export to CSV
+              {downloading ? 'Preparing...' : 'Download Report'}
             </button>
           </div>
         </div>
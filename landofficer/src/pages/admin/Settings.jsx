@@ -7,20 +7,94 @@ import {
   BellIcon,
   CurrencyDollarIcon,
   ShieldCheckIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 import * as settingsService from '../../services/settingsService';
 
+// Labels for the fee schedule rates shown on the fees tab
+const PROPERTY_TYPE_LABELS = {
+  residential: 'Residential',
+  commercial: 'Commercial',
+  industrial: 'Industrial',
+  agricultural: 'Agricultural'
+};
+
+const PARCEL_CHANGE_LABELS = {
+  subdivide: 'Subdivision',
+  merge: 'Merge'
+};
+
+// Grid of rate inputs named `${name}.${row}.${column}`
+const RateTable = ({ title, name, rows, columns, step = '0.01' }) => (
+  <div>
+    <p className="form-label">{title}</p>
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+      <thead>
+        <tr>
+          <th></th>
+          {Object.values(columns).map((label) => (
+            <th key={label} className="px-2 py-1 text-left font-medium text-gray-500">{label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(rows).map(([row, rowLabel]) => (
+          <tr key={row}>
+            <td className="pr-2 py-1 text-gray-700">{rowLabel}</td>
+            {Object.keys(columns).map((column) => (
+              <td key={column} className="px-2 py-1">
+                <Field
+                  type="number"
+                  name={`${name}.${row}.${column}`}
+                  aria-label={`${title}: ${rowLabel} ${columns[column]}`}
+                  className="form-input"
+                  min="0"
+                  step={step}
+                />
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// One rate input per key, named `${name}.${key}`
+const RateList = ({ title, name, rates, step = '0.01', hint }) => (
+  <div>
+    <p className="form-label">{title}</p>
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+      {Object.keys(rates || {}).map((key) => (
+        <label key={key} className="text-sm text-gray-700">
+          {key}
+          <Field type="number" name={`${name}.${key}`} className="form-input mt-1" min="0" step={step} />
+        </label>
+      ))}
+    </div>
+    {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+  </div>
+);
+
 const Settings = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [settings, setSettings] = useState(null);
   const [activeTab, setActiveTab] = useState('general');
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
   useEffect(() => {
     fetchSettings();
   }, []);
 
+  useEffect(() => {
+    if (activeTab === 'history') {
+      fetchHistory();
+    }
+  }, [activeTab]);
+
   const fetchSettings = async () => {
     try {
       setLoading(true);
@@ -38,27 +112,64 @@ const Settings = () => {
     }
   };
 
-  const handleUpdateSettings = async (values, { setSubmitting }) => {
+  const fetchHistory = async () => {
+    try {
+      setHistoryLoading(true);
+      const historyData = await settingsService.getSettingsHistory({ limit: 50 });
+      setHistory(historyData.history || []);
+    } catch (err) {
+      console.error('Error fetching settings history:', err);
+      toast.error(err.message || 'Failed to fetch settings history');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  // Each tab saves through its own settings endpoint
+  const updateFunctions = {
+    general: settingsService.updateSystemSettings,
+    fees: settingsService.updateFeeSettings,
+    notifications: settingsService.updateNotificationSettings,
+    security: settingsService.updateSecuritySettings
+  };
+
+  const handleUpdateSettings = (category) => async (values, { setSubmitting }) => {
     try {
       // Update settings via API
-      const updatedSettings = await settingsService.updateSystemSettings(values);
+      const { effectiveFrom, ...settingValues } = values;
+      const updatedSettings = await updateFunctions[category](
+        effectiveFrom ? { ...settingValues, effectiveFrom } : settingValues
+      );
 
-      // Update local state
-      setSettings(updatedSettings);
+      // Merge the saved category into local state
+      setSettings(prevSettings => ({ ...prevSettings, ...updatedSettings }));
       toast.success('Settings updated successfully');
     } catch (err) {
       console.error('Error updating settings:', err);
-      toast.error(err.message || 'Failed to update settings');
+      const message = err.errors?.map(e => e.msg).join(', ') || err.message;
+      toast.error(message || 'Failed to update settings');
     } finally {
       setSubmitting(false);
     }
   };
 
+  // Format a setting value for the history diff
+  const formatSettingValue = (value) => {
+    if (value === undefined || value === null) return '—';
+    if (typeof value === 'boolean') return value ? 'Enabled' : 'Disabled';
+    return String(value);
+  };
+
   // Validation schemas for different settings sections
   const generalValidationSchema = Yup.object({
     systemName: Yup.string().required('System name is required'),
     contactEmail: Yup.string().email('Invalid email address').required('Contact email is required'),
     contactPhone: Yup.string().required('Contact phone is required'),
+    transferAcceptanceDays: Yup.number()
+      .integer('Must be a whole number of days')
+      .min(1, 'Must be at least 1 day')
+      .max(90, 'Must be at most 90 days')
+      .required('Transfer acceptance period is required'),
     maintenanceMode: Yup.boolean()
   });
 
@@ -66,23 +177,26 @@ const Settings = () => {
     registrationFee: Yup.number().positive('Must be a positive number').required('Registration fee is required'),
     documentVerificationFee: Yup.number().positive('Must be a positive number').required('Document verification fee is required'),
     transferFee: Yup.number().positive('Must be a positive number').required('Transfer fee is required'),
-    certificateIssueFee: Yup.number().positive('Must be a positive number').required('Certificate issue fee is required')
+    certificateIssueFee: Yup.number().positive('Must be a positive number').required('Certificate issue fee is required'),
+    effectiveFrom: Yup.date().nullable()
   });
 
   const notificationValidationSchema = Yup.object({
     emailNotifications: Yup.boolean(),
     smsNotifications: Yup.boolean(),
+    pushNotifications: Yup.boolean(),
     applicationStatusChangeNotify: Yup.boolean(),
     documentVerificationNotify: Yup.boolean(),
     paymentConfirmationNotify: Yup.boolean()
   });
 
   const securityValidationSchema = Yup.object({
-    passwordMinLength: Yup.number().min(6, 'Minimum length should be at least 6').required('Password minimum length is required'),
+    passwordMinLength: Yup.number().min(8, 'Minimum length should be at least 8').required('Password minimum length is required'),
     passwordRequireSpecialChar: Yup.boolean(),
     passwordRequireNumber: Yup.boolean(),
     sessionTimeout: Yup.number().positive('Must be a positive number').required('Session timeout is required'),
-    maxLoginAttempts: Yup.number().positive('Must be a positive number').required('Max login attempts is required')
+    maxLoginAttempts: Yup.number().positive('Must be a positive number').required('Max login attempts is required'),
+    lockoutDuration: Yup.number().positive('Must be a positive number').required('Lockout duration is required')
   });
 
   return (
@@ -149,6 +263,17 @@ const Settings = () => {
                   <ShieldCheckIcon className="h-4 w-4 mr-1" />
                   Security
                 </button>
+                <button
+                  className={`py-2 px-4 border-b-2 font-medium text-sm flex items-center ${
+                    activeTab === 'history'
+                      ? 'border-primary text-primary'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                  onClick={() => setActiveTab('history')}
+                >
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  History
+                </button>
               </nav>
             </div>
 
@@ -159,10 +284,11 @@ const Settings = () => {
                   systemName: settings.systemName || '',
                   contactEmail: settings.contactEmail || '',
                   contactPhone: settings.contactPhone || '',
+                  transferAcceptanceDays: settings.transferAcceptanceDays || 7,
                   maintenanceMode: settings.maintenanceMode || false
                 }}
                 validationSchema={generalValidationSchema}
-                onSubmit={handleUpdateSettings}
+                onSubmit={handleUpdateSettings('general')}
               >
                 {({ isSubmitting }) => (
                   <Form className="space-y-6">
@@ -217,6 +343,28 @@ const Settings = () => {
                       />
                     </div>
 
+                    <div>
+                      <label htmlFor="transferAcceptanceDays" className="form-label">
+                        Transfer Acceptance Period (days)
+                      </label>
+                      <Field
+                        type="number"
+                        id="transferAcceptanceDays"
+                        name="transferAcceptanceDays"
+                        min="1"
+                        max="90"
+                        className="form-input"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">
+                        How long a new owner has to accept a transfer before it expires
+                      </p>
+                      <ErrorMessage
+                        name="transferAcceptanceDays"
+                        component="div"
+                        className="form-error"
+                      />
+                    </div>
+
                     <div className="flex items-center">
                       <Field
                         type="checkbox"
@@ -260,13 +408,23 @@ const Settings = () => {
                   registrationFee: settings.registrationFee || 0,
                   documentVerificationFee: settings.documentVerificationFee || 0,
                   transferFee: settings.transferFee || 0,
-                  certificateIssueFee: settings.certificateIssueFee || 0
+                  certificateIssueFee: settings.certificateIssueFee || 0,
+                  feeSchedule: settings.feeSchedule || {},
+                  effectiveFrom: ''
                 }}
                 validationSchema={feesValidationSchema}
-                onSubmit={handleUpdateSettings}
+                onSubmit={handleUpdateSettings('fees')}
               >
                 {({ isSubmitting }) => (
                   <Form className="space-y-6">
+                    {settings.feeScheduleVersion && (
+                      <div className="bg-blue-50 border border-blue-200 rounded-md p-3 text-sm text-blue-800">
+                        Fee schedule version {settings.feeScheduleVersion} in force since{' '}
+                        {new Date(settings.effectiveFrom).toLocaleDateString()}. Saving changes creates a new version;
+                        applications keep the fees of the version in force when they were submitted.
+                      </div>
+                    )}
+
                     <div>
                       <label htmlFor="registrationFee" className="form-label">
                         Registration Fee (ETB)
@@ -343,6 +501,70 @@ const Settings = () => {
                       />
                     </div>
 
+                    {settings.feeSchedule && (
+                      <div className="space-y-6 border-t border-gray-200 pt-6">
+                        <RateTable
+                          title="Base Fees (ETB)"
+                          name="feeSchedule.baseFees"
+                          rows={PROPERTY_TYPE_LABELS}
+                          columns={{ urban: 'Urban', rural: 'Rural' }}
+                        />
+                        <RateTable
+                          title="Area Multipliers (ETB per m²)"
+                          name="feeSchedule.areaMultipliers"
+                          rows={PROPERTY_TYPE_LABELS}
+                          columns={{ urban: 'Urban', rural: 'Rural' }}
+                        />
+                        <RateTable
+                          title="Subdivision and Merge Fees (ETB)"
+                          name="feeSchedule.parcelChange"
+                          rows={PARCEL_CHANGE_LABELS}
+                          columns={{ processingFee: 'Processing fee', perParcelFee: 'Per plot' }}
+                        />
+                        <RateList
+                          title="Tax Rates"
+                          name="feeSchedule.taxRates"
+                          rates={settings.feeSchedule.taxRates}
+                          step="0.001"
+                          hint="Fractions of the value, e.g. 0.02 for 2%"
+                        />
+                        <RateList
+                          title="Transfer Tax Rate"
+                          name="feeSchedule.transfer"
+                          rates={settings.feeSchedule.transfer}
+                          step="0.001"
+                        />
+                        <RateList
+                          title="Discounts"
+                          name="feeSchedule.discounts"
+                          rates={settings.feeSchedule.discounts}
+                          hint="Fractions of the total, e.g. 0.1 for 10%"
+                        />
+                        <RateList
+                          title="Location Multipliers"
+                          name="feeSchedule.locationMultipliers"
+                          rates={settings.feeSchedule.locationMultipliers}
+                        />
+                      </div>
+                    )}
+
+                    <div>
+                      <label htmlFor="effectiveFrom" className="form-label">
+                        Effective From (leave empty to apply immediately)
+                      </label>
+                      <Field
+                        type="date"
+                        id="effectiveFrom"
+                        name="effectiveFrom"
+                        className="form-input"
+                      />
+                      <ErrorMessage
+                        name="effectiveFrom"
+                        component="div"
+                        className="form-error"
+                      />
+                    </div>
+
                     <div className="flex justify-end">
                       <button
                         type="submit"
@@ -373,12 +595,13 @@ const Settings = () => {
                 initialValues={{
                   emailNotifications: settings.emailNotifications || false,
                   smsNotifications: settings.smsNotifications || false,
+                  pushNotifications: settings.pushNotifications || false,
                   applicationStatusChangeNotify: settings.applicationStatusChangeNotify || false,
                   documentVerificationNotify: settings.documentVerificationNotify || false,
                   paymentConfirmationNotify: settings.paymentConfirmationNotify || false
                 }}
                 validationSchema={notificationValidationSchema}
-                onSubmit={handleUpdateSettings}
+                onSubmit={handleUpdateSettings('notifications')}
               >
                 {({ isSubmitting }) => (
                   <Form className="space-y-6">
@@ -406,6 +629,17 @@ const Settings = () => {
                           Enable SMS Notifications
                         </label>
                       </div>
+                      <div className="flex items-center">
+                        <Field
+                          type="checkbox"
+                          id="pushNotifications"
+                          name="pushNotifications"
+                          className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                        />
+                        <label htmlFor="pushNotifications" className="ml-2 block text-sm text-gray-900">
+                          Enable In-App Notifications
+                        </label>
+                      </div>
                     </div>
 
                     <div className="space-y-4">
@@ -474,15 +708,20 @@ const Settings = () => {
               <Formik
                 initialValues={{
                   passwordMinLength: settings.passwordMinLength || 8,
-                  passwordRequireSpecialChar: settings.passwordRequireSpecialChar || false,
-                  passwordRequireNumber: settings.passwordRequireNumber || false,
+                  passwordRequireSpecialChar: settings.passwordRequireSpecialChar ?? true,
+                  passwordRequireNumber: settings.passwordRequireNumber ?? true,
                   sessionTimeout: settings.sessionTimeout || 30,
-                  maxLoginAttempts: settings.maxLoginAttempts || 5
+                  maxLoginAttempts: settings.maxLoginAttempts || 5,
+                  lockoutDuration: settings.lockoutDuration || 15,
+                  twoFactorAuth: settings.twoFactorAuth ?? false,
+                  twoFactorAdmins: settings.twoFactorAdmins ?? true,
+                  twoFactorLandOfficers: settings.twoFactorLandOfficers ?? true,
+                  twoFactorCitizens: settings.twoFactorCitizens ?? false
                 }}
                 validationSchema={securityValidationSchema}
-                onSubmit={handleUpdateSettings}
+                onSubmit={handleUpdateSettings('security')}
               >
-                {({ isSubmitting }) => (
+                {({ isSubmitting, values }) => (
                   <Form className="space-y-6">
                     <div>
                       <label htmlFor="passwordMinLength" className="form-label">
@@ -493,7 +732,7 @@ const Settings = () => {
                         id="passwordMinLength"
                         name="passwordMinLength"
                         className="form-input"
-                        min="6"
+                        min="8"
                       />
                       <ErrorMessage
                         name="passwordMinLength"
@@ -530,6 +769,7 @@ const Settings = () => {
                       <label htmlFor="sessionTimeout" className="form-label">
                         Session Timeout (minutes)
                       </label>
+                      <p className="text-xs text-gray-500 mb-1">Sessions end after this long without activity.</p>
                       <Field
                         type="number"
                         id="sessionTimeout"
@@ -555,6 +795,9 @@ const Settings = () => {
                         className="form-input"
                         min="1"
                       />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Failed logins allowed per account before it is locked. A single IP address may fail five times as often.
+                      </p>
                       <ErrorMessage
                         name="maxLoginAttempts"
                         component="div"
@@ -562,6 +805,62 @@ const Settings = () => {
                       />
                     </div>
 
+                    <div>
+                      <label htmlFor="lockoutDuration" className="form-label">
+                        Lockout Duration (minutes)
+                      </label>
+                      <Field
+                        type="number"
+                        id="lockoutDuration"
+                        name="lockoutDuration"
+                        className="form-input"
+                        min="1"
+                      />
+                      <ErrorMessage
+                        name="lockoutDuration"
+                        component="div"
+                        className="form-error"
+                      />
+                    </div>
+
+                    <div>
+                      <div className="flex items-center">
+                        <Field
+                          type="checkbox"
+                          id="twoFactorAuth"
+                          name="twoFactorAuth"
+                          className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                        />
+                        <label htmlFor="twoFactorAuth" className="ml-2 block text-sm text-gray-900">
+                          Require Two-Factor Authentication
+                        </label>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Users in the roles below must set up an authenticator app at their next login.
+                        Anyone can still turn it on from their profile.
+                      </p>
+                      <div className="ml-6 mt-2 space-y-2">
+                        {[
+                          ['twoFactorAdmins', 'Admins'],
+                          ['twoFactorLandOfficers', 'Land Officers'],
+                          ['twoFactorCitizens', 'Citizens']
+                        ].map(([name, label]) => (
+                          <div key={name} className="flex items-center">
+                            <Field
+                              type="checkbox"
+                              id={name}
+                              name={name}
+                              disabled={!values.twoFactorAuth}
+                              className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded disabled:opacity-50"
+                            />
+                            <label htmlFor={name} className="ml-2 block text-sm text-gray-900">
+                              {label}
+                            </label>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
                     <div className="flex justify-end">
                       <button
                         type="submit"
@@ -585,6 +884,63 @@ const Settings = () => {
                 )}
               </Formik>
             )}
+
+            {/* Settings Change History */}
+            {activeTab === 'history' && (
+              historyLoading ? (
+                <div className="text-center py-8">
+                  <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary"></div>
+                  <p className="mt-2">Loading history...</p>
+                </div>
+              ) : history.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No settings changes recorded yet</div>
+              ) : (
+                <div className="space-y-4">
+                  {history.map((entry) => (
+                    <div key={entry._id} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-3">
+                        <div>
+                          <span className="text-sm font-semibold capitalize">{entry.category}</span>
+                          <span className="text-sm text-gray-500">
+                            {' '}changed by {entry.changedBy?.fullName || 'Unknown'}
+                            {entry.changedBy?.email ? ` (${entry.changedBy.email})` : ''}
+                          </span>
+                        </div>
+                        <span className="text-xs text-gray-500">
+                          {new Date(entry.timestamp).toLocaleString()}
+                        </span>
+                      </div>
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="py-1 pr-4 font-medium">Setting</th>
+                            <th className="py-1 pr-4 font-medium">Before</th>
+                            <th className="py-1 font-medium">After</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {entry.changes.map((change) => (
+                            <tr key={change.key} className="border-t border-gray-100">
+                              <td className="py-1 pr-4 font-mono text-gray-700">{change.key}</td>
+                              <td className="py-1 pr-4">
+                                <span className="bg-red-50 text-red-700 line-through px-1 rounded">
+                                  {formatSettingValue(change.oldValue)}
+                                </span>
+                              </td>
+                              <td className="py-1">
+                                <span className="bg-green-50 text-green-700 px-1 rounded">
+                                  {formatSettingValue(change.newValue)}
+                                </span>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              )
+            )}
           </div>
         ) : (
           <div className="text-center py-8 text-gray-500">No settings found</div>
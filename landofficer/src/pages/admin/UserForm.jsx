@@ -68,7 +68,7 @@ const UserForm = () => {
       setSubmitting(false);
     } catch (err) {
       console.error('Error creating user:', err);
-      toast.error(err.message || 'Failed to create user');
+      toast.error(err.message || err.errors?.[0]?.msg || 'Failed to create user');
       setLoading(false);
       setSubmitting(false);
     }
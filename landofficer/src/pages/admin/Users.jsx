@@ -7,7 +7,8 @@ import {
   TrashIcon,
   MagnifyingGlassIcon,
   FunnelIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  ArrowRightOnRectangleIcon
 } from '@heroicons/react/24/outline';
 import * as userService from '../../services/userService';
 import { useAuth } from '../../context/AuthContext';
@@ -268,6 +269,20 @@ const Users = () => {
     setCurrentPage(1);
   };
 
+  const handleRevokeSessions = async (targetUser) => {
+    if (!window.confirm(`Sign ${targetUser.fullName} out of every device?`)) {
+      return;
+    }
+
+    try {
+      const result = await userService.revokeUserSessions(targetUser._id);
+      toast.success(result.message || 'Sessions ended');
+    } catch (err) {
+      console.error('Error ending user sessions:', err);
+      toast.error(err.message || 'Failed to end user sessions');
+    }
+  };
+
   const handleResetPassword = async (userId) => {
     try {
       setLoading(true);
@@ -435,6 +450,13 @@ const Users = () => {
                             <ArrowPathIcon className="h-4 w-4 mr-1" />
                             Reset Password
                           </button>
+                          <button
+                            onClick={() => handleRevokeSessions(user)}
+                            className="text-gray-600 hover:text-gray-800 mr-3 flex items-center"
+                          >
+                            <ArrowRightOnRectangleIcon className="h-4 w-4 mr-1" />
+                            Sign Out
+                          </button>
                           <button
                             onClick={() => {
                               setSelectedUser(user);
@@ -1,16 +1,18 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { LockClosedIcon } from '@heroicons/react/24/solid';
 import { useAuth } from '../../context/AuthContext';
+import TwoFactorChallenge from '../../components/auth/TwoFactorChallenge';
 
 const AdminLogin = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, user } = useAuth();
+  const { login, loginWithUserObject, user } = useAuth();
 
   // Update document title
   useEffect(() => {
@@ -47,6 +49,9 @@ const AdminLogin = () => {
 
         // Navigate to the redirect path
         navigate(from, { replace: true });
+      } else if (result.twoFactor) {
+        setTwoFactorChallenge(result.twoFactor);
+        setLoading(false);
       } else {
         toast.error(result.message || 'Invalid admin credentials');
         setLoading(false);
@@ -58,6 +63,21 @@ const AdminLogin = () => {
     }
   };
 
+  // Second login step passed; the redirect effect above takes over once the user is set
+  // Stable so the challenge does not restart its setup when the page re-renders
+  const handleTwoFactorCancel = useCallback(() => {
+    setTwoFactorChallenge(null);
+    setPassword('');
+  }, []);
+
+  const handleTwoFactorComplete = (userData) => {
+    const result = loginWithUserObject(userData, false);
+    if (!result.success) {
+      toast.error(result.error || 'Login failed');
+      setTwoFactorChallenge(null);
+    }
+  };
+
   return (
     <div className="min-h-[80vh] flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8 bg-white p-8 rounded-lg shadow-md">
@@ -70,6 +90,13 @@ const AdminLogin = () => {
           </p>
         </div>
 
+        {twoFactorChallenge ? (
+          <TwoFactorChallenge
+            challenge={twoFactorChallenge}
+            onComplete={handleTwoFactorComplete}
+            onCancel={handleTwoFactorCancel}
+          />
+        ) : (
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="space-y-4">
             <div>
@@ -148,6 +175,7 @@ const AdminLogin = () => {
             </p>
           </div>
         </form>
+        )}
       </div>
     </div>
   );
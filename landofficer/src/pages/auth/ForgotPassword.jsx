@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { EnvelopeIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
+import { requestPasswordReset } from '../../services/authService';
+
+const ForgotPassword = () => {
+  const [sentMessage, setSentMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    document.title = 'Forgot Password | Property Registration System';
+    return () => {
+      document.title = 'Property Registration System';
+    };
+  }, []);
+
+  const validationSchema = Yup.object({
+    email: Yup.string()
+      .email('Invalid email address')
+      .required('Email is required')
+  });
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      setError('');
+      const result = await requestPasswordReset(values.email);
+      setSentMessage(result.message);
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError(err.message || err.errors?.[0]?.msg || 'Failed to request password reset');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">Forgot Your Password?</h2>
+        <p className="text-sm text-gray-600 text-center mb-6">
+          Enter the email address of your account and we will send you a link to choose a new password.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md flex items-start">
+            <ExclamationCircleIcon className="h-5 w-5 text-red-500 mr-2 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {sentMessage ? (
+          <div className="p-4 bg-green-50 border border-green-200 rounded-md flex items-start">
+            <EnvelopeIcon className="h-5 w-5 text-green-600 mr-2 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-green-700">{sentMessage} The link expires in one hour.</p>
+          </div>
+        ) : (
+          <Formik initialValues={{ email: '' }} validationSchema={validationSchema} onSubmit={handleSubmit}>
+            {({ isSubmitting }) => (
+              <Form className="space-y-6">
+                <div>
+                  <label htmlFor="email" className="form-label">
+                    Email Address
+                  </label>
+                  <Field type="email" name="email" id="email" className="form-input" placeholder="your.email@example.com" />
+                  <ErrorMessage name="email" component="div" className="form-error" />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="w-full btn-primary py-2 px-4 rounded-md flex justify-center items-center"
+                >
+                  {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </Form>
+            )}
+          </Formik>
+        )}
+
+        <p className="text-sm text-gray-600 text-center mt-6">
+          <Link to="/login/land-officer" className="text-primary hover:text-primary-dark">
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,15 +1,17 @@
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
 import * as authService from '../../services/authService';
+import TwoFactorChallenge from '../../components/auth/TwoFactorChallenge';
 
 const LandOfficerLogin = () => {
   const navigate = useNavigate();
   const { loginWithUserObject } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Validation schema
   const validationSchema = Yup.object({
@@ -19,6 +21,34 @@ const LandOfficerLogin = () => {
     password: Yup.string().required('Password is required')
   });
 
+  // Store the session and go to the dashboard
+  const completeLogin = (response) => {
+    // Call the loginWithUserObject function from the auth context
+    const loginResult = loginWithUserObject(response);
+    console.log('Login result:', loginResult);
+
+    if (loginResult.success) {
+      // Show success message
+      toast.success('Login successful');
+      // Redirect to land officer dashboard
+      navigate('/landofficer/dashboard');
+    } else {
+      throw new Error(loginResult.error || 'Login failed');
+    }
+  };
+
+  // Stable so the challenge does not restart its setup when the page re-renders
+  const handleTwoFactorCancel = useCallback(() => setTwoFactorChallenge(null), []);
+
+  const handleTwoFactorComplete = (response) => {
+    try {
+      completeLogin(response);
+    } catch (error) {
+      toast.error(error.message);
+      setTwoFactorChallenge(null);
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async (values, { setSubmitting }) => {
     try {
@@ -28,19 +58,12 @@ const LandOfficerLogin = () => {
       const response = await authService.loginLandOfficer(values.email, values.password);
       console.log('Login response:', response);
 
-      if (response && response.token) {
-        // Call the loginWithUserObject function from the auth context
-        const loginResult = loginWithUserObject(response);
-        console.log('Login result:', loginResult);
-
-        if (loginResult.success) {
-          // Show success message
-          toast.success('Login successful');
-          // Redirect to land officer dashboard
-          navigate('/landofficer/dashboard');
-        } else {
-          throw new Error(loginResult.error || 'Login failed');
-        }
+      if (response && (response.twoFactorRequired || response.twoFactorSetupRequired)) {
+        // Two-factor step comes next; no session yet
+        setTwoFactorChallenge(response);
+        setSubmitting(false);
+      } else if (response && response.token) {
+        completeLogin(response);
       } else {
         throw new Error('Invalid response from server');
       }
@@ -62,6 +85,13 @@ const LandOfficerLogin = () => {
           </p>
         </div>
 
+        {twoFactorChallenge ? (
+          <TwoFactorChallenge
+            challenge={twoFactorChallenge}
+            onComplete={handleTwoFactorComplete}
+            onCancel={handleTwoFactorCancel}
+          />
+        ) : (
         <Formik
           initialValues={{ email: '', password: '' }}
           validationSchema={validationSchema}
@@ -138,9 +168,9 @@ const LandOfficerLogin = () => {
                 </div>
 
                 <div className="text-sm">
-                  <a href="#" className="font-medium text-primary hover:text-primary-dark">
+                  <Link to="/forgot-password" className="font-medium text-primary hover:text-primary-dark">
                     Forgot your password?
-                  </a>
+                  </Link>
                 </div>
               </div>
 
@@ -165,6 +195,7 @@ const LandOfficerLogin = () => {
             </Form>
           )}
         </Formik>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
+import { verifyEmail } from '../../services/authService';
+import { useAuth } from '../../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This page needs the link from your verification email.');
+  // Links work once, so verify only once even if the effect runs again
+  const attempted = useRef(false);
+  const profilePath = user?.role === 'admin' ? '/admin/dashboard' : '/landofficer/profile';
+
+  useEffect(() => {
+    document.title = 'Verify Email | Property Registration System';
+    return () => {
+      document.title = 'Property Registration System';
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!token || attempted.current) return;
+    attempted.current = true;
+
+    verifyEmail(token)
+      .then((result) => {
+        setStatus('verified');
+        setMessage(result.message);
+        if (user && user.email === result.email) {
+          updateUser({ emailVerified: true });
+        }
+      })
+      .catch((err) => {
+        console.error('Email verification error:', err);
+        setStatus('error');
+        setMessage(err.message || 'Failed to verify email');
+      });
+  }, [token, user, updateUser]);
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8 text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6">Email Verification</h2>
+
+        {status === 'verifying' && (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="flex flex-col items-center">
+            <CheckCircleIcon className="h-12 w-12 text-green-500 mb-3" />
+            <p className="text-gray-700">{message}</p>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="flex flex-col items-center">
+            <ExclamationCircleIcon className="h-12 w-12 text-red-500 mb-3" />
+            <p className="text-gray-700">{message}</p>
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <Link to={user ? profilePath : '/login/land-officer'} className="inline-block mt-6 btn-primary py-2 px-4 rounded-md">
+            {user ? 'Continue' : 'Go to login'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,337 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { Squares2X2Icon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import {
+  getParcelChanges,
+  getParcelChangeById,
+  approveParcelChange,
+  rejectParcelChange,
+  waiveParcelChangeFee,
+  PARCEL_CHANGE_LABELS
+} from '../../services/parcelChangeService';
+import ParcelMap from '../../components/property/ParcelMap';
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const FEE_STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  waived: 'bg-blue-100 text-blue-800'
+};
+
+const formatAmount = (amount) => `${(amount || 0).toLocaleString()} ETB`;
+
+// Parent boundaries and planned plot boundaries of a parcel change as map features
+const toFeatures = (parcelChange) => [
+  ...parcelChange.parents.filter((parent) => parent.boundary).map((parent) => ({
+    type: 'Feature',
+    id: parent._id,
+    geometry: parent.boundary,
+    properties: { plotNumber: parent.plotNumber, propertyType: parent.propertyType, status: parent.status }
+  })),
+  ...parcelChange.children.filter((child) => child.boundary).map((child) => ({
+    type: 'Feature',
+    id: `planned-${child.plotNumber}`,
+    geometry: child.boundary,
+    properties: { plotNumber: child.plotNumber, propertyType: child.propertyType, status: 'planned' }
+  }))
+];
+
+const ParcelChangeReview = () => {
+  const [parcelChanges, setParcelChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [operationFilter, setOperationFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({});
+  const [selected, setSelected] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const selectedFeatures = useMemo(() => (selected ? toFeatures(selected) : []), [selected]);
+
+  const fetchParcelChanges = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getParcelChanges({
+        status: statusFilter || undefined,
+        operation: operationFilter || undefined,
+        page: currentPage,
+        limit: 10
+      });
+      setParcelChanges(data.parcelChanges || []);
+      setPagination(data.pagination || {});
+    } catch (error) {
+      console.error('Error fetching parcel changes:', error);
+      toast.error(error.message || 'Failed to fetch subdivisions and merges');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, operationFilter, currentPage]);
+
+  useEffect(() => {
+    fetchParcelChanges();
+  }, [fetchParcelChanges]);
+
+  const openParcelChange = async (parcelChangeId) => {
+    try {
+      const data = await getParcelChangeById(parcelChangeId);
+      setSelected(data.parcelChange);
+    } catch (error) {
+      console.error('Error fetching parcel change:', error);
+      toast.error(error.message || 'Failed to fetch parcel change');
+    }
+  };
+
+  // Run a review action, then refresh the list and the open parcel change
+  const runAction = async (action, successMessage) => {
+    try {
+      setSubmitting(true);
+      await action();
+      toast.success(successMessage);
+      await fetchParcelChanges();
+      await openParcelChange(selected._id);
+    } catch (error) {
+      console.error('Error reviewing parcel change:', error);
+      toast.error(error.message || error.errors?.[0]?.msg || 'Failed to update parcel change');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleApprove = () => {
+    const notes = window.prompt('Approval notes (optional)');
+    if (notes === null) {
+      return;
+    }
+    runAction(() => approveParcelChange(selected._id, notes.trim()), 'Parcel change approved and new plots registered');
+  };
+
+  const handleReject = () => {
+    const reason = window.prompt('Reason for rejecting this application');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+    runAction(() => rejectParcelChange(selected._id, reason.trim()), 'Parcel change rejected');
+  };
+
+  const handleWaiveFee = () => {
+    const reason = window.prompt(`Reason for waiving the ${formatAmount(selected.fee.amount)} fee`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+    runAction(() => waiveParcelChangeFee(selected._id, reason.trim()), 'Fee waived');
+  };
+
+  const feeOutstanding = selected?.fee?.status === 'pending' && selected?.fee?.amount > 0;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold flex items-center">
+          <Squares2X2Icon className="h-6 w-6 mr-2 text-primary" />
+          Subdivisions and Merges
+        </h1>
+        <p className="text-gray-600">Review applications to split plots or merge neighbouring plots</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4 mb-6 flex flex-wrap gap-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => { setStatusFilter(e.target.value); setCurrentPage(1); }}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        >
+          <option value="">All statuses</option>
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <select
+          value={operationFilter}
+          onChange={(e) => { setOperationFilter(e.target.value); setCurrentPage(1); }}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        >
+          <option value="">Subdivisions and merges</option>
+          <option value="subdivide">Subdivisions</option>
+          <option value="merge">Merges</option>
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-md">
+          {loading ? (
+            <div className="flex justify-center items-center h-64">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+            </div>
+          ) : parcelChanges.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">No subdivisions or merges match these filters.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {parcelChanges.map((parcelChange) => (
+                <li
+                  key={parcelChange._id}
+                  onClick={() => openParcelChange(parcelChange._id)}
+                  className={`p-4 cursor-pointer hover:bg-gray-50 ${selected?._id === parcelChange._id ? 'bg-gray-50' : ''}`}
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="font-medium">
+                      {PARCEL_CHANGE_LABELS[parcelChange.operation]} - plot{parcelChange.parents.length === 1 ? '' : 's'}{' '}
+                      {parcelChange.parents.map((parent) => parent.plotNumber).join(', ')}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${STATUS_COLORS[parcelChange.status]}`}>
+                      {parcelChange.status}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-600 mt-1">
+                    {parcelChange.owner?.fullName} - into {parcelChange.children.map((child) => child.plotNumber).join(', ')}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Submitted {new Date(parcelChange.submissionDate).toLocaleDateString()} - fee {parcelChange.fee?.status}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="p-4 border-t flex items-center justify-between">
+              <span className="text-sm text-gray-700">Page {pagination.page} of {pagination.pages}</span>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+                  disabled={pagination.page <= 1}
+                  className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setCurrentPage((prev) => prev + 1)}
+                  disabled={pagination.page >= pagination.pages}
+                  className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          {!selected ? (
+            <p className="text-sm text-gray-500">Select an application to review it.</p>
+          ) : (
+            <div className="space-y-4">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h2 className="text-lg font-semibold">{PARCEL_CHANGE_LABELS[selected.operation]}</h2>
+                  <p className="text-sm text-gray-600">
+                    {selected.owner?.fullName} ({selected.owner?.email})
+                  </p>
+                </div>
+                <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${STATUS_COLORS[selected.status]}`}>
+                  {selected.status}
+                </span>
+              </div>
+
+              <p className="text-sm text-gray-700">{selected.reason}</p>
+
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <h3 className="font-medium mb-1">Current plots</h3>
+                  {selected.parents.map((parent) => (
+                    <div key={parent._id}>
+                      {parent.plotNumber} - {parent.area} sq m <span className="text-gray-500 capitalize">({parent.status})</span>
+                    </div>
+                  ))}
+                  <div className="text-gray-500 mt-1">
+                    Total {selected.parents.reduce((total, parent) => total + parent.area, 0)} sq m
+                  </div>
+                </div>
+                <div>
+                  <h3 className="font-medium mb-1">New plots</h3>
+                  {selected.children.map((child) => (
+                    <div key={child.plotNumber}>
+                      {child.plotNumber} - {child.area} sq m <span className="text-gray-500 capitalize">({child.propertyType})</span>
+                    </div>
+                  ))}
+                  <div className="text-gray-500 mt-1">
+                    Total {selected.children.reduce((total, child) => total + child.area, 0)} sq m
+                  </div>
+                </div>
+              </div>
+
+              {selectedFeatures.length > 0 && (
+                <ParcelMap features={selectedFeatures} height="280px" />
+              )}
+
+              <div className="flex items-center justify-between border-t pt-4 text-sm">
+                <span>
+                  Fee: <span className="font-medium">{formatAmount(selected.fee?.amount)}</span>
+                  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs capitalize ${FEE_STATUS_COLORS[selected.fee?.status]}`}>
+                    {selected.fee?.status}
+                  </span>
+                </span>
+                {selected.status === 'pending' && feeOutstanding && (
+                  <button
+                    onClick={handleWaiveFee}
+                    disabled={submitting}
+                    className="text-sm text-primary hover:underline disabled:opacity-50"
+                  >
+                    Waive fee
+                  </button>
+                )}
+              </div>
+
+              {selected.status === 'pending' && (
+                <div className="flex space-x-3">
+                  <button
+                    onClick={handleApprove}
+                    disabled={submitting || feeOutstanding}
+                    title={feeOutstanding ? 'The fee must be paid or waived first' : undefined}
+                    className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <CheckCircleIcon className="h-5 w-5 mr-1" />
+                    Approve
+                  </button>
+                  <button
+                    onClick={handleReject}
+                    disabled={submitting}
+                    className="flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                  >
+                    <XCircleIcon className="h-5 w-5 mr-1" />
+                    Reject
+                  </button>
+                </div>
+              )}
+
+              {selected.reviewNotes && (
+                <p className="text-sm text-gray-600">
+                  Review notes{selected.reviewedBy?.fullName && ` by ${selected.reviewedBy.fullName}`}: {selected.reviewNotes}
+                </p>
+              )}
+
+              <div className="border-t pt-4">
+                <h3 className="font-medium text-sm mb-2">Timeline</h3>
+                <ul className="space-y-1 text-xs text-gray-600">
+                  {selected.timeline.map((entry) => (
+                    <li key={entry._id}>
+                      {new Date(entry.timestamp).toLocaleString()} - {entry.action}
+                      {entry.performedBy?.fullName && ` (${entry.performedBy.fullName})`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ParcelChangeReview;
@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { MapIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { getParcelMap } from '../../services/propertyService';
+import ParcelMap from '../../components/property/ParcelMap';
+
+const SUB_CITIES = [
+  'Addis Ketema',
+  'Akaky Kaliti',
+  'Arada',
+  'Bole',
+  'Gullele',
+  'Kirkos',
+  'Kolfe Keranio',
+  'Lideta',
+  'Nifas Silk-Lafto',
+  'Yeka'
+];
+
+const ParcelMapView = () => {
+  const { user } = useAuth();
+  const [features, setFeatures] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [subCityFilter, setSubCityFilter] = useState('');
+
+  useEffect(() => {
+    const fetchParcels = async () => {
+      try {
+        setLoading(true);
+        const data = await getParcelMap({
+          status: statusFilter || undefined,
+          subCity: subCityFilter || undefined
+        });
+        setFeatures(data.features || []);
+      } catch (error) {
+        console.error('Error fetching parcel map:', error);
+        toast.error(error.message || 'Failed to fetch parcel map');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchParcels();
+  }, [statusFilter, subCityFilter]);
+
+  const overlapping = features.filter((feature) => feature.properties.overlaps > 0);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+          <div className="flex items-center">
+            <MapIcon className="h-6 w-6 text-primary mr-2" />
+            <h1 className="text-2xl font-bold">Parcel Map</h1>
+          </div>
+          <div className="flex flex-col md:flex-row gap-3 mt-4 md:mt-0">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">All Statuses</option>
+              <option value="pending">Pending</option>
+              <option value="under_review">Under Review</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+            </select>
+            <select
+              value={subCityFilter}
+              onChange={(e) => setSubCityFilter(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">All Sub-cities</option>
+              {SUB_CITIES.map((subCity) => (
+                <option key={subCity} value={subCity}>{subCity}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-600">
+          <span>{features.length} parcel(s) with a drawn boundary</span>
+          <span className="flex items-center"><span className="w-3 h-3 mr-1 rounded-sm bg-green-600"></span>Approved</span>
+          <span className="flex items-center"><span className="w-3 h-3 mr-1 rounded-sm bg-amber-600"></span>In progress</span>
+          <span className="flex items-center"><span className="w-3 h-3 mr-1 rounded-sm bg-red-600"></span>Overlaps an approved parcel</span>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-96">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+          </div>
+        ) : (
+          <ParcelMap
+            features={features}
+            height="560px"
+            getDetailPath={user?.role === 'landOfficer'
+              ? (feature) => `/landofficer/property-detail-verification/${feature.id}`
+              : undefined}
+          />
+        )}
+
+        {overlapping.length > 0 && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+            Overlapping boundaries: {overlapping.map((feature) => feature.properties.plotNumber).join(', ')}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParcelMapView;
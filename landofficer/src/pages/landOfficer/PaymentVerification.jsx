@@ -144,6 +144,8 @@ const PaymentVerification = () => {
         return 'Certificate Fee';
       case 'transfer_fee':
         return 'Transfer Fee';
+      case 'parcel_change_fee':
+        return 'Subdivision/Merge Fee';
       case 'modification_fee':
         return 'Modification Fee';
       default:
@@ -235,6 +237,7 @@ const PaymentVerification = () => {
                 <option value="registration_fee">Registration Fee</option>
                 <option value="certificate_fee">Certificate Fee</option>
                 <option value="transfer_fee">Transfer Fee</option>
+                <option value="parcel_change_fee">Subdivision/Merge Fee</option>
                 <option value="modification_fee">Modification Fee</option>
               </select>
             </div>
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import ActiveSessions from '../../components/auth/ActiveSessions';
+import TwoFactorSettings from '../../components/auth/TwoFactorSettings';
 import {
   UserCircleIcon,
   KeyIcon,
@@ -344,6 +346,14 @@ const Profile = () => {
           </div>
         )}
       </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+        <TwoFactorSettings />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+        <ActiveSessions />
+      </div>
     </div>
   );
 };
@@ -1,5 +1,5 @@
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import {
   DocumentMagnifyingGlassIcon,
@@ -14,6 +14,10 @@ import {
 } from '@heroicons/react/24/outline';
 import { getPropertyById, approveProperty, rejectProperty, verifyDocument } from '../../services/propertyService';
 import PropertyTransferHistory from '../../components/property/PropertyTransferHistory';
+import PropertyEncumbrances from '../../components/property/PropertyEncumbrances';
+import ParcelMap from '../../components/property/ParcelMap';
+import NeighbouringParcels from '../../components/property/NeighbouringParcels';
+import { propertyToFeature } from '../../utils/parcelGeometry';
 
 const PropertyDetailVerification = () => {
   const { id } = useParams();
@@ -30,6 +34,11 @@ const PropertyDetailVerification = () => {
   const [approvalNotes, setApprovalNotes] = useState('');
   const [rejectionReason, setRejectionReason] = useState('');
 
+  const parcelFeatures = useMemo(
+    () => (property?.boundary ? [propertyToFeature(property)] : []),
+    [property]
+  );
+
   // Format date
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -353,6 +362,16 @@ const PropertyDetailVerification = () => {
             >
               Transfer History
             </button>
+            <button
+              className={`py-2 px-4 border-b-2 font-medium text-sm ${
+                activeTab === 'encumbrances'
+                  ? 'border-primary text-primary'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+              onClick={() => setActiveTab('encumbrances')}
+            >
+              Encumbrances
+            </button>
           </nav>
         </div>
 
@@ -428,6 +447,38 @@ const PropertyDetailVerification = () => {
                 </div>
               </div>
             </div>
+
+            <div className="md:col-span-2">
+              <div className="flex items-center mb-4">
+                <MapIcon className="h-5 w-5 text-primary mr-2" />
+                <h2 className="text-lg font-semibold">Parcel Boundary</h2>
+              </div>
+              {property.boundaryOverlaps?.length > 0 && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+                  The boundary overlapped these approved parcels when it was submitted:{' '}
+                  {property.boundaryOverlaps.map((overlap, index) => (
+                    <span key={overlap.property}>
+                      {index > 0 && ', '}
+                      <Link
+                        to={`/landofficer/property-detail-verification/${overlap.property}`}
+                        className="font-medium underline"
+                      >
+                        {overlap.plotNumber}
+                      </Link>
+                    </span>
+                  ))}
+                </div>
+              )}
+              {parcelFeatures.length > 0 ? (
+                <>
+                  <ParcelMap features={parcelFeatures} height="320px" />
+                  <h3 className="text-md font-medium text-gray-700 mt-4 mb-2">Neighbouring Parcels</h3>
+                  <NeighbouringParcels propertyId={property._id} />
+                </>
+              ) : (
+                <p className="text-gray-500">The applicant did not draw a parcel boundary.</p>
+              )}
+            </div>
           </div>
         )}
 
@@ -520,6 +571,10 @@ const PropertyDetailVerification = () => {
           </div>
         )}
 
+        {activeTab === 'encumbrances' && (
+          <PropertyEncumbrances propertyId={property._id} />
+        )}
+
         {/* Action Buttons */}
         <div className="mt-8 pt-6 border-t border-gray-200">
           <div className="flex flex-col md:flex-row md:justify-between">
@@ -33,6 +33,7 @@ const PropertyVerification = () => {
   const [documentVerificationNotes, setDocumentVerificationNotes] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [workload, setWorkload] = useState(null);
 
   // Fetch assigned properties on component mount
   useEffect(() => {
@@ -69,6 +70,7 @@ const PropertyVerification = () => {
 
       const response = await getAssignedProperties(filters);
       setProperties(response.properties || response || []);
+      setWorkload(response.workload || null);
       setLoading(false);
     } catch (err) {
       setError(err.message || 'Failed to fetch assigned properties');
@@ -241,6 +243,28 @@ const PropertyVerification = () => {
           </button>
         </div>
 
+        {/* Queue workload */}
+        {workload && (
+          <div className="mb-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-500">Open in your queue</p>
+              <p className="text-xl font-semibold">{workload.open}</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-500">Pending</p>
+              <p className="text-xl font-semibold">{workload.byStatus?.pending || 0}</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-500">Under Review</p>
+              <p className="text-xl font-semibold">{workload.byStatus?.under_review || 0}</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-500">Completed</p>
+              <p className="text-xl font-semibold">{workload.completed}</p>
+            </div>
+          </div>
+        )}
+
         {/* Search and Filter */}
         <div className="mb-6">
           <div className="flex flex-col md:flex-row gap-4">
@@ -267,8 +291,9 @@ const PropertyVerification = () => {
                 value={statusFilter}
                 onChange={handleStatusFilterChange}
               >
-                <option value="">All Statuses</option>
+                <option value="">All Open</option>
                 <option value="pending">Pending</option>
+                <option value="payment_completed">Payment Completed</option>
                 <option value="under_review">Under Review</option>
                 <option value="approved">Approved</option>
                 <option value="rejected">Rejected</option>
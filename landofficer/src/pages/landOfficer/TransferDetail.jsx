@@ -15,16 +15,32 @@ import {
   DocumentCheckIcon,
   ShieldCheckIcon
 } from '@heroicons/react/24/outline';
-import { getTransferById, reviewTransferDocuments, performComplianceChecks, approveTransfer } from '../../services/transferService';
+import {
+  getTransferById,
+  getTransferActions,
+  reviewTransferDocuments,
+  performComplianceChecks,
+  approveTransfer,
+  waiveTransferFee
+} from '../../services/transferService';
 import ComplianceCheckModal from '../../components/transfer/ComplianceCheckModal';
 import DocumentReviewModal from '../../components/transfer/DocumentReviewModal';
 import ApprovalModal from '../../components/transfer/ApprovalModal';
 
+// Fee components of a transfer and the statuses in which they can still be waived
+const FEE_COMPONENTS = [
+  { key: 'governmentFee', label: 'Transfer Tax' },
+  { key: 'taxAmount', label: 'Stamp Duty' },
+  { key: 'processingFee', label: 'Processing Fee' }
+];
+const FEE_WAIVABLE_STATUSES = ['initiated', 'documents_pending', 'documents_submitted', 'under_review', 'compliance_check'];
+
 const TransferDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   
   const [transfer, setTransfer] = useState(null);
+  const [actions, setActions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
@@ -46,6 +62,15 @@ const TransferDetail = () => {
       const data = await getTransferById(id);
       setTransfer(data.transfer);
       setError(null);
+
+      // Which review steps are open depends on the transfer's workflow status
+      try {
+        const workflow = await getTransferActions(id);
+        setActions(workflow.actions);
+      } catch (actionsError) {
+        console.error('Failed to fetch transfer actions:', actionsError);
+        setActions([]);
+      }
     } catch (err) {
       setError(err.message || 'Failed to fetch transfer details');
       toast.error(err.message || 'Failed to fetch transfer details');
@@ -87,11 +112,25 @@ const TransferDetail = () => {
     }
   };
 
+  const handleWaiveFee = async (component) => {
+    const reason = prompt(`Please provide a reason for waiving the ${component.label.toLowerCase()}:`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      await waiveTransferFee(id, component.key, reason.trim());
+      toast.success(`${component.label} waived successfully`);
+      fetchTransferDetails();
+    } catch (err) {
+      toast.error(err.message || err.errors?.[0]?.msg || 'Failed to waive fee');
+    }
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'pending':
         return <ClockIcon className="h-6 w-6 text-yellow-500" />;
       case 'under_review':
+      case 'compliance_check':
         return <DocumentCheckIcon className="h-6 w-6 text-blue-500" />;
       case 'approved':
         return <CheckCircleIcon className="h-6 w-6 text-green-500" />;
@@ -110,6 +149,7 @@ const TransferDetail = () => {
       case 'pending':
         return `${baseClasses} bg-yellow-100 text-yellow-800`;
       case 'under_review':
+      case 'compliance_check':
         return `${baseClasses} bg-blue-100 text-blue-800`;
       case 'approved':
         return `${baseClasses} bg-green-100 text-green-800`;
@@ -146,18 +186,22 @@ const TransferDetail = () => {
     }).format(amount).replace('$', currency === 'ETB' ? 'ETB ' : '$');
   };
 
+  const findAction = (name) => actions.find(action => action.action === name);
+
   const canReviewDocuments = () => {
-    return transfer?.status === 'pending' || transfer?.status === 'under_review';
+    return Boolean(findAction('approve_documents') || findAction('request_documents'));
   };
 
   const canPerformCompliance = () => {
-    return transfer?.status === 'pending' || transfer?.status === 'under_review';
+    return Boolean(findAction('record_compliance'));
   };
 
   const canApprove = () => {
-    return transfer?.status === 'under_review' || transfer?.status === 'pending';
+    return Boolean(findAction('approve') || findAction('reject'));
   };
 
+  const approveAction = findAction('approve');
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -462,16 +506,23 @@ const TransferDetail = () => {
             <div className="space-y-3">
               {canApprove() && (
                 <>
-                  <button
-                    onClick={() => {
-                      setApprovalType('approved');
-                      setShowApprovalModal(true);
-                    }}
-                    className="w-full btn-primary px-4 py-2 rounded-md flex items-center justify-center"
-                  >
-                    <CheckCircleIcon className="h-5 w-5 mr-2" />
-                    Approve Transfer
-                  </button>
+                  {approveAction && (
+                    <button
+                      onClick={() => {
+                        setApprovalType('approved');
+                        setShowApprovalModal(true);
+                      }}
+                      disabled={!approveAction.allowed}
+                      title={approveAction.reason || ''}
+                      className="w-full btn-primary px-4 py-2 rounded-md flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <CheckCircleIcon className="h-5 w-5 mr-2" />
+                      Approve Transfer
+                    </button>
+                  )}
+                  {approveAction && !approveAction.allowed && (
+                    <p className="text-xs text-red-600">{approveAction.reason}</p>
+                  )}
                   <button
                     onClick={() => {
                       setApprovalType('rejected');
@@ -511,6 +562,55 @@ const TransferDetail = () => {
             </div>
           </div>
 
+          {/* Transfer Fees */}
+          {transfer.transferFees && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-semibold mb-4 flex items-center">
+                <CurrencyDollarIcon className="h-5 w-5 mr-2" />
+                Transfer Fees
+              </h3>
+              <div className="space-y-3">
+                {FEE_COMPONENTS.map((component) => {
+                  const fee = transfer.transferFees[component.key] || {};
+                  const canWaive = fee.status === 'pending' && fee.amount > 0 &&
+                    FEE_WAIVABLE_STATUSES.includes(transfer.status);
+
+                  return (
+                    <div key={component.key} className="border border-gray-200 rounded-lg p-3">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium">{component.label}</span>
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                          fee.status === 'paid'
+                            ? 'bg-green-100 text-green-800'
+                            : fee.status === 'waived'
+                            ? 'bg-gray-100 text-gray-800'
+                            : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {(fee.status || 'pending').toUpperCase()}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-700 mt-1">{formatCurrency(fee.amount || 0)}</p>
+                      {fee.paymentReference && (
+                        <p className="text-xs text-gray-500">Reference: {fee.paymentReference}</p>
+                      )}
+                      {fee.status === 'waived' && fee.waiverReason && (
+                        <p className="text-xs text-gray-600 mt-1">Waived: {fee.waiverReason}</p>
+                      )}
+                      {canWaive && (
+                        <button
+                          onClick={() => handleWaiveFee(component)}
+                          className="mt-2 text-xs text-primary hover:underline"
+                        >
+                          Waive fee
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Approvals */}
           {transfer.approvals && transfer.approvals.length > 0 && (
             <div className="bg-white rounded-lg shadow-md p-6">
@@ -84,13 +84,96 @@ const retryRequest = async (error) => {
   return api(config);
 };
 
+// Storage holding the logged-in user ("remember me" uses localStorage)
+const getUserStorage = () => {
+  if (localStorage.getItem('user')) return localStorage;
+  if (sessionStorage.getItem('user')) return sessionStorage;
+  return null;
+};
+
+const getStoredUser = () => {
+  const storage = getUserStorage();
+  return storage ? JSON.parse(storage.getItem('user')) : null;
+};
+
+// Requests that must not trigger a token refresh when they fail with 401
+const isAuthRequest = (url = '') => /\/auth\/(login|register|refresh|2fa\/login)/.test(url);
+
+// One refresh at a time; requests that fail meanwhile wait for it
+let refreshPromise = null;
+
+// Exchange the stored refresh token for new tokens and save them
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const storage = getUserStorage();
+      const user = getStoredUser();
+
+      if (!user?.refreshToken) {
+        throw new Error('No refresh token');
+      }
+
+      const response = await axios.post(
+        `${getApiBaseUrl()}/auth/refresh`,
+        { refreshToken: user.refreshToken },
+        { withCredentials: true }
+      );
+
+      storage.setItem('user', JSON.stringify({
+        ...user,
+        token: response.data.token,
+        refreshToken: response.data.refreshToken,
+        expiresIn: response.data.expiresIn
+      }));
+
+      return response.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Add a response interceptor to handle common errors and retries
 api.interceptors.response.use(
   (response) => {
     return response;
   },
   async (error) => {
-    // Handle 401 Unauthorized errors (token expired, etc.)
+    const config = error.config;
+
+    // Access tokens are short-lived: refresh once and replay the request
+    if (error.response?.status === 401 && config && !config._sessionRefreshed && !isAuthRequest(config.url)) {
+      config._sessionRefreshed = true;
+      const usedToken = config.headers?.Authorization?.replace('Bearer ', '');
+
+      try {
+        const token = await refreshSession();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // Another tab may have rotated the refresh token first; use its tokens
+        const latestToken = getStoredUser()?.token;
+        if (refreshError.response?.status === 409 && latestToken && latestToken !== usedToken) {
+          config.headers.Authorization = `Bearer ${latestToken}`;
+          return api(config);
+        }
+      }
+    }
+
+    // High-risk actions need a fresh two-factor code; ask once and replay with it
+    if (error.response?.status === 403 && error.response.data?.stepUpRequired && config && !config._stepUpAttempted) {
+      config._stepUpAttempted = true;
+      const code = window.prompt(`${error.response.data.message}\n\nEnter the 6-digit code from your authenticator app:`);
+
+      if (code) {
+        config.headers['X-Two-Factor-Code'] = code.trim();
+        return api(config);
+      }
+    }
+
+    // Handle 401 Unauthorized errors (session ended, refresh failed, etc.)
     if (error.response && error.response.status === 401) {
       localStorage.removeItem('user');
       sessionStorage.removeItem('user');
@@ -74,6 +74,109 @@ export const updateUserProfile = async (userData) => {
   }
 };
 
+// End the current session on the server
+// The token is passed explicitly because local storage is cleared right after
+export const logout = async (token) => {
+  try {
+    const response = await api.post('/auth/logout', null, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to log out' };
+  }
+};
+
+// Get the active sessions of the current user
+export const getSessions = async () => {
+  try {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch sessions' };
+  }
+};
+
+// End one of the current user's sessions
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to end session' };
+  }
+};
+
+// End every session except this one
+export const logoutOtherSessions = async () => {
+  try {
+    const response = await api.post('/auth/sessions/logout-others');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to log out other devices' };
+  }
+};
+
+// Finish a login with a two-factor code or a recovery code
+export const verifyTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+  try {
+    const response = await api.post('/auth/2fa/login', { challengeToken, code, recoveryCode });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Verification failed' };
+  }
+};
+
+// Get the two-factor status of the current user
+export const getTwoFactorStatus = async () => {
+  try {
+    const response = await api.get('/auth/2fa/status');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch two-factor status' };
+  }
+};
+
+// Start two-factor enrolment; pass the login challenge when enrolling during login
+export const startTwoFactorSetup = async (challengeToken) => {
+  try {
+    const response = await api.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to start two-factor setup' };
+  }
+};
+
+// Confirm enrolment with a code from the authenticator app
+export const enableTwoFactor = async (code, challengeToken) => {
+  try {
+    const response = await api.post('/auth/2fa/enable', { code, ...(challengeToken && { challengeToken }) });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to enable two-factor authentication' };
+  }
+};
+
+// Turn off two-factor authentication
+export const disableTwoFactor = async (password, code) => {
+  try {
+    const response = await api.post('/auth/2fa/disable', { password, code });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to disable two-factor authentication' };
+  }
+};
+
+// Replace the recovery codes
+export const regenerateRecoveryCodes = async (code) => {
+  try {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to regenerate recovery codes' };
+  }
+};
+
 // Change password
 export const changePassword = async (currentPassword, newPassword) => {
   try {
@@ -109,3 +212,23 @@ export const resetPassword = async (token, newPassword) => {
     throw error.response?.data || { message: 'Failed to reset password' };
   }
 };
+
+// Verify email address with token
+export const verifyEmail = async (token) => {
+  try {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to verify email' };
+  }
+};
+
+// Send a new email verification link
+export const resendVerificationEmail = async () => {
+  try {
+    const response = await api.post('/auth/verify-email/resend');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to send verification email' };
+  }
+};
@@ -79,6 +79,36 @@ export const assignDispute = async (disputeId, assignmentData) => {
   }
 };
 
+// Propose a resolution action for a resolved dispute
+export const proposeResolutionAction = async (disputeId, actionData) => {
+  try {
+    const response = await api.post(`/disputes/admin/${disputeId}/actions`, actionData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to propose resolution action' };
+  }
+};
+
+// Confirm and apply a proposed resolution action (Admin only)
+export const confirmResolutionAction = async (disputeId, actionId) => {
+  try {
+    const response = await api.put(`/disputes/admin/${disputeId}/actions/${actionId}/confirm`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to confirm resolution action' };
+  }
+};
+
+// Reject a proposed resolution action (Admin only)
+export const rejectResolutionAction = async (disputeId, actionId, reason) => {
+  try {
+    const response = await api.put(`/disputes/admin/${disputeId}/actions/${actionId}/reject`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to reject resolution action' };
+  }
+};
+
 // Get dispute statistics for dashboard
 export const getDisputeStats = async () => {
   try {
@@ -182,3 +212,22 @@ export const getPriorityColor = (priority) => {
   };
   return colorMap[priority] || 'text-gray-600';
 };
+
+// Resolution actions and the decisions they can follow
+export const RESOLUTION_ACTION_LABELS = {
+  revert_ownership: 'Revert Ownership',
+  correct_property_data: 'Correct Property Data',
+  void_registration: 'Void Registration',
+  reverify_documents: 'Re-verify Documents'
+};
+
+export const ACTIONABLE_DECISIONS = ['in_favor_of_disputant', 'compromise'];
+
+export const getResolutionActionStatusColor = (status) => {
+  const colors = {
+    proposed: 'bg-yellow-100 text-yellow-800',
+    applied: 'bg-green-100 text-green-800',
+    rejected: 'bg-red-100 text-red-800'
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+};
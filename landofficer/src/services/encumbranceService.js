@@ -0,0 +1,62 @@
+import api from './api';
+
+// Get the active encumbrances and encumbrance history of a property
+export const getPropertyEncumbrances = async (propertyId) => {
+  try {
+    const response = await api.get(`/encumbrances/property/${propertyId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch encumbrances' };
+  }
+};
+
+// Get encumbrances across properties
+export const getEncumbrances = async (params = {}) => {
+  try {
+    const response = await api.get('/encumbrances', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch encumbrances' };
+  }
+};
+
+// Register an encumbrance on a property
+export const registerEncumbrance = async (encumbranceData) => {
+  try {
+    const response = await api.post('/encumbrances', encumbranceData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to register encumbrance' };
+  }
+};
+
+// Release an encumbrance
+export const releaseEncumbrance = async (encumbranceId, reason) => {
+  try {
+    const response = await api.put(`/encumbrances/${encumbranceId}/release`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to release encumbrance' };
+  }
+};
+
+export const ENCUMBRANCE_TYPE_LABELS = {
+  mortgage: 'Mortgage',
+  lien: 'Lien',
+  court_injunction: 'Court Injunction',
+  government_caveat: 'Government Caveat',
+  lease: 'Lease',
+  easement: 'Easement',
+  other: 'Other'
+};
+
+export const HOLDER_TYPE_LABELS = {
+  bank: 'Bank',
+  court: 'Court',
+  government: 'Government',
+  individual: 'Individual',
+  other: 'Other'
+};
+
+// Types that block transfers by default
+export const BLOCKING_ENCUMBRANCE_TYPES = ['mortgage', 'lien', 'court_injunction', 'government_caveat'];
@@ -0,0 +1,56 @@
+import api from './api';
+
+// Get subdivisions and merges with filters
+export const getParcelChanges = async (params = {}) => {
+  try {
+    const response = await api.get('/parcel-changes', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch parcel changes' };
+  }
+};
+
+// Get a subdivision or merge with the parent boundaries
+export const getParcelChangeById = async (parcelChangeId) => {
+  try {
+    const response = await api.get(`/parcel-changes/${parcelChangeId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch parcel change' };
+  }
+};
+
+// Approve a subdivision or merge, registering the new plots
+export const approveParcelChange = async (parcelChangeId, notes) => {
+  try {
+    const response = await api.put(`/parcel-changes/${parcelChangeId}/approve`, { notes });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to approve parcel change' };
+  }
+};
+
+// Reject a subdivision or merge
+export const rejectParcelChange = async (parcelChangeId, reason) => {
+  try {
+    const response = await api.put(`/parcel-changes/${parcelChangeId}/reject`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to reject parcel change' };
+  }
+};
+
+// Waive the fee of a subdivision or merge
+export const waiveParcelChangeFee = async (parcelChangeId, reason) => {
+  try {
+    const response = await api.put(`/parcel-changes/${parcelChangeId}/fee/waive`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to waive parcel change fee' };
+  }
+};
+
+export const PARCEL_CHANGE_LABELS = {
+  subdivide: 'Subdivision',
+  merge: 'Merge'
+};
@@ -72,6 +72,16 @@ export const getAllProperties = async (filters = {}) => {
   }
 };
 
+// Auto-assign all open applications that are not in any officer's queue (admin only)
+export const autoAssignProperties = async () => {
+  try {
+    const response = await api.post('/properties/assign/auto');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to auto-assign applications' };
+  }
+};
+
 // Get pending properties for review (land officer only)
 export const getPendingProperties = async (params = {}) => {
   try {
@@ -181,3 +191,13 @@ export const getPropertyTransferHistory = async (propertyId) => {
     throw error.response?.data || { message: 'Failed to fetch property transfer history' };
   }
 };
+
+// Get parcel boundaries as a GeoJSON FeatureCollection (land officer/admin see all parcels)
+export const getParcelMap = async (filters = {}) => {
+  try {
+    const response = await api.get('/properties/map', { params: filters });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch parcel map' };
+  }
+};
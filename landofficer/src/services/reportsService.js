@@ -126,7 +126,7 @@ export const generateSummaryReport = async (filters = {}) => {
   }
 };
 
-// Download report as PDF/Excel
+// Download report as CSV, Excel or PDF
 export const downloadReport = async (reportType, format = 'pdf', filters = {}) => {
   try {
     const response = await api.get(`/reports/${reportType}/download`, {
@@ -135,7 +135,7 @@ export const downloadReport = async (reportType, format = 'pdf', filters = {}) =
     });
 
     // Create a download link and trigger the download
-    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
     const link = document.createElement('a');
     link.href = url;
 
@@ -155,8 +155,20 @@ export const downloadReport = async (reportType, format = 'pdf', filters = {}) =
     link.click();
     link.remove();
 
+    window.URL.revokeObjectURL(url);
+
     return true;
   } catch (error) {
+    // Error bodies arrive as a Blob because of the blob response type
+    if (error.response?.data instanceof Blob) {
+      let data = {};
+      try {
+        data = JSON.parse(await error.response.data.text());
+      } catch {
+        // Not a JSON error body
+      }
+      throw { ...data, message: data.message || data.errors?.[0]?.msg || 'Failed to download report' };
+    }
     throw error.response?.data || { message: 'Failed to download report' };
   }
 };
@@ -38,7 +38,12 @@ export const searchUsers = async (searchParams) => {
 // Search applications
 export const searchApplications = async (searchParams) => {
   try {
-    const response = await api.get('/applications', { params: searchParams });
+    const response = await api.get('/search/global', {
+      params: {
+        ...searchParams,
+        type: 'application'
+      }
+    });
     return response.data;
   } catch (error) {
     throw error.response?.data || { message: 'Failed to search applications' };
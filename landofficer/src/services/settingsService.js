@@ -80,6 +80,16 @@ export const updateSecuritySettings = async (securitySettings) => {
   }
 };
 
+// Get settings change history (admin only)
+export const getSettingsHistory = async (params = {}) => {
+  try {
+    const response = await api.get('/settings/history', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch settings history' };
+  }
+};
+
 export default {
   getSystemSettings,
   updateSystemSettings,
@@ -88,5 +98,6 @@ export default {
   getNotificationSettings,
   updateNotificationSettings,
   getSecuritySettings,
-  updateSecuritySettings
+  updateSecuritySettings,
+  getSettingsHistory
 };
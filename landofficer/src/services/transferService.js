@@ -63,6 +63,26 @@ export const approveTransfer = async (transferId, approvalStatus, notes = '') =>
   }
 };
 
+// Get the workflow actions the current user can take next on a transfer
+export const getTransferActions = async (transferId) => {
+  try {
+    const response = await api.get(`/workflows/transfer/${transferId}/actions`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch transfer actions' };
+  }
+};
+
+// Waive a transfer fee component; the reason is recorded on the transfer
+export const waiveTransferFee = async (transferId, component, reason) => {
+  try {
+    const response = await api.put(`/transfers/${transferId}/fees/${component}/waive`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to waive transfer fee' };
+  }
+};
+
 // Complete transfer (admin only)
 export const completeTransfer = async (transferId) => {
   try {
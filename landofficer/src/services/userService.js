@@ -169,6 +169,26 @@ export const changeUserRole = async (userId, role) => {
   }
 };
 
+// Get the active sessions of a user (admin only)
+export const getUserSessions = async (userId) => {
+  try {
+    const response = await api.get(`/users/${userId}/sessions`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch user sessions' };
+  }
+};
+
+// End every session of a user (admin only)
+export const revokeUserSessions = async (userId) => {
+  try {
+    const response = await api.delete(`/users/${userId}/sessions`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to end user sessions' };
+  }
+};
+
 // Get all land officers (admin only)
 export const getLandOfficers = async () => {
   try {
@@ -193,7 +213,7 @@ export const getLandOfficers = async () => {
 // Assign application to land officer (admin only)
 export const assignApplicationToOfficer = async (applicationId, officerId) => {
   try {
-    const response = await api.put(`/applications/${applicationId}/assign`, { officerId });
+    const response = await api.put(`/properties/${applicationId}/assign`, { assignedTo: officerId });
     return response.data;
   } catch (error) {
     throw error.response?.data || { message: 'Failed to assign application' };
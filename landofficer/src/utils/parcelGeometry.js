@@ -0,0 +1,16 @@
+// Map centre used when there are no parcels to fit (Addis Ababa)
+export const DEFAULT_MAP_CENTER = [9.0192, 38.7525];
+
+// Map feature for a property with a drawn boundary
+export const propertyToFeature = (property) => ({
+  type: 'Feature',
+  id: property._id,
+  geometry: property.boundary,
+  properties: {
+    plotNumber: property.plotNumber,
+    propertyType: property.propertyType,
+    status: property.status,
+    area: property.area,
+    overlaps: property.boundaryOverlaps?.length || 0
+  }
+});
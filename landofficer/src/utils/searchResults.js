@@ -0,0 +1,24 @@
+// Where each global search result opens for land officers and admins
+
+export const getSearchResultPath = (result, role) => {
+  const isAdmin = role === 'admin';
+
+  switch (result.type) {
+    case 'property':
+    case 'application':
+      return isAdmin ? '/admin/properties' : `/landofficer/property-detail-verification/${result.id}`;
+    case 'document':
+      if (isAdmin) return '/admin/properties';
+      return result.propertyId ? `/landofficer/property-detail-verification/${result.propertyId}` : null;
+    case 'payment':
+      return isAdmin ? '/admin/payments' : '/landofficer/payment-verification';
+    case 'user':
+      return isAdmin ? `/admin/users/edit/${result.id}` : null;
+    case 'transfer':
+      return isAdmin ? '/admin/transfers' : null;
+    case 'dispute':
+      return isAdmin ? `/admin/disputes/${result.id}` : null;
+    default:
+      return null;
+  }
+};
@@ -14,6 +14,9 @@ import Contact from './pages/Contact';
 import RegistrationGuide from './pages/RegistrationGuide';
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
+import VerifyEmail from './pages/auth/VerifyEmail';
 import UserDashboard from './pages/user/Dashboard';
 import PropertyRegistration from './pages/user/PropertyRegistration';
 import PropertyDetails from './pages/user/PropertyDetails';
@@ -31,6 +34,11 @@ import Notifications from './pages/user/Notifications';
 import DisputeSubmission from './pages/user/DisputeSubmission';
 import MyDisputes from './pages/user/MyDisputes';
 import DisputeDetails from './pages/user/DisputeDetails';
+import MyTransfers from './pages/user/MyTransfers';
+import TransferDetails from './pages/user/TransferDetails';
+import TransferInitiation from './pages/user/TransferInitiation';
+import ParcelChanges from './pages/user/ParcelChanges';
+import ParcelChangeRequest from './pages/user/ParcelChangeRequest';
 import NotFound from './pages/NotFound';
 
 
@@ -76,6 +84,42 @@ function App() {
           }
         />
 
+        <Route
+          path="/forgot-password"
+          element={
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow">
+                <ForgotPassword />
+              </main>
+              <Footer />
+            </div>
+          }
+        />
+        <Route
+          path="/reset-password"
+          element={
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow">
+                <ResetPassword />
+              </main>
+              <Footer />
+            </div>
+          }
+        />
+        <Route
+          path="/verify-email"
+          element={
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow">
+                <VerifyEmail />
+              </main>
+              <Footer />
+            </div>
+          }
+        />
         <Route
           path="/about"
           element={
@@ -235,6 +279,46 @@ function App() {
               </DashboardLayout>
             }
           />
+          <Route
+            path="/transfers"
+            element={
+              <DashboardLayout>
+                <MyTransfers />
+              </DashboardLayout>
+            }
+          />
+          <Route
+            path="/transfers/:id"
+            element={
+              <DashboardLayout>
+                <TransferDetails />
+              </DashboardLayout>
+            }
+          />
+          <Route
+            path="/property/:id/transfer"
+            element={
+              <DashboardLayout>
+                <TransferInitiation />
+              </DashboardLayout>
+            }
+          />
+          <Route
+            path="/parcel-changes"
+            element={
+              <DashboardLayout>
+                <ParcelChanges />
+              </DashboardLayout>
+            }
+          />
+          <Route
+            path="/property/:id/parcel-change"
+            element={
+              <DashboardLayout>
+                <ParcelChangeRequest />
+              </DashboardLayout>
+            }
+          />
         </Route>
 
 
@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+import { getSessions, revokeSession, logoutOtherSessions } from '../../services/authService';
+
+// Short browser and platform description from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find((name) => userAgent.includes(name));
+  const platform = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find((name) => userAgent.includes(name));
+
+  if (!browser && !platform) return 'Unknown device';
+  return `${browser === 'Edg' ? 'Edge' : browser || 'Browser'} on ${platform === 'Mac OS' ? 'macOS' : platform || 'unknown system'}`;
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad/.test(userAgent);
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await getSessions();
+      setSessions(response.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error(error.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setSubmitting(true);
+      await revokeSession(sessionId);
+      toast.success('Session ended');
+      fetchSessions();
+    } catch (error) {
+      console.error('Error ending session:', error);
+      toast.error(error.message || 'Failed to end session');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLogoutOthers = async () => {
+    if (!window.confirm('Log out of every other device?')) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const result = await logoutOtherSessions();
+      toast.success(result.message);
+      fetchSessions();
+    } catch (error) {
+      console.error('Error logging out other devices:', error);
+      toast.error(error.message || 'Failed to log out other devices');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Active Sessions</h2>
+        {otherSessions.length > 0 && (
+          <button
+            onClick={handleLogoutOthers}
+            disabled={submitting}
+            className="px-3 py-1 text-sm border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+          >
+            Log out other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map((session) => {
+            const DeviceIcon = isMobile(session.userAgent) ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+
+            return (
+              <li key={session._id} className="py-3 flex items-center justify-between">
+                <div className="flex items-start">
+                  <DeviceIcon className="h-6 w-6 text-gray-400 mr-3 mt-0.5" />
+                  <div>
+                    <p className="font-medium text-sm">
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">This device</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ip || 'Unknown IP'} - last active {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                    <p className="text-xs text-gray-500">Signed in {new Date(session.createdAt).toLocaleString()}</p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session._id)}
+                    disabled={submitting}
+                    className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    End session
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import { resendVerificationEmail } from '../../services/authService';
+
+// Shown until the citizen opens the link from their verification email
+const EmailVerificationNotice = ({ user }) => {
+  const [sending, setSending] = useState(false);
+
+  if (user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const result = await resendVerificationEmail();
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      toast.error(error.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+      <div className="flex items-start">
+        <EnvelopeIcon className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-yellow-800">
+          Please verify {user.email} before submitting property registrations or transfers. Open the link we emailed you.
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="btn-primary py-2 px-4 rounded-md text-sm whitespace-nowrap disabled:opacity-50"
+      >
+        {sending ? 'Sending...' : 'Resend link'}
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationNotice;
@@ -0,0 +1,39 @@
+import { toast } from 'react-toastify';
+
+// Recovery codes are only ever shown once, right after they are generated
+const RecoveryCodeList = ({ codes }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      console.error('Error copying recovery codes:', error);
+      toast.error('Could not copy the codes. Please write them down.');
+    }
+  };
+
+  return (
+    <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+      <p className="text-sm text-yellow-800 mb-3">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app.
+        They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm mb-3">
+        {codes.map((code) => (
+          <li key={code} className="px-2 py-1 bg-white border border-yellow-200 rounded text-center">
+            {code}
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="px-3 py-1 text-sm border border-yellow-300 text-yellow-800 rounded-md hover:bg-yellow-100"
+      >
+        Copy codes
+      </button>
+    </div>
+  );
+};
+
+export default RecoveryCodeList;
@@ -46,7 +46,7 @@ const RegisterForm = ({ onSuccess }) => {
       
       if (result.success) {
         // Show success message
-        toast.success('Registration successful! You can now login.');
+        toast.success('Registration successful! Check your email for a link to verify your address.');
         
         // Reset form
         resetForm();
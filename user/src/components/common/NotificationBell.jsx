@@ -107,7 +107,20 @@ const NotificationBell = () => {
                   }`}
                 >
                   <div className="flex justify-between">
-                    <p className="text-sm font-medium">{notification.title}</p>
+                    {notification.link ? (
+                      <Link
+                        to={notification.link}
+                        className="text-sm font-medium hover:text-primary"
+                        onClick={() => {
+                          if (!notification.read) markAsRead(notification.id);
+                          setIsOpen(false);
+                        }}
+                      >
+                        {notification.title}
+                      </Link>
+                    ) : (
+                      <p className="text-sm font-medium">{notification.title}</p>
+                    )}
                     <span className="text-xs text-gray-500">
                       {formatTime(notification.timestamp)}
                     </span>
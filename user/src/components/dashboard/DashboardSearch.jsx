@@ -8,6 +8,7 @@ import {
 } from '@heroicons/react/24/outline';
 import { globalSearch, getSearchSuggestions } from '../../services/searchService';
 import { useAuth } from '../../context/AuthContext';
+import { getSearchResultPath } from '../../utils/searchResults';
 import SearchFilters from '../search/SearchFilters';
 import SearchResults from '../search/SearchResults';
 import { toast } from 'react-toastify';
@@ -131,20 +132,7 @@ const DashboardSearch = ({
     setShowResults(false);
   };
 
-  const getResultPath = (result) => {
-    switch (result.type) {
-      case 'property':
-        return `/property/${result.id}`;
-      case 'application':
-        return `/application/${result.id}`;
-      case 'user':
-        return user?.role === 'admin' ? `/admin/users/${result.id}` : null;
-      case 'public_record':
-        return `/land-officer/public-records/${result.id}`;
-      default:
-        return null;
-    }
-  };
+  const getResultPath = (result) => getSearchResultPath(result);
 
   const handleFiltersChange = (newFilters) => {
     setFilters(newFilters);
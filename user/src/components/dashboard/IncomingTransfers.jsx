@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ArrowsRightLeftIcon, CheckCircleIcon, XCircleIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-toastify';
+import { getUserTransfers, acceptTransfer, declineTransfer } from '../../services/transferService';
+
+// Transfers to the user that are waiting for them to accept or decline
+const IncomingTransfers = ({ className = '' }) => {
+  const [transfers, setTransfers] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
+  const [decliningId, setDecliningId] = useState(null);
+  const [declineReason, setDeclineReason] = useState('');
+
+  const loadTransfers = useCallback(async () => {
+    try {
+      const data = await getUserTransfers(1, 20, { direction: 'incoming', status: 'awaiting_recipient' });
+      setTransfers(data.transfers || []);
+    } catch (error) {
+      console.error('Error loading incoming transfers:', error);
+      setTransfers([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTransfers();
+  }, [loadTransfers]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const handleAccept = async (transfer) => {
+    try {
+      setRespondingId(transfer._id);
+      await acceptTransfer(transfer._id);
+      toast.success(`Transfer of ${transfer.property?.plotNumber || 'the property'} accepted`);
+      await loadTransfers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to accept transfer');
+      await loadTransfers();
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  const handleDecline = async (transfer) => {
+    try {
+      setRespondingId(transfer._id);
+      await declineTransfer(transfer._id, declineReason);
+      toast.info(`Transfer of ${transfer.property?.plotNumber || 'the property'} declined`);
+      setDecliningId(null);
+      setDeclineReason('');
+      await loadTransfers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to decline transfer');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  if (transfers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`bg-white rounded-lg shadow-md p-6 ${className}`}>
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <ArrowsRightLeftIcon className="h-5 w-5 mr-2 text-primary" />
+        Transfers Awaiting Your Acceptance
+      </h3>
+      <div className="space-y-4">
+        {transfers.map((transfer) => (
+          <div key={transfer._id} className="border rounded-lg p-4">
+            <div className="flex flex-col md:flex-row md:items-start md:justify-between">
+              <div>
+                <h4 className="font-semibold">{transfer.property?.plotNumber}</h4>
+                <p className="text-gray-600 text-sm">
+                  From {transfer.previousOwner?.fullName} ·{' '}
+                  <span className="capitalize">{transfer.transferType?.replace('_', ' ')}</span>
+                </p>
+                <p className="text-gray-500 text-sm mt-1">{transfer.transferReason}</p>
+                <p className="text-xs text-yellow-700 mt-2 flex items-center">
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  Respond by {formatDate(transfer.recipientConsent?.expiresAt)}
+                </p>
+              </div>
+              <div className="mt-3 md:mt-0 flex space-x-2">
+                <button
+                  onClick={() => handleAccept(transfer)}
+                  disabled={respondingId === transfer._id}
+                  className="btn-primary px-3 py-1.5 rounded-md text-sm flex items-center disabled:opacity-50"
+                >
+                  <CheckCircleIcon className="h-4 w-4 mr-1" />
+                  Accept
+                </button>
+                <button
+                  onClick={() => setDecliningId(decliningId === transfer._id ? null : transfer._id)}
+                  disabled={respondingId === transfer._id}
+                  className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded-md text-sm flex items-center disabled:opacity-50"
+                >
+                  <XCircleIcon className="h-4 w-4 mr-1" />
+                  Decline
+                </button>
+              </div>
+            </div>
+
+            {decliningId === transfer._id && (
+              <div className="mt-3">
+                <textarea
+                  value={declineReason}
+                  onChange={(e) => setDeclineReason(e.target.value)}
+                  maxLength={500}
+                  rows={2}
+                  placeholder="Reason for declining (optional)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+                <div className="flex justify-end mt-2">
+                  <button
+                    onClick={() => handleDecline(transfer)}
+                    disabled={respondingId === transfer._id}
+                    className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded-md text-sm disabled:opacity-50"
+                  >
+                    Confirm Decline
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default IncomingTransfers;
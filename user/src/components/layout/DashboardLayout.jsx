@@ -21,7 +21,9 @@ import {
   MapIcon,
   MagnifyingGlassIcon,
   ChevronDownIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ArrowsRightLeftIcon,
+  Squares2X2Icon
 } from '@heroicons/react/24/outline';
 
 const DashboardLayout = ({ children }) => {
@@ -98,6 +100,16 @@ const DashboardLayout = ({ children }) => {
         icon: <ExclamationTriangleIcon className="w-5 h-5" />,
         path: '/disputes'
       },
+      {
+        name: 'My Transfers',
+        icon: <ArrowsRightLeftIcon className="w-5 h-5" />,
+        path: '/transfers'
+      },
+      {
+        name: 'Subdivisions & Merges',
+        icon: <Squares2X2Icon className="w-5 h-5" />,
+        path: '/parcel-changes'
+      },
       {
         name: 'Payments',
         icon: <CurrencyDollarIcon className="w-5 h-5" />,
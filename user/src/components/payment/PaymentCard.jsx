@@ -54,6 +54,8 @@ const PaymentCard = ({ payment, onViewReceipt, onDownloadReceipt, onUploadReceip
         return 'Property Tax';
       case 'transfer_fee':
         return 'Transfer Fee';
+      case 'parcel_change_fee':
+        return 'Subdivision/Merge Fee';
       case 'other':
         return 'Other Payment';
       default:
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import api from '../../services/api';
+import { downloadReceipt } from '../../services/paymentService';
 import {
   DocumentTextIcon,
   EyeIcon,
@@ -42,46 +43,11 @@ const PaymentHistory = ({ propertyId = null, userId = null }) => {
 
   const handleDownloadReceipt = async (paymentId) => {
     try {
-      const response = await api.get(`/payments/${paymentId}/receipt`);
-      const receiptData = response.data;
-
-      // Create downloadable receipt
-      const receiptContent = `
-PAYMENT RECEIPT
-===============
-
-Receipt Number: ${receiptData.receipt.receiptNumber}
-Transaction ID: ${receiptData.receipt.transactionId}
-Date: ${new Date(receiptData.receipt.paymentDate).toLocaleDateString()}
-Amount: ${receiptData.receipt.amount} ${receiptData.receipt.currency}
-Payment Method: ${receiptData.receipt.paymentMethod.toUpperCase()}
-
-Property Details:
-Plot Number: ${receiptData.receipt.property.plotNumber}
-Property Type: ${receiptData.receipt.property.propertyType}
-
-Customer:
-Name: ${receiptData.receipt.customer.name}
-Email: ${receiptData.receipt.customer.email}
-
-Ethiopian Land Registry Authority
-Generated: ${new Date().toLocaleString()}
-      `;
-
-      const blob = new Blob([receiptContent], { type: 'text/plain' });
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `receipt-${receiptData.receipt.receiptNumber}.txt`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
-
+      await downloadReceipt(paymentId);
       toast.success('Receipt downloaded successfully');
     } catch (error) {
       console.error('Error downloading receipt:', error);
-      toast.error('Error downloading receipt');
+      toast.error(error.message || 'Error downloading receipt');
     }
   };
 
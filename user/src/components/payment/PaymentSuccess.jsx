@@ -7,6 +7,7 @@ import {
   ArrowRightIcon,
   ClockIcon
 } from '@heroicons/react/24/outline';
+import { downloadReceipt } from '../../services/paymentService';
 
 const PaymentSuccess = () => {
   const { transactionId } = useParams();
@@ -55,50 +56,7 @@ const PaymentSuccess = () => {
 
   const handleDownloadReceipt = async () => {
     try {
-      const response = await fetch(`/api/payments/${payment.id}/receipt`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-      
-      if (response.ok) {
-        const receiptData = await response.json();
-        
-        // Create a downloadable receipt (simplified version)
-        const receiptContent = `
-PAYMENT RECEIPT
-===============
-
-Receipt Number: ${receiptData.receipt.receiptNumber}
-Transaction ID: ${receiptData.receipt.transactionId}
-Date: ${new Date(receiptData.receipt.paymentDate).toLocaleDateString()}
-Amount: ${receiptData.receipt.amount} ${receiptData.receipt.currency}
-Payment Method: ${receiptData.receipt.paymentMethod.toUpperCase()}
-
-Property Details:
-Plot Number: ${receiptData.receipt.property.plotNumber}
-Property Type: ${receiptData.receipt.property.propertyType}
-Location: ${receiptData.receipt.property.location.subCity}, ${receiptData.receipt.property.location.kebele}
-
-Customer:
-Name: ${receiptData.receipt.customer.name}
-Email: ${receiptData.receipt.customer.email}
-Phone: ${receiptData.receipt.customer.phone}
-
-Ethiopian Land Registry Authority
-Generated: ${new Date().toLocaleString()}
-        `;
-        
-        const blob = new Blob([receiptContent], { type: 'text/plain' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `receipt-${payment.receiptNumber}.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
-      }
+      await downloadReceipt(payment.id || payment._id);
     } catch (error) {
       console.error('Error downloading receipt:', error);
     }
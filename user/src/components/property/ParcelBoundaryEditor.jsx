@@ -0,0 +1,90 @@
+import { MapContainer, TileLayer, Polygon, Polyline, Marker, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { DEFAULT_MAP_CENTER } from '../../utils/parcelGeometry';
+
+// Square handle for each corner; a div icon avoids Leaflet's image markers, which bundlers break
+const vertexIcon = L.divIcon({
+  className: '',
+  html: '<div style="width:12px;height:12px;background:#fff;border:2px solid #2563eb;border-radius:2px"></div>',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+const ClickToAddVertex = ({ onAdd }) => {
+  useMapEvents({
+    click: (e) => onAdd([e.latlng.lng, e.latlng.lat])
+  });
+  return null;
+};
+
+// Draw and edit a parcel boundary: click the map to add corners, drag a corner to move it,
+// right-click a corner to remove it. `vertices` is an open list of [longitude, latitude] pairs.
+const ParcelBoundaryEditor = ({ vertices, onChange, height = '320px' }) => {
+  const latLngs = vertices.map(([longitude, latitude]) => [latitude, longitude]);
+  const center = latLngs.length > 0 ? latLngs[0] : DEFAULT_MAP_CENTER;
+
+  const moveVertex = (index, latlng) => {
+    onChange(vertices.map((vertex, i) => (i === index ? [latlng.lng, latlng.lat] : vertex)));
+  };
+
+  const removeVertex = (index) => {
+    onChange(vertices.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <div className="rounded-md overflow-hidden border border-gray-300" style={{ height }}>
+        <MapContainer center={center} zoom={latLngs.length > 0 ? 18 : 13} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          <ClickToAddVertex onAdd={(vertex) => onChange([...vertices, vertex])} />
+          {latLngs.length >= 3 ? (
+            <Polygon positions={latLngs} pathOptions={{ color: '#2563eb' }} />
+          ) : (
+            latLngs.length === 2 && <Polyline positions={latLngs} pathOptions={{ color: '#2563eb' }} />
+          )}
+          {latLngs.map((position, index) => (
+            <Marker
+              key={index}
+              position={position}
+              icon={vertexIcon}
+              draggable
+              eventHandlers={{
+                dragend: (e) => moveVertex(index, e.target.getLatLng()),
+                contextmenu: () => removeVertex(index)
+              }}
+            />
+          ))}
+        </MapContainer>
+      </div>
+      <div className="flex items-center justify-between mt-2">
+        <p className="text-xs text-gray-500">
+          Click the map to add corners. Drag a corner to move it; right-click to remove it.
+        </p>
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={() => onChange(vertices.slice(0, -1))}
+            disabled={vertices.length === 0}
+            className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            onClick={() => onChange([])}
+            disabled={vertices.length === 0}
+            className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ParcelBoundaryEditor;
@@ -0,0 +1,68 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, GeoJSON, Popup, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { DEFAULT_MAP_CENTER } from '../../utils/parcelGeometry';
+
+// Parcel outline colour by registration status
+const getParcelColor = (status) => {
+  switch (status) {
+    case 'approved':
+      return '#16a34a';
+    case 'rejected':
+    case 'void':
+      return '#dc2626';
+    case 'retired':
+      return '#6b7280';
+    default:
+      return '#d97706';
+  }
+};
+
+const FitToParcels = ({ features }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (features.length > 0) {
+      map.fitBounds(L.geoJSON({ type: 'FeatureCollection', features }).getBounds(), { padding: [20, 20], maxZoom: 18 });
+    }
+  }, [map, features]);
+
+  return null;
+};
+
+// Read-only map of parcel boundaries; `features` are GeoJSON Features as returned by /properties/map
+const ParcelMap = ({ features, height = '400px', showLinks = true }) => (
+  <div className="rounded-lg overflow-hidden border border-gray-200" style={{ height }}>
+    <MapContainer center={DEFAULT_MAP_CENTER} zoom={12} style={{ height: '100%', width: '100%' }}>
+      <TileLayer
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+      />
+      {features.map((feature) => (
+        <GeoJSON
+          key={feature.id}
+          data={feature}
+          style={{ color: getParcelColor(feature.properties.status), weight: 2, fillOpacity: 0.2 }}
+        >
+          <Popup>
+            <div className="text-sm">
+              <div className="font-semibold">Plot {feature.properties.plotNumber}</div>
+              <div className="capitalize">{feature.properties.propertyType} - {feature.properties.status.replace(/_/g, ' ')}</div>
+              {feature.properties.area && <div>{feature.properties.area} sq. meters</div>}
+              {showLinks && (
+                <Link to={`/property/${feature.id}`} className="text-primary hover:underline">
+                  View details
+                </Link>
+              )}
+            </div>
+          </Popup>
+        </GeoJSON>
+      ))}
+      <FitToParcels features={features} />
+    </MapContainer>
+  </div>
+);
+
+export default ParcelMap;
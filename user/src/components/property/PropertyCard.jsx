@@ -1,6 +1,16 @@
 import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { downloadCertificate } from '../../services/certificateService';
 
 const PropertyCard = ({ property }) => {
+  const handleDownloadCertificate = async () => {
+    try {
+      await downloadCertificate(property._id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to download certificate');
+    }
+  };
+
   // Format date
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -101,12 +111,13 @@ const PropertyCard = ({ property }) => {
       
       {property.status === 'approved' && (
         <div className="mt-4">
-          <Link
-            to={`/property/${property._id}/certificate`}
+          <button
+            type="button"
+            onClick={handleDownloadCertificate}
             className="text-sm bg-ethiopian-green text-white px-3 py-1 rounded hover:bg-opacity-90"
           >
             Download Certificate
-          </Link>
+          </button>
         </div>
       )}
       
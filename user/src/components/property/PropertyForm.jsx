@@ -1,6 +1,8 @@
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import { toast } from 'react-toastify';
+import ParcelBoundaryEditor from './ParcelBoundaryEditor';
+import { verticesToBoundary, boundaryToVertices } from '../../utils/parcelGeometry';
 
 const PropertyForm = ({ initialValues, onSubmit, isEditing = false }) => {
   // Default initial values
@@ -15,7 +17,8 @@ const PropertyForm = ({ initialValues, onSubmit, isEditing = false }) => {
     },
     plotNumber: '',
     area: '',
-    propertyType: 'residential'
+    propertyType: 'residential',
+    boundaryVertices: []
   };
   
   // Validation schema
@@ -44,7 +47,11 @@ const PropertyForm = ({ initialValues, onSubmit, isEditing = false }) => {
   // Handle form submission
   const handleSubmit = async (values, { setSubmitting, resetForm }) => {
     try {
-      await onSubmit(values);
+      const { boundaryVertices, ...propertyData } = values;
+      await onSubmit({
+        ...propertyData,
+        boundary: verticesToBoundary(boundaryVertices) || (isEditing ? null : undefined)
+      });
       
       if (!isEditing) {
         resetForm();
@@ -64,11 +71,15 @@ const PropertyForm = ({ initialValues, onSubmit, isEditing = false }) => {
   
   return (
     <Formik
-      initialValues={initialValues || defaultValues}
+      initialValues={
+        initialValues
+          ? { ...initialValues, boundaryVertices: boundaryToVertices(initialValues.boundary) }
+          : defaultValues
+      }
       validationSchema={validationSchema}
       onSubmit={handleSubmit}
     >
-      {({ isSubmitting }) => (
+      {({ values, isSubmitting, setFieldValue }) => (
         <Form className="space-y-6">
           <div className="bg-white p-6 rounded-lg shadow-md">
             <h3 className="text-lg font-semibold mb-4">Location Information</h3>
@@ -143,6 +154,16 @@ const PropertyForm = ({ initialValues, onSubmit, isEditing = false }) => {
                 <ErrorMessage name="location.coordinates.longitude" component="div" className="form-error" />
               </div>
             </div>
+
+            <div className="mt-4">
+              <label className="form-label">
+                Parcel Boundary (optional, replaces the coordinates above with its centre)
+              </label>
+              <ParcelBoundaryEditor
+                vertices={values.boundaryVertices}
+                onChange={(vertices) => setFieldValue('boundaryVertices', vertices)}
+              />
+            </div>
           </div>
           
           <div className="bg-white p-6 rounded-lg shadow-md">
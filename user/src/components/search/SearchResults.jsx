@@ -5,12 +5,15 @@ import {
   DocumentTextIcon,
   UserIcon,
   MapPinIcon,
+  BanknotesIcon,
+  ArrowsRightLeftIcon,
+  ExclamationTriangleIcon,
   CalendarIcon,
   EyeIcon,
   ChevronLeftIcon,
   ChevronRightIcon
 } from '@heroicons/react/24/outline';
-import { useAuth } from '../../context/AuthContext';
+import { getSearchResultPath } from '../../utils/searchResults';
 
 const SearchResults = ({ 
   results = [], 
@@ -20,7 +23,6 @@ const SearchResults = ({
   onPageChange = null,
   viewMode = 'list' // 'list' or 'grid'
 }) => {
-  const { user } = useAuth();
   const [currentViewMode, setCurrentViewMode] = useState(viewMode);
 
   const getResultIcon = (type) => {
@@ -33,25 +35,18 @@ const SearchResults = ({
         return <UserIcon className="h-5 w-5 text-accent" />;
       case 'public_record':
         return <MapPinIcon className="h-5 w-5 text-green-600" />;
+      case 'payment':
+        return <BanknotesIcon className="h-5 w-5 text-green-600" />;
+      case 'transfer':
+        return <ArrowsRightLeftIcon className="h-5 w-5 text-secondary" />;
+      case 'dispute':
+        return <ExclamationTriangleIcon className="h-5 w-5 text-red-600" />;
       default:
         return <DocumentTextIcon className="h-5 w-5 text-gray-500" />;
     }
   };
 
-  const getResultPath = (result) => {
-    switch (result.type) {
-      case 'property':
-        return `/property/${result.id}`;
-      case 'application':
-        return `/application/${result.id}`;
-      case 'user':
-        return user?.role === 'admin' ? `/admin/users/${result.id}` : null;
-      case 'public_record':
-        return `/land-officer/public-records/${result.id}`;
-      default:
-        return null;
-    }
-  };
+  const getResultPath = (result) => getSearchResultPath(result);
 
   const getStatusBadge = (status) => {
     const statusColors = {
@@ -1,16 +1,18 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import TwoFactorChallenge from '../../components/auth/TwoFactorChallenge';
 import { ExclamationCircleIcon } from '@heroicons/react/24/outline';
 
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, logout, isAuthenticated, user } = useAuth();
+  const { login, loginWithUserObject, logout, isAuthenticated, user } = useAuth();
   const [loginError, setLoginError] = useState('');
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Update document title
   useEffect(() => {
@@ -63,6 +65,9 @@ const Login = () => {
           // Logout the user immediately
           logout();
         }
+      } else if (result.twoFactor) {
+        // Two-factor step comes next; remember the checkbox for when it completes
+        setTwoFactorChallenge({ ...result.twoFactor, rememberMe: values.rememberMe });
       } else {
         setLoginError(result.error || 'Login failed. Please check your credentials.');
       }
@@ -79,6 +84,15 @@ const Login = () => {
     }
   };
 
+  // Second login step passed; the redirect effect above takes over once the user is set
+  // Stable so the challenge does not restart its setup when the page re-renders
+  const handleTwoFactorCancel = useCallback(() => setTwoFactorChallenge(null), []);
+
+  const handleTwoFactorComplete = (userData) => {
+    loginWithUserObject(userData, twoFactorChallenge.rememberMe);
+    setTwoFactorChallenge(null);
+  };
+
   return (
     <div className="min-h-[80vh] flex items-center justify-center px-4 py-12">
       <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8">
@@ -93,6 +107,13 @@ const Login = () => {
           </div>
         )}
 
+        {twoFactorChallenge ? (
+          <TwoFactorChallenge
+            challenge={twoFactorChallenge}
+            onComplete={handleTwoFactorComplete}
+            onCancel={handleTwoFactorCancel}
+          />
+        ) : (
         <Formik
           initialValues={{ email: '', password: '', rememberMe: false }}
           validationSchema={validationSchema}
@@ -189,6 +210,7 @@ const Login = () => {
             </Form>
           )}
         </Formik>
+        )}
       </div>
     </div>
   );
@@ -78,7 +78,7 @@ const Register = () => {
         setPasswordValue('');
 
         // Show success message
-        toast.success('Registration successful! You can now login.');
+        toast.success('Registration successful! Check your email for a link to verify your address.');
 
         // Redirect to login page
         setTimeout(() => {
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { toast } from 'react-toastify';
+import { ExclamationCircleIcon } from '@heroicons/react/24/outline';
+import { resetPassword } from '../../services/authService';
+import PasswordStrengthMeter from '../../components/auth/PasswordStrengthMeter';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    document.title = 'Reset Password | Property Registration System';
+    return () => {
+      document.title = 'Property Registration System';
+    };
+  }, []);
+
+  // Length and complexity are checked against the security settings by the server
+  const validationSchema = Yup.object({
+    password: Yup.string().required('Password is required'),
+    confirmPassword: Yup.string()
+      .oneOf([Yup.ref('password'), null], 'Passwords must match')
+      .required('Please confirm your password')
+  });
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      setError('');
+      const result = await resetPassword(token, values.password);
+      toast.success(result.message);
+      navigate('/login');
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err.message || err.errors?.[0]?.msg || 'Failed to reset password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">Choose a New Password</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md flex items-start">
+            <ExclamationCircleIcon className="h-5 w-5 text-red-500 mr-2 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {!token ? (
+          <p className="text-sm text-gray-600 text-center">
+            This page needs the link from your password reset email.{' '}
+            <Link to="/forgot-password" className="text-primary hover:text-primary-dark">
+              Request a new link
+            </Link>
+          </p>
+        ) : (
+          <Formik
+            initialValues={{ password: '', confirmPassword: '' }}
+            validationSchema={validationSchema}
+            onSubmit={handleSubmit}
+          >
+            {({ isSubmitting, values }) => (
+              <Form className="space-y-6">
+                <div>
+                  <label htmlFor="password" className="form-label">
+                    New Password
+                  </label>
+                  <Field type="password" name="password" id="password" className="form-input" placeholder="••••••••" />
+                  <PasswordStrengthMeter password={values.password} />
+                  <ErrorMessage name="password" component="div" className="form-error" />
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="form-label">
+                    Confirm New Password
+                  </label>
+                  <Field
+                    type="password"
+                    name="confirmPassword"
+                    id="confirmPassword"
+                    className="form-input"
+                    placeholder="••••••••"
+                  />
+                  <ErrorMessage name="confirmPassword" component="div" className="form-error" />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="w-full btn-primary py-2 px-4 rounded-md flex justify-center items-center"
+                >
+                  {isSubmitting ? 'Saving...' : 'Reset Password'}
+                </button>
+              </Form>
+            )}
+          </Formik>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
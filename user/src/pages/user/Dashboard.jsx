@@ -6,6 +6,7 @@ import { useNotifications } from '../../context/NotificationContext';
 import StatisticsOverview from '../../components/dashboard/StatisticsOverview';
 import DashboardSearch from '../../components/dashboard/DashboardSearch';
 import RecentActivity from '../../components/dashboard/RecentActivity';
+import IncomingTransfers from '../../components/dashboard/IncomingTransfers';
 import DocumentManager from '../../components/document/DocumentManager';
 import DeleteConfirmationModal from '../../components/modals/DeleteConfirmationModal';
 import PropertyEditModal from '../../components/property/PropertyEditModal';
@@ -319,7 +320,6 @@ const UserDashboard = () => {
       <div className="mb-8">
         <DashboardSearch
           placeholder="Search your properties, applications..."
-          searchType="user"
           className="w-full"
         />
       </div>
@@ -327,6 +327,9 @@ const UserDashboard = () => {
       {/* Dashboard Statistics */}
       <StatisticsOverview userRole="user" stats={dashboardStats} />
 
+      {/* Transfers waiting for the user's acceptance */}
+      <IncomingTransfers className="mb-8" />
+
       {/* Recent Activity */}
       <div className="mb-8">
         <RecentActivity
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { EyeIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
+import {
+  getUserTransfers,
+  TRANSFER_STATUS_CONFIG,
+  TRANSFER_TYPE_LABELS
+} from '../../services/transferService';
+
+const TABS = [
+  { key: 'outgoing', label: 'Outgoing' },
+  { key: 'incoming', label: 'Incoming' }
+];
+
+const MyTransfers = () => {
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({});
+  const [currentPage, setCurrentPage] = useState(1);
+  const [direction, setDirection] = useState('outgoing');
+
+  useEffect(() => {
+    const fetchTransfers = async () => {
+      try {
+        setLoading(true);
+        const response = await getUserTransfers(currentPage, 10, { direction });
+        setTransfers(response.transfers || []);
+        setPagination(response.pagination || {});
+      } catch (error) {
+        console.error('Error fetching transfers:', error);
+        toast.error('Failed to load transfers');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTransfers();
+  }, [currentPage, direction]);
+
+  const handleTabChange = (key) => {
+    setDirection(key);
+    setCurrentPage(1);
+  };
+
+  // Get status badge
+  const getStatusBadge = (status) => {
+    const config = TRANSFER_STATUS_CONFIG[status] || { text: status, color: 'bg-gray-100 text-gray-800' };
+
+    return (
+      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${config.color}`}>
+        {config.text}
+      </span>
+    );
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">My Transfers</h1>
+          <Link to="/properties" className="btn-primary px-4 py-2 rounded-md flex items-center">
+            <ArrowsRightLeftIcon className="h-5 w-5 mr-1" />
+            Transfer a Property
+          </Link>
+        </div>
+
+        <div className="border-b border-gray-200 mb-6">
+          <nav className="-mb-px flex space-x-8">
+            {TABS.map((tab) => (
+              <button
+                key={tab.key}
+                onClick={() => handleTabChange(tab.key)}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  direction === tab.key
+                    ? 'border-primary text-primary'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+          </div>
+        ) : transfers.length === 0 ? (
+          <div className="text-center py-12">
+            <ArrowsRightLeftIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No transfers found</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {direction === 'outgoing'
+                ? "You haven't started any property transfers yet."
+                : 'No one has started a transfer to you yet.'}
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Property
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {direction === 'outgoing' ? 'New Owner' : 'Current Owner'}
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Type
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Started
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {transfers.map((transfer) => {
+                    const otherParty = direction === 'outgoing' ? transfer.newOwner : transfer.previousOwner;
+
+                    return (
+                      <tr key={transfer._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">
+                            Plot {transfer.property?.plotNumber}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {transfer.property?.location?.subCity}, {transfer.property?.location?.kebele}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">{otherParty?.fullName}</div>
+                          <div className="text-sm text-gray-500">{otherParty?.email}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {TRANSFER_TYPE_LABELS[transfer.transferType] || transfer.transferType}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {getStatusBadge(transfer.status)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {new Date(transfer.initiationDate || transfer.createdAt).toLocaleDateString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <Link
+                            to={`/transfers/${transfer._id}`}
+                            className="text-primary hover:text-primary-dark flex items-center"
+                          >
+                            <EyeIcon className="h-4 w-4 mr-1" />
+                            View
+                          </Link>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            {pagination.totalPages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing page {pagination.currentPage} of {pagination.totalPages}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                    disabled={!pagination.hasPrev}
+                    className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(prev => prev + 1)}
+                    disabled={!pagination.hasNext}
+                    className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyTransfers;
@@ -57,9 +57,21 @@ const Notifications = () => {
     }
   };
 
+  // Map server notification types (e.g. payment_required) to display categories
+  const getNotificationCategory = (type = '') => {
+    if (type.startsWith('payment')) return 'payment';
+    if (type.startsWith('property') || type === 'application') return 'application';
+    if (type.startsWith('dispute')) return 'dispute';
+    return type;
+  };
+
   // Get notification icon
   const getNotificationIcon = (type) => {
-    switch (type) {
+    if (type === 'payment_failed' || type === 'payment_rejected') {
+      return <ExclamationCircleIcon className="h-6 w-6 text-yellow-500" />;
+    }
+
+    switch (getNotificationCategory(type)) {
       case 'application':
         return <DocumentTextIcon className="h-6 w-6 text-blue-500" />;
       case 'payment':
@@ -67,6 +79,7 @@ const Notifications = () => {
       case 'success':
         return <CheckCircleIcon className="h-6 w-6 text-green-500" />;
       case 'warning':
+      case 'dispute':
         return <ExclamationCircleIcon className="h-6 w-6 text-yellow-500" />;
       case 'info':
         return <InformationCircleIcon className="h-6 w-6 text-blue-500" />;
@@ -115,7 +128,11 @@ const Notifications = () => {
     ? notifications
     : filter === 'unread'
       ? notifications.filter(notification => !notification.read)
-      : notifications.filter(notification => notification.type === filter);
+      : filter === 'warning'
+        ? notifications.filter(notification =>
+            notification.type === 'warning' || ['payment_failed', 'payment_rejected'].includes(notification.type)
+          )
+        : notifications.filter(notification => getNotificationCategory(notification.type) === filter);
 
   // Count unread notifications
   const unreadCount = notifications.filter(notification => !notification.read).length;
@@ -225,6 +242,16 @@ const Notifications = () => {
           >
             Payments
           </button>
+          <button
+            onClick={() => setFilter('dispute')}
+            className={`px-3 py-1 text-sm rounded-md ${
+              filter === 'dispute'
+                ? 'bg-primary text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Disputes
+          </button>
           <button
             onClick={() => setFilter('warning')}
             className={`px-3 py-1 text-sm rounded-md ${
@@ -257,7 +284,7 @@ const Notifications = () => {
                   <div className="flex-grow">
                     <div className="flex flex-col md:flex-row md:justify-between md:items-start">
                       <h3 className="font-semibold">{notification.title}</h3>
-                      <span className="text-sm text-gray-500">{formatDate(notification.date)}</span>
+                      <span className="text-sm text-gray-500">{formatDate(notification.timestamp)}</span>
                     </div>
                     <p className="text-gray-700 mt-1">{notification.message}</p>
                     <div className="mt-2 flex justify-between items-center">
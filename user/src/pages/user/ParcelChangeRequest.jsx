@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { Formik, Form, Field, FieldArray, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { toast } from 'react-toastify';
+import { Squares2X2Icon } from '@heroicons/react/24/outline';
+import { getPropertyById, getUserProperties } from '../../services/propertyService';
+import { submitSubdivision, submitMerge } from '../../services/parcelChangeService';
+import ParcelBoundaryEditor from '../../components/property/ParcelBoundaryEditor';
+import { verticesToBoundary } from '../../utils/parcelGeometry';
+
+const PROPERTY_TYPES = ['residential', 'commercial', 'industrial', 'agricultural'];
+
+const emptyPlot = () => ({ plotNumber: '', area: '', propertyType: '', boundaryVertices: [] });
+
+const plotSchema = Yup.object({
+  plotNumber: Yup.string().trim().required('Plot number is required'),
+  area: Yup.number()
+    .typeError('Area must be a number')
+    .positive('Area must be a positive number')
+    .required('Area is required')
+});
+
+const validationSchema = Yup.object({
+  operation: Yup.string().oneOf(['subdivide', 'merge']).required(),
+  plots: Yup.array().of(plotSchema).when('operation', {
+    is: 'subdivide',
+    then: (schema) => schema.min(2, 'A subdivision creates at least two plots').max(20, 'A subdivision creates at most 20 plots'),
+    otherwise: (schema) => schema.length(1)
+  }),
+  mergeWith: Yup.array().when('operation', {
+    is: 'merge',
+    then: (schema) => schema.min(1, 'Select at least one neighbouring plot to merge with'),
+    otherwise: (schema) => schema
+  }),
+  reason: Yup.string()
+    .trim()
+    .required('Reason is required')
+    .max(1000, 'Reason cannot exceed 1000 characters')
+});
+
+// Planned plot as sent to the API
+const toPlannedPlot = (plot) => ({
+  plotNumber: plot.plotNumber.trim(),
+  area: Number(plot.area),
+  ...(plot.propertyType && { propertyType: plot.propertyType }),
+  ...(verticesToBoundary(plot.boundaryVertices) && { boundary: verticesToBoundary(plot.boundaryVertices) })
+});
+
+const ParcelChangeRequest = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [property, setProperty] = useState(null);
+  const [ownProperties, setOwnProperties] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [propertyData, properties] = await Promise.all([getPropertyById(id), getUserProperties()]);
+        setProperty(propertyData);
+        setOwnProperties(properties);
+      } catch (error) {
+        console.error('Error fetching property:', error);
+        toast.error(error.message || 'Failed to load property');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [id]);
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      const result = values.operation === 'subdivide'
+        ? await submitSubdivision(id, values.plots.map(toPlannedPlot), values.reason.trim())
+        : await submitMerge([id, ...values.mergeWith], toPlannedPlot(values.plots[0]), values.reason.trim());
+
+      result.warnings?.forEach((warning) => toast.warning(`Carried over to the new plots: ${warning}`));
+      toast.success('Application submitted. Pay the fee so a land officer can review it.');
+      navigate('/parcel-changes');
+    } catch (error) {
+      console.error('Error submitting parcel change:', error);
+      toast.error(error.message || error.errors?.[0]?.msg || 'Failed to submit application');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!property) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center">
+        <p className="text-gray-600 mb-4">Property not found.</p>
+        <Link to="/properties" className="btn-primary px-4 py-2 rounded-md">Back to My Properties</Link>
+      </div>
+    );
+  }
+
+  const blockedReason = property.status !== 'approved'
+    ? 'Only approved properties can be subdivided or merged.'
+    : property.hasActiveDispute
+      ? 'This property has an active dispute and cannot change until it is closed.'
+      : property.currentTransfer
+        ? 'This property has a transfer in progress.'
+        : null;
+
+  // Other approved plots of the owner in the same sub-city
+  const mergeCandidates = ownProperties.filter((candidate) =>
+    candidate._id !== property._id &&
+    candidate.status === 'approved' &&
+    candidate.location?.subCity === property.location?.subCity
+  );
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto bg-white rounded-lg shadow-md p-6">
+        <h1 className="text-2xl font-bold mb-2 flex items-center">
+          <Squares2X2Icon className="h-6 w-6 mr-2 text-primary" />
+          Subdivide or Merge
+        </h1>
+        <p className="text-gray-600 mb-6">
+          Plot {property.plotNumber} - {property.area} sq m - {property.location?.subCity}, Kebele {property.location?.kebele}
+        </p>
+
+        {blockedReason ? (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-700">{blockedReason}</p>
+          </div>
+        ) : (
+          <Formik
+            initialValues={{
+              operation: searchParams.get('operation') === 'merge' ? 'merge' : 'subdivide',
+              plots: searchParams.get('operation') === 'merge' ? [emptyPlot()] : [emptyPlot(), emptyPlot()],
+              mergeWith: [],
+              reason: ''
+            }}
+            validationSchema={validationSchema}
+            onSubmit={handleSubmit}
+          >
+            {({ isSubmitting, values, setFieldValue, errors }) => {
+              const parentArea = property.area + values.mergeWith.reduce(
+                (total, candidateId) => total + (mergeCandidates.find((candidate) => candidate._id === candidateId)?.area || 0),
+                0
+              );
+              const plannedArea = values.plots.reduce((total, plot) => total + (Number(plot.area) || 0), 0);
+
+              const switchOperation = (operation) => {
+                setFieldValue('operation', operation);
+                setFieldValue('plots', operation === 'merge' ? [emptyPlot()] : [emptyPlot(), emptyPlot()]);
+                setFieldValue('mergeWith', []);
+              };
+
+              return (
+                <Form className="space-y-6">
+                  <div className="flex space-x-2">
+                    {['subdivide', 'merge'].map((operation) => (
+                      <button
+                        key={operation}
+                        type="button"
+                        onClick={() => switchOperation(operation)}
+                        className={`px-4 py-2 rounded-md text-sm font-medium ${
+                          values.operation === operation
+                            ? 'bg-primary text-white'
+                            : 'border border-gray-300 text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        {operation === 'subdivide' ? 'Subdivide this plot' : 'Merge with neighbouring plots'}
+                      </button>
+                    ))}
+                  </div>
+
+                  {values.operation === 'merge' && (
+                    <div>
+                      <label className="form-label">
+                        Plots to merge with <span className="text-red-500">*</span>
+                      </label>
+                      {mergeCandidates.length === 0 ? (
+                        <p className="text-sm text-gray-500">You have no other approved plots in {property.location?.subCity}.</p>
+                      ) : (
+                        <div className="space-y-2">
+                          {mergeCandidates.map((candidate) => (
+                            <label key={candidate._id} className="flex items-center text-sm">
+                              <Field type="checkbox" name="mergeWith" value={candidate._id} className="mr-2" />
+                              Plot {candidate.plotNumber} - {candidate.area} sq m, Kebele {candidate.location?.kebele}
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                      <ErrorMessage name="mergeWith" component="div" className="form-error" />
+                    </div>
+                  )}
+
+                  <FieldArray name="plots">
+                    {({ push, remove }) => (
+                      <div className="space-y-4">
+                        <div className="flex items-center justify-between">
+                          <h2 className="text-lg font-semibold">
+                            {values.operation === 'subdivide' ? 'New plots' : 'Merged plot'}
+                          </h2>
+                          <span className={`text-sm ${Math.abs(plannedArea - parentArea) <= parentArea * 0.01 ? 'text-green-700' : 'text-gray-600'}`}>
+                            {plannedArea} of {parentArea} sq m
+                          </span>
+                        </div>
+
+                        {values.plots.map((plot, index) => (
+                          <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                              <div>
+                                <label className="form-label">Plot Number <span className="text-red-500">*</span></label>
+                                <Field name={`plots.${index}.plotNumber`} className="form-input" />
+                                <ErrorMessage name={`plots.${index}.plotNumber`} component="div" className="form-error" />
+                              </div>
+                              <div>
+                                <label className="form-label">Area (sq m) <span className="text-red-500">*</span></label>
+                                <Field type="number" min="0" step="any" name={`plots.${index}.area`} className="form-input" />
+                                <ErrorMessage name={`plots.${index}.area`} component="div" className="form-error" />
+                              </div>
+                              <div>
+                                <label className="form-label">Property Type</label>
+                                <Field as="select" name={`plots.${index}.propertyType`} className="form-input capitalize">
+                                  <option value="">Same as the current plot</option>
+                                  {PROPERTY_TYPES.map((type) => (
+                                    <option key={type} value={type}>{type}</option>
+                                  ))}
+                                </Field>
+                              </div>
+                            </div>
+
+                            <div>
+                              <label className="form-label">
+                                Boundary{property.boundary && <span className="text-red-500"> *</span>}
+                              </label>
+                              <ParcelBoundaryEditor
+                                vertices={plot.boundaryVertices}
+                                onChange={(vertices) => setFieldValue(`plots.${index}.boundaryVertices`, vertices)}
+                                height="240px"
+                              />
+                            </div>
+
+                            {values.operation === 'subdivide' && values.plots.length > 2 && (
+                              <button
+                                type="button"
+                                onClick={() => remove(index)}
+                                className="text-sm text-red-600 hover:text-red-800"
+                              >
+                                Remove plot
+                              </button>
+                            )}
+                          </div>
+                        ))}
+
+                        {typeof errors.plots === 'string' && <div className="form-error">{errors.plots}</div>}
+
+                        {values.operation === 'subdivide' && values.plots.length < 20 && (
+                          <button
+                            type="button"
+                            onClick={() => push(emptyPlot())}
+                            className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                          >
+                            Add plot
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </FieldArray>
+
+                  <p className="text-xs text-gray-600">
+                    The new plot areas must add up to the current area. If the current plot has a boundary, each new plot
+                    needs one drawn inside it so that together they cover it.
+                  </p>
+
+                  <div>
+                    <label htmlFor="reason" className="form-label">
+                      Reason <span className="text-red-500">*</span>
+                    </label>
+                    <Field as="textarea" id="reason" name="reason" rows="3" className="form-input" />
+                    <ErrorMessage name="reason" component="div" className="form-error" />
+                  </div>
+
+                  <div className="flex justify-between pt-4 border-t">
+                    <button
+                      type="button"
+                      onClick={() => navigate(`/property/${id}`)}
+                      className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={isSubmitting}
+                      className={`px-6 py-2 rounded-md ${
+                        isSubmitting
+                          ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                          : 'bg-primary text-white hover:bg-primary-dark'
+                      }`}
+                    >
+                      {isSubmitting ? 'Submitting...' : 'Submit Application'}
+                    </button>
+                  </div>
+                </Form>
+              );
+            }}
+          </Formik>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParcelChangeRequest;
@@ -0,0 +1,231 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Squares2X2Icon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import {
+  getParcelChanges,
+  cancelParcelChange,
+  payParcelChangeFee,
+  PARCEL_CHANGE_LABELS
+} from '../../services/parcelChangeService';
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const FEE_STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  waived: 'bg-blue-100 text-blue-800'
+};
+
+const formatAmount = (amount) => `${(amount || 0).toLocaleString()} ETB`;
+
+const ParcelChanges = () => {
+  const navigate = useNavigate();
+  const [parcelChanges, setParcelChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [pagination, setPagination] = useState({});
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const fetchParcelChanges = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getParcelChanges(currentPage, 10);
+      setParcelChanges(response.parcelChanges || []);
+      setPagination(response.pagination || {});
+    } catch (error) {
+      console.error('Error fetching parcel changes:', error);
+      toast.error('Failed to load subdivisions and merges');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage]);
+
+  useEffect(() => {
+    fetchParcelChanges();
+  }, [fetchParcelChanges]);
+
+  const handlePayFee = async (parcelChange, paymentMethod) => {
+    try {
+      setSubmitting(true);
+      const result = await payParcelChangeFee(parcelChange, paymentMethod);
+      navigate(`/payment/${paymentMethod === 'telebirr' ? 'telebirr' : 'cbe-birr'}/${result.transactionId}`);
+    } catch (error) {
+      console.error('Error starting parcel change fee payment:', error);
+      toast.error(error.message || 'Failed to start payment');
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (parcelChange) => {
+    if (!window.confirm(`Cancel this ${PARCEL_CHANGE_LABELS[parcelChange.operation].toLowerCase()}?`)) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await cancelParcelChange(parcelChange._id);
+      toast.success('Application cancelled');
+      fetchParcelChanges();
+    } catch (error) {
+      console.error('Error cancelling parcel change:', error);
+      toast.error(error.message || 'Failed to cancel application');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold">Subdivisions and Merges</h1>
+            <p className="text-gray-600 text-sm">Split a plot or merge neighbouring plots from the property page.</p>
+          </div>
+          <Link to="/properties" className="btn-primary px-4 py-2 rounded-md flex items-center">
+            <Squares2X2Icon className="h-5 w-5 mr-1" />
+            My Properties
+          </Link>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+          </div>
+        ) : parcelChanges.length === 0 ? (
+          <div className="text-center py-12">
+            <Squares2X2Icon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No subdivisions or merges</h3>
+            <p className="mt-1 text-sm text-gray-500">You haven't applied to split or merge any plots yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {parcelChanges.map((parcelChange) => {
+              const feeOutstanding = parcelChange.status === 'pending' &&
+                parcelChange.fee?.status === 'pending' && parcelChange.fee?.amount > 0;
+
+              return (
+                <div key={parcelChange._id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex flex-col md:flex-row md:items-start md:justify-between">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <h3 className="font-semibold">{PARCEL_CHANGE_LABELS[parcelChange.operation]}</h3>
+                        <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_COLORS[parcelChange.status]}`}>
+                          {parcelChange.status}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-700 mt-1">
+                        Plot{parcelChange.parents.length === 1 ? '' : 's'}{' '}
+                        {parcelChange.parents.map((parent) => parent.plotNumber).join(', ')}
+                        {' → '}
+                        {parcelChange.children.map((child) => `${child.plotNumber} (${child.area} sq m)`).join(', ')}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Submitted {new Date(parcelChange.submissionDate).toLocaleDateString()}
+                      </p>
+                      {parcelChange.reviewNotes && (
+                        <p className="text-sm text-gray-600 mt-2">Review notes: {parcelChange.reviewNotes}</p>
+                      )}
+                    </div>
+
+                    <div className="mt-4 md:mt-0 md:text-right">
+                      <div className="text-sm">
+                        Fee: <span className="font-medium">{formatAmount(parcelChange.fee?.amount)}</span>
+                        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs capitalize ${FEE_STATUS_COLORS[parcelChange.fee?.status]}`}>
+                          {parcelChange.fee?.status}
+                        </span>
+                      </div>
+
+                      {feeOutstanding && (
+                        <div className="mt-2 flex md:justify-end space-x-2">
+                          <button
+                            onClick={() => handlePayFee(parcelChange, 'cbe_birr')}
+                            disabled={submitting}
+                            className="btn-primary px-3 py-1 text-sm rounded-md disabled:opacity-50"
+                          >
+                            Pay with CBE Birr
+                          </button>
+                          <button
+                            onClick={() => handlePayFee(parcelChange, 'telebirr')}
+                            disabled={submitting}
+                            className="px-3 py-1 text-sm border border-primary text-primary rounded-md hover:bg-gray-50 disabled:opacity-50"
+                          >
+                            Pay with TeleBirr
+                          </button>
+                        </div>
+                      )}
+
+                      {parcelChange.status === 'pending' && !feeOutstanding && (
+                        <p className="mt-2 text-xs text-green-700 flex items-center md:justify-end">
+                          <CheckCircleIcon className="h-4 w-4 mr-1" />
+                          Awaiting land officer review
+                        </p>
+                      )}
+
+                      {parcelChange.status === 'pending' && (
+                        <button
+                          onClick={() => handleCancel(parcelChange)}
+                          disabled={submitting}
+                          className="mt-2 text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Cancel application
+                        </button>
+                      )}
+
+                      {parcelChange.status === 'approved' && (
+                        <div className="mt-2 flex flex-wrap md:justify-end gap-2">
+                          {parcelChange.children.filter((child) => child.property).map((child) => (
+                            <Link
+                              key={child.property}
+                              to={`/property/${child.property}`}
+                              className="text-sm text-primary hover:text-primary-dark"
+                            >
+                              View plot {child.plotNumber}
+                            </Link>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing page {pagination.page} of {pagination.pages}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                    disabled={pagination.page <= 1}
+                    className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(prev => prev + 1)}
+                    disabled={pagination.page >= pagination.pages}
+                    className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParcelChanges;
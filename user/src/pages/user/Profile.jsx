@@ -3,6 +3,9 @@ import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import ActiveSessions from '../../components/auth/ActiveSessions';
+import TwoFactorSettings from '../../components/auth/TwoFactorSettings';
+import EmailVerificationNotice from '../../components/auth/EmailVerificationNotice';
 
 const Profile = () => {
   const { user } = useAuth();
@@ -97,6 +100,8 @@ const Profile = () => {
       <div className="bg-white rounded-lg shadow-md p-6">
         <h1 className="text-2xl font-bold mb-6">User Profile</h1>
         
+        <EmailVerificationNotice user={user} />
+        
         {/* Tabs */}
         <div className="border-b border-gray-200 mb-6">
           <nav className="flex -mb-px">
@@ -231,22 +236,12 @@ const Profile = () => {
               </button>
             </div>
             
+            <div className="bg-gray-50 p-6 rounded-lg mb-6">
+              <TwoFactorSettings />
+            </div>
+
             <div className="bg-gray-50 p-6 rounded-lg">
-              <h2 className="text-lg font-semibold mb-4">Account Activity</h2>
-              <div className="space-y-4">
-                <div>
-                  <p className="text-gray-600">Last Login</p>
-                  <p className="font-medium">May 15, 2023, 10:30 AM</p>
-                </div>
-                <div>
-                  <p className="text-gray-600">Login Location</p>
-                  <p className="font-medium">Addis Ababa, Ethiopia</p>
-                </div>
-                <div>
-                  <p className="text-gray-600">Device</p>
-                  <p className="font-medium">Chrome on Windows</p>
-                </div>
-              </div>
+              <ActiveSessions />
             </div>
           </div>
         )}
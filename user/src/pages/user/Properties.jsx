@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import {
   HomeIcon,
@@ -8,11 +8,14 @@ import {
   ClockIcon,
   CheckCircleIcon,
   ExclamationTriangleIcon,
-  ScaleIcon
+  ScaleIcon,
+  MapIcon,
+  Squares2X2Icon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../context/AuthContext';
 import { toast } from 'react-toastify';
 import { getUserProperties } from '../../services/propertyService';
+import ParcelMap from '../../components/property/ParcelMap';
 
 const Properties = () => {
   const { user } = useAuth();
@@ -22,6 +25,24 @@ const Properties = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterType, setFilterType] = useState('all');
+  const [view, setView] = useState('grid');
+
+  // Filtered properties with a drawn boundary, as map features
+  const parcelFeatures = useMemo(() => (
+    (Array.isArray(filteredProperties) ? filteredProperties : [])
+      .filter((property) => property.boundary)
+      .map((property) => ({
+        type: 'Feature',
+        id: property._id,
+        geometry: property.boundary,
+        properties: {
+          plotNumber: property.plotNumber,
+          propertyType: property.propertyType,
+          status: property.status,
+          area: property.area
+        }
+      }))
+  ), [filteredProperties]);
 
   // Fetch property data
   useEffect(() => {
@@ -220,11 +241,40 @@ const Properties = () => {
               <option value="disputed">With Active Disputes</option>
             </select>
           </div>
+          <div className="flex rounded-md border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => setView('grid')}
+              className={`px-3 py-2 ${view === 'grid' ? 'bg-primary text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+              title="Grid view"
+            >
+              <Squares2X2Icon className="h-5 w-5" />
+            </button>
+            <button
+              onClick={() => setView('map')}
+              className={`px-3 py-2 ${view === 'map' ? 'bg-primary text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+              title="Map view"
+            >
+              <MapIcon className="h-5 w-5" />
+            </button>
+          </div>
         </div>
       </div>
 
+      {/* Parcel Map */}
+      {view === 'map' && (
+        <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+          {parcelFeatures.length > 0 ? (
+            <ParcelMap features={parcelFeatures} height="480px" />
+          ) : (
+            <p className="text-gray-500 text-center py-8">
+              None of these properties has a drawn parcel boundary.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Properties Grid */}
-      {!Array.isArray(filteredProperties) || filteredProperties.length === 0 ? (
+      {view === 'map' ? null : !Array.isArray(filteredProperties) || filteredProperties.length === 0 ? (
         <div className="bg-white rounded-lg shadow-md p-8 text-center">
           <HomeIcon className="h-12 w-12 mx-auto text-gray-400" />
           <h2 className="mt-4 text-xl font-semibold">No Properties Found</h2>
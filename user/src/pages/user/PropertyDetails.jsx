@@ -1,11 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { getPropertyById } from '../../services/propertyService';
+import { getPropertyEncumbrances, ENCUMBRANCE_TYPE_LABELS } from '../../services/encumbranceService';
+import { getPropertyLineage, PARCEL_CHANGE_LABELS } from '../../services/parcelChangeService';
 import api from '../../services/api';
 import DocumentManager from '../../components/document/DocumentManager';
 import PaymentStatusIndicator, { PaymentWorkflowProgress } from '../../components/payment/PaymentStatusIndicator';
 import PaymentHistory from '../../components/payment/PaymentHistory';
+import ParcelMap from '../../components/property/ParcelMap';
 import {
   CreditCardIcon,
   CheckCircleIcon,
@@ -14,7 +17,11 @@ import {
   HomeIcon,
   CurrencyDollarIcon,
   ClockIcon,
-  ScaleIcon
+  ScaleIcon,
+  ArrowsRightLeftIcon,
+  LockClosedIcon,
+  MapIcon,
+  Squares2X2Icon
 } from '@heroicons/react/24/outline';
 
 const PropertyDetails = () => {
@@ -28,6 +35,25 @@ const PropertyDetails = () => {
   const [paymentMethod, setPaymentMethod] = useState('');
   const [paymentReference, setPaymentReference] = useState('');
   const [paymentRequirements, setPaymentRequirements] = useState(null);
+  const [encumbrances, setEncumbrances] = useState({ active: [], history: [], transferBlocked: false });
+  const [lineage, setLineage] = useState({ parents: [], children: [], parcelChanges: [] });
+
+  // The property's boundary as a single map feature
+  const parcelFeatures = useMemo(() => (
+    property?.boundary
+      ? [{
+          type: 'Feature',
+          id: property._id,
+          geometry: property.boundary,
+          properties: {
+            plotNumber: property.plotNumber,
+            propertyType: property.propertyType,
+            status: property.status,
+            area: property.area
+          }
+        }]
+      : []
+  ), [property]);
 
   // Format date
   const formatDate = (dateString) => {
@@ -57,7 +83,10 @@ const PropertyDetails = () => {
       case 'approved':
         return 'bg-green-100 text-green-800';
       case 'rejected':
+      case 'void':
         return 'bg-red-100 text-red-800';
+      case 'retired':
+        return 'bg-gray-200 text-gray-700';
       case 'completed':
         return 'bg-green-100 text-green-800';
       default:
@@ -70,10 +99,12 @@ const PropertyDetails = () => {
     try {
       setLoading(true);
 
-      // Load property and payment requirements in parallel
-      const [propertyData, paymentRequirementsResponse] = await Promise.allSettled([
+      // Load property, payment requirements, encumbrances and lineage in parallel
+      const [propertyData, paymentRequirementsResponse, encumbrancesData, lineageData] = await Promise.allSettled([
         getPropertyById(id),
-        api.get(`/properties/${id}/payment-requirements`)
+        api.get(`/properties/${id}/payment-requirements`),
+        getPropertyEncumbrances(id),
+        getPropertyLineage(id)
       ]);
 
       // Handle property data
@@ -96,6 +127,20 @@ const PropertyDetails = () => {
           toast.error('Failed to fetch payment requirements');
         }
       }
+
+      // Handle encumbrances
+      if (encumbrancesData.status === 'fulfilled') {
+        setEncumbrances(encumbrancesData.value);
+      } else {
+        console.error('Error fetching encumbrances:', encumbrancesData.reason);
+      }
+
+      // Handle lineage
+      if (lineageData.status === 'fulfilled') {
+        setLineage(lineageData.value);
+      } else {
+        console.error('Error fetching property lineage:', lineageData.reason);
+      }
     } catch (error) {
       console.error('Error loading property data:', error);
       setError('Failed to load property details');
@@ -320,6 +365,24 @@ const PropertyDetails = () => {
               <ScaleIcon className="h-4 w-4 mr-2" />
               Submit Dispute
             </Link>
+            {property.status === 'approved' && !property.currentTransfer && !property.hasActiveDispute && !encumbrances.transferBlocked && (
+              <Link
+                to={`/property/${property._id}/transfer`}
+                className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-dark flex items-center"
+              >
+                <ArrowsRightLeftIcon className="h-4 w-4 mr-2" />
+                Transfer Ownership
+              </Link>
+            )}
+            {property.status === 'approved' && !property.currentTransfer && !property.hasActiveDispute && (
+              <Link
+                to={`/property/${property._id}/parcel-change`}
+                className="px-4 py-2 border border-primary text-primary rounded-md hover:bg-gray-50 flex items-center"
+              >
+                <Squares2X2Icon className="h-4 w-4 mr-2" />
+                Subdivide or Merge
+              </Link>
+            )}
             <button
               onClick={() => navigate('/dashboard/user')}
               className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
@@ -329,6 +392,22 @@ const PropertyDetails = () => {
           </div>
         </div>
 
+        {property.status === 'retired' && (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+            <h3 className="text-lg font-medium text-gray-900">Plot Retired</h3>
+            <p className="text-gray-700 mt-1">
+              This plot was replaced by plot{lineage.children.length === 1 ? '' : 's'}{' '}
+              {lineage.children.map((child, index) => (
+                <span key={child._id}>
+                  {index > 0 && ', '}
+                  <Link to={`/property/${child._id}`} className="text-primary hover:underline">{child.plotNumber}</Link>
+                </span>
+              ))}
+              . Its certificate is no longer valid.
+            </p>
+          </div>
+        )}
+
         {/* Payment Status Section */}
         {property.status === 'documents_validated' && !property.paymentCompleted && (
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
@@ -504,6 +583,91 @@ const PropertyDetails = () => {
                 </div>
               </div>
             </div>
+
+            {parcelFeatures.length > 0 && (
+              <div className="md:col-span-2">
+                <h2 className="text-lg font-semibold mb-4 flex items-center">
+                  <MapIcon className="h-5 w-5 mr-2 text-gray-500" />
+                  Parcel Boundary
+                </h2>
+                {property.boundaryOverlaps?.length > 0 && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm text-yellow-800">
+                    This boundary overlaps registered plot(s) {property.boundaryOverlaps.map((overlap) => overlap.plotNumber).join(', ')}.
+                    A land officer will check the overlap during review.
+                  </div>
+                )}
+                <ParcelMap features={parcelFeatures} height="320px" showLinks={false} />
+              </div>
+            )}
+
+            <div className="md:col-span-2">
+              <h2 className="text-lg font-semibold mb-4 flex items-center">
+                <LockClosedIcon className="h-5 w-5 mr-2 text-gray-500" />
+                Encumbrances
+              </h2>
+              {encumbrances.transferBlocked && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+                  This property cannot be transferred until the encumbrances marked below are released.
+                </div>
+              )}
+              {encumbrances.active.length > 0 ? (
+                <div className="space-y-3">
+                  {encumbrances.active.map((encumbrance) => (
+                    <div key={encumbrance._id} className="bg-gray-50 p-4 rounded-lg">
+                      <div className="font-medium">
+                        {ENCUMBRANCE_TYPE_LABELS[encumbrance.type]}
+                        {encumbrance.blocking && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">Blocks transfers</span>
+                        )}
+                      </div>
+                      <div className="text-sm text-gray-600">
+                        Held by {encumbrance.holder.name}
+                        {encumbrance.holder.reference && ` (Ref. ${encumbrance.holder.reference})`}
+                        {encumbrance.amount?.value > 0 && ` - ${encumbrance.amount.value.toLocaleString()} ${encumbrance.amount.currency}`}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        Registered {formatDate(encumbrance.registrationDate)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-gray-500 text-sm">No active encumbrances are registered on this property.</p>
+              )}
+              {encumbrances.history.length > 0 && (
+                <p className="text-xs text-gray-500 mt-3">
+                  {encumbrances.history.length} released encumbrance{encumbrances.history.length === 1 ? '' : 's'} on record.
+                </p>
+              )}
+            </div>
+
+            {(lineage.parents.length > 0 || lineage.parcelChanges.length > 0) && (
+              <div className="md:col-span-2">
+                <h2 className="text-lg font-semibold mb-4 flex items-center">
+                  <Squares2X2Icon className="h-5 w-5 mr-2 text-gray-500" />
+                  Plot History
+                </h2>
+                {lineage.parents.length > 0 && (
+                  <p className="text-sm text-gray-700 mb-3">
+                    Created from plot{lineage.parents.length === 1 ? '' : 's'}{' '}
+                    {lineage.parents.map((parent) => `${parent.plotNumber} (${parent.area} sq m)`).join(', ')}.
+                  </p>
+                )}
+                <div className="space-y-2">
+                  {lineage.parcelChanges.map((parcelChange) => (
+                    <div key={parcelChange._id} className="bg-gray-50 p-3 rounded-lg text-sm flex justify-between">
+                      <span>
+                        {PARCEL_CHANGE_LABELS[parcelChange.operation]} into{' '}
+                        {parcelChange.children.map((child) => child.plotNumber).join(', ')}
+                      </span>
+                      <span className="text-gray-500 capitalize">
+                        {parcelChange.status} - {formatDate(parcelChange.reviewDate || parcelChange.submissionDate)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -5,6 +5,8 @@ import * as Yup from 'yup';
 import { toast } from 'react-toastify';
 import { registerProperty } from '../../services/propertyService';
 import { uploadDocument } from '../../services/documentService';
+import ParcelBoundaryEditor from '../../components/property/ParcelBoundaryEditor';
+import { verticesToBoundary } from '../../utils/parcelGeometry';
 
 const PropertyRegistration = () => {
   const navigate = useNavigate();
@@ -160,6 +162,14 @@ const PropertyRegistration = () => {
     return uploadedDocuments;
   };
 
+  // The boundary is accepted even if it overlaps approved parcels; officers resolve the overlap during review
+  const warnAboutOverlaps = (property) => {
+    if (property?.boundaryOverlaps?.length > 0) {
+      const plots = property.boundaryOverlaps.map((overlap) => overlap.plotNumber).join(', ');
+      toast.warning(`The boundary you drew overlaps registered plot(s) ${plots}. A land officer will check it during review.`);
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async (values, { setSubmitting }) => {
     try {
@@ -178,6 +188,7 @@ const PropertyRegistration = () => {
           plotNumber: values.plotNumber,
           area: parseFloat(values.area),
           propertyType: values.propertyType,
+          boundary: verticesToBoundary(values.boundaryVertices) || undefined,
           // Add transfer metadata to the property registration
           transferInfo: {
             isTransferRegistration: true,
@@ -193,6 +204,7 @@ const PropertyRegistration = () => {
 
         console.log('Submitting transferred property registration:', propertyData);
         const propertyResponse = await registerProperty(propertyData);
+        warnAboutOverlaps(propertyResponse);
 
         console.log('Transferred property registered:', propertyResponse);
 
@@ -221,13 +233,15 @@ const PropertyRegistration = () => {
           },
           plotNumber: values.plotNumber,
           area: parseFloat(values.area),
-          propertyType: values.propertyType
+          propertyType: values.propertyType,
+          boundary: verticesToBoundary(values.boundaryVertices) || undefined
         };
 
         console.log('Submitting property data:', propertyData);
 
         // Step 1: Register the property
         const propertyResponse = await registerProperty(propertyData);
+        warnAboutOverlaps(propertyResponse);
         console.log('Property registered successfully:', propertyResponse);
 
         // Step 2: Upload documents if property was created successfully
@@ -354,6 +368,7 @@ const PropertyRegistration = () => {
             kebele: '',
             streetName: '',
             houseNumber: '',
+            boundaryVertices: [],
             // Transfer-specific fields
             isTransferRegistration: false,
             previousOwnerEmail: '',
@@ -612,6 +627,16 @@ const PropertyRegistration = () => {
                       <ErrorMessage name="houseNumber" component="div" className="form-error" />
                     </div>
                   </div>
+
+                  <div>
+                    <label className="form-label">
+                      Parcel Boundary <span className="text-gray-500">(Optional)</span>
+                    </label>
+                    <ParcelBoundaryEditor
+                      vertices={values.boundaryVertices}
+                      onChange={(vertices) => setFieldValue('boundaryVertices', vertices)}
+                    />
+                  </div>
                 </div>
               )}
 
@@ -821,6 +846,13 @@ const PropertyRegistration = () => {
                           <div>{values.houseNumber}</div>
                         </>
                       )}
+
+                      <div className="text-gray-600">Parcel Boundary:</div>
+                      <div>
+                        {values.boundaryVertices.length >= 3
+                          ? `${values.boundaryVertices.length} corners drawn`
+                          : 'Not drawn'}
+                      </div>
                     </div>
                   </div>
 
@@ -0,0 +1,590 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+  ArrowsRightLeftIcon,
+  ArrowLeftIcon,
+  ClockIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ExclamationTriangleIcon,
+  HomeIcon,
+  DocumentTextIcon,
+  BanknotesIcon,
+  ArrowUpTrayIcon
+} from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getTransferById,
+  getTransferFees,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer,
+  uploadTransferFile,
+  uploadTransferDocuments,
+  uploadRecipientDocuments,
+  payTransferFees,
+  REQUIRED_TRANSFER_DOCUMENTS,
+  TRANSFER_DOCUMENT_LABELS,
+  TRANSFER_STATUS_CONFIG,
+  TRANSFER_TYPE_LABELS
+} from '../../services/transferService';
+
+// Statuses in which each party can still add documents
+const OWNER_DOCUMENT_STATUSES = ['initiated', 'documents_pending'];
+const RECIPIENT_DOCUMENT_STATUSES = ['awaiting_recipient', 'initiated', 'documents_pending'];
+const CANCELLABLE_STATUSES = ['awaiting_recipient', 'initiated', 'documents_pending'];
+const PAYABLE_STATUSES = ['initiated', 'documents_pending', 'documents_submitted', 'under_review', 'compliance_check'];
+
+// Fee components stored on the transfer, with the calculation field each one comes from
+const FEE_COMPONENTS = [
+  { key: 'governmentFee', label: 'Transfer Tax', breakdownKey: 'transferTax' },
+  { key: 'taxAmount', label: 'Stamp Duty', breakdownKey: 'stampDuty' },
+  { key: 'processingFee', label: 'Processing Fee', breakdownKey: 'processingFee' }
+];
+
+const FEE_STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  waived: 'bg-gray-100 text-gray-800'
+};
+
+const TransferDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [transfer, setTransfer] = useState(null);
+  const [fees, setFees] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [ownerFiles, setOwnerFiles] = useState({});
+  const [recipientFile, setRecipientFile] = useState(null);
+  const [showDecline, setShowDecline] = useState(false);
+  const [declineReason, setDeclineReason] = useState('');
+
+  const fetchTransferDetails = useCallback(async () => {
+    try {
+      const data = await getTransferById(id);
+      setTransfer(data);
+
+      try {
+        setFees(await getTransferFees(id));
+      } catch (error) {
+        console.error('Error fetching transfer fees:', error);
+        setFees(null);
+      }
+    } catch (error) {
+      console.error('Error fetching transfer details:', error);
+      toast.error(error.message || 'Failed to fetch transfer details');
+      navigate('/transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    fetchTransferDetails();
+  }, [fetchTransferDetails]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const formatAmount = (amount) => `${Number(amount || 0).toLocaleString()} ETB`;
+
+  // Upload a file and describe it the way the transfer documents expect
+  const uploadDocument = async (documentType, file) => {
+    const uploaded = await uploadTransferFile(id, file);
+    return {
+      documentType,
+      documentName: TRANSFER_DOCUMENT_LABELS[documentType],
+      fileId: uploaded.fileId,
+      filename: uploaded.filename,
+      fileType: uploaded.fileType
+    };
+  };
+
+  const handleAccept = async () => {
+    try {
+      setSubmitting(true);
+      await acceptTransfer(id);
+      toast.success('Transfer accepted');
+      await fetchTransferDetails();
+    } catch (error) {
+      toast.error(error.message || 'Failed to accept transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    try {
+      setSubmitting(true);
+      await declineTransfer(id, declineReason);
+      toast.info('Transfer declined');
+      setShowDecline(false);
+      await fetchTransferDetails();
+    } catch (error) {
+      toast.error(error.message || 'Failed to decline transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    const reason = prompt('Please provide a reason for cancelling this transfer:');
+    if (!reason) return;
+
+    try {
+      setSubmitting(true);
+      await cancelTransfer(id, reason);
+      toast.success('Transfer cancelled');
+      await fetchTransferDetails();
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleOwnerDocuments = async () => {
+    const requiredTypes = REQUIRED_TRANSFER_DOCUMENTS[transfer.transferType] || [];
+    const missing = requiredTypes.filter(type => !ownerFiles[type]);
+    if (missing.length > 0) {
+      toast.error(`Please attach: ${missing.map(type => TRANSFER_DOCUMENT_LABELS[type]).join(', ')}`);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const documents = [];
+      for (const type of requiredTypes) {
+        documents.push(await uploadDocument(type, ownerFiles[type]));
+      }
+
+      await uploadTransferDocuments(id, documents);
+      toast.success('Documents submitted for review');
+      setOwnerFiles({});
+      await fetchTransferDetails();
+    } catch (error) {
+      console.error('Error submitting transfer documents:', error);
+      toast.error(error.message || 'Failed to submit documents');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRecipientDocument = async () => {
+    if (!recipientFile) {
+      toast.error('Please choose your ID document');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const document = await uploadDocument('id_documents', recipientFile);
+      await uploadRecipientDocuments(id, [document]);
+      toast.success('ID document uploaded');
+      setRecipientFile(null);
+      await fetchTransferDetails();
+    } catch (error) {
+      console.error('Error uploading recipient document:', error);
+      toast.error(error.message || 'Failed to upload document');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handlePayFees = async (paymentMethod) => {
+    try {
+      setSubmitting(true);
+      const result = await payTransferFees(transfer, paymentMethod);
+      // A payment already in progress is resumed with the method it was started with
+      const method = result.payment?.paymentMethod || paymentMethod;
+      navigate(`/payment/${method === 'telebirr' ? 'telebirr' : 'cbe-birr'}/${result.transactionId}`);
+    } catch (error) {
+      console.error('Error starting transfer fee payment:', error);
+      toast.error(error.message || 'Failed to start payment');
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!transfer) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center">
+        <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-gray-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Transfer not found</h3>
+        <div className="mt-6">
+          <Link to="/transfers" className="btn-primary px-4 py-2 rounded-md">Back to My Transfers</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const userId = user?._id || user?.id;
+  const isOwner = transfer.previousOwner?._id === userId;
+  const isRecipient = transfer.newOwner?._id === userId;
+  const statusConfig = TRANSFER_STATUS_CONFIG[transfer.status] || { text: transfer.status, color: 'bg-gray-100 text-gray-800' };
+  const requiredTypes = REQUIRED_TRANSFER_DOCUMENTS[transfer.transferType] || [];
+  const recipientHasId = transfer.documents?.some(
+    document => document.documentType === 'id_documents' && document.uploadedBy === transfer.newOwner?._id
+  );
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="mb-6">
+        <button
+          onClick={() => navigate('/transfers')}
+          className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeftIcon className="h-5 w-5 mr-2" />
+          Back to My Transfers
+        </button>
+
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <ArrowsRightLeftIcon className="h-8 w-8 mr-2 text-primary" />
+            Transfer Details
+          </h1>
+          {isOwner && CANCELLABLE_STATUSES.includes(transfer.status) && (
+            <button
+              onClick={handleCancel}
+              disabled={submitting}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 disabled:opacity-50"
+            >
+              Cancel Transfer
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Main Content */}
+        <div className="lg:col-span-2 space-y-6">
+          {/* Overview */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">
+                  {TRANSFER_TYPE_LABELS[transfer.transferType] || transfer.transferType} of Plot {transfer.property?.plotNumber}
+                </h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  {transfer.previousOwner?.fullName} to {transfer.newOwner?.fullName}
+                </p>
+              </div>
+              <span className={`inline-flex px-3 py-1 text-sm font-semibold rounded-full ${statusConfig.color}`}>
+                {statusConfig.text}
+              </span>
+            </div>
+
+            <div className="border-t pt-4">
+              <h3 className="text-lg font-medium text-gray-900 mb-3">Reason</h3>
+              <p className="text-gray-700 whitespace-pre-wrap">{transfer.transferReason}</p>
+            </div>
+
+            {transfer.status === 'awaiting_recipient' && (
+              <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+                <p className="text-sm text-yellow-800 flex items-center">
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  {isRecipient
+                    ? `Please accept or decline this transfer by ${formatDate(transfer.recipientConsent?.expiresAt)}.`
+                    : `Waiting for ${transfer.newOwner?.fullName} to accept by ${formatDate(transfer.recipientConsent?.expiresAt)}.`}
+                </p>
+
+                {isRecipient && (
+                  <div className="mt-3">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={handleAccept}
+                        disabled={submitting}
+                        className="btn-primary px-3 py-1.5 rounded-md text-sm flex items-center disabled:opacity-50"
+                      >
+                        <CheckCircleIcon className="h-4 w-4 mr-1" />
+                        Accept
+                      </button>
+                      <button
+                        onClick={() => setShowDecline(!showDecline)}
+                        disabled={submitting}
+                        className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded-md text-sm flex items-center disabled:opacity-50"
+                      >
+                        <XCircleIcon className="h-4 w-4 mr-1" />
+                        Decline
+                      </button>
+                    </div>
+
+                    {showDecline && (
+                      <div className="mt-3">
+                        <textarea
+                          value={declineReason}
+                          onChange={(e) => setDeclineReason(e.target.value)}
+                          maxLength={500}
+                          rows={2}
+                          placeholder="Reason for declining (optional)"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                        />
+                        <div className="flex justify-end mt-2">
+                          <button
+                            onClick={handleDecline}
+                            disabled={submitting}
+                            className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded-md text-sm disabled:opacity-50"
+                          >
+                            Confirm Decline
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Owner documents */}
+          {isOwner && OWNER_DOCUMENT_STATUSES.includes(transfer.status) && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-1 flex items-center">
+                <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                Required Documents
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {transfer.status === 'documents_pending'
+                  ? 'The land officer asked for revised documents. Attach them again to resubmit.'
+                  : 'Attach each document below to submit the transfer for review.'}
+              </p>
+
+              <div className="space-y-4">
+                {requiredTypes.map((type) => (
+                  <div key={type}>
+                    <label htmlFor={`document-${type}`} className="form-label">
+                      {TRANSFER_DOCUMENT_LABELS[type]} <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      type="file"
+                      id={`document-${type}`}
+                      accept=".pdf,.jpg,.jpeg,.png"
+                      onChange={(e) => setOwnerFiles(prev => ({ ...prev, [type]: e.target.files[0] }))}
+                      className="block w-full text-sm text-gray-700"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex justify-end mt-4">
+                <button
+                  onClick={handleOwnerDocuments}
+                  disabled={submitting}
+                  className="btn-primary px-4 py-2 rounded-md disabled:opacity-50"
+                >
+                  {submitting ? 'Uploading...' : 'Submit Documents'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Recipient documents */}
+          {isRecipient && RECIPIENT_DOCUMENT_STATUSES.includes(transfer.status) && !recipientHasId && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-1 flex items-center">
+                <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                Your ID Document
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                The land office needs a copy of your ID to register you as the new owner.
+              </p>
+              <input
+                type="file"
+                accept=".pdf,.jpg,.jpeg,.png"
+                onChange={(e) => setRecipientFile(e.target.files[0])}
+                className="block w-full text-sm text-gray-700"
+              />
+              <div className="flex justify-end mt-4">
+                <button
+                  onClick={handleRecipientDocument}
+                  disabled={submitting}
+                  className="btn-primary px-4 py-2 rounded-md disabled:opacity-50"
+                >
+                  {submitting ? 'Uploading...' : 'Upload ID'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Submitted documents */}
+          {transfer.documents?.length > 0 && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                <DocumentTextIcon className="h-5 w-5 mr-2" />
+                Submitted Documents
+              </h3>
+              <ul className="divide-y divide-gray-200">
+                {transfer.documents.map((document) => (
+                  <li key={document._id} className="py-2 flex justify-between text-sm">
+                    <span className="text-gray-900">
+                      {TRANSFER_DOCUMENT_LABELS[document.documentType] || document.documentName}
+                      <span className="text-gray-500"> · {document.filename}</span>
+                    </span>
+                    <span className="capitalize text-gray-600">{document.verificationStatus}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Timeline */}
+          {transfer.timeline?.length > 0 && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                <ClockIcon className="h-5 w-5 mr-2" />
+                Timeline
+              </h3>
+              <div className="space-y-4">
+                {transfer.timeline.map((event, index) => (
+                  <div key={index} className="flex items-start">
+                    <div className="flex-shrink-0">
+                      <div className="w-3 h-3 bg-primary rounded-full mt-2"></div>
+                    </div>
+                    <div className="ml-4 flex-1">
+                      <div className="flex items-center justify-between">
+                        <p className="text-sm font-medium text-gray-900">{event.action}</p>
+                        <p className="text-xs text-gray-500">{formatDate(event.timestamp)}</p>
+                      </div>
+                      {event.notes && (
+                        <p className="text-sm text-gray-600 mt-1">{event.notes}</p>
+                      )}
+                      {event.performedBy?.fullName && (
+                        <p className="text-xs text-gray-500 mt-1">By: {event.performedBy.fullName}</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-6">
+          {/* Property Information */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+              <HomeIcon className="h-5 w-5 mr-2" />
+              Property Information
+            </h3>
+            <div className="space-y-3 text-sm">
+              <div>
+                <span className="font-medium text-gray-700">Plot Number: </span>
+                <span className="text-gray-900">{transfer.property?.plotNumber || 'N/A'}</span>
+              </div>
+              <div>
+                <span className="font-medium text-gray-700">Location: </span>
+                <span className="text-gray-900">
+                  {transfer.property?.location?.subCity}, Kebele {transfer.property?.location?.kebele}
+                </span>
+              </div>
+              <div>
+                <span className="font-medium text-gray-700">Property Type: </span>
+                <span className="text-gray-900 capitalize">{transfer.property?.propertyType || 'N/A'}</span>
+              </div>
+              <div>
+                <span className="font-medium text-gray-700">Started: </span>
+                <span className="text-gray-900">{formatDate(transfer.initiationDate)}</span>
+              </div>
+            </div>
+          </div>
+
+          {/* Fees */}
+          {fees && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                <BanknotesIcon className="h-5 w-5 mr-2" />
+                Transfer Fees
+              </h3>
+              <div className="space-y-3 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-700">Transfer Value</span>
+                  <span className="text-gray-900">{formatAmount(fees.calculation.breakdown.transferValue)}</span>
+                </div>
+                {FEE_COMPONENTS.map((component) => {
+                  const status = fees.transferFees?.[component.key]?.status || 'pending';
+
+                  return (
+                    <div key={component.key} className="flex justify-between items-center">
+                      <span className="text-gray-700">{component.label}</span>
+                      <span className="flex items-center space-x-2">
+                        <span className="text-gray-900">
+                          {formatAmount(fees.calculation.breakdown[component.breakdownKey])}
+                        </span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${FEE_STATUS_COLORS[status]}`}>
+                          {status}
+                        </span>
+                      </span>
+                    </div>
+                  );
+                })}
+                <div className="flex justify-between border-t pt-3 font-semibold">
+                  <span>Total</span>
+                  <span>{formatAmount(fees.calculation.breakdown.totalAmount)}</span>
+                </div>
+              </div>
+
+              {fees.outstanding?.length > 0 && (isOwner || isRecipient) && (
+                PAYABLE_STATUSES.includes(transfer.status) ? (
+                  <div className="mt-4 space-y-2">
+                    <p className="text-sm text-gray-700">
+                      Outstanding: {formatAmount(fees.outstanding.reduce(
+                        (total, key) => total + (fees.transferFees[key]?.amount || 0), 0
+                      ))}
+                    </p>
+                    <button
+                      onClick={() => handlePayFees('cbe_birr')}
+                      disabled={submitting}
+                      className="w-full btn-primary px-4 py-2 rounded-md disabled:opacity-50"
+                    >
+                      Pay with CBE Birr
+                    </button>
+                    <button
+                      onClick={() => handlePayFees('telebirr')}
+                      disabled={submitting}
+                      className="w-full px-4 py-2 border border-primary text-primary rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Pay with TeleBirr
+                    </button>
+                  </div>
+                ) : transfer.status === 'awaiting_recipient' && (
+                  <p className="mt-4 text-xs text-gray-500">
+                    Fees can be paid once the new owner accepts the transfer.
+                  </p>
+                )
+              )}
+
+              {fees.outstanding?.length === 0 && (
+                <p className="mt-4 text-sm text-green-700 flex items-center">
+                  <CheckCircleIcon className="h-4 w-4 mr-1" />
+                  All fees are paid or waived.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransferDetails;
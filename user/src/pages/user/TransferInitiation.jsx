@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { toast } from 'react-toastify';
+import { ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
+import { getPropertyById } from '../../services/propertyService';
+import {
+  initiateTransfer,
+  REQUIRED_TRANSFER_DOCUMENTS,
+  TRANSFER_DOCUMENT_LABELS,
+  TRANSFER_TYPE_LABELS
+} from '../../services/transferService';
+
+const TransferInitiation = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [property, setProperty] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Validation schema
+  const validationSchema = Yup.object({
+    newOwnerEmail: Yup.string()
+      .email('Enter a valid email address')
+      .required("The new owner's email is required"),
+    transferType: Yup.string().required('Transfer type is required'),
+    transferReason: Yup.string()
+      .required('Transfer reason is required')
+      .max(1000, 'Transfer reason cannot exceed 1000 characters'),
+    transferValue: Yup.number()
+      .typeError('Transfer value must be a number')
+      .min(0, 'Transfer value must be positive')
+      .when('transferType', {
+        is: (type) => type === 'sale' || type === 'exchange',
+        then: (schema) => schema.required('Transfer value is required for sales and exchanges'),
+        otherwise: (schema) => schema.nullable()
+      })
+  });
+
+  useEffect(() => {
+    const fetchProperty = async () => {
+      try {
+        const data = await getPropertyById(id);
+        setProperty(data);
+      } catch (error) {
+        console.error('Error fetching property:', error);
+        toast.error(error.message || 'Failed to load property');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProperty();
+  }, [id]);
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      const transfer = await initiateTransfer({
+        property: id,
+        newOwnerEmail: values.newOwnerEmail.trim(),
+        transferType: values.transferType,
+        transferReason: values.transferReason,
+        transferValue: { amount: Number(values.transferValue) || 0, currency: 'ETB' }
+      });
+
+      toast.success('Transfer started. The new owner has been asked to accept it.');
+      navigate(`/transfers/${transfer._id}`);
+    } catch (error) {
+      console.error('Error initiating transfer:', error);
+      toast.error(error.message || error.errors?.[0]?.msg || 'Failed to start transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!property) {
+    return (
+      <div className="container mx-auto px-4 py-8 text-center">
+        <p className="text-gray-600 mb-4">Property not found.</p>
+        <Link to="/properties" className="btn-primary px-4 py-2 rounded-md">Back to My Properties</Link>
+      </div>
+    );
+  }
+
+  const blockedReason = property.status !== 'approved'
+    ? 'Only approved properties can be transferred.'
+    : property.hasActiveDispute
+      ? 'This property has an active dispute and cannot be transferred until it is closed.'
+      : property.currentTransfer
+        ? 'This property already has a transfer in progress.'
+        : null;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-md p-6">
+        <h1 className="text-2xl font-bold mb-2 flex items-center">
+          <ArrowsRightLeftIcon className="h-6 w-6 mr-2 text-primary" />
+          Transfer Ownership
+        </h1>
+        <p className="text-gray-600 mb-6">
+          Plot {property.plotNumber} - {property.location?.subCity}, Kebele {property.location?.kebele}
+        </p>
+
+        {blockedReason ? (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-700">{blockedReason}</p>
+            {property.currentTransfer && (
+              <Link
+                to={`/transfers/${property.currentTransfer._id || property.currentTransfer}`}
+                className="text-sm text-primary hover:underline mt-2 inline-block"
+              >
+                View the current transfer
+              </Link>
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-md">
+              <p className="text-sm text-blue-800">
+                The new owner must already have an account. They will be asked to accept the transfer
+                before you can submit documents for review.
+              </p>
+            </div>
+
+            <Formik
+              initialValues={{
+                newOwnerEmail: '',
+                transferType: '',
+                transferReason: '',
+                transferValue: ''
+              }}
+              validationSchema={validationSchema}
+              onSubmit={handleSubmit}
+            >
+              {({ isSubmitting, values }) => (
+                <Form className="space-y-6">
+                  <div>
+                    <label htmlFor="newOwnerEmail" className="form-label">
+                      New Owner&apos;s Email <span className="text-red-500">*</span>
+                    </label>
+                    <Field
+                      type="email"
+                      id="newOwnerEmail"
+                      name="newOwnerEmail"
+                      className="form-input"
+                      placeholder="email@example.com"
+                    />
+                    <ErrorMessage name="newOwnerEmail" component="div" className="form-error" />
+                  </div>
+
+                  <div>
+                    <label htmlFor="transferType" className="form-label">
+                      Transfer Type <span className="text-red-500">*</span>
+                    </label>
+                    <Field as="select" id="transferType" name="transferType" className="form-input">
+                      <option value="">Select transfer type</option>
+                      {Object.entries(TRANSFER_TYPE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </Field>
+                    <ErrorMessage name="transferType" component="div" className="form-error" />
+                    {values.transferType && (
+                      <p className="text-xs text-gray-600 mt-1">
+                        Required documents:{' '}
+                        {REQUIRED_TRANSFER_DOCUMENTS[values.transferType]
+                          .map(type => TRANSFER_DOCUMENT_LABELS[type])
+                          .join(', ')}
+                      </p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor="transferValue" className="form-label">
+                      Transfer Value (ETB)
+                      {(values.transferType === 'sale' || values.transferType === 'exchange') && (
+                        <span className="text-red-500"> *</span>
+                      )}
+                    </label>
+                    <Field
+                      type="number"
+                      id="transferValue"
+                      name="transferValue"
+                      min="0"
+                      className="form-input"
+                      placeholder="0"
+                    />
+                    <p className="text-xs text-gray-600 mt-1">
+                      Transfer tax and stamp duty are calculated from this value.
+                    </p>
+                    <ErrorMessage name="transferValue" component="div" className="form-error" />
+                  </div>
+
+                  <div>
+                    <label htmlFor="transferReason" className="form-label">
+                      Reason for Transfer <span className="text-red-500">*</span>
+                    </label>
+                    <Field
+                      as="textarea"
+                      id="transferReason"
+                      name="transferReason"
+                      rows="4"
+                      className="form-input"
+                    />
+                    <ErrorMessage name="transferReason" component="div" className="form-error" />
+                  </div>
+
+                  <div className="flex justify-between pt-4 border-t">
+                    <button
+                      type="button"
+                      onClick={() => navigate(`/property/${id}`)}
+                      className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={isSubmitting}
+                      className={`px-6 py-2 rounded-md ${
+                        isSubmitting
+                          ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                          : 'bg-primary text-white hover:bg-primary-dark'
+                      }`}
+                    >
+                      {isSubmitting ? 'Starting...' : 'Start Transfer'}
+                    </button>
+                  </div>
+                </Form>
+              )}
+            </Formik>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransferInitiation;
@@ -0,0 +1,56 @@
+import api from './api';
+
+// Get the current certificate and certificate history of a property
+export const getPropertyCertificates = async (propertyId) => {
+  try {
+    const response = await api.get(`/certificates/property/${propertyId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch certificates' };
+  }
+};
+
+// Download the current title certificate of a property as a PDF
+export const downloadCertificate = async (propertyId) => {
+  try {
+    const response = await api.get(`/certificates/property/${propertyId}/download`, {
+      responseType: 'blob'
+    });
+
+    // Create a download link and trigger the download
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+
+    // Get the filename from the Content-Disposition header if available
+    const contentDisposition = response.headers['content-disposition'];
+    let filename = `certificate-${propertyId}.pdf`;
+
+    if (contentDisposition) {
+      const filenameMatch = contentDisposition.match(/filename="(.+)"/);
+      if (filenameMatch && filenameMatch.length === 2) {
+        filename = filenameMatch[1];
+      }
+    }
+
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+
+    return true;
+  } catch (error) {
+    // Error bodies arrive as a Blob because of the blob response type
+    if (error.response?.data instanceof Blob) {
+      let data = {};
+      try {
+        data = JSON.parse(await error.response.data.text());
+      } catch {
+        // Not a JSON error body
+      }
+      throw { ...data, message: data.message || 'Failed to download certificate' };
+    }
+    throw error.response?.data || { message: 'Failed to download certificate' };
+  }
+};
@@ -0,0 +1,21 @@
+import api from './api';
+
+// Get the active and released encumbrances of a property
+export const getPropertyEncumbrances = async (propertyId) => {
+  try {
+    const response = await api.get(`/encumbrances/property/${propertyId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch encumbrances' };
+  }
+};
+
+export const ENCUMBRANCE_TYPE_LABELS = {
+  mortgage: 'Mortgage',
+  lien: 'Lien',
+  court_injunction: 'Court injunction',
+  government_caveat: 'Government caveat',
+  lease: 'Lease',
+  easement: 'Easement',
+  other: 'Encumbrance'
+};
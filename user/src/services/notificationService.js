@@ -0,0 +1,61 @@
+import api from './api';
+
+// Get notifications for the current user
+export const getNotifications = async (params = {}) => {
+  try {
+    const response = await api.get('/notifications', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch notifications' };
+  }
+};
+
+// Get notification statistics for the current user
+export const getNotificationStats = async () => {
+  try {
+    const response = await api.get('/notifications/stats');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch notification stats' };
+  }
+};
+
+// Mark a notification as read
+export const markNotificationAsRead = async (notificationId) => {
+  try {
+    const response = await api.put(`/notifications/${notificationId}/read`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to mark notification as read' };
+  }
+};
+
+// Mark all notifications as read
+export const markAllNotificationsAsRead = async () => {
+  try {
+    const response = await api.put('/notifications/read-all');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to mark notifications as read' };
+  }
+};
+
+// Delete a notification
+export const deleteNotification = async (notificationId) => {
+  try {
+    const response = await api.delete(`/notifications/${notificationId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to delete notification' };
+  }
+};
+
+// Delete all notifications
+export const clearNotifications = async () => {
+  try {
+    const response = await api.delete('/notifications');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to clear notifications' };
+  }
+};
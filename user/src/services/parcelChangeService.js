@@ -0,0 +1,71 @@
+import api from './api';
+
+// Apply to subdivide a plot into new plots
+export const submitSubdivision = async (propertyId, children, reason) => {
+  try {
+    const response = await api.post('/parcel-changes/subdivide', { propertyId, children, reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to submit subdivision' };
+  }
+};
+
+// Apply to merge neighbouring plots into one
+export const submitMerge = async (propertyIds, child, reason) => {
+  try {
+    const response = await api.post('/parcel-changes/merge', { propertyIds, child, reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to submit merge' };
+  }
+};
+
+// Get the user's subdivisions and merges
+export const getParcelChanges = async (page = 1, limit = 10, filters = {}) => {
+  try {
+    const params = new URLSearchParams({ page, limit, ...filters });
+    const response = await api.get(`/parcel-changes?${params.toString()}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch parcel changes' };
+  }
+};
+
+// Cancel a pending subdivision or merge
+export const cancelParcelChange = async (parcelChangeId, reason = '') => {
+  try {
+    const response = await api.put(`/parcel-changes/${parcelChangeId}/cancel`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to cancel parcel change' };
+  }
+};
+
+// Start paying the fee of a subdivision or merge with CBE Birr or TeleBirr
+export const payParcelChangeFee = async (parcelChange, paymentMethod) => {
+  try {
+    const propertyId = parcelChange.parents[0]?._id || parcelChange.parents[0];
+    const endpoint = paymentMethod === 'telebirr' ? 'telebirr' : 'cbe-birr';
+    const response = await api.post(`/payments/${endpoint}/initialize/${propertyId}`, {
+      parcelChangeId: parcelChange._id
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to start parcel change fee payment' };
+  }
+};
+
+// Get the plots a property came from and the plots that replaced it
+export const getPropertyLineage = async (propertyId) => {
+  try {
+    const response = await api.get(`/parcel-changes/property/${propertyId}/lineage`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch property lineage' };
+  }
+};
+
+export const PARCEL_CHANGE_LABELS = {
+  subdivide: 'Subdivision',
+  merge: 'Merge'
+};
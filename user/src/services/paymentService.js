@@ -115,11 +115,12 @@ export const getAllPayments = async (filters = {}) => {
 export const downloadReceipt = async (paymentId) => {
   try {
     const response = await api.get(`/payments/${paymentId}/receipt`, {
+      params: { format: 'pdf' },
       responseType: 'blob'
     });
 
     // Create a download link and trigger the download
-    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
     const link = document.createElement('a');
     link.href = url;
 
@@ -138,6 +139,7 @@ export const downloadReceipt = async (paymentId) => {
     document.body.appendChild(link);
     link.click();
     link.remove();
+    window.URL.revokeObjectURL(url);
 
     return true;
   } catch (error) {
@@ -10,10 +10,11 @@ export const initiateTransfer = async (transferData) => {
   }
 };
 
-// Get user's transfers
-export const getUserTransfers = async (page = 1, limit = 10) => {
+// Get user's transfers (direction: 'incoming', 'outgoing' or both when omitted)
+export const getUserTransfers = async (page = 1, limit = 10, filters = {}) => {
   try {
-    const response = await api.get(`/transfers/my-transfers?page=${page}&limit=${limit}`);
+    const params = new URLSearchParams({ page, limit, ...filters });
+    const response = await api.get(`/transfers/my-transfers?${params.toString()}`);
     return response.data;
   } catch (error) {
     throw error.response?.data || { message: 'Failed to fetch transfers' };
@@ -49,3 +50,122 @@ export const uploadTransferDocuments = async (transferId, documents) => {
     throw error.response?.data || { message: 'Failed to upload transfer documents' };
   }
 };
+
+// Accept a transfer to you
+export const acceptTransfer = async (transferId, notes = '') => {
+  try {
+    const response = await api.put(`/transfers/${transferId}/accept`, { notes });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to accept transfer' };
+  }
+};
+
+// Decline a transfer to you
+export const declineTransfer = async (transferId, reason = '') => {
+  try {
+    const response = await api.put(`/transfers/${transferId}/decline`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to decline transfer' };
+  }
+};
+
+// Upload your own documents (e.g. ID) to a transfer to you
+export const uploadRecipientDocuments = async (transferId, documents) => {
+  try {
+    const response = await api.post(`/transfers/${transferId}/recipient-documents`, { documents });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to upload documents' };
+  }
+};
+
+// Upload a file for a transfer document; returns the fileId, filename and fileType to submit
+export const uploadTransferFile = async (transferId, file) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await api.post(`/transfers/${transferId}/files`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to upload file' };
+  }
+};
+
+// Get the fees due for a transfer
+export const getTransferFees = async (transferId) => {
+  try {
+    const response = await api.get(`/transfers/${transferId}/fees`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to fetch transfer fees' };
+  }
+};
+
+// Start paying the outstanding fees of a transfer with CBE Birr or TeleBirr
+export const payTransferFees = async (transfer, paymentMethod) => {
+  try {
+    const propertyId = transfer.property?._id || transfer.property;
+    const endpoint = paymentMethod === 'telebirr' ? 'telebirr' : 'cbe-birr';
+    const response = await api.post(`/payments/${endpoint}/initialize/${propertyId}`, {
+      transferId: transfer._id
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Failed to start transfer fee payment' };
+  }
+};
+
+// Document types that can be attached to a transfer
+export const TRANSFER_DOCUMENT_LABELS = {
+  sale_agreement: 'Sale Agreement',
+  inheritance_certificate: 'Inheritance Certificate',
+  court_order: 'Court Order',
+  id_documents: 'ID Documents',
+  tax_clearance: 'Tax Clearance',
+  valuation_report: 'Valuation Report',
+  other: 'Other Supporting Document'
+};
+
+// Documents the transferring owner must provide for each transfer type
+export const REQUIRED_TRANSFER_DOCUMENTS = {
+  sale: ['sale_agreement', 'id_documents', 'tax_clearance', 'valuation_report'],
+  inheritance: ['inheritance_certificate', 'id_documents', 'tax_clearance'],
+  gift: ['id_documents', 'tax_clearance'],
+  court_order: ['court_order', 'id_documents'],
+  government_acquisition: ['court_order', 'id_documents'],
+  exchange: ['sale_agreement', 'id_documents', 'tax_clearance', 'valuation_report'],
+  other: ['id_documents']
+};
+
+export const TRANSFER_TYPE_LABELS = {
+  sale: 'Sale',
+  inheritance: 'Inheritance',
+  gift: 'Gift',
+  court_order: 'Court Order',
+  government_acquisition: 'Government Acquisition',
+  exchange: 'Exchange',
+  other: 'Other'
+};
+
+// Status badge text and colour for transfers
+export const TRANSFER_STATUS_CONFIG = {
+  awaiting_recipient: { text: 'Awaiting Acceptance', color: 'bg-yellow-100 text-yellow-800' },
+  initiated: { text: 'Accepted - Documents Needed', color: 'bg-blue-100 text-blue-800' },
+  documents_pending: { text: 'Documents Need Revision', color: 'bg-orange-100 text-orange-800' },
+  documents_submitted: { text: 'Documents Submitted', color: 'bg-blue-100 text-blue-800' },
+  under_review: { text: 'Under Review', color: 'bg-blue-100 text-blue-800' },
+  compliance_check: { text: 'Compliance Check', color: 'bg-purple-100 text-purple-800' },
+  approved: { text: 'Approved', color: 'bg-green-100 text-green-800' },
+  completed: { text: 'Completed', color: 'bg-green-200 text-green-900' },
+  rejected: { text: 'Rejected', color: 'bg-red-100 text-red-800' },
+  cancelled: { text: 'Cancelled', color: 'bg-gray-100 text-gray-800' },
+  declined: { text: 'Declined', color: 'bg-red-100 text-red-800' },
+  expired: { text: 'Expired', color: 'bg-gray-100 text-gray-800' }
+};
@@ -0,0 +1,29 @@
+// Helpers for moving parcel boundaries between map vertices and GeoJSON
+
+// Map centre used until a parcel has been drawn (Addis Ababa)
+export const DEFAULT_MAP_CENTER = [9.0192, 38.7525];
+
+// GeoJSON Polygon from an open list of [longitude, latitude] vertices, or null with fewer than 3
+export const verticesToBoundary = (vertices) => {
+  if (!vertices || vertices.length < 3) {
+    return null;
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[...vertices, vertices[0]]]
+  };
+};
+
+// Open list of [longitude, latitude] vertices from a GeoJSON Polygon
+export const boundaryToVertices = (boundary) => {
+  if (!boundary?.coordinates?.[0]) {
+    return [];
+  }
+
+  return boundary.coordinates[0].slice(0, -1);
+};
+
+// Leaflet [latitude, longitude] positions from a GeoJSON Polygon
+export const boundaryToLatLngs = (boundary) =>
+  boundaryToVertices(boundary).map(([longitude, latitude]) => [latitude, longitude]);
@@ -0,0 +1,20 @@
+// Where each global search result opens in the citizen portal
+
+export const getSearchResultPath = (result) => {
+  switch (result.type) {
+    case 'property':
+      return `/property/${result.id}`;
+    case 'application':
+      return `/application/${result.id}`;
+    case 'document':
+      return result.propertyId ? `/property/${result.propertyId}` : null;
+    case 'payment':
+      return '/payments';
+    case 'transfer':
+      return `/transfers/${result.id}`;
+    case 'dispute':
+      return `/disputes/${result.id}`;
+    default:
+      return null;
+  }
+};